@@ -23,6 +23,8 @@ export default [
         AbortController: 'readonly',
         AbortSignal: 'readonly',
         fetch: 'readonly',
+        FormData: 'readonly',
+        Blob: 'readonly',
         EventEmitter: 'readonly',
         describe: 'readonly',
         it: 'readonly',
@@ -0,0 +1,272 @@
+/**
+ * Audio Backends - Registry of the tools Scout records and plays with
+ *
+ * AudioCapture and AudioPlayback stream raw PCM through a recorder's
+ * stdout and a player's stdin. Which pair of commands they run depends on
+ * the sound system (audio_backend). Built-in backends:
+ * - pulseaudio: parecord / pacat (the default, Termux)
+ * - pipewire: pw-record / pw-play
+ * - alsa: arecord / aplay, straight to the hardware
+ * - sox: sox on its default driver
+ *
+ * 'auto' picks the first backend whose commands are installed, in that
+ * order. Additional backends can be added with registerAudioBackend().
+ */
+
+import { ensurePulseAudio } from './pulseaudio.mjs';
+import { checkCommands, isCommandAvailable } from './audio-tools.mjs';
+
+/**
+ * How a recorder or player is asked to stream
+ *
+ * @typedef {Object} AudioStreamOptions
+ * @property {number} sampleRate - Sample rate in Hz
+ * @property {number} channels - Number of channels
+ * @property {string} format - PCM format ('s16le')
+ * @property {string|null} device - Device name in the backend's terms (null = default device)
+ */
+
+/**
+ * Audio backend interface
+ *
+ * @typedef {Object} AudioBackend
+ * @property {string} label - Name shown to the user, e.g. "PipeWire"
+ * @property {string} captureCommand - Recorder that writes raw PCM to stdout
+ * @property {string} playbackCommand - Player that reads raw PCM from stdin
+ * @property {function(AudioStreamOptions): string[]} captureArgs - Recorder arguments
+ * @property {function(AudioStreamOptions): string[]} playbackArgs - Player arguments
+ * @property {string} [deviceEnv] - Environment variable that selects the device, for tools without a device flag
+ * @property {boolean} pulseDevices - Whether device names, listing and change events come from pactl
+ * @property {function(): Promise<{running: boolean, error: string|null}>} [ensureRunning] - Start the sound server if it is not running
+ */
+
+/**
+ * Default audio backend, also used when 'auto' finds none installed
+ */
+export const DEFAULT_AUDIO_BACKEND = 'pulseaudio';
+
+/**
+ * Config value that detects the backend at startup
+ */
+export const AUTO_AUDIO_BACKEND = 'auto';
+
+/**
+ * Registered backends by name, in detection order
+ * @type {Map<string, AudioBackend>}
+ */
+const backends = new Map();
+
+/**
+ * Register an audio backend
+ *
+ * @param {string} name - Backend name (the audio_backend config value)
+ * @param {AudioBackend} backend - Commands and arguments
+ */
+export function registerAudioBackend(name, backend) {
+  if (!name || name === AUTO_AUDIO_BACKEND || !backend?.captureCommand || !backend.playbackCommand) {
+    throw new Error('Audio backend needs a name and capture and playback commands');
+  }
+  backends.set(name, backend);
+}
+
+/**
+ * Get the names of all registered audio backends
+ * @returns {string[]}
+ */
+export function getAudioBackendNames() {
+  return [...backends.keys()];
+}
+
+/**
+ * Get an audio backend by name
+ *
+ * @param {string} name - Backend name
+ * @returns {AudioBackend}
+ * @throws {Error} If no backend is registered under that name
+ */
+export function getAudioBackend(name) {
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(`Unknown audio backend: ${name}. Must be one of: ${getAudioBackendNames().join(', ')}`);
+  }
+  return backend;
+}
+
+/**
+ * Check that a backend's commands are installed
+ *
+ * @param {string} [name='pulseaudio'] - Backend name
+ * @param {function(string): boolean} [isAvailable] - Command lookup (default: which)
+ * @returns {{backend: string, available: boolean, missing: string[]}}
+ */
+export function checkAudioTools(name = DEFAULT_AUDIO_BACKEND, isAvailable = isCommandAvailable) {
+  const backend = getAudioBackend(name);
+  const { available, missing } = checkCommands([backend.captureCommand, backend.playbackCommand], isAvailable);
+
+  return { backend: name, available, missing };
+}
+
+/**
+ * Find the first backend whose commands are installed
+ *
+ * @param {function(string): boolean} [isAvailable] - Command lookup (default: which)
+ * @returns {string|null} Backend name, or null if none is installed
+ */
+export function detectAudioBackend(isAvailable = isCommandAvailable) {
+  for (const name of backends.keys()) {
+    if (checkAudioTools(name, isAvailable).available) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn the audio_backend config value into a backend name
+ *
+ * @param {string} [name='auto'] - Backend name or 'auto'
+ * @param {function(string): boolean} [isAvailable] - Command lookup (default: which)
+ * @returns {string} The named backend, or for 'auto' the detected one (pulseaudio if none is installed)
+ * @throws {Error} If the name is neither 'auto' nor a registered backend
+ */
+export function resolveAudioBackend(name = AUTO_AUDIO_BACKEND, isAvailable = isCommandAvailable) {
+  if (name !== AUTO_AUDIO_BACKEND) {
+    getAudioBackend(name);
+    return name;
+  }
+  return detectAudioBackend(isAvailable) ?? DEFAULT_AUDIO_BACKEND;
+}
+
+/**
+ * Spawn options that select the device through the environment
+ * @param {AudioBackend} backend - Audio backend
+ * @param {string|null|undefined} device - Device name
+ * @returns {{env?: NodeJS.ProcessEnv}} Nothing for backends that take a device flag
+ */
+export function spawnEnv(backend, device) {
+  if (!backend.deviceEnv || !device) {
+    return {};
+  }
+  return { env: { ...process.env, [backend.deviceEnv]: device } };
+}
+
+/**
+ * ALSA name of a PCM format ('s16le' -> 'S16_LE')
+ * @param {string} format
+ * @returns {string}
+ */
+function alsaFormat(format) {
+  return format.replace(/^([su]\d+)(le|be)$/i, '$1_$2').toUpperCase();
+}
+
+/**
+ * parecord / pacat arguments
+ * @param {AudioStreamOptions} options
+ * @returns {string[]}
+ */
+function pulseArgs(options) {
+  const args = [
+    '--raw',
+    `--format=${options.format}`,
+    `--rate=${options.sampleRate}`,
+    `--channels=${options.channels}`
+  ];
+  if (options.device) {
+    args.push(`--device=${options.device}`);
+  }
+  return args;
+}
+
+/**
+ * pw-record / pw-play arguments; '-' streams through stdout or stdin
+ * @param {AudioStreamOptions} options
+ * @returns {string[]}
+ */
+function pipewireArgs(options) {
+  const args = [
+    '--raw',
+    `--format=${options.format.replace(/le$/i, '')}`,
+    `--rate=${options.sampleRate}`,
+    `--channels=${options.channels}`
+  ];
+  if (options.device) {
+    args.push(`--target=${options.device}`);
+  }
+  args.push('-');
+  return args;
+}
+
+/**
+ * arecord / aplay arguments; without a file they use stdout or stdin
+ * @param {AudioStreamOptions} options
+ * @returns {string[]}
+ */
+function alsaArgs(options) {
+  const args = [
+    '-q',
+    '-t', 'raw',
+    '-f', alsaFormat(options.format),
+    '-r', String(options.sampleRate),
+    '-c', String(options.channels)
+  ];
+  if (options.device) {
+    args.push('-D', options.device);
+  }
+  return args;
+}
+
+/**
+ * sox options describing the raw stream (the device is set through AUDIODEV)
+ * @param {AudioStreamOptions} options
+ * @returns {string[]}
+ */
+function soxRawArgs(options) {
+  const bits = /\d+/.exec(options.format)?.[0] ?? '16';
+  return [
+    '-t', 'raw',
+    '-e', options.format.startsWith('u') ? 'unsigned-integer' : 'signed-integer',
+    '-b', bits,
+    '-L',
+    '-r', String(options.sampleRate),
+    '-c', String(options.channels)
+  ];
+}
+
+registerAudioBackend('pulseaudio', {
+  label: 'PulseAudio',
+  captureCommand: 'parecord',
+  playbackCommand: 'pacat',
+  captureArgs: pulseArgs,
+  playbackArgs: pulseArgs,
+  pulseDevices: true,
+  ensureRunning: ensurePulseAudio
+});
+
+registerAudioBackend('pipewire', {
+  label: 'PipeWire',
+  captureCommand: 'pw-record',
+  playbackCommand: 'pw-play',
+  captureArgs: pipewireArgs,
+  playbackArgs: pipewireArgs,
+  // pipewire-pulse names nodes the same way, so pactl lists and follows them
+  pulseDevices: true
+});
+
+registerAudioBackend('alsa', {
+  label: 'ALSA',
+  captureCommand: 'arecord',
+  playbackCommand: 'aplay',
+  captureArgs: alsaArgs,
+  playbackArgs: alsaArgs,
+  pulseDevices: false
+});
+
+registerAudioBackend('sox', {
+  label: 'SoX',
+  captureCommand: 'sox',
+  playbackCommand: 'sox',
+  captureArgs: (options) => ['-q', '-d', ...soxRawArgs(options), '-'],
+  playbackArgs: (options) => ['-q', ...soxRawArgs(options), '-', '-d'],
+  deviceEnv: 'AUDIODEV',
+  pulseDevices: false
+});
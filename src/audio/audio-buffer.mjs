@@ -266,6 +266,24 @@ export function msToSamples(ms, sampleRate) {
   return Math.ceil((ms / 1000) * sampleRate);
 }
 
+/**
+ * Scale samples by a gain factor, clipping to the 16-bit range
+ *
+ * @param {Int16Array} samples - Audio samples
+ * @param {number} gain - Gain factor (1 = unchanged)
+ * @returns {Int16Array} New scaled samples (the input if gain is 1)
+ */
+export function applyGain(samples, gain) {
+  if (gain === 1) {
+    return samples;
+  }
+  const scaled = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    scaled[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * gain)));
+  }
+  return scaled;
+}
+
 /**
  * Convert samples to milliseconds
  *
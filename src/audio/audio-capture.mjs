@@ -5,12 +5,15 @@
  * - Command: parecord --raw --format=s16le --rate=16000 --channels=1
  * - Output: PCM chunks (16kHz, mono, 16-bit signed little-endian)
  * - Interface: start(), stop(), onChunk(callback)
+ * - Records from the PulseAudio default source unless a device is set
+ * - Other sound systems record with their own tool (see audio-backends.mjs)
  *
  * FR-1: Captures voice ready for transcription
  */
 
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
+import { getAudioBackend, spawnEnv, DEFAULT_AUDIO_BACKEND } from './audio-backends.mjs';
 
 /**
  * @typedef {Object} AudioCaptureConfig
@@ -18,6 +21,8 @@ import { EventEmitter } from 'events';
  * @property {number} [channels=1] - Number of channels (mono)
  * @property {string} [format='s16le'] - PCM format
  * @property {number} [chunkSize=480] - Samples per chunk (30ms at 16kHz)
+ * @property {string|null} [device=null] - PulseAudio source name (null = default source)
+ * @property {string} [backend='pulseaudio'] - Audio backend to record with (see audio-backends.mjs)
  */
 
 /**
@@ -27,7 +32,9 @@ export const DEFAULT_CAPTURE_CONFIG = Object.freeze({
   sampleRate: 16000,
   channels: 1,
   format: 's16le',
-  chunkSize: 480 // 30ms frame at 16kHz
+  chunkSize: 480, // 30ms frame at 16kHz
+  device: null,
+  backend: DEFAULT_AUDIO_BACKEND
 });
 
 /**
@@ -44,6 +51,9 @@ export class AudioCapture extends EventEmitter {
     /** @type {AudioCaptureConfig} */
     this.config = { ...DEFAULT_CAPTURE_CONFIG, ...config };
 
+    /** @type {import('./audio-backends.mjs').AudioBackend} */
+    this._backend = getAudioBackend(this.config.backend || DEFAULT_AUDIO_BACKEND);
+
     /** @type {import('child_process').ChildProcess|null} */
     this._process = null;
 
@@ -70,34 +80,33 @@ export class AudioCapture extends EventEmitter {
 
   /**
    * Start audio capture
-   * @throws {Error} If already running or parecord fails
+   * @throws {Error} If already running or the recorder fails
    */
   start() {
     if (this._running) {
       throw new Error('AudioCapture is already running');
     }
 
-    const args = [
-      '--raw',
-      `--format=${this.config.format}`,
-      `--rate=${this.config.sampleRate}`,
-      `--channels=${this.config.channels}`
-    ];
-
-    this._process = spawn('parecord', args, {
-      stdio: ['ignore', 'pipe', 'pipe']
+    const command = this._backend.captureCommand;
+    const proc = spawn(command, this._buildArgs(), {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      ...spawnEnv(this._backend, this.config.device)
     });
+    this._process = proc;
 
     this._running = true;
     this._pendingBuffer = Buffer.alloc(0);
 
-    // Handle stdout data (audio)
-    this._process.stdout?.on('data', (/** @type {Buffer} */ data) => {
-      this._handleData(data);
+    // Handle stdout data (audio); a recorder stopped for a restart can
+    // still flush output after its successor started
+    proc.stdout?.on('data', (/** @type {Buffer} */ data) => {
+      if (this._process === proc) {
+        this._handleData(data);
+      }
     });
 
     // Handle stderr (errors/warnings)
-    this._process.stderr?.on('data', (/** @type {Buffer} */ data) => {
+    proc.stderr?.on('data', (/** @type {Buffer} */ data) => {
       const message = data.toString().trim();
       if (message) {
         this.emit('warning', message);
@@ -105,12 +114,16 @@ export class AudioCapture extends EventEmitter {
     });
 
     // Handle process exit
-    this._process.on('exit', (code, signal) => {
+    proc.on('exit', (code, signal) => {
+      // A process stopped for a restart can exit after its successor started
+      if (this._process !== proc) {
+        return;
+      }
       this._running = false;
       this._process = null;
 
       if (code !== 0 && code !== null) {
-        this.emit('error', new Error(`parecord exited with code ${code}`));
+        this.emit('error', new Error(`${command} exited with code ${code}`));
       } else if (signal) {
         this.emit('stopped', signal);
       } else {
@@ -119,7 +132,10 @@ export class AudioCapture extends EventEmitter {
     });
 
     // Handle process error (e.g., command not found)
-    this._process.on('error', (err) => {
+    proc.on('error', (err) => {
+      if (this._process !== proc) {
+        return;
+      }
       this._running = false;
       this._process = null;
       this.emit('error', err);
@@ -128,6 +144,35 @@ export class AudioCapture extends EventEmitter {
     this.emit('started');
   }
 
+  /**
+   * Record from another source
+   *
+   * Capture that is running restarts on the new source straight away.
+   *
+   * @param {string|null} device - PulseAudio source name (null = default source)
+   */
+  setDevice(device) {
+    this.config.device = device;
+    if (this._running) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  /**
+   * Build recorder arguments
+   * @returns {string[]}
+   * @private
+   */
+  _buildArgs() {
+    return this._backend.captureArgs({
+      sampleRate: this.config.sampleRate ?? 16000,
+      channels: this.config.channels ?? 1,
+      format: this.config.format ?? 's16le',
+      device: this.config.device ?? null
+    });
+  }
+
   /**
    * Handle incoming audio data
    * @param {Buffer} data - Raw audio data
@@ -6,17 +6,26 @@
  * - Input: PCM audio from TTS
  * - Interface: start(sampleRate), write(chunk), stop()
  *
- * Supports immediate stop for barge-in functionality.
+ * Supports immediate stop for barge-in functionality. Plays to the
+ * PulseAudio default sink unless a device is set. Other sound systems play
+ * with their own tool (see audio-backends.mjs).
+ *
+ * Events:
+ * - 'written' (samples, sampleRate) - PCM just sent to the player, for the echo
+ *   canceller's reference (only emitted while someone listens)
  */
 
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
+import { getAudioBackend, spawnEnv, DEFAULT_AUDIO_BACKEND } from './audio-backends.mjs';
 
 /**
  * @typedef {Object} AudioPlaybackConfig
  * @property {number} [sampleRate=22050] - Sample rate in Hz
  * @property {number} [channels=1] - Number of channels (mono)
  * @property {string} [format='s16le'] - PCM format
+ * @property {string|null} [device=null] - PulseAudio sink name (null = default sink)
+ * @property {string} [backend='pulseaudio'] - Audio backend to play with (see audio-backends.mjs)
  */
 
 /**
@@ -25,7 +34,9 @@ import { EventEmitter } from 'events';
 export const DEFAULT_PLAYBACK_CONFIG = Object.freeze({
   sampleRate: 22050,
   channels: 1,
-  format: 's16le'
+  format: 's16le',
+  device: null,
+  backend: DEFAULT_AUDIO_BACKEND
 });
 
 /**
@@ -42,6 +53,9 @@ export class AudioPlayback extends EventEmitter {
     /** @type {AudioPlaybackConfig} */
     this.config = { ...DEFAULT_PLAYBACK_CONFIG, ...config };
 
+    /** @type {import('./audio-backends.mjs').AudioBackend} */
+    this._backend = getAudioBackend(this.config.backend || DEFAULT_AUDIO_BACKEND);
+
     /** @type {import('child_process').ChildProcess|null} */
     this._process = null;
 
@@ -53,6 +67,9 @@ export class AudioPlayback extends EventEmitter {
 
     /** @type {boolean} */
     this._endOfStream = false;
+
+    /** @type {number} - Sample rate of the current session */
+    this._sampleRate = this.config.sampleRate || 22050;
   }
 
   /**
@@ -66,24 +83,18 @@ export class AudioPlayback extends EventEmitter {
   /**
    * Start audio playback
    * @param {number} [sampleRate] - Override sample rate for this session
-   * @throws {Error} If already running or pacat fails
+   * @throws {Error} If already running or the player fails
    */
   start(sampleRate) {
     if (this._running) {
       throw new Error('AudioPlayback is already running');
     }
 
-    const rate = sampleRate || this.config.sampleRate;
-
-    const args = [
-      '--raw',
-      `--format=${this.config.format}`,
-      `--rate=${rate}`,
-      `--channels=${this.config.channels}`
-    ];
-
-    this._process = spawn('pacat', args, {
-      stdio: ['pipe', 'ignore', 'pipe']
+    this._sampleRate = sampleRate || this.config.sampleRate || 22050;
+    const command = this._backend.playbackCommand;
+    this._process = spawn(command, this._buildArgs(this._sampleRate), {
+      stdio: ['pipe', 'ignore', 'pipe'],
+      ...spawnEnv(this._backend, this.config.device)
     });
 
     this._running = true;
@@ -104,7 +115,7 @@ export class AudioPlayback extends EventEmitter {
       this._process = null;
 
       if (code !== 0 && code !== null && !this._endOfStream) {
-        this.emit('error', new Error(`pacat exited with code ${code}`));
+        this.emit('error', new Error(`${command} exited with code ${code}`));
       } else if (signal) {
         this.emit('stopped', signal);
       } else {
@@ -127,6 +138,29 @@ export class AudioPlayback extends EventEmitter {
     this.emit('started');
   }
 
+  /**
+   * Play to another sink from the next start()
+   * @param {string|null} device - PulseAudio sink name (null = default sink)
+   */
+  setDevice(device) {
+    this.config.device = device;
+  }
+
+  /**
+   * Build player arguments
+   * @param {number} [rate] - Sample rate
+   * @returns {string[]}
+   * @private
+   */
+  _buildArgs(rate) {
+    return this._backend.playbackArgs({
+      sampleRate: rate ?? this.config.sampleRate ?? 22050,
+      channels: this.config.channels ?? 1,
+      format: this.config.format ?? 's16le',
+      device: this.config.device ?? null
+    });
+  }
+
   /**
    * Write audio data for playback
    * @param {Buffer|Int16Array} chunk - Audio data to play
@@ -144,13 +178,17 @@ export class AudioPlayback extends EventEmitter {
       buffer = chunk;
     }
 
+    if (this.listenerCount('written') > 0) {
+      this.emit('written', toSamples(chunk), this._sampleRate);
+    }
+
     this._bytesWritten += buffer.length;
     return this._process.stdin.write(buffer);
   }
 
   /**
    * Signal end of audio stream
-   * This allows pacat to play remaining buffered audio before exiting.
+   * This allows the player to play remaining buffered audio before exiting.
    */
   end() {
     if (!this._running || !this._process?.stdin) {
@@ -204,6 +242,26 @@ export class AudioPlayback extends EventEmitter {
   }
 }
 
+/**
+ * View written audio as samples, copying a Buffer that is not 2-byte aligned
+ * @param {Buffer|Int16Array} chunk - s16le audio
+ * @returns {Int16Array}
+ */
+function toSamples(chunk) {
+  if (chunk instanceof Int16Array) {
+    return chunk;
+  }
+  const count = Math.floor(chunk.length / 2);
+  if (chunk.byteOffset % 2 === 0) {
+    return new Int16Array(chunk.buffer, chunk.byteOffset, count);
+  }
+  const samples = new Int16Array(count);
+  for (let i = 0; i < count; i++) {
+    samples[i] = chunk.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
 /**
  * Create an AudioPlayback instance
  * @param {Partial<AudioPlaybackConfig>} [config={}] - Configuration
@@ -0,0 +1,39 @@
+/**
+ * Audio Tools - Check that recording and playback commands are installed
+ *
+ * Imports nothing else from src/audio, so the backend registry
+ * (audio-backends.mjs) and the PulseAudio utilities (pulseaudio.mjs) can
+ * both use it without importing each other.
+ */
+
+import { execSync } from 'child_process';
+
+/**
+ * Check if a command is on the PATH
+ * @param {string} command - Command name
+ * @returns {boolean}
+ */
+export function isCommandAvailable(command) {
+  try {
+    execSync(`which ${command}`, { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that commands are installed
+ *
+ * @param {string[]} commands - Command names (duplicates are checked once)
+ * @param {function(string): boolean} [isAvailable] - Command lookup (default: which)
+ * @returns {{available: boolean, missing: string[]}}
+ */
+export function checkCommands(commands, isAvailable = isCommandAvailable) {
+  const missing = [...new Set(commands)].filter(command => !isAvailable(command));
+
+  return {
+    available: missing.length === 0,
+    missing
+  };
+}
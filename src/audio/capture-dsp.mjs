@@ -0,0 +1,637 @@
+/**
+ * Capture DSP - Cleans up microphone audio for VAD and STT
+ *
+ * In kitchens and cars the raw microphone signal makes Silero VAD start on
+ * noise and leaves whisper with quiet speech. Three optional stages help:
+ * - HighPassFilter: 2nd-order Butterworth at 80 Hz, removes rumble, hum and
+ *   handling noise below the voice.
+ * - NoiseSuppressor: spectral gate (512-point STFT, 50% overlap). It tracks
+ *   the noise level of each frequency bin and attenuates bins that do not
+ *   rise above it, by up to maxAttenuationDb. Adds 32 ms of latency.
+ * - AutoGainControl: brings each finished utterance to a target loudness
+ *   before transcription. It measures only the voiced part, so the silence
+ *   the VAD keeps at the end does not make speech look quiet.
+ *
+ * The first two run on every capture frame, before the VAD; the gain is
+ * applied to the utterance only, since boosting frames would raise the
+ * noise the VAD sees along with the voice.
+ */
+
+/**
+ * @typedef {Object} CaptureDspConfig
+ * @property {number} sampleRate - Capture sample rate
+ * @property {boolean} highPassFilter - Filter out low-frequency rumble
+ * @property {boolean} noiseSuppression - Attenuate steady background noise
+ * @property {boolean} autoGainControl - Normalize utterance loudness before STT
+ * @property {number} highPassCutoffHz - High-pass corner frequency
+ * @property {number} maxAttenuationDb - Most the noise suppressor takes off a bin
+ * @property {number} targetLevelDbfs - Speech level the gain control aims for
+ * @property {number} maxGainDb - Most the gain control boosts an utterance
+ */
+
+/**
+ * @typedef {Object} CaptureDspStats
+ * @property {FilterStats|null} highPass - null when off
+ * @property {NoiseSuppressorStats|null} noiseSuppression - null when off
+ * @property {AutoGainStats|null} autoGain - null when off
+ */
+
+/**
+ * @typedef {Object} FilterStats
+ * @property {number} framesProcessed - Capture frames filtered
+ * @property {number} reductionDb - Energy removed, smoothed over recent frames
+ */
+
+/**
+ * @typedef {Object} NoiseSuppressorStats
+ * @property {number} framesProcessed - Capture frames filtered
+ * @property {number} reductionDb - Energy removed, smoothed over recent frames
+ * @property {number} noiseLevelDbfs - Current noise estimate (-Infinity before any audio)
+ */
+
+/**
+ * @typedef {Object} AutoGainStats
+ * @property {number} utterancesNormalized - Utterances the gain was applied to
+ * @property {number} lastGainDb - Gain applied to the last utterance
+ */
+
+/**
+ * Default configuration
+ */
+export const DEFAULT_CAPTURE_DSP_CONFIG = Object.freeze({
+  sampleRate: 16000,
+  highPassFilter: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+  highPassCutoffHz: 80,
+  maxAttenuationDb: 20,
+  targetLevelDbfs: -20,
+  maxGainDb: 24
+});
+
+/** Weight of the newest frame in smoothed reductions */
+const REDUCTION_SMOOTHING = 0.1;
+
+/** STFT size of the noise suppressor (32 ms at 16 kHz) */
+const FFT_SIZE = 512;
+
+/** STFT hop; with the sqrt-Hann window, 50% overlap adds back to unity */
+const HOP_SIZE = FFT_SIZE / 2;
+
+/** Noise estimate: how fast it follows a quieter and a louder spectrum */
+const NOISE_FALL = 0.2;
+const NOISE_RISE = 0.002;
+
+/** Bin power smoothing before the noise estimate and gain see it */
+const POWER_SMOOTHING = 0.8;
+
+/** Noise is subtracted this many times over, to cover its fluctuation */
+const OVER_SUBTRACTION = 3;
+
+/** Gain control block length for measuring speech level */
+const LEVEL_BLOCK_MS = 10;
+
+/** Blocks quieter than the loudest by this much do not count as speech */
+const SPEECH_RANGE_DB = 30;
+
+/**
+ * Convert a power ratio to decibels
+ * @param {number} ratio
+ * @returns {number}
+ */
+function powerToDb(ratio) {
+  return 10 * Math.log10(ratio);
+}
+
+/**
+ * Energy of 16-bit samples, scaled to -1..1
+ * @param {ArrayLike<number>} samples
+ * @returns {number}
+ */
+function energyOf(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s = samples[i] / 32768;
+    sum += s * s;
+  }
+  return sum;
+}
+
+/**
+ * Convert to 16-bit samples, clipping
+ * @param {ArrayLike<number>} values
+ * @returns {Int16Array}
+ */
+function toInt16(values) {
+  const output = new Int16Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    output[i] = Math.max(-32768, Math.min(32767, Math.round(values[i])));
+  }
+  return output;
+}
+
+/**
+ * Smooth the energy a stage removed from a frame into its running figure
+ * @param {number} current - Smoothed reduction in dB
+ * @param {number} inputEnergy
+ * @param {number} outputEnergy
+ * @returns {number}
+ */
+function smoothReduction(current, inputEnergy, outputEnergy) {
+  if (inputEnergy <= 0) {
+    return current;
+  }
+  const reduction = powerToDb(inputEnergy / Math.max(outputEnergy, 1e-12));
+  return current + REDUCTION_SMOOTHING * (reduction - current);
+}
+
+/**
+ * HighPassFilter - Butterworth biquad that removes rumble below the voice
+ */
+export class HighPassFilter {
+  /**
+   * Create a HighPassFilter instance
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} cutoffHz - Corner frequency in Hz
+   */
+  constructor(sampleRate, cutoffHz) {
+    const w0 = (2 * Math.PI * cutoffHz) / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / Math.SQRT2;
+    const a0 = 1 + alpha;
+
+    /** @type {number[]} - b0, b1, b2, a1, a2, normalized by a0 */
+    this._coefficients = [
+      (1 + cos) / 2 / a0,
+      -(1 + cos) / a0,
+      (1 + cos) / 2 / a0,
+      (-2 * cos) / a0,
+      (1 - alpha) / a0
+    ];
+
+    /** @type {number[]} - x[n-1], x[n-2], y[n-1], y[n-2] */
+    this._state = [0, 0, 0, 0];
+
+    /** @type {number} */
+    this._framesProcessed = 0;
+
+    /** @type {number} */
+    this._reductionDb = 0;
+  }
+
+  /**
+   * Filter a capture frame
+   * @param {Int16Array} frame - Microphone samples
+   * @returns {Int16Array} Filtered samples
+   */
+  process(frame) {
+    const [b0, b1, b2, a1, a2] = this._coefficients;
+    let [x1, x2, y1, y2] = this._state;
+    const output = new Float64Array(frame.length);
+
+    for (let n = 0; n < frame.length; n++) {
+      const x = frame[n];
+      const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1;
+      x1 = x;
+      y2 = y1;
+      y1 = y;
+      output[n] = y;
+    }
+
+    this._state = [x1, x2, y1, y2];
+    this._framesProcessed++;
+    this._reductionDb = smoothReduction(this._reductionDb, energyOf(frame), energyOf(output));
+    return toInt16(output);
+  }
+
+  /**
+   * Clear the filter history
+   */
+  reset() {
+    this._state = [0, 0, 0, 0];
+  }
+
+  /**
+   * Get statistics
+   * @returns {FilterStats}
+   */
+  getStats() {
+    return {
+      framesProcessed: this._framesProcessed,
+      reductionDb: Math.round(this._reductionDb * 10) / 10
+    };
+  }
+}
+
+/**
+ * NoiseSuppressor - Spectral gate for steady background noise
+ */
+export class NoiseSuppressor {
+  /**
+   * Create a NoiseSuppressor instance
+   * @param {number} maxAttenuationDb - Most taken off a bin
+   */
+  constructor(maxAttenuationDb) {
+    /** @type {number} - Lowest gain of a bin */
+    this._floor = Math.pow(10, -maxAttenuationDb / 20);
+
+    /** @type {Float64Array} - Periodic sqrt-Hann window, for analysis and synthesis */
+    this._window = new Float64Array(FFT_SIZE);
+    for (let n = 0; n < FFT_SIZE; n++) {
+      this._window[n] = Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * n) / FFT_SIZE));
+    }
+
+    /** @type {Uint16Array} - Bit-reversed index of each FFT position */
+    this._bitReverse = new Uint16Array(FFT_SIZE);
+    const bits = Math.log2(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed = (reversed << 1) | ((i >> b) & 1);
+      }
+      this._bitReverse[i] = reversed;
+    }
+
+    /** @type {Float64Array} */
+    this._re = new Float64Array(FFT_SIZE);
+
+    /** @type {Float64Array} */
+    this._im = new Float64Array(FFT_SIZE);
+
+    const bins = FFT_SIZE / 2 + 1;
+
+    /** @type {Float64Array} - Smoothed power per bin */
+    this._power = new Float64Array(bins);
+
+    /** @type {Float64Array} - Noise power estimate per bin */
+    this._noise = new Float64Array(bins);
+
+    /** @type {Float64Array} - Gain per bin from the previous block */
+    this._gains = new Float64Array(bins).fill(1);
+
+    /** @type {boolean} - Whether the estimates have seen a block */
+    this._primed = false;
+
+    /** @type {Float64Array} - Last FFT_SIZE input samples */
+    this._input = new Float64Array(FFT_SIZE);
+
+    /** @type {number} - New samples in _input since the last block */
+    this._inputFill = FFT_SIZE - HOP_SIZE;
+
+    /** @type {Float64Array} - Overlap-add accumulator */
+    this._overlap = new Float64Array(FFT_SIZE);
+
+    /** @type {number[]} - Finished output not yet returned */
+    this._output = new Array(HOP_SIZE).fill(0);
+
+    /** @type {number} */
+    this._framesProcessed = 0;
+
+    /** @type {number} */
+    this._reductionDb = 0;
+  }
+
+  /**
+   * Suppress noise in a capture frame
+   *
+   * Output lags the input by 32 ms; the first frame starts with silence.
+   *
+   * @param {Int16Array} frame - Microphone samples
+   * @returns {Int16Array} Samples with noise attenuated, same length
+   */
+  process(frame) {
+    for (let n = 0; n < frame.length; n++) {
+      this._input[this._inputFill++] = frame[n];
+      if (this._inputFill === FFT_SIZE) {
+        this._processBlock();
+        this._input.copyWithin(0, HOP_SIZE);
+        this._inputFill = FFT_SIZE - HOP_SIZE;
+      }
+    }
+
+    const output = toInt16(this._output.splice(0, frame.length));
+    this._framesProcessed++;
+    this._reductionDb = smoothReduction(this._reductionDb, energyOf(frame), energyOf(output));
+    return output;
+  }
+
+  /**
+   * Forget the noise estimate and buffered audio
+   */
+  reset() {
+    this._power.fill(0);
+    this._noise.fill(0);
+    this._gains.fill(1);
+    this._primed = false;
+    this._input.fill(0);
+    this._inputFill = FFT_SIZE - HOP_SIZE;
+    this._overlap.fill(0);
+    this._output = new Array(HOP_SIZE).fill(0);
+  }
+
+  /**
+   * Get statistics
+   * @returns {NoiseSuppressorStats}
+   */
+  getStats() {
+    let noise = 0;
+    for (let k = 0; k < this._noise.length; k++) {
+      noise += this._noise[k];
+    }
+    // Half the spectrum holds half the power (Parseval); the window halves it again
+    const meanSquare = (4 * noise) / (FFT_SIZE * FFT_SIZE * 32768 * 32768);
+
+    return {
+      framesProcessed: this._framesProcessed,
+      reductionDb: Math.round(this._reductionDb * 10) / 10,
+      noiseLevelDbfs: this._primed ? Math.round(powerToDb(meanSquare) * 10) / 10 : -Infinity
+    };
+  }
+
+  /**
+   * Gate one STFT block and overlap-add it to the output
+   * @private
+   */
+  _processBlock() {
+    const re = this._re;
+    const im = this._im;
+    for (let n = 0; n < FFT_SIZE; n++) {
+      re[n] = this._input[n] * this._window[n];
+      im[n] = 0;
+    }
+
+    this._fft(false);
+
+    for (let k = 0; k <= FFT_SIZE / 2; k++) {
+      const power = re[k] * re[k] + im[k] * im[k];
+      if (this._primed) {
+        this._power[k] += (1 - POWER_SMOOTHING) * (power - this._power[k]);
+        const rate = this._power[k] < this._noise[k] ? NOISE_FALL : NOISE_RISE;
+        this._noise[k] += rate * (this._power[k] - this._noise[k]);
+      } else {
+        this._power[k] = power;
+        this._noise[k] = power;
+      }
+
+      const target = this._power[k] > 0
+        ? Math.max(this._floor, 1 - (OVER_SUBTRACTION * this._noise[k]) / this._power[k])
+        : this._floor;
+      // Quick to open, slower to close: keeps word onsets, softens musical noise
+      const gain = target > this._gains[k] ? target : 0.5 * (this._gains[k] + target);
+      this._gains[k] = gain;
+
+      re[k] *= gain;
+      im[k] *= gain;
+      if (k > 0 && k < FFT_SIZE / 2) {
+        re[FFT_SIZE - k] = re[k];
+        im[FFT_SIZE - k] = -im[k];
+      }
+    }
+    this._primed = true;
+
+    this._fft(true);
+
+    for (let n = 0; n < FFT_SIZE; n++) {
+      this._overlap[n] += re[n] * this._window[n];
+    }
+    for (let n = 0; n < HOP_SIZE; n++) {
+      this._output.push(this._overlap[n]);
+    }
+    this._overlap.copyWithin(0, HOP_SIZE);
+    this._overlap.fill(0, FFT_SIZE - HOP_SIZE);
+  }
+
+  /**
+   * In-place radix-2 FFT of _re/_im
+   * @param {boolean} inverse - Inverse transform, scaled by 1/N
+   * @private
+   */
+  _fft(inverse) {
+    const re = this._re;
+    const im = this._im;
+
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const j = this._bitReverse[i];
+      if (j > i) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    const sign = inverse ? 1 : -1;
+    for (let size = 2; size <= FFT_SIZE; size *= 2) {
+      const half = size / 2;
+      const angle = (sign * 2 * Math.PI) / size;
+      for (let start = 0; start < FFT_SIZE; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = Math.cos(angle * k);
+          const wi = Math.sin(angle * k);
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+
+    if (inverse) {
+      for (let i = 0; i < FFT_SIZE; i++) {
+        re[i] /= FFT_SIZE;
+        im[i] /= FFT_SIZE;
+      }
+    }
+  }
+}
+
+/**
+ * AutoGainControl - Brings utterances to a common speech level
+ */
+export class AutoGainControl {
+  /**
+   * Create an AutoGainControl instance
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} targetLevelDbfs - Speech level to aim for
+   * @param {number} maxGainDb - Most an utterance is boosted
+   */
+  constructor(sampleRate, targetLevelDbfs, maxGainDb) {
+    /** @type {number} */
+    this._blockSize = Math.round((LEVEL_BLOCK_MS / 1000) * sampleRate);
+
+    /** @type {number} */
+    this._targetLevelDbfs = targetLevelDbfs;
+
+    /** @type {number} */
+    this._maxGainDb = maxGainDb;
+
+    /** @type {number} */
+    this._utterancesNormalized = 0;
+
+    /** @type {number} */
+    this._lastGainDb = 0;
+  }
+
+  /**
+   * Scale an utterance to the target speech level
+   *
+   * The gain is capped by maxGainDb and by the peak, so the loudest
+   * sample is not clipped.
+   *
+   * @param {Int16Array} audio - Utterance samples
+   * @returns {Int16Array} Scaled samples (the input itself when silent)
+   */
+  normalize(audio) {
+    const levelDbfs = this.measure(audio);
+    if (levelDbfs === -Infinity) {
+      return audio;
+    }
+
+    let peak = 0;
+    for (let i = 0; i < audio.length; i++) {
+      peak = Math.max(peak, Math.abs(audio[i]));
+    }
+
+    const gainDb = Math.min(
+      this._targetLevelDbfs - levelDbfs,
+      this._maxGainDb,
+      20 * Math.log10(32767 / peak)
+    );
+
+    this._utterancesNormalized++;
+    this._lastGainDb = gainDb;
+
+    const gain = Math.pow(10, gainDb / 20);
+    const output = new Float64Array(audio.length);
+    for (let i = 0; i < audio.length; i++) {
+      output[i] = audio[i] * gain;
+    }
+    return toInt16(output);
+  }
+
+  /**
+   * Measure the speech level of an utterance
+   *
+   * RMS over the 10 ms blocks within 30 dB of the loudest one.
+   *
+   * @param {Int16Array} audio - Utterance samples
+   * @returns {number} Level in dBFS (-Infinity for silence)
+   */
+  measure(audio) {
+    /** @type {number[]} */
+    const blocks = [];
+    for (let start = 0; start < audio.length; start += this._blockSize) {
+      const block = audio.subarray(start, start + this._blockSize);
+      blocks.push(energyOf(block) / block.length);
+    }
+
+    const loudest = Math.max(0, ...blocks);
+    if (loudest === 0) {
+      return -Infinity;
+    }
+
+    const threshold = loudest * Math.pow(10, -SPEECH_RANGE_DB / 10);
+    const speech = blocks.filter(power => power >= threshold);
+    const meanPower = speech.reduce((sum, power) => sum + power, 0) / speech.length;
+    return powerToDb(meanPower);
+  }
+
+  /**
+   * Get statistics
+   * @returns {AutoGainStats}
+   */
+  getStats() {
+    return {
+      utterancesNormalized: this._utterancesNormalized,
+      lastGainDb: Math.round(this._lastGainDb * 10) / 10
+    };
+  }
+}
+
+/**
+ * CaptureDsp - The capture clean-up chain, with each stage optional
+ */
+export class CaptureDsp {
+  /**
+   * Create a CaptureDsp instance
+   * @param {Partial<CaptureDspConfig>} [config={}] - Configuration
+   */
+  constructor(config = {}) {
+    /** @type {CaptureDspConfig} */
+    this.config = { ...DEFAULT_CAPTURE_DSP_CONFIG, ...config };
+
+    /** @type {HighPassFilter|null} */
+    this._highPass = this.config.highPassFilter
+      ? new HighPassFilter(this.config.sampleRate, this.config.highPassCutoffHz)
+      : null;
+
+    /** @type {NoiseSuppressor|null} */
+    this._noiseSuppressor = this.config.noiseSuppression
+      ? new NoiseSuppressor(this.config.maxAttenuationDb)
+      : null;
+
+    /** @type {AutoGainControl|null} */
+    this._autoGain = this.config.autoGainControl
+      ? new AutoGainControl(this.config.sampleRate, this.config.targetLevelDbfs, this.config.maxGainDb)
+      : null;
+  }
+
+  /**
+   * Clean up a capture frame before the VAD
+   * @param {Int16Array} frame - Microphone samples
+   * @returns {Int16Array} Filtered samples (the input itself with both stages off)
+   */
+  processFrame(frame) {
+    let output = frame;
+    if (this._highPass) {
+      output = this._highPass.process(output);
+    }
+    if (this._noiseSuppressor) {
+      output = this._noiseSuppressor.process(output);
+    }
+    return output;
+  }
+
+  /**
+   * Bring an utterance to the target level before STT
+   * @param {Int16Array} audio - Utterance samples
+   * @returns {Int16Array} Scaled samples (the input itself with gain control off)
+   */
+  normalizeUtterance(audio) {
+    return this._autoGain ? this._autoGain.normalize(audio) : audio;
+  }
+
+  /**
+   * Clear filter state between capture sessions
+   */
+  reset() {
+    this._highPass?.reset();
+    this._noiseSuppressor?.reset();
+  }
+
+  /**
+   * Get statistics per stage
+   * @returns {CaptureDspStats}
+   */
+  getStats() {
+    return {
+      highPass: this._highPass?.getStats() ?? null,
+      noiseSuppression: this._noiseSuppressor?.getStats() ?? null,
+      autoGain: this._autoGain?.getStats() ?? null
+    };
+  }
+}
+
+/**
+ * Create a CaptureDsp instance
+ * @param {Partial<CaptureDspConfig>} [config={}] - Configuration
+ * @returns {CaptureDsp}
+ */
+export function createCaptureDsp(config = {}) {
+  return new CaptureDsp(config);
+}
+
+export default CaptureDsp;
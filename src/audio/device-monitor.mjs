@@ -0,0 +1,250 @@
+/**
+ * Device Monitor - Follows PulseAudio devices as they come and go
+ *
+ * Runs `pactl subscribe` and re-reads the source and sink lists when a
+ * device appears or disappears, or the server's default devices change
+ * (e.g. a Bluetooth headset connects). A headset registers several
+ * objects at once, so a burst of events is debounced into one refresh.
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { listAudioDevices, getDefaultDevices } from './pulseaudio.mjs';
+
+/**
+ * @typedef {import('./pulseaudio.mjs').AudioDevice} AudioDevice
+ */
+
+/**
+ * @typedef {Object} DeviceSnapshot
+ * @property {AudioDevice[]} sources - Microphones
+ * @property {AudioDevice[]} sinks - Speakers and headphones
+ * @property {string|null} defaultSource - PulseAudio default source
+ * @property {string|null} defaultSink - PulseAudio default sink
+ */
+
+/**
+ * @typedef {Object} DeviceChange
+ * @property {DeviceSnapshot} snapshot - Devices after the change
+ * @property {string[]} added - Names of sources and sinks that appeared
+ * @property {string[]} removed - Names of sources and sinks that disappeared
+ * @property {boolean} defaultsChanged - Whether the default source or sink changed
+ */
+
+/**
+ * @typedef {Object} DeviceMonitorConfig
+ * @property {number} debounceMs - Wait this long after the last event before re-reading the devices
+ * @property {function(): import('./pulseaudio.mjs').AudioDeviceList} listDevices - Device enumeration
+ * @property {function(): {source: string|null, sink: string|null}} getDefaultDevices - Default device lookup
+ */
+
+/**
+ * Default configuration
+ */
+export const DEFAULT_DEVICE_MONITOR_CONFIG = Object.freeze({
+  debounceMs: 300,
+  listDevices: listAudioDevices,
+  getDefaultDevices
+});
+
+/**
+ * `pactl subscribe` lines that can change which devices exist or are default;
+ * 'change' events on devices (volume, suspend) are left out
+ */
+const DEVICE_EVENT_PATTERN = /^Event '(?:new|remove)' on (?:source|sink) #\d+$|^Event 'change' on server/;
+
+/**
+ * DeviceMonitor - Reports added and removed audio devices
+ *
+ * Events:
+ * - 'changed' {snapshot, added, removed, defaultsChanged} - Devices or defaults changed
+ * - 'error' - pactl subscribe could not run or exited
+ */
+export class DeviceMonitor extends EventEmitter {
+  /**
+   * Create a DeviceMonitor instance
+   * @param {Partial<DeviceMonitorConfig>} [config={}] - Configuration
+   */
+  constructor(config = {}) {
+    super();
+
+    /** @type {DeviceMonitorConfig} */
+    this.config = { ...DEFAULT_DEVICE_MONITOR_CONFIG, ...config };
+
+    /** @type {DeviceSnapshot} */
+    this._snapshot = { sources: [], sinks: [], defaultSource: null, defaultSink: null };
+
+    /** @type {import('child_process').ChildProcess|null} */
+    this._process = null;
+
+    /** @type {string} - Partial line of pactl output */
+    this._lineBuffer = '';
+
+    /** @type {NodeJS.Timeout|null} */
+    this._refreshTimer = null;
+  }
+
+  /**
+   * Get the devices as last read
+   * @returns {DeviceSnapshot}
+   */
+  get snapshot() {
+    return this._snapshot;
+  }
+
+  /**
+   * Check if the monitor is running
+   * @returns {boolean}
+   */
+  get running() {
+    return this._process !== null;
+  }
+
+  /**
+   * Read the devices and start following changes
+   * @returns {DeviceSnapshot} The devices present now
+   */
+  start() {
+    this._snapshot = this._read();
+    if (this._process) {
+      return this._snapshot;
+    }
+
+    const proc = spawn('pactl', ['subscribe'], {
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    this._process = proc;
+    this._lineBuffer = '';
+
+    proc.stdout?.on('data', (/** @type {Buffer} */ data) => {
+      this._handleOutput(data.toString());
+    });
+
+    proc.on('exit', (code) => {
+      if (this._process !== proc) {
+        return;
+      }
+      this._process = null;
+      this.emit('error', new Error(`pactl subscribe exited with code ${code}`));
+    });
+
+    proc.on('error', (err) => {
+      if (this._process !== proc) {
+        return;
+      }
+      this._process = null;
+      this.emit('error', err);
+    });
+
+    return this._snapshot;
+  }
+
+  /**
+   * Re-read the devices now
+   * @returns {DeviceChange|null} The change, or null if nothing changed
+   */
+  refresh() {
+    const previous = this._snapshot;
+    const snapshot = this._read();
+    this._snapshot = snapshot;
+
+    const previousNames = deviceNames(previous);
+    const names = deviceNames(snapshot);
+    const added = [...names].filter(name => !previousNames.has(name));
+    const removed = [...previousNames].filter(name => !names.has(name));
+    const defaultsChanged = snapshot.defaultSource !== previous.defaultSource ||
+      snapshot.defaultSink !== previous.defaultSink;
+
+    if (added.length === 0 && removed.length === 0 && !defaultsChanged) {
+      return null;
+    }
+
+    /** @type {DeviceChange} */
+    const change = { snapshot, added, removed, defaultsChanged };
+    this.emit('changed', change);
+    return change;
+  }
+
+  /**
+   * Stop following changes
+   */
+  stop() {
+    if (this._refreshTimer) {
+      clearTimeout(this._refreshTimer);
+      this._refreshTimer = null;
+    }
+
+    const proc = this._process;
+    if (proc) {
+      this._process = null;
+      proc.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Dispose resources
+   */
+  dispose() {
+    this.stop();
+    this.removeAllListeners();
+  }
+
+  /**
+   * Handle pactl subscribe output
+   * @param {string} text - Output, possibly ending mid-line
+   * @private
+   */
+  _handleOutput(text) {
+    const lines = (this._lineBuffer + text).split('\n');
+    this._lineBuffer = lines.pop() ?? '';
+
+    if (lines.some(line => DEVICE_EVENT_PATTERN.test(line.trim()))) {
+      this._scheduleRefresh();
+    }
+  }
+
+  /**
+   * Refresh once the burst of events is over
+   * @private
+   */
+  _scheduleRefresh() {
+    if (this._refreshTimer) {
+      clearTimeout(this._refreshTimer);
+    }
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      this.refresh();
+    }, this.config.debounceMs);
+  }
+
+  /**
+   * Read the devices and defaults
+   * @returns {DeviceSnapshot}
+   * @private
+   */
+  _read() {
+    const { sources, sinks } = this.config.listDevices();
+    const { source, sink } = this.config.getDefaultDevices();
+    return { sources, sinks, defaultSource: source, defaultSink: sink };
+  }
+}
+
+/**
+ * Names of all sources and sinks in a snapshot
+ * @param {DeviceSnapshot} snapshot
+ * @returns {Set<string>}
+ */
+function deviceNames(snapshot) {
+  return new Set([...snapshot.sources, ...snapshot.sinks].map(device => device.name));
+}
+
+/**
+ * Create a DeviceMonitor instance
+ * @param {Partial<DeviceMonitorConfig>} [config={}] - Configuration
+ * @returns {DeviceMonitor}
+ */
+export function createDeviceMonitor(config = {}) {
+  return new DeviceMonitor(config);
+}
+
+export default DeviceMonitor;
@@ -0,0 +1,331 @@
+/**
+ * Earcons - Short sounds for Scout's own status cues
+ *
+ * Status that Scout reports itself is never said in the agent's words, and
+ * these cues are never synthesized at all, so they can't be mistaken for
+ * the agent:
+ * - listening: Scout is listening (session start, end of a reply)
+ * - processing: the utterance was sent to the agent
+ * - error: played before a spoken error or connection problem
+ * - reconnected: the gateway is back
+ * - wake_word: the wake phrase was accepted
+ *
+ * The built-in sounds are generated sine tones (s16le mono, faded in and
+ * out so they don't click). Each event can be turned off or replaced with
+ * a 16-bit mono WAV file. Earcons play through their own AudioPlayback,
+ * one at a time; an earcon requested while another is playing is dropped.
+ */
+
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import { AudioPlayback } from './audio-playback.mjs';
+import { applyGain, msToSamples } from './audio-buffer.mjs';
+import { WavStreamDecoder } from './wav-stream.mjs';
+
+/**
+ * @typedef {'listening' | 'processing' | 'error' | 'reconnected' | 'wake_word'} EarconEvent
+ */
+
+/**
+ * @typedef {boolean | string} EarconSetting - true for the built-in sound, false for none, or a WAV file path
+ */
+
+/**
+ * @typedef {Object} EarconPlayerConfig
+ * @property {Partial<Record<EarconEvent, EarconSetting>>} sounds - Sound per event (built-in when not listed)
+ * @property {number} sampleRate - Sample rate of the built-in sounds
+ * @property {number} volume - Output gain (1 = unchanged)
+ * @property {string|null} device - PulseAudio sink to play to (null = default sink)
+ * @property {string} [backend] - Audio backend to play with (see audio-backends.mjs)
+ */
+
+/**
+ * @typedef {Object} Earcon
+ * @property {number} sampleRate - Sample rate of the audio
+ * @property {Int16Array} samples - Audio samples
+ */
+
+/**
+ * Events that have an earcon
+ * @type {ReadonlyArray<EarconEvent>}
+ */
+export const EARCON_EVENTS = Object.freeze(['listening', 'processing', 'error', 'reconnected', 'wake_word']);
+
+/**
+ * Default configuration
+ */
+export const DEFAULT_EARCON_CONFIG = Object.freeze({
+  sounds: {},
+  sampleRate: 22050,
+  volume: 1,
+  device: null
+});
+
+/**
+ * Built-in sounds as [frequency Hz, duration ms] notes; frequency 0 is a rest
+ *
+ * All are under 300ms, well below the shortest utterance VAD accepts, so
+ * an earcon picked up by the microphone is not taken for speech.
+ *
+ * @type {Readonly<Record<EarconEvent, ReadonlyArray<[number, number]>>>}
+ */
+const BUILT_IN_NOTES = Object.freeze({
+  listening: [[660, 70], [880, 90]],
+  processing: [[523, 60]],
+  error: [[440, 100], [0, 30], [330, 150]],
+  reconnected: [[523, 60], [659, 60], [784, 100]],
+  wake_word: [[988, 80]]
+});
+
+/** Peak level of the built-in sounds (fraction of full scale) */
+const TONE_LEVEL = 0.3;
+
+/** Fade at the start and end of each note */
+const NOTE_FADE_MS = 8;
+
+/**
+ * Generate one of the built-in sounds
+ * @param {EarconEvent} event - Event to generate the sound for
+ * @param {number} [sampleRate=22050] - Sample rate
+ * @returns {Int16Array} s16le mono samples
+ */
+export function generateEarcon(event, sampleRate = DEFAULT_EARCON_CONFIG.sampleRate) {
+  const notes = BUILT_IN_NOTES[event];
+  if (!notes) {
+    throw new Error(`Unknown earcon event: ${event}`);
+  }
+
+  const total = notes.reduce((sum, [, ms]) => sum + msToSamples(ms, sampleRate), 0);
+  const samples = new Int16Array(total);
+  const fade = msToSamples(NOTE_FADE_MS, sampleRate);
+
+  let offset = 0;
+  for (const [frequency, ms] of notes) {
+    const length = msToSamples(ms, sampleRate);
+    if (frequency > 0) {
+      for (let i = 0; i < length; i++) {
+        const envelope = Math.min(1, i / fade, (length - 1 - i) / fade);
+        const value = Math.sin((2 * Math.PI * frequency * i) / sampleRate) * envelope * TONE_LEVEL;
+        samples[offset + i] = Math.round(value * 32767);
+      }
+    }
+    offset += length;
+  }
+
+  return samples;
+}
+
+/**
+ * Read an earcon from a WAV file
+ * @param {string} path - 16-bit mono WAV file
+ * @returns {Promise<Earcon>}
+ * @throws {Error} If the file can't be read or is not 16-bit mono WAV
+ */
+export async function loadEarconFile(path) {
+  const decoder = new WavStreamDecoder();
+  const pcm = decoder.push(await readFile(path));
+  if (!decoder.format || pcm.length === 0) {
+    throw new Error(`No audio in ${path}`);
+  }
+
+  return {
+    sampleRate: decoder.format.sampleRate,
+    samples: new Int16Array(pcm.buffer, pcm.byteOffset, pcm.length / 2)
+  };
+}
+
+/**
+ * EarconPlayer - Plays the status earcons
+ *
+ * Events:
+ * - 'played' {event} - An earcon finished playing
+ * - 'error' - A sound file could not be loaded or playback failed
+ */
+export class EarconPlayer extends EventEmitter {
+  /**
+   * Create an EarconPlayer instance
+   * @param {Partial<EarconPlayerConfig>} [config={}] - Configuration
+   */
+  constructor(config = {}) {
+    super();
+
+    /** @type {EarconPlayerConfig} */
+    this.config = { ...DEFAULT_EARCON_CONFIG, ...config };
+
+    /** @type {Map<EarconEvent, Earcon>} - Sounds by event, for the events that have one */
+    this._earcons = new Map();
+    for (const event of EARCON_EVENTS) {
+      if (this.config.sounds[event] !== false) {
+        this._earcons.set(event, {
+          sampleRate: this.config.sampleRate,
+          samples: generateEarcon(event, this.config.sampleRate)
+        });
+      }
+    }
+
+    /** @type {AudioPlayback} */
+    this._audioPlayback = new AudioPlayback({
+      sampleRate: this.config.sampleRate,
+      device: this.config.device,
+      backend: this.config.backend
+    });
+
+    /** @type {number} */
+    this._volume = 1;
+    this.setVolume(this.config.volume);
+
+    /** @type {boolean} */
+    this._playing = false;
+  }
+
+  /**
+   * Get the underlying AudioPlayback instance
+   * @returns {AudioPlayback}
+   */
+  get audioPlayback() {
+    return this._audioPlayback;
+  }
+
+  /**
+   * Check if an earcon is playing
+   * @returns {boolean}
+   */
+  get playing() {
+    return this._playing;
+  }
+
+  /**
+   * Get the output gain
+   * @returns {number}
+   */
+  get volume() {
+    return this._volume;
+  }
+
+  /**
+   * Set the output gain from the next earcon
+   * @param {number} volume - Gain factor (0 = silent, 1 = unchanged)
+   */
+  setVolume(volume) {
+    if (typeof volume !== 'number' || !Number.isFinite(volume) || volume < 0) {
+      throw new Error('Volume must be a non-negative number');
+    }
+    this._volume = volume;
+  }
+
+  /**
+   * Play to another sink from the next earcon
+   * @param {string|null} device - PulseAudio sink name (null = default sink)
+   */
+  setDevice(device) {
+    this.config.device = device;
+    this._audioPlayback.setDevice(device);
+  }
+
+  /**
+   * Load the sound files configured in place of the built-in sounds
+   *
+   * A file that can't be loaded is reported and its event keeps the
+   * built-in sound.
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    for (const event of EARCON_EVENTS) {
+      const setting = this.config.sounds[event];
+      if (typeof setting !== 'string') {
+        continue;
+      }
+      try {
+        this._earcons.set(event, await loadEarconFile(setting));
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        this.emit('error', new Error(`Could not load ${event} earcon: ${message}`));
+      }
+    }
+  }
+
+  /**
+   * Check if an event has an earcon
+   * @param {EarconEvent} event
+   * @returns {boolean}
+   */
+  isEnabled(event) {
+    return this._earcons.has(event);
+  }
+
+  /**
+   * Play the earcon for an event
+   * @param {EarconEvent} event - Event to play
+   * @returns {Promise<boolean>} Resolves when the earcon has played: false if the event has none, another was playing, or playback failed
+   */
+  async play(event) {
+    const earcon = this._earcons.get(event);
+    if (!earcon || this._playing || this._volume === 0) {
+      return false;
+    }
+
+    this._playing = true;
+    const playback = this._audioPlayback;
+
+    const finished = new Promise((resolve) => {
+      const done = (/** @type {boolean} */ ok) => {
+        playback.removeListener('complete', onComplete);
+        playback.removeListener('stopped', onStopped);
+        playback.removeListener('error', onError);
+        resolve(ok);
+      };
+      const onComplete = () => done(true);
+      const onStopped = () => done(false);
+      const onError = (/** @type {Error} */ err) => {
+        this.emit('error', err);
+        done(false);
+      };
+      playback.on('complete', onComplete);
+      playback.on('stopped', onStopped);
+      playback.on('error', onError);
+    });
+
+    try {
+      playback.start(earcon.sampleRate);
+      playback.write(applyGain(earcon.samples, this._volume));
+      playback.end();
+    } catch (err) {
+      playback.emit('error', err instanceof Error ? err : new Error(String(err)));
+    }
+
+    const played = /** @type {boolean} */ (await finished);
+    this._playing = false;
+    if (played) {
+      this.emit('played', { event });
+    }
+    return played;
+  }
+
+  /**
+   * Stop the earcon that is playing
+   */
+  stop() {
+    this._audioPlayback.stop();
+  }
+
+  /**
+   * Dispose resources
+   */
+  dispose() {
+    this.stop();
+    this._audioPlayback.removeAllListeners();
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Create an EarconPlayer instance
+ * @param {Partial<EarconPlayerConfig>} [config={}] - Configuration
+ * @returns {EarconPlayer}
+ */
+export function createEarconPlayer(config = {}) {
+  return new EarconPlayer(config);
+}
+
+export default EarconPlayer;
@@ -0,0 +1,358 @@
+/**
+ * Echo Canceller - Removes Scout's own voice from the microphone signal
+ *
+ * On a phone speaker the microphone hears every reply, and the VAD takes
+ * it for barge-in. The canceller models the path from speaker to
+ * microphone with an adaptive NLMS filter, using the PCM written to
+ * AudioPlayback as the reference, and subtracts its estimate of the echo
+ * from each capture frame before the VAD sees it:
+ * - Reference audio is resampled to the capture rate and queued as it is
+ *   written; each capture frame takes as many samples from the queue.
+ *   When playback starts, delayMs of silence goes in first to cover the
+ *   output and input latency.
+ * - The filter spans tailMs of echo (reflections, latency jitter).
+ * - Adaptation pauses while the microphone is louder than the echo could
+ *   be (Geigel double-talk detection), so the user's voice is not learned
+ *   as echo and passes through.
+ * - With no reference in the filter window, frames pass through as is.
+ */
+
+import { msToSamples } from './audio-buffer.mjs';
+
+/**
+ * @typedef {Object} EchoCancellerConfig
+ * @property {number} sampleRate - Capture sample rate
+ * @property {number} delayMs - Output plus input latency: how long after it is written the reference reaches the microphone
+ * @property {number} tailMs - Echo length the filter covers, beyond delayMs
+ * @property {number} stepSize - NLMS step size (0-2; larger adapts faster but is noisier)
+ * @property {number} doubleTalkRatio - The user is taken to be talking when the microphone peak exceeds this share of the reference peak
+ */
+
+/**
+ * @typedef {Object} EchoCancellerStats
+ * @property {number} framesProcessed - Capture frames seen
+ * @property {number} framesCancelled - Frames filtered against a reference
+ * @property {number} doubleTalkFrames - Filtered frames in which adaptation paused
+ * @property {number} erleDb - Echo return loss enhancement, smoothed over recent frames (0 before any)
+ */
+
+/**
+ * Default configuration
+ */
+export const DEFAULT_ECHO_CANCELLER_CONFIG = Object.freeze({
+  sampleRate: 16000,
+  delayMs: 100,
+  tailMs: 128,
+  stepSize: 0.4,
+  doubleTalkRatio: 0.5
+});
+
+/** Keeps the NLMS update finite when the reference is nearly silent */
+const REGULARIZATION = 1e-4;
+
+/** Weight of the newest frame in the smoothed ERLE */
+const ERLE_SMOOTHING = 0.1;
+
+/**
+ * EchoCanceller - Adaptive NLMS echo cancellation for capture frames
+ */
+export class EchoCanceller {
+  /**
+   * Create an EchoCanceller instance
+   * @param {Partial<EchoCancellerConfig>} [config={}] - Configuration
+   */
+  constructor(config = {}) {
+    /** @type {EchoCancellerConfig} */
+    this.config = { ...DEFAULT_ECHO_CANCELLER_CONFIG, ...config };
+
+    /** @type {number} - Filter length in samples */
+    this._taps = msToSamples(this.config.tailMs, this.config.sampleRate);
+
+    /** @type {Float32Array} - Estimated speaker-to-microphone impulse response */
+    this._weights = new Float32Array(this._taps);
+
+    /** @type {Float32Array} - Recent reference, each sample stored twice so the window is contiguous */
+    this._history = new Float32Array(this._taps * 2);
+
+    /** @type {number} - Start of the window in _history, newest sample first */
+    this._historyPos = 0;
+
+    /** @type {number} - Energy of the reference window */
+    this._power = 0;
+
+    /** @type {number} - Reference samples since the last non-zero one */
+    this._silentRun = this._taps;
+
+    /** @type {Float32Array[]} - Reference waiting for its capture frame */
+    this._queue = [];
+
+    /** @type {number} - Samples of _queue[0] already taken */
+    this._queueOffset = 0;
+
+    /** @type {number} - Samples waiting in the queue */
+    this._queued = 0;
+
+    /** @type {number} - Sample rate of the reference being resampled */
+    this._refRate = 0;
+
+    /** @type {number} - Resampling position relative to the next reference chunk */
+    this._refPos = 0;
+
+    /** @type {number} - Last sample of the previous reference chunk */
+    this._refLast = 0;
+
+    /** @type {number} */
+    this._framesProcessed = 0;
+
+    /** @type {number} */
+    this._framesCancelled = 0;
+
+    /** @type {number} */
+    this._doubleTalkFrames = 0;
+
+    /** @type {number} */
+    this._erleDb = 0;
+  }
+
+  /**
+   * Get the filter length in samples
+   * @returns {number}
+   */
+  get taps() {
+    return this._taps;
+  }
+
+  /**
+   * Check if reference audio is in the filter window or waiting for it
+   * @returns {boolean}
+   */
+  get active() {
+    return this._queued > 0 || this._silentRun < this._taps;
+  }
+
+  /**
+   * Add audio just written to the speaker
+   * @param {Int16Array} samples - PCM written to AudioPlayback (s16le, mono)
+   * @param {number} sampleRate - Playback sample rate
+   */
+  pushReference(samples, sampleRate) {
+    if (samples.length === 0) {
+      return;
+    }
+
+    // Playback starting from silence: the speaker is heard after the latency
+    if (!this.active) {
+      this._enqueue(new Float32Array(msToSamples(this.config.delayMs, this.config.sampleRate)));
+    }
+
+    this._enqueue(this._resample(samples, sampleRate));
+  }
+
+  /**
+   * Remove the echo from a capture frame
+   * @param {Int16Array} frame - Microphone samples at the capture rate
+   * @returns {Int16Array} The frame without echo (the input itself when there is no reference)
+   */
+  process(frame) {
+    this._framesProcessed++;
+    if (!this.active) {
+      return frame;
+    }
+
+    const reference = this._takeReference(frame.length);
+    const taps = this._taps;
+    const weights = this._weights;
+    const history = this._history;
+    const doubleTalk = this._isDoubleTalk(frame, reference);
+    const output = new Int16Array(frame.length);
+
+    let micEnergy = 0;
+    let errorEnergy = 0;
+
+    for (let n = 0; n < frame.length; n++) {
+      const x = reference[n];
+      let pos = this._historyPos - 1;
+      if (pos < 0) {
+        pos = taps - 1;
+      }
+      const oldest = history[pos];
+      history[pos] = x;
+      history[pos + taps] = x;
+      this._historyPos = pos;
+      this._power += x * x - oldest * oldest;
+      this._silentRun = x === 0 ? this._silentRun + 1 : 0;
+
+      if (this._silentRun >= taps) {
+        this._power = 0;
+        output[n] = frame[n];
+        continue;
+      }
+
+      const d = frame[n] / 32768;
+      let y = 0;
+      for (let k = 0; k < taps; k++) {
+        y += weights[k] * history[pos + k];
+      }
+      const e = d - y;
+
+      if (!doubleTalk) {
+        const gain = (this.config.stepSize * e) / (Math.max(this._power, 0) + REGULARIZATION);
+        for (let k = 0; k < taps; k++) {
+          weights[k] += gain * history[pos + k];
+        }
+      }
+
+      micEnergy += d * d;
+      errorEnergy += e * e;
+      output[n] = Math.max(-32768, Math.min(32767, Math.round(e * 32768)));
+    }
+
+    this._framesCancelled++;
+    if (doubleTalk) {
+      this._doubleTalkFrames++;
+    } else if (micEnergy > 0) {
+      const erle = 10 * Math.log10(micEnergy / Math.max(errorEnergy, 1e-12));
+      this._erleDb += ERLE_SMOOTHING * (erle - this._erleDb);
+    }
+
+    return output;
+  }
+
+  /**
+   * Forget the reference and the learned echo path
+   */
+  reset() {
+    this._weights.fill(0);
+    this._history.fill(0);
+    this._historyPos = 0;
+    this._power = 0;
+    this._silentRun = this._taps;
+    this._queue = [];
+    this._queueOffset = 0;
+    this._queued = 0;
+    this._refRate = 0;
+    this._erleDb = 0;
+  }
+
+  /**
+   * Get statistics
+   * @returns {EchoCancellerStats}
+   */
+  getStats() {
+    return {
+      framesProcessed: this._framesProcessed,
+      framesCancelled: this._framesCancelled,
+      doubleTalkFrames: this._doubleTalkFrames,
+      erleDb: Math.round(this._erleDb * 10) / 10
+    };
+  }
+
+  /**
+   * Geigel double-talk detection for a frame
+   * @param {Int16Array} frame - Microphone samples
+   * @param {Float32Array} reference - Reference for the frame
+   * @returns {boolean} Whether the microphone is louder than echo of the reference could be
+   * @private
+   */
+  _isDoubleTalk(frame, reference) {
+    let refPeak = 0;
+    for (let k = 0; k < this._taps; k++) {
+      refPeak = Math.max(refPeak, Math.abs(this._history[this._historyPos + k]));
+    }
+    for (let n = 0; n < reference.length; n++) {
+      refPeak = Math.max(refPeak, Math.abs(reference[n]));
+    }
+
+    let micPeak = 0;
+    for (let n = 0; n < frame.length; n++) {
+      micPeak = Math.max(micPeak, Math.abs(frame[n]));
+    }
+
+    return micPeak / 32768 > this.config.doubleTalkRatio * refPeak;
+  }
+
+  /**
+   * Take reference samples for a capture frame, padded with silence if short
+   * @param {number} length - Frame length
+   * @returns {Float32Array}
+   * @private
+   */
+  _takeReference(length) {
+    const reference = new Float32Array(length);
+    let filled = 0;
+
+    while (filled < length && this._queue.length > 0) {
+      const chunk = this._queue[0];
+      const count = Math.min(length - filled, chunk.length - this._queueOffset);
+      reference.set(chunk.subarray(this._queueOffset, this._queueOffset + count), filled);
+      filled += count;
+      this._queueOffset += count;
+      if (this._queueOffset === chunk.length) {
+        this._queue.shift();
+        this._queueOffset = 0;
+      }
+    }
+
+    this._queued -= filled;
+    return reference;
+  }
+
+  /**
+   * @param {Float32Array} samples
+   * @private
+   */
+  _enqueue(samples) {
+    if (samples.length > 0) {
+      this._queue.push(samples);
+      this._queued += samples.length;
+    }
+  }
+
+  /**
+   * Convert reference audio to the capture rate (linear interpolation)
+   *
+   * Keeps its position across calls so consecutive chunks join up.
+   *
+   * @param {Int16Array} samples - Reference PCM
+   * @param {number} sampleRate - Reference sample rate
+   * @returns {Float32Array} Samples at the capture rate, scaled to -1..1
+   * @private
+   */
+  _resample(samples, sampleRate) {
+    if (sampleRate !== this._refRate) {
+      this._refRate = sampleRate;
+      this._refPos = 0;
+      this._refLast = 0;
+    }
+
+    const step = sampleRate / this.config.sampleRate;
+    const last = samples.length - 1;
+    /** @type {number[]} */
+    const output = [];
+
+    let pos = this._refPos;
+    while (pos < last) {
+      const index = Math.floor(pos);
+      const frac = pos - index;
+      const a = index < 0 ? this._refLast : samples[index];
+      const b = samples[index + 1];
+      output.push((a + (b - a) * frac) / 32768);
+      pos += step;
+    }
+
+    this._refPos = pos - samples.length;
+    this._refLast = samples[last];
+    return Float32Array.from(output);
+  }
+}
+
+/**
+ * Create an EchoCanceller instance
+ * @param {Partial<EchoCancellerConfig>} [config={}] - Configuration
+ * @returns {EchoCanceller}
+ */
+export function createEchoCanceller(config = {}) {
+  return new EchoCanceller(config);
+}
+
+export default EchoCanceller;
@@ -5,9 +5,11 @@
  * - Detect if PulseAudio is running
  * - Start PulseAudio if not running
  * - Fail gracefully with clear error if cannot start
+ * - List the sources and sinks that can be chosen as input/output device
  */
 
 import { spawn, execSync } from 'child_process';
+import { checkCommands } from './audio-tools.mjs';
 
 /**
  * @typedef {Object} PulseAudioStatus
@@ -15,6 +17,21 @@ import { spawn, execSync } from 'child_process';
  * @property {string|null} error - Error message if any
  */
 
+/**
+ * @typedef {Object} AudioDevice
+ * @property {number} index - PulseAudio object index
+ * @property {string} name - Source or sink name, as used for input_device/output_device
+ * @property {string} driver - PulseAudio module that provides the device
+ * @property {string} state - RUNNING, IDLE or SUSPENDED
+ * @property {boolean} bluetooth - Whether the device is a Bluetooth headset or speaker
+ */
+
+/**
+ * @typedef {Object} AudioDeviceList
+ * @property {AudioDevice[]} sources - Microphones (monitor sources left out)
+ * @property {AudioDevice[]} sinks - Speakers and headphones
+ */
+
 /**
  * Check if PulseAudio is running
  * @returns {boolean}
@@ -112,20 +129,7 @@ export function isPacatAvailable() {
  * @returns {{available: boolean, missing: string[]}}
  */
 export function checkPulseAudioTools() {
-  const missing = [];
-
-  if (!isParecordAvailable()) {
-    missing.push('parecord');
-  }
-
-  if (!isPacatAvailable()) {
-    missing.push('pacat');
-  }
-
-  return {
-    available: missing.length === 0,
-    missing
-  };
+  return checkCommands(['parecord', 'pacat']);
 }
 
 /**
@@ -162,3 +166,56 @@ export function getDefaultDevices() {
     return { source: null, sink: null };
   }
 }
+
+/**
+ * Parse the output of `pactl list short sources` or `pactl list short sinks`
+ * @param {string} output - Tab-separated lines: index, name, driver, sample spec, state
+ * @returns {AudioDevice[]}
+ */
+export function parseDeviceList(output) {
+  /** @type {AudioDevice[]} */
+  const devices = [];
+  for (const line of output.split('\n')) {
+    const [index, name, driver, , state] = line.trim().split('\t');
+    if (!name || !/^\d+$/.test(index)) {
+      continue;
+    }
+    devices.push({
+      index: Number(index),
+      name,
+      driver: driver ?? '',
+      state: state ?? '',
+      bluetooth: name.startsWith('bluez_')
+    });
+  }
+  return devices;
+}
+
+/**
+ * List the input and output devices
+ *
+ * Monitor sources (the loopback of each sink) are left out since they
+ * can't be spoken into.
+ *
+ * @returns {AudioDeviceList} Empty lists if pactl is unavailable
+ */
+export function listAudioDevices() {
+  try {
+    const sources = execSync('pactl list short sources', {
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+
+    const sinks = execSync('pactl list short sinks', {
+      encoding: 'utf-8',
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+
+    return {
+      sources: parseDeviceList(sources).filter(device => !device.name.endsWith('.monitor')),
+      sinks: parseDeviceList(sinks)
+    };
+  } catch {
+    return { sources: [], sinks: [] };
+  }
+}
@@ -0,0 +1,477 @@
+/**
+ * StreamCapture - Audio capture from a file, stdin or a named pipe
+ *
+ * Stands in for AudioCapture where the microphone is not the source:
+ * headless runs, conversations replayed from recorded fixtures in CI, or
+ * audio produced by another program (`scout --input -`).
+ *
+ * - Interface: start(), stop(), onChunk(callback), same as AudioCapture
+ * - WAV input (16-bit mono at the capture rate) is recognized by its RIFF
+ *   header; anything else is taken as raw s16le PCM
+ * - 'realtime' pace releases one chunk per chunk duration, like a
+ *   microphone; 'fast' releases chunks as soon as they are read
+ * - Regular files default to 'realtime'; stdin and named pipes to 'fast',
+ *   since their writer already sets the pace
+ * - At 'fast' pace the consumer sets the pace instead: pause() holds
+ *   chunks back (and stops reading once enough are queued) until resume()
+ * - Emits 'end' once the source is exhausted; a partial last chunk is
+ *   padded with silence
+ */
+
+import { createReadStream, statSync } from 'fs';
+import { EventEmitter } from 'events';
+import { WavStreamDecoder } from './wav-stream.mjs';
+
+/**
+ * @typedef {'realtime' | 'fast'} InputPace
+ */
+
+/**
+ * @typedef {Object} StreamCaptureConfig
+ * @property {string} source - File or named pipe path, '-' for stdin
+ * @property {InputPace|null} [pace=null] - Release chunks in real time or as read (null = by source: files realtime, stdin and pipes fast)
+ * @property {number} [sampleRate=16000] - Sample rate in Hz (WAV input must match)
+ * @property {number} [chunkSize=480] - Samples per chunk (30ms at 16kHz)
+ * @property {NodeJS.ReadableStream} [stdin=process.stdin] - Stream read for '-'
+ */
+
+/**
+ * Source name that reads from stdin
+ */
+export const STDIN_SOURCE = '-';
+
+/**
+ * Valid input paces
+ */
+export const INPUT_PACES = ['realtime', 'fast'];
+
+/**
+ * Default configuration
+ */
+export const DEFAULT_STREAM_CAPTURE_CONFIG = Object.freeze({
+  pace: null,
+  sampleRate: 16000,
+  chunkSize: 480
+});
+
+/**
+ * Reading pauses once this many chunks wait to be released
+ */
+const MAX_QUEUED_CHUNKS = 64;
+
+/**
+ * StreamCapture - Captures audio from a file, stdin or a named pipe
+ */
+export class StreamCapture extends EventEmitter {
+  /**
+   * Create StreamCapture instance
+   * @param {StreamCaptureConfig} config - Configuration
+   */
+  constructor(config) {
+    super();
+
+    if (!config?.source) {
+      throw new Error('StreamCapture needs a source file, pipe or - for stdin');
+    }
+    if (config.pace && !INPUT_PACES.includes(config.pace)) {
+      throw new Error(`Input pace must be one of: ${INPUT_PACES.join(', ')}`);
+    }
+
+    /** @type {StreamCaptureConfig} */
+    this.config = { ...DEFAULT_STREAM_CAPTURE_CONFIG, ...config };
+
+    /** @type {NodeJS.ReadableStream|null} */
+    this._stream = null;
+
+    /** @type {boolean} */
+    this._running = false;
+
+    /** @type {boolean} - Source exhausted, queued chunks still to release */
+    this._ended = false;
+
+    /** @type {WavStreamDecoder|null} - Set once the input turns out to be WAV */
+    this._wav = null;
+
+    /** @type {boolean} - Whether the first bytes have been checked for a RIFF header */
+    this._formatChecked = false;
+
+    /** @type {Buffer} */
+    this._pendingBuffer = Buffer.alloc(0);
+
+    /** @type {Int16Array[]} - Chunks waiting for their time (realtime pace) or for resume() (fast pace) */
+    this._queue = [];
+
+    /** @type {boolean} - Chunks held back until resume() (fast pace) */
+    this._paused = false;
+
+    /** @type {NodeJS.Timeout|null} */
+    this._timer = null;
+
+    /** @type {number} - When the first chunk was released (realtime pace) */
+    this._startTime = 0;
+
+    /** @type {number} */
+    this._chunksEmitted = 0;
+
+    /** @type {number} */
+    this._chunkSizeBytes = (this.config.chunkSize || 480) * 2;
+
+    /** @type {Record<string, function(...any): void>} - Listeners on the current stream */
+    this._handlers = {};
+
+    /** @type {InputPace|null} - Resolved on first use */
+    this._pace = this.config.pace ?? null;
+  }
+
+  /**
+   * Check if capture is running
+   * @returns {boolean}
+   */
+  get running() {
+    return this._running;
+  }
+
+  /**
+   * How chunks are released: in real time or as fast as they are read
+   * @returns {InputPace}
+   */
+  get pace() {
+    if (!this._pace) {
+      this._pace = this.config.source === STDIN_SOURCE || this._isPipe() ? 'fast' : 'realtime';
+    }
+    return this._pace;
+  }
+
+  /**
+   * Start reading the source
+   * @throws {Error} If already running
+   */
+  start() {
+    if (this._running) {
+      throw new Error('StreamCapture is already running');
+    }
+
+    /** @type {NodeJS.ReadableStream} */
+    const stream = this.config.source === STDIN_SOURCE
+      ? (this.config.stdin ?? process.stdin)
+      : createReadStream(this.config.source);
+    this._stream = stream;
+
+    this._running = true;
+    this._ended = false;
+    this._wav = null;
+    this._formatChecked = false;
+    this._pendingBuffer = Buffer.alloc(0);
+    this._queue = [];
+    this._paused = false;
+    this._startTime = 0;
+    this._chunksEmitted = 0;
+
+    this._handlers = {
+      data: (/** @type {Buffer} */ data) => this._handleData(data),
+      end: () => this._handleEnd(),
+      // e.g. the file does not exist
+      error: (/** @type {Error} */ err) => {
+        this._close();
+        this.emit('error', err);
+      }
+    };
+    for (const [event, handler] of Object.entries(this._handlers)) {
+      stream.on(event, handler);
+    }
+    stream.resume();
+
+    this.emit('started');
+  }
+
+  /**
+   * Hold back chunks until resume() (fast pace)
+   *
+   * Lets the consumer release chunks only as fast as it handles them,
+   * typically by pausing from its chunk listener. Realtime pace keeps to
+   * the clock and ignores this.
+   */
+  pause() {
+    if (this._running && this.pace === 'fast') {
+      this._paused = true;
+    }
+  }
+
+  /**
+   * Release the chunks held back by pause(), then continue reading
+   */
+  resume() {
+    if (!this._running || !this._paused) {
+      return;
+    }
+
+    this._paused = false;
+    // A chunk listener may pause again
+    while (this._running && !this._paused && this._queue.length > 0) {
+      this._emitChunk(/** @type {Int16Array} */ (this._queue.shift()));
+    }
+    if (!this._running || this._paused) {
+      return;
+    }
+
+    if (this._ended) {
+      this._finish();
+    } else {
+      this._stream?.resume();
+    }
+  }
+
+  /**
+   * Files and pipes have no device to switch; kept for AudioCapture's interface
+   * @param {string|null} _device - Ignored
+   */
+  setDevice(_device) {}
+
+  /**
+   * Handle bytes read from the source
+   * @param {Buffer} data - Raw audio data, possibly with a WAV header
+   * @private
+   */
+  _handleData(data) {
+    if (!this._running) {
+      return;
+    }
+
+    let pcm = data;
+    if (!this._formatChecked) {
+      pcm = Buffer.concat([this._pendingBuffer, data]);
+      this._pendingBuffer = Buffer.alloc(0);
+      if (pcm.length < 4) {
+        this._pendingBuffer = pcm;
+        return;
+      }
+      this._formatChecked = true;
+      if (pcm.toString('ascii', 0, 4) === 'RIFF') {
+        this._wav = new WavStreamDecoder();
+      }
+    }
+
+    if (this._wav) {
+      try {
+        pcm = this._wav.push(pcm);
+      } catch (err) {
+        this._fail(err instanceof Error ? err : new Error(String(err)));
+        return;
+      }
+      const format = this._wav.format;
+      if (format && format.sampleRate !== this.config.sampleRate) {
+        this._fail(new Error(`WAV sample rate ${format.sampleRate} Hz does not match the capture rate ${this.config.sampleRate} Hz`));
+        return;
+      }
+    }
+
+    this._pendingBuffer = this._pendingBuffer.length > 0 ? Buffer.concat([this._pendingBuffer, pcm]) : pcm;
+
+    while (this._pendingBuffer.length >= this._chunkSizeBytes) {
+      // Copy so the chunk is 2-byte aligned for the Int16Array view
+      const chunkBuffer = Buffer.from(this._pendingBuffer.subarray(0, this._chunkSizeBytes));
+      this._pendingBuffer = this._pendingBuffer.subarray(this._chunkSizeBytes);
+      this._release(new Int16Array(chunkBuffer.buffer, chunkBuffer.byteOffset, this.config.chunkSize));
+    }
+  }
+
+  /**
+   * Handle the end of the source
+   * @private
+   */
+  _handleEnd() {
+    if (!this._running) {
+      return;
+    }
+
+    // Pad the last partial chunk with silence rather than drop it
+    const samples = Math.floor(this._pendingBuffer.length / 2);
+    if (samples > 0) {
+      const chunk = new Int16Array(this.config.chunkSize ?? 480);
+      const tail = Buffer.from(this._pendingBuffer.subarray(0, samples * 2));
+      chunk.set(new Int16Array(tail.buffer, tail.byteOffset, samples));
+      this._release(chunk);
+    }
+    this._pendingBuffer = Buffer.alloc(0);
+
+    this._ended = true;
+    if (this._queue.length === 0) {
+      this._finish();
+    }
+  }
+
+  /**
+   * Emit a chunk now (fast pace) or queue it for its time (realtime pace)
+   * or for resume() (fast pace, paused)
+   * @param {Int16Array} chunk - Audio chunk
+   * @private
+   */
+  _release(chunk) {
+    if (this.pace === 'fast' && !this._paused) {
+      this._emitChunk(chunk);
+      return;
+    }
+
+    this._queue.push(chunk);
+    if (this._queue.length >= MAX_QUEUED_CHUNKS) {
+      this._stream?.pause();
+    }
+    if (this.pace === 'realtime' && !this._timer) {
+      this._scheduleNext();
+    }
+  }
+
+  /**
+   * Release the next queued chunk when its time comes
+   *
+   * Times are measured from the first chunk, so timer jitter does not add
+   * up over a long file.
+   *
+   * @private
+   */
+  _scheduleNext() {
+    if (this._startTime === 0) {
+      this._startTime = Date.now();
+    }
+    const chunkMs = ((this.config.chunkSize ?? 480) / (this.config.sampleRate ?? 16000)) * 1000;
+    const delay = Math.max(0, this._startTime + this._chunksEmitted * chunkMs - Date.now());
+
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      const chunk = this._queue.shift();
+      if (!chunk) {
+        return;
+      }
+
+      this._emitChunk(chunk);
+      // Stopped from a chunk listener
+      if (!this._running) {
+        return;
+      }
+      if (this._queue.length < MAX_QUEUED_CHUNKS / 2 && !this._ended) {
+        this._stream?.resume();
+      }
+
+      if (this._queue.length > 0) {
+        this._scheduleNext();
+      } else if (this._ended) {
+        this._finish();
+      }
+    }, delay);
+  }
+
+  /**
+   * @param {Int16Array} chunk - Audio chunk
+   * @private
+   */
+  _emitChunk(chunk) {
+    this._chunksEmitted++;
+    this.emit('chunk', chunk);
+  }
+
+  /**
+   * All audio released: report the end of input
+   * @private
+   */
+  _finish() {
+    this._close();
+    this.emit('end');
+    this.emit('stopped', 'end');
+  }
+
+  /**
+   * Stop on a bad input and report why
+   * @param {Error} err - What is wrong with the input
+   * @private
+   */
+  _fail(err) {
+    this._close();
+    this.emit('error', err);
+  }
+
+  /**
+   * Detach from the source and drop queued audio
+   * @private
+   */
+  _close() {
+    const stream = this._stream;
+    if (stream) {
+      for (const [event, handler] of Object.entries(this._handlers)) {
+        stream.removeListener(event, handler);
+      }
+      // stdin belongs to the process; only pause it
+      if (this.config.source === STDIN_SOURCE) {
+        stream.pause();
+      } else {
+        /** @type {import('fs').ReadStream} */ (stream).destroy();
+      }
+    }
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this._stream = null;
+    this._handlers = {};
+    this._running = false;
+    this._queue = [];
+    this._paused = false;
+    this._pendingBuffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Whether the source is a named pipe
+   * @returns {boolean}
+   * @private
+   */
+  _isPipe() {
+    try {
+      return statSync(this.config.source).isFIFO();
+    } catch {
+      // Missing files are reported when reading starts
+      return false;
+    }
+  }
+
+  /**
+   * Stop reading the source
+   */
+  stop() {
+    if (!this._running) {
+      return;
+    }
+
+    this._close();
+    this.emit('stopped', 'stop');
+  }
+
+  /**
+   * Register chunk callback
+   * @param {function(Int16Array): void} callback - Called for each audio chunk
+   */
+  onChunk(callback) {
+    this.on('chunk', callback);
+  }
+
+  /**
+   * Get statistics
+   * @returns {{running: boolean, pendingBytes: number, source: string, pace: InputPace, chunksEmitted: number}}
+   */
+  getStats() {
+    return {
+      running: this._running,
+      pendingBytes: this._pendingBuffer.length,
+      source: this.config.source,
+      pace: this.pace,
+      chunksEmitted: this._chunksEmitted
+    };
+  }
+}
+
+/**
+ * Create a StreamCapture instance
+ * @param {StreamCaptureConfig} config - Configuration
+ * @returns {StreamCapture}
+ */
+export function createStreamCapture(config) {
+  return new StreamCapture(config);
+}
@@ -0,0 +1,159 @@
+/**
+ * WAV Stream Decoder - Strips a RIFF/WAVE header from streamed audio
+ *
+ * espeak-ng --stdout and HTTP TTS servers deliver WAV rather than raw PCM.
+ * The header arrives in the first chunk (or first few), followed by the
+ * sample data, so it has to be parsed incrementally:
+ * - Reads the fmt chunk to learn the sample rate
+ * - Skips any other chunks (LIST, fact, ...) before data
+ * - Ignores the data chunk size, which streaming writers leave as 0 or
+ *   0xFFFFFFFF because the length is not known up front
+ * - Keeps output aligned to whole 16-bit samples across chunk boundaries
+ *
+ * Only 16-bit mono PCM is accepted, matching the rest of the TTS path.
+ */
+
+/**
+ * @typedef {Object} WavFormat
+ * @property {number} sampleRate - Samples per second
+ * @property {number} channels - Channel count
+ * @property {number} bitsPerSample - Bits per sample
+ */
+
+/** WAVE_FORMAT_PCM */
+const FORMAT_PCM = 1;
+
+/** WAVE_FORMAT_EXTENSIBLE (used by some writers for plain PCM) */
+const FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * WavStreamDecoder - Incremental WAV to PCM decoder
+ */
+export class WavStreamDecoder {
+  constructor() {
+    /** @type {Buffer} */
+    this._pending = Buffer.alloc(0);
+
+    /** @type {boolean} */
+    this._riffChecked = false;
+
+    /** @type {boolean} */
+    this._inData = false;
+
+    /** @type {WavFormat|null} */
+    this._format = null;
+  }
+
+  /**
+   * Format from the fmt chunk, or null until it has been parsed
+   * @returns {WavFormat|null}
+   */
+  get format() {
+    return this._format;
+  }
+
+  /**
+   * Push a chunk of the WAV stream
+   *
+   * @param {Buffer} chunk - Next bytes of the stream
+   * @returns {Buffer} PCM samples contained in the chunk (may be empty)
+   * @throws {Error} If the stream is not 16-bit mono PCM WAV
+   */
+  push(chunk) {
+    this._pending = this._pending.length > 0 ? Buffer.concat([this._pending, chunk]) : chunk;
+
+    if (!this._inData) {
+      this._parseHeader();
+      if (!this._inData) {
+        return Buffer.alloc(0);
+      }
+    }
+
+    // Hold back an odd trailing byte until its pair arrives
+    const usable = this._pending.length - (this._pending.length % 2);
+    const pcm = this._pending.subarray(0, usable);
+    this._pending = this._pending.subarray(usable);
+
+    // Copy so the PCM is 2-byte aligned for Int16Array views
+    return Buffer.from(pcm);
+  }
+
+  /**
+   * Consume header chunks from the pending bytes until the data chunk
+   * @private
+   */
+  _parseHeader() {
+    if (!this._riffChecked) {
+      if (this._pending.length < 12) {
+        return;
+      }
+      if (this._pending.toString('ascii', 0, 4) !== 'RIFF' || this._pending.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV stream');
+      }
+      this._riffChecked = true;
+      this._pending = this._pending.subarray(12);
+    }
+
+    let offset = 0;
+    while (this._pending.length - offset >= 8) {
+      const id = this._pending.toString('ascii', offset, offset + 4);
+      const size = this._pending.readUInt32LE(offset + 4);
+
+      if (id === 'data') {
+        if (this._format === null) {
+          throw new Error('WAV data chunk before fmt chunk');
+        }
+        this._inData = true;
+        this._pending = this._pending.subarray(offset + 8);
+        return;
+      }
+
+      // Chunks are padded to an even length
+      const chunkEnd = offset + 8 + size + (size % 2);
+      if (this._pending.length < chunkEnd) {
+        break;
+      }
+
+      if (id === 'fmt ') {
+        this._format = this._parseFormat(this._pending.subarray(offset + 8, offset + 8 + size));
+      }
+      offset = chunkEnd;
+    }
+
+    this._pending = this._pending.subarray(offset);
+  }
+
+  /**
+   * Parse and check a fmt chunk body
+   * @param {Buffer} body - fmt chunk contents
+   * @returns {WavFormat}
+   * @private
+   */
+  _parseFormat(body) {
+    const formatTag = body.readUInt16LE(0);
+    const format = {
+      channels: body.readUInt16LE(2),
+      sampleRate: body.readUInt32LE(4),
+      bitsPerSample: body.readUInt16LE(14)
+    };
+
+    if ((formatTag !== FORMAT_PCM && formatTag !== FORMAT_EXTENSIBLE) ||
+        format.channels !== 1 || format.bitsPerSample !== 16) {
+      throw new Error(
+        `Unsupported WAV format: expected 16-bit mono PCM, got ${format.bitsPerSample}-bit ${format.channels}-channel (format ${formatTag})`
+      );
+    }
+
+    return format;
+  }
+}
+
+/**
+ * Create a WavStreamDecoder instance
+ * @returns {WavStreamDecoder}
+ */
+export function createWavStreamDecoder() {
+  return new WavStreamDecoder();
+}
+
+export default WavStreamDecoder;
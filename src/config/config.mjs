@@ -12,31 +12,73 @@
 
 import { readFile, writeFile, access } from 'fs/promises';
 import { constants as fsConstants } from 'fs';
+import { EARCON_EVENTS } from '../audio/earcons.mjs';
+import { getAudioBackendNames, AUTO_AUDIO_BACKEND } from '../audio/audio-backends.mjs';
 
 /**
  * @typedef {Object} Config
  * @property {string} gateway_url - OpenClaw gateway URL (localhost only)
  * @property {string} gateway_token - Authentication token for gateway
+ * @property {string} [openclaw_transport] - Gateway transport (cli|http); http is experimental and unverified against OpenClaw
+ * @property {boolean} [stream_responses] - Speak responses while they stream in (experimental http transport)
+ * @property {string} [openclaw_agent] - OpenClaw agent ID to talk to (default: main)
+ * @property {string[]} [openclaw_agents] - Additional agent IDs reachable by voice ("switch to work agent")
+ * @property {boolean} [replay_after_reconnect] - Re-send the last unsent transcript once the gateway is back
+ * @property {boolean} [queue_while_disconnected] - Queue transcripts while the gateway is down (outbound-queue.json)
+ * @property {boolean} [spoken_errors] - Announce errors by voice in Scout's own words ("I can't reach your agent right now")
  * @property {string} whisper_path - Path to whisper.cpp executable
  * @property {string} stt_model_path - Path to whisper.cpp GGML model
+ * @property {string} [stt_backend] - STT backend (whisper-cpp|http)
+ * @property {string} [stt_url] - Local OpenAI-compatible transcription server URL (http backend)
+ * @property {string} [stt_http_model] - Model name sent to the transcription server (http backend)
+ * @property {string} [stt_mode] - STT mode (oneshot|server)
+ * @property {string} [stt_language] - Spoken language code (e.g. de), 'auto' to detect it per utterance, '' for the model default
+ * @property {string} [whisper_server_path] - Path to whisper.cpp server executable (server mode)
+ * @property {string} [tts_backend] - TTS backend (piper|espeak-ng|http)
  * @property {string} tts_model_path - Path to Piper TTS voice model
- * @property {string} tts_voice - TTS voice name
+ * @property {string} [tts_mode] - Piper mode (oneshot|worker)
+ * @property {string} [tts_espeak_voice] - espeak-ng voice, e.g. en-us (espeak-ng backend)
+ * @property {string} [tts_url] - Local OpenAI-compatible speech server URL (http backend)
+ * @property {string} [tts_http_model] - Model name sent to the speech server (http backend)
+ * @property {string} [tts_http_voice] - Voice name sent to the speech server (http backend)
+ * @property {boolean} [tts_normalize] - Make markdown, URLs, numbers and abbreviations speakable before TTS
+ * @property {string} [tts_code_summary] - Spoken in place of code blocks
+ * @property {boolean} [tts_ssml] - Interpret SSML-lite markup (break, prosody, emphasis, say-as) in agent replies
+ * @property {string} tts_voice - Active voice: a name from tts_voices (the backend's configured voice when not listed)
+ * @property {Record<string, string>} [tts_voices] - Voices switchable by name at runtime: Piper model path, espeak-ng voice or server voice, per backend; names that are language codes (de) voice replies in that language
+ * @property {number} [tts_speed] - Speaking speed multiplier (0.5-2)
+ * @property {number} [tts_volume] - Output volume gain (0-2)
+ * @property {number} [tts_cache_mb] - Disk space for synthesized sentences replayed without Piper (0 = no cache)
+ * @property {string} [tts_system_voice] - Voice for Scout's own messages (status, errors, command replies): a name from tts_voices or a voice for the backend; '' speaks them in the agent's voice
+ * @property {Record<string, boolean|string>|false} [earcons] - Status earcons (listening, processing, error, reconnected, wake_word): true, false or a WAV file path each; false turns all of them off
  * @property {number} tts_sample_rate - TTS output sample rate
  * @property {string} vad_model_path - Path to Silero VAD model
  * @property {number} sample_rate - Audio capture sample rate
+ * @property {string} [audio_backend] - Sound system to record and play with (auto|pulseaudio|pipewire|alsa|sox)
+ * @property {string} [input_device] - PulseAudio source to record from; '' for the default source
+ * @property {string} [output_device] - PulseAudio sink to play to; '' for the default sink
+ * @property {boolean} [echo_cancellation] - Cancel Scout's own voice in the microphone so it is not taken for barge-in on a speaker
+ * @property {number} [echo_delay_ms] - Latency from playback to the microphone (0-1000 ms)
+ * @property {number} [echo_tail_ms] - Echo length the canceller covers (16-500 ms)
+ * @property {boolean} [high_pass_filter] - Filter out rumble and hum below the voice before VAD
+ * @property {boolean} [noise_suppression] - Attenuate steady background noise before VAD
+ * @property {boolean} [auto_gain_control] - Bring each utterance to a common loudness before STT
  * @property {number} vad_threshold - VAD speech probability threshold (0.0-1.0)
  * @property {number} silence_duration_ms - Silence duration to end utterance
  * @property {number} min_speech_ms - Minimum speech duration to accept
+ * @property {number} [partial_transcript_interval_ms] - Transcribe speech in progress every N ms (0 = off)
  * @property {number} buffer_size_ms - Jitter buffer total capacity
  * @property {number} low_watermark_ms - Start playback threshold
  * @property {boolean} wake_word_enabled - Enable wake word activation
  * @property {string} wake_word_phrase - Wake word phrase
+ * @property {Record<string, string>} [wake_word_phrases] - Extra wake phrases by language code, e.g. { "de": "hallo scout" }
  * @property {string} display_mode - Display mode (voice_only|minimal|transcript)
  * @property {boolean} barge_in_enabled - Enable barge-in interruption
  * @property {number} barge_in_cooldown_ms - Barge-in debounce period
  * @property {string} log_level - Log level (debug|info|warn|error)
  * @property {boolean} log_to_file - Enable file logging
  * @property {string} [last_session_id] - Last successful OpenClaw session ID (for reconnect/resume)
+ * @property {Record<string, string>} [agent_session_ids] - Last session ID per agent
  */
 
 /**
@@ -51,33 +93,108 @@ import { constants as fsConstants } from 'fs';
 export const DEFAULT_CONFIG = Object.freeze({
   gateway_url: 'http://localhost:18789',
   gateway_token: '',
+  openclaw_transport: 'cli',
+  stream_responses: true,
+  openclaw_agent: 'main',
+  openclaw_agents: [],
+  replay_after_reconnect: false,
+  queue_while_disconnected: false,
+  spoken_errors: true,
   whisper_path: '',
   stt_model_path: '',
+  stt_backend: 'whisper-cpp',
+  stt_url: '',
+  stt_http_model: 'whisper-1',
+  stt_mode: 'oneshot',
+  stt_language: '',
+  whisper_server_path: '',
+  tts_backend: 'piper',
   tts_model_path: '',
+  tts_mode: 'worker',
+  tts_espeak_voice: 'en-us',
+  tts_url: '',
+  tts_http_model: 'tts-1',
+  tts_http_voice: '',
+  tts_normalize: true,
+  tts_code_summary: "I've put a code snippet on screen.",
+  tts_ssml: true,
   tts_voice: 'en_US-lessac-medium',
+  tts_voices: {},
+  tts_speed: 1,
+  tts_volume: 1,
+  tts_cache_mb: 50,
+  tts_system_voice: '',
+  earcons: {},
   tts_sample_rate: 22050,
   vad_model_path: '',
   sample_rate: 16000,
+  audio_backend: 'auto',
+  input_device: '',
+  output_device: '',
+  echo_cancellation: false,
+  echo_delay_ms: 100,
+  echo_tail_ms: 128,
+  high_pass_filter: false,
+  noise_suppression: false,
+  auto_gain_control: false,
   vad_threshold: 0.5,
   silence_duration_ms: 1200,
   min_speech_ms: 500,
+  partial_transcript_interval_ms: 0,
   buffer_size_ms: 500,
   low_watermark_ms: 100,
   wake_word_enabled: false,
   wake_word_phrase: 'hey scout',
+  wake_word_phrases: {},
   display_mode: 'minimal',
   barge_in_enabled: true,
   barge_in_cooldown_ms: 200,
   log_level: 'info',
   log_to_file: false,
-  last_session_id: ''
+  last_session_id: '',
+  agent_session_ids: {}
 });
 
+/**
+ * Language codes accepted for stt_language and wake_word_phrases (ISO 639-1, or 639-3)
+ */
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}$/;
+
 /**
  * Valid display modes
  */
 export const DISPLAY_MODES = ['voice_only', 'minimal', 'transcript'];
 
+/**
+ * Valid STT backends
+ */
+export const STT_BACKENDS = ['whisper-cpp', 'http'];
+
+/**
+ * Valid TTS backends
+ */
+export const TTS_BACKENDS = ['piper', 'espeak-ng', 'http'];
+
+/**
+ * Valid STT modes
+ */
+export const STT_MODES = ['oneshot', 'server'];
+
+/**
+ * Valid TTS (Piper) modes
+ */
+export const TTS_MODES = ['oneshot', 'worker'];
+
+/**
+ * Valid OpenClaw transports
+ */
+export const OPENCLAW_TRANSPORTS = ['cli', 'http'];
+
+/**
+ * Valid OpenClaw agent IDs (passed to `openclaw agent --agent`, so never a flag)
+ */
+export const AGENT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
 /**
  * Valid log levels
  */
@@ -145,6 +262,52 @@ export async function validateConfig(config, options = {}) {
     // Note: Empty token is allowed - gateway may not require auth
   }
 
+  // OpenClaw transport validation
+  if (config.openclaw_transport !== undefined) {
+    if (typeof config.openclaw_transport !== 'string') {
+      errors.push({ field: 'openclaw_transport', message: 'OpenClaw transport must be a string' });
+    } else if (!OPENCLAW_TRANSPORTS.includes(config.openclaw_transport)) {
+      errors.push({ field: 'openclaw_transport', message: `OpenClaw transport must be one of: ${OPENCLAW_TRANSPORTS.join(', ')}` });
+    }
+  }
+
+  // Stream responses validation
+  if (config.stream_responses !== undefined && typeof config.stream_responses !== 'boolean') {
+    errors.push({ field: 'stream_responses', message: 'Stream responses must be a boolean' });
+  }
+
+  // Replay after reconnect validation
+  if (config.replay_after_reconnect !== undefined && typeof config.replay_after_reconnect !== 'boolean') {
+    errors.push({ field: 'replay_after_reconnect', message: 'Replay after reconnect must be a boolean' });
+  }
+
+  // Outbound queue validation
+  if (config.queue_while_disconnected !== undefined && typeof config.queue_while_disconnected !== 'boolean') {
+    errors.push({ field: 'queue_while_disconnected', message: 'Queue while disconnected must be a boolean' });
+  }
+
+  if (config.spoken_errors !== undefined && typeof config.spoken_errors !== 'boolean') {
+    errors.push({ field: 'spoken_errors', message: 'Spoken errors must be a boolean' });
+  }
+
+  // OpenClaw agent validation
+  if (config.openclaw_agent !== undefined) {
+    if (typeof config.openclaw_agent !== 'string') {
+      errors.push({ field: 'openclaw_agent', message: 'OpenClaw agent must be a string' });
+    } else if (!AGENT_ID_PATTERN.test(config.openclaw_agent)) {
+      errors.push({ field: 'openclaw_agent', message: 'OpenClaw agent must contain only letters, digits, - and _' });
+    }
+  }
+
+  // Voice-switchable agents validation
+  if (config.openclaw_agents !== undefined) {
+    if (!Array.isArray(config.openclaw_agents)) {
+      errors.push({ field: 'openclaw_agents', message: 'OpenClaw agents must be an array' });
+    } else if (!config.openclaw_agents.every(a => typeof a === 'string' && AGENT_ID_PATTERN.test(a))) {
+      errors.push({ field: 'openclaw_agents', message: 'OpenClaw agents must contain only letters, digits, - and _' });
+    }
+  }
+
   // whisper.cpp path validation
   if (config.whisper_path !== undefined) {
     if (typeof config.whisper_path !== 'string') {
@@ -163,6 +326,58 @@ export async function validateConfig(config, options = {}) {
     }
   }
 
+  // STT backend validation
+  if (config.stt_backend !== undefined) {
+    if (typeof config.stt_backend !== 'string') {
+      errors.push({ field: 'stt_backend', message: 'STT backend must be a string' });
+    } else if (!STT_BACKENDS.includes(config.stt_backend)) {
+      errors.push({ field: 'stt_backend', message: `STT backend must be one of: ${STT_BACKENDS.join(', ')}` });
+    } else if (config.stt_backend === 'http' && !config.stt_url) {
+      errors.push({ field: 'stt_url', message: 'STT server URL is required for the http backend' });
+    }
+  }
+
+  // STT server URL validation (audio stays on the device)
+  if (config.stt_url !== undefined && config.stt_url !== '') {
+    if (typeof config.stt_url !== 'string') {
+      errors.push({ field: 'stt_url', message: 'STT server URL must be a string' });
+    } else if (!isLocalhostUrl(config.stt_url)) {
+      errors.push({ field: 'stt_url', message: 'STT server URL must be localhost only' });
+    }
+  }
+
+  // STT server model validation
+  if (config.stt_http_model !== undefined && typeof config.stt_http_model !== 'string') {
+    errors.push({ field: 'stt_http_model', message: 'STT server model must be a string' });
+  }
+
+  // STT mode validation
+  if (config.stt_mode !== undefined) {
+    if (typeof config.stt_mode !== 'string') {
+      errors.push({ field: 'stt_mode', message: 'STT mode must be a string' });
+    } else if (!STT_MODES.includes(config.stt_mode)) {
+      errors.push({ field: 'stt_mode', message: `STT mode must be one of: ${STT_MODES.join(', ')}` });
+    }
+  }
+
+  // STT language validation
+  if (config.stt_language !== undefined) {
+    if (typeof config.stt_language !== 'string') {
+      errors.push({ field: 'stt_language', message: 'STT language must be a string' });
+    } else if (config.stt_language !== '' && config.stt_language !== 'auto' && !LANGUAGE_CODE_PATTERN.test(config.stt_language)) {
+      errors.push({ field: 'stt_language', message: "STT language must be a language code such as 'de', 'auto' or empty" });
+    }
+  }
+
+  // whisper.cpp server path validation
+  if (config.whisper_server_path !== undefined) {
+    if (typeof config.whisper_server_path !== 'string') {
+      errors.push({ field: 'whisper_server_path', message: 'whisper.cpp server path must be a string' });
+    } else if (checkFilePaths && config.whisper_server_path && !await fileExists(config.whisper_server_path)) {
+      errors.push({ field: 'whisper_server_path', message: 'whisper.cpp server executable not found' });
+    }
+  }
+
   // TTS model path validation
   if (config.tts_model_path !== undefined) {
     if (typeof config.tts_model_path !== 'string') {
@@ -172,11 +387,115 @@ export async function validateConfig(config, options = {}) {
     }
   }
 
+  // TTS mode validation
+  if (config.tts_mode !== undefined) {
+    if (typeof config.tts_mode !== 'string') {
+      errors.push({ field: 'tts_mode', message: 'TTS mode must be a string' });
+    } else if (!TTS_MODES.includes(config.tts_mode)) {
+      errors.push({ field: 'tts_mode', message: `TTS mode must be one of: ${TTS_MODES.join(', ')}` });
+    }
+  }
+
+  // TTS text normalization validation
+  if (config.tts_normalize !== undefined && typeof config.tts_normalize !== 'boolean') {
+    errors.push({ field: 'tts_normalize', message: 'TTS normalize must be a boolean' });
+  }
+
+  if (config.tts_code_summary !== undefined && typeof config.tts_code_summary !== 'string') {
+    errors.push({ field: 'tts_code_summary', message: 'TTS code summary must be a string' });
+  }
+
+  if (config.tts_ssml !== undefined && typeof config.tts_ssml !== 'boolean') {
+    errors.push({ field: 'tts_ssml', message: 'TTS SSML must be a boolean' });
+  }
+
+  // TTS backend validation
+  if (config.tts_backend !== undefined) {
+    if (typeof config.tts_backend !== 'string') {
+      errors.push({ field: 'tts_backend', message: 'TTS backend must be a string' });
+    } else if (!TTS_BACKENDS.includes(config.tts_backend)) {
+      errors.push({ field: 'tts_backend', message: `TTS backend must be one of: ${TTS_BACKENDS.join(', ')}` });
+    } else if (config.tts_backend === 'http' && !config.tts_url) {
+      errors.push({ field: 'tts_url', message: 'TTS server URL is required for the http backend' });
+    }
+  }
+
+  // espeak-ng voice validation
+  if (config.tts_espeak_voice !== undefined && typeof config.tts_espeak_voice !== 'string') {
+    errors.push({ field: 'tts_espeak_voice', message: 'espeak-ng voice must be a string' });
+  }
+
+  // TTS server URL validation (response text stays on the device)
+  if (config.tts_url !== undefined && config.tts_url !== '') {
+    if (typeof config.tts_url !== 'string') {
+      errors.push({ field: 'tts_url', message: 'TTS server URL must be a string' });
+    } else if (!isLocalhostUrl(config.tts_url)) {
+      errors.push({ field: 'tts_url', message: 'TTS server URL must be localhost only' });
+    }
+  }
+
+  // TTS server model and voice validation
+  if (config.tts_http_model !== undefined && typeof config.tts_http_model !== 'string') {
+    errors.push({ field: 'tts_http_model', message: 'TTS server model must be a string' });
+  }
+
+  if (config.tts_http_voice !== undefined && typeof config.tts_http_voice !== 'string') {
+    errors.push({ field: 'tts_http_voice', message: 'TTS server voice must be a string' });
+  }
+
   // TTS voice validation
   if (config.tts_voice !== undefined && typeof config.tts_voice !== 'string') {
     errors.push({ field: 'tts_voice', message: 'TTS voice must be a string' });
   }
 
+  if (config.tts_voices !== undefined) {
+    if (typeof config.tts_voices !== 'object' || config.tts_voices === null || Array.isArray(config.tts_voices)) {
+      errors.push({ field: 'tts_voices', message: 'TTS voices must be an object of voice names' });
+    } else if (!Object.values(config.tts_voices).every(v => typeof v === 'string' && v !== '')) {
+      errors.push({ field: 'tts_voices', message: 'TTS voices must map each name to a non-empty string' });
+    }
+  }
+
+  // TTS speed and volume validation
+  if (config.tts_speed !== undefined) {
+    if (typeof config.tts_speed !== 'number') {
+      errors.push({ field: 'tts_speed', message: 'TTS speed must be a number' });
+    } else if (config.tts_speed < 0.5 || config.tts_speed > 2) {
+      errors.push({ field: 'tts_speed', message: 'TTS speed must be between 0.5 and 2' });
+    }
+  }
+
+  if (config.tts_volume !== undefined) {
+    if (typeof config.tts_volume !== 'number') {
+      errors.push({ field: 'tts_volume', message: 'TTS volume must be a number' });
+    } else if (config.tts_volume < 0 || config.tts_volume > 2) {
+      errors.push({ field: 'tts_volume', message: 'TTS volume must be between 0 and 2' });
+    }
+  }
+
+  if (config.tts_cache_mb !== undefined) {
+    if (typeof config.tts_cache_mb !== 'number') {
+      errors.push({ field: 'tts_cache_mb', message: 'TTS cache size must be a number' });
+    } else if (config.tts_cache_mb < 0 || config.tts_cache_mb > 1024) {
+      errors.push({ field: 'tts_cache_mb', message: 'TTS cache size must be between 0 and 1024 MB' });
+    }
+  }
+
+  if (config.tts_system_voice !== undefined && typeof config.tts_system_voice !== 'string') {
+    errors.push({ field: 'tts_system_voice', message: 'TTS system voice must be a string' });
+  }
+
+  // Earcon validation
+  if (config.earcons !== undefined && config.earcons !== false) {
+    if (typeof config.earcons !== 'object' || config.earcons === null || Array.isArray(config.earcons)) {
+      errors.push({ field: 'earcons', message: 'Earcons must be an object of events, or false' });
+    } else if (!Object.keys(config.earcons).every(event => /** @type {ReadonlyArray<string>} */ (EARCON_EVENTS).includes(event))) {
+      errors.push({ field: 'earcons', message: `Earcon events must be one of: ${EARCON_EVENTS.join(', ')}` });
+    } else if (!Object.values(config.earcons).every(v => typeof v === 'boolean' || (typeof v === 'string' && v !== ''))) {
+      errors.push({ field: 'earcons', message: 'Earcons must map each event to true, false or a WAV file path' });
+    }
+  }
+
   // TTS sample rate validation
   if (config.tts_sample_rate !== undefined) {
     if (typeof config.tts_sample_rate !== 'number' || !Number.isInteger(config.tts_sample_rate)) {
@@ -204,6 +523,61 @@ export async function validateConfig(config, options = {}) {
     }
   }
 
+  // Audio backend validation
+  if (config.audio_backend !== undefined) {
+    if (typeof config.audio_backend !== 'string') {
+      errors.push({ field: 'audio_backend', message: 'Audio backend must be a string' });
+    } else {
+      // Registered backends, including ones added with registerAudioBackend()
+      const backends = [AUTO_AUDIO_BACKEND, ...getAudioBackendNames()];
+      if (!backends.includes(config.audio_backend)) {
+        errors.push({ field: 'audio_backend', message: `Audio backend must be one of: ${backends.join(', ')}` });
+      }
+    }
+  }
+
+  // Audio device validation (names come from pactl list short sources/sinks)
+  if (config.input_device !== undefined && typeof config.input_device !== 'string') {
+    errors.push({ field: 'input_device', message: 'Input device must be a string' });
+  }
+  if (config.output_device !== undefined && typeof config.output_device !== 'string') {
+    errors.push({ field: 'output_device', message: 'Output device must be a string' });
+  }
+
+  // Echo cancellation validation
+  if (config.echo_cancellation !== undefined && typeof config.echo_cancellation !== 'boolean') {
+    errors.push({ field: 'echo_cancellation', message: 'Echo cancellation must be a boolean' });
+  }
+
+  if (config.echo_delay_ms !== undefined) {
+    if (typeof config.echo_delay_ms !== 'number') {
+      errors.push({ field: 'echo_delay_ms', message: 'Echo delay must be a number' });
+    } else if (config.echo_delay_ms < 0 || config.echo_delay_ms > 1000) {
+      errors.push({ field: 'echo_delay_ms', message: 'Echo delay must be between 0 and 1000 ms' });
+    }
+  }
+
+  if (config.echo_tail_ms !== undefined) {
+    if (typeof config.echo_tail_ms !== 'number') {
+      errors.push({ field: 'echo_tail_ms', message: 'Echo tail must be a number' });
+    } else if (config.echo_tail_ms < 16 || config.echo_tail_ms > 500) {
+      errors.push({ field: 'echo_tail_ms', message: 'Echo tail must be between 16 and 500 ms' });
+    }
+  }
+
+  // Capture DSP validation
+  if (config.high_pass_filter !== undefined && typeof config.high_pass_filter !== 'boolean') {
+    errors.push({ field: 'high_pass_filter', message: 'High-pass filter must be a boolean' });
+  }
+
+  if (config.noise_suppression !== undefined && typeof config.noise_suppression !== 'boolean') {
+    errors.push({ field: 'noise_suppression', message: 'Noise suppression must be a boolean' });
+  }
+
+  if (config.auto_gain_control !== undefined && typeof config.auto_gain_control !== 'boolean') {
+    errors.push({ field: 'auto_gain_control', message: 'Auto gain control must be a boolean' });
+  }
+
   // VAD threshold validation
   if (config.vad_threshold !== undefined) {
     if (typeof config.vad_threshold !== 'number') {
@@ -231,6 +605,16 @@ export async function validateConfig(config, options = {}) {
     }
   }
 
+  // Partial transcript interval validation (0 disables partials)
+  if (config.partial_transcript_interval_ms !== undefined) {
+    if (typeof config.partial_transcript_interval_ms !== 'number' || !Number.isInteger(config.partial_transcript_interval_ms)) {
+      errors.push({ field: 'partial_transcript_interval_ms', message: 'Partial transcript interval must be an integer' });
+    } else if (config.partial_transcript_interval_ms !== 0 &&
+      (config.partial_transcript_interval_ms < 250 || config.partial_transcript_interval_ms > 10000)) {
+      errors.push({ field: 'partial_transcript_interval_ms', message: 'Partial transcript interval must be 0 (off) or 250-10000' });
+    }
+  }
+
   // Buffer size validation
   if (config.buffer_size_ms !== undefined) {
     if (typeof config.buffer_size_ms !== 'number' || !Number.isInteger(config.buffer_size_ms)) {
@@ -259,6 +643,17 @@ export async function validateConfig(config, options = {}) {
     errors.push({ field: 'wake_word_phrase', message: 'Wake word phrase must be a string' });
   }
 
+  // Per-language wake phrase validation
+  if (config.wake_word_phrases !== undefined) {
+    if (typeof config.wake_word_phrases !== 'object' || config.wake_word_phrases === null || Array.isArray(config.wake_word_phrases)) {
+      errors.push({ field: 'wake_word_phrases', message: 'Wake word phrases must be an object of language codes' });
+    } else if (!Object.keys(config.wake_word_phrases).every(code => LANGUAGE_CODE_PATTERN.test(code))) {
+      errors.push({ field: 'wake_word_phrases', message: "Wake word phrases must be keyed by language codes such as 'de'" });
+    } else if (!Object.values(config.wake_word_phrases).every(v => typeof v === 'string' && v.trim() !== '')) {
+      errors.push({ field: 'wake_word_phrases', message: 'Wake word phrases must map each language to a non-empty phrase' });
+    }
+  }
+
   // Display mode validation
   if (config.display_mode !== undefined) {
     if (typeof config.display_mode !== 'string') {
@@ -301,6 +696,16 @@ export async function validateConfig(config, options = {}) {
     errors.push({ field: 'last_session_id', message: 'Last session ID must be a string' });
   }
 
+  // Per-agent session IDs validation
+  if (config.agent_session_ids !== undefined) {
+    const ids = config.agent_session_ids;
+    if (typeof ids !== 'object' || ids === null || Array.isArray(ids)) {
+      errors.push({ field: 'agent_session_ids', message: 'Agent session IDs must be an object' });
+    } else if (!Object.values(ids).every(id => typeof id === 'string')) {
+      errors.push({ field: 'agent_session_ids', message: 'Agent session IDs must be strings' });
+    }
+  }
+
   return errors;
 }
 
@@ -20,6 +20,7 @@ import { EventEmitter } from 'events';
  * @property {string} [details] - Technical details for debugging
  * @property {boolean} recoverable - Whether the error can be recovered from
  * @property {string[]} [suggestions] - Suggested actions for the user
+ * @property {string|null} spoken - Short version to say out loud, or null if it should not be spoken
  */
 
 /**
@@ -39,6 +40,7 @@ export const ErrorCode = Object.freeze({
   PULSEAUDIO_NOT_RUNNING: 'PULSEAUDIO_NOT_RUNNING',
   AUDIO_CAPTURE_ERROR: 'AUDIO_CAPTURE_ERROR',
   AUDIO_PLAYBACK_ERROR: 'AUDIO_PLAYBACK_ERROR',
+  AUDIO_DEVICE_MISSING: 'AUDIO_DEVICE_MISSING',
 
   // STT errors
   STT_EMPTY: 'STT_EMPTY',
@@ -69,11 +71,18 @@ export const ErrorCode = Object.freeze({
 
 /**
  * Error message templates for all error codes
- * @type {Record<string, {message: string, suggestions: string[]}>}
+ *
+ * `spoken` is what Scout says when spoken errors are on: short, in Scout's
+ * own words, and naming the agent in the third person so it never sounds
+ * like the agent talking. Errors that cannot be heard (no speaker, TTS
+ * down) or mean nothing to a listener are not spoken.
+ *
+ * @type {Record<string, {message: string, spoken: string|null, suggestions: string[]}>}
  */
 const ERROR_TEMPLATES = {
   [ErrorCode.OPENCLAW_UNREACHABLE]: {
     message: 'Cannot reach OpenClaw',
+    spoken: "I can't reach your agent right now.",
     suggestions: [
       'Check that the OpenClaw gateway is running',
       'Verify the gateway URL in your configuration',
@@ -82,6 +91,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.OPENCLAW_ERROR]: {
     message: 'OpenClaw returned an error',
+    spoken: 'Your agent ran into a problem. Try again in a moment.',
     suggestions: [
       'Check the OpenClaw gateway logs',
       'Verify your API key is valid',
@@ -90,6 +100,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.CONNECTION_LOST]: {
     message: 'Connection lost',
+    spoken: 'I lost the connection to your agent.',
     suggestions: [
       'Check your network connection',
       'Verify the gateway is still running',
@@ -98,6 +109,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.GATEWAY_TIMEOUT]: {
     message: 'Gateway connection timed out',
+    spoken: 'Your agent is taking too long to answer.',
     suggestions: [
       'The gateway may be overloaded',
       'Try again in a moment',
@@ -106,6 +118,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.MIC_UNAVAILABLE]: {
     message: 'Microphone not available',
+    spoken: "I can't find a microphone.",
     suggestions: [
       'Check that a microphone is connected',
       'Verify PulseAudio is running: pulseaudio --check',
@@ -114,6 +127,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.MIC_PERMISSION_DENIED]: {
     message: 'Microphone access denied',
+    spoken: "I'm not allowed to use the microphone.",
     suggestions: [
       'Scout needs microphone access to hear your voice',
       'Check Termux permissions: termux-microphone-record',
@@ -122,6 +136,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.SPEAKER_UNAVAILABLE]: {
     message: 'Speaker not available',
+    spoken: null,
     suggestions: [
       'Check that audio output is connected',
       'Verify PulseAudio is running',
@@ -130,6 +145,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.PULSEAUDIO_NOT_RUNNING]: {
     message: 'PulseAudio is not running',
+    spoken: null,
     suggestions: [
       'Start PulseAudio: pulseaudio --start',
       'Check PulseAudio status: pulseaudio --check',
@@ -138,6 +154,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.AUDIO_CAPTURE_ERROR]: {
     message: 'Audio capture failed',
+    spoken: 'The microphone stopped working.',
     suggestions: [
       'Check microphone connection',
       'Restart PulseAudio: pulseaudio -k && pulseaudio --start',
@@ -146,14 +163,25 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.AUDIO_PLAYBACK_ERROR]: {
     message: 'Audio playback failed',
+    spoken: null,
     suggestions: [
       'Check speaker connection',
       'Restart PulseAudio',
       'Try running pacat manually'
     ]
   },
+  [ErrorCode.AUDIO_DEVICE_MISSING]: {
+    message: 'Configured audio device not found',
+    spoken: "Your audio device is gone, so I'm using the default.",
+    suggestions: [
+      'Check that the headset or USB device is connected and powered on',
+      'List device names: pactl list short sources / pactl list short sinks',
+      'Fix input_device/output_device in your configuration, or leave them empty for the defaults'
+    ]
+  },
   [ErrorCode.STT_EMPTY]: {
     message: "Didn't catch that",
+    spoken: "Sorry, I didn't catch that.",
     suggestions: [
       'Please speak clearly',
       'Move closer to the microphone',
@@ -162,6 +190,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.STT_GARBAGE]: {
     message: "Didn't catch that",
+    spoken: "Sorry, I didn't catch that.",
     suggestions: [
       'Please speak clearly',
       'Try speaking a bit slower',
@@ -170,6 +199,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.STT_PROCESS_ERROR]: {
     message: 'Speech recognition failed',
+    spoken: 'Speech recognition failed. Please say that again.',
     suggestions: [
       'Check that whisper.cpp is properly installed',
       'Verify the STT model exists',
@@ -178,6 +208,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.WHISPER_NOT_FOUND]: {
     message: 'whisper.cpp not found',
+    spoken: "Speech recognition isn't installed.",
     suggestions: [
       'Install whisper.cpp in your PATH',
       'Set stt_model_path in configuration',
@@ -186,6 +217,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.TTS_FAILED]: {
     message: 'Text-to-speech failed',
+    spoken: null,
     suggestions: [
       'Check that Piper TTS is installed',
       'Verify the voice model exists',
@@ -194,6 +226,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.TTS_PROCESS_ERROR]: {
     message: 'TTS process error',
+    spoken: null,
     suggestions: [
       'Restart the session',
       'Check Piper TTS installation',
@@ -202,6 +235,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.PIPER_NOT_FOUND]: {
     message: 'Piper TTS not found',
+    spoken: null,
     suggestions: [
       'Install Piper: pip install piper-tts',
       'Set tts_model_path in configuration',
@@ -210,6 +244,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.VAD_MODEL_ERROR]: {
     message: 'Voice activity detection failed',
+    spoken: "Voice detection isn't working.",
     suggestions: [
       'Check that Silero VAD model exists',
       'Set vad_model_path in configuration',
@@ -218,6 +253,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.VAD_PROCESS_ERROR]: {
     message: 'VAD processing error',
+    spoken: 'Voice detection failed.',
     suggestions: [
       'Restart the session',
       'Check available memory',
@@ -226,6 +262,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.CONFIG_INVALID]: {
     message: 'Configuration is invalid',
+    spoken: null,
     suggestions: [
       'Run setup wizard to reconfigure',
       'Check config file syntax',
@@ -234,6 +271,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.CONFIG_MISSING]: {
     message: 'Configuration not found',
+    spoken: null,
     suggestions: [
       'Run setup wizard to create configuration',
       'Scout will guide you through setup'
@@ -241,6 +279,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.SESSION_ERROR]: {
     message: 'Session error occurred',
+    spoken: null,
     suggestions: [
       'Try restarting the session',
       'Check system resources',
@@ -249,6 +288,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.STATE_TRANSITION_ERROR]: {
     message: 'Invalid state transition',
+    spoken: null,
     suggestions: [
       'This is a bug - please report it',
       'Try restarting the session'
@@ -256,6 +296,7 @@ const ERROR_TEMPLATES = {
   },
   [ErrorCode.UNKNOWN_ERROR]: {
     message: 'An unexpected error occurred',
+    spoken: null,
     suggestions: [
       'Try restarting the session',
       'Check logs for details',
@@ -277,6 +318,7 @@ const RECOVERABLE_ERRORS = {
   [ErrorCode.STT_GARBAGE]: true,
   [ErrorCode.TTS_FAILED]: true,
   [ErrorCode.VAD_PROCESS_ERROR]: true,
+  [ErrorCode.AUDIO_DEVICE_MISSING]: true,
   [ErrorCode.SESSION_ERROR]: true
 };
 
@@ -295,7 +337,8 @@ export function createErrorInfo(code, details) {
     message: template.message,
     details: details || undefined,
     recoverable: RECOVERABLE_ERRORS[code] || false,
-    suggestions: template.suggestions
+    suggestions: template.suggestions,
+    spoken: template.spoken
   };
 }
 
@@ -368,6 +411,7 @@ export class ErrorMessageHandler extends EventEmitter {
    * @param {NodeJS.WritableStream} [options.output] - Output stream for error messages
    * @param {boolean} [options.showSuggestions=true] - Show suggestions by default
    * @param {boolean} [options.showDetails=false] - Show technical details by default
+   * @param {boolean} [options.display=true] - Write errors to the output stream (false when a UI shows them)
    */
   constructor(options = {}) {
     super();
@@ -375,6 +419,9 @@ export class ErrorMessageHandler extends EventEmitter {
     /** @type {NodeJS.WritableStream} */
     this._output = options.output || process.stderr;
 
+    /** @type {boolean} */
+    this._display = options.display !== false;
+
     /** @type {boolean} */
     this._showSuggestions = options.showSuggestions !== false;
 
@@ -397,7 +444,9 @@ export class ErrorMessageHandler extends EventEmitter {
   handleError(code, details) {
     const error = createErrorInfo(code, details);
     this._recordError(error);
-    this._displayError(error);
+    if (this._display) {
+      this._displayError(error);
+    }
     this.emit('error', error);
     return error;
   }
@@ -432,7 +481,7 @@ export class ErrorMessageHandler extends EventEmitter {
     if (lowerMessage.includes('connection lost') || lowerMessage.includes('disconnected')) {
       return ErrorCode.CONNECTION_LOST;
     }
-    if (lowerMessage.includes('timeout')) {
+    if (lowerMessage.includes('timeout') || lowerMessage.includes('timed out')) {
       return ErrorCode.GATEWAY_TIMEOUT;
     }
 
@@ -579,6 +628,16 @@ export function getErrorMessage(code) {
   return template.message;
 }
 
+/**
+ * Get the short spoken message for an error code
+ * @param {string} code - Error code
+ * @returns {string|null} Message, or null if the error is not spoken
+ */
+export function getSpokenErrorMessage(code) {
+  const template = ERROR_TEMPLATES[code] || ERROR_TEMPLATES[ErrorCode.UNKNOWN_ERROR];
+  return template.spoken;
+}
+
 /**
  * Get suggestions for an error code
  * @param {string} code - Error code
@@ -16,6 +16,7 @@ import { parseArgs } from 'util';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
 
 // Core components
 import { FirstRunDetector, DEFAULT_CONFIG_PATH } from './config/first-run.mjs';
@@ -25,6 +26,11 @@ import { SessionManager } from './session/session-manager.mjs';
 import { ConsoleUI } from './ui/console-ui.mjs';
 import { Logger, createLoggerFromConfig } from './utils/logger.mjs';
 import { DEFAULT_CONFIG } from './config/config.mjs';
+import { resolveAudioBackend } from './audio/audio-backends.mjs';
+import { INPUT_PACES, STDIN_SOURCE } from './audio/stream-capture.mjs';
+import { OpenClawClient } from './openclaw/openclaw-client.mjs';
+import { OutboundQueue, queuePathForConfig } from './session/outbound-queue.mjs';
+import { SessionPersistence } from './session/session-persistence.mjs';
 
 /**
  * @typedef {import('./config/config.mjs').Config} Config
@@ -39,8 +45,16 @@ import { DEFAULT_CONFIG } from './config/config.mjs';
  * @property {boolean} setup - Force run setup wizard
  * @property {string} logLevel - Override log level
  * @property {boolean} debug - Enable debug logging
+ * @property {string} [queue] - Outbound queue action to run instead of a session (list|drop|flush)
+ * @property {string} [input] - WAV or raw PCM file, named pipe or '-' for stdin to listen to instead of the microphone
+ * @property {string} [inputPace] - Read the input in real time or as fast as it is processed (realtime|fast)
  */
 
+/**
+ * Outbound queue actions available from the command line
+ */
+export const QUEUE_ACTIONS = ['list', 'drop', 'flush'];
+
 /**
  * Parse command line arguments
  * @returns {CliOptions}
@@ -52,7 +66,10 @@ function parseCliArgs() {
     version: { type: /** @type {'boolean'} */ ('boolean'), short: 'v' },
     setup: { type: /** @type {'boolean'} */ ('boolean'), short: 's' },
     'log-level': { type: /** @type {'string'} */ ('string'), short: 'l' },
-    debug: { type: /** @type {'boolean'} */ ('boolean'), short: 'd' }
+    debug: { type: /** @type {'boolean'} */ ('boolean'), short: 'd' },
+    queue: { type: /** @type {'string'} */ ('string'), short: 'q' },
+    input: { type: /** @type {'string'} */ ('string'), short: 'i' },
+    'input-pace': { type: /** @type {'string'} */ ('string') }
   };
 
   try {
@@ -63,7 +80,10 @@ function parseCliArgs() {
       version: /** @type {boolean} */ (values.version) || false,
       setup: /** @type {boolean} */ (values.setup) || false,
       logLevel: /** @type {string} */ (values['log-level']) || '',
-      debug: /** @type {boolean} */ (values.debug) || false
+      debug: /** @type {boolean} */ (values.debug) || false,
+      queue: /** @type {string|undefined} */ (values.queue),
+      input: /** @type {string|undefined} */ (values.input),
+      inputPace: /** @type {string|undefined} */ (values['input-pace'])
     };
   } catch {
     return {
@@ -108,6 +128,14 @@ Options:
   -s, --setup            Run setup wizard (even if config exists)
   -l, --log-level <lvl>  Override log level (debug, info, warn, error)
   -d, --debug            Enable debug logging (shortcut for --log-level debug)
+  -q, --queue <action>   Manage messages queued while offline and exit
+                          (list, drop, flush)
+  -i, --input <path>     Listen to a WAV or raw PCM file, a named pipe or
+                          - for stdin instead of the microphone; exits
+                          once the input ends and the last reply is spoken
+      --input-pace <p>   Read the input in real time or as fast as it is
+                          processed (realtime, fast; default: realtime for
+                          files, fast for stdin and pipes)
   -h, --help             Show this help message
   -v, --version          Show version number
 
@@ -120,6 +148,9 @@ Examples:
   scout --setup            Run setup wizard
   scout --config ./my.json Use custom config file
   scout --debug            Start with debug logging
+  scout --queue list       Show messages waiting for the gateway
+  scout --input hello.wav  Hold a conversation from a recording
+  scout -i - < call.raw    Listen to raw 16 kHz PCM from stdin
 
 For more information, see: https://github.com/tjansn/scout-speak
 `);
@@ -208,23 +239,69 @@ export class Scout extends EventEmitter {
 
       this._logger.info('Scout initializing', { configPath: this._options.configPath });
 
+      // Pick the sound system, detecting the installed one for 'auto'
+      const audioBackend = resolveAudioBackend(this._config.audio_backend);
+      this._logger.info('Audio backend', { backend: audioBackend, configured: this._config.audio_backend });
+
       // Create session manager
       this._sessionManager = new SessionManager({
         vadModelPath: this._config.vad_model_path,
+        sttBackend: this._config.stt_backend,
+        sttUrl: this._config.stt_url || undefined,
+        sttHttpModel: this._config.stt_http_model || undefined,
+        sttLanguage: this._config.stt_language || undefined,
         whisperPath: this._config.whisper_path,
         sttModelPath: this._config.stt_model_path,
+        sttMode: /** @type {import('./stt/stt.mjs').STTMode} */ (this._config.stt_mode),
+        whisperServerPath: this._config.whisper_server_path || undefined,
+        ttsBackend: this._config.tts_backend,
         ttsModelPath: this._config.tts_model_path,
+        ttsMode: /** @type {import('./tts/tts.mjs').TTSMode} */ (this._config.tts_mode),
+        ttsEspeakVoice: this._config.tts_espeak_voice || undefined,
+        ttsUrl: this._config.tts_url || undefined,
+        ttsHttpModel: this._config.tts_http_model || undefined,
+        ttsHttpVoice: this._config.tts_http_voice || undefined,
+        ttsNormalize: this._config.tts_normalize,
+        ttsCodeSummary: this._config.tts_code_summary,
+        ttsSsml: this._config.tts_ssml,
+        ttsSpeed: this._config.tts_speed,
+        ttsVolume: this._config.tts_volume,
+        ttsVoices: this._config.tts_voices,
+        ttsVoice: this._config.tts_voice,
+        ttsCacheMb: this._config.tts_cache_mb,
+        ttsSystemVoice: this._config.tts_system_voice || undefined,
+        earcons: this._config.earcons,
         gateway_url: this._config.gateway_url,
         gateway_token: this._config.gateway_token,
+        openclawTransport: this._config.openclaw_transport,
+        openclawAgent: this._config.openclaw_agent,
+        openclawAgents: this._config.openclaw_agents,
+        streamResponses: this._config.stream_responses,
+        replayAfterReconnect: this._config.replay_after_reconnect,
+        queueWhileDisconnected: this._config.queue_while_disconnected,
+        spokenErrors: this._config.spoken_errors,
         configPath: this._options.configPath,
         persistSession: true,
         sampleRate: this._config.sample_rate,
+        audioBackend,
+        audioInput: this._options.input,
+        audioInputPace: /** @type {import('./audio/stream-capture.mjs').InputPace|undefined} */ (this._options.inputPace),
+        inputDevice: this._config.input_device || undefined,
+        outputDevice: this._config.output_device || undefined,
+        echoCancellation: this._config.echo_cancellation,
+        echoDelayMs: this._config.echo_delay_ms,
+        echoTailMs: this._config.echo_tail_ms,
+        highPassFilter: this._config.high_pass_filter,
+        noiseSuppression: this._config.noise_suppression,
+        autoGainControl: this._config.auto_gain_control,
         ttsSampleRate: this._config.tts_sample_rate,
         silenceDurationMs: this._config.silence_duration_ms,
+        partialTranscriptIntervalMs: this._config.partial_transcript_interval_ms,
         bargeInEnabled: this._config.barge_in_enabled,
         bargeInCooldownMs: this._config.barge_in_cooldown_ms,
         wakeWordEnabled: this._config.wake_word_enabled,
         wakeWordPhrase: this._config.wake_word_phrase,
+        wakeWordPhrases: this._config.wake_word_phrases,
         displayMode: /** @type {import('./ui/display-formatter.mjs').DisplayMode} */ (this._config.display_mode)
       });
 
@@ -238,6 +315,9 @@ export class Scout extends EventEmitter {
       // Set up session manager event logging
       this._setupEventLogging();
 
+      // Save speed, volume and voice changes made by voice command
+      this._setupSettingsPersistence();
+
       // Initialize session manager (loads VAD model, etc.)
       await this._sessionManager.init();
 
@@ -313,8 +393,12 @@ export class Scout extends EventEmitter {
       logger.debug('State changed', { from: data.from, to: data.to, reason: data.reason });
     });
 
+    this._sessionManager.on('partial_transcript', (data) => {
+      logger.debug('Partial transcript', { text: data.text, audioDurationMs: data.audioDurationMs });
+    });
+
     this._sessionManager.on('transcript', (data) => {
-      logger.info('Transcript received', { text: data.text });
+      logger.info('Transcript received', { text: data.text, ...(data.language && { language: data.language }) });
     });
 
     this._sessionManager.on('response', (data) => {
@@ -326,13 +410,33 @@ export class Scout extends EventEmitter {
     });
 
     this._sessionManager.on('error', (data) => {
-      logger.error('Session error', { type: data.type, message: data.message });
+      logger.error('Session error', { type: data.type, code: data.code, message: data.message });
     });
 
     this._sessionManager.on('connection_changed', (data) => {
       logger.info('Connection status', { connected: data.connected });
     });
 
+    this._sessionManager.on('recovering', (data) => {
+      logger.info('Reconnecting to OpenClaw', { attempt: data.attempt, maxAttempts: data.maxAttempts });
+    });
+
+    this._sessionManager.on('recovered', (data) => {
+      logger.info('Reconnected to OpenClaw', { attempts: data.attempts, totalTimeMs: data.totalTimeMs });
+    });
+
+    this._sessionManager.on('recovery_failed', (data) => {
+      logger.warn('Could not reconnect to OpenClaw', { attempts: data.attempts, totalTimeMs: data.totalTimeMs });
+    });
+
+    this._sessionManager.on('message_queued', (data) => {
+      logger.info('Message queued while OpenClaw is unreachable', { size: data.size });
+    });
+
+    this._sessionManager.on('queue_delivered', (data) => {
+      logger.info('Queued message delivered', { remaining: data.remaining });
+    });
+
     this._sessionManager.on('session_restored', (data) => {
       logger.info('Session restored', { sessionId: data.sessionId });
     });
@@ -340,6 +444,41 @@ export class Scout extends EventEmitter {
     this._sessionManager.on('wake_word_detected', (data) => {
       logger.debug('Wake word detected', data);
     });
+
+    this._sessionManager.on('voice_settings_changed', (data) => {
+      logger.info('Voice settings changed', data);
+    });
+
+    this._sessionManager.on('input_ended', () => {
+      logger.info('Audio input ended', { input: this._options.input });
+    });
+  }
+
+  /**
+   * Persist runtime voice settings through ConfigPersistence
+   *
+   * Saves run one after another so quick successive changes cannot
+   * overwrite each other.
+   *
+   * @private
+   */
+  _setupSettingsPersistence() {
+    if (!this._sessionManager || !this._configPersistence) return;
+
+    const persistence = this._configPersistence;
+    let saving = Promise.resolve();
+
+    this._sessionManager.on('voice_settings_changed', (data) => {
+      saving = saving
+        .then(() => persistence.update({
+          tts_speed: data.speed,
+          tts_volume: data.volume,
+          ...(data.voice !== null && { tts_voice: data.voice })
+        }))
+        .then(() => {}, (err) => {
+          this._logger?.warn('Could not save voice settings', { error: err instanceof Error ? err.message : String(err) });
+        });
+    });
   }
 
   /**
@@ -360,13 +499,25 @@ export class Scout extends EventEmitter {
     // Set up signal handlers for graceful shutdown
     this._setupSignalHandlers();
 
+    // A recording or stream ends the session when it runs out
+    if (this._options.input) {
+      this._sessionManager.once('input_ended', async () => {
+        await this.shutdown();
+        process.exit(0);
+      });
+    }
+
     if (this._logger) {
       this._logger.info('Starting voice session');
     }
 
     // Print startup message
     console.log('\n--- Scout Voice Interface ---');
-    console.log('Speak to interact with your OpenClaw agent.');
+    if (this._options.input) {
+      console.log(`Listening to ${this._options.input === STDIN_SOURCE ? 'stdin' : this._options.input}.`);
+    } else {
+      console.log('Speak to interact with your OpenClaw agent.');
+    }
     console.log('Press Ctrl+C to exit.\n');
 
     try {
@@ -446,6 +597,9 @@ export class Scout extends EventEmitter {
 
     // Dispose session manager
     if (this._sessionManager) {
+      if (this._logger) {
+        this._logger.debug(this._sessionManager.latencyMetrics.formatSummary());
+      }
       await this._sessionManager.dispose();
       this._sessionManager = null;
     }
@@ -492,6 +646,90 @@ export class Scout extends EventEmitter {
   }
 }
 
+/**
+ * Manage the outbound queue without starting a voice session (`--queue`)
+ *
+ * - list: print queued messages, oldest first
+ * - drop: delete all queued messages
+ * - flush: send queued messages in order and print the replies
+ *
+ * @param {CliOptions} options - CLI options
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runQueueCommand(options) {
+  const action = options.queue ?? '';
+  if (!QUEUE_ACTIONS.includes(action)) {
+    console.error(`Unknown queue action: ${action}. Must be one of: ${QUEUE_ACTIONS.join(', ')}`);
+    return 1;
+  }
+
+  const queue = new OutboundQueue({ filePath: queuePathForConfig(options.configPath) });
+  await queue.init();
+
+  if (queue.size === 0) {
+    console.log('No queued messages.');
+    return 0;
+  }
+
+  if (action === 'list') {
+    queue.list().forEach((message, index) => {
+      console.log(`${index + 1}. [${new Date(message.queuedAt).toLocaleString()}] ${message.text}`);
+    });
+    return 0;
+  }
+
+  if (action === 'drop') {
+    const count = queue.clear();
+    await queue.save();
+    console.log(`Dropped ${count} queued message${count === 1 ? '' : 's'}.`);
+    return 0;
+  }
+
+  /** @type {Config} */
+  let config;
+  try {
+    config = await new ConfigPersistence({ configPath: options.configPath }).load();
+  } catch (err) {
+    console.error(`Failed to load configuration: ${err instanceof Error ? err.message : err}`);
+    return 1;
+  }
+
+  const client = new OpenClawClient(config);
+  // Failures are reported below; don't let them surface as unhandled 'error' events
+  client.on('error', () => {});
+
+  // Each message goes to the agent it was spoken to, continuing that agent's
+  // session; save the session the replies come back on
+  const activeAgent = config.openclaw_agent ?? 'main';
+  const persistence = new SessionPersistence({
+    configPath: options.configPath,
+    agentId: activeAgent
+  });
+  await persistence.init();
+
+  while (queue.size > 0) {
+    const { text, agentId, language } = /** @type {import('./session/outbound-queue.mjs').QueuedMessage} */ (queue.peek());
+    const agent = agentId ?? activeAgent;
+    const sessionId = persistence.getSessionIds()[agent];
+    try {
+      const response = await client.send(text, { sessionId, language, agentId: agent });
+      if (response.sessionId && response.sessionId !== sessionId) {
+        await persistence.setSessionId(response.sessionId, agent);
+      }
+      queue.shift();
+      await queue.save();
+      console.log(`You (queued): ${text}`);
+      console.log(`Agent: ${response.text}`);
+    } catch (err) {
+      console.error(`Failed to send queued message: ${err instanceof Error ? err.message : err}`);
+      console.error(`${queue.size} message${queue.size === 1 ? '' : 's'} still queued.`);
+      return 1;
+    }
+  }
+
+  return 0;
+}
+
 /**
  * Main entry point
  */
@@ -516,6 +754,21 @@ async function main() {
     options.configPath = process.env.SCOUT_CONFIG;
   }
 
+  if (options.input && options.input !== STDIN_SOURCE && !existsSync(options.input)) {
+    console.error(`Input not found: ${options.input}`);
+    process.exit(1);
+  }
+
+  if (options.inputPace !== undefined && !INPUT_PACES.includes(options.inputPace)) {
+    console.error(`Unknown input pace: ${options.inputPace}. Must be one of: ${INPUT_PACES.join(', ')}`);
+    process.exit(1);
+  }
+
+  // Manage the outbound queue and exit
+  if (options.queue !== undefined) {
+    process.exit(await runQueueCommand(options));
+  }
+
   // Create and run Scout
   const scout = new Scout(options);
 
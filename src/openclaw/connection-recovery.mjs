@@ -126,6 +126,9 @@ export class ConnectionRecovery extends EventEmitter {
 
     /** @type {ReturnType<typeof setTimeout>|null} */
     this._timeoutId = null;
+
+    /** @type {(() => void)|null} - Ends the pending backoff delay early */
+    this._resolveDelay = null;
   }
 
   /**
@@ -290,6 +293,12 @@ export class ConnectionRecovery extends EventEmitter {
       clearTimeout(this._timeoutId);
       this._timeoutId = null;
     }
+
+    // Let the recovery loop see the cancellation instead of waiting forever
+    if (this._resolveDelay) {
+      this._resolveDelay();
+      this._resolveDelay = null;
+    }
   }
 
   /**
@@ -312,8 +321,10 @@ export class ConnectionRecovery extends EventEmitter {
    */
   _delay(ms) {
     return new Promise((resolve) => {
+      this._resolveDelay = resolve;
       this._timeoutId = setTimeout(() => {
         this._timeoutId = null;
+        this._resolveDelay = null;
         resolve();
       }, ms);
     });
@@ -0,0 +1,194 @@
+/**
+ * HTTP Transport - Direct HTTP access to the OpenClaw gateway (experimental)
+ *
+ * OpenClaw documents its gateway as WebSocket only. The endpoints below
+ * (POST /v1/agent, GET /health, NDJSON streaming) are unverified against a
+ * real gateway; the CLI transport is the supported path.
+ *
+ * Per openclaw_api.md (Alternative: Direct gateway access):
+ * - Talk to the gateway at config.gateway_url without spawning the CLI
+ * - Avoids a process start plus CLI boot on every turn
+ * - Response body uses the same JSON shape as `openclaw agent --json`
+ * - Streamed responses arrive as newline-delimited JSON events
+ *
+ * This module only moves bytes. Response parsing and error categorization
+ * stay in OpenClawClient so both transports report identical results.
+ */
+
+import { TextDecoder } from 'util';
+
+/**
+ * Gateway HTTP endpoints
+ */
+export const GATEWAY_PATHS = Object.freeze({
+  AGENT: '/v1/agent',
+  HEALTH: '/health'
+});
+
+/**
+ * @typedef {Object} HttpRequestOptions
+ * @property {Object|null} [body=null] - JSON request body
+ * @property {Record<string, string>} [headers={}] - Extra request headers
+ * @property {number} [timeoutMs=30000] - Request timeout in milliseconds (for stream(), until the response headers arrive)
+ * @property {AbortSignal} [signal] - Caller signal to abort the request
+ */
+
+/**
+ * @typedef {Object} HttpResult
+ * @property {number} status - HTTP status code
+ * @property {string} body - Raw response body
+ */
+
+/**
+ * @typedef {Object} HttpStreamResult
+ * @property {number} status - HTTP status code
+ * @property {AsyncGenerator<string, void, undefined>} lines - Response body, one line at a time
+ */
+
+/**
+ * HttpTransport - Minimal JSON-over-HTTP client for the gateway
+ */
+export class HttpTransport {
+  /**
+   * @param {string} baseUrl - Gateway base URL (e.g. http://localhost:18789)
+   */
+  constructor(baseUrl) {
+    if (!baseUrl || typeof baseUrl !== 'string') {
+      throw new Error('baseUrl is required');
+    }
+
+    /** @type {string} */
+    this._baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Get the gateway base URL
+   * @returns {string}
+   */
+  get baseUrl() {
+    return this._baseUrl;
+  }
+
+  /**
+   * Perform an HTTP request against the gateway
+   *
+   * Network failures and timeouts reject with the underlying error
+   * (timeouts surface as an Error named 'TimeoutError').
+   *
+   * @param {'GET'|'POST'} method - HTTP method
+   * @param {string} path - Request path (e.g. GATEWAY_PATHS.AGENT)
+   * @param {HttpRequestOptions} [options={}] - Request options
+   * @returns {Promise<HttpResult>}
+   */
+  async request(method, path, options = {}) {
+    const { response, clearTimer } = await this._fetch(method, path, options);
+    try {
+      return { status: response.status, body: await response.text() };
+    } finally {
+      clearTimer();
+    }
+  }
+
+  /**
+   * Perform an HTTP request and read the response body line by line
+   *
+   * Resolves once headers arrive. The timeout only covers the wait for
+   * them: a long but healthy streamed reply is ended by the caller's
+   * signal, not cut off mid-stream. Leaving the `lines` iteration early
+   * cancels the underlying response body.
+   *
+   * @param {'GET'|'POST'} method - HTTP method
+   * @param {string} path - Request path
+   * @param {HttpRequestOptions} [options={}] - Request options
+   * @returns {Promise<HttpStreamResult>}
+   */
+  async stream(method, path, options = {}) {
+    const { response, clearTimer } = await this._fetch(method, path, options);
+    clearTimer();
+    return { status: response.status, lines: readLines(response) };
+  }
+
+  /**
+   * Issue the fetch with JSON headers, timeout and optional caller signal
+   *
+   * The timeout runs until the returned clearTimer() is called; the
+   * caller's signal stays in effect for the whole body.
+   *
+   * @param {'GET'|'POST'} method
+   * @param {string} path
+   * @param {HttpRequestOptions} options
+   * @returns {Promise<{response: Response, clearTimer: function(): void}>}
+   * @private
+   */
+  async _fetch(method, path, options) {
+    const { body = null, headers = {}, timeoutMs = 30000, signal } = options;
+
+    /** @type {Record<string, string>} */
+    const requestHeaders = { accept: 'application/json', ...headers };
+    if (body !== null) {
+      requestHeaders['content-type'] = 'application/json';
+    }
+
+    const timeout = new AbortController();
+    const timer = setTimeout(() => {
+      const reason = new Error('The operation was aborted due to timeout');
+      reason.name = 'TimeoutError';
+      timeout.abort(reason);
+    }, timeoutMs);
+    const clear = () => clearTimeout(timer);
+
+    try {
+      const response = await fetch(`${this._baseUrl}${path}`, {
+        method,
+        headers: requestHeaders,
+        body: body !== null ? JSON.stringify(body) : undefined,
+        signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal
+      });
+      return { response, clearTimer: clear };
+    } catch (err) {
+      clear();
+      throw err;
+    }
+  }
+}
+
+/**
+ * Split a fetch response body into lines
+ * @param {Response} response - Fetch response
+ * @returns {AsyncGenerator<string, void, undefined>}
+ */
+async function* readLines(response) {
+  if (!response.body) {
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffered += decoder.decode(value, { stream: true });
+
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        yield buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+      }
+    }
+
+    buffered += decoder.decode();
+    if (buffered) {
+      yield buffered;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+export default HttpTransport;
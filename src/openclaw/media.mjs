@@ -0,0 +1,124 @@
+/**
+ * Media - Media attachments in OpenClaw responses
+ *
+ * Per openclaw_api.md, every payload in `result.payloads[]` may carry a
+ * `mediaUrl` next to (or instead of) its text. Scout cannot show media
+ * itself, so it:
+ * - Surfaces attachments as structured data (SessionManager 'media_received')
+ * - Lists them in transcript mode (ConsoleUI/DisplayFormatter)
+ * - Mentions them briefly by voice ("I've sent you an image.")
+ */
+
+/**
+ * @typedef {'image' | 'audio' | 'video' | 'file'} MediaType
+ */
+
+/**
+ * @typedef {Object} OpenClawMedia
+ * @property {string} url - Media URL or path from the payload
+ * @property {MediaType} type - Kind of media, guessed from the URL
+ * @property {string|null} caption - Text of the same payload, if any
+ */
+
+/**
+ * Media kinds
+ */
+export const MEDIA_TYPES = Object.freeze({
+  IMAGE: 'image',
+  AUDIO: 'audio',
+  VIDEO: 'video',
+  FILE: 'file'
+});
+
+/**
+ * File extensions per media kind
+ * @type {Record<string, MediaType>}
+ */
+const EXTENSION_TYPES = {
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image',
+  gif: 'image',
+  webp: 'image',
+  svg: 'image',
+  heic: 'image',
+  mp3: 'audio',
+  wav: 'audio',
+  ogg: 'audio',
+  m4a: 'audio',
+  flac: 'audio',
+  opus: 'audio',
+  mp4: 'video',
+  webm: 'video',
+  mov: 'video',
+  mkv: 'video'
+};
+
+/**
+ * Spoken nouns per media kind
+ * @type {Record<MediaType, string>}
+ */
+const MEDIA_NOUNS = {
+  image: 'image',
+  audio: 'audio clip',
+  video: 'video',
+  file: 'file'
+};
+
+/**
+ * Guess the media kind from a URL
+ *
+ * Handles plain paths, http(s) URLs (query strings ignored) and
+ * `data:<mime>;...` URLs.
+ *
+ * @param {string} url - Media URL
+ * @returns {MediaType}
+ */
+export function mediaTypeFromUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return 'file';
+  }
+
+  const dataMatch = url.match(/^data:(image|audio|video)\//i);
+  if (dataMatch) {
+    return /** @type {MediaType} */ (dataMatch[1].toLowerCase());
+  }
+
+  const path = url.split(/[?#]/)[0];
+  const extension = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+  return EXTENSION_TYPES[extension] ?? 'file';
+}
+
+/**
+ * Build a short spoken announcement for media attachments
+ *
+ * e.g. "I've sent you an image." or "I've sent you 2 images and a file."
+ *
+ * @param {OpenClawMedia[]} media - Attachments
+ * @returns {string} Announcement, or '' when there is no media
+ */
+export function describeMediaForSpeech(media) {
+  if (!media || media.length === 0) {
+    return '';
+  }
+
+  /** @type {Map<MediaType, number>} */
+  const counts = new Map();
+  for (const item of media) {
+    counts.set(item.type, (counts.get(item.type) ?? 0) + 1);
+  }
+
+  const parts = [...counts].map(([type, count]) => {
+    const noun = MEDIA_NOUNS[type];
+    if (count > 1) {
+      return `${count} ${noun}s`;
+    }
+    return /^[aeiou]/.test(noun) ? `an ${noun}` : `a ${noun}`;
+  });
+
+  const list = parts.length > 1
+    ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`
+    : parts[0];
+
+  return `I've sent you ${list}.`;
+}
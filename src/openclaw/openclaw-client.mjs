@@ -1,10 +1,16 @@
 /**
- * OpenClaw Client - CLI wrapper for OpenClaw gateway communication
+ * OpenClaw Client - Gateway communication via CLI or direct HTTP
  *
  * Per openclaw_api.md:
- * - Use CLI `openclaw agent --agent main --message "text" --json` for communication
+ * - Use CLI `openclaw agent --agent <id> --message "text" --json` for communication
+ * - Agent ID comes from config.openclaw_agent (default: main) and can be switched at runtime
+ * - Optionally talk to the gateway over HTTP (config.openclaw_transport = 'http')
+ *   to skip the per-turn process start (experimental: the endpoints are unverified)
+ * - stream() yields response text incrementally (HTTP) for early TTS handoff
+ * - send() and stream() accept an AbortSignal; aborting kills the CLI process or
+ *   HTTP request and send() rejects with a CANCELLED error
  * - Handle exit codes: 0 (success), 1 (error), 7 (connection refused)
- * - Parse JSON response to extract result.payloads[0].text
+ * - Parse JSON response: join the text of all result.payloads[] and collect every mediaUrl
  * - Support gateway token authentication
  * - Never log raw token values
  *
@@ -15,14 +21,22 @@
 
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
+import { HttpTransport, GATEWAY_PATHS } from './http-transport.mjs';
+import { AGENT_ID_PATTERN } from '../config/config.mjs';
+import { mediaTypeFromUrl } from './media.mjs';
 
 /**
  * @typedef {import('../config/config.mjs').Config} Config
  */
 
+/**
+ * @typedef {import('./media.mjs').OpenClawMedia} OpenClawMedia
+ */
+
 /**
  * @typedef {Object} OpenClawResponse
- * @property {string} text - Agent response text
+ * @property {string} text - Agent response text (all text payloads, in order)
+ * @property {OpenClawMedia[]} media - Media attachments from the payloads
  * @property {string|null} sessionId - Session identifier from response
  * @property {number} durationMs - Processing time in milliseconds
  */
@@ -52,9 +66,23 @@ export const ERROR_TYPES = {
   CONNECTION_REFUSED: 'CONNECTION_REFUSED',
   CLI_ERROR: 'CLI_ERROR',
   TIMEOUT: 'TIMEOUT',
-  GATEWAY_NOT_RUNNING: 'GATEWAY_NOT_RUNNING'
+  GATEWAY_NOT_RUNNING: 'GATEWAY_NOT_RUNNING',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Available transports for reaching the gateway
+ */
+export const TRANSPORTS = {
+  CLI: 'cli',
+  HTTP: 'http'
 };
 
+/**
+ * Agent used when config.openclaw_agent is not set
+ */
+export const DEFAULT_AGENT_ID = 'main';
+
 /**
  * Custom error class for OpenClaw errors
  */
@@ -73,10 +101,11 @@ export class OpenClawError extends Error {
 }
 
 /**
- * OpenClaw CLI wrapper client
+ * OpenClaw client
  *
- * Provides methods to communicate with OpenClaw gateway via CLI commands.
- * Handles authentication, response parsing, and error conditions.
+ * Provides methods to communicate with OpenClaw gateway via CLI commands
+ * or direct HTTP requests. Handles authentication, response parsing, and
+ * error conditions identically for both transports.
  */
 export class OpenClawClient extends EventEmitter {
   /**
@@ -96,11 +125,39 @@ export class OpenClawClient extends EventEmitter {
     /** @type {Config} */
     this._config = config;
 
+    if (config.openclaw_agent !== undefined && !AGENT_ID_PATTERN.test(config.openclaw_agent)) {
+      throw new Error(`Invalid agent ID: ${config.openclaw_agent}`);
+    }
+
+    /** @type {string} */
+    this._agentId = config.openclaw_agent || DEFAULT_AGENT_ID;
+
     /** @type {string|null} */
     this._lastSessionId = null;
 
     /** @type {number} */
     this._timeout = 30000; // 30 second default timeout
+
+    /** @type {HttpTransport|null} - Direct gateway transport (null = CLI) */
+    this._httpTransport = config.openclaw_transport === TRANSPORTS.HTTP
+      ? new HttpTransport(config.gateway_url)
+      : null;
+  }
+
+  /**
+   * Get the active transport name
+   * @returns {string}
+   */
+  get transport() {
+    return this._httpTransport ? TRANSPORTS.HTTP : TRANSPORTS.CLI;
+  }
+
+  /**
+   * Get the agent ID messages are sent to
+   * @returns {string}
+   */
+  get agentId() {
+    return this._agentId;
   }
 
   /**
@@ -112,7 +169,29 @@ export class OpenClawClient extends EventEmitter {
   }
 
   /**
-   * Set the timeout for CLI commands
+   * Switch to another agent
+   *
+   * Sessions belong to an agent, so the current session ID is dropped.
+   *
+   * @param {string} agentId - Agent ID (letters, digits, - and _)
+   */
+  setAgent(agentId) {
+    if (typeof agentId !== 'string' || !AGENT_ID_PATTERN.test(agentId)) {
+      throw new Error(`Invalid agent ID: ${agentId}`);
+    }
+
+    if (agentId === this._agentId) {
+      return;
+    }
+
+    const previous = this._agentId;
+    this._agentId = agentId;
+    this._lastSessionId = null;
+    this.emit('agent_changed', { from: previous, to: agentId });
+  }
+
+  /**
+   * Set the timeout for CLI commands and HTTP requests
    * @param {number} timeoutMs - Timeout in milliseconds
    */
   setTimeout(timeoutMs) {
@@ -124,14 +203,23 @@ export class OpenClawClient extends EventEmitter {
 
   /**
    * Build CLI arguments for the openclaw command
+   *
+   * The spoken language (options.language) is deliberately not passed:
+   * `openclaw agent` has no flag for it (see Request Parameters in
+   * openclaw_api.md), an unknown flag makes the CLI exit with an error, and
+   * folding it into --message would change what the user said. Only the
+   * HTTP transport can carry it.
+   *
    * @param {string} message - User message to send
    * @param {Object} [options={}] - Additional options
    * @param {string} [options.sessionId] - Explicit session ID
+   * @param {string|null} [options.language] - Ignored; see above
+   * @param {string} [options.agentId] - Agent to send to instead of the active one
    * @returns {string[]}
    * @private
    */
   _buildArgs(message, options = {}) {
-    const args = ['agent', '--agent', 'main', '--message', message, '--json'];
+    const args = ['agent', '--agent', options.agentId || this._agentId, '--message', message, '--json'];
 
     // Add session ID if provided
     if (options.sessionId) {
@@ -159,14 +247,62 @@ export class OpenClawClient extends EventEmitter {
     return env;
   }
 
+  /**
+   * Build HTTP headers for direct gateway requests
+   *
+   * Mirrors _buildEnv(): the configured token wins, otherwise an
+   * OPENCLAW_GATEWAY_TOKEN inherited from the environment is used.
+   * Never log the token value.
+   *
+   * @returns {Record<string, string>}
+   * @private
+   */
+  _buildHeaders() {
+    /** @type {Record<string, string>} */
+    const headers = {};
+
+    const token = this._config.gateway_token || process.env.OPENCLAW_GATEWAY_TOKEN;
+    if (token) {
+      headers.authorization = `Bearer ${token}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Build the JSON body for an agent request over HTTP
+   * @param {string} message - User message to send
+   * @param {Object} [options={}] - Additional options
+   * @param {string} [options.sessionId] - Explicit session ID
+   * @param {string|null} [options.language] - Language the user spoke (e.g. 'de')
+   * @param {string} [options.agentId] - Agent to send to instead of the active one
+   * @returns {{ agent: string, message: string, sessionId?: string, language?: string }}
+   * @private
+   */
+  _buildRequestBody(message, options = {}) {
+    /** @type {{ agent: string, message: string, sessionId?: string, language?: string }} */
+    const body = { agent: options.agentId || this._agentId, message };
+
+    if (options.sessionId) {
+      body.sessionId = options.sessionId;
+    }
+
+    if (options.language) {
+      body.language = options.language;
+    }
+
+    return body;
+  }
+
   /**
    * Parse the JSON response from OpenClaw CLI
    * @param {string} stdout - Raw stdout output
+   * @param {string} [agentId] - Agent that answered (default: the active one)
    * @returns {OpenClawResponse}
    * @throws {OpenClawError}
    * @private
    */
-  _parseResponse(stdout) {
+  _parseResponse(stdout, agentId = this._agentId) {
     /** @type {OpenClawRawResponse} */
     let parsed;
 
@@ -179,6 +315,18 @@ export class OpenClawClient extends EventEmitter {
       );
     }
 
+    return this._readResponse(parsed, agentId);
+  }
+
+  /**
+   * Extract an OpenClawResponse from a decoded response object
+   * @param {OpenClawRawResponse} parsed - Decoded JSON response
+   * @param {string} [agentId] - Agent that answered (default: the active one)
+   * @returns {OpenClawResponse}
+   * @throws {OpenClawError}
+   * @private
+   */
+  _readResponse(parsed, agentId = this._agentId) {
     // Validate response structure
     if (!parsed || typeof parsed !== 'object') {
       throw new OpenClawError('Invalid response: not an object', ERROR_TYPES.PARSE_ERROR);
@@ -191,8 +339,23 @@ export class OpenClawClient extends EventEmitter {
       );
     }
 
-    // Extract text from payloads
-    const text = parsed.result?.payloads?.[0]?.text || '';
+    // Agents may answer with several payloads (e.g. an answer plus a link or image)
+    const payloads = Array.isArray(parsed.result?.payloads) ? parsed.result.payloads : [];
+
+    // Join all text payloads so everything gets spoken
+    const text = payloads
+      .map(payload => (typeof payload?.text === 'string' ? payload.text.trim() : ''))
+      .filter(Boolean)
+      .join('\n\n');
+
+    /** @type {OpenClawMedia[]} */
+    const media = payloads
+      .filter(payload => typeof payload?.mediaUrl === 'string' && payload.mediaUrl)
+      .map(payload => ({
+        url: /** @type {string} */ (payload.mediaUrl),
+        type: mediaTypeFromUrl(/** @type {string} */ (payload.mediaUrl)),
+        caption: payload.text?.trim() || null
+      }));
 
     // Extract session ID
     const sessionId = parsed.result?.meta?.agentMeta?.sessionId || null;
@@ -200,26 +363,28 @@ export class OpenClawClient extends EventEmitter {
     // Extract duration
     const durationMs = parsed.result?.meta?.durationMs || 0;
 
-    // Store session ID for continuity
-    if (sessionId) {
+    // Store session ID for continuity (another agent's session is not ours)
+    if (sessionId && agentId === this._agentId) {
       this._lastSessionId = sessionId;
     }
 
-    return { text, sessionId, durationMs };
+    return { text, media, sessionId, durationMs };
   }
 
   /**
    * Execute an OpenClaw CLI command
    * @param {string[]} args - CLI arguments
    * @param {NodeJS.ProcessEnv} env - Environment variables
+   * @param {AbortSignal} [signal] - Kills the process when aborted
    * @returns {Promise<{ stdout: string, stderr: string, exitCode: number }>}
    * @private
    */
-  _exec(args, env) {
+  _exec(args, env, signal) {
     return new Promise((resolve, reject) => {
       /** @type {ReturnType<typeof setTimeout> | null} */
       let timeoutId = null;
       let killed = false;
+      let cancelled = false;
 
       const proc = spawn('openclaw', args, {
         env,
@@ -237,8 +402,17 @@ export class OpenClawClient extends EventEmitter {
         stderr += data.toString();
       });
 
+      // Settle right away: the caller should not wait for the process to flush
+      const onAbort = () => {
+        cancelled = true;
+        if (timeoutId) clearTimeout(timeoutId);
+        proc.kill('SIGTERM');
+        reject(new OpenClawError('Request cancelled', ERROR_TYPES.CANCELLED));
+      };
+
       proc.on('error', (/** @type {Error} */ err) => {
         if (timeoutId) clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
         reject(new OpenClawError(
           `Failed to execute openclaw: ${err.message}`,
           ERROR_TYPES.CLI_ERROR
@@ -247,6 +421,11 @@ export class OpenClawClient extends EventEmitter {
 
       proc.on('close', (/** @type {number|null} */ code) => {
         if (timeoutId) clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+
+        if (cancelled) {
+          return;
+        }
 
         if (killed) {
           reject(new OpenClawError('Command timed out', ERROR_TYPES.TIMEOUT));
@@ -261,6 +440,12 @@ export class OpenClawClient extends EventEmitter {
         killed = true;
         proc.kill('SIGTERM');
       }, this._timeout);
+
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
     });
   }
 
@@ -301,12 +486,92 @@ export class OpenClawClient extends EventEmitter {
     );
   }
 
+  /**
+   * Categorize an HTTP transport failure
+   *
+   * Maps HTTP statuses and network errors onto the same ERROR_TYPES the
+   * CLI path produces, so callers cannot tell the transports apart.
+   *
+   * @param {{ status?: number, body?: string, error?: Error }} failure
+   * @returns {OpenClawError}
+   * @private
+   */
+  _categorizeHttpError(failure) {
+    const { status, body = '', error } = failure;
+
+    if (error) {
+      if (error.name === 'TimeoutError') {
+        return new OpenClawError('Command timed out', ERROR_TYPES.TIMEOUT);
+      }
+
+      const code = /** @type {{ cause?: { code?: string } }} */ (error).cause?.code;
+      if (code === 'ECONNREFUSED') {
+        return new OpenClawError('Cannot reach OpenClaw', ERROR_TYPES.CONNECTION_REFUSED);
+      }
+
+      return new OpenClawError(
+        `Failed to reach gateway: ${error.message}`,
+        ERROR_TYPES.CLI_ERROR
+      );
+    }
+
+    if (status === 502 || status === 503) {
+      return new OpenClawError('Cannot reach OpenClaw', ERROR_TYPES.GATEWAY_NOT_RUNNING);
+    }
+
+    const errorMessage = body.trim() || `HTTP ${status}`;
+    return new OpenClawError(`OpenClaw error: ${errorMessage}`, ERROR_TYPES.CLI_ERROR);
+  }
+
+  /**
+   * Send a message over the HTTP transport
+   * @param {HttpTransport} transport - Active HTTP transport
+   * @param {string} message - Trimmed user message
+   * @param {Object} options - Send options
+   * @param {string} [options.sessionId] - Explicit session ID
+   * @param {string|null} [options.language] - Language the user spoke
+   * @param {string} [options.agentId] - Agent to send to instead of the active one
+   * @param {AbortSignal} [signal] - Aborts the request
+   * @returns {Promise<string>} Raw JSON response body
+   * @throws {OpenClawError}
+   * @private
+   */
+  async _sendHttp(transport, message, options, signal) {
+    let result;
+    try {
+      result = await transport.request('POST', GATEWAY_PATHS.AGENT, {
+        body: this._buildRequestBody(message, options),
+        headers: this._buildHeaders(),
+        timeoutMs: this._timeout,
+        signal
+      });
+    } catch (err) {
+      if (signal?.aborted) {
+        throw new OpenClawError('Request cancelled', ERROR_TYPES.CANCELLED);
+      }
+      throw this._categorizeHttpError({ error: /** @type {Error} */ (err) });
+    }
+
+    if (result.status < 200 || result.status >= 300) {
+      throw this._categorizeHttpError(result);
+    }
+
+    return result.body;
+  }
+
   /**
    * Send a message to OpenClaw and receive a response
    *
+   * Aborting `options.signal` kills the CLI process (or aborts the HTTP
+   * request) and rejects with an OpenClawError of type CANCELLED. A
+   * cancellation emits 'cancelled' rather than 'error'.
+   *
    * @param {string} message - User message to send
    * @param {Object} [options={}] - Additional options
    * @param {string} [options.sessionId] - Explicit session ID to use
+   * @param {string|null} [options.language] - Language the user spoke, posted to the agent (HTTP transport only; the CLI has no flag for it)
+   * @param {string} [options.agentId] - Agent to send to instead of the active one (e.g. a message queued before an agent switch)
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
    * @returns {Promise<OpenClawResponse>}
    * @throws {OpenClawError}
    */
@@ -315,31 +580,238 @@ export class OpenClawClient extends EventEmitter {
       throw new Error('Message must be a non-empty string');
     }
 
-    const args = this._buildArgs(message.trim(), options);
-    const env = this._buildEnv();
+    const { signal, ...requestOptions } = options;
+    const trimmed = message.trim();
+
+    if (signal?.aborted) {
+      throw new OpenClawError('Request cancelled', ERROR_TYPES.CANCELLED);
+    }
+
+    this.emit('sending', { message: trimmed });
+
+    /** @type {string} */
+    let stdout;
+
+    if (this._httpTransport) {
+      try {
+        stdout = await this._sendHttp(this._httpTransport, trimmed, requestOptions, signal);
+      } catch (err) {
+        this._emitFailure(/** @type {OpenClawError} */ (err), trimmed);
+        throw err;
+      }
+    } else {
+      const args = this._buildArgs(trimmed, requestOptions);
+      const env = this._buildEnv();
+
+      let result;
+      try {
+        result = await this._exec(args, env, signal);
+      } catch (err) {
+        if (err instanceof OpenClawError && err.type === ERROR_TYPES.CANCELLED) {
+          this._emitFailure(err, trimmed);
+        }
+        throw err;
+      }
+
+      if (result.exitCode !== EXIT_CODES.SUCCESS) {
+        const error = this._categorizeError(result.exitCode, result.stderr);
+        this.emit('error', error);
+        throw error;
+      }
+
+      stdout = result.stdout;
+    }
+
+    const response = this._parseResponse(stdout, requestOptions.agentId || this._agentId);
+    this.emit('received', response);
+
+    return response;
+  }
+
+  /**
+   * Emit 'cancelled' for cancellations and 'error' for real failures
+   * @param {OpenClawError} error - Failure from a request
+   * @param {string} message - Message that was being sent
+   * @private
+   */
+  _emitFailure(error, message) {
+    if (error.type === ERROR_TYPES.CANCELLED) {
+      this.emit('cancelled', { message });
+    } else {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Whether stream() delivers text incrementally
+   *
+   * Only the HTTP transport streams; over the CLI, stream() yields the
+   * whole response text once it has arrived.
+   *
+   * @returns {boolean}
+   */
+  get supportsStreaming() {
+    return this._httpTransport !== null;
+  }
+
+  /**
+   * Send a message to OpenClaw and stream the response text
+   *
+   * Yields text deltas as the agent produces them. The generator's return
+   * value is the final OpenClawResponse (same shape as send()). Aborting
+   * `options.signal` ends the stream early and returns null.
+   *
+   * Streamed HTTP responses are newline-delimited JSON events:
+   * - {"type":"delta","text":"..."} - Incremental response text
+   * - {"type":"done","response":{...}} - Final response (same JSON as send())
+   * - {"type":"error","message":"..."} - Agent-side failure
+   *
+   * @param {string} message - User message to send
+   * @param {Object} [options={}] - Additional options
+   * @param {string} [options.sessionId] - Explicit session ID to use
+   * @param {string|null} [options.language] - Language the user spoke, posted to the agent
+   * @param {string} [options.agentId] - Agent to send to instead of the active one
+   * @param {AbortSignal} [options.signal] - Signal to stop streaming
+   * @returns {AsyncGenerator<string, OpenClawResponse|null, undefined>}
+   * @throws {OpenClawError}
+   */
+  async *stream(message, options = {}) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
+
+    const { signal, ...sendOptions } = options;
 
-    this.emit('sending', { message: message.trim() });
+    if (!this._httpTransport) {
+      /** @type {OpenClawResponse} */
+      let response;
+      try {
+        response = await this.send(message, { ...sendOptions, signal });
+      } catch (err) {
+        if (err instanceof OpenClawError && err.type === ERROR_TYPES.CANCELLED) {
+          return null;
+        }
+        throw err;
+      }
+      if (response.text) {
+        yield response.text;
+      }
+      return response;
+    }
+
+    const trimmed = message.trim();
+    this.emit('sending', { message: trimmed });
+
+    /** @type {OpenClawResponse|null} */
+    let response = null;
+    let streamedText = false;
 
-    const { stdout, stderr, exitCode } = await this._exec(args, env);
+    try {
+      const opened = await this._httpTransport.stream('POST', GATEWAY_PATHS.AGENT, {
+        body: { ...this._buildRequestBody(trimmed, sendOptions), stream: true },
+        headers: { ...this._buildHeaders(), accept: 'application/x-ndjson' },
+        timeoutMs: this._timeout,
+        signal
+      });
 
-    if (exitCode !== EXIT_CODES.SUCCESS) {
-      const error = this._categorizeError(exitCode, stderr);
+      if (opened.status < 200 || opened.status >= 300) {
+        let body = '';
+        for await (const line of opened.lines) {
+          body += line;
+        }
+        throw this._categorizeHttpError({ status: opened.status, body });
+      }
+
+      for await (const line of opened.lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        const event = this._parseStreamEvent(line);
+
+        if (event.type === 'delta' && typeof event.text === 'string' && event.text) {
+          streamedText = true;
+          yield event.text;
+        } else if (event.type === 'done') {
+          response = this._readResponse(event.response, sendOptions.agentId || this._agentId);
+        } else if (event.type === 'error') {
+          throw new OpenClawError(
+            `OpenClaw error: ${event.message || 'Unknown error'}`,
+            ERROR_TYPES.CLI_ERROR
+          );
+        }
+      }
+    } catch (err) {
+      if (signal?.aborted) {
+        this.emit('cancelled', { message: trimmed });
+        return null;
+      }
+      const error = err instanceof OpenClawError
+        ? err
+        : this._categorizeHttpError({ error: /** @type {Error} */ (err) });
       this.emit('error', error);
       throw error;
     }
 
-    const response = this._parseResponse(stdout);
-    this.emit('received', response);
+    if (!response) {
+      const error = new OpenClawError(
+        'OpenClaw stream ended without a response',
+        ERROR_TYPES.PARSE_ERROR
+      );
+      this.emit('error', error);
+      throw error;
+    }
 
+    // Gateway answered without streaming deltas - deliver the text in one piece
+    if (!streamedText && response.text) {
+      yield response.text;
+    }
+
+    this.emit('received', response);
     return response;
   }
 
+  /**
+   * Parse one line of a streamed response
+   * @param {string} line - Raw NDJSON line
+   * @returns {{ type: string, text?: string, message?: string, response: OpenClawRawResponse }}
+   * @throws {OpenClawError}
+   * @private
+   */
+  _parseStreamEvent(line) {
+    try {
+      const event = JSON.parse(line);
+      if (event && typeof event === 'object' && typeof event.type === 'string') {
+        return event;
+      }
+    } catch {
+      // Fall through to the parse error below
+    }
+
+    throw new OpenClawError(
+      `Failed to parse OpenClaw stream event: ${line.slice(0, 80)}`,
+      ERROR_TYPES.PARSE_ERROR
+    );
+  }
+
   /**
    * Check if OpenClaw gateway is healthy
    *
    * @returns {Promise<boolean>} True if gateway is reachable and healthy
    */
   async healthCheck() {
+    if (this._httpTransport) {
+      try {
+        const { status } = await this._httpTransport.request('GET', GATEWAY_PATHS.HEALTH, {
+          headers: this._buildHeaders(),
+          timeoutMs: this._timeout
+        });
+        return status >= 200 && status < 300;
+      } catch {
+        return false;
+      }
+    }
+
     try {
       const { exitCode } = await this._exec(['gateway', 'health'], this._buildEnv());
       return exitCode === EXIT_CODES.SUCCESS;
@@ -0,0 +1,67 @@
+/**
+ * Agent Commands - Voice commands for switching OpenClaw agents
+ *
+ * Recognizes phrases such as:
+ * - "switch to work agent" / "switch to the work agent"
+ * - "change to home agent"
+ * - "switch agent to coding"
+ * - "talk to the work agent" / "use the home agent"
+ *
+ * Matching mirrors the wake word detector: case-insensitive and
+ * punctuation-tolerant, so STT output like "Switch to the Work agent."
+ * still matches. Agent IDs match their spoken form with - and _ read
+ * as spaces ("coding-bot" matches "coding bot").
+ */
+
+import { normalizeCommandText } from './command-text.mjs';
+
+/**
+ * @typedef {Object} AgentSwitchCommand
+ * @property {string} spokenName - Agent name as spoken (normalized)
+ * @property {string|null} agentId - Matching configured agent, or null if unknown
+ */
+
+/**
+ * Phrases that request an agent switch; group 1 captures the agent name
+ * @type {RegExp[]}
+ */
+const SWITCH_PATTERNS = [
+  /^(?:please )?(?:switch|change)(?: over)? to (?:the )?(.+?) agent(?: please)?$/,
+  /^(?:please )?(?:switch|change) agents? to (?:the )?(.+?)(?: agent)?(?: please)?$/,
+  /^(?:please )?(?:talk to|use) (?:the )?(.+?) agent(?: please)?$/
+];
+
+/**
+ * Parse an agent switch command from a transcript
+ *
+ * @param {string} text - Transcribed text
+ * @param {string[]} agents - Agent IDs that may be switched to
+ * @returns {AgentSwitchCommand|null} Command, or null if the text is not a switch request
+ */
+export function parseAgentSwitch(text, agents) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const normalized = normalizeCommandText(text);
+
+  for (const pattern of SWITCH_PATTERNS) {
+    const match = normalized.match(pattern);
+    if (match) {
+      const spokenName = match[1];
+      const agentId = agents.find(agent => normalizeCommandText(agent) === spokenName) ?? null;
+      return { spokenName, agentId };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Format an agent ID for speech ("coding-bot" -> "coding bot")
+ * @param {string} agentId - Agent ID
+ * @returns {string}
+ */
+export function spokenAgentName(agentId) {
+  return agentId.replace(/[-_]+/g, ' ');
+}
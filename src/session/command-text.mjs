@@ -0,0 +1,25 @@
+/**
+ * Command Text - Shared text matching for the spoken command parsers
+ *
+ * Agent, queue and speech commands are matched against the same
+ * normalized form, so "Switch to the Work-Agent." and "switch to the
+ * work agent" are read alike by every parser.
+ */
+
+/**
+ * Normalize text for command matching
+ *
+ * Lowercase, - and _ read as spaces, punctuation dropped, whitespace
+ * collapsed.
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+export function normalizeCommandText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[-_]/g, ' ')
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
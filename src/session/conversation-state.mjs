@@ -206,6 +206,14 @@ export class ConversationState extends EventEmitter {
     this.transition('speaking', 'response_received');
   }
 
+  /**
+   * Update the response text while speaking (streamed responses)
+   * @param {string} response - Response text received so far
+   */
+  updateResponse(response) {
+    this._lastResponse = response;
+  }
+
   /**
    * Handle playback complete
    */
@@ -0,0 +1,213 @@
+/**
+ * Outbound Queue - Utterances spoken while OpenClaw was unreachable
+ *
+ * Opt-in (queue_while_disconnected). When a message cannot reach the
+ * gateway it is stored here instead of being lost, and delivered in order
+ * once the connection is back. Scout never answers queued messages itself;
+ * they only ever go to the agent.
+ *
+ * The queue is persisted as JSON next to the config file
+ * (outbound-queue.json) so it survives restarts, and can be listed,
+ * dropped or flushed by voice or with `scout --queue <action>`.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+
+/**
+ * @typedef {Object} QueuedMessage
+ * @property {string} text - What the user said
+ * @property {number} queuedAt - When it was queued (ms since epoch)
+ * @property {string|null} agentId - Agent it was spoken to (null: the active agent at delivery)
+ * @property {string|null} language - Language it was spoken in, if known
+ */
+
+/**
+ * @typedef {Object} EnqueueOptions
+ * @property {string|null} [agentId=null] - Agent the message is for
+ * @property {string|null} [language=null] - Language the user spoke
+ */
+
+/**
+ * @typedef {Object} OutboundQueueOptions
+ * @property {string|null} [filePath=null] - Queue file (null keeps the queue in memory only)
+ * @property {number} [maxSize=50] - Oldest messages are dropped beyond this
+ */
+
+/**
+ * Queue file name, stored in the config directory
+ */
+export const QUEUE_FILE_NAME = 'outbound-queue.json';
+
+/**
+ * Default maximum number of queued messages
+ */
+export const DEFAULT_MAX_QUEUE_SIZE = 50;
+
+/**
+ * Get the queue file path for a config file
+ * @param {string} configPath - Path to config.json
+ * @returns {string}
+ */
+export function queuePathForConfig(configPath) {
+  return join(dirname(configPath), QUEUE_FILE_NAME);
+}
+
+/**
+ * Persisted FIFO of messages waiting for the gateway
+ */
+export class OutboundQueue {
+  /**
+   * Create an OutboundQueue instance
+   * @param {OutboundQueueOptions} [options={}]
+   */
+  constructor(options = {}) {
+    /** @type {string|null} */
+    this._filePath = options.filePath ?? null;
+
+    /** @type {number} */
+    this._maxSize = options.maxSize ?? DEFAULT_MAX_QUEUE_SIZE;
+
+    /** @type {QueuedMessage[]} */
+    this._messages = [];
+  }
+
+  /**
+   * Get the queue file path
+   * @returns {string|null}
+   */
+  get filePath() {
+    return this._filePath;
+  }
+
+  /**
+   * Get the number of queued messages
+   * @returns {number}
+   */
+  get size() {
+    return this._messages.length;
+  }
+
+  /**
+   * Load queued messages from disk
+   *
+   * A missing or unreadable file means an empty queue.
+   *
+   * @returns {Promise<number>} Number of messages loaded
+   */
+  async init() {
+    if (!this._filePath) {
+      return 0;
+    }
+
+    try {
+      const content = await readFile(this._filePath, 'utf-8');
+      const parsed = JSON.parse(content);
+      const messages = Array.isArray(parsed?.messages) ? parsed.messages : [];
+      this._messages = messages.filter(
+        /** @param {any} message */
+        (message) => typeof message?.text === 'string' && message.text.trim()
+      ).map(
+        /** @param {any} message */
+        (message) => ({
+          text: message.text,
+          queuedAt: typeof message.queuedAt === 'number' ? message.queuedAt : 0,
+          agentId: typeof message.agentId === 'string' && message.agentId ? message.agentId : null,
+          language: typeof message.language === 'string' && message.language ? message.language : null
+        })
+      );
+    } catch {
+      this._messages = [];
+    }
+
+    return this._messages.length;
+  }
+
+  /**
+   * Get a copy of the queued messages, oldest first
+   * @returns {QueuedMessage[]}
+   */
+  list() {
+    return this._messages.map(message => ({ ...message }));
+  }
+
+  /**
+   * Get the oldest queued message without removing it
+   * @returns {QueuedMessage|null}
+   */
+  peek() {
+    return this._messages[0] ? { ...this._messages[0] } : null;
+  }
+
+  /**
+   * Add a message to the end of the queue
+   *
+   * The agent and language are stored with the message, so it reaches the
+   * agent it was spoken to even after a switch.
+   *
+   * @param {string} text - What the user said
+   * @param {EnqueueOptions} [options={}]
+   * @returns {QueuedMessage} The queued message
+   */
+  enqueue(text, options = {}) {
+    const message = {
+      text,
+      queuedAt: Date.now(),
+      agentId: options.agentId ?? null,
+      language: options.language ?? null
+    };
+    this._messages.push(message);
+
+    if (this._messages.length > this._maxSize) {
+      this._messages.splice(0, this._messages.length - this._maxSize);
+    }
+
+    return { ...message };
+  }
+
+  /**
+   * Remove and return the oldest message
+   * @returns {QueuedMessage|null}
+   */
+  shift() {
+    return this._messages.shift() ?? null;
+  }
+
+  /**
+   * Drop all queued messages
+   * @returns {number} Number of messages dropped
+   */
+  clear() {
+    const count = this._messages.length;
+    this._messages = [];
+    return count;
+  }
+
+  /**
+   * Write the queue to disk (atomic: temp file, then rename)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this._filePath) {
+      return;
+    }
+
+    const content = JSON.stringify({ messages: this._messages }, null, 2) + '\n';
+    const tempPath = `${this._filePath}.tmp`;
+
+    await mkdir(dirname(this._filePath), { recursive: true });
+    await writeFile(tempPath, content, 'utf-8');
+    await rename(tempPath, this._filePath);
+  }
+}
+
+/**
+ * Create an OutboundQueue instance
+ * @param {OutboundQueueOptions} [options]
+ * @returns {OutboundQueue}
+ */
+export function createOutboundQueue(options) {
+  return new OutboundQueue(options);
+}
+
+export default OutboundQueue;
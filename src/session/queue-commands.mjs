@@ -0,0 +1,61 @@
+/**
+ * Queue Commands - Voice commands for the outbound message queue
+ *
+ * Recognizes phrases such as:
+ * - "list queued messages" / "what's in the queue"
+ * - "drop queued messages" / "clear the queue"
+ * - "send queued messages" / "flush the queue"
+ *
+ * Matching is case-insensitive and punctuation-tolerant, like the agent
+ * switch commands.
+ */
+
+import { normalizeCommandText } from './command-text.mjs';
+
+/**
+ * @typedef {'list' | 'drop' | 'flush'} QueueCommand
+ */
+
+/**
+ * Queue command actions
+ */
+export const QUEUE_COMMANDS = Object.freeze({
+  LIST: 'list',
+  DROP: 'drop',
+  FLUSH: 'flush'
+});
+
+/**
+ * Phrases per command
+ * @type {Array<[QueueCommand, RegExp]>}
+ */
+const COMMAND_PATTERNS = [
+  ['list', /^(?:please )?(?:list|read|show)(?: me)? (?:the |my )?queued messages(?: please)?$/],
+  ['list', /^what(?:s| is) in (?:the |my )?queue$/],
+  ['drop', /^(?:please )?(?:drop|clear|delete|discard) (?:the |my |all )?(?:queued messages|queue)(?: please)?$/],
+  ['flush', /^(?:please )?(?:send|flush|deliver) (?:the |my )?(?:queued messages|queue)(?: now)?(?: please)?$/]
+];
+
+/**
+ * Parse a queue command from a transcript
+ * @param {string} text - Transcribed text
+ * @returns {QueueCommand|null} Command, or null if the text is not a queue command
+ */
+export function parseQueueCommand(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const normalized = normalizeCommandText(text);
+  const match = COMMAND_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+  return match ? match[0] : null;
+}
+
+/**
+ * Describe a message count for speech ("1 queued message", "3 queued messages")
+ * @param {number} count - Number of messages
+ * @returns {string}
+ */
+export function describeQueuedCount(count) {
+  return `${count} queued message${count === 1 ? '' : 's'}`;
+}
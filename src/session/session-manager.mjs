@@ -19,21 +19,58 @@
  * - 'state_changed': State transition occurred
  * - 'transcript': User speech transcribed
  * - 'response': Agent response received
+ * - 'response_delta': Streamed agent response text arrived
+ * - 'media_received': Agent response included media attachments (images, files, ...)
  * - 'speaking_started': TTS playback began
  * - 'speaking_complete': TTS playback finished
  * - 'barge_in': User interrupted agent
- * - 'error': Non-fatal error occurred
+ * - 'error': Non-fatal error occurred {type, message, code, recoverable, suggestions}
+ * - 'error_spoken': A short version of an error was announced by voice {code, text}
+ * - 'earcon_played': A status earcon played {event}
  * - 'connection_changed': OpenClaw connection status changed
+ * - 'recovering': Reconnection attempt after the gateway dropped {attempt, maxAttempts}
+ * - 'recovered': Gateway reachable again {attempts, totalTimeMs}
+ * - 'recovery_failed': Gave up reconnecting {attempts, totalTimeMs}
+ * - 'transcript_replayed': Unsent transcript re-sent after reconnecting
+ * - 'message_queued': Transcript queued while OpenClaw was unreachable {text, size}
+ * - 'queue_delivered': Queued message answered by the agent {text, response, remaining}
+ * - 'queue_cleared': Queued messages dropped {count}
+ * - 'agent_changed': Active OpenClaw agent switched (voice command or switchAgent())
+ * - 'voice_settings_changed': Speaking speed, volume or voice changed {speed, volume, voice}
+ * - 'audio_device_changed': Microphone or speaker switched {kind: 'input'|'output', device}
+ * - 'request_superseded': A new utterance cancelled the request still in flight
+ * - 'input_ended': The audio input file or stream ran out and the reply to its last utterance finished
  */
 
 import { EventEmitter } from 'events';
 import { ConversationState } from './conversation-state.mjs';
 import { SessionPersistence } from './session-persistence.mjs';
 import { SpeechPipeline } from '../stt/speech-pipeline.mjs';
-import { OpenClawClient } from '../openclaw/openclaw-client.mjs';
+import { OpenClawClient, ERROR_TYPES } from '../openclaw/openclaw-client.mjs';
 import { ConnectionMonitor } from '../openclaw/connection-monitor.mjs';
+import { ConnectionRecovery } from '../openclaw/connection-recovery.mjs';
 import { TtsPlaybackPipeline } from '../tts/tts-playback-pipeline.mjs';
+import { EarconPlayer } from '../audio/earcons.mjs';
+import { DeviceMonitor } from '../audio/device-monitor.mjs';
+import { getAudioBackend, DEFAULT_AUDIO_BACKEND } from '../audio/audio-backends.mjs';
 import { WakeWordDetector } from '../wakeword/wake-word-detector.mjs';
+import { parseAgentSwitch, spokenAgentName } from './agent-commands.mjs';
+import { OutboundQueue, queuePathForConfig } from './outbound-queue.mjs';
+import { TtsCache, ttsCacheDirForConfig } from '../tts/tts-cache.mjs';
+import { ErrorMessageHandler, ErrorCode } from '../errors/error-messages.mjs';
+import { parseQueueCommand, describeQueuedCount } from './queue-commands.mjs';
+import {
+  parseSpeechCommand,
+  stepSpeed,
+  stepVolume,
+  spokenVoiceName,
+  MIN_SPEED,
+  MAX_SPEED,
+  MIN_VOLUME,
+  MAX_VOLUME
+} from './speech-commands.mjs';
+import { describeMediaForSpeech } from '../openclaw/media.mjs';
+import { LatencyMetrics } from '../utils/latency-metrics.mjs';
 
 /**
  * @typedef {import('../config/config.mjs').Config} Config
@@ -46,11 +83,49 @@ import { WakeWordDetector } from '../wakeword/wake-word-detector.mjs';
 /**
  * @typedef {Object} SessionManagerConfig
  * @property {string} vadModelPath - Path to Silero VAD ONNX model
- * @property {string} whisperPath - Path to whisper.cpp executable
- * @property {string} sttModelPath - Path to whisper GGML model
- * @property {string} ttsModelPath - Path to Piper .onnx voice model
+ * @property {string} [sttBackend='whisper-cpp'] - STT backend ('whisper-cpp' | 'http')
+ * @property {string} [whisperPath] - Path to whisper.cpp executable (whisper-cpp backend)
+ * @property {string} [sttModelPath] - Path to whisper GGML model (whisper-cpp backend)
+ * @property {string} [sttUrl] - Local transcription server URL (http backend)
+ * @property {string} [sttHttpModel] - Model name sent to the transcription server (http backend)
+ * @property {string} [sttLanguage=''] - Spoken language code, 'auto' to detect it per utterance, '' for the model default
+ * @property {import('../stt/stt.mjs').STTMode} [sttMode='oneshot'] - Spawn whisper.cpp per utterance or keep a server running
+ * @property {string} [whisperServerPath] - whisper.cpp server executable (server mode)
+ * @property {number} [partialTranscriptIntervalMs=0] - Transcribe speech in progress every N ms (0 = off)
+ * @property {string} [ttsBackend='piper'] - TTS backend ('piper' | 'espeak-ng' | 'http')
+ * @property {string} [ttsModelPath] - Path to Piper .onnx voice model (piper backend)
+ * @property {import('../tts/tts.mjs').TTSMode} [ttsMode='worker'] - Spawn Piper per sentence or keep a worker running (piper backend)
+ * @property {string} [ttsEspeakVoice] - espeak-ng voice (espeak-ng backend)
+ * @property {string} [ttsUrl] - Local speech server URL (http backend)
+ * @property {string} [ttsHttpModel] - Model name sent to the speech server (http backend)
+ * @property {string} [ttsHttpVoice] - Voice name sent to the speech server (http backend)
+ * @property {boolean} [ttsNormalize=true] - Turn markdown, URLs and numbers into speakable text before TTS
+ * @property {string} [ttsCodeSummary] - Spoken in place of code blocks
+ * @property {boolean} [ttsSsml=true] - Interpret SSML-lite markup in agent replies
+ * @property {number} [ttsSpeed=1] - Speaking speed multiplier (0.5-2)
+ * @property {number} [ttsVolume=1] - Output gain (0-2)
+ * @property {Record<string, string>} [ttsVoices={}] - Voices reachable by name ("switch to the British voice"): Piper model path, espeak-ng voice or server voice, per backend. Names that are language codes ("de") also voice replies to speech in that language
+ * @property {string} [ttsVoice] - Active voice, a name from ttsVoices (backend default when not listed)
+ * @property {number} [ttsCacheMb=0] - Size of the audio cache for sentences said before (0 = none); kept next to the config file, in memory without configPath
+ * @property {string} [ttsSystemVoice] - Voice reserved for Scout's own messages (status, errors, command replies): a name from ttsVoices or the backend voice itself; the agent's voice when unset
+ * @property {Partial<Record<import('../audio/earcons.mjs').EarconEvent, import('../audio/earcons.mjs').EarconSetting>>|false} [earcons={}] - Status earcons per event: true (built-in), false (none) or a WAV file path; false turns all of them off
+ * @property {string} [audioBackend='pulseaudio'] - Audio backend to record and play with, already resolved from 'auto' (see audio-backends.mjs)
+ * @property {string} [audioInput] - WAV or raw PCM file, named pipe or '-' for stdin to listen to instead of the microphone
+ * @property {import('../audio/stream-capture.mjs').InputPace} [audioInputPace] - Read audioInput in real time or as fast as it is processed (files realtime, stdin and pipes fast by default)
+ * @property {string} [inputDevice] - PulseAudio source to record from (`pactl list short sources`); the default source when unset
+ * @property {string} [outputDevice] - PulseAudio sink to play to (`pactl list short sinks`); the default sink when unset
+ * @property {boolean} [echoCancellation=false] - Cancel Scout's own voice in the microphone so speaker playback is not taken for barge-in
+ * @property {number} [echoDelayMs=100] - Latency from playback to hearing it in the microphone
+ * @property {number} [echoTailMs=128] - Echo length the canceller covers
+ * @property {boolean} [highPassFilter=false] - Filter out rumble below the voice before VAD
+ * @property {boolean} [noiseSuppression=false] - Attenuate steady background noise before VAD
+ * @property {boolean} [autoGainControl=false] - Normalize utterance loudness before STT
  * @property {string} gateway_url - OpenClaw gateway URL
  * @property {string} [gateway_token] - OpenClaw gateway token
+ * @property {string} [openclawTransport='cli'] - Gateway transport ('cli' | 'http')
+ * @property {boolean} [streamResponses=true] - Speak agent responses while they stream in (HTTP transport)
+ * @property {string} [openclawAgent='main'] - OpenClaw agent to talk to
+ * @property {string[]} [openclawAgents=[]] - Additional agents reachable by voice ("switch to work agent")
  * @property {string} [configPath] - Path to config file for session persistence (T050)
  * @property {boolean} [persistSession=true] - Whether to persist session ID across restarts (T050)
  * @property {number} [sampleRate=16000] - Capture sample rate
@@ -62,10 +137,16 @@ import { WakeWordDetector } from '../wakeword/wake-word-detector.mjs';
  * @property {number} [bufferSizeMs=500] - Jitter buffer size
  * @property {number} [lowWatermarkMs=100] - Start playback threshold
  * @property {number} [connectionPollMs=5000] - Connection check interval
+ * @property {Partial<import('../openclaw/connection-recovery.mjs').RecoveryConfig>} [recovery] - Reconnect backoff overrides
+ * @property {boolean} [replayAfterReconnect=false] - Re-send the last transcript that failed to reach OpenClaw once reconnected
+ * @property {boolean} [queueWhileDisconnected=false] - Queue transcripts while OpenClaw is unreachable and deliver them on reconnect
+ * @property {boolean} [spokenErrors=true] - Announce errors by voice ("I can't reach your agent right now")
+ * @property {number} [spokenErrorCooldownMs=60000] - The same spoken error is not repeated within this time
  * @property {boolean} [bargeInEnabled=true] - Whether barge-in is enabled
  * @property {number} [bargeInCooldownMs=200] - Barge-in cooldown/debounce period
  * @property {boolean} [wakeWordEnabled=false] - Whether wake word detection is enabled (FR-11)
  * @property {string} [wakeWordPhrase='hey scout'] - Wake word phrase to listen for (FR-11)
+ * @property {Record<string, string>} [wakeWordPhrases={}] - Extra wake phrases by language code, e.g. { de: 'hallo scout' }
  * @property {DisplayMode} [displayMode='minimal'] - Display mode for console output (FR-12)
  */
 
@@ -83,6 +164,12 @@ export const DEFAULT_SESSION_CONFIG = Object.freeze({
   bufferSizeMs: 500,
   lowWatermarkMs: 100,
   connectionPollMs: 5000,
+  replayAfterReconnect: false,
+  queueWhileDisconnected: false,
+  spokenErrors: true,
+  spokenErrorCooldownMs: 60000,
+  streamResponses: true,
+  openclawAgent: 'main',
   bargeInEnabled: true,
   bargeInCooldownMs: 200,
   persistSession: true,
@@ -91,6 +178,47 @@ export const DEFAULT_SESSION_CONFIG = Object.freeze({
   displayMode: 'minimal'
 });
 
+/**
+ * Earcon for a state transition, by the reason for it
+ *
+ * Barge-in has none: the user is already talking.
+ *
+ * @type {Readonly<Record<string, import('../audio/earcons.mjs').EarconEvent>>}
+ */
+const TRANSITION_EARCONS = Object.freeze({
+  session_started: 'listening',
+  playback_complete: 'listening',
+  wake_word_detected: 'wake_word',
+  speech_ended: 'processing'
+});
+
+/**
+ * OpenClaw failures that mean the message never reached the agent
+ * @type {ReadonlyArray<string>}
+ */
+const UNSENT_ERROR_TYPES = Object.freeze([
+  ERROR_TYPES.CONNECTION_REFUSED,
+  ERROR_TYPES.GATEWAY_NOT_RUNNING,
+  ERROR_TYPES.TIMEOUT
+]);
+
+/**
+ * Error code for an OpenClaw failure
+ * @param {Error & {type?: string}} error - Error from OpenClawClient
+ * @returns {string} Code from ErrorCode
+ */
+function openClawErrorCode(error) {
+  switch (error.type) {
+  case ERROR_TYPES.CONNECTION_REFUSED:
+  case ERROR_TYPES.GATEWAY_NOT_RUNNING:
+    return ErrorCode.OPENCLAW_UNREACHABLE;
+  case ERROR_TYPES.TIMEOUT:
+    return ErrorCode.GATEWAY_TIMEOUT;
+  default:
+    return ErrorCode.OPENCLAW_ERROR;
+  }
+}
+
 /**
  * SessionManager - Central coordinator for voice conversations
  *
@@ -124,9 +252,17 @@ export class SessionManager extends EventEmitter {
     /** @type {OpenClawClient} */
     this._openclawClient = new OpenClawClient(/** @type {import('../config/config.mjs').Config} */ ({
       gateway_url: this._config.gateway_url,
-      gateway_token: this._config.gateway_token || ''
+      gateway_token: this._config.gateway_token || '',
+      openclaw_transport: this._config.openclawTransport ?? 'cli',
+      openclaw_agent: this._config.openclawAgent ?? 'main'
     }));
 
+    /** @type {string} - Active OpenClaw agent */
+    this._agentId = this._config.openclawAgent ?? 'main';
+
+    /** @type {Record<string, string>} - Session IDs of inactive agents (without persistence) */
+    this._agentSessionIds = {};
+
     /** @type {ConnectionMonitor} */
     this._connectionMonitor = new ConnectionMonitor(
       this._openclawClient,
@@ -134,9 +270,70 @@ export class SessionManager extends EventEmitter {
       { pollIntervalMs: this._config.connectionPollMs }
     );
 
+    /** @type {ConnectionRecovery} - Reconnects with backoff after the gateway drops */
+    this._connectionRecovery = new ConnectionRecovery(
+      () => this._connectionMonitor.check(),
+      this._config.recovery ?? {}
+    );
+
+    /** @type {string|null} - Last transcript that failed to reach OpenClaw */
+    this._unsentTranscript = null;
+
+    /** @type {OutboundQueue|null} - Transcripts waiting for the gateway (opt-in) */
+    this._outboundQueue = null;
+    if (this._config.queueWhileDisconnected) {
+      this._outboundQueue = new OutboundQueue({
+        filePath: this._config.configPath ? queuePathForConfig(this._config.configPath) : null
+      });
+    }
+
+    /** @type {ErrorMessageHandler} - Friendly messages and codes for every reported error */
+    this._errorMessages = new ErrorMessageHandler({ display: false });
+    // Errors reach listeners through this manager's own 'error' event
+    this._errorMessages.on('error', () => {});
+
+    /** @type {import('../errors/error-messages.mjs').ErrorInfo|null} - Error to announce once the turn is over */
+    this._pendingSpokenError = null;
+
+    /** @type {Map<string, number>} - When each spoken error was last announced */
+    this._spokenErrorTimes = new Map();
+
     /** @type {TtsPlaybackPipeline|null} */
     this._ttsPipeline = null;
 
+    /** @type {TtsPlaybackPipeline|null} - Speaks Scout's own messages in the system voice (ttsSystemVoice) */
+    this._systemTtsPipeline = null;
+
+    /** @type {TtsCache|null} - Audio cache shared by both voices */
+    this._ttsCache = null;
+
+    /** @type {Promise<void>|null} - Status message being spoken between turns; replies wait for it */
+    this._statusSpeech = null;
+
+    /** @type {EarconPlayer|null} */
+    this._earcons = null;
+
+    /** @type {string|null} - Voice the TTS backend was configured with, used when no other voice applies */
+    this._backendVoice = null;
+
+    /** @type {DeviceMonitor} - Follows microphones and speakers as they come and go */
+    this._deviceMonitor = new DeviceMonitor();
+
+    /** @type {{input: string|null, output: string|null}} - Devices in use (null = PulseAudio default) */
+    this._audioDevices = {
+      input: this._config.inputDevice || null,
+      output: this._config.outputDevice || null
+    };
+
+    /** @type {{input: string|null|undefined, output: string|null|undefined}} - Default devices as last seen (undefined before the first look) */
+    this._defaultDevices = { input: undefined, output: undefined };
+
+    /** @type {Set<'input'|'output'>} - Configured devices reported missing and not back yet */
+    this._missingDevices = new Set();
+
+    /** @type {LatencyMetrics} - TTS time-to-first-audio and per-sentence latency */
+    this._latencyMetrics = new LatencyMetrics();
+
     /** @type {boolean} */
     this._initialized = false;
 
@@ -149,6 +346,12 @@ export class SessionManager extends EventEmitter {
     /** @type {boolean} */
     this._processingTranscript = false;
 
+    /** @type {AbortController|null} - Aborts the in-flight OpenClaw request or stream */
+    this._responseAbort = null;
+
+    /** @type {Promise<void>|null} - Transcript currently being handled */
+    this._currentTurn = null;
+
     /** @type {number} - Timestamp of last barge-in for cooldown */
     this._lastBargeInTime = 0;
 
@@ -157,18 +360,24 @@ export class SessionManager extends EventEmitter {
     if (this._config.persistSession && this._config.configPath) {
       this._sessionPersistence = new SessionPersistence({
         configPath: this._config.configPath,
-        autoSave: true
+        autoSave: true,
+        agentId: this._agentId
       });
     }
 
+    /** @type {boolean} - Wake phrase heard in a partial transcript; strip it from the final one */
+    this._wokeMidUtterance = false;
+
     /** @type {WakeWordDetector} - Wake word detector for hands-free activation (FR-11) */
     this._wakeWordDetector = new WakeWordDetector({
       enabled: this._config.wakeWordEnabled ?? false,
-      wakePhrase: this._config.wakeWordPhrase ?? 'hey scout'
+      wakePhrase: this._config.wakeWordPhrase ?? 'hey scout',
+      wakePhrases: this._config.wakeWordPhrases ?? {}
     });
 
     this._setupStateEvents();
     this._setupConnectionEvents();
+    this._setupRecoveryEvents();
     this._setupWakeWordEvents();
   }
 
@@ -179,7 +388,17 @@ export class SessionManager extends EventEmitter {
    */
   _validateConfig(config) {
     /** @type {(keyof SessionManagerConfig)[]} */
-    const required = ['vadModelPath', 'whisperPath', 'sttModelPath', 'ttsModelPath', 'gateway_url'];
+    const required = ['vadModelPath', 'gateway_url'];
+    if ((config.sttBackend ?? 'whisper-cpp') === 'whisper-cpp') {
+      required.push('whisperPath', 'sttModelPath');
+    } else if (config.sttBackend === 'http') {
+      required.push('sttUrl');
+    }
+    if ((config.ttsBackend ?? 'piper') === 'piper') {
+      required.push('ttsModelPath');
+    } else if (config.ttsBackend === 'http') {
+      required.push('ttsUrl');
+    }
     for (const field of required) {
       if (!config[field]) {
         throw new Error(`${field} is required`);
@@ -245,35 +464,119 @@ export class SessionManager extends EventEmitter {
       }
     }
 
+    // Restore messages queued before the last shutdown
+    if (this._outboundQueue) {
+      await this._outboundQueue.init();
+    }
+
     // Create and initialize speech pipeline
     this._speechPipeline = new SpeechPipeline({
       vadModelPath: this._config.vadModelPath,
+      sttBackend: this._config.sttBackend,
       whisperPath: this._config.whisperPath,
       sttModelPath: this._config.sttModelPath,
+      sttUrl: this._config.sttUrl,
+      sttHttpModel: this._config.sttHttpModel,
+      sttLanguage: this._config.sttLanguage,
+      sttMode: this._config.sttMode,
+      whisperServerPath: this._config.whisperServerPath,
+      partialTranscriptIntervalMs: this._config.partialTranscriptIntervalMs,
       sampleRate: this._config.sampleRate,
+      inputDevice: this._audioDevices.input,
+      audioBackend: this._config.audioBackend,
+      audioInput: this._config.audioInput ?? null,
+      audioInputPace: this._config.audioInputPace ?? null,
+      echoCancellation: this._config.echoCancellation,
+      echoDelayMs: this._config.echoDelayMs,
+      echoTailMs: this._config.echoTailMs,
+      highPassFilter: this._config.highPassFilter,
+      noiseSuppression: this._config.noiseSuppression,
+      autoGainControl: this._config.autoGainControl,
       vadThreshold: this._config.vadThreshold,
       bargeInThreshold: this._config.bargeInThreshold,
       silenceDurationMs: this._config.silenceDurationMs,
       minSpeechMs: this._config.minSpeechMs
     });
 
+    // One audio cache for both voices: two instances on one directory would
+    // evict each other's files behind their backs
+    this._ttsCache = this._config.ttsCacheMb ? new TtsCache({
+      dir: this._config.configPath ? ttsCacheDirForConfig(this._config.configPath) : null,
+      maxBytes: this._config.ttsCacheMb * 1024 * 1024
+    }) : null;
+
     // Create TTS pipeline
-    this._ttsPipeline = new TtsPlaybackPipeline({
+    /** @type {Partial<import('../tts/tts-playback-pipeline.mjs').TtsPlaybackPipelineConfig>} */
+    const ttsConfig = {
+      backend: this._config.ttsBackend,
       modelPath: this._config.ttsModelPath,
+      mode: this._config.ttsMode,
+      espeakVoice: this._config.ttsEspeakVoice,
+      url: this._config.ttsUrl,
+      httpModel: this._config.ttsHttpModel,
+      voice: this._config.ttsHttpVoice,
+      normalizer: this._config.ttsNormalize === false ? null : {
+        ...(this._config.ttsCodeSummary !== undefined && { codeSummary: this._config.ttsCodeSummary })
+      },
+      ssml: this._config.ttsSsml,
+      speed: this._config.ttsSpeed,
+      volume: this._config.ttsVolume,
+      cache: this._ttsCache,
       sampleRate: this._config.ttsSampleRate,
+      outputDevice: this._audioDevices.output,
+      audioBackend: this._config.audioBackend,
       bufferSizeMs: this._config.bufferSizeMs,
       lowWatermarkMs: this._config.lowWatermarkMs
-    });
+    };
+    this._ttsPipeline = new TtsPlaybackPipeline(ttsConfig);
+    this._backendVoice = this._ttsPipeline.voice;
+    if (this.voice) {
+      this._ttsPipeline.setVoice(this._voiceFor(this.voice));
+    }
+
+    // A second engine keeps the system voice loaded next to the agent's
+    const systemVoice = this._config.ttsSystemVoice;
+    if (systemVoice) {
+      this._systemTtsPipeline = new TtsPlaybackPipeline(ttsConfig);
+      this._systemTtsPipeline.setVoice(this._config.ttsVoices?.[systemVoice] ?? systemVoice);
+    }
+
+    if (this._config.earcons !== false) {
+      this._earcons = new EarconPlayer({
+        sounds: this._config.earcons ?? {},
+        sampleRate: this._ttsPipeline.sampleRate,
+        volume: this.speechVolume,
+        device: this._audioDevices.output,
+        backend: this._config.audioBackend
+      });
+    }
 
     // Wire up speech pipeline events
     this._setupSpeechPipelineEvents();
 
     // Wire up TTS pipeline events
     this._setupTtsPipelineEvents();
+    if (this._systemTtsPipeline) {
+      this._setupTtsPipelineEvents(this._systemTtsPipeline);
+    }
+    this._setupEarconEvents();
+    this._setupDeviceEvents();
+    this._setupEchoReference();
+
+    // Choose the microphone and speaker, then follow devices as they change
+    this._startDeviceMonitor();
 
     // Initialize speech pipeline (loads VAD model)
     await this._speechPipeline.init();
 
+    // Index the audio cache, then start the TTS engine (Piper worker loads its voice)
+    await this._ttsCache?.init();
+    await this._ttsPipeline.init();
+    await this._systemTtsPipeline?.init();
+
+    // Load earcon sound files
+    await this._earcons?.init();
+
     // Start connection monitoring
     this._connectionMonitor.start();
 
@@ -300,7 +603,7 @@ export class SessionManager extends EventEmitter {
     const connected = await this._connectionMonitor.check();
     if (!connected) {
       this._state.setError('Cannot reach OpenClaw', false);
-      this.emit('error', { type: 'connection', message: 'Cannot reach OpenClaw' });
+      this._reportError('connection', 'Cannot reach OpenClaw', { code: ErrorCode.OPENCLAW_UNREACHABLE });
     }
 
     // Start speech pipeline (audio capture + VAD)
@@ -316,6 +619,11 @@ export class SessionManager extends EventEmitter {
     }
 
     this.emit('started');
+
+    // Deliver messages queued before the last shutdown
+    if (connected) {
+      this._flushQueue();
+    }
   }
 
   /**
@@ -327,9 +635,13 @@ export class SessionManager extends EventEmitter {
     }
 
     // Stop TTS if speaking
-    if (this._ttsPipeline && this._ttsPipeline.speaking) {
-      this._ttsPipeline.stop();
-    }
+    this._stopTts();
+
+    // Abandon any streamed response still arriving
+    this._abortResponse();
+
+    // Nobody is listening for reconnect status any more
+    this._connectionRecovery.cancel();
 
     // Stop speech pipeline
     if (this._speechPipeline) {
@@ -339,6 +651,7 @@ export class SessionManager extends EventEmitter {
     this._running = false;
     this._paused = false;
     this._processingTranscript = false;
+    this._pendingSpokenError = null;
 
     // Transition to idle
     this._state.stop('session_ended');
@@ -365,9 +678,10 @@ export class SessionManager extends EventEmitter {
     }
 
     // Stop TTS if speaking
-    if (this._ttsPipeline && this._ttsPipeline.speaking) {
-      this._ttsPipeline.stop();
-    }
+    this._stopTts();
+
+    // Abandon any streamed response still arriving
+    this._abortResponse();
 
     // Stop speech pipeline (microphone capture)
     if (this._speechPipeline) {
@@ -376,6 +690,7 @@ export class SessionManager extends EventEmitter {
 
     this._paused = true;
     this._processingTranscript = false;
+    this._pendingSpokenError = null;
 
     // Transition to idle but keep running flag true to indicate we're paused not stopped
     // We use a special reason to distinguish from stop
@@ -437,13 +752,25 @@ export class SessionManager extends EventEmitter {
       paused: this._paused,
       status: this._state.status,
       openclawConnected: this._state.openclawConnected,
+      agent: this._agentId,
       speechPipeline: this._speechPipeline?.getStats() ?? null,
       ttsPipeline: this._ttsPipeline?.getStats() ?? null,
       connectionMonitor: this._connectionMonitor.getStats(),
-      wakeWord: this._wakeWordDetector.getStats()
+      connectionRecovery: this._connectionRecovery.getState(),
+      queuedMessages: this._outboundQueue?.size ?? 0,
+      wakeWord: this._wakeWordDetector.getStats(),
+      latency: this._latencyMetrics.getSummary()
     };
   }
 
+  /**
+   * Get the latency metrics collected this session
+   * @returns {LatencyMetrics}
+   */
+  get latencyMetrics() {
+    return this._latencyMetrics;
+  }
+
   /**
    * Set up state change event forwarding
    * @private
@@ -451,10 +778,22 @@ export class SessionManager extends EventEmitter {
   _setupStateEvents() {
     this._state.on('stateChange', (event) => {
       this.emit('state_changed', event);
+
+      // A turn is over: say what went wrong during it; the error earcon
+      // then stands in for the listening cue
+      if ((event.to === 'listening' || event.to === 'waiting_for_wakeword') && this._speakPendingError()) {
+        return;
+      }
+
+      const earcon = event.reason && TRANSITION_EARCONS[event.reason];
+      if (earcon) {
+        this._playEarcon(earcon);
+      }
     });
 
+    // Echoes errors reported where they happened; never spoken twice
     this._state.on('error', (message) => {
-      this.emit('error', { type: 'state', message });
+      this._reportError('state', message, { spoken: false });
     });
 
     this._state.on('connectionChange', (connected) => {
@@ -472,17 +811,176 @@ export class SessionManager extends EventEmitter {
       if (this._state.error?.includes('Cannot reach OpenClaw')) {
         this._state.clearError();
       }
+
+      // Deliver what was said while the gateway was down
+      this._flushQueue();
     });
 
     this._connectionMonitor.on('disconnected', () => {
       this._state.setError('Cannot reach OpenClaw', false);
+      this._startRecovery();
     });
 
     this._connectionMonitor.on('error', (err) => {
-      this.emit('error', { type: 'connection_monitor', message: err.message });
+      this._reportError('connection_monitor', err.message);
+    });
+  }
+
+  /**
+   * Set up connection recovery events
+   * @private
+   */
+  _setupRecoveryEvents() {
+    this._connectionRecovery.on('attempt', ({ attempt }) => {
+      this.emit('recovering', {
+        attempt,
+        maxAttempts: this._connectionRecovery.getConfig().maxAttempts
+      });
+    });
+
+    this._connectionRecovery.on('recovered', async (data) => {
+      this.emit('recovered', data);
+      await this._speakStatus('Reconnected to OpenClaw.', 'reconnected');
+      await this._replayUnsentTranscript();
+    });
+
+    this._connectionRecovery.on('recovery_failed', async (data) => {
+      // Too old to replay by the time the gateway comes back
+      this._unsentTranscript = null;
+      this._state.setError('Cannot reach OpenClaw', false);
+      this.emit('recovery_failed', data);
+      await this._speakStatus('I couldn\'t reconnect to OpenClaw.', 'error');
+    });
+  }
+
+  /**
+   * Start reconnecting after the gateway dropped
+   *
+   * The monitor keeps polling every connectionPollMs; recovery retries
+   * sooner with bounded backoff and reports progress.
+   *
+   * @private
+   */
+  _startRecovery() {
+    if (!this._running || this._connectionRecovery.isRecovering) {
+      return;
+    }
+
+    this._speakStatus('Lost connection to OpenClaw. Reconnecting.', 'error');
+    this._connectionRecovery.startRecovery().catch((err) => {
+      this._reportError('connection_recovery', err.message);
     });
   }
 
+  /**
+   * Speak a short status message between turns
+   *
+   * Only spoken while listening (or waiting for the wake word) so it
+   * never talks over the agent or a turn in progress. The earcon plays
+   * first, and the message is spoken in the system voice when there is one.
+   *
+   * The state stays 'listening', so the user can start a turn meanwhile;
+   * its reply waits for the message to end (_statusSpeech). Status speech
+   * is not a reply and is left out of the latency metrics.
+   *
+   * @param {string} text - Status message
+   * @param {import('../audio/earcons.mjs').EarconEvent|null} [earcon=null] - Earcon to play before it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _speakStatus(text, earcon = null) {
+    if (!this._canSpeakStatus()) {
+      return;
+    }
+
+    if (earcon) {
+      await this._playEarcon(earcon);
+      // The user may have started a turn while it played
+      if (!this._canSpeakStatus()) {
+        return;
+      }
+    }
+
+    await this._speakResponse(text, { system: true, status: true });
+  }
+
+  /**
+   * Check if Scout is between turns and silent
+   * @returns {boolean}
+   * @private
+   */
+  _canSpeakStatus() {
+    if (!this._running || this._paused || !this._ttsPipeline || this._isSpeaking()) {
+      return false;
+    }
+
+    const status = this._state.status;
+    return status === 'listening' || status === 'waiting_for_wakeword';
+  }
+
+  /**
+   * Check if either voice is speaking
+   * @returns {boolean}
+   * @private
+   */
+  _isSpeaking() {
+    return Boolean(this._ttsPipeline?.speaking || this._systemTtsPipeline?.speaking);
+  }
+
+  /**
+   * Stop both voices
+   * @private
+   */
+  _stopTts() {
+    this._ttsPipeline?.stop();
+    this._systemTtsPipeline?.stop();
+  }
+
+  /**
+   * Play a status earcon
+   * @param {import('../audio/earcons.mjs').EarconEvent} event - Event to play the earcon for
+   * @returns {Promise<boolean>} Whether it played
+   * @private
+   */
+  async _playEarcon(event) {
+    if (!this._earcons || !this._running || this._paused) {
+      return false;
+    }
+    return this._earcons.play(event);
+  }
+
+  /**
+   * Re-send the transcript that failed while the gateway was down
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _replayUnsentTranscript() {
+    const text = this._unsentTranscript;
+    this._unsentTranscript = null;
+
+    if (!text || !this._config.replayAfterReconnect) {
+      return;
+    }
+
+    if (!this._running || this._paused || this._state.status !== 'listening') {
+      return;
+    }
+
+    this.emit('transcript_replayed', { text });
+    await this._handleTranscript(text, 0, 0);
+  }
+
+  /**
+   * Remember a transcript that never reached OpenClaw (or forget it)
+   * @param {string} message - User message
+   * @param {Error|null} error - Failure, or null when the message was delivered
+   * @private
+   */
+  _trackUnsent(message, error) {
+    const type = /** @type {{type?: string}|null} */ (error)?.type;
+    this._unsentTranscript = type && UNSENT_ERROR_TYPES.includes(type) ? message : null;
+  }
+
   /**
    * Set up wake word detector events (FR-11)
    * @private
@@ -497,6 +995,55 @@ export class SessionManager extends EventEmitter {
     });
   }
 
+  /**
+   * Set up earcon player events
+   * @private
+   */
+  _setupEarconEvents() {
+    if (!this._earcons) return;
+
+    this._earcons.on('played', (data) => {
+      this.emit('earcon_played', data);
+    });
+
+    this._earcons.on('error', (err) => {
+      this._reportError('earcon', err.message, { spoken: false });
+    });
+  }
+
+  /**
+   * Set up device monitor events
+   * @private
+   */
+  _setupDeviceEvents() {
+    this._deviceMonitor.on('changed', (change) => {
+      this._applyAudioDevices(change.snapshot);
+    });
+
+    this._deviceMonitor.on('error', (err) => {
+      this._reportError('audio_device', `Cannot follow audio device changes: ${err.message}`, { spoken: false });
+    });
+  }
+
+  /**
+   * Give everything Scout plays to the echo canceller as its reference
+   * @private
+   */
+  _setupEchoReference() {
+    if (!this._config.echoCancellation) return;
+
+    const players = [
+      this._ttsPipeline?.audioPlayback,
+      this._systemTtsPipeline?.audioPlayback,
+      this._earcons?.audioPlayback
+    ];
+    for (const playback of players) {
+      playback?.on('written', (/** @type {Int16Array} */ samples, /** @type {number} */ sampleRate) => {
+        this._speechPipeline?.addPlaybackReference(samples, sampleRate);
+      });
+    }
+  }
+
   /**
    * Set up speech pipeline event handlers
    * @private
@@ -511,22 +1058,40 @@ export class SessionManager extends EventEmitter {
       }
     });
 
+    this._speechPipeline.on('partial_transcript', (data) => {
+      this._handlePartialTranscript(data);
+    });
+
     this._speechPipeline.on('transcript', async (data) => {
-      await this._handleTranscript(data.text, data.audioDurationMs, data.sttDurationMs);
+      await this._handleTranscript(data.text, data.audioDurationMs, data.sttDurationMs, data.language ?? null);
     });
 
     this._speechPipeline.on('empty_transcript', (data) => {
       // Speech detected but couldn't be transcribed
+      this._wokeMidUtterance = false;
       this._state.setError("Didn't catch that", false);
       this.emit('empty_transcript', data);
+
+      // Noise while waiting for the wake word is not worth a reply
+      if (this._state.status === 'listening') {
+        this._announceError(this._errorMessages.handleError(ErrorCode.STT_EMPTY, data?.error));
+      }
     });
 
     this._speechPipeline.on('barge_in', () => {
       this._handleBargeIn();
     });
 
+    this._speechPipeline.on('input_ended', async () => {
+      // Let the reply to the last utterance finish
+      while (this._currentTurn) {
+        await this._currentTurn;
+      }
+      this.emit('input_ended');
+    });
+
     this._speechPipeline.on('error', (data) => {
-      this.emit('error', { type: data.type, message: data.message });
+      this._reportError(data.type, data.message);
 
       // If fatal error, stop session
       if (data.type === 'init') {
@@ -537,22 +1102,52 @@ export class SessionManager extends EventEmitter {
 
   /**
    * Set up TTS pipeline event handlers
+   *
+   * The system voice pipeline gets the same handlers: a command reply in
+   * the system voice ends the turn like any other reply.
+   *
+   * @param {TtsPlaybackPipeline|null} [pipeline] - Pipeline to wire up (the agent's voice by default)
    * @private
    */
-  _setupTtsPipelineEvents() {
-    if (!this._ttsPipeline) return;
+  _setupTtsPipelineEvents(pipeline = this._ttsPipeline) {
+    if (!pipeline) return;
 
-    this._ttsPipeline.on('speaking_started', (data) => {
+    pipeline.on('speaking_started', (data) => {
       // Set playback active for barge-in detection
       this._speechPipeline?.setPlaybackActive(true);
+      // Status messages are not replies; keep them out of the latency metrics
+      if (!this._statusSpeech) {
+        this._latencyMetrics.startTts();
+      }
       this.emit('speaking_started', data);
     });
 
-    this._ttsPipeline.on('speaking_complete', () => {
-      // Playback finished, return to listening or wake word mode
+    // Playback starts once the jitter buffer reaches its watermark
+    pipeline.on('ready', () => {
+      if (!this._statusSpeech) {
+        this._latencyMetrics.firstTtsAudio();
+      }
+    });
+
+    pipeline.on('sentence_complete', (data) => {
+      // Sentences played from the audio cache say nothing about synthesis latency
+      if (typeof data?.firstChunkMs === 'number' && !data.cached && !this._statusSpeech) {
+        this._latencyMetrics.recordTtsSentence(data.firstChunkMs);
+      }
+    });
+
+    pipeline.on('speaking_complete', () => {
       this._speechPipeline?.setPlaybackActive(false);
       this.emit('speaking_complete');
 
+      // A status message ends no turn; a reply waiting for it is still to come
+      if (this._statusSpeech) {
+        return;
+      }
+
+      // Playback finished, return to listening or wake word mode
+      this._latencyMetrics.endTts();
+
       // Continue conversation loop (FR-11: return to wake word mode if enabled)
       if (this._running && this._state.status === 'speaking') {
         if (this._wakeWordDetector.isEnabled) {
@@ -563,14 +1158,18 @@ export class SessionManager extends EventEmitter {
       }
     });
 
-    this._ttsPipeline.on('speaking_stopped', () => {
+    pipeline.on('speaking_stopped', () => {
       // Playback was interrupted (barge-in)
       this._speechPipeline?.setPlaybackActive(false);
+      if (!this._statusSpeech) {
+        this._latencyMetrics.endTts();
+      }
     });
 
-    this._ttsPipeline.on('error', (err) => {
+    pipeline.on('error', (err) => {
       this._speechPipeline?.setPlaybackActive(false);
-      this.emit('error', { type: 'tts', message: err.message });
+      this._latencyMetrics.endTts();
+      this._reportError('tts', err.message);
 
       // TTS error is non-fatal - emit the text and continue
       if (this._state.status === 'speaking') {
@@ -585,6 +1184,7 @@ export class SessionManager extends EventEmitter {
    *
    * Per T030 and algorithm_and_data_structures.md:
    * - Stops TTS synthesis and playback immediately
+   * - Cancels an in-flight streamed agent response
    * - Clears jitter buffer
    * - Transitions to listening state
    * - Enforces cooldown to prevent rapid repeated interrupts
@@ -610,9 +1210,10 @@ export class SessionManager extends EventEmitter {
     this._lastBargeInTime = now;
 
     // Stop TTS immediately
-    if (this._ttsPipeline) {
-      this._ttsPipeline.stop();
-    }
+    this._stopTts();
+
+    // Cancel the rest of a streamed response so it is not spoken later
+    this._abortResponse();
 
     // Transition state
     this._state.bargeIn();
@@ -620,30 +1221,72 @@ export class SessionManager extends EventEmitter {
     this.emit('barge_in');
   }
 
+  /**
+   * Handle a partial transcript (user still speaking)
+   *
+   * Shown live by the UI. While waiting for the wake word, the wake phrase
+   * is matched here so Scout starts listening before the utterance ends;
+   * the final transcript then carries the command that followed it.
+   *
+   * @param {{text: string, audioDurationMs: number, sttDurationMs: number, language?: string|null}} data - Partial transcript
+   * @private
+   */
+  _handlePartialTranscript(data) {
+    this.emit('partial_transcript', data);
+
+    if (this._running && this._state.status === 'waiting_for_wakeword') {
+      if (this._wakeWordDetector.processPartialTranscript(data.text, data.language ?? null)) {
+        this._wokeMidUtterance = true;
+        this._state.wakeWordDetected();
+      }
+    }
+  }
+
   /**
    * Handle transcript from speech pipeline
    * @param {string} text - Transcribed text
    * @param {number} audioDurationMs - Audio duration
    * @param {number} sttDurationMs - STT processing time
+   * @param {string|null} [language=null] - Language code of the speech, if known
    * @private
    */
-  async _handleTranscript(text, audioDurationMs, sttDurationMs) {
+  async _handleTranscript(text, audioDurationMs, sttDurationMs, language = null) {
     // Handle wake word mode (FR-11)
     if (this._state.status === 'waiting_for_wakeword') {
-      const detected = this._wakeWordDetector.processTranscript(text);
+      const detected = this._wakeWordDetector.processTranscript(text, language);
       if (detected) {
         // Wake word detected, transition to listening
         this._state.wakeWordDetected();
         // If there's remaining text after wake word, process it immediately
-        const result = this._wakeWordDetector.check(text);
+        const result = this._wakeWordDetector.check(text, language);
         if (result?.remainingText && result.remainingText.trim().length > 0) {
           // Process the remaining text as a command
-          await this._handleTranscript(result.remainingText, audioDurationMs, sttDurationMs);
+          await this._handleTranscript(result.remainingText, audioDurationMs, sttDurationMs, language);
         }
       }
       return;
     }
 
+    // Wake phrase already matched in a partial: only the rest is a command
+    if (this._wokeMidUtterance) {
+      this._wokeMidUtterance = false;
+      const result = this._wakeWordDetector.check(text, language);
+      if (result) {
+        if (!result.remainingText?.trim()) {
+          return;
+        }
+        text = result.remainingText;
+      }
+    }
+
+    // A new utterance while OpenClaw is still working supersedes that request;
+    // the old response would answer a question the user has moved on from
+    while (this._processingTranscript && this._currentTurn && this._state.status === 'processing') {
+      this.emit('request_superseded', { previous: this._state.lastTranscript, text });
+      this._abortResponse();
+      await this._currentTurn;
+    }
+
     // Prevent processing if we're not in the right state
     if (!this._running || this._state.status !== 'listening') {
       return;
@@ -656,46 +1299,120 @@ export class SessionManager extends EventEmitter {
 
     this._processingTranscript = true;
 
+    await this._trackTurn(this._processTranscript(text, audioDurationMs, sttDurationMs, language));
+  }
+
+  /**
+   * Make a turn the current one until it is over
+   *
+   * Audio input read faster than real time is held meanwhile, so a
+   * recorded conversation is answered one utterance at a time.
+   *
+   * @param {Promise<void>} turn - Running turn
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _trackTurn(turn) {
+    this._currentTurn = turn;
+    this._speechPipeline?.holdInput(turn);
+    await turn;
+    if (this._currentTurn === turn) {
+      this._currentTurn = null;
+    }
+  }
+
+  /**
+   * Run one conversation turn: send the transcript and speak the response
+   * @param {string} text - Transcribed text
+   * @param {number} audioDurationMs - Audio duration
+   * @param {number} sttDurationMs - STT processing time
+   * @param {string|null} [language=null] - Language code of the speech, if known
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _processTranscript(text, audioDurationMs, sttDurationMs, language = null) {
     try {
       // Emit transcript event
-      this.emit('transcript', { text, audioDurationMs, sttDurationMs });
+      this.emit('transcript', { text, audioDurationMs, sttDurationMs, language });
 
       // Transition to processing state
       this._state.startProcessing(text);
 
-      // Send to OpenClaw
-      const response = await this._sendToOpenClaw(text);
+      // Answer in the voice for the language the user spoke
+      this._useReplyVoice(language);
 
-      if (!response) {
-        // Error already handled in _sendToOpenClaw
-        // Transition back to listening
-        this._state.transition('listening', 'openclaw_error');
+      // "Switch to work agent" is handled locally, never sent to the agent
+      const agentCommand = this._config.openclawAgents?.length
+        ? parseAgentSwitch(text, this.agents)
+        : null;
+      if (agentCommand) {
+        await this._handleAgentSwitch(agentCommand);
         return;
       }
 
-      // Emit response event
-      this.emit('response', { text: response.text, sessionId: response.sessionId });
+      // "List/drop/send queued messages" manage the outbound queue locally
+      const queueCommand = this._outboundQueue ? parseQueueCommand(text) : null;
+      if (queueCommand) {
+        await this._handleQueueCommand(queueCommand);
+        return;
+      }
 
-      // Update session ID and persist for reconnect/resume (T050)
-      if (response.sessionId) {
-        this._state.setSessionId(response.sessionId);
-        // Persist session ID asynchronously (don't block response flow)
-        if (this._sessionPersistence) {
-          this._sessionPersistence.setSessionId(response.sessionId).catch((err) => {
-            this.emit('error', { type: 'session_persistence', message: err.message });
-          });
-        }
+      // "Talk faster", "quieter", "switch to the British voice" change Scout's voice locally
+      const speechCommand = parseSpeechCommand(text, this.voices);
+      if (speechCommand) {
+        await this._handleSpeechCommand(speechCommand);
+        return;
       }
 
-      // Transition to speaking and start TTS
-      this._state.startSpeaking(response.text);
+      // Stream the response straight into TTS when the transport supports it
+      if (this._shouldStreamResponse()) {
+        await this._streamResponse(text, language);
+        return;
+      }
+
+      // Send to OpenClaw (cancellable by barge-in, stop, pause or a newer utterance)
+      const controller = new AbortController();
+      this._responseAbort = controller;
+      const response = await this._sendToOpenClaw(text, controller.signal, language);
+      if (this._responseAbort === controller) {
+        this._responseAbort = null;
+      }
+
+      if (controller.signal.aborted) {
+        this._endCancelledTurn();
+        return;
+      }
+
+      if (!response) {
+        // Error already handled in _sendToOpenClaw
+        if (await this._queueUnsent(text, language)) {
+          return;
+        }
+
+        // Transition back to listening
+        this._state.transition('listening', 'openclaw_error');
+        return;
+      }
+
+      // Emit response event
+      this.emit('response', { text: response.text, sessionId: response.sessionId });
+
+      // Update session ID and persist for reconnect/resume (T050)
+      this._recordSessionId(response.sessionId);
+
+      // Surface attachments; they are only mentioned by voice
+      this._emitMedia(response);
+
+      // Transition to speaking and start TTS
+      this._state.startSpeaking(response.text);
 
       // Speak the response
-      await this._speakResponse(response.text);
+      const announcement = describeMediaForSpeech(response.media);
+      await this._speakResponse([response.text, announcement].filter(Boolean).join(' '));
 
     } catch (err) {
       const message = err instanceof Error ? err.message : String(err);
-      this.emit('error', { type: 'transcript_handler', message });
+      this._reportError('transcript_handler', message);
 
       // Return to listening on error (only if not already in listening or idle)
       // Check status using snapshot to avoid TypeScript narrowing issues
@@ -708,50 +1425,619 @@ export class SessionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Carry out a spoken agent switch and confirm it by voice
+   * @param {import('./agent-commands.mjs').AgentSwitchCommand} command - Parsed command
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleAgentSwitch(command) {
+    let reply;
+    if (command.agentId) {
+      this.switchAgent(command.agentId);
+      reply = `Switched to the ${spokenAgentName(command.agentId)} agent.`;
+    } else {
+      reply = `I don't know an agent called ${command.spokenName}.`;
+      this._state.setError(reply, false);
+      this._reportError('agent_switch', reply);
+    }
+
+    this._state.startSpeaking(reply);
+    await this._speakResponse(reply, { system: true });
+  }
+
+  /**
+   * Carry out a spoken queue command
+   * @param {import('./queue-commands.mjs').QueueCommand} command - Parsed command
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleQueueCommand(command) {
+    const queue = /** @type {OutboundQueue} */ (this._outboundQueue);
+
+    let reply;
+    if (queue.size === 0) {
+      reply = 'There are no queued messages.';
+    } else if (command === 'list') {
+      const texts = queue.list().map(message => message.text.replace(/[.!?]+$/, ''));
+      reply = `You have ${describeQueuedCount(queue.size)}: ${texts.join('. ')}.`;
+    } else if (command === 'drop') {
+      reply = `Dropped ${describeQueuedCount(this.dropQueuedMessages())}.`;
+    } else {
+      await this._deliverQueuedMessages(true);
+      return;
+    }
+
+    this._state.startSpeaking(reply);
+    await this._speakResponse(reply, { system: true });
+  }
+
+  /**
+   * Carry out a spoken speed, volume or voice command and confirm it by voice
+   *
+   * The reply is the first sentence spoken with the new settings.
+   *
+   * @param {import('./speech-commands.mjs').SpeechCommand} command - Parsed command
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleSpeechCommand(command) {
+    let reply;
+    if (command.setting === 'voice') {
+      if (command.voice) {
+        this.setVoice(command.voice);
+        reply = `Switched to the ${spokenVoiceName(command.voice)} voice.`;
+      } else {
+        reply = `I don't know a voice called ${command.spokenName}.`;
+        this._state.setError(reply, false);
+        this._reportError('voice_switch', reply);
+      }
+    } else if (command.setting === 'speed') {
+      const speed = stepSpeed(this.speechSpeed, command.change);
+      if (speed === this.speechSpeed && command.change !== 'reset') {
+        reply = command.change === 'up' ? "I can't talk any faster." : "I can't talk any slower.";
+      } else {
+        this.setSpeechSpeed(speed);
+        reply = { up: 'Talking faster.', down: 'Talking slower.', reset: 'Back to normal speed.' }[command.change];
+      }
+    } else {
+      const volume = stepVolume(this.speechVolume, command.change);
+      if (volume === this.speechVolume && command.change !== 'reset') {
+        reply = command.change === 'up' ? 'This is as loud as I go.' : 'This is as quiet as I go.';
+      } else {
+        this.setSpeechVolume(volume);
+        reply = { up: 'Louder now.', down: 'Quieter now.', reset: 'Back to normal volume.' }[command.change];
+      }
+    }
+
+    this._state.startSpeaking(reply);
+    await this._speakResponse(reply);
+  }
+
+  /**
+   * Queue a transcript that could not reach OpenClaw and say so
+   *
+   * Only connection failures are queued (see _trackUnsent). The reply makes
+   * clear the message was queued, not answered. The message keeps the
+   * active agent and the spoken language for its delivery.
+   *
+   * @param {string} text - Transcript that failed to send
+   * @param {string|null} [language=null] - Language the user spoke
+   * @returns {Promise<boolean>} True if the transcript was queued
+   * @private
+   */
+  async _queueUnsent(text, language = null) {
+    if (!this._outboundQueue || this._unsentTranscript !== text || this._state.status !== 'processing') {
+      return false;
+    }
+
+    // Delivered from the queue instead of replayed; the reply says why
+    this._unsentTranscript = null;
+    this._pendingSpokenError = null;
+    this._outboundQueue.enqueue(text, { agentId: this._agentId, language });
+    this._persistQueue();
+    this.emit('message_queued', { text, size: this._outboundQueue.size });
+
+    const reply = 'OpenClaw is unreachable, so I\'ve queued that message. I\'ll send it when the connection is back.';
+    this._state.startSpeaking(reply);
+    await this._speakResponse(reply, { system: true });
+    return true;
+  }
+
+  /**
+   * Start delivering queued messages after the gateway came back
+   *
+   * Runs as a regular turn, so a new utterance supersedes it and barge-in
+   * stops it; undelivered messages stay queued.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flushQueue() {
+    const queue = this._outboundQueue;
+    if (!queue || queue.size === 0 || !this._running || this._paused) {
+      return;
+    }
+
+    if (this._processingTranscript || this._state.status !== 'listening') {
+      return;
+    }
+
+    this._processingTranscript = true;
+
+    const turn = (async () => {
+      try {
+        this._state.startProcessing(/** @type {import('./outbound-queue.mjs').QueuedMessage} */ (queue.peek()).text);
+        await this._deliverQueuedMessages(false);
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        this._reportError('outbound_queue', message);
+
+        const snapshot = this._state.getSnapshot();
+        if (snapshot.status === 'processing' || snapshot.status === 'speaking') {
+          this._state.transition('listening', 'error');
+        }
+      } finally {
+        this._processingTranscript = false;
+      }
+    })();
+
+    await this._trackTurn(turn);
+  }
+
+  /**
+   * Send queued messages in order and speak the replies
+   *
+   * Called in 'processing'. Each message goes to the agent it was spoken
+   * to, on that agent's session, even after a switch. Messages are removed
+   * once the agent has them; delivery stops at the first connection failure.
+   *
+   * @param {boolean} requested - Delivery was asked for by voice (report if still unreachable)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deliverQueuedMessages(requested) {
+    const queue = /** @type {OutboundQueue} */ (this._outboundQueue);
+    const controller = new AbortController();
+    this._responseAbort = controller;
+
+    /** @type {string[]} */
+    const replies = [];
+    let unreachable = false;
+
+    try {
+      while (queue.size > 0) {
+        const { text, agentId, language } = /** @type {import('./outbound-queue.mjs').QueuedMessage} */ (queue.peek());
+        const response = await this._sendToOpenClaw(text, controller.signal, language, agentId);
+
+        if (controller.signal.aborted) {
+          break;
+        }
+
+        if (!response && this._unsentTranscript === text) {
+          // Still unreachable: keep this and later messages queued (the reply says so)
+          this._unsentTranscript = null;
+          this._pendingSpokenError = null;
+          unreachable = true;
+          break;
+        }
+
+        queue.shift();
+        this._persistQueue();
+        this.emit('queue_delivered', { text, response: response?.text ?? null, remaining: queue.size });
+
+        if (!response) {
+          // The agent got it but failed; already reported, don't retry
+          continue;
+        }
+
+        this.emit('response', { text: response.text, sessionId: response.sessionId });
+        this._recordSessionId(response.sessionId, agentId ?? this._agentId);
+        this._emitMedia(response);
+
+        const announcement = describeMediaForSpeech(response.media);
+        replies.push([`Your queued message: ${text.replace(/[.!?]+$/, '')}.`, response.text, announcement].filter(Boolean).join(' '));
+      }
+    } finally {
+      if (this._responseAbort === controller) {
+        this._responseAbort = null;
+      }
+    }
+
+    if (controller.signal.aborted) {
+      this._endCancelledTurn();
+      return;
+    }
+
+    if (unreachable && requested) {
+      replies.push(`OpenClaw is still unreachable. ${describeQueuedCount(queue.size)} will wait.`);
+    }
+
+    if (replies.length === 0) {
+      this._state.transition('listening', unreachable ? 'openclaw_error' : 'queue_delivered');
+      return;
+    }
+
+    const reply = replies.join(' ');
+    this._state.startSpeaking(reply);
+    await this._speakResponse(reply);
+  }
+
+  /**
+   * Write the outbound queue to disk without blocking the conversation
+   * @private
+   */
+  _persistQueue() {
+    this._outboundQueue?.save().catch((err) => {
+      this._reportError('outbound_queue', err.message);
+    });
+  }
+
+  /**
+   * Remember the session ID from a response and persist it (T050)
+   * @param {string|null} sessionId - Session ID from OpenClaw
+   * @param {string} [agentId] - Agent that answered (default: the active one)
+   * @private
+   */
+  _recordSessionId(sessionId, agentId = this._agentId) {
+    if (!sessionId) {
+      return;
+    }
+
+    if (agentId === this._agentId) {
+      this._state.setSessionId(sessionId);
+    } else {
+      this._agentSessionIds[agentId] = sessionId;
+    }
+    // Persist session ID asynchronously (don't block response flow)
+    if (this._sessionPersistence) {
+      this._sessionPersistence.setSessionId(sessionId, agentId).catch((err) => {
+        this._reportError('session_persistence', err.message);
+      });
+    }
+  }
+
+  /**
+   * Whether responses should be streamed into TTS
+   * @returns {boolean}
+   * @private
+   */
+  _shouldStreamResponse() {
+    return this._config.streamResponses !== false &&
+      this._openclawClient.supportsStreaming === true;
+  }
+
+  /**
+   * Return to listening after a request was cancelled mid-processing
+   *
+   * stop() and pause() have already moved to idle; only a superseded
+   * request is still in 'processing' here.
+   *
+   * @private
+   */
+  _endCancelledTurn() {
+    if (this._running && this._state.status === 'processing') {
+      this._state.transition('listening', 'cancelled');
+    }
+  }
+
+  /**
+   * Abort the in-flight OpenClaw request or streamed response, if any
+   * @private
+   */
+  _abortResponse() {
+    if (this._responseAbort) {
+      this._responseAbort.abort();
+      this._responseAbort = null;
+    }
+  }
+
+  /**
+   * Stream a response from OpenClaw and speak it sentence by sentence
+   *
+   * Speaking starts as soon as the first text arrives; each sentence is
+   * handed to TTS once complete. Barge-in, stop() and pause() abort the
+   * agent stream together with pending synthesis.
+   *
+   * @param {string} message - User message
+   * @param {string|null} [language=null] - Language the user spoke, passed on to the agent
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _streamResponse(message, language = null) {
+    if (!this._ttsPipeline) {
+      throw new Error('TTS pipeline not initialized');
+    }
+
+    const controller = new AbortController();
+    this._responseAbort = controller;
+
+    const stream = this._openclawClient.stream(message, {
+      sessionId: this._state.sessionId ?? undefined,
+      language,
+      signal: controller.signal
+    });
+
+    try {
+      // Wait for the first text before committing to speaking
+      /** @type {IteratorResult<string, import('../openclaw/openclaw-client.mjs').OpenClawResponse|null>} */
+      let first;
+      try {
+        first = await stream.next();
+      } catch (err) {
+        this._trackUnsent(message, /** @type {Error} */ (err));
+        this._reportOpenClawError(/** @type {Error} */ (err));
+        if (await this._queueUnsent(message, language)) {
+          return;
+        }
+        if (this._state.status === 'processing') {
+          this._state.transition('listening', 'openclaw_error');
+        }
+        return;
+      }
+
+      if (controller.signal.aborted) {
+        this._endCancelledTurn();
+        return;
+      }
+
+      this._trackUnsent(message, null);
+
+      if (this._state.status !== 'processing') {
+        return;
+      }
+
+      this._state.clearError();
+      this._state.startSpeaking(first.done ? '' : first.value);
+
+      // Let a status message in progress finish first
+      if (this._statusSpeech) {
+        await this._statusSpeech;
+      }
+
+      try {
+        await this._ttsPipeline.speakStream(this._responseDeltas(stream, first));
+      } catch (err) {
+        // Error handling done in TTS pipeline events
+        const errorMessage = err instanceof Error ? err.message : String(err);
+        this._reportError('tts_speak', errorMessage);
+      }
+    } finally {
+      if (this._responseAbort === controller) {
+        this._responseAbort = null;
+      }
+      controller.abort();
+      await stream.return(null).catch(() => {});
+    }
+  }
+
+  /**
+   * Relay streamed response text to TTS while tracking the full response
+   * @param {AsyncGenerator<string, import('../openclaw/openclaw-client.mjs').OpenClawResponse|null, undefined>} stream - Agent stream
+   * @param {IteratorResult<string, import('../openclaw/openclaw-client.mjs').OpenClawResponse|null>} first - Already-read first result
+   * @returns {AsyncGenerator<string, void, undefined>}
+   * @private
+   */
+  async *_responseDeltas(stream, first) {
+    let next = first;
+    let text = '';
+
+    while (!next.done) {
+      text += next.value;
+      this._state.updateResponse(text);
+      this.emit('response_delta', { text: next.value });
+      yield next.value;
+
+      try {
+        next = await stream.next();
+      } catch (err) {
+        // Keep what was already spoken; report the failure
+        this._reportOpenClawError(/** @type {Error} */ (err));
+        return;
+      }
+    }
+
+    const response = next.value;
+    if (!response) {
+      // Aborted (barge-in, stop or pause)
+      return;
+    }
+
+    this._state.updateResponse(response.text);
+    this.emit('response', { text: response.text, sessionId: response.sessionId });
+    this._recordSessionId(response.sessionId);
+    this._emitMedia(response);
+
+    const announcement = describeMediaForSpeech(response.media);
+    if (announcement) {
+      yield text ? ` ${announcement}` : announcement;
+    }
+  }
+
+  /**
+   * Emit 'media_received' when a response carries attachments
+   * @param {import('../openclaw/openclaw-client.mjs').OpenClawResponse} response - Agent response
+   * @private
+   */
+  _emitMedia(response) {
+    if (response.media?.length) {
+      this.emit('media_received', { media: response.media, sessionId: response.sessionId });
+    }
+  }
+
+  /**
+   * Report a non-fatal error
+   *
+   * Every error goes through ErrorMessageHandler, which assigns a code,
+   * suggestions and the short version that may be spoken.
+   *
+   * @param {string} type - Where the error came from ('openclaw', 'stt', 'tts', ...)
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Code from ErrorCode (derived from type and message when omitted)
+   * @param {boolean} [options.spoken=true] - Announce the error by voice if it has a spoken version
+   * @returns {import('../errors/error-messages.mjs').ErrorInfo}
+   * @private
+   */
+  _reportError(type, message, { code, spoken = true } = {}) {
+    const info = code
+      ? this._errorMessages.handleError(code, message)
+      : this._errorMessages.handleErrorObject({ type, message });
+
+    this.emit('error', {
+      type,
+      message,
+      code: info.code,
+      recoverable: info.recoverable,
+      suggestions: info.suggestions
+    });
+    if (spoken) {
+      this._announceError(info);
+    }
+    return info;
+  }
+
+  /**
+   * Queue the spoken version of an error
+   *
+   * Spoken once the current turn is over, so it never cuts into a reply.
+   * The same message is not repeated within spokenErrorCooldownMs, so a
+   * failure that keeps happening is not announced in a loop.
+   *
+   * @param {import('../errors/error-messages.mjs').ErrorInfo} info - Error to announce
+   * @private
+   */
+  _announceError(info) {
+    if (this._config.spokenErrors === false || !info.spoken) {
+      return;
+    }
+
+    const lastSpokenAt = this._spokenErrorTimes.get(info.spoken);
+    if (lastSpokenAt !== undefined && Date.now() - lastSpokenAt < (this._config.spokenErrorCooldownMs ?? 0)) {
+      return;
+    }
+
+    this._pendingSpokenError = info;
+    this._speakPendingError();
+  }
+
+  /**
+   * Speak the pending error if Scout is between turns
+   *
+   * Left pending while a turn is in progress; the state change back to
+   * listening tries again.
+   *
+   * @returns {boolean} Whether the error is being announced
+   * @private
+   */
+  _speakPendingError() {
+    const info = this._pendingSpokenError;
+    if (!info?.spoken || !this._canSpeakStatus()) {
+      return false;
+    }
+
+    this._pendingSpokenError = null;
+    this._spokenErrorTimes.set(info.spoken, Date.now());
+    this.emit('error_spoken', { code: info.code, text: info.spoken });
+    this._speakStatus(info.spoken, 'error');
+    return true;
+  }
+
+  /**
+   * Report an OpenClaw failure as a non-fatal error
+   * @param {Error} error - Error from OpenClawClient
+   * @private
+   */
+  _reportOpenClawError(error) {
+    const message = error.message || 'Unknown error';
+
+    // Set error on state (non-fatal)
+    this._state.setError(message, false);
+    this._reportError('openclaw', message, { code: openClawErrorCode(error) });
+  }
+
   /**
    * Send message to OpenClaw
    * @param {string} message - User message
-   * @returns {Promise<{text: string, sessionId: string|null}|null>}
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @param {string|null} [language=null] - Language the user spoke, passed on to the agent
+   * @param {string|null} [agentId=null] - Agent to send to when it is not the active one (queued messages)
+   * @returns {Promise<import('../openclaw/openclaw-client.mjs').OpenClawResponse|null>} Response, or null on failure or cancellation
    * @private
    */
-  async _sendToOpenClaw(message) {
+  async _sendToOpenClaw(message, signal, language = null, agentId = null) {
+    const otherAgent = agentId && agentId !== this._agentId ? agentId : null;
     try {
       const response = await this._openclawClient.send(message, {
-        sessionId: this._state.sessionId ?? undefined
+        sessionId: (otherAgent ? this._storedSessionId(otherAgent) : this._state.sessionId) ?? undefined,
+        language,
+        ...(otherAgent && { agentId: otherAgent }),
+        signal
       });
 
       // Clear any previous connection error
       this._state.clearError();
+      this._trackUnsent(message, null);
 
       return response;
     } catch (err) {
-      const error = /** @type {Error} */ (err);
-      const message = error.message || 'Unknown error';
-
-      // Set error on state (non-fatal)
-      this._state.setError(message, false);
-      this.emit('error', { type: 'openclaw', message });
-
+      // Cancellation is intentional, not a failure to report
+      if (!signal?.aborted) {
+        this._trackUnsent(message, /** @type {Error} */ (err));
+        this._reportOpenClawError(/** @type {Error} */ (err));
+      }
       return null;
     }
   }
 
+  /**
+   * Get the last session ID of an inactive agent
+   * @param {string} agentId - Agent ID
+   * @returns {string|null}
+   * @private
+   */
+  _storedSessionId(agentId) {
+    return this._sessionPersistence?.getSessionIds()[agentId] ??
+      this._agentSessionIds[agentId] ??
+      null;
+  }
+
   /**
    * Speak response using TTS
    * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {boolean} [options.system=false] - Scout's own words: use the system voice when there is one
+   * @param {boolean} [options.status=false] - Status message between turns (see _speakStatus)
    * @private
    */
-  async _speakResponse(text) {
+  async _speakResponse(text, { system = false, status = false } = {}) {
     if (!this._ttsPipeline) {
       throw new Error('TTS pipeline not initialized');
     }
 
+    // A reply ready while a status message plays waits for it to end
+    if (!status && this._statusSpeech) {
+      await this._statusSpeech;
+    }
+
+    /** @type {function(): void} */
+    let statusSpoken = () => {};
+    if (status) {
+      this._statusSpeech = new Promise(resolve => { statusSpoken = resolve; });
+    }
+
+    const pipeline = (system && this._systemTtsPipeline) || this._ttsPipeline;
     try {
-      await this._ttsPipeline.speak(text);
+      await pipeline.speak(text);
     } catch (err) {
       // Error handling done in TTS pipeline events
       const message = err instanceof Error ? err.message : String(err);
-      this.emit('error', { type: 'tts_speak', message });
+      this._reportError('tts_speak', message);
+    } finally {
+      if (status) {
+        this._statusSpeech = null;
+        statusSpoken();
+      }
     }
   }
 
@@ -784,6 +2070,299 @@ export class SessionManager extends EventEmitter {
     return this._state.sessionId;
   }
 
+  /**
+   * Get messages waiting for the gateway, oldest first
+   * @returns {import('./outbound-queue.mjs').QueuedMessage[]}
+   */
+  get queuedMessages() {
+    return this._outboundQueue?.list() ?? [];
+  }
+
+  /**
+   * Drop all queued messages
+   * @returns {number} Number of messages dropped
+   */
+  dropQueuedMessages() {
+    if (!this._outboundQueue) {
+      return 0;
+    }
+
+    const count = this._outboundQueue.clear();
+    this._persistQueue();
+    this.emit('queue_cleared', { count });
+    return count;
+  }
+
+  /**
+   * Get the active OpenClaw agent ID
+   * @returns {string}
+   */
+  get agentId() {
+    return this._agentId;
+  }
+
+  /**
+   * Get the agents that can be switched to
+   * @returns {string[]}
+   */
+  get agents() {
+    const agents = [this._config.openclawAgent ?? 'main', ...(this._config.openclawAgents ?? [])];
+    return [...new Set(agents)];
+  }
+
+  /**
+   * Switch to another configured agent
+   *
+   * Each agent keeps its own session: the current session ID is stored
+   * for the previous agent and the new agent's last session is restored.
+   *
+   * @param {string} agentId - Agent ID from agents
+   */
+  switchAgent(agentId) {
+    if (!this.agents.includes(agentId)) {
+      throw new Error(`Unknown agent: ${agentId}. Must be one of: ${this.agents.join(', ')}`);
+    }
+
+    if (agentId === this._agentId) {
+      return;
+    }
+
+    const previous = this._agentId;
+    if (this._state.sessionId) {
+      this._agentSessionIds[previous] = this._state.sessionId;
+    }
+
+    this._openclawClient.setAgent(agentId);
+    this._agentId = agentId;
+
+    const sessionId = this._sessionPersistence?.setAgent(agentId) ??
+      this._agentSessionIds[agentId] ??
+      null;
+    this._state.setSessionId(sessionId);
+
+    this.emit('agent_changed', { from: previous, to: agentId, sessionId });
+  }
+
+  /**
+   * Get the speaking speed multiplier
+   * @returns {number}
+   */
+  get speechSpeed() {
+    return this._config.ttsSpeed ?? 1;
+  }
+
+  /**
+   * Set the speaking speed from the next sentence
+   *
+   * Like setDisplayMode(), this does not persist the change; listen for
+   * 'voice_settings_changed' and save it with ConfigPersistence.
+   *
+   * @param {number} speed - Speed multiplier (0.5-2, 1 = normal)
+   */
+  setSpeechSpeed(speed) {
+    if (typeof speed !== 'number' || !(speed >= MIN_SPEED && speed <= MAX_SPEED)) {
+      throw new Error(`Invalid speech speed: ${speed}. Must be between ${MIN_SPEED} and ${MAX_SPEED}`);
+    }
+    if (speed === this.speechSpeed) {
+      return;
+    }
+
+    this._config.ttsSpeed = speed;
+    this._ttsPipeline?.setSpeed(speed);
+    this._systemTtsPipeline?.setSpeed(speed);
+    this._emitVoiceSettings();
+  }
+
+  /**
+   * Get the output volume (gain)
+   * @returns {number}
+   */
+  get speechVolume() {
+    return this._config.ttsVolume ?? 1;
+  }
+
+  /**
+   * Set the output volume; applies immediately, even mid-sentence
+   * @param {number} volume - Gain (0-2, 1 = unchanged)
+   */
+  setSpeechVolume(volume) {
+    if (typeof volume !== 'number' || !(volume >= MIN_VOLUME && volume <= MAX_VOLUME)) {
+      throw new Error(`Invalid speech volume: ${volume}. Must be between ${MIN_VOLUME} and ${MAX_VOLUME}`);
+    }
+    if (volume === this.speechVolume) {
+      return;
+    }
+
+    this._config.ttsVolume = volume;
+    this._ttsPipeline?.setVolume(volume);
+    this._systemTtsPipeline?.setVolume(volume);
+    this._earcons?.setVolume(volume);
+    this._emitVoiceSettings();
+  }
+
+  /**
+   * Get the names of the voices that can be switched to
+   * @returns {string[]}
+   */
+  get voices() {
+    return Object.keys(this._config.ttsVoices ?? {});
+  }
+
+  /**
+   * Get the active voice name, or null when using the backend's configured voice
+   * @returns {string|null}
+   */
+  get voice() {
+    const voice = this._config.ttsVoice;
+    return voice && this.voices.includes(voice) ? voice : null;
+  }
+
+  /**
+   * Switch to another configured voice from the next sentence
+   *
+   * The session keeps running; the TTS engine loads the new voice for the
+   * next sentence it synthesizes.
+   *
+   * @param {string} name - Voice name from voices
+   */
+  setVoice(name) {
+    if (!this.voices.includes(name)) {
+      throw new Error(`Unknown voice: ${name}. Must be one of: ${this.voices.join(', ')}`);
+    }
+    if (name === this.voice) {
+      return;
+    }
+
+    this._ttsPipeline?.setVoice(this._voiceFor(name));
+    this._config.ttsVoice = name;
+    this._emitVoiceSettings();
+  }
+
+  /**
+   * Look up what the TTS backend needs for a voice name
+   * @param {string} name - Voice name from voices
+   * @returns {string} Piper model path, espeak-ng voice or server voice
+   * @private
+   */
+  _voiceFor(name) {
+    return /** @type {Record<string, string>} */ (this._config.ttsVoices)[name];
+  }
+
+  /**
+   * Switch to the voice for a reply to speech in the given language
+   *
+   * A ttsVoices entry named after the language code ("de") wins; other
+   * languages get the active voice, or the backend's configured voice.
+   *
+   * @param {string|null} language - Language code of the transcript, if known
+   * @private
+   */
+  _useReplyVoice(language) {
+    if (!this._ttsPipeline) {
+      return;
+    }
+
+    const voices = this._config.ttsVoices ?? {};
+    const voice = (language && voices[language]) ||
+      (this.voice ? this._voiceFor(this.voice) : this._backendVoice);
+
+    if (voice && voice !== this._ttsPipeline.voice) {
+      this._ttsPipeline.setVoice(voice);
+    }
+  }
+
+  /**
+   * Emit the current voice settings after a change
+   * @private
+   */
+  _emitVoiceSettings() {
+    this.emit('voice_settings_changed', {
+      speed: this.speechSpeed,
+      volume: this.speechVolume,
+      voice: this.voice
+    });
+  }
+
+  /**
+   * Get the devices in use
+   * @returns {{input: string|null, output: string|null}} Source and sink names (null = PulseAudio default)
+   */
+  get audioDevices() {
+    return { ...this._audioDevices };
+  }
+
+  /**
+   * Choose the microphone and speaker and start following device changes
+   *
+   * ALSA and sox devices can't be listed through pactl; with those
+   * backends the configured devices are used as they are.
+   *
+   * @private
+   */
+  _startDeviceMonitor() {
+    if (getAudioBackend(this._config.audioBackend ?? DEFAULT_AUDIO_BACKEND).pulseDevices) {
+      this._applyAudioDevices(this._deviceMonitor.start());
+    }
+  }
+
+  /**
+   * Choose the microphone and speaker for the devices present
+   * @param {import('../audio/device-monitor.mjs').DeviceSnapshot} snapshot - Devices and defaults
+   * @private
+   */
+  _applyAudioDevices(snapshot) {
+    this._selectAudioDevice('input', snapshot.sources, snapshot.defaultSource);
+    this._selectAudioDevice('output', snapshot.sinks, snapshot.defaultSink);
+  }
+
+  /**
+   * Switch a device if the configured one came or went, or the default moved
+   *
+   * A configured device that is missing falls back to the default and is
+   * reported once (AUDIO_DEVICE_MISSING); Scout switches back when it
+   * returns. An empty device list means PulseAudio could not be asked, so
+   * nothing is considered missing. Following the default, capture restarts
+   * when the default source changes (a headset connected).
+   *
+   * @param {'input'|'output'} kind - Microphone or speaker
+   * @param {import('../audio/pulseaudio.mjs').AudioDevice[]} devices - Sources or sinks present
+   * @param {string|null} defaultDevice - PulseAudio default source or sink
+   * @private
+   */
+  _selectAudioDevice(kind, devices, defaultDevice) {
+    const configured = (kind === 'input' ? this._config.inputDevice : this._config.outputDevice) || null;
+    const missing = configured !== null && devices.length > 0 && !devices.some(device => device.name === configured);
+
+    if (!missing) {
+      this._missingDevices.delete(kind);
+    } else if (!this._missingDevices.has(kind)) {
+      this._missingDevices.add(kind);
+      const role = kind === 'input' ? 'Microphone' : 'Speaker';
+      this._reportError('audio_device', `${role} ${configured} not found; using the default device`, {
+        code: ErrorCode.AUDIO_DEVICE_MISSING
+      });
+    }
+
+    const device = missing ? null : configured;
+    const previousDefault = this._defaultDevices[kind];
+    this._defaultDevices[kind] = defaultDevice;
+    const defaultMoved = previousDefault !== undefined && previousDefault !== defaultDevice;
+
+    if (device === this._audioDevices[kind] && !(device === null && defaultMoved)) {
+      return;
+    }
+
+    this._audioDevices[kind] = device;
+    if (kind === 'input') {
+      this._speechPipeline?.setInputDevice(device);
+    } else {
+      this._ttsPipeline?.setOutputDevice(device);
+      this._systemTtsPipeline?.setOutputDevice(device);
+      this._earcons?.setDevice(device);
+    }
+    this.emit('audio_device_changed', { kind, device: device ?? defaultDevice });
+  }
+
   /**
    * Check if wake word detection is enabled (FR-11)
    * @returns {boolean}
@@ -875,8 +2454,11 @@ export class SessionManager extends EventEmitter {
   async dispose() {
     this.stop();
 
-    // Stop connection monitoring
+    // Stop connection monitoring and any reconnect in progress
     this._connectionMonitor.dispose();
+    this._deviceMonitor.dispose();
+    this._connectionRecovery.cancel();
+    this._connectionRecovery.removeAllListeners();
 
     // Dispose speech pipeline
     if (this._speechPipeline) {
@@ -889,6 +2471,14 @@ export class SessionManager extends EventEmitter {
       this._ttsPipeline.dispose();
       this._ttsPipeline = null;
     }
+    if (this._systemTtsPipeline) {
+      this._systemTtsPipeline.dispose();
+      this._systemTtsPipeline = null;
+    }
+    if (this._earcons) {
+      this._earcons.dispose();
+      this._earcons = null;
+    }
 
     // Dispose wake word detector (FR-11)
     this._wakeWordDetector.dispose();
@@ -6,6 +6,7 @@
  * - Reuse session ID for subsequent requests in active session
  * - Persist last successful session ID for reconnect/resume behavior
  * - Reset session ID when user intentionally starts a new session
+ * - Keep a separate session ID per OpenClaw agent (agent_session_ids)
  *
  * This module handles the persistence layer for session IDs, allowing
  * conversations to maintain identity/memory continuity across restarts.
@@ -17,6 +18,7 @@ import { loadConfig, saveConfig } from '../config/config.mjs';
  * @typedef {Object} SessionPersistenceOptions
  * @property {string} configPath - Path to the config file
  * @property {boolean} [autoSave=true] - Auto-save session ID changes
+ * @property {string} [agentId='main'] - Agent whose session ID is active
  */
 
 /**
@@ -38,6 +40,12 @@ export class SessionPersistence {
     /** @type {boolean} */
     this._autoSave = options.autoSave ?? true;
 
+    /** @type {string} */
+    this._agentId = options.agentId ?? 'main';
+
+    /** @type {Record<string, string>} - Session ID per agent */
+    this._sessionIds = {};
+
     /** @type {string|null} */
     this._sessionId = null;
 
@@ -45,6 +53,14 @@ export class SessionPersistence {
     this._initialized = false;
   }
 
+  /**
+   * Get the agent whose session ID is active
+   * @returns {string}
+   */
+  get agentId() {
+    return this._agentId;
+  }
+
   /**
    * Get the current session ID
    * @returns {string|null}
@@ -68,24 +84,59 @@ export class SessionPersistence {
   async init() {
     try {
       const config = await loadConfig(this._configPath);
-      this._sessionId = config.last_session_id || null;
+      this._sessionIds = { ...config.agent_session_ids };
+
+      // Configs written before per-agent sessions only have last_session_id
+      if (Object.keys(this._sessionIds).length === 0 && config.last_session_id) {
+        this._sessionIds[this._agentId] = config.last_session_id;
+      }
+
+      this._sessionId = this._sessionIds[this._agentId] || null;
       this._initialized = true;
       return this._sessionId;
     } catch {
       // Config file may not exist yet - that's OK
+      this._sessionIds = {};
       this._sessionId = null;
       this._initialized = true;
       return null;
     }
   }
 
+  /**
+   * Make another agent's session ID the active one
+   * @param {string} agentId - Agent ID
+   * @returns {string|null} The stored session ID for that agent, or null
+   */
+  setAgent(agentId) {
+    this._agentId = agentId;
+    this._sessionId = this._sessionIds[agentId] || null;
+    return this._sessionId;
+  }
+
+  /**
+   * Get stored session IDs for all agents
+   * @returns {Record<string, string>}
+   */
+  getSessionIds() {
+    return { ...this._sessionIds };
+  }
+
   /**
    * Update the session ID (and optionally persist it)
    * @param {string|null} sessionId - New session ID to store
+   * @param {string} [agentId] - Agent the session belongs to (default: the active one)
    * @returns {Promise<void>}
    */
-  async setSessionId(sessionId) {
-    this._sessionId = sessionId;
+  async setSessionId(sessionId, agentId = this._agentId) {
+    if (agentId === this._agentId) {
+      this._sessionId = sessionId;
+    }
+    if (sessionId) {
+      this._sessionIds[agentId] = sessionId;
+    } else {
+      delete this._sessionIds[agentId];
+    }
 
     if (this._autoSave) {
       await this.save();
@@ -100,6 +151,7 @@ export class SessionPersistence {
     try {
       const config = await loadConfig(this._configPath);
       config.last_session_id = this._sessionId || '';
+      config.agent_session_ids = { ...this._sessionIds };
       await saveConfig(this._configPath, config);
     } catch (err) {
       // If config doesn't exist, we can't persist
@@ -110,7 +162,7 @@ export class SessionPersistence {
   }
 
   /**
-   * Reset the session (clear persisted session ID)
+   * Reset the session (clear persisted session ID of the active agent)
    * This is called when user intentionally starts a new session.
    * @returns {Promise<void>}
    */
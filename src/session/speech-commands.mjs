@@ -0,0 +1,158 @@
+/**
+ * Speech Commands - Voice commands for Scout's own voice
+ *
+ * Recognizes phrases such as:
+ * - "talk faster" / "slow down" / "normal speed"
+ * - "louder" / "speak quieter" / "normal volume"
+ * - "switch to the British voice" / "use the Alba voice"
+ *
+ * Matching is case-insensitive and punctuation-tolerant, like the agent
+ * switch commands. Voice names match their spoken form with - and _ read
+ * as spaces ("en_GB-alba" matches "en gb alba").
+ */
+
+import { normalizeCommandText } from './command-text.mjs';
+
+/**
+ * @typedef {'up' | 'down' | 'reset'} SettingChange
+ */
+
+/**
+ * @typedef {Object} SettingCommand
+ * @property {'speed' | 'volume'} setting - Setting to change
+ * @property {SettingChange} change - Step up, step down or back to normal
+ */
+
+/**
+ * @typedef {Object} VoiceCommand
+ * @property {'voice'} setting
+ * @property {string} spokenName - Voice name as spoken (normalized)
+ * @property {string|null} voice - Matching configured voice, or null if unknown
+ */
+
+/**
+ * @typedef {SettingCommand | VoiceCommand} SpeechCommand
+ */
+
+/** Slowest and fastest speaking speed */
+export const MIN_SPEED = 0.5;
+export const MAX_SPEED = 2;
+
+/** Each "faster"/"slower" multiplies or divides the speed by this */
+export const SPEED_STEP = 1.25;
+
+/** Quietest and loudest output gain */
+export const MIN_VOLUME = 0;
+export const MAX_VOLUME = 2;
+
+/** Each "louder"/"quieter" adds or removes this much gain */
+export const VOLUME_STEP = 0.25;
+
+/** "Quieter" stops here rather than muting Scout */
+const MIN_SPOKEN_VOLUME = VOLUME_STEP;
+
+const POLITE = '(?: please)?$';
+const A_BIT = '(?:a (?:bit|little) )?';
+
+/**
+ * Phrases per setting change
+ * @type {Array<[SettingCommand, RegExp]>}
+ */
+const SETTING_PATTERNS = [
+  [{ setting: 'speed', change: 'up' }, new RegExp(`^(?:please )?(?:talk|speak|go) ${A_BIT}(?:faster|quicker|more quickly)${POLITE}`)],
+  [{ setting: 'speed', change: 'up' }, new RegExp(`^(?:please )?(?:speed up|${A_BIT}faster)${POLITE}`)],
+  [{ setting: 'speed', change: 'down' }, new RegExp(`^(?:please )?(?:talk|speak|go) ${A_BIT}(?:slower|more slowly)${POLITE}`)],
+  [{ setting: 'speed', change: 'down' }, new RegExp(`^(?:please )?(?:slow down|${A_BIT}slower)${POLITE}`)],
+  [{ setting: 'speed', change: 'reset' }, new RegExp(`^(?:please )?(?:(?:talk|speak) at |(?:go )?back to )?(?:normal|regular|default) (?:speed|pace)${POLITE}`)],
+  [{ setting: 'speed', change: 'reset' }, new RegExp(`^(?:please )?reset (?:the |your )?(?:speed|pace)${POLITE}`)],
+  [{ setting: 'volume', change: 'up' }, new RegExp(`^(?:please )?(?:talk|speak) ${A_BIT}louder${POLITE}`)],
+  [{ setting: 'volume', change: 'up' }, new RegExp(`^(?:please )?(?:speak up|${A_BIT}louder|volume up|turn (?:it|yourself|the volume) up|turn up the volume)${POLITE}`)],
+  [{ setting: 'volume', change: 'down' }, new RegExp(`^(?:please )?(?:talk|speak) ${A_BIT}(?:quieter|softer|more quietly|more softly)${POLITE}`)],
+  [{ setting: 'volume', change: 'down' }, new RegExp(`^(?:please )?(?:${A_BIT}(?:quieter|softer)|volume down|turn (?:it|yourself|the volume) down|turn down the volume)${POLITE}`)],
+  [{ setting: 'volume', change: 'reset' }, new RegExp(`^(?:please )?(?:(?:go )?back to )?(?:normal|regular|default) volume${POLITE}`)],
+  [{ setting: 'volume', change: 'reset' }, new RegExp(`^(?:please )?reset (?:the |your )?volume${POLITE}`)]
+];
+
+/**
+ * Phrases that request a voice switch; group 1 captures the voice name
+ * @type {RegExp[]}
+ */
+const VOICE_PATTERNS = [
+  /^(?:please )?(?:switch|change)(?: over)? to (?:the )?(.+?) voice(?: please)?$/,
+  /^(?:please )?(?:switch|change) (?:the |your )?voice to (?:the )?(.+?)(?: voice)?(?: please)?$/,
+  /^(?:please )?use (?:the )?(.+?) voice(?: please)?$/
+];
+
+/**
+ * Parse a speech setting command from a transcript
+ *
+ * @param {string} text - Transcribed text
+ * @param {string[]} [voices=[]] - Voice names that may be switched to; voice switches are only recognized when there are some
+ * @returns {SpeechCommand|null} Command, or null if the text is not a speech command
+ */
+export function parseSpeechCommand(text, voices = []) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const normalized = normalizeCommandText(text);
+
+  const setting = SETTING_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+  if (setting) {
+    return { ...setting[0] };
+  }
+
+  if (voices.length === 0) {
+    return null;
+  }
+
+  for (const pattern of VOICE_PATTERNS) {
+    const match = normalized.match(pattern);
+    if (match) {
+      const spokenName = match[1];
+      const voice = voices.find(name => normalizeCommandText(name) === spokenName) ?? null;
+      return { setting: 'voice', spokenName, voice };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Speed after a spoken change
+ * @param {number} speed - Current speed
+ * @param {SettingChange} change - Requested change
+ * @returns {number} New speed, kept within MIN_SPEED..MAX_SPEED
+ */
+export function stepSpeed(speed, change) {
+  if (change === 'reset') {
+    return 1;
+  }
+  const next = change === 'up' ? speed * SPEED_STEP : speed / SPEED_STEP;
+  return Math.min(MAX_SPEED, Math.max(MIN_SPEED, Math.round(next * 100) / 100));
+}
+
+/**
+ * Volume after a spoken change
+ * @param {number} volume - Current volume
+ * @param {SettingChange} change - Requested change
+ * @returns {number} New volume; "quieter" never mutes
+ */
+export function stepVolume(volume, change) {
+  if (change === 'reset') {
+    return 1;
+  }
+  if (change === 'down') {
+    return Math.max(Math.min(volume, MIN_SPOKEN_VOLUME), Math.round((volume - VOLUME_STEP) * 100) / 100);
+  }
+  return Math.min(MAX_VOLUME, Math.round((volume + VOLUME_STEP) * 100) / 100);
+}
+
+/**
+ * Format a voice name for speech ("en_GB-alba" -> "en GB alba")
+ * @param {string} voice - Voice name
+ * @returns {string}
+ */
+export function spokenVoiceName(voice) {
+  return voice.replace(/[-_]+/g, ' ');
+}
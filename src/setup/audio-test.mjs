@@ -5,6 +5,8 @@
  * - Record short audio sample from microphone
  * - Play back recording through speakers
  * - Confirm user can hear the playback
+ * - List the microphones and speakers that can be chosen
+ * - Works with whichever audio backend is active (audio-backends.mjs)
  *
  * This module provides audio hardware verification during first-run setup.
  */
@@ -12,12 +14,16 @@
 import { EventEmitter } from 'events';
 import { AudioCapture } from '../audio/audio-capture.mjs';
 import { AudioPlayback } from '../audio/audio-playback.mjs';
-import { ensurePulseAudio } from '../audio/pulseaudio.mjs';
+import { listAudioDevices } from '../audio/pulseaudio.mjs';
+import { getAudioBackend, checkAudioTools, DEFAULT_AUDIO_BACKEND } from '../audio/audio-backends.mjs';
 
 /**
  * @typedef {Object} AudioTestConfig
  * @property {number} [recordDurationMs=3000] - Duration to record in milliseconds
  * @property {number} [sampleRate=16000] - Sample rate for recording/playback
+ * @property {string|null} [inputDevice=null] - PulseAudio source to test (null = default source)
+ * @property {string|null} [outputDevice=null] - PulseAudio sink to test (null = default sink)
+ * @property {string} [backend='pulseaudio'] - Audio backend to record and play with, already resolved from 'auto'
  * @property {NodeJS.WritableStream} [output] - Output stream for messages
  */
 
@@ -49,7 +55,10 @@ import { ensurePulseAudio } from '../audio/pulseaudio.mjs';
  */
 export const DEFAULT_AUDIO_TEST_CONFIG = Object.freeze({
   recordDurationMs: 3000,
-  sampleRate: 16000
+  sampleRate: 16000,
+  inputDevice: null,
+  outputDevice: null,
+  backend: DEFAULT_AUDIO_BACKEND
 });
 
 /**
@@ -107,16 +116,41 @@ export class AudioTest extends EventEmitter {
   }
 
   /**
-   * Check PulseAudio availability
-   * @returns {Promise<boolean>}
+   * Check the audio backend can record and play
+   *
+   * Its tools must be installed, and a sound server it needs (PulseAudio)
+   * is started if it isn't running.
+   *
+   * @returns {Promise<{available: boolean, error: string|null}>}
    */
-  async checkPulseAudio() {
-    try {
-      await ensurePulseAudio();
-      return true;
-    } catch {
-      return false;
+  async checkAudioBackend() {
+    const name = this._config.backend || DEFAULT_AUDIO_BACKEND;
+    const backend = getAudioBackend(name);
+
+    const tools = checkAudioTools(name);
+    if (!tools.available) {
+      return { available: false, error: `${backend.label} not available (missing ${tools.missing.join(', ')})` };
+    }
+
+    if (backend.ensureRunning) {
+      const status = await backend.ensureRunning();
+      if (!status.running) {
+        return { available: false, error: status.error || `${backend.label} not available` };
+      }
+    }
+
+    return { available: true, error: null };
+  }
+
+  /**
+   * List the microphones and speakers
+   * @returns {import('../audio/pulseaudio.mjs').AudioDeviceList} Empty lists if PulseAudio can't be asked, or the backend's devices don't come from it
+   */
+  listDevices() {
+    if (!getAudioBackend(this._config.backend || DEFAULT_AUDIO_BACKEND).pulseDevices) {
+      return { sources: [], sinks: [] };
     }
+    return listAudioDevices();
   }
 
   /**
@@ -137,20 +171,22 @@ export class AudioTest extends EventEmitter {
     this.emit('mic_test_started');
 
     try {
-      // Check PulseAudio first
-      const pulseAvailable = await this.checkPulseAudio();
-      if (!pulseAvailable) {
+      // Check the audio backend first
+      const backend = await this.checkAudioBackend();
+      if (!backend.available) {
         this._running = false;
         return {
           success: false,
           audioData: null,
           durationMs: 0,
-          error: 'PulseAudio not available'
+          error: backend.error
         };
       }
 
       const capture = new AudioCapture({
-        sampleRate: this._config.sampleRate
+        sampleRate: this._config.sampleRate,
+        device: this._config.inputDevice ?? null,
+        backend: this._config.backend
       });
 
       /** @type {Buffer[]} */
@@ -256,19 +292,21 @@ export class AudioTest extends EventEmitter {
     this.emit('speaker_test_started');
 
     try {
-      // Check PulseAudio first
-      const pulseAvailable = await this.checkPulseAudio();
-      if (!pulseAvailable) {
+      // Check the audio backend first
+      const backend = await this.checkAudioBackend();
+      if (!backend.available) {
         this._running = false;
         return {
           success: false,
           durationMs: 0,
-          error: 'PulseAudio not available'
+          error: backend.error
         };
       }
 
       const playback = new AudioPlayback({
-        sampleRate: this._config.sampleRate
+        sampleRate: this._config.sampleRate,
+        device: this._config.outputDevice ?? null,
+        backend: this._config.backend
       });
 
       const startTime = Date.now();
@@ -354,6 +392,7 @@ export class AudioTest extends EventEmitter {
     // Test microphone
     if (!skipMicTest) {
       this._writeLine('\n--- Microphone Test ---');
+      this._writeLine(`Recording from: ${this._config.inputDevice || 'default source'}`);
       this._writeLine('Speak into your microphone now...\n');
 
       const micResult = await this.testMicrophone();
@@ -377,6 +416,7 @@ export class AudioTest extends EventEmitter {
     // Test speaker
     if (!skipSpeakerTest && this._recordedAudio) {
       this._writeLine('--- Speaker Test ---');
+      this._writeLine(`Playing to: ${this._config.outputDevice || 'default sink'}`);
       this._writeLine('Playing back your recording...\n');
 
       const speakerResult = await this.testSpeaker();
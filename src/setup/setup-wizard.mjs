@@ -7,6 +7,7 @@
  * - Prompt for gateway token
  * - Test authenticated connection
  * - Show success/failure feedback
+ * - Offer a choice of microphone and speaker when there is more than one
  *
  * This module provides an interactive CLI wizard for first-run configuration.
  */
@@ -17,11 +18,14 @@ import { mkdir, writeFile } from 'fs/promises';
 import { dirname } from 'path';
 import { OpenClawClient } from '../openclaw/openclaw-client.mjs';
 import { isLocalhostUrl, validateConfig, createConfig } from '../config/config.mjs';
+import { listAudioDevices } from '../audio/pulseaudio.mjs';
 
 /**
  * @typedef {Object} WizardConfig
  * @property {string} gateway_url - Gateway URL
  * @property {string} gateway_token - Gateway authentication token
+ * @property {string} [input_device] - Chosen PulseAudio source (default source when not set)
+ * @property {string} [output_device] - Chosen PulseAudio sink (default sink when not set)
  */
 
 /**
@@ -55,6 +59,7 @@ export class SetupWizard extends EventEmitter {
    * @param {NodeJS.ReadableStream} [options.input] - Input stream (default: process.stdin)
    * @param {NodeJS.WritableStream} [options.output] - Output stream (default: process.stdout)
    * @param {boolean} [options.skipConnectionTest] - Skip connection test (for testing)
+   * @param {function(): import('../audio/pulseaudio.mjs').AudioDeviceList} [options.listDevices] - Device enumeration (default: pactl)
    */
   constructor(options = {}) {
     super();
@@ -68,6 +73,9 @@ export class SetupWizard extends EventEmitter {
     /** @type {boolean} */
     this._skipConnectionTest = options.skipConnectionTest || false;
 
+    /** @type {function(): import('../audio/pulseaudio.mjs').AudioDeviceList} */
+    this._listDevices = options.listDevices || listAudioDevices;
+
     /** @type {import('readline').Interface|null} */
     this._rl = null;
 
@@ -126,12 +134,12 @@ export class SetupWizard extends EventEmitter {
       this._config.gateway_url = gatewayUrl;
       this.emit('step_complete', { step: 'gateway_url', value: gatewayUrl });
 
-      // Step 2: Gateway Token
+      // Step 1 (continued): Gateway Token
       const gatewayToken = await this._promptGatewayToken();
       this._config.gateway_token = gatewayToken;
       this.emit('step_complete', { step: 'gateway_token', value: '***' }); // Don't emit actual token
 
-      // Step 3: Test Connection
+      // Step 2: Test Connection
       this._writeLine('\nStep 2: Testing Connection...\n');
       const testResult = await this._testConnection();
 
@@ -158,6 +166,9 @@ export class SetupWizard extends EventEmitter {
         this.emit('connection_success', { latencyMs: testResult.latencyMs });
       }
 
+      // Step 3: Audio Devices (only with a choice to make)
+      await this._promptAudioDevices();
+
       // Validate the configuration
       const errors = await validateConfig(this._config);
       if (errors.length > 0) {
@@ -173,6 +184,8 @@ export class SetupWizard extends EventEmitter {
       this._writeLine('\n=== Setup Complete ===\n');
       this._writeLine('Gateway URL: ' + this._config.gateway_url + '\n');
       this._writeLine('Gateway Token: ' + (this._config.gateway_token ? '(configured)' : '(not set)') + '\n');
+      this._writeLine('Microphone: ' + (this._config.input_device || '(default)') + '\n');
+      this._writeLine('Speaker: ' + (this._config.output_device || '(default)') + '\n');
 
       this.emit('completed', { config: this._config });
 
@@ -285,6 +298,66 @@ export class SetupWizard extends EventEmitter {
     }
   }
 
+  /**
+   * Let the user choose the microphone and speaker
+   *
+   * Only asked when there is more than one to choose from; the PulseAudio
+   * default is kept otherwise.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _promptAudioDevices() {
+    const { sources, sinks } = this._listDevices();
+    if (sources.length < 2 && sinks.length < 2) {
+      return;
+    }
+
+    this._writeLine('\nStep 3: Audio Devices\n');
+
+    const inputDevice = await this._promptDevice('Microphones', sources);
+    if (inputDevice) {
+      this._config.input_device = inputDevice;
+      this.emit('step_complete', { step: 'input_device', value: inputDevice });
+    }
+
+    const outputDevice = await this._promptDevice('Speakers', sinks);
+    if (outputDevice) {
+      this._config.output_device = outputDevice;
+      this.emit('step_complete', { step: 'output_device', value: outputDevice });
+    }
+  }
+
+  /**
+   * Prompt for one device from a numbered list
+   * @param {string} label - What the devices are
+   * @param {import('../audio/pulseaudio.mjs').AudioDevice[]} devices - Devices to choose from
+   * @returns {Promise<string|null>} Chosen device name, or null to keep the default
+   * @private
+   */
+  async _promptDevice(label, devices) {
+    if (devices.length < 2) {
+      return null;
+    }
+
+    this._writeLine(`\n${label}:\n`);
+    devices.forEach((device, i) => {
+      this._writeLine(`  ${i + 1}. ${device.name}${device.bluetooth ? ' (Bluetooth)' : ''}\n`);
+    });
+
+    const answer = (await this._prompt(`Choose 1-${devices.length} [default]: `)).trim();
+    if (!answer) {
+      return null;
+    }
+
+    const device = devices[Number(answer) - 1];
+    if (!/^\d+$/.test(answer) || !device) {
+      this._writeLine('[ERROR] No such device. Using the default.\n');
+      return null;
+    }
+    return device.name;
+  }
+
   /**
    * Check if a string is a valid URL
    * @param {string} urlString
@@ -378,7 +451,9 @@ export async function saveWizardConfig(configPath, wizardConfig, additionalConfi
   const fullConfig = createConfig({
     ...additionalConfig,
     gateway_url: wizardConfig.gateway_url,
-    gateway_token: wizardConfig.gateway_token
+    gateway_token: wizardConfig.gateway_token,
+    ...(wizardConfig.input_device && { input_device: wizardConfig.input_device }),
+    ...(wizardConfig.output_device && { output_device: wizardConfig.output_device })
   });
 
   // Validate before saving
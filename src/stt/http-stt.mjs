@@ -0,0 +1,260 @@
+/**
+ * HttpSTT - Speech-to-Text via a local HTTP transcription server
+ *
+ * Talks to any server implementing the OpenAI-compatible
+ * `POST /v1/audio/transcriptions` endpoint (faster-whisper-server,
+ * speaches, LocalAI, whisper.cpp builds with the OpenAI shim, ...).
+ * Each utterance is posted as an in-memory WAV; the server owns the model.
+ *
+ * Audio never leaves the device: the server URL must be localhost, the
+ * same rule as the OpenClaw gateway URL.
+ */
+
+import { isLocalhostUrl } from '../config/config.mjs';
+import { pcmToWav, isGarbageTranscript, languageCode } from './stt.mjs';
+
+/**
+ * @typedef {Object} HttpSTTConfig
+ * @property {string} url - Server base URL, e.g. http://127.0.0.1:8000
+ * @property {string} [model='whisper-1'] - Model name sent with each request
+ * @property {number} [sampleRate=16000] - Audio sample rate
+ * @property {number} [timeoutMs=30000] - Maximum request time (ms)
+ * @property {string} [language=''] - Spoken language code, 'auto' to detect it, '' for the server default (untagged)
+ */
+
+/**
+ * Transcription endpoint, relative to the server URL
+ */
+export const TRANSCRIPTIONS_PATH = '/v1/audio/transcriptions';
+
+/**
+ * Default HTTP STT configuration
+ */
+export const DEFAULT_HTTP_STT_CONFIG = Object.freeze({
+  model: 'whisper-1',
+  sampleRate: 16000,
+  timeoutMs: 30000
+});
+
+/**
+ * HttpSTT - Transcription through an OpenAI-compatible local server
+ */
+export class HttpSTT {
+  /**
+   * Create a new HttpSTT instance
+   * @param {HttpSTTConfig} config - Configuration with url required
+   */
+  constructor(config) {
+    if (!config.url) {
+      throw new Error('url is required');
+    }
+
+    /** @type {HttpSTTConfig} */
+    this.config = { ...DEFAULT_HTTP_STT_CONFIG, ...config };
+
+    /** @type {boolean} */
+    this._disposed = false;
+
+    /** @type {number} */
+    this._transcriptionCount = 0;
+
+    /** @type {number} */
+    this._totalInferenceTimeMs = 0;
+
+    /** @type {number} */
+    this._partialTranscriptionCount = 0;
+
+    /** @type {number} */
+    this._totalPartialInferenceTimeMs = 0;
+  }
+
+  /**
+   * Get the full transcription endpoint URL
+   * @returns {string}
+   */
+  get endpoint() {
+    return this.config.url.replace(/\/+$/, '') + TRANSCRIPTIONS_PATH;
+  }
+
+  /**
+   * Verify the backend is configured correctly
+   *
+   * Reachability is not checked here; an unreachable server surfaces as a
+   * transcription error.
+   *
+   * @returns {{ready: boolean, errors: string[]}}
+   */
+  verify() {
+    const errors = [];
+
+    if (!isLocalhostUrl(this.config.url)) {
+      errors.push(`STT server URL must be localhost: ${this.config.url}`);
+    }
+
+    return { ready: errors.length === 0, errors };
+  }
+
+  /**
+   * Nothing to load; the server owns the model
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Transcribe audio buffer to text
+   *
+   * @param {Int16Array|Buffer} audio - PCM audio samples (16kHz, mono, s16le)
+   * @param {import('./stt.mjs').TranscribeOptions} [options] - Abort signal, partial utterance
+   * @returns {Promise<import('./stt.mjs').TranscriptionResult>} Transcription result
+   */
+  async transcribe(audio, options = {}) {
+    if (this._disposed) {
+      return { text: '', error: 'STT_DISPOSED', durationMs: 0 };
+    }
+
+    if (options.signal?.aborted) {
+      return { text: '', error: 'ABORTED', durationMs: 0 };
+    }
+
+    if (!audio || audio.length === 0) {
+      return { text: '', error: 'EMPTY_AUDIO', durationMs: 0 };
+    }
+
+    let int16Audio;
+    if (Buffer.isBuffer(audio)) {
+      int16Audio = new Int16Array(audio.buffer, audio.byteOffset, audio.length / 2);
+    } else if (audio instanceof Int16Array) {
+      int16Audio = audio;
+    } else {
+      return { text: '', error: 'INVALID_AUDIO_FORMAT', durationMs: 0 };
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const wav = pcmToWav(int16Audio, this.config.sampleRate ?? DEFAULT_HTTP_STT_CONFIG.sampleRate);
+      const response = await this._request(wav, options.signal);
+      const text = response.text.replace(/\s+/g, ' ').trim();
+      const durationMs = Date.now() - startTime;
+
+      if (isGarbageTranscript(text)) {
+        return { text: '', error: 'EMPTY_TRANSCRIPT', durationMs };
+      }
+
+      if (options.partial) {
+        this._partialTranscriptionCount++;
+        this._totalPartialInferenceTimeMs += durationMs;
+      } else {
+        this._transcriptionCount++;
+        this._totalInferenceTimeMs += durationMs;
+      }
+
+      const language = this.config.language === 'auto' ? response.language : this.config.language || null;
+      return { text, error: null, durationMs, language };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      let errorCode = 'STT_ERROR';
+      if (message.startsWith('ABORTED')) {
+        errorCode = 'ABORTED';
+      } else if (message.includes('TIMEOUT')) {
+        errorCode = 'TIMEOUT';
+      }
+      return { text: '', error: errorCode, durationMs: Date.now() - startTime };
+    }
+  }
+
+  /**
+   * Post a WAV file to the transcription endpoint
+   *
+   * Language detection asks for verbose_json, the OpenAI format that
+   * reports the language.
+   *
+   * @param {Buffer} wav - WAV file contents
+   * @param {AbortSignal} [signal] - Abandon the request
+   * @returns {Promise<{text: string, language: string|null}>} Transcribed text and reported language
+   * @private
+   */
+  async _request(wav, signal) {
+    const language = this.config.language ?? '';
+    const form = new FormData();
+    form.append('file', new Blob([new Uint8Array(wav)], { type: 'audio/wav' }), 'audio.wav');
+    form.append('model', this.config.model ?? DEFAULT_HTTP_STT_CONFIG.model);
+    form.append('response_format', language === 'auto' ? 'verbose_json' : 'json');
+    form.append('temperature', '0');
+    if (language && language !== 'auto') {
+      form.append('language', language);
+    }
+
+    const timeout = AbortSignal.timeout(this.config.timeoutMs ?? DEFAULT_HTTP_STT_CONFIG.timeoutMs);
+    let response;
+    try {
+      response = await fetch(this.endpoint, {
+        method: 'POST',
+        body: form,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+    } catch (/** @type {any} */ err) {
+      if (signal?.aborted) {
+        throw new Error('ABORTED: Transcription aborted');
+      }
+      if (err?.name === 'TimeoutError') {
+        throw new Error('TIMEOUT: Transcription exceeded time limit');
+      }
+      throw new Error(`STT server request failed: ${err?.message ?? err}`);
+    }
+
+    const body = await response.text();
+    if (!response.ok) {
+      throw new Error(`STT server error (HTTP ${response.status}): ${body}`);
+    }
+
+    try {
+      const parsed = JSON.parse(body);
+      return {
+        text: typeof parsed?.text === 'string' ? parsed.text : '',
+        language: languageCode(parsed?.language)
+      };
+    } catch {
+      // Some servers answer in plain text regardless of response_format
+      return { text: body, language: null };
+    }
+  }
+
+  /**
+   * Get transcription statistics
+   *
+   * Partial transcriptions are counted apart from final ones.
+   *
+   * @returns {{transcriptionCount: number, avgInferenceTimeMs: number, totalInferenceTimeMs: number, partialTranscriptionCount: number, totalPartialInferenceTimeMs: number}}
+   */
+  getStats() {
+    return {
+      transcriptionCount: this._transcriptionCount,
+      avgInferenceTimeMs: this._transcriptionCount > 0
+        ? this._totalInferenceTimeMs / this._transcriptionCount
+        : 0,
+      totalInferenceTimeMs: this._totalInferenceTimeMs,
+      partialTranscriptionCount: this._partialTranscriptionCount,
+      totalPartialInferenceTimeMs: this._totalPartialInferenceTimeMs
+    };
+  }
+
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    this._disposed = true;
+  }
+}
+
+/**
+ * Create an HttpSTT instance
+ *
+ * @param {HttpSTTConfig} config - Configuration with url required
+ * @returns {HttpSTT}
+ */
+export function createHttpSTT(config) {
+  return new HttpSTT(config);
+}
+
+export default HttpSTT;
@@ -7,28 +7,71 @@
  *       -> if speech_ended: STT.transcribe(audio)
  *         -> return transcript or "Didn't catch that"
  *
+ * With partialTranscriptIntervalMs set, the utterance buffered so far is
+ * also transcribed every N ms of speech and emitted as 'partial_transcript'.
+ * Partials are best effort and dropped once the utterance ends; the final
+ * transcript always comes from the full utterance.
+ *
+ * With echoCancellation on, each chunk first passes through an
+ * EchoCanceller fed with the audio Scout plays (addPlaybackReference), so
+ * the VAD does not take Scout's own voice from the speaker for barge-in.
+ *
+ * With audioInput set, a StreamCapture reads a file, stdin or a named
+ * pipe instead of the microphone. At 'fast' pace the capture is paused
+ * for each frame, which waits for the transcription it triggered and for
+ * the reply turn the consumer holds input for (holdInput), so utterances
+ * are answered one at a time; once the input ends the utterance in
+ * progress is finished and 'input_ended' follows its transcript.
+ *
+ * A CaptureDsp chain can then high-pass filter the chunk and suppress
+ * background noise before the VAD, and bring each utterance to a common
+ * loudness before STT; each stage is off unless configured.
+ *
  * This module wires together:
- * - AudioCapture (parecord)
+ * - AudioCapture (parecord, or the audio backend's recorder) or StreamCapture
+ * - EchoCanceller (NLMS, reference from AudioPlayback)
+ * - CaptureDsp (high-pass, noise suppression, gain control)
  * - VADProcessor (Silero VAD)
- * - STT (whisper.cpp)
+ * - STT (whisper.cpp by default; any backend from stt-backends.mjs)
  */
 
 import { EventEmitter } from 'events';
 import { AudioCapture } from '../audio/audio-capture.mjs';
+import { StreamCapture } from '../audio/stream-capture.mjs';
+import { EchoCanceller } from '../audio/echo-canceller.mjs';
+import { CaptureDsp } from '../audio/capture-dsp.mjs';
 import { VADProcessor } from '../vad/vad-processor.mjs';
-import { STT, isGarbageTranscript } from './stt.mjs';
+import { isGarbageTranscript } from './stt.mjs';
+import { createSttBackend, DEFAULT_STT_BACKEND } from './stt-backends.mjs';
 
 /**
  * @typedef {Object} SpeechPipelineConfig
  * @property {string} vadModelPath - Path to Silero VAD ONNX model
- * @property {string} whisperPath - Path to whisper.cpp executable
- * @property {string} sttModelPath - Path to whisper GGML model
+ * @property {string} [sttBackend='whisper-cpp'] - STT backend name (see stt-backends.mjs)
+ * @property {string} [whisperPath] - Path to whisper.cpp executable (whisper-cpp backend)
+ * @property {string} [sttModelPath] - Path to whisper GGML model (whisper-cpp backend)
+ * @property {string} [sttUrl] - Transcription server URL (http backend)
+ * @property {string} [sttHttpModel] - Model name sent to the transcription server (http backend)
+ * @property {string} [sttLanguage=''] - Spoken language code, 'auto' to detect it per utterance, '' for the model default
  * @property {number} [sampleRate=16000] - Audio sample rate (Hz)
+ * @property {string|null} [inputDevice=null] - PulseAudio source to record from (null = default source)
+ * @property {string} [audioBackend='pulseaudio'] - Audio backend to record with (see audio-backends.mjs)
+ * @property {string|null} [audioInput=null] - WAV or raw PCM file, named pipe or '-' for stdin to listen to instead of the microphone
+ * @property {import('../audio/stream-capture.mjs').InputPace|null} [audioInputPace=null] - Read audioInput in real time or as fast as it is processed (null = files realtime, stdin and pipes fast)
+ * @property {boolean} [echoCancellation=false] - Remove Scout's own playback from the microphone before VAD
+ * @property {number} [echoDelayMs=100] - Latency from writing playback to hearing it in the microphone
+ * @property {number} [echoTailMs=128] - Echo length the canceller covers
+ * @property {boolean} [highPassFilter=false] - Filter out rumble below the voice before VAD
+ * @property {boolean} [noiseSuppression=false] - Attenuate steady background noise before VAD
+ * @property {boolean} [autoGainControl=false] - Normalize utterance loudness before STT
  * @property {number} [vadThreshold=0.5] - VAD speech threshold
  * @property {number} [bargeInThreshold=0.7] - VAD threshold during playback
  * @property {number} [silenceDurationMs=1200] - Silence duration to end speech
  * @property {number} [minSpeechMs=500] - Minimum speech duration
  * @property {number} [sttThreads=4] - STT thread count
+ * @property {import('./stt.mjs').STTMode} [sttMode='oneshot'] - Spawn whisper.cpp per utterance or keep a server running
+ * @property {string} [whisperServerPath] - whisper.cpp server executable (server mode)
+ * @property {number} [partialTranscriptIntervalMs=0] - Transcribe the utterance in progress every N ms of speech (0 = off)
  */
 
 /**
@@ -36,6 +79,7 @@ import { STT, isGarbageTranscript } from './stt.mjs';
  * @property {string} text - Transcribed text
  * @property {number} audioDurationMs - Audio duration in ms
  * @property {number} sttDurationMs - STT inference time in ms
+ * @property {string|null} language - Language code of the speech (configured or detected), null if unknown
  */
 
 /**
@@ -47,7 +91,14 @@ export const DEFAULT_PIPELINE_CONFIG = Object.freeze({
   bargeInThreshold: 0.7,
   silenceDurationMs: 1200,
   minSpeechMs: 500,
-  sttThreads: 4
+  sttThreads: 4,
+  partialTranscriptIntervalMs: 0,
+  echoCancellation: false,
+  echoDelayMs: 100,
+  echoTailMs: 128,
+  highPassFilter: false,
+  noiseSuppression: false,
+  autoGainControl: false
 });
 
 /**
@@ -56,11 +107,13 @@ export const DEFAULT_PIPELINE_CONFIG = Object.freeze({
  * Events:
  * - 'ready': Pipeline initialized and ready
  * - 'speech_started': User started speaking
+ * - 'partial_transcript': Transcript of the utterance so far (while still speaking)
  * - 'speech_ended': User stopped speaking (before STT)
  * - 'transcript': Transcription completed
  * - 'empty_transcript': Speech detected but no valid transcription ("Didn't catch that")
  * - 'barge_in': User interrupted during playback
  * - 'error': Error occurred
+ * - 'input_ended': audioInput was read to the end and its last utterance handled
  * - 'stopped': Pipeline stopped
  *
  * @extends EventEmitter
@@ -77,21 +130,63 @@ export class SpeechPipeline extends EventEmitter {
     if (!config.vadModelPath) {
       throw new Error('vadModelPath is required');
     }
-    if (!config.whisperPath) {
-      throw new Error('whisperPath is required');
-    }
-    if (!config.sttModelPath) {
-      throw new Error('sttModelPath is required');
+    if ((config.sttBackend ?? DEFAULT_STT_BACKEND) === 'whisper-cpp') {
+      if (!config.whisperPath) {
+        throw new Error('whisperPath is required');
+      }
+      if (!config.sttModelPath) {
+        throw new Error('sttModelPath is required');
+      }
     }
 
     /** @type {SpeechPipelineConfig} */
     this.config = { ...DEFAULT_PIPELINE_CONFIG, ...config };
 
-    /** @type {AudioCapture} */
-    this._capture = new AudioCapture({
+    /** @type {AudioCapture|StreamCapture} */
+    this._capture = this.config.audioInput
+      ? new StreamCapture({
+        source: this.config.audioInput,
+        pace: this.config.audioInputPace ?? null,
+        sampleRate: this.config.sampleRate
+      })
+      : new AudioCapture({
+        sampleRate: this.config.sampleRate,
+        channels: 1,
+        format: 's16le',
+        device: this.config.inputDevice ?? null,
+        backend: this.config.audioBackend
+      });
+
+    // Without a listener, parecord failing (e.g. its device was unplugged) would throw
+    this._capture.on('error', (err) => {
+      this.emit('error', { type: 'audio_capture', message: err.message });
+    });
+
+    // Finish what was said before the input ran out
+    this._capture.on('end', () => {
+      this._frames = this._frames.then(async () => {
+        if (!this._running) return;
+        this._vad.forceEndSpeech();
+        await this._transcription;
+        this.emit('input_ended');
+      });
+    });
+
+    /** @type {EchoCanceller|null} - Removes playback picked up by the microphone */
+    this._echoCanceller = this.config.echoCancellation
+      ? new EchoCanceller({
+        sampleRate: this.config.sampleRate,
+        delayMs: this.config.echoDelayMs,
+        tailMs: this.config.echoTailMs
+      })
+      : null;
+
+    /** @type {CaptureDsp} - Optional clean-up between capture and VAD/STT */
+    this._dsp = new CaptureDsp({
       sampleRate: this.config.sampleRate,
-      channels: 1,
-      format: 's16le'
+      highPassFilter: this.config.highPassFilter,
+      noiseSuppression: this.config.noiseSuppression,
+      autoGainControl: this.config.autoGainControl
     });
 
     /** @type {VADProcessor} */
@@ -104,12 +199,17 @@ export class SpeechPipeline extends EventEmitter {
       sampleRate: this.config.sampleRate
     });
 
-    /** @type {STT} */
-    this._stt = new STT({
+    /** @type {import('./stt-backends.mjs').STTBackend} */
+    this._stt = createSttBackend(this.config.sttBackend ?? DEFAULT_STT_BACKEND, {
       whisperPath: this.config.whisperPath,
       modelPath: this.config.sttModelPath,
       threads: this.config.sttThreads,
-      sampleRate: this.config.sampleRate
+      sampleRate: this.config.sampleRate,
+      mode: this.config.sttMode,
+      serverPath: this.config.whisperServerPath,
+      url: this.config.sttUrl,
+      model: this.config.sttHttpModel,
+      language: this.config.sttLanguage
     });
 
     /** @type {boolean} */
@@ -127,6 +227,30 @@ export class SpeechPipeline extends EventEmitter {
     /** @type {number} */
     this._emptyTranscriptCount = 0;
 
+    /** @type {boolean} */
+    this._partialInFlight = false;
+
+    /** @type {AbortController|null} - Aborts the partial in flight once the utterance ends */
+    this._partialAbort = null;
+
+    /** @type {number} - Bumped per utterance so late partials are dropped */
+    this._utteranceId = 0;
+
+    /** @type {number} - Speech duration at the last partial transcript */
+    this._lastPartialAudioMs = 0;
+
+    /** @type {number} */
+    this._partialTranscriptCount = 0;
+
+    /** @type {Promise<void>} - Frames run through VAD one at a time, in order */
+    this._frames = Promise.resolve();
+
+    /** @type {Promise<void>} - Transcription of the last utterance */
+    this._transcription = Promise.resolve();
+
+    /** @type {Promise<void>} - Fast-paced input waits for this before the next frame */
+    this._inputHold = Promise.resolve();
+
     // Wire up VAD events
     this._setupVADEvents();
   }
@@ -174,6 +298,9 @@ export class SpeechPipeline extends EventEmitter {
         throw new Error(`STT not ready: ${sttStatus.errors.join(', ')}`);
       }
 
+      // Load the STT model up front (whisper.cpp server mode)
+      await this._stt.init?.();
+
       this._initialized = true;
       this.emit('ready');
 
@@ -202,15 +329,13 @@ export class SpeechPipeline extends EventEmitter {
     this._capture.start();
 
     // Process audio chunks through VAD
-    this._capture.onChunk(async (chunk) => {
-      if (!this._running) return;
-
-      try {
-        await this._vad.processFrame(chunk);
-      } catch (err) {
-        const message = err instanceof Error ? err.message : String(err);
-        this.emit('error', { type: 'vad', message });
+    this._capture.onChunk((chunk) => {
+      // Input read faster than real time is released one frame at a time
+      if (this._isFastInput()) {
+        /** @type {StreamCapture} */ (this._capture).pause();
       }
+      this._frames = this._frames.then(() => this._processChunk(chunk));
+      return this._frames;
     });
 
     this._running = true;
@@ -218,6 +343,64 @@ export class SpeechPipeline extends EventEmitter {
     return true;
   }
 
+  /**
+   * Hold fast-paced audioInput until a promise settles
+   *
+   * The frame that ended an utterance already waits for its transcription;
+   * a consumer answering the transcript holds input here until the reply
+   * is over, so the next utterance is not heard mid-reply. No effect on
+   * the microphone or realtime input.
+   *
+   * @param {Promise<unknown>} promise - e.g. the reply turn
+   */
+  holdInput(promise) {
+    if (!this._isFastInput()) {
+      return;
+    }
+
+    const settled = promise.then(() => {}, () => {});
+    this._inputHold = Promise.all([this._inputHold, settled]).then(() => {});
+  }
+
+  /**
+   * Whether audio comes from an input read faster than real time
+   * @returns {boolean}
+   * @private
+   */
+  _isFastInput() {
+    return this._capture instanceof StreamCapture && this._capture.pace === 'fast';
+  }
+
+  /**
+   * Run one captured chunk through echo cancellation, DSP and VAD
+   * @param {Int16Array} chunk - Captured audio
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _processChunk(chunk) {
+    if (!this._running) return;
+
+    try {
+      const frame = this._dsp.processFrame(
+        this._echoCanceller ? this._echoCanceller.process(chunk) : chunk
+      );
+      await this._vad.processFrame(frame);
+      // Not awaited: VAD keeps up with the microphone while whisper runs
+      void this._transcribePartial();
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      this.emit('error', { type: 'vad', message });
+    }
+
+    // Input read faster than real time would otherwise end utterances
+    // mid-transcription and talk over the reply
+    if (this._isFastInput()) {
+      await this._transcription;
+      await this._inputHold;
+      /** @type {StreamCapture} */ (this._capture).resume();
+    }
+  }
+
   /**
    * Stop the speech pipeline
    */
@@ -231,14 +414,40 @@ export class SpeechPipeline extends EventEmitter {
 
     // Force end any pending speech
     this._vad.forceEndSpeech();
+    this._partialAbort?.abort();
 
     // Reset VAD state
     this._vad.reset();
+    this._echoCanceller?.reset();
+    this._dsp.reset();
 
     this._running = false;
     this.emit('stopped');
   }
 
+  /**
+   * Record from another source
+   *
+   * A running pipeline keeps listening; only the microphone changes.
+   *
+   * @param {string|null} device - PulseAudio source name (null = default source)
+   */
+  setInputDevice(device) {
+    this.config.inputDevice = device;
+    this._capture.setDevice(device);
+  }
+
+  /**
+   * Add audio just sent to the speaker as the echo canceller's reference
+   * @param {Int16Array} samples - PCM written to AudioPlayback
+   * @param {number} sampleRate - Playback sample rate
+   */
+  addPlaybackReference(samples, sampleRate) {
+    if (this._running) {
+      this._echoCanceller?.pushReference(samples, sampleRate);
+    }
+  }
+
   /**
    * Set playback mode (for barge-in detection)
    * @param {boolean} active - Whether playback is active
@@ -253,16 +462,22 @@ export class SpeechPipeline extends EventEmitter {
    */
   _setupVADEvents() {
     this._vad.on('speech_started', () => {
+      this._utteranceId++;
+      this._lastPartialAudioMs = 0;
       this.emit('speech_started');
     });
 
     this._vad.on('speech_ended', async (data) => {
+      this._utteranceId++;
+      // Its result would be dropped anyway; don't let it hold up the final transcript
+      this._partialAbort?.abort();
       this.emit('speech_ended', {
         durationMs: data.durationMs
       });
 
       // Run STT on the captured audio
-      await this._transcribe(data.audio, data.durationMs);
+      this._transcription = this._transcribe(data.audio, data.durationMs);
+      await this._transcription;
     });
 
     this._vad.on('barge_in', (data) => {
@@ -285,7 +500,7 @@ export class SpeechPipeline extends EventEmitter {
     this._transcribing = true;
 
     try {
-      const result = await this._stt.transcribe(audio);
+      const result = await this._stt.transcribe(this._dsp.normalizeUtterance(audio));
 
       if (result.error || isGarbageTranscript(result.text)) {
         this._emptyTranscriptCount++;
@@ -299,7 +514,8 @@ export class SpeechPipeline extends EventEmitter {
         this.emit('transcript', {
           text: result.text,
           audioDurationMs,
-          sttDurationMs: result.durationMs
+          sttDurationMs: result.durationMs,
+          language: result.language ?? null
         });
       }
     } catch (err) {
@@ -310,6 +526,70 @@ export class SpeechPipeline extends EventEmitter {
     }
   }
 
+  /**
+   * Transcribe the utterance in progress and emit a partial transcript
+   *
+   * Runs when another partialTranscriptIntervalMs of speech has been
+   * buffered and no other transcription is in flight. Aborted when the
+   * utterance ends, so the final transcript never waits for it. Failures
+   * are ignored; the final transcript reports errors.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _transcribePartial() {
+    const intervalMs = this.config.partialTranscriptIntervalMs ?? 0;
+    if (intervalMs <= 0 || this._partialInFlight || this._transcribing) {
+      return;
+    }
+
+    const audio = this._vad.getSpeechAudio();
+    if (!audio || audio.length === 0) {
+      return;
+    }
+
+    const sampleRate = this.config.sampleRate ?? DEFAULT_PIPELINE_CONFIG.sampleRate;
+    const audioDurationMs = (audio.length / sampleRate) * 1000;
+    if (audioDurationMs - this._lastPartialAudioMs < intervalMs) {
+      return;
+    }
+
+    this._lastPartialAudioMs = audioDurationMs;
+    const utteranceId = this._utteranceId;
+    const abort = new AbortController();
+    this._partialAbort = abort;
+    this._partialInFlight = true;
+
+    try {
+      const result = await this._stt.transcribe(this._dsp.normalizeUtterance(audio), {
+        partial: true,
+        signal: abort.signal
+      });
+
+      // The utterance ended meanwhile; the final transcript supersedes this
+      if (utteranceId !== this._utteranceId) {
+        return;
+      }
+
+      if (!result.error && !isGarbageTranscript(result.text)) {
+        this._partialTranscriptCount++;
+        this.emit('partial_transcript', {
+          text: result.text,
+          audioDurationMs,
+          sttDurationMs: result.durationMs,
+          language: result.language ?? null
+        });
+      }
+    } catch {
+      // Best effort
+    } finally {
+      this._partialInFlight = false;
+      if (this._partialAbort === abort) {
+        this._partialAbort = null;
+      }
+    }
+  }
+
   /**
    * Get pipeline statistics
    * @returns {Object}
@@ -321,8 +601,12 @@ export class SpeechPipeline extends EventEmitter {
       transcribing: this._transcribing,
       transcriptCount: this._transcriptCount,
       emptyTranscriptCount: this._emptyTranscriptCount,
+      partialTranscriptCount: this._partialTranscriptCount,
       capture: this._capture.getStats(),
       vad: this._vad.getStats(),
+      echoCanceller: this._echoCanceller?.getStats() ?? null,
+      dsp: this._dsp.getStats(),
+      sttBackend: this.config.sttBackend ?? DEFAULT_STT_BACKEND,
       stt: this._stt.getStats()
     };
   }
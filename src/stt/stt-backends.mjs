@@ -0,0 +1,112 @@
+/**
+ * STT Backends - Registry of speech-to-text providers
+ *
+ * SpeechPipeline talks to STT through a small provider interface, so the
+ * recognizer can be swapped by config (stt_backend) without touching the
+ * pipeline. Built-in backends:
+ * - whisper-cpp: whisper.cpp CLI or resident server (stt.mjs, the default)
+ * - http: local OpenAI-compatible transcription server (http-stt.mjs),
+ *   such as faster-whisper-server
+ *
+ * Additional backends can be added with registerSttBackend().
+ */
+
+import { STT, DEFAULT_STT_CONFIG } from './stt.mjs';
+import { HttpSTT, DEFAULT_HTTP_STT_CONFIG } from './http-stt.mjs';
+
+/**
+ * STT provider interface implemented by every backend
+ *
+ * @typedef {Object} STTBackend
+ * @property {function(): {ready: boolean, errors: string[]}} verify - Check the backend can run
+ * @property {function(): Promise<void>} [init] - Load models ahead of the first utterance
+ * @property {function(Int16Array|Buffer, import('./stt.mjs').TranscribeOptions=): Promise<import('./stt.mjs').TranscriptionResult>} transcribe - Transcribe 16kHz mono PCM
+ * @property {function(): Object} getStats - Backend statistics
+ * @property {function(): void} dispose - Release resources
+ */
+
+/**
+ * Options handed to backend factories; each backend reads what it needs
+ *
+ * @typedef {Object} STTBackendOptions
+ * @property {number} [sampleRate=16000] - Audio sample rate
+ * @property {string} [language=''] - Spoken language code, 'auto' to detect, '' for the model default
+ * @property {number} [threads=4] - Inference threads (whisper-cpp)
+ * @property {string} [whisperPath] - whisper.cpp executable (whisper-cpp)
+ * @property {string} [modelPath] - GGML model file (whisper-cpp)
+ * @property {import('./stt.mjs').STTMode} [mode] - oneshot or server (whisper-cpp)
+ * @property {string} [serverPath] - whisper.cpp server executable (whisper-cpp)
+ * @property {string} [url] - Transcription server URL (http)
+ * @property {string} [model] - Model name sent to the server (http)
+ */
+
+/**
+ * @callback STTBackendFactory
+ * @param {STTBackendOptions} options - Backend options
+ * @returns {STTBackend}
+ */
+
+/**
+ * Default STT backend
+ */
+export const DEFAULT_STT_BACKEND = 'whisper-cpp';
+
+/**
+ * Registered backends by name
+ * @type {Map<string, STTBackendFactory>}
+ */
+const backends = new Map();
+
+/**
+ * Register an STT backend
+ *
+ * @param {string} name - Backend name (the stt_backend config value)
+ * @param {STTBackendFactory} factory - Creates the backend from options
+ */
+export function registerSttBackend(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('STT backend needs a name and a factory function');
+  }
+  backends.set(name, factory);
+}
+
+/**
+ * Get the names of all registered STT backends
+ * @returns {string[]}
+ */
+export function getSttBackendNames() {
+  return [...backends.keys()];
+}
+
+/**
+ * Create an STT backend by name
+ *
+ * @param {string} name - Backend name
+ * @param {STTBackendOptions} options - Backend options
+ * @returns {STTBackend}
+ * @throws {Error} If no backend is registered under that name
+ */
+export function createSttBackend(name, options) {
+  const factory = backends.get(name);
+  if (!factory) {
+    throw new Error(`Unknown STT backend: ${name}. Must be one of: ${getSttBackendNames().join(', ')}`);
+  }
+  return factory(options);
+}
+
+registerSttBackend('whisper-cpp', (options) => new STT({
+  whisperPath: options.whisperPath ?? '',
+  modelPath: options.modelPath ?? '',
+  threads: options.threads ?? DEFAULT_STT_CONFIG.threads,
+  sampleRate: options.sampleRate ?? DEFAULT_STT_CONFIG.sampleRate,
+  mode: options.mode ?? DEFAULT_STT_CONFIG.mode,
+  serverPath: options.serverPath,
+  language: options.language
+}));
+
+registerSttBackend('http', (options) => new HttpSTT({
+  url: options.url ?? '',
+  model: options.model ?? DEFAULT_HTTP_STT_CONFIG.model,
+  sampleRate: options.sampleRate ?? DEFAULT_HTTP_STT_CONFIG.sampleRate,
+  language: options.language
+}));
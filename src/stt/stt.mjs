@@ -4,7 +4,13 @@
  * Per specs/stt_whisper.md:
  * - Uses whisper.cpp CLI for local transcription
  * - Writes audio to temp WAV file, runs inference, parses output
- * - Supports tiny.en, base.en, small.en models
+ * - Supports tiny.en, base.en, small.en models, and the multilingual
+ *   models (tiny, base, small) for other languages and language detection
+ *
+ * Modes:
+ * - oneshot: spawn whisper.cpp per utterance (reloads the model every time)
+ * - server: keep whisper.cpp's server running with the model resident
+ *   (see whisper-server.mjs) and post audio to it directly
  *
  * Target performance (FR-2):
  * - Transcription within 2 seconds for short utterance (<5s speech)
@@ -12,9 +18,14 @@
 
 import { spawn } from 'child_process';
 import { writeFileSync, unlinkSync, existsSync } from 'fs';
-import { join } from 'path';
+import { join, dirname } from 'path';
 import { tmpdir } from 'os';
 import { randomUUID } from 'crypto';
+import { WhisperServer } from './whisper-server.mjs';
+
+/**
+ * @typedef {'oneshot' | 'server'} STTMode
+ */
 
 /**
  * @typedef {Object} STTConfig
@@ -23,6 +34,9 @@ import { randomUUID } from 'crypto';
  * @property {number} [threads=4] - Number of threads for inference
  * @property {number} [sampleRate=16000] - Audio sample rate (must be 16000)
  * @property {number} [timeoutMs=30000] - Maximum inference time (ms)
+ * @property {STTMode} [mode='oneshot'] - Spawn per utterance or keep a server running
+ * @property {string} [serverPath] - whisper.cpp server executable (default: whisper-server next to whisperPath)
+ * @property {string} [language=''] - Spoken language code (e.g. 'de'), 'auto' to detect it, '' for the model default (untagged)
  */
 
 /**
@@ -30,6 +44,13 @@ import { randomUUID } from 'crypto';
  * @property {string} text - Transcribed text (empty if error/garbage)
  * @property {string|null} error - Error code if transcription failed
  * @property {number} durationMs - Inference duration in milliseconds
+ * @property {string|null} [language] - Language code of the speech (configured or detected), null if unknown
+ */
+
+/**
+ * @typedef {Object} TranscribeOptions
+ * @property {AbortSignal} [signal] - Abandon the transcription (error 'ABORTED')
+ * @property {boolean} [partial=false] - Utterance still in progress; counted apart from final transcriptions
  */
 
 /**
@@ -38,7 +59,60 @@ import { randomUUID } from 'crypto';
 export const DEFAULT_STT_CONFIG = Object.freeze({
   threads: 4,
   sampleRate: 16000,
-  timeoutMs: 30000
+  timeoutMs: 30000,
+  mode: /** @type {STTMode} */ ('oneshot')
+});
+
+/**
+ * Valid STT modes
+ */
+export const STT_MODES = ['oneshot', 'server'];
+
+/**
+ * Model load time reported by whisper.cpp on stderr
+ * e.g. "whisper_print_timings:     load time =   105.23 ms"
+ */
+const LOAD_TIME_PATTERN = /load time\s*=\s*([\d.]+)\s*ms/;
+
+/**
+ * Language detected by whisper.cpp with `-l auto`, reported on stderr
+ * e.g. "whisper_full_with_state: auto-detected language: de (p = 0.982414)"
+ */
+const DETECTED_LANGUAGE_PATTERN = /auto-detected language:\s*([a-z]{2,3})\b/;
+
+/**
+ * Language codes by Whisper language name (the names verbose_json returns)
+ * @type {Readonly<Record<string, string>>}
+ */
+const LANGUAGE_NAMES = Object.freeze({
+  english: 'en',
+  german: 'de',
+  spanish: 'es',
+  french: 'fr',
+  italian: 'it',
+  portuguese: 'pt',
+  dutch: 'nl',
+  polish: 'pl',
+  swedish: 'sv',
+  danish: 'da',
+  norwegian: 'no',
+  finnish: 'fi',
+  czech: 'cs',
+  greek: 'el',
+  hungarian: 'hu',
+  romanian: 'ro',
+  turkish: 'tr',
+  russian: 'ru',
+  ukrainian: 'uk',
+  arabic: 'ar',
+  hebrew: 'he',
+  hindi: 'hi',
+  chinese: 'zh',
+  japanese: 'ja',
+  korean: 'ko',
+  vietnamese: 'vi',
+  indonesian: 'id',
+  catalan: 'ca'
 });
 
 /**
@@ -69,9 +143,23 @@ export class STT {
       throw new Error('modelPath is required');
     }
 
+    if (config.mode !== undefined && !STT_MODES.includes(config.mode)) {
+      throw new Error(`Invalid STT mode: ${config.mode}. Must be one of: ${STT_MODES.join(', ')}`);
+    }
+
     /** @type {STTConfig} */
     this.config = { ...DEFAULT_STT_CONFIG, ...config };
 
+    /** @type {WhisperServer|null} - Resident whisper.cpp server (server mode) */
+    this._server = null;
+    if (this.config.mode === 'server') {
+      this._server = new WhisperServer({
+        serverPath: this.serverPath,
+        modelPath: this.config.modelPath,
+        threads: this.config.threads
+      });
+    }
+
     /** @type {boolean} */
     this._disposed = false;
 
@@ -80,14 +168,56 @@ export class STT {
 
     /** @type {number} */
     this._totalInferenceTimeMs = 0;
+
+    /** @type {number} */
+    this._partialTranscriptionCount = 0;
+
+    /** @type {number} */
+    this._totalPartialInferenceTimeMs = 0;
+
+    /** @type {number} */
+    this._modelLoadCount = 0;
+
+    /** @type {number} */
+    this._totalModelLoadTimeMs = 0;
+  }
+
+  /**
+   * Get the STT mode
+   * @returns {STTMode}
+   */
+  get mode() {
+    return this.config.mode ?? 'oneshot';
+  }
+
+  /**
+   * Get the whisper.cpp server executable path (server mode)
+   * @returns {string}
+   */
+  get serverPath() {
+    return this.config.serverPath || join(dirname(this.config.whisperPath), 'whisper-server');
   }
 
   /**
-   * Check if whisper.cpp executable exists
+   * Load the model ahead of the first utterance (server mode)
+   *
+   * In one-shot mode the model is loaded per utterance, so this is a no-op.
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this._server && !this._disposed) {
+      await this._server.start();
+      this._recordModelLoad(this._server.lastLoadTimeMs);
+    }
+  }
+
+  /**
+   * Check if the whisper.cpp executable for the current mode exists
    * @returns {boolean}
    */
   isWhisperAvailable() {
-    return existsSync(this.config.whisperPath);
+    return existsSync(this._server ? this.serverPath : this.config.whisperPath);
   }
 
   /**
@@ -106,7 +236,8 @@ export class STT {
     const errors = [];
 
     if (!this.isWhisperAvailable()) {
-      errors.push(`whisper.cpp not found at: ${this.config.whisperPath}`);
+      const path = this._server ? this.serverPath : this.config.whisperPath;
+      errors.push(`whisper.cpp${this._server ? ' server' : ''} not found at: ${path}`);
     }
 
     if (!this.isModelAvailable()) {
@@ -123,13 +254,18 @@ export class STT {
    * Transcribe audio to text
    *
    * @param {Int16Array|Buffer} audio - PCM audio samples (16kHz, mono, s16le)
+   * @param {TranscribeOptions} [options] - Abort signal, partial utterance
    * @returns {Promise<TranscriptionResult>} Transcription result
    */
-  async transcribe(audio) {
+  async transcribe(audio, options = {}) {
     if (this._disposed) {
       return { text: '', error: 'STT_DISPOSED', durationMs: 0 };
     }
 
+    if (options.signal?.aborted) {
+      return { text: '', error: 'ABORTED', durationMs: 0 };
+    }
+
     // Handle empty input
     if (!audio || audio.length === 0) {
       return { text: '', error: 'EMPTY_AUDIO', durationMs: 0 };
@@ -150,15 +286,23 @@ export class STT {
     }
 
     const startTime = Date.now();
-    const wavPath = this._createTempPath();
+    const wavPath = this._server ? null : this._createTempPath();
 
     try {
-      // Write audio to temp WAV file
       const wavBuffer = this._pcmToWav(int16Audio);
-      writeFileSync(wavPath, wavBuffer);
 
-      // Run whisper.cpp inference
-      const rawText = await this._runInference(wavPath);
+      // Run whisper.cpp inference (the server takes the WAV directly)
+      let result;
+      if (this._server) {
+        result = await this._runServerInference(wavBuffer, options.signal);
+      } else {
+        writeFileSync(/** @type {string} */ (wavPath), wavBuffer);
+        result = await this._runInference(/** @type {string} */ (wavPath), options.signal);
+      }
+
+      // Model loading is tracked apart from inference
+      this._recordModelLoad(result.loadTimeMs);
+      const rawText = result.text;
 
       // Parse and clean output
       const text = this._parseOutput(rawText);
@@ -173,10 +317,16 @@ export class STT {
       }
 
       const durationMs = Date.now() - startTime;
-      this._transcriptionCount++;
-      this._totalInferenceTimeMs += durationMs;
+      const inferenceTimeMs = Math.max(0, durationMs - result.loadTimeMs);
+      if (options.partial) {
+        this._partialTranscriptionCount++;
+        this._totalPartialInferenceTimeMs += inferenceTimeMs;
+      } else {
+        this._transcriptionCount++;
+        this._totalInferenceTimeMs += inferenceTimeMs;
+      }
 
-      return { text, error: null, durationMs };
+      return { text, error: null, durationMs, language: this._resultLanguage(result.language) };
 
     } catch (err) {
       const message = err instanceof Error ? err.message : String(err);
@@ -184,7 +334,9 @@ export class STT {
 
       // Map error to specific error code
       let errorCode = 'STT_ERROR';
-      if (message.includes('failed to open') || message.includes('not found')) {
+      if (message.startsWith('ABORTED')) {
+        errorCode = 'ABORTED';
+      } else if (message.includes('failed to open') || message.includes('not found')) {
         errorCode = 'MODEL_NOT_FOUND';
       } else if (message.includes('invalid WAV') || message.includes('invalid format')) {
         errorCode = 'INVALID_AUDIO';
@@ -195,8 +347,31 @@ export class STT {
       return { text: '', error: errorCode, durationMs };
 
     } finally {
-      this._cleanup(wavPath);
+      if (wavPath) {
+        this._cleanup(wavPath);
+      }
+    }
+  }
+
+  /**
+   * Get the configured language option
+   * @returns {string} Language code, 'auto' or '' (model default)
+   */
+  get language() {
+    return this.config.language ?? '';
+  }
+
+  /**
+   * Language to tag a transcript with
+   * @param {string|null} detected - Language whisper.cpp reported, if any
+   * @returns {string|null}
+   * @private
+   */
+  _resultLanguage(detected) {
+    if (this.language === 'auto') {
+      return detected;
     }
+    return this.language || null;
   }
 
   /**
@@ -216,50 +391,47 @@ export class STT {
    * @private
    */
   _pcmToWav(pcmData) {
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    const sampleRate = this.config.sampleRate ?? DEFAULT_STT_CONFIG.sampleRate;
-    const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
-    const blockAlign = numChannels * (bitsPerSample / 8);
-    const dataSize = pcmData.length * 2; // 16-bit = 2 bytes per sample
-
-    const buffer = Buffer.alloc(44 + dataSize);
-
-    // RIFF header
-    buffer.write('RIFF', 0);
-    buffer.writeUInt32LE(36 + dataSize, 4);
-    buffer.write('WAVE', 8);
-
-    // fmt subchunk
-    buffer.write('fmt ', 12);
-    buffer.writeUInt32LE(16, 16);           // Subchunk size
-    buffer.writeUInt16LE(1, 20);            // Audio format (PCM)
-    buffer.writeUInt16LE(numChannels, 22);
-    buffer.writeUInt32LE(sampleRate, 24);
-    buffer.writeUInt32LE(byteRate, 28);
-    buffer.writeUInt16LE(blockAlign, 32);
-    buffer.writeUInt16LE(bitsPerSample, 34);
-
-    // data subchunk
-    buffer.write('data', 36);
-    buffer.writeUInt32LE(dataSize, 40);
-
-    // Copy PCM data
-    for (let i = 0; i < pcmData.length; i++) {
-      buffer.writeInt16LE(pcmData[i], 44 + i * 2);
-    }
+    return pcmToWav(pcmData, this.config.sampleRate ?? DEFAULT_STT_CONFIG.sampleRate);
+  }
 
-    return buffer;
+  /**
+   * Run inference on the resident whisper.cpp server
+   *
+   * Starts (or restarts) the server first if needed; that start-up is
+   * reported as model load time.
+   *
+   * @param {Buffer} wav - WAV file contents
+   * @param {AbortSignal} [signal] - Abandon the request
+   * @returns {Promise<{text: string, loadTimeMs: number, language: string|null}>} Raw transcription output
+   * @private
+   */
+  async _runServerInference(wav, signal) {
+    const server = /** @type {WhisperServer} */ (this._server);
+    const startCount = server.startCount;
+    const body = await server.transcribe(wav, this.config.timeoutMs ?? DEFAULT_STT_CONFIG.timeoutMs, this.language, signal);
+    const loadTimeMs = server.startCount > startCount ? server.lastLoadTimeMs : 0;
+
+    // Language detection asks for verbose_json to learn the language
+    if (this.language === 'auto') {
+      try {
+        const parsed = JSON.parse(body);
+        return { text: String(parsed?.text ?? ''), loadTimeMs, language: languageCode(parsed?.language) };
+      } catch {
+        return { text: body, loadTimeMs, language: null };
+      }
+    }
+    return { text: body, loadTimeMs, language: null };
   }
 
   /**
    * Run whisper.cpp inference
    *
    * @param {string} wavPath - Path to WAV file
-   * @returns {Promise<string>} Raw transcription output
+   * @param {AbortSignal} [signal] - Kills whisper.cpp when aborted
+   * @returns {Promise<{text: string, loadTimeMs: number, language: string|null}>} Raw transcription output, model load time and detected language
    * @private
    */
-  _runInference(wavPath) {
+  _runInference(wavPath, signal) {
     return new Promise((resolve, reject) => {
       /** @type {Buffer[]} */
       const stdout = [];
@@ -274,6 +446,9 @@ export class STT {
         '-t', String(this.config.threads),
         '--no-fallback'     // Disable temperature fallback
       ];
+      if (this.language) {
+        args.push('-l', this.language);
+      }
 
       const proc = spawn(this.config.whisperPath, args);
 
@@ -283,6 +458,13 @@ export class STT {
         reject(new Error('TIMEOUT: Inference exceeded time limit'));
       }, this.config.timeoutMs);
 
+      const onAbort = () => {
+        clearTimeout(timeout);
+        proc.kill('SIGTERM');
+        reject(new Error('ABORTED: Inference aborted'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       proc.stdout.on('data', (chunk) => {
         stdout.push(chunk);
       });
@@ -293,9 +475,15 @@ export class STT {
 
       proc.on('close', (code) => {
         clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
 
         if (code === 0) {
-          resolve(Buffer.concat(stdout).toString('utf-8'));
+          const log = Buffer.concat(stderr).toString('utf-8');
+          resolve({
+            text: Buffer.concat(stdout).toString('utf-8'),
+            loadTimeMs: parseModelLoadTime(log),
+            language: parseDetectedLanguage(log)
+          });
         } else {
           const errorMsg = Buffer.concat(stderr).toString('utf-8');
           reject(new Error(`whisper.cpp error (exit ${code}): ${errorMsg}`));
@@ -304,6 +492,7 @@ export class STT {
 
       proc.on('error', (err) => {
         clearTimeout(timeout);
+        signal?.removeEventListener('abort', onAbort);
         reject(new Error(`Failed to start whisper.cpp: ${err.message}`));
       });
     });
@@ -372,26 +561,93 @@ export class STT {
     }
   }
 
+  /**
+   * Count a model load
+   * @param {number} loadTimeMs - Load time (0 = no load happened)
+   * @private
+   */
+  _recordModelLoad(loadTimeMs) {
+    if (loadTimeMs > 0) {
+      this._modelLoadCount++;
+      this._totalModelLoadTimeMs += loadTimeMs;
+    }
+  }
+
   /**
    * Get transcription statistics
-   * @returns {{transcriptionCount: number, avgInferenceTimeMs: number, totalInferenceTimeMs: number}}
+   *
+   * Inference time excludes model loading, which is reported separately
+   * (once per utterance in oneshot mode, once per server start in server mode).
+   * Partial transcriptions are counted apart from final ones.
+   *
+   * @returns {{mode: STTMode, transcriptionCount: number, avgInferenceTimeMs: number, totalInferenceTimeMs: number, partialTranscriptionCount: number, totalPartialInferenceTimeMs: number, modelLoadCount: number, avgModelLoadTimeMs: number, totalModelLoadTimeMs: number}}
    */
   getStats() {
     return {
+      mode: this.mode,
       transcriptionCount: this._transcriptionCount,
       avgInferenceTimeMs: this._transcriptionCount > 0
         ? this._totalInferenceTimeMs / this._transcriptionCount
         : 0,
-      totalInferenceTimeMs: this._totalInferenceTimeMs
+      totalInferenceTimeMs: this._totalInferenceTimeMs,
+      partialTranscriptionCount: this._partialTranscriptionCount,
+      totalPartialInferenceTimeMs: this._totalPartialInferenceTimeMs,
+      modelLoadCount: this._modelLoadCount,
+      avgModelLoadTimeMs: this._modelLoadCount > 0
+        ? this._totalModelLoadTimeMs / this._modelLoadCount
+        : 0,
+      totalModelLoadTimeMs: this._totalModelLoadTimeMs
     };
   }
 
   /**
-   * Mark as disposed (prevents further transcriptions)
+   * Mark as disposed (prevents further transcriptions) and stop the server
    */
   dispose() {
     this._disposed = true;
+    this._server?.stop();
+  }
+}
+
+/**
+ * Extract the model load time from whisper.cpp timing output
+ *
+ * @param {string} stderr - whisper.cpp stderr
+ * @returns {number} Load time in ms (0 if not reported)
+ */
+export function parseModelLoadTime(stderr) {
+  const match = stderr.match(LOAD_TIME_PATTERN);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Extract the language whisper.cpp detected (`-l auto`)
+ *
+ * @param {string} stderr - whisper.cpp stderr
+ * @returns {string|null} Language code, or null if none was reported
+ */
+export function parseDetectedLanguage(stderr) {
+  const match = stderr.match(DETECTED_LANGUAGE_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Turn a language reported by a transcription server into a language code
+ *
+ * Servers report either a code ("de") or Whisper's language name ("german").
+ *
+ * @param {unknown} language - Reported language
+ * @returns {string|null} Language code, or null if unknown
+ */
+export function languageCode(language) {
+  if (typeof language !== 'string') {
+    return null;
+  }
+  const value = language.trim().toLowerCase();
+  if (/^[a-z]{2,3}$/.test(value)) {
+    return value;
   }
+  return LANGUAGE_NAMES[value] ?? null;
 }
 
 /**
@@ -411,6 +667,49 @@ export function isGarbageTranscript(text) {
   return false;
 }
 
+/**
+ * Convert mono PCM Int16 samples to a WAV file buffer
+ *
+ * @param {Int16Array} pcmData - 16-bit signed PCM samples
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {Buffer} WAV file buffer
+ */
+export function pcmToWav(pcmData, sampleRate) {
+  const numChannels = 1;
+  const bitsPerSample = 16;
+  const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
+  const blockAlign = numChannels * (bitsPerSample / 8);
+  const dataSize = pcmData.length * 2; // 16-bit = 2 bytes per sample
+
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  // RIFF header
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+
+  // fmt subchunk
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);           // Subchunk size
+  buffer.writeUInt16LE(1, 20);            // Audio format (PCM)
+  buffer.writeUInt16LE(numChannels, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(byteRate, 28);
+  buffer.writeUInt16LE(blockAlign, 32);
+  buffer.writeUInt16LE(bitsPerSample, 34);
+
+  // data subchunk
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  // Copy PCM data
+  for (let i = 0; i < pcmData.length; i++) {
+    buffer.writeInt16LE(pcmData[i], 44 + i * 2);
+  }
+
+  return buffer;
+}
+
 /**
  * Create an STT instance
  *
@@ -0,0 +1,298 @@
+/**
+ * WhisperServer - Long-lived whisper.cpp server process
+ *
+ * One-shot STT spawns whisper.cpp per utterance and reloads the GGML model
+ * every time. In server mode Scout starts whisper.cpp's `whisper-server`
+ * once, keeps the model resident, and posts each utterance to its
+ * `/inference` endpoint as an in-memory WAV (no temp files).
+ *
+ * - Listens on 127.0.0.1 only, on a free port picked at start-up
+ * - Ready once the server answers HTTP (it loads the model before listening)
+ * - Restarted on the next request if the process exits
+ */
+
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+
+/**
+ * @typedef {Object} WhisperServerConfig
+ * @property {string} serverPath - Path to the whisper.cpp server executable
+ * @property {string} modelPath - Path to GGML model file
+ * @property {number} [threads=4] - Number of threads for inference
+ * @property {number} [port=0] - Port to listen on (0 = pick a free port)
+ * @property {number} [startTimeoutMs=30000] - Maximum time to load the model and start listening
+ * @property {number} [pollIntervalMs=100] - Interval between readiness checks
+ */
+
+/**
+ * Default server configuration
+ */
+export const DEFAULT_WHISPER_SERVER_CONFIG = Object.freeze({
+  threads: 4,
+  port: 0,
+  startTimeoutMs: 30000,
+  pollIntervalMs: 100
+});
+
+/**
+ * Find a free TCP port on localhost
+ * @returns {Promise<number>}
+ */
+export function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const address = server.address();
+      const port = typeof address === 'object' && address ? address.port : 0;
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * WhisperServer - Manages a resident whisper.cpp server
+ */
+export class WhisperServer {
+  /**
+   * Create a WhisperServer instance
+   * @param {WhisperServerConfig} config - Server configuration
+   */
+  constructor(config) {
+    if (!config.serverPath) {
+      throw new Error('serverPath is required');
+    }
+    if (!config.modelPath) {
+      throw new Error('modelPath is required');
+    }
+
+    /** @type {Required<WhisperServerConfig>} */
+    this.config = { ...DEFAULT_WHISPER_SERVER_CONFIG, ...config };
+
+    /** @type {import('child_process').ChildProcess|null} */
+    this._proc = null;
+
+    /** @type {number} */
+    this._port = 0;
+
+    /** @type {Promise<void>|null} - Pending start-up */
+    this._starting = null;
+
+    /** @type {number} - Time the last start took (model load) */
+    this._lastLoadTimeMs = 0;
+
+    /** @type {number} */
+    this._startCount = 0;
+
+    /** @type {string} - Recent stderr output, for error messages */
+    this._stderrTail = '';
+  }
+
+  /**
+   * Check if the server process is running and ready
+   * @returns {boolean}
+   */
+  get isRunning() {
+    return this._proc !== null && this._starting === null;
+  }
+
+  /**
+   * Get the port the server listens on
+   * @returns {number}
+   */
+  get port() {
+    return this._port;
+  }
+
+  /**
+   * Get the time the last start-up took (spawn until ready)
+   * @returns {number}
+   */
+  get lastLoadTimeMs() {
+    return this._lastLoadTimeMs;
+  }
+
+  /**
+   * Get how many times the server was started
+   * @returns {number}
+   */
+  get startCount() {
+    return this._startCount;
+  }
+
+  /**
+   * Start the server and wait until the model is loaded
+   *
+   * Safe to call repeatedly; resolves immediately when already running.
+   *
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this._proc && !this._starting) {
+      return;
+    }
+
+    if (!this._starting) {
+      this._starting = this._spawn().finally(() => {
+        this._starting = null;
+      });
+    }
+
+    return this._starting;
+  }
+
+  /**
+   * Transcribe a WAV file held in memory
+   *
+   * With language 'auto' the server detects the language and answers in
+   * verbose_json, which carries the language alongside the text.
+   *
+   * @param {Buffer} wav - WAV file contents (16kHz mono s16le)
+   * @param {number} timeoutMs - Request timeout
+   * @param {string} [language=''] - Language code, 'auto' to detect, '' for the server default
+   * @param {AbortSignal} [signal] - Abandon the request
+   * @returns {Promise<string>} Raw transcription text (verbose_json body when detecting)
+   */
+  async transcribe(wav, timeoutMs, language = '', signal) {
+    await this.start();
+
+    const form = new FormData();
+    form.append('file', new Blob([new Uint8Array(wav)], { type: 'audio/wav' }), 'audio.wav');
+    form.append('response_format', language === 'auto' ? 'verbose_json' : 'text');
+    form.append('temperature', '0.0');
+    if (language) {
+      form.append('language', language);
+    }
+
+    const timeout = AbortSignal.timeout(timeoutMs);
+    let response;
+    try {
+      response = await fetch(`http://127.0.0.1:${this._port}/inference`, {
+        method: 'POST',
+        body: form,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+    } catch (/** @type {any} */ err) {
+      if (signal?.aborted) {
+        throw new Error('ABORTED: Inference aborted');
+      }
+      if (err?.name === 'TimeoutError') {
+        throw new Error('TIMEOUT: Inference exceeded time limit');
+      }
+      throw new Error(`whisper server request failed: ${err?.message ?? err}`);
+    }
+
+    const body = await response.text();
+    if (!response.ok) {
+      throw new Error(`whisper server error (HTTP ${response.status}): ${body}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Stop the server process
+   */
+  stop() {
+    if (this._proc) {
+      this._proc.kill('SIGTERM');
+      this._proc = null;
+    }
+  }
+
+  /**
+   * Spawn the server and wait for it to answer
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _spawn() {
+    const startTime = Date.now();
+    this._port = this.config.port || await findFreePort();
+    this._stderrTail = '';
+
+    const args = [
+      '-m', this.config.modelPath,
+      '-t', String(this.config.threads),
+      '--host', '127.0.0.1',
+      '--port', String(this._port),
+      '-nt',              // No timestamps
+      '-nf'               // No temperature fallback
+    ];
+
+    const proc = spawn(this.config.serverPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    this._proc = proc;
+
+    /** @type {Error|null} */
+    let exitError = null;
+
+    proc.stderr?.on('data', (chunk) => {
+      this._stderrTail = (this._stderrTail + chunk.toString('utf-8')).slice(-2000);
+    });
+
+    proc.on('error', (err) => {
+      exitError = new Error(`Failed to start whisper server: ${err.message}`);
+    });
+
+    proc.on('exit', (code) => {
+      exitError ??= new Error(`whisper server exited (code ${code}): ${this._stderrTail.trim()}`);
+      if (this._proc === proc) {
+        // Restarted on the next request
+        this._proc = null;
+      }
+    });
+
+    try {
+      await this._waitUntilReady(() => exitError);
+    } catch (err) {
+      if (this._proc === proc) {
+        this.stop();
+      }
+      throw err;
+    }
+
+    this._lastLoadTimeMs = Date.now() - startTime;
+    this._startCount++;
+  }
+
+  /**
+   * Poll the server until it answers HTTP
+   * @param {function(): Error|null} getExitError - Error if the process died
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _waitUntilReady(getExitError) {
+    const deadline = Date.now() + this.config.startTimeoutMs;
+
+    while (Date.now() < deadline) {
+      const exitError = getExitError();
+      if (exitError) {
+        throw exitError;
+      }
+
+      try {
+        await fetch(`http://127.0.0.1:${this._port}/`, {
+          signal: AbortSignal.timeout(this.config.pollIntervalMs * 10)
+        });
+        return;
+      } catch {
+        // Not listening yet (model still loading)
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.config.pollIntervalMs));
+    }
+
+    throw new Error('TIMEOUT: whisper server did not start in time');
+  }
+}
+
+/**
+ * Create a WhisperServer instance
+ * @param {WhisperServerConfig} config - Server configuration
+ * @returns {WhisperServer}
+ */
+export function createWhisperServer(config) {
+  return new WhisperServer(config);
+}
+
+export default WhisperServer;
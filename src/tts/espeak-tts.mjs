@@ -0,0 +1,130 @@
+/**
+ * EspeakTTS - Text-to-Speech via espeak-ng
+ *
+ * A tiny formant synthesizer that needs no voice model download. It sounds
+ * robotic next to Piper, but is useful as a fallback voice on machines
+ * where Piper is not installed or too slow.
+ *
+ * - Command: echo "text" | espeak-ng --stdin --stdout -v en-us -s 175
+ * - Output: WAV (s16le, mono, 22050 Hz); the header is stripped and the
+ *   sample rate taken from it
+ */
+
+import { TTS } from './tts.mjs';
+import { WavStreamDecoder } from '../audio/wav-stream.mjs';
+
+/**
+ * @typedef {Object} EspeakTTSConfig
+ * @property {string} espeakPath - espeak-ng executable
+ * @property {string} voice - espeak-ng voice, e.g. en-us, en-gb, de
+ * @property {number} wordsPerMinute - Speaking rate
+ * @property {number} sampleRate - Output sample rate (updated from the WAV header)
+ * @property {string} modelPath - Unused; espeak-ng has no model file
+ */
+
+/**
+ * Default espeak-ng configuration
+ */
+export const DEFAULT_ESPEAK_TTS_CONFIG = Object.freeze({
+  espeakPath: 'espeak-ng',
+  voice: 'en-us',
+  wordsPerMinute: 175,
+  sampleRate: 22050
+});
+
+/**
+ * EspeakTTS - Streaming synthesis via espeak-ng
+ */
+export class EspeakTTS extends TTS {
+  /**
+   * Create EspeakTTS instance
+   * @param {Partial<EspeakTTSConfig>} [config={}] - Configuration
+   */
+  constructor(config = {}) {
+    super();
+
+    /** @type {EspeakTTSConfig} */
+    this.config = { ...DEFAULT_ESPEAK_TTS_CONFIG, modelPath: '', ...config };
+  }
+
+  /**
+   * Name used in error messages
+   * @returns {string}
+   */
+  get engineName() {
+    return 'espeak-ng';
+  }
+
+  /**
+   * Get the current espeak-ng voice
+   * @returns {string}
+   */
+  get voice() {
+    return /** @type {EspeakTTSConfig} */ (this.config).voice;
+  }
+
+  /**
+   * Switch to another voice from the next sentence
+   * @param {string} voice - espeak-ng voice, e.g. en-gb
+   */
+  setVoice(voice) {
+    if (!voice || typeof voice !== 'string') {
+      throw new Error('Voice must be a non-empty string');
+    }
+    /** @type {EspeakTTSConfig} */ (this.config).voice = voice;
+  }
+
+  /**
+   * espeak-ng needs no model file
+   * @protected
+   */
+  _checkConfig() {}
+
+  /**
+   * Command line for one synthesis; text is written to stdin
+   * @param {import('./tts.mjs').TTSSynthesisOptions} [options={}] - Per-sentence options
+   * @returns {{command: string, args: string[]}}
+   * @protected
+   */
+  _command(options = {}) {
+    const config = /** @type {EspeakTTSConfig} */ (this.config);
+    const wordsPerMinute = Math.round(config.wordsPerMinute * (options.rate ?? 1));
+    return {
+      command: config.espeakPath,
+      args: [
+        '--stdin',
+        '--stdout',
+        '-b', '1',
+        '-v', config.voice,
+        '-s', String(wordsPerMinute)
+      ]
+    };
+  }
+
+  /**
+   * Strip the WAV header and adopt the sample rate it reports
+   * @returns {(chunk: Buffer) => Buffer}
+   * @protected
+   */
+  _createDecoder() {
+    const decoder = new WavStreamDecoder();
+    return (chunk) => {
+      const pcm = decoder.push(chunk);
+      if (decoder.format) {
+        this.config.sampleRate = decoder.format.sampleRate;
+      }
+      return pcm;
+    };
+  }
+}
+
+/**
+ * Create an EspeakTTS instance
+ * @param {Partial<EspeakTTSConfig>} [config={}] - Configuration
+ * @returns {EspeakTTS}
+ */
+export function createEspeakTTS(config = {}) {
+  return new EspeakTTS(config);
+}
+
+export default EspeakTTS;
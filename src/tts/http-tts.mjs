@@ -0,0 +1,265 @@
+/**
+ * HttpTTS - Text-to-Speech via a local HTTP speech server
+ *
+ * Talks to any server implementing the OpenAI-compatible
+ * `POST /v1/audio/speech` endpoint (openedai-speech, Kokoro-FastAPI,
+ * LocalAI, ...). Audio is requested as WAV and streamed back as it is
+ * generated; the sample rate is read from the WAV header, so the server
+ * may use whatever rate its voice produces.
+ *
+ * Response text never leaves the device: the server URL must be localhost,
+ * the same rule as the OpenClaw gateway URL.
+ */
+
+import { EventEmitter } from 'events';
+import { isLocalhostUrl } from '../config/config.mjs';
+import { WavStreamDecoder } from '../audio/wav-stream.mjs';
+
+/**
+ * @typedef {Object} HttpTTSConfig
+ * @property {string} url - Server base URL, e.g. http://127.0.0.1:8880
+ * @property {string} [model='tts-1'] - Model name sent with each request
+ * @property {string} [voice=''] - Voice name sent with each request (omitted when empty)
+ * @property {number} [sampleRate=22050] - Expected sample rate until the server reports one
+ * @property {number} [timeoutMs=30000] - Maximum time for one sentence (ms)
+ */
+
+/**
+ * Speech endpoint, relative to the server URL
+ */
+export const SPEECH_PATH = '/v1/audio/speech';
+
+/**
+ * Default HTTP TTS configuration
+ */
+export const DEFAULT_HTTP_TTS_CONFIG = Object.freeze({
+  model: 'tts-1',
+  voice: '',
+  sampleRate: 22050,
+  timeoutMs: 30000
+});
+
+/**
+ * HttpTTS - Streaming synthesis through an OpenAI-compatible local server
+ */
+export class HttpTTS extends EventEmitter {
+  /**
+   * Create HttpTTS instance
+   * @param {HttpTTSConfig} config - Configuration with url required
+   */
+  constructor(config) {
+    super();
+
+    if (!config.url) {
+      throw new Error('url is required');
+    }
+
+    if (!isLocalhostUrl(config.url)) {
+      throw new Error(`TTS server URL must be localhost: ${config.url}`);
+    }
+
+    /** @type {HttpTTSConfig} */
+    this.config = { ...DEFAULT_HTTP_TTS_CONFIG, ...config };
+
+    /** @type {number} */
+    this._sampleRate = this.config.sampleRate ?? DEFAULT_HTTP_TTS_CONFIG.sampleRate;
+
+    /** @type {AbortController|null} */
+    this._abort = null;
+
+    /** @type {boolean} */
+    this._synthesizing = false;
+
+    /** @type {boolean} */
+    this._cancelled = false;
+  }
+
+  /**
+   * Get the full speech endpoint URL
+   * @returns {string}
+   */
+  get endpoint() {
+    return this.config.url.replace(/\/+$/, '') + SPEECH_PATH;
+  }
+
+  /**
+   * Check if synthesis is in progress
+   * @returns {boolean}
+   */
+  get synthesizing() {
+    return this._synthesizing;
+  }
+
+  /**
+   * Get the sample rate of the server's audio
+   *
+   * Starts at the configured rate and follows the WAV header of the
+   * latest response.
+   *
+   * @returns {number}
+   */
+  get sampleRate() {
+    return this._sampleRate;
+  }
+
+  /**
+   * Synthesize text to audio (streaming)
+   *
+   * @param {string} text - Text to synthesize
+   * @param {import('./tts.mjs').TTSSynthesisOptions} [options={}] - Per-sentence options
+   * @yields {Buffer} Audio chunks (raw PCM, s16le, mono)
+   * @throws {Error} If the request fails or the server returns an error
+   */
+  async *synthesize(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      throw new Error('Text must be a non-empty string');
+    }
+
+    if (this._synthesizing) {
+      throw new Error('Synthesis already in progress');
+    }
+
+    this._synthesizing = true;
+    this._cancelled = false;
+    const abort = new AbortController();
+    this._abort = abort;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      abort.abort();
+    }, this.config.timeoutMs ?? DEFAULT_HTTP_TTS_CONFIG.timeoutMs);
+
+    this.emit('synthesis_started', { text });
+
+    try {
+      const response = await this._request(text, options, abort.signal);
+      if (!response.body) {
+        throw new Error('TTS server returned no audio');
+      }
+
+      const decoder = new WavStreamDecoder();
+      const reader = response.body.getReader();
+
+      while (!this._cancelled) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        const pcm = decoder.push(Buffer.from(value));
+        if (decoder.format) {
+          this._sampleRate = decoder.format.sampleRate;
+        }
+        if (pcm.length > 0) {
+          yield pcm;
+        }
+      }
+
+      if (!this._cancelled) {
+        this.emit('synthesis_complete', { text });
+      }
+
+    } catch (/** @type {any} */ err) {
+      if (this._cancelled) {
+        return;
+      }
+      if (timedOut) {
+        throw new Error('TTS server request timed out');
+      }
+      throw err;
+
+    } finally {
+      clearTimeout(timer);
+      this._synthesizing = false;
+      this._abort = null;
+    }
+  }
+
+  /**
+   * Post text to the speech endpoint
+   * @param {string} text - Text to synthesize
+   * @param {import('./tts.mjs').TTSSynthesisOptions} options - Per-sentence options
+   * @param {AbortSignal} signal - Cancels the request
+   * @returns {Promise<Response>} Successful response with a WAV body
+   * @private
+   */
+  async _request(text, options, signal) {
+    /** @type {Record<string, string|number>} */
+    const body = {
+      model: this.config.model ?? DEFAULT_HTTP_TTS_CONFIG.model,
+      input: text,
+      response_format: 'wav'
+    };
+    if (this.config.voice) {
+      body.voice = this.config.voice;
+    }
+    if ((options.rate ?? 1) !== 1) {
+      body.speed = options.rate ?? 1;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (/** @type {any} */ err) {
+      throw new Error(`TTS server request failed: ${err?.message ?? err}`);
+    }
+
+    if (!response.ok) {
+      const detail = await response.text();
+      throw new Error(`TTS server error (HTTP ${response.status}): ${detail}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Get the voice sent with each request ('' for the server default)
+   * @returns {string}
+   */
+  get voice() {
+    return this.config.voice ?? '';
+  }
+
+  /**
+   * Switch to another server voice from the next sentence
+   * @param {string} voice - Voice name sent with each request
+   */
+  setVoice(voice) {
+    if (!voice || typeof voice !== 'string') {
+      throw new Error('Voice must be a non-empty string');
+    }
+    this.config.voice = voice;
+  }
+
+  /**
+   * Stop synthesis immediately
+   *
+   * Used for barge-in - aborts the request in flight.
+   */
+  stop() {
+    if (!this._synthesizing || !this._abort) {
+      return;
+    }
+
+    this._cancelled = true;
+    this._abort.abort();
+    this._synthesizing = false;
+    this.emit('synthesis_cancelled');
+  }
+}
+
+/**
+ * Create an HttpTTS instance
+ * @param {HttpTTSConfig} config - Configuration with url required
+ * @returns {HttpTTS}
+ */
+export function createHttpTTS(config) {
+  return new HttpTTS(config);
+}
+
+export default HttpTTS;
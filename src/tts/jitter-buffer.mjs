@@ -75,13 +75,19 @@ export class JitterBuffer extends EventEmitter {
     /** @type {JitterBufferConfig} */
     this.config = { ...DEFAULT_JITTER_CONFIG, ...config };
 
-    // Calculate sample counts from milliseconds
-    const bufferSamples = msToSamples(this.config.bufferSizeMs, this.config.sampleRate);
-    this._lowWatermarkSamples = msToSamples(this.config.lowWatermarkMs, this.config.sampleRate);
-    this._frameSamples = msToSamples(this.config.frameDurationMs, this.config.sampleRate);
+    /** @type {number} */
+    this._lowWatermarkSamples = 0;
+
+    /** @type {number} */
+    this._frameSamples = 0;
 
     /** @type {AudioBuffer} */
-    this._buffer = new AudioBuffer(bufferSamples);
+    this._buffer = new AudioBuffer(1);
+
+    /** @type {AudioCrossfader|null} */
+    this._crossfader = null;
+
+    this._allocate();
 
     /** @type {boolean} */
     this._playbackActive = false;
@@ -97,8 +103,21 @@ export class JitterBuffer extends EventEmitter {
 
     /** @type {number} */
     this._totalRead = 0;
+  }
+
+  /**
+   * Size the ring buffer, watermark, frame and crossfader for the
+   * configured sample rate
+   * @private
+   */
+  _allocate() {
+    // Calculate sample counts from milliseconds
+    const bufferSamples = msToSamples(this.config.bufferSizeMs, this.config.sampleRate);
+    this._lowWatermarkSamples = msToSamples(this.config.lowWatermarkMs, this.config.sampleRate);
+    this._frameSamples = msToSamples(this.config.frameDurationMs, this.config.sampleRate);
+
+    this._buffer = new AudioBuffer(bufferSamples);
 
-    /** @type {AudioCrossfader|null} */
     this._crossfader = this.config.crossfadeEnabled
       ? new AudioCrossfader({
         fadeDurationMs: this.config.crossfadeMs,
@@ -195,6 +214,17 @@ export class JitterBuffer extends EventEmitter {
     return written;
   }
 
+  /**
+   * Write a stretch of silence (pauses between sentences)
+   *
+   * @param {number} durationMs - Length of the silence
+   * @returns {number} Number of samples written
+   */
+  writeSilence(durationMs) {
+    const samples = msToSamples(durationMs, this.config.sampleRate);
+    return samples > 0 ? this.write(new Int16Array(samples)) : 0;
+  }
+
   /**
    * Read a frame of audio for playback
    *
@@ -309,6 +339,26 @@ export class JitterBuffer extends EventEmitter {
     }
   }
 
+  /**
+   * Change the sample rate of the buffered audio
+   *
+   * Used when the TTS engine reports a different native rate. Buffer size,
+   * watermark and frame size stay the same in milliseconds. Any buffered
+   * audio is discarded, so only call this between utterances.
+   *
+   * @param {number} sampleRate - New sample rate
+   */
+  setSampleRate(sampleRate) {
+    if (sampleRate === this.config.sampleRate) {
+      return;
+    }
+
+    this.config.sampleRate = sampleRate;
+    this._allocate();
+    this._playbackActive = false;
+    this._endOfStream = false;
+  }
+
   /**
    * Get buffer statistics
    * @returns {JitterBufferStats}
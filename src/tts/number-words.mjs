@@ -0,0 +1,162 @@
+/**
+ * Number Words - Spell out numbers the way they are spoken
+ *
+ * Used by the text normalizer so TTS voices read "2024" in a date as
+ * "twenty twenty-four" and "$3.50" as "three dollars and fifty cents"
+ * instead of reading digits. American English, no "and" after hundred.
+ */
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+  'seventeen', 'eighteen', 'nineteen'
+];
+
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+/** @type {[number, string][]} */
+const SCALES = [
+  [1e12, 'trillion'],
+  [1e9, 'billion'],
+  [1e6, 'million'],
+  [1e3, 'thousand']
+];
+
+/** @type {Record<string, string>} */
+const IRREGULAR_ORDINALS = {
+  one: 'first',
+  two: 'second',
+  three: 'third',
+  five: 'fifth',
+  eight: 'eighth',
+  nine: 'ninth',
+  twelve: 'twelfth'
+};
+
+/**
+ * Spell out 0-99
+ * @param {number} n
+ * @returns {string}
+ */
+function under100(n) {
+  if (n < 20) {
+    return ONES[n];
+  }
+  const ones = n % 10;
+  return TENS[Math.floor(n / 10)] + (ones ? `-${ONES[ones]}` : '');
+}
+
+/**
+ * Spell out 0-999
+ * @param {number} n
+ * @returns {string}
+ */
+function under1000(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (!hundreds) {
+    return under100(rest);
+  }
+  return `${ONES[hundreds]} hundred` + (rest ? ` ${under100(rest)}` : '');
+}
+
+/**
+ * Spell out an integer
+ *
+ * Integers beyond 15 digits are read digit by digit.
+ *
+ * @param {number} n - Integer to spell out
+ * @returns {string} e.g. "one thousand two hundred thirty-four"
+ */
+export function numberToWords(n) {
+  if (!Number.isSafeInteger(n) || Math.abs(n) >= 1e15) {
+    return digitsToWords(String(n));
+  }
+  if (n < 0) {
+    return `minus ${numberToWords(-n)}`;
+  }
+  if (n === 0) {
+    return 'zero';
+  }
+
+  const words = [];
+  let rest = n;
+  for (const [value, name] of SCALES) {
+    if (rest >= value) {
+      words.push(`${under1000(Math.floor(rest / value))} ${name}`);
+      rest %= value;
+    }
+  }
+  if (rest) {
+    words.push(under1000(rest));
+  }
+  return words.join(' ');
+}
+
+/**
+ * Spell out an ordinal
+ * @param {number} n - Integer
+ * @returns {string} e.g. "twenty-first"
+ */
+export function ordinalToWords(n) {
+  const words = numberToWords(n);
+  const match = /^(.*?)([a-z]+)$/.exec(words);
+  if (!match) {
+    return words;
+  }
+
+  const [, head, last] = match;
+  if (IRREGULAR_ORDINALS[last]) {
+    return head + IRREGULAR_ORDINALS[last];
+  }
+  if (last.endsWith('y')) {
+    return `${head}${last.slice(0, -1)}ieth`;
+  }
+  return `${head}${last}th`;
+}
+
+/**
+ * Spell out a year
+ * @param {number} year - Year
+ * @returns {string} e.g. "nineteen ninety-nine", "twenty oh five", "two thousand"
+ */
+export function yearToWords(year) {
+  if (!Number.isInteger(year) || year < 1000 || year > 9999) {
+    return numberToWords(year);
+  }
+
+  const century = Math.floor(year / 100);
+  const rest = year % 100;
+
+  // 2000-2009 and 1000-1009 read as plain numbers
+  if (century % 10 === 0 && rest < 10) {
+    return numberToWords(year);
+  }
+  if (rest === 0) {
+    return `${under100(century)} hundred`;
+  }
+  if (rest < 10) {
+    return `${under100(century)} oh ${ONES[rest]}`;
+  }
+  return `${under100(century)} ${under100(rest)}`;
+}
+
+/**
+ * Read digits one by one
+ * @param {string} digits - String of digits (other characters are dropped)
+ * @returns {string} e.g. "one four"
+ */
+export function digitsToWords(digits) {
+  return [...digits].filter(d => d >= '0' && d <= '9').map(d => ONES[Number(d)]).join(' ');
+}
+
+/**
+ * Spell out a decimal number given as text
+ * @param {string} text - e.g. "3.14" or "1,250.5"
+ * @returns {string} e.g. "three point one four"
+ */
+export function decimalToWords(text) {
+  const [whole, fraction] = text.replace(/,/g, '').split('.');
+  const words = numberToWords(Number(whole || '0'));
+  return fraction ? `${words} point ${digitsToWords(fraction)}` : words;
+}
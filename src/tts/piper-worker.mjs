@@ -0,0 +1,373 @@
+/**
+ * PiperWorker - Long-lived Piper process with the voice kept loaded
+ *
+ * One-shot TTS spawns Piper per sentence and reloads the ONNX voice every
+ * time, which dominates time-to-first-audio on arm64. In worker mode Scout
+ * starts Piper once in JSON-input mode and feeds it one sentence per line:
+ *
+ *   {"text": "First sentence.", "output_file": "/tmp/scout-piper-x/sentence-1.wav"}
+ *
+ * Piper writes each sentence to its own WAV file and prints the path when
+ * done, which gives clean per-sentence boundaries. Sentences are processed
+ * in order; if Piper names files itself (output_dir), completions are
+ * matched first-in first-out.
+ *
+ * - Cancelling a sentence (barge-in) stops waiting for it immediately; the
+ *   worker finishes it in the background and the file is discarded
+ * - Restarted on the next sentence if the process exits
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { createInterface } from 'readline';
+import { mkdtempSync, rmSync } from 'fs';
+import { readFile, unlink } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { WavStreamDecoder } from '../audio/wav-stream.mjs';
+
+/**
+ * @typedef {Object} PiperWorkerConfig
+ * @property {string} modelPath - Path to Piper .onnx voice model
+ * @property {string} [piperPath='piper'] - Piper executable
+ * @property {number} [lengthScale=1] - Piper --length_scale for every sentence (speaking speed; 0.5 = twice as fast)
+ * @property {number} [sentenceTimeoutMs=30000] - Maximum time for one sentence, including the first voice load
+ */
+
+/**
+ * @typedef {Object} PiperSentence
+ * @property {Buffer} pcm - Raw PCM (s16le, mono)
+ * @property {number} sampleRate - Sample rate from the WAV header
+ */
+
+/**
+ * @typedef {Object} PiperRequest
+ * @property {Promise<PiperSentence|null>} result - Sentence audio, or null once cancelled
+ * @property {function(): void} cancel - Stop waiting for this sentence
+ */
+
+/**
+ * @typedef {Object} PendingSentence
+ * @property {string} outputFile - File requested for this sentence
+ * @property {function(PiperSentence|null): void} resolve
+ * @property {function(Error): void} reject
+ * @property {boolean} cancelled
+ * @property {NodeJS.Timeout|null} timer
+ */
+
+/**
+ * Default worker configuration
+ */
+export const DEFAULT_PIPER_WORKER_CONFIG = Object.freeze({
+  piperPath: 'piper',
+  lengthScale: 1,
+  sentenceTimeoutMs: 30000
+});
+
+/**
+ * Extract the voice load time from Piper's log output
+ *
+ * Piper logs e.g. "[piper] [info] Loaded voice in 0.318 second(s)".
+ *
+ * @param {string} stderr - Piper stderr output
+ * @returns {number|null} Load time in ms, or null if not found
+ */
+export function parseVoiceLoadTime(stderr) {
+  const match = stderr.match(/Loaded voice in ([\d.]+) second/);
+  return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * PiperWorker - Manages a resident Piper process
+ *
+ * Events:
+ * - 'warning' (string) - Piper log output
+ * - 'voice_loaded' ({loadTimeMs}) - Piper reported loading the voice
+ * - 'exit' ({code}) - The process exited; restarted on the next sentence
+ */
+export class PiperWorker extends EventEmitter {
+  /**
+   * Create a PiperWorker instance
+   * @param {PiperWorkerConfig} config - Worker configuration
+   */
+  constructor(config) {
+    super();
+
+    if (!config.modelPath) {
+      throw new Error('modelPath is required');
+    }
+
+    /** @type {Required<PiperWorkerConfig>} */
+    this.config = { ...DEFAULT_PIPER_WORKER_CONFIG, ...config };
+
+    /** @type {import('child_process').ChildProcess|null} */
+    this._proc = null;
+
+    /** @type {string|null} - Directory for sentence WAV files */
+    this._dir = null;
+
+    /** @type {PendingSentence[]} - Sentences sent to Piper, oldest first */
+    this._pending = [];
+
+    /** @type {number} */
+    this._sequence = 0;
+
+    /** @type {number} */
+    this._startCount = 0;
+
+    /** @type {number} */
+    this._completedCount = 0;
+
+    /** @type {number} - Voice load time reported by Piper (0 if unknown) */
+    this._lastLoadTimeMs = 0;
+
+    /** @type {string} - Recent stderr output, for error messages */
+    this._stderrTail = '';
+  }
+
+  /**
+   * Check if the worker process is running
+   * @returns {boolean}
+   */
+  get isRunning() {
+    return this._proc !== null;
+  }
+
+  /**
+   * Get how many times the worker was started
+   * @returns {number}
+   */
+  get startCount() {
+    return this._startCount;
+  }
+
+  /**
+   * Get how many sentences the worker has finished
+   * @returns {number}
+   */
+  get completedCount() {
+    return this._completedCount;
+  }
+
+  /**
+   * Get the voice load time Piper last reported (0 if unknown)
+   * @returns {number}
+   */
+  get lastLoadTimeMs() {
+    return this._lastLoadTimeMs;
+  }
+
+  /**
+   * Start the worker so the voice loads before the first sentence
+   *
+   * Safe to call repeatedly. Piper has no ready signal in JSON-input mode;
+   * sentences sent during the load simply wait for it.
+   */
+  start() {
+    if (this._proc) {
+      return;
+    }
+
+    this._dir ??= mkdtempSync(join(tmpdir(), 'scout-piper-'));
+    this._stderrTail = '';
+
+    const args = [
+      '--model', this.config.modelPath,
+      '--json-input',
+      '--output_dir', this._dir
+    ];
+    if (this.config.lengthScale !== 1) {
+      args.push('--length_scale', String(this.config.lengthScale));
+    }
+
+    const proc = spawn(this.config.piperPath, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      // piper-tts (Python) buffers stdout when it is a pipe
+      env: { ...process.env, PYTHONUNBUFFERED: '1' }
+    });
+    this._proc = proc;
+    this._startCount++;
+
+    // Writes after an unexpected exit surface through 'exit' instead
+    proc.stdin?.on('error', () => {});
+
+    if (proc.stdout) {
+      createInterface({ input: proc.stdout }).on('line', (line) => this._onOutputLine(line));
+    }
+
+    proc.stderr?.on('data', (/** @type {Buffer} */ chunk) => {
+      const text = chunk.toString('utf-8');
+      this._stderrTail = (this._stderrTail + text).slice(-2000);
+
+      const loadTimeMs = parseVoiceLoadTime(text);
+      if (loadTimeMs !== null) {
+        this._lastLoadTimeMs = loadTimeMs;
+        this.emit('voice_loaded', { loadTimeMs });
+      }
+
+      const message = text.trim();
+      if (message) {
+        this.emit('warning', message);
+      }
+    });
+
+    proc.on('error', (err) => {
+      this._onExit(proc, new Error(`Failed to start Piper worker: ${err.message}`));
+    });
+
+    proc.on('exit', (code) => {
+      this._onExit(proc, new Error(`Piper worker exited (code ${code}): ${this._stderrTail.trim()}`), code);
+    });
+  }
+
+  /**
+   * Queue a sentence for synthesis
+   *
+   * @param {string} text - Sentence to synthesize
+   * @returns {PiperRequest}
+   */
+  synthesize(text) {
+    this.start();
+
+    const outputFile = join(/** @type {string} */ (this._dir), `sentence-${++this._sequence}.wav`);
+
+    /** @type {PendingSentence} */
+    let entry = /** @type {any} */ (null);
+    /** @type {Promise<PiperSentence|null>} */
+    const result = new Promise((resolve, reject) => {
+      entry = { outputFile, resolve, reject, cancelled: false, timer: null };
+    });
+
+    entry.timer = setTimeout(() => this._onTimeout(entry), this.config.sentenceTimeoutMs);
+    this._pending.push(entry);
+    this._proc?.stdin?.write(JSON.stringify({ text, output_file: outputFile }) + '\n');
+
+    return {
+      result,
+      cancel: () => {
+        if (!entry.cancelled) {
+          entry.cancelled = true;
+          entry.resolve(null);
+        }
+      }
+    };
+  }
+
+  /**
+   * Stop the worker process and remove its sentence files
+   */
+  stop() {
+    const proc = this._proc;
+    if (proc) {
+      this._onExit(proc, new Error('Piper worker stopped'));
+      proc.kill('SIGTERM');
+    }
+
+    if (this._dir) {
+      rmSync(this._dir, { recursive: true, force: true });
+      this._dir = null;
+    }
+  }
+
+  /**
+   * Handle a line of Piper stdout (the path of a finished sentence)
+   * @param {string} line - Output line
+   * @private
+   */
+  _onOutputLine(line) {
+    const path = line.trim();
+    if (!path.endsWith('.wav')) {
+      return;
+    }
+
+    if (this._pending.length === 0) {
+      unlink(path).catch(() => {});
+      return;
+    }
+
+    const index = this._pending.findIndex(p => p.outputFile === path);
+    const [entry] = this._pending.splice(Math.max(index, 0), 1);
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+    this._completedCount++;
+
+    if (entry.cancelled) {
+      unlink(path).catch(() => {});
+      return;
+    }
+
+    this._readSentence(path).then(entry.resolve, entry.reject);
+  }
+
+  /**
+   * Read and remove a finished sentence file
+   * @param {string} path - WAV file written by Piper
+   * @returns {Promise<PiperSentence>}
+   * @private
+   */
+  async _readSentence(path) {
+    try {
+      const decoder = new WavStreamDecoder();
+      const pcm = decoder.push(await readFile(path));
+      return { pcm, sampleRate: decoder.format?.sampleRate ?? 0 };
+    } finally {
+      unlink(path).catch(() => {});
+    }
+  }
+
+  /**
+   * Fail a sentence that took too long and restart the worker
+   *
+   * Piper works through sentences in order, so a stuck sentence would hold
+   * up every later one.
+   *
+   * @param {PendingSentence} entry - Sentence that timed out
+   * @private
+   */
+  _onTimeout(entry) {
+    entry.timer = null;
+    entry.reject(new Error('TIMEOUT: Piper worker did not finish the sentence in time'));
+    if (this._proc) {
+      const proc = this._proc;
+      this._onExit(proc, new Error('Piper worker restarted after a timeout'));
+      proc.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Forget the process and fail the sentences it still owed
+   * @param {import('child_process').ChildProcess} proc - Process that ended
+   * @param {Error} error - Reason passed to waiting sentences
+   * @param {number|null} [code] - Exit code, if the process exited
+   * @private
+   */
+  _onExit(proc, error, code = null) {
+    if (this._proc !== proc) {
+      return;
+    }
+
+    this._proc = null;
+    const pending = this._pending;
+    this._pending = [];
+    for (const entry of pending) {
+      if (entry.timer) {
+        clearTimeout(entry.timer);
+      }
+      entry.reject(error);
+    }
+
+    this.emit('exit', { code });
+  }
+}
+
+/**
+ * Create a PiperWorker instance
+ * @param {PiperWorkerConfig} config - Worker configuration
+ * @returns {PiperWorker}
+ */
+export function createPiperWorker(config) {
+  return new PiperWorker(config);
+}
+
+export default PiperWorker;
@@ -2,29 +2,220 @@
  * Sentence Chunker - Split text into sentences for streaming TTS
  *
  * Per T024 and specs/algorithm_and_data_structures.md:
- * - Split text into sentences using punctuation (. ! ?)
+ * - Split text into sentences using punctuation (. ! ? …)
  * - Enable streaming playback: synthesize and play incrementally
  * - First audio plays after first sentence synthesized (not waiting for full response)
+ * - Incremental mode releases sentences from streamed agent text as soon as they complete
+ *
+ * A delimiter only ends a sentence when whitespace follows it, so "3.50"
+ * stays whole. It does not end one after a title or initial ("Dr. Smith",
+ * "J. Smith"), a list number at the start of a line ("1. First"), or when
+ * an ellipsis, quoted question or ambiguous abbreviation ("etc.", "p.m.")
+ * is followed by a lowercase word, or inside an open quotation ("He said
+ * "Stop. Now." and left."). Line breaks always end a chunk, so list items
+ * are spoken one by one, even when shorter than minChunkChars. Run-on
+ * sentences longer than maxChunkChars are split at the last comma,
+ * semicolon, colon or dash that fits, and short sentences are only merged
+ * while the result fits in maxChunkChars.
  *
  * Configuration:
- * - sentence_delimiters: regex for splitting (default: /[.!?]+/)
+ * - sentence_delimiters: regex for splitting (default: /[.!?…]+/)
  * - min_chunk_chars: minimum chars before synthesis (default: 20)
+ * - max_chunk_chars: maximum chars per chunk (default: 200)
  */
 
 /**
  * @typedef {Object} SentenceChunkerConfig
- * @property {RegExp} [delimiters=/[.!?]+/] - Regex for sentence delimiters
+ * @property {RegExp} [delimiters=/[.!?…]+/] - Regex for sentence delimiters
  * @property {number} [minChunkChars=20] - Minimum characters per chunk
+ * @property {number} [maxChunkChars=200] - Maximum characters per chunk (run-on sentences are split at clause breaks)
  */
 
 /**
  * Default configuration
  */
 export const DEFAULT_CHUNKER_CONFIG = Object.freeze({
-  delimiters: /[.!?]+/,
-  minChunkChars: 20
+  delimiters: /[.!?…]+/,
+  minChunkChars: 20,
+  maxChunkChars: 200
 });
 
+/** Closing quotes and brackets that belong to the sentence they end */
+const CLOSERS = '["\'\u201D\u2019)\\]]*';
+
+/** Abbreviations that never end a sentence */
+const NEVER_FINAL = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'st', 'mt', 'vs', 'e.g', 'i.e', 'cf', 'approx'
+]);
+
+/** Abbreviations that end a sentence unless a lowercase word or number follows */
+const MAYBE_FINAL = new Set([
+  'etc', 'inc', 'ltd', 'co', 'jr', 'no', 'fig', 'vol'
+]);
+
+/** Clause break for splitting run-on sentences: after , ; : or around a dash */
+const CLAUSE_BREAK = new RegExp(`[,;:]${CLOSERS}(?=\\s)|\\s[\u2014\u2013-](?=\\s)`, 'g');
+
+/**
+ * Decide whether the delimiter ending at `end` needs the next word to tell
+ * if the sentence is over, and whether it can end one at all
+ *
+ * @param {string} text - Text being split
+ * @param {number} index - Start of the delimiter match
+ * @param {string} match - Delimiter plus closing quotes
+ * @returns {'never'|'maybe'|'always'}
+ */
+function classifyDelimiter(text, index, match) {
+  const run = match.replace(new RegExp(`${CLOSERS}$`), '');
+
+  if (/^(?:\.{2,}|…)$/.test(run) || run !== match) {
+    return 'maybe';
+  }
+  if (run !== '.') {
+    return 'always';
+  }
+
+  const before = text.slice(0, index);
+  const word = (/\S*$/.exec(before)?.[0] ?? '').replace(/^[(["'\u201C\u2018]+/, '');
+  const lower = word.toLowerCase();
+
+  if (NEVER_FINAL.has(lower) || /^[A-HJ-Z]$/.test(word)) {
+    return 'never';
+  }
+  // "1. First step" at the start of a line is a list marker
+  if (/^\d{1,3}$/.test(word) && /(?:^|\n)[ \t]*$/.test(before.slice(0, before.length - word.length))) {
+    return 'never';
+  }
+  if (MAYBE_FINAL.has(lower) || /^(?:[a-z]\.)+[a-z]$/i.test(word)) {
+    return 'maybe';
+  }
+  return 'always';
+}
+
+/**
+ * Check whether a quotation is open at `index`
+ *
+ * Straight double quotes alternate between opening and closing; curly
+ * quotes say which they are. A line break closes any open quotation.
+ *
+ * @param {string} text - Text being split
+ * @param {number} index - Position to check
+ * @returns {boolean}
+ */
+function isInsideQuotes(text, index) {
+  const line = text.slice(text.lastIndexOf('\n', index - 1) + 1, index);
+  let straight = false;
+  let curly = 0;
+  for (const c of line) {
+    if (c === '"') {
+      straight = !straight;
+    } else if (c === '\u201C') {
+      curly++;
+    } else if (c === '\u201D') {
+      curly = Math.max(0, curly - 1);
+    }
+  }
+  return straight || curly > 0;
+}
+
+/**
+ * Find where sentences end
+ *
+ * A delimiter at the end of incomplete text that cannot be judged without
+ * the next word is not counted yet.
+ *
+ * @param {string} text - Text to scan
+ * @param {RegExp} delimiters - Sentence delimiter pattern
+ * @param {boolean} final - Whether the text is complete
+ * @returns {number[]} Indexes just past each sentence end
+ */
+function findSentenceEnds(text, delimiters, final) {
+  const pattern = new RegExp(`(?:${delimiters.source})${CLOSERS}(?=\\s${final ? '|$' : ''})|\\n`, 'g');
+  /** @type {number[]} */
+  const ends = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    if (match[0] === '\n') {
+      ends.push(end);
+      continue;
+    }
+
+    // A delimiter inside a quotation only counts with the closing quote
+    if (isInsideQuotes(text, match.index) && !/["\u201D]/.test(match[0])) {
+      continue;
+    }
+
+    const kind = classifyDelimiter(text, match.index, match[0]);
+    if (kind === 'never') {
+      continue;
+    }
+    if (kind === 'maybe') {
+      const next = /\S/.exec(text.slice(end));
+      if (!next && !final) {
+        continue;
+      }
+      if (next && /[\p{Ll}\d]/u.test(next[0])) {
+        continue;
+      }
+    }
+    ends.push(end);
+  }
+
+  return ends;
+}
+
+/**
+ * Find where to cut a run-on chunk that is longer than maxChunkChars
+ *
+ * Prefers the last clause break that fits, then the last space. Only the
+ * first maxChunkChars + 1 characters are looked at, so streamed text is
+ * cut at the same place as complete text.
+ *
+ * @param {string} text - Chunk text (no leading whitespace), longer than maxChunkChars
+ * @param {number} maxChunkChars - Maximum characters per chunk
+ * @param {number} minChunkChars - Minimum characters per chunk
+ * @returns {number} Index to cut at
+ */
+function findClauseCut(text, maxChunkChars, minChunkChars) {
+  const window = text.slice(0, maxChunkChars + 1);
+  const shortest = Math.max(minChunkChars, Math.floor(maxChunkChars / 3), 1);
+
+  let cut = -1;
+  for (const match of window.matchAll(CLAUSE_BREAK)) {
+    const end = (match.index ?? 0) + match[0].length;
+    if (end <= maxChunkChars && end >= shortest) {
+      cut = end;
+    }
+  }
+  if (cut === -1) {
+    cut = window.lastIndexOf(' ');
+  }
+  return cut > 0 ? cut : maxChunkChars;
+}
+
+/**
+ * Split a chunk into pieces of at most maxChunkChars
+ * @param {string} text - Trimmed chunk
+ * @param {number} maxChunkChars - Maximum characters per chunk
+ * @param {number} minChunkChars - Minimum characters per chunk
+ * @returns {string[]}
+ */
+function splitLongChunk(text, maxChunkChars, minChunkChars) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChunkChars) {
+    const cut = findClauseCut(rest, maxChunkChars, minChunkChars);
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
 /**
  * Split text into sentences
  *
@@ -33,7 +224,11 @@ export const DEFAULT_CHUNKER_CONFIG = Object.freeze({
  * @returns {string[]} Array of sentences
  */
 export function splitIntoSentences(text, config = {}) {
-  const { delimiters = DEFAULT_CHUNKER_CONFIG.delimiters, minChunkChars = DEFAULT_CHUNKER_CONFIG.minChunkChars } = config;
+  const {
+    delimiters = DEFAULT_CHUNKER_CONFIG.delimiters,
+    minChunkChars = DEFAULT_CHUNKER_CONFIG.minChunkChars,
+    maxChunkChars = DEFAULT_CHUNKER_CONFIG.maxChunkChars
+  } = config;
 
   if (!text || typeof text !== 'string') {
     return [];
@@ -44,59 +239,50 @@ export function splitIntoSentences(text, config = {}) {
     return [];
   }
 
-  // Split by sentence-ending punctuation, keeping the punctuation
-  const parts = trimmed.split(new RegExp(`(${delimiters.source})`, 'g'));
+  /** @type {{text: string, lineEnd: boolean}[]} */
+  const pieces = [];
+  let start = 0;
+  for (const end of [...findSentenceEnds(trimmed, delimiters, true), trimmed.length]) {
+    const sentence = trimmed.slice(start, end).trim();
+    start = end;
+    if (sentence) {
+      pieces.push(...splitLongChunk(sentence, maxChunkChars, minChunkChars).map(piece => ({ text: piece, lineEnd: false })));
+    }
+    if (trimmed[end - 1] === '\n' && pieces.length > 0) {
+      pieces[pieces.length - 1].lineEnd = true;
+    }
+  }
 
+  // Merge short sentences into the ones that follow them, within a line
+  // and up to maxChunkChars
   const sentences = [];
   let current = '';
-
-  for (let i = 0; i < parts.length; i++) {
-    const part = parts[i];
-
-    if (!part) continue;
-
-    // If this part is punctuation, append to current sentence
-    if (delimiters.test(part)) {
-      current += part;
-      // If we have enough characters, save as a sentence
-      if (current.trim().length >= minChunkChars) {
-        sentences.push(current.trim());
-        current = '';
-      }
-    } else {
-      // If current already has content and this is new text, save current first
-      if (current.trim() && current.trim().length >= minChunkChars) {
-        sentences.push(current.trim());
-        current = '';
-      }
-      current += part;
+  let lastLineEnd = false;
+  for (const piece of pieces) {
+    if (current && current.length + 1 + piece.text.length > maxChunkChars) {
+      sentences.push(current);
+      current = '';
+      lastLineEnd = false;
     }
-  }
-
-  // Handle remaining text
-  if (current.trim()) {
-    // If there's a previous sentence that's short, merge with it
-    if (sentences.length > 0 && sentences[sentences.length - 1].length < minChunkChars) {
-      sentences[sentences.length - 1] += ' ' + current.trim();
-    } else if (current.trim().length < minChunkChars && sentences.length > 0) {
-      // If remaining text is short, merge with last sentence
-      sentences[sentences.length - 1] += ' ' + current.trim();
-    } else {
-      sentences.push(current.trim());
+    current = current ? `${current} ${piece.text}` : piece.text;
+    if (current.length >= minChunkChars || piece.lineEnd) {
+      sentences.push(current);
+      current = '';
+      lastLineEnd = piece.lineEnd;
     }
   }
 
-  // Final pass: merge very short sentences
-  const merged = [];
-  for (const sentence of sentences) {
-    if (merged.length > 0 && sentence.length < minChunkChars) {
-      merged[merged.length - 1] += ' ' + sentence;
+  // A short tail joins the last sentence if it is on the same line and fits
+  if (current) {
+    const last = sentences.length - 1;
+    if (last >= 0 && !lastLineEnd && sentences[last].length + 1 + current.length <= maxChunkChars) {
+      sentences[last] += ' ' + current;
     } else {
-      merged.push(sentence);
+      sentences.push(current);
     }
   }
 
-  return merged.filter(s => s.trim().length > 0);
+  return sentences;
 }
 
 /**
@@ -115,11 +301,93 @@ export function* chunkSentences(text, config = {}) {
   }
 }
 
+/**
+ * IncrementalChunker - Sentence chunking for text that arrives in pieces
+ *
+ * Agent responses may stream in as small text deltas. A sentence is only
+ * released once its delimiter is followed by whitespace, so "3." in "3.50"
+ * or a delimiter at the very end of a delta is held back until more text
+ * (or flush()) proves the sentence is complete. After an ellipsis or an
+ * abbreviation like "etc." it also waits for the next word. A run-on
+ * sentence is released in clause-sized pieces once it passes maxChunkChars.
+ */
+export class IncrementalChunker {
+  /**
+   * @param {Partial<SentenceChunkerConfig>} [config={}] - Configuration
+   */
+  constructor(config = {}) {
+    /** @type {Required<SentenceChunkerConfig>} */
+    this.config = { ...DEFAULT_CHUNKER_CONFIG, ...config };
+
+    /** @type {string} */
+    this._pending = '';
+  }
+
+  /**
+   * Get text received but not yet released as a sentence
+   * @returns {string}
+   */
+  get pending() {
+    return this._pending;
+  }
+
+  /**
+   * Add streamed text and return any sentences that are now complete
+   *
+   * @param {string} text - Text delta
+   * @returns {string[]} Completed sentences (may be empty)
+   */
+  push(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    this._pending += text;
+
+    const { delimiters, minChunkChars, maxChunkChars } = this.config;
+    const ends = findSentenceEnds(this._pending, delimiters, false);
+    let end = ends.length > 0 ? ends[ends.length - 1] : 0;
+
+    // Cut a run-on sentence once it is too long to wait for
+    let tail = this._pending.slice(end);
+    while (tail.trim().length > maxChunkChars) {
+      const lead = tail.length - tail.trimStart().length;
+      end += lead + findClauseCut(tail.slice(lead), maxChunkChars, minChunkChars);
+      tail = this._pending.slice(end);
+    }
+
+    const complete = this._pending.slice(0, end);
+    if (!complete.trim() || complete.trim().length < minChunkChars) {
+      return [];
+    }
+
+    this._pending = this._pending.slice(end);
+    return splitIntoSentences(complete, this.config);
+  }
+
+  /**
+   * Release everything still pending (end of stream)
+   * @returns {string[]} Remaining sentences
+   */
+  flush() {
+    const remaining = this._pending;
+    this._pending = '';
+    return splitIntoSentences(remaining, this.config);
+  }
+
+  /**
+   * Discard pending text (e.g. on barge-in)
+   */
+  reset() {
+    this._pending = '';
+  }
+}
+
 /**
  * Check if text appears to be complete (ends with punctuation)
  *
  * @param {string} text - Text to check
- * @param {RegExp} [delimiters=/[.!?]+/] - Delimiter pattern
+ * @param {RegExp} [delimiters=/[.!?…]+/] - Delimiter pattern
  * @returns {boolean}
  */
 export function endsWithPunctuation(text, delimiters = DEFAULT_CHUNKER_CONFIG.delimiters) {
@@ -133,7 +401,7 @@ export function endsWithPunctuation(text, delimiters = DEFAULT_CHUNKER_CONFIG.de
  * Estimate the number of sentences in text
  *
  * @param {string} text - Text to analyze
- * @param {RegExp} [delimiters=/[.!?]+/] - Delimiter pattern
+ * @param {RegExp} [delimiters=/[.!?…]+/] - Delimiter pattern
  * @returns {number}
  */
 export function estimateSentenceCount(text, delimiters = DEFAULT_CHUNKER_CONFIG.delimiters) {
@@ -0,0 +1,405 @@
+/**
+ * SSML-lite - Small speech markup subset agents can use in replies
+ *
+ * Agents can shape how Scout speaks with a handful of SSML tags:
+ *
+ *   Let me think. <break time="500ms"/> Okay.
+ *   <emphasis>Do not</emphasis> unplug it.
+ *   <prosody rate="slow">Read this slowly.</prosody>
+ *   Your code is <say-as interpret-as="characters">XJ9</say-as>.
+ *
+ * - <break time="500ms"/> or <break strength="strong"/>: pause (silence in
+ *   the jitter buffer)
+ * - <prosody rate="slow|fast|80%|1.2">: speaking rate (Piper length_scale)
+ * - <emphasis level="strong|moderate|reduced">: slower (or faster) speech
+ * - <say-as interpret-as="digits|characters|spell-out|cardinal|ordinal">
+ * - <p> and <s> end a sentence; <speak> is ignored
+ *
+ * Other angle-bracket text, such as "Use <code> tags", is not markup and is
+ * spoken as written.
+ * The parser works on streamed text: a tag or entity split across deltas
+ * is held back until it is complete.
+ */
+
+import { numberToWords, ordinalToWords, digitsToWords } from './number-words.mjs';
+
+/**
+ * @typedef {Object} TextSegment
+ * @property {'text'} type
+ * @property {string} text - Text to speak
+ * @property {number} rate - Speaking rate multiplier (1 = normal)
+ */
+
+/**
+ * @typedef {Object} BreakSegment
+ * @property {'break'} type
+ * @property {number} ms - Pause length
+ */
+
+/**
+ * @typedef {TextSegment|BreakSegment} SpeechSegment
+ */
+
+/**
+ * @typedef {Object} OpenElement
+ * @property {string} name - Tag name
+ * @property {number} rate - Speaking rate inside the element
+ * @property {string|null} sayAs - interpret-as value inside the element
+ */
+
+/** Slowest and fastest speaking rate markup can ask for */
+export const MIN_RATE = 0.5;
+export const MAX_RATE = 2;
+
+/** Longest pause markup can ask for */
+export const MAX_BREAK_MS = 5000;
+
+/** @type {Record<string, number>} */
+const RATE_WORDS = {
+  'x-slow': 0.6,
+  slow: 0.8,
+  medium: 1,
+  default: 1,
+  fast: 1.25,
+  'x-fast': 1.5
+};
+
+/** @type {Record<string, number>} */
+const EMPHASIS_RATES = {
+  strong: 0.8,
+  moderate: 0.9,
+  none: 1,
+  reduced: 1.1
+};
+
+/** @type {Record<string, number>} */
+const BREAK_STRENGTHS = {
+  none: 0,
+  'x-weak': 100,
+  weak: 200,
+  medium: 400,
+  strong: 700,
+  'x-strong': 1000
+};
+
+/** @type {Record<string, string>} */
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+/** Opening, closing or self-closing SSML-lite tag */
+const TAG_PATTERN = /<(\/?)(speak|p|s|break|prosody|emphasis|say-as)((?:\s[^<>]*)?\/?)>/gi;
+
+/** Start of a tag that the next delta may complete */
+const PARTIAL_TAG_PATTERN = /<\/?(?:[a-zA-Z][\w:.-]*(?:\s[^<>]*)?\/?)?$/;
+
+/** Longest partial tag held back before it is treated as text */
+const MAX_PARTIAL_TAG = 200;
+
+/**
+ * Read a tag's attributes
+ * @param {string} source - Text after the tag name
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(source) {
+  /** @type {Record<string, string>} */
+  const attributes = {};
+  for (const match of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'/>]+))/g)) {
+    attributes[match[1].toLowerCase()] = (match[2] ?? match[3] ?? match[4]).trim();
+  }
+  return attributes;
+}
+
+/**
+ * Parse a prosody rate
+ * @param {string|undefined} value - e.g. "slow", "80%", "+20%", "1.2"
+ * @returns {number} Rate multiplier (1 if unreadable)
+ */
+function parseRate(value) {
+  if (!value) {
+    return 1;
+  }
+  const word = RATE_WORDS[value.toLowerCase()];
+  if (word !== undefined) {
+    return word;
+  }
+
+  const relative = /^([+-]\d+(?:\.\d+)?)%$/.exec(value);
+  if (relative) {
+    return 1 + Number(relative[1]) / 100;
+  }
+  const percent = /^(\d+(?:\.\d+)?)%$/.exec(value);
+  if (percent) {
+    return Number(percent[1]) / 100;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 1;
+}
+
+/**
+ * Parse a break's length
+ * @param {Record<string, string>} attributes - Break attributes
+ * @returns {number} Pause in ms
+ */
+function parseBreak(attributes) {
+  const time = /^(\d+(?:\.\d+)?)\s*(ms|s)$/i.exec(attributes.time ?? '');
+  const ms = time
+    ? Number(time[1]) * (time[2].toLowerCase() === 's' ? 1000 : 1)
+    : BREAK_STRENGTHS[(attributes.strength ?? 'medium').toLowerCase()] ?? BREAK_STRENGTHS.medium;
+  return Math.min(Math.round(ms), MAX_BREAK_MS);
+}
+
+/**
+ * Keep a rate within what Piper can do
+ * @param {number} rate
+ * @returns {number}
+ */
+function clampRate(rate) {
+  return Math.min(MAX_RATE, Math.max(MIN_RATE, Math.round(rate * 100) / 100));
+}
+
+/**
+ * Speak say-as content the way interpret-as asks
+ * @param {string} text - Element content
+ * @param {string} interpretAs - interpret-as value
+ * @returns {string}
+ */
+function sayAs(text, interpretAs) {
+  const content = text.trim();
+  const number = content.replace(/,/g, '').replace(/(?:st|nd|rd|th)$/i, '');
+  switch (interpretAs) {
+  case 'characters':
+  case 'spell-out':
+  case 'verbatim':
+    return [...content]
+      .filter(c => /[\p{L}\d]/u.test(c))
+      .map(c => (/\d/.test(c) ? digitsToWords(c) : c.toUpperCase()))
+      .join(' ');
+  case 'digits':
+  case 'telephone':
+    return digitsToWords(content);
+  case 'cardinal':
+  case 'number':
+    return /^-?\d+$/.test(number) ? numberToWords(Number(number)) : text;
+  case 'ordinal':
+    return /^\d+$/.test(number) ? ordinalToWords(Number(number)) : text;
+  default:
+    return text;
+  }
+}
+
+/**
+ * Decode the XML entities agents use inside markup
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:amp|lt|gt|quot|apos);/g, (entity) => ENTITIES[entity]);
+}
+
+/**
+ * SsmlParser - Turns marked-up text into text and pause segments
+ *
+ * Use parse() for complete text, or push()/flush() for streamed deltas.
+ */
+export class SsmlParser {
+  constructor() {
+    /** @type {string} - Text held back until a tag or say-as element is complete */
+    this._pending = '';
+
+    /** @type {OpenElement[]} */
+    this._open = [];
+  }
+
+  /**
+   * Get text received but not parsed yet
+   * @returns {string}
+   */
+  get pending() {
+    return this._pending;
+  }
+
+  /**
+   * Get the speaking rate at the current position
+   * @returns {number}
+   */
+  get rate() {
+    return this._open.length > 0 ? this._open[this._open.length - 1].rate : 1;
+  }
+
+  /**
+   * Parse complete text
+   * @param {string} text - Text with SSML-lite markup
+   * @returns {SpeechSegment[]}
+   */
+  parse(text) {
+    this.reset();
+    return [...this.push(text), ...this.flush()];
+  }
+
+  /**
+   * Add streamed text and return the segments that are complete
+   * @param {string} text - Text delta
+   * @returns {SpeechSegment[]}
+   */
+  push(text) {
+    this._pending += text;
+
+    let end = this._pending.length;
+    const partial = PARTIAL_TAG_PATTERN.exec(this._pending);
+    if (partial && partial[0].length <= MAX_PARTIAL_TAG) {
+      end = partial.index;
+    }
+
+    const entity = /&[a-z]{0,4}$/.exec(this._pending.slice(0, end));
+    if (entity) {
+      end = entity.index;
+    }
+
+    // say-as content is converted as a whole
+    const sayAsStart = this._pending.lastIndexOf('<say-as');
+    if (sayAsStart !== -1 && sayAsStart < end && !this._pending.includes('</say-as>', sayAsStart)) {
+      end = sayAsStart;
+    }
+
+    const ready = this._pending.slice(0, end);
+    this._pending = this._pending.slice(end);
+    return this._parseChunk(ready);
+  }
+
+  /**
+   * Parse everything still pending (end of stream)
+   * @returns {SpeechSegment[]}
+   */
+  flush() {
+    const remaining = this._pending;
+    this._pending = '';
+    return this._parseChunk(remaining);
+  }
+
+  /**
+   * Discard pending text and open elements
+   */
+  reset() {
+    this._pending = '';
+    this._open = [];
+  }
+
+  /**
+   * Parse text whose tags are all complete
+   * @param {string} text
+   * @returns {SpeechSegment[]}
+   * @private
+   */
+  _parseChunk(text) {
+    /** @type {SpeechSegment[]} */
+    const segments = [];
+    let last = 0;
+
+    for (const match of text.matchAll(TAG_PATTERN)) {
+      this._addText(segments, text.slice(last, match.index));
+      last = (match.index ?? 0) + match[0].length;
+
+      const closing = match[1] === '/';
+      const name = match[2].toLowerCase();
+      const rest = match[3];
+
+      if (name === 'p' || name === 's') {
+        this._addText(segments, '\n');
+      } else if (closing) {
+        this._close(name);
+      } else if (name === 'break') {
+        segments.push({ type: 'break', ms: parseBreak(parseAttributes(rest)) });
+      } else if (!rest.endsWith('/')) {
+        this._openElement(name, parseAttributes(rest));
+      }
+    }
+
+    this._addText(segments, text.slice(last));
+    return segments;
+  }
+
+  /**
+   * Track an opening tag that changes how its content is spoken
+   * @param {string} name - Tag name
+   * @param {Record<string, string>} attributes - Tag attributes
+   * @private
+   */
+  _openElement(name, attributes) {
+    const parent = this._open[this._open.length - 1];
+    let rate = this.rate;
+    let interpretAs = parent?.sayAs ?? null;
+
+    if (name === 'prosody') {
+      rate = clampRate(rate * parseRate(attributes.rate));
+    } else if (name === 'emphasis') {
+      rate = clampRate(rate * (EMPHASIS_RATES[(attributes.level ?? 'moderate').toLowerCase()] ?? 1));
+    } else if (name === 'say-as') {
+      interpretAs = (attributes['interpret-as'] ?? '').toLowerCase();
+    } else {
+      return;
+    }
+
+    this._open.push({ name, rate, sayAs: interpretAs });
+  }
+
+  /**
+   * Close the innermost open element with this name
+   * @param {string} name - Tag name
+   * @private
+   */
+  _close(name) {
+    for (let i = this._open.length - 1; i >= 0; i--) {
+      if (this._open[i].name === name) {
+        this._open.length = i;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Append text at the current rate, merging with the previous segment
+   * @param {SpeechSegment[]} segments - Segments being built
+   * @param {string} text - Raw text between tags
+   * @private
+   */
+  _addText(segments, text) {
+    if (!text) {
+      return;
+    }
+
+    const interpretAs = this._open[this._open.length - 1]?.sayAs;
+    const spoken = interpretAs ? sayAs(decodeEntities(text), interpretAs) : decodeEntities(text);
+    const rate = this.rate;
+    const previous = segments[segments.length - 1];
+
+    if (previous?.type === 'text' && previous.rate === rate) {
+      previous.text += spoken;
+    } else {
+      segments.push({ type: 'text', text: spoken, rate });
+    }
+  }
+}
+
+/**
+ * Parse text with SSML-lite markup
+ * @param {string} text - Text with markup
+ * @returns {SpeechSegment[]}
+ */
+export function parseSsml(text) {
+  return new SsmlParser().parse(text);
+}
+
+/**
+ * Create an SsmlParser instance
+ * @returns {SsmlParser}
+ */
+export function createSsmlParser() {
+  return new SsmlParser();
+}
+
+export default SsmlParser;
@@ -6,18 +6,26 @@
  * - First audio plays after first sentence buffer fills
  * - Pipeline: Sentence 1 synthesize -> play, while Sentence 2 synthesizes
  * - Supports interruption (barge-in) - cancel remaining synthesis
+ * - speakStream() accepts incremental text and synthesizes each sentence
+ *   as soon as it is complete
  *
  * This module integrates:
- * - TTS (Piper wrapper)
+ * - TTS engine (Piper, espeak-ng or HTTP; see tts-engines.mjs)
+ * - SSML-lite markup (pauses, rate, emphasis, say-as; see ssml-lite.mjs)
+ * - Text normalizer (markdown, URLs, numbers; runs before chunking)
  * - Sentence chunker
+ * - Audio cache (sentences said before skip synthesis; see tts-cache.mjs)
  * - Jitter buffer
  * - Audio playback
  */
 
 import { EventEmitter } from 'events';
-import { TTS } from './tts.mjs';
-import { splitIntoSentences } from './sentence-chunker.mjs';
+import { createTtsEngine, DEFAULT_TTS_BACKEND } from './tts-engines.mjs';
+import { splitIntoSentences, IncrementalChunker } from './sentence-chunker.mjs';
+import { TextNormalizer } from './text-normalizer.mjs';
+import { SsmlParser } from './ssml-lite.mjs';
 import { JitterBuffer } from './jitter-buffer.mjs';
+import { TtsCache } from './tts-cache.mjs';
 
 /**
  * @typedef {Object} StreamingTTSStats
@@ -25,16 +33,35 @@ import { JitterBuffer } from './jitter-buffer.mjs';
  * @property {number} currentSentence - Current sentence index
  * @property {number} totalSentences - Total number of sentences
  * @property {import('./jitter-buffer.mjs').JitterBufferStats} buffer - Jitter buffer stats
+ * @property {Object|null} engine - Engine stats, if the engine reports any
+ * @property {import('./tts-cache.mjs').TtsCacheStats|null} cache - Audio cache stats (null without a cache)
+ */
+
+/**
+ * A sentence to synthesize, or a pause
+ * @typedef {{type: 'sentence', text: string, rate: number}|{type: 'pause', ms: number}} SpeechItem
  */
 
 /**
  * @typedef {Object} StreamingTTSConfig
- * @property {string} modelPath - Path to Piper .onnx voice model
- * @property {number} sampleRate - TTS output sample rate
+ * @property {string} [backend='piper'] - TTS backend name (see tts-engines.mjs)
+ * @property {string} modelPath - Path to Piper .onnx voice model (piper backend)
+ * @property {import('./tts.mjs').TTSMode} [mode] - Piper process mode (piper backend)
+ * @property {string} [espeakVoice] - espeak-ng voice (espeak-ng backend)
+ * @property {string} [url] - Speech server URL (http backend)
+ * @property {string} [httpModel] - Model name sent to the speech server (http backend)
+ * @property {string} [voice] - Voice name sent to the speech server (http backend)
+ * @property {import('./tts-engines.mjs').TTSEngine} [engine] - Use this engine instead of creating one from backend
+ * @property {number} sampleRate - Expected TTS output sample rate; the engine's reported rate wins
  * @property {number} bufferSizeMs - Jitter buffer size
  * @property {number} lowWatermarkMs - Start playback threshold
  * @property {number} frameDurationMs - Playback frame size
  * @property {number} minChunkChars - Minimum chars per sentence chunk
+ * @property {number} maxChunkChars - Maximum chars per chunk (run-on sentences split at clause breaks)
+ * @property {Partial<import('./text-normalizer.mjs').TextNormalizerConfig>|null} [normalizer] - Text normalization options (null = speak text as is)
+ * @property {boolean} [ssml=true] - Interpret SSML-lite markup (false = speak tags as text)
+ * @property {number} [speed=1] - Speaking rate multiplier applied on top of markup rates
+ * @property {TtsCache|Partial<import('./tts-cache.mjs').TtsCacheConfig>|null} [cache] - Audio cache options, or a cache shared with another engine (null = synthesize every sentence)
  */
 
 /**
@@ -46,7 +73,9 @@ export const DEFAULT_STREAMING_TTS_CONFIG = Object.freeze({
   bufferSizeMs: 500,
   lowWatermarkMs: 100,
   frameDurationMs: 20,
-  minChunkChars: 20
+  minChunkChars: 20,
+  maxChunkChars: 200,
+  speed: 1
 });
 
 /**
@@ -63,18 +92,53 @@ export class StreamingTTS extends EventEmitter {
     /** @type {StreamingTTSConfig} */
     this.config = { ...DEFAULT_STREAMING_TTS_CONFIG, ...config };
 
-    /** @type {TTS} */
-    this._tts = new TTS({
+    /** @type {import('./tts-engines.mjs').TTSEngine} */
+    this._tts = this.config.engine ?? createTtsEngine(this.config.backend ?? DEFAULT_TTS_BACKEND, {
       modelPath: this.config.modelPath,
-      sampleRate: this.config.sampleRate
+      mode: this.config.mode,
+      sampleRate: this.config.sampleRate,
+      espeakVoice: this.config.espeakVoice,
+      url: this.config.url,
+      model: this.config.httpModel,
+      voice: this.config.voice
     });
 
+    const cache = this.config.cache;
+
+    /** @type {TtsCache|null} - A TtsCache instance is shared, not copied */
+    this._cache = cache instanceof TtsCache ? cache : (cache ? new TtsCache(cache) : null);
+
+    /** @type {boolean} - A shared cache is indexed by its owner, not by init() */
+    this._ownsCache = Boolean(cache) && !(cache instanceof TtsCache);
+
+    /** @type {number} - Speaking rate multiplier for every sentence */
+    this._speed = 1;
+    this.setSpeed(this.config.speed ?? 1);
+
+    /** @type {TextNormalizer|null} */
+    this._normalizer = this.config.normalizer === null ? null : new TextNormalizer(this.config.normalizer ?? {});
+
+    /** @type {SsmlParser|null} */
+    this._ssml = this.config.ssml === false ? null : new SsmlParser();
+
+    /** @type {IncrementalChunker|null} - Chunker for streamed text (null for speak()) */
+    this._chunker = null;
+
+    /** @type {string} - Normalized text of the current run (speak()) */
+    this._textRun = '';
+
+    /** @type {number} - Speaking rate of the text being chunked */
+    this._rate = 1;
+
+    /** @type {number} - Pause to insert before the next audio */
+    this._pendingPauseMs = 0;
+
     /** @type {JitterBuffer} */
     this._jitterBuffer = new JitterBuffer({
       bufferSizeMs: this.config.bufferSizeMs,
       lowWatermarkMs: this.config.lowWatermarkMs,
       frameDurationMs: this.config.frameDurationMs,
-      sampleRate: this.config.sampleRate
+      sampleRate: this._tts.sampleRate
     });
 
     /** @type {boolean} */
@@ -86,6 +150,9 @@ export class StreamingTTS extends EventEmitter {
     /** @type {string[]} */
     this._pendingSentences = [];
 
+    /** @type {number[]} - Speaking rate per pending sentence */
+    this._sentenceRates = [];
+
     /** @type {number} */
     this._currentSentenceIndex = 0;
 
@@ -115,11 +182,74 @@ export class StreamingTTS extends EventEmitter {
   }
 
   /**
-   * Get sample rate
+   * Get the TTS engine
+   * @returns {import('./tts-engines.mjs').TTSEngine}
+   */
+  get engine() {
+    return this._tts;
+  }
+
+  /**
+   * Get the sample rate of the buffered audio
+   *
+   * Follows the engine's native rate; playback must be opened at this rate.
+   *
    * @returns {number}
    */
   get sampleRate() {
-    return this.config.sampleRate;
+    return this._jitterBuffer.config.sampleRate;
+  }
+
+  /**
+   * Get the audio cache
+   * @returns {TtsCache|null}
+   */
+  get cache() {
+    return this._cache;
+  }
+
+  /**
+   * Get the engine's current voice
+   * @returns {string|null} Voice, or null if the engine does not report one
+   */
+  get voice() {
+    return this._tts.voice ?? null;
+  }
+
+  /**
+   * Get the speaking rate multiplier
+   * @returns {number}
+   */
+  get speed() {
+    return this._speed;
+  }
+
+  /**
+   * Set the speaking rate from the next sentence
+   *
+   * Multiplies the rate of every sentence, including rates from markup.
+   *
+   * @param {number} speed - Rate multiplier (1 = normal, 2 = twice as fast)
+   */
+  setSpeed(speed) {
+    if (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0) {
+      throw new Error('Speed must be a positive number');
+    }
+    this._speed = speed;
+    this._tts.setSpeed?.(speed);
+  }
+
+  /**
+   * Switch the engine's voice from the next sentence
+   *
+   * @param {string} voice - Piper model path, espeak-ng voice or server voice, depending on the backend
+   * @throws {Error} If the engine cannot change voices
+   */
+  setVoice(voice) {
+    if (!this._tts.setVoice) {
+      throw new Error('TTS engine does not support changing voices');
+    }
+    this._tts.setVoice(voice);
   }
 
   /**
@@ -144,14 +274,16 @@ export class StreamingTTS extends EventEmitter {
     this._cancelled = false;
     this._jitterBuffer.reset();
 
-    // Split into sentences
-    this._pendingSentences = splitIntoSentences(text, {
-      minChunkChars: this.config.minChunkChars
-    });
-
-    // If no sentences (text too short), treat whole text as one sentence
-    if (this._pendingSentences.length === 0) {
-      this._pendingSentences = [text.trim()];
+    // Read markup, normalize for speech, then split into sentences
+    this._startPlan(false);
+    const items = this._plan(text, true);
+    this._pendingSentences = [];
+    this._sentenceRates = [];
+    for (const item of items) {
+      if (item.type === 'sentence') {
+        this._pendingSentences.push(item.text);
+        this._sentenceRates.push(item.rate);
+      }
     }
 
     this._currentSentenceIndex = 0;
@@ -163,35 +295,74 @@ export class StreamingTTS extends EventEmitter {
 
     try {
       // Process sentences sequentially
-      for (let i = 0; i < this._pendingSentences.length; i++) {
+      let index = 0;
+      for (const item of items) {
         if (this._cancelled) {
           break;
         }
 
-        this._currentSentenceIndex = i;
-        const sentence = this._pendingSentences[i];
+        if (item.type === 'pause') {
+          this._pendingPauseMs += item.ms;
+        } else {
+          await this._synthesizeSentence(index++);
+        }
+      }
+
+      // Signal end of stream if not cancelled
+      if (!this._cancelled) {
+        this._jitterBuffer.end();
+      }
+
+    } catch (error) {
+      if (!this._cancelled) {
+        this._speaking = false;
+        this.emit('error', error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Speak text that arrives incrementally
+   *
+   * Consumes an async iterable of text deltas (e.g. a streamed agent
+   * response). Each sentence is synthesized as soon as it is complete,
+   * so audio starts before the full text is known. stop() cancels pending
+   * synthesis; the caller is responsible for aborting the text source.
+   *
+   * @param {AsyncIterable<string>} source - Text deltas
+   * @returns {Promise<void>} Resolves when synthesis is complete or cancelled
+   */
+  async speakStream(source) {
+    if (this._speaking) {
+      throw new Error('Already speaking');
+    }
 
-        this.emit('sentence_started', {
-          index: i,
-          sentence,
-          total: this._pendingSentences.length
-        });
+    if (!source || typeof (/** @type {any} */ (source))[Symbol.asyncIterator] !== 'function') {
+      throw new Error('Source must be an async iterable of text');
+    }
 
-        // Synthesize sentence and feed chunks to jitter buffer
-        for await (const chunk of this._tts.synthesize(sentence)) {
-          if (this._cancelled) {
-            break;
-          }
-          if (chunk) {
-            this._jitterBuffer.write(chunk);
-          }
+    this._speaking = true;
+    this._cancelled = false;
+    this._jitterBuffer.reset();
+    this._pendingSentences = [];
+    this._sentenceRates = [];
+    this._currentSentenceIndex = 0;
+    this._startPlan(true);
+
+    this.emit('speak_started', { text: null, sentenceCount: null, streaming: true });
+
+    try {
+      for await (const delta of source) {
+        if (this._cancelled) {
+          break;
         }
 
-        this.emit('sentence_complete', {
-          index: i,
-          sentence,
-          total: this._pendingSentences.length
-        });
+        await this._speakItems(this._plan(delta, false));
+      }
+
+      if (!this._cancelled) {
+        await this._speakItems(this._plan('', true));
       }
 
       // Signal end of stream if not cancelled
@@ -208,6 +379,275 @@ export class StreamingTTS extends EventEmitter {
     }
   }
 
+  /**
+   * Reset markup, normalizer and chunker state for a new utterance
+   * @param {boolean} streaming - Text arrives in deltas (speakStream)
+   * @private
+   */
+  _startPlan(streaming) {
+    this._ssml?.reset();
+    this._normalizer?.reset();
+    this._chunker = streaming
+      ? new IncrementalChunker({
+        minChunkChars: this.config.minChunkChars,
+        maxChunkChars: this.config.maxChunkChars
+      })
+      : null;
+    this._textRun = '';
+    this._rate = 1;
+    this._pendingPauseMs = 0;
+  }
+
+  /**
+   * Turn text into the sentences and pauses that are ready to speak
+   *
+   * A pause or a change of speaking rate ends the current chunk, since
+   * each synthesis call has a single rate.
+   *
+   * @param {string} text - Text (or text delta)
+   * @param {boolean} final - No more text follows
+   * @returns {SpeechItem[]}
+   * @private
+   */
+  _plan(text, final) {
+    /** @type {import('./ssml-lite.mjs').SpeechSegment[]} */
+    const segments = this._ssml
+      ? [...this._ssml.push(text), ...(final ? this._ssml.flush() : [])]
+      : [{ type: 'text', text, rate: 1 }];
+
+    /** @type {SpeechItem[]} */
+    const items = [];
+    for (const segment of segments) {
+      if (segment.type === 'break') {
+        items.push(...this._endTextRun(), { type: 'pause', ms: segment.ms });
+        continue;
+      }
+      if (segment.rate !== this._rate) {
+        items.push(...this._endTextRun());
+        this._rate = segment.rate;
+      }
+      items.push(...this._addText(segment.text));
+    }
+
+    if (final) {
+      items.push(...this._endTextRun());
+    }
+    return items;
+  }
+
+  /**
+   * Normalize and chunk text at the current rate
+   * @param {string} text - Plain text
+   * @returns {SpeechItem[]} Sentences already complete (streaming only)
+   * @private
+   */
+  _addText(text) {
+    const spoken = this._normalizer ? this._normalizer.push(text) : text;
+    if (!this._chunker) {
+      this._textRun += spoken;
+      return [];
+    }
+    return this._toSentences(this._chunker.push(spoken));
+  }
+
+  /**
+   * Release all text at the current rate
+   * @returns {SpeechItem[]}
+   * @private
+   */
+  _endTextRun() {
+    const rest = this._normalizer ? this._normalizer.flush() : '';
+    if (this._chunker) {
+      return this._toSentences([...this._chunker.push(rest), ...this._chunker.flush()]);
+    }
+
+    const run = this._textRun + rest;
+    this._textRun = '';
+    const sentences = splitIntoSentences(run, {
+      minChunkChars: this.config.minChunkChars,
+      maxChunkChars: this.config.maxChunkChars
+    });
+    return this._toSentences(sentences);
+  }
+
+  /**
+   * @param {string[]} sentences
+   * @returns {SpeechItem[]}
+   * @private
+   */
+  _toSentences(sentences) {
+    return sentences.map(text => ({ type: /** @type {const} */ ('sentence'), text, rate: this._rate }));
+  }
+
+  /**
+   * Speak planned items in order (streaming)
+   * @param {SpeechItem[]} items
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _speakItems(items) {
+    for (const item of items) {
+      if (this._cancelled) {
+        break;
+      }
+      if (item.type === 'pause') {
+        this._pendingPauseMs += item.ms;
+        continue;
+      }
+      this._pendingSentences.push(item.text);
+      this._sentenceRates.push(item.rate);
+      await this._synthesizeSentence(this._pendingSentences.length - 1);
+    }
+  }
+
+  /**
+   * Synthesize one pending sentence into the jitter buffer
+   * @param {number} index - Index into the pending sentence list
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _synthesizeSentence(index) {
+    this._currentSentenceIndex = index;
+    const sentence = this._pendingSentences[index];
+    const rate = (this._sentenceRates[index] ?? 1) * this._speed;
+
+    this.emit('sentence_started', {
+      index,
+      sentence,
+      total: this._pendingSentences.length
+    });
+
+    const startTime = Date.now();
+    /** @type {number|null} */
+    let firstChunkMs = null;
+
+    /** @type {import('./tts-cache.mjs').TtsCacheKey|null} */
+    const cacheKey = this._cache
+      ? { backend: this.config.backend ?? DEFAULT_TTS_BACKEND, voice: this.voice, rate, text: sentence }
+      : null;
+    const cached = cacheKey ? await this._readCache(cacheKey) : null;
+
+    if (cached) {
+      if (!this._cancelled) {
+        firstChunkMs = Date.now() - startTime;
+        this._writeAudio(cached.audio);
+      }
+    } else {
+      /** @type {Buffer[]} - Sentence audio, kept for the cache */
+      const chunks = [];
+
+      // Synthesize sentence and feed chunks to jitter buffer
+      for await (const chunk of this._tts.synthesize(sentence, { rate })) {
+        if (this._cancelled) {
+          break;
+        }
+        if (chunk) {
+          firstChunkMs ??= Date.now() - startTime;
+          this._matchEngineSampleRate();
+          this._writeAudio(chunk);
+          if (cacheKey) {
+            chunks.push(chunk);
+          }
+        }
+      }
+
+      // Only complete sentences are cached, never audio cut short by barge-in
+      if (cacheKey && !this._cancelled && chunks.length > 0) {
+        await this._writeCache(cacheKey, Buffer.concat(chunks));
+      }
+    }
+
+    this.emit('sentence_complete', {
+      index,
+      sentence,
+      total: this._pendingSentences.length,
+      firstChunkMs,
+      cached: cached !== null
+    });
+  }
+
+  /**
+   * Write sentence audio to the jitter buffer
+   *
+   * Pauses are written at the buffer's rate, just before the next audio.
+   *
+   * @param {Buffer|Int16Array} audio
+   * @private
+   */
+  _writeAudio(audio) {
+    if (this._pendingPauseMs > 0) {
+      this._jitterBuffer.writeSilence(this._pendingPauseMs);
+      this._pendingPauseMs = 0;
+    }
+    this._jitterBuffer.write(audio);
+  }
+
+  /**
+   * Look up a sentence in the audio cache
+   *
+   * Cached audio at a sample rate the buffer cannot switch to any more is
+   * treated as a miss. A cache that cannot be read is a warning, never an
+   * error: the sentence is synthesized instead.
+   *
+   * @param {import('./tts-cache.mjs').TtsCacheKey} key
+   * @returns {Promise<import('./tts-cache.mjs').CachedAudio|null>}
+   * @private
+   */
+  async _readCache(key) {
+    const cache = /** @type {TtsCache} */ (this._cache);
+    try {
+      const cached = await cache.get(key);
+      if (!cached) {
+        return null;
+      }
+      this._matchEngineSampleRate(cached.sampleRate);
+      return cached.sampleRate === this._jitterBuffer.config.sampleRate ? cached : null;
+    } catch (error) {
+      this.emit('warning', `TTS cache read failed: ${/** @type {Error} */ (error).message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store a synthesized sentence in the audio cache
+   * @param {import('./tts-cache.mjs').TtsCacheKey} key
+   * @param {Buffer} audio
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeCache(key, audio) {
+    const sampleRate = this._tts.sampleRate || this._jitterBuffer.config.sampleRate;
+    try {
+      await /** @type {TtsCache} */ (this._cache).set(key, sampleRate, audio);
+    } catch (error) {
+      this.emit('warning', `TTS cache write failed: ${/** @type {Error} */ (error).message}`);
+    }
+  }
+
+  /**
+   * Re-size the jitter buffer when the audio has a new sample rate
+   *
+   * Engines that learn their rate from the audio itself (WAV headers) only
+   * know it once the first chunk arrives. The switch is made before
+   * anything of the utterance is buffered; later changes wait for the next
+   * utterance so playback never changes rate mid-stream.
+   *
+   * @param {number} [rate] - Rate of the audio about to be buffered (defaults to the engine's)
+   * @private
+   */
+  _matchEngineSampleRate(rate = this._tts.sampleRate) {
+    if (!rate || rate === this._jitterBuffer.config.sampleRate) {
+      return;
+    }
+
+    if (this._jitterBuffer.getStats().totalSamplesWritten > 0) {
+      return;
+    }
+
+    this._jitterBuffer.setSampleRate(rate);
+    this.emit('sample_rate_changed', { sampleRate: rate });
+  }
+
   /**
    * Stop speaking immediately
    *
@@ -224,6 +664,7 @@ export class StreamingTTS extends EventEmitter {
     this._jitterBuffer.clear();
     this._speaking = false;
     this._pendingSentences = [];
+    this._sentenceRates = [];
 
     this.emit('speak_stopped');
   }
@@ -256,10 +697,32 @@ export class StreamingTTS extends EventEmitter {
       speaking: this._speaking,
       currentSentence: this._currentSentenceIndex,
       totalSentences: this._pendingSentences.length,
-      buffer: this._jitterBuffer.getStats()
+      buffer: this._jitterBuffer.getStats(),
+      engine: this._tts.getStats?.() ?? null,
+      cache: this._cache?.getStats() ?? null
     };
   }
 
+  /**
+   * Warm up the engine (starts the Piper worker so the voice is loaded)
+   * and index the audio cache (unless it is shared)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this._ownsCache) {
+      await this._cache?.init();
+    }
+    await this._tts.init?.();
+  }
+
+  /**
+   * Stop speaking and release the engine's processes
+   */
+  dispose() {
+    this.stop();
+    this._tts.dispose?.();
+  }
+
   /**
    * Handle jitter buffer drained event
    * @private
@@ -0,0 +1,645 @@
+/**
+ * Text Normalizer - Turn agent replies into text a TTS voice can read
+ *
+ * Agent replies are written for screens: markdown, code blocks, links,
+ * emoji, digits, units and abbreviations. Piper reads all of that
+ * literally ("asterisk asterisk", "h t t p s colon slash slash..."). The
+ * normalizer runs before sentence chunking and:
+ * - Strips markdown (emphasis, headings, bullets, tables, links)
+ * - Replaces code blocks with a short spoken note (once per reply)
+ * - Shortens URLs to their domain ("github dot com")
+ * - Removes emoji
+ * - Expands common abbreviations (e.g., i.e., Dr., w/)
+ * - Spells out numbers, dates, times, currencies, percentages and units
+ *
+ * Each markdown line that ends without punctuation gets a period, so list
+ * items and headings become their own sentences.
+ *
+ * normalize() handles a complete reply. push()/flush() handle a streamed
+ * reply: text is released at word boundaries, and code blocks, links,
+ * table rows and numbers that may continue in the next delta are held back
+ * until they are complete.
+ */
+
+import {
+  numberToWords,
+  ordinalToWords,
+  yearToWords,
+  digitsToWords,
+  decimalToWords
+} from './number-words.mjs';
+
+/**
+ * @typedef {Object} TextNormalizerConfig
+ * @property {boolean} [markdown=true] - Strip markdown and replace code blocks
+ * @property {string} [codeSummary] - Said instead of a code block ('' to skip code silently)
+ * @property {boolean} [urls=true] - Shorten URLs to their domain
+ * @property {boolean} [emoji=true] - Remove emoji
+ * @property {boolean} [abbreviations=true] - Expand common abbreviations
+ * @property {boolean} [numbers=true] - Spell out numbers, dates, times, currencies and units
+ */
+
+/**
+ * @typedef {Object} NormalizerState
+ * @property {boolean} atLineStart - Next text starts a new line
+ * @property {boolean} codeAnnounced - Code summary already spoken for this reply
+ */
+
+/**
+ * Default configuration
+ */
+export const DEFAULT_NORMALIZER_CONFIG = Object.freeze({
+  markdown: true,
+  codeSummary: "I've put a code snippet on screen.",
+  urls: true,
+  emoji: true,
+  abbreviations: true,
+  numbers: true
+});
+
+/** Fenced code block, or an unclosed one running to the end of the text */
+const CODE_BLOCK_PATTERN = /^[ \t]*(```|~~~)[^\n`]*\n[\s\S]*?(?:^[ \t]*\1[^\n]*$|(?![\s\S]))/gm;
+
+/** Stands in for a code block while lines are processed */
+const CODE_PLACEHOLDER = '\uE000';
+
+/** Line already ends a sentence or clause */
+const TERMINAL_PUNCTUATION = /[.!?:;,]['"”’)\]]*\s*$/;
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()[\]]+/gi;
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|[\u{1F1E6}-\u{1F1FF}]|[\u{1F3FB}-\u{1F3FF}]|\u200D|\uFE0F|\u20E3/gu;
+
+/** @type {[RegExp, string][]} */
+const ABBREVIATIONS = [
+  [/\be\.g\.(?=[\s,]|$)/gi, 'for example'],
+  [/\bi\.e\.(?=[\s,]|$)/gi, 'that is'],
+  [/\betc\.(?=\s+[A-Z]|\s*$)/g, 'et cetera.'],
+  [/\betc\./g, 'et cetera'],
+  [/\bvs\.?(?=\s|$)/gi, 'versus'],
+  [/\bapprox\./gi, 'approximately'],
+  [/\bDr\.(?=\s|$)/g, 'Doctor'],
+  [/\bMrs\.(?=\s|$)/g, 'Missus'],
+  [/\bMr\.(?=\s|$)/g, 'Mister'],
+  [/\bMs\.(?=\s|$)/g, 'Miz'],
+  [/\bw\/o\b/gi, 'without'],
+  [/\bw\/(?=\s|$)/gi, 'with'],
+  [/(^|\s)&(?=\s|$)/g, '$1and']
+];
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+
+/** Words after which a four-digit number is read as a year */
+const YEAR_CONTEXT = '(in|since|by|until|from|after|before|during|year|of)';
+
+/** Trailing word that the next streamed word may extend: a number, month or year context */
+const HELD_WORD_PATTERN = new RegExp(`(?<!\\S)(?:\\S*\\d\\S*|${MONTH}\\S*|${YEAR_CONTEXT})\\s+$`, 'i');
+
+/** am/pm: "pm", "p.m." mid-sentence, or "p.m" before a sentence-ending period */
+const MERIDIEM = '(?:([AaPp])[Mm]\\b|([AaPp])\\.[Mm]\\.(?=\\s+[a-z])|([AaPp])\\.[Mm](?=\\.))';
+
+/** Number with optional thousands separators and decimals */
+const NUMBER = '(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?';
+
+/** @type {Record<string, [string, string, string, string]>} - Singular, plural, sub-unit singular, sub-unit plural */
+const CURRENCIES = {
+  '$': ['dollar', 'dollars', 'cent', 'cents'],
+  '€': ['euro', 'euros', 'cent', 'cents'],
+  '£': ['pound', 'pounds', 'penny', 'pence']
+};
+
+/** @type {Record<string, string>} */
+const SCALE_WORDS = { k: 'thousand', K: 'thousand', M: 'million', bn: 'billion', B: 'billion' };
+
+/** @type {Record<string, [string, string]>} - Singular, plural */
+const UNITS = {
+  'km/h': ['kilometer per hour', 'kilometers per hour'],
+  km: ['kilometer', 'kilometers'],
+  cm: ['centimeter', 'centimeters'],
+  mm: ['millimeter', 'millimeters'],
+  kg: ['kilogram', 'kilograms'],
+  mg: ['milligram', 'milligrams'],
+  lb: ['pound', 'pounds'],
+  lbs: ['pound', 'pounds'],
+  mi: ['mile', 'miles'],
+  mph: ['mile per hour', 'miles per hour'],
+  ml: ['milliliter', 'milliliters'],
+  '°C': ['degree Celsius', 'degrees Celsius'],
+  '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  '°': ['degree', 'degrees'],
+  KB: ['kilobyte', 'kilobytes'],
+  MB: ['megabyte', 'megabytes'],
+  GB: ['gigabyte', 'gigabytes'],
+  TB: ['terabyte', 'terabytes'],
+  ms: ['millisecond', 'milliseconds'],
+  Hz: ['hertz', 'hertz'],
+  kHz: ['kilohertz', 'kilohertz'],
+  MHz: ['megahertz', 'megahertz'],
+  GHz: ['gigahertz', 'gigahertz']
+};
+
+const UNIT_PATTERN = new RegExp(
+  `(?<![\\w.])(${NUMBER})\\s?(${Object.keys(UNITS)
+    .sort((a, b) => b.length - a.length)
+    .map(unit => unit.replace(/\//g, '\\/'))
+    .join('|')})(?![\\w/])`,
+  'g'
+);
+
+/**
+ * Spell out a number written with optional separators and decimals
+ * @param {string} text - e.g. "1,250", "3.5", "007"
+ * @returns {string}
+ */
+function spellNumber(text) {
+  if (text.includes('.')) {
+    return decimalToWords(text);
+  }
+  const digits = text.replace(/,/g, '');
+  if (digits.length > 1 && digits.startsWith('0')) {
+    return digitsToWords(digits);
+  }
+  return numberToWords(Number(digits));
+}
+
+/**
+ * Get the full month name from a (possibly abbreviated) month
+ * @param {string} month
+ * @returns {string}
+ */
+function fullMonth(month) {
+  const prefix = month.slice(0, 3).toLowerCase();
+  return MONTHS.find(m => m.toLowerCase().startsWith(prefix)) ?? month;
+}
+
+/**
+ * Speak an amount of money
+ * @param {string} symbol - Currency symbol
+ * @param {string} amount - Amount as written, e.g. "3.50"
+ * @param {string} [scale] - Scale word or suffix, e.g. "million" or "k"
+ * @returns {string}
+ */
+function speakCurrency(symbol, amount, scale) {
+  const [one, many, subOne, subMany] = CURRENCIES[symbol];
+
+  if (scale) {
+    return `${spellNumber(amount)} ${SCALE_WORDS[scale] ?? scale} ${many}`;
+  }
+
+  const [whole, fraction] = amount.replace(/,/g, '').split('.');
+  const units = Number(whole);
+  const subunits = fraction ? Number(fraction.padEnd(2, '0').slice(0, 2)) : 0;
+
+  const parts = [];
+  if (units > 0 || subunits === 0) {
+    parts.push(`${numberToWords(units)} ${units === 1 ? one : many}`);
+  }
+  if (subunits > 0) {
+    parts.push(`${numberToWords(subunits)} ${subunits === 1 ? subOne : subMany}`);
+  }
+  return parts.join(' and ');
+}
+
+/**
+ * Speak a clock time
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} [meridiem] - "a" or "p"
+ * @returns {string}
+ */
+function speakTime(hour, minute, meridiem) {
+  const suffix = meridiem ? ` ${meridiem.toUpperCase()}M` : '';
+  if (minute === 0) {
+    return meridiem ? `${numberToWords(hour)}${suffix}` : `${numberToWords(hour)} o'clock`;
+  }
+  const minutes = minute < 10 ? `oh ${numberToWords(minute)}` : numberToWords(minute);
+  return `${numberToWords(hour)} ${minutes}${suffix}`;
+}
+
+/**
+ * Check whether hyphenated digits are a phone number or ID rather than a range
+ *
+ * Three or more groups (1-800-FLOWERS, 555-123-4567), a local phone number
+ * (555-1234), a group with a leading zero (0800-123) or a group of five or
+ * more digits are digit groups; "5-10" and "1990-2000" are ranges.
+ *
+ * @param {string[]} groups - Text between the hyphens
+ * @returns {boolean}
+ */
+function isDigitGroup(groups) {
+  if (groups.length > 2) {
+    return true;
+  }
+  const [a, b] = groups;
+  if (!/^\d+$/.test(b)) {
+    return false;
+  }
+  return /^[2-9]\d\d$/.test(a) && b.length === 4 ||
+    groups.some(group => group.length > 1 && group.startsWith('0')) ||
+    groups.some(group => group.length > 4);
+}
+
+/**
+ * Speak a fraction
+ * @param {number} numerator
+ * @param {number} denominator - 2 to 10
+ * @returns {string} e.g. "one half", "three quarters", "two thirds"
+ */
+function speakFraction(numerator, denominator) {
+  const one = denominator === 2 ? 'half' : denominator === 4 ? 'quarter' : ordinalToWords(denominator);
+  const many = denominator === 2 ? 'halves' : `${one}s`;
+  return `${numberToWords(numerator)} ${numerator === 1 ? one : many}`;
+}
+
+/**
+ * Spell out dates, times, money, percentages, units, ordinals and numbers
+ * @param {string} text
+ * @returns {string}
+ */
+function expandNumbers(text) {
+  return text
+    // 2024-03-15
+    .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, y, m, d) => {
+      const month = Number(m);
+      const day = Number(d);
+      if (month < 1 || month > 12 || day < 1 || day > 31) {
+        return match;
+      }
+      return `${MONTHS[month - 1]} ${ordinalToWords(day)}, ${yearToWords(Number(y))}`;
+    })
+    // March 15, 2024
+    .replace(new RegExp(`\\b${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'g'), (match, m, d, y) => {
+      const day = Number(d);
+      if (day < 1 || day > 31) {
+        return match;
+      }
+      return `${fullMonth(m)} ${ordinalToWords(day)}` + (y ? `, ${yearToWords(Number(y))}` : '');
+    })
+    // 15 March 2024
+    .replace(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH}\\b\\.?(?:,?\\s+(\\d{4})\\b)?`, 'g'), (match, d, m, y) => {
+      const day = Number(d);
+      if (day < 1 || day > 31) {
+        return match;
+      }
+      return `the ${ordinalToWords(day)} of ${fullMonth(m)}` + (y ? `, ${yearToWords(Number(y))}` : '');
+    })
+    // March 2024
+    .replace(new RegExp(`\\b${MONTH}\\s+(\\d{4})\\b`, 'g'), (match, m, y) => `${fullMonth(m)} ${yearToWords(Number(y))}`)
+    // in 1999
+    .replace(new RegExp(`\\b${YEAR_CONTEXT}\\s+(1[1-9]\\d\\d|20\\d\\d)\\b(?![.,]\\d)`, 'gi'),
+      (match, word, y) => `${word} ${yearToWords(Number(y))}`)
+    // 3:30 pm, 14:05
+    .replace(new RegExp(`\\b(\\d{1,2}):(\\d{2})(?::\\d{2})?(?:\\s?${MERIDIEM})?`, 'g'), (match, h, m, ...ap) => {
+      const hour = Number(h);
+      const minute = Number(m);
+      if (hour > 23 || minute > 59) {
+        return match;
+      }
+      return speakTime(hour, minute, ap[0] ?? ap[1] ?? ap[2]);
+    })
+    // 5pm
+    .replace(new RegExp(`\\b(\\d{1,2})\\s?${MERIDIEM}`, 'g'), (match, h, ...ap) => {
+      const hour = Number(h);
+      return hour >= 1 && hour <= 12 ? speakTime(hour, 0, ap[0] ?? ap[1] ?? ap[2]) : match;
+    })
+    // $3.50, €2 million, £5k
+    .replace(new RegExp(`([$€£])\\s?(${NUMBER})(?:\\s?(thousand|million|billion|trillion|k|K|M|bn|B)\\b)?`, 'g'),
+      (match, symbol, amount, scale) => speakCurrency(symbol, amount, scale))
+    // 50%
+    .replace(new RegExp(`(?<![\\w.])(${NUMBER})\\s?%`, 'g'), (match, n) => `${spellNumber(n)} percent`)
+    // 5 km, 20°C
+    .replace(UNIT_PATTERN, (match, n, unit) => {
+      const [one, many] = UNITS[unit];
+      return `${spellNumber(n)} ${n === '1' ? one : many}`;
+    })
+    // 21st
+    .replace(/\b(\d+)(?:st|nd|rd|th)\b/gi, (match, n) => ordinalToWords(Number(n)))
+    // 555-1234, 1-800-FLOWERS: digit by digit, a pause between groups
+    .replace(/(?<![\w.,-])\d+(?:-[A-Za-z\d]+)+(?![\w-]|[.,]\d)/g, (match) => {
+      const groups = match.split('-');
+      return isDigitGroup(groups)
+        ? groups.map(group => (/^\d+$/.test(group) ? digitsToWords(group) : group)).join(', ')
+        : match;
+    })
+    // 1/2, 3/4; other slashed numbers (dates, 24/7) are left as written
+    .replace(/(?<![\w./])(\d{1,2})\/(\d{1,2})(?![\w/]|[.,]\d)/g, (match, n, d) => {
+      const numerator = Number(n);
+      const denominator = Number(d);
+      return numerator > 0 && numerator < denominator && denominator <= 10
+        ? speakFraction(numerator, denominator)
+        : match;
+    })
+    // 5-10
+    .replace(/(?<![\w.,-])(\d{1,4})\s?[–-]\s?(\d{1,4})(?![\w-]|[.,]\d)/g, (match, a, b) => {
+      return Number(a) < Number(b) ? `${numberToWords(Number(a))} to ${numberToWords(Number(b))}` : match;
+    })
+    // -5
+    .replace(/(?<![\w.])-(?=\d)/g, 'minus ')
+    // 1,250 and 3.14 (not versions like 1.2.3, nor slashed numbers)
+    .replace(new RegExp(`(?<![\\w./])(${NUMBER})(?![\\w/]|\\.\\d)`, 'g'), (match, n) => spellNumber(n));
+}
+
+/**
+ * Speak a URL as its domain
+ * @param {string} url
+ * @returns {string} e.g. "github dot com"
+ */
+function speakUrl(url) {
+  const trailing = /[.,!?;:'"]*$/.exec(url)?.[0] ?? '';
+  const host = url
+    .slice(0, url.length - trailing.length)
+    .replace(/^https?:\/\//i, '')
+    .split(/[/?#]/)[0]
+    .replace(/^www\./i, '')
+    .replace(/:\d+$/, '');
+  return host.split('.').filter(Boolean).join(' dot ') + trailing;
+}
+
+/**
+ * Strip markdown that only makes sense at the start of a line
+ * @param {string} line
+ * @returns {string}
+ */
+function stripLineMarkup(line) {
+  // Horizontal rule
+  if (/^\s*([-*_])(?:\s*\1){2,}\s*$/.test(line)) {
+    return '';
+  }
+  // Table separator
+  if (line.includes('|') && /^\s*\|?[\s:|-]*-{2,}[\s:|-]*$/.test(line)) {
+    return '';
+  }
+  // Table row
+  if (/^\s*\|.*\|\s*$/.test(line)) {
+    return line.trim().slice(1, -1).split('|').map(cell => cell.trim()).filter(Boolean).join(', ');
+  }
+  return line
+    .replace(/^\s{0,3}#{1,6}\s+/, '')
+    .replace(/^(?:\s*>)+\s?/, '')
+    .replace(/^\s*(?:[-*+]|\d{1,3}[.)])\s+(?:\[[ xX]\]\s+)?/, '');
+}
+
+/**
+ * Replace links, images and inline code with their text
+ * @param {string} text
+ * @returns {string}
+ */
+function stripLinks(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<((?:https?:\/\/|www\.)[^>\s]+)>/gi, '$1')
+    .replace(/<\/?[a-z][^>]*>/gi, ' ')
+    .replace(/`+([^`]*)`+/g, '$1')
+    .replace(/`/g, '');
+}
+
+/**
+ * Remove emphasis markers
+ * @param {string} text
+ * @returns {string}
+ */
+function stripEmphasis(text) {
+  return text
+    .replace(/\*\*|__|~~/g, '')
+    .replace(/(^|[\s(])[*_](?=\S)/g, '$1')
+    .replace(/(?<=\S)[*_](?=[\s).,!?;:]|$)/g, '');
+}
+
+/**
+ * TextNormalizer - Rewrites reply text for speech
+ */
+export class TextNormalizer {
+  /**
+   * Create a TextNormalizer
+   * @param {Partial<TextNormalizerConfig>} [config={}] - Configuration
+   */
+  constructor(config = {}) {
+    /** @type {Required<TextNormalizerConfig>} */
+    this.config = { ...DEFAULT_NORMALIZER_CONFIG, ...config };
+
+    /** @type {string} - Streamed text not yet released */
+    this._pending = '';
+
+    /** @type {NormalizerState} - Streaming state */
+    this._state = { atLineStart: true, codeAnnounced: false };
+  }
+
+  /**
+   * Get streamed text held back until it is complete
+   * @returns {string}
+   */
+  get pending() {
+    return this._pending;
+  }
+
+  /**
+   * Normalize a complete reply
+   * @param {string} text - Reply text
+   * @returns {string} Text to speak (may be empty)
+   */
+  normalize(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+    return this._normalizeChunk(text, { atLineStart: true, codeAnnounced: false }).trim();
+  }
+
+  /**
+   * Add streamed text and return what can be spoken so far
+   *
+   * @param {string} text - Text delta
+   * @returns {string} Normalized text (may be empty)
+   */
+  push(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    this._pending += text;
+
+    const end = this._releasableLength(this._pending);
+    if (end === 0) {
+      return '';
+    }
+
+    const ready = this._pending.slice(0, end);
+    this._pending = this._pending.slice(end);
+    return this._normalizeChunk(ready, this._state);
+  }
+
+  /**
+   * Normalize everything still pending (end of stream)
+   * @returns {string}
+   */
+  flush() {
+    const remaining = this._pending;
+    this._pending = '';
+    return remaining ? this._normalizeChunk(remaining, this._state) : '';
+  }
+
+  /**
+   * Discard pending text and start a new reply
+   */
+  reset() {
+    this._pending = '';
+    this._state = { atLineStart: true, codeAnnounced: false };
+  }
+
+  /**
+   * Find how much of the streamed text can be normalized now
+   *
+   * Text is released up to the last whitespace, minus anything that may
+   * continue in the next delta: an open code block, an unfinished link or
+   * table row, and a trailing number or month (which may be followed by a
+   * unit, scale or year). Spaces stay pending so that removed emoji do not
+   * leave a space before the punctuation that follows, except after a
+   * sentence end, where the chunker needs the space to cut the sentence;
+   * line breaks are released so the line they end gets its period.
+   *
+   * @param {string} text - Pending text
+   * @returns {number} Number of characters to release
+   * @private
+   */
+  _releasableLength(text) {
+    const lastSpace = /\s(?=\S*$)/.exec(text);
+    if (!lastSpace) {
+      return 0;
+    }
+    const sentenceEnd = /[.!?]["')\]]*$/.test(text.slice(0, lastSpace.index));
+    let end = lastSpace[0] === '\n' || sentenceEnd ? lastSpace.index + 1 : lastSpace.index;
+
+    if (this.config.numbers) {
+      let prefix = text.slice(0, lastSpace.index + 1);
+      let held;
+      while ((held = HELD_WORD_PATTERN.exec(prefix)) !== null) {
+        prefix = prefix.slice(0, held.index);
+      }
+      end = Math.min(end, prefix.length);
+    }
+
+    if (!this.config.markdown) {
+      return end;
+    }
+
+    for (const block of text.matchAll(CODE_BLOCK_PATTERN)) {
+      const start = block.index ?? 0;
+      const closed = /\n[ \t]*(?:```|~~~)[^\n]*$/.test(block[0]);
+      if (start < end && (!closed || end < start + block[0].length)) {
+        end = start;
+      }
+    }
+
+    // Hold back a link until it is complete, and never cut inside one
+    const open = text.lastIndexOf('[', end - 1);
+    if (open >= 0) {
+      const link = /^\[[^\]\n]*\](?:\([^)\n]*\)|[^(])/.exec(text.slice(open));
+      if (!link || open + link[0].length > end) {
+        end = text[open - 1] === '!' ? open - 1 : open;
+      }
+    }
+
+    // Keep line markers (bullets, headings, table rows) with their line
+    const lineStart = text.lastIndexOf('\n', end - 1) + 1;
+    const line = text.slice(lineStart, end);
+    if (/^\s*\|/.test(text.slice(lineStart)) || /^\s*(?:#{1,6}|>+|[-*+]|\d{1,3}[.)])?\s*$/.test(line)) {
+      end = lineStart;
+    }
+
+    return end;
+  }
+
+  /**
+   * Normalize a run of text
+   * @param {string} text - Text to normalize
+   * @param {NormalizerState} state - Line and code-summary state, updated
+   * @returns {string}
+   * @private
+   */
+  _normalizeChunk(text, state) {
+    const { markdown } = this.config;
+    const source = markdown ? text.replace(CODE_BLOCK_PATTERN, `\n${CODE_PLACEHOLDER}\n`) : text;
+    const lines = source.split('\n');
+
+    const spoken = lines.map((line, i) => {
+      if (markdown && line.trim() === CODE_PLACEHOLDER) {
+        const summary = state.codeAnnounced ? '' : this.config.codeSummary;
+        state.codeAnnounced = true;
+        return summary;
+      }
+
+      let result = markdown && (i > 0 || state.atLineStart) ? stripLineMarkup(line) : line;
+      result = this._normalizeInline(result);
+
+      // A line break ends the sentence (list items, headings)
+      if (i < lines.length - 1 && /\S/.test(result) && !TERMINAL_PUNCTUATION.test(result)) {
+        result = `${result.trimEnd()}.`;
+      }
+      return result;
+    });
+
+    state.atLineStart = text.endsWith('\n');
+
+    return spoken
+      .join(' ')
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/ +([.,!?;:])/g, '$1');
+  }
+
+  /**
+   * Normalize text within one line
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _normalizeInline(text) {
+    let result = text;
+    if (this.config.markdown) {
+      result = stripLinks(result);
+    }
+    if (this.config.urls) {
+      result = result.replace(URL_PATTERN, speakUrl);
+    }
+    if (this.config.markdown) {
+      result = stripEmphasis(result);
+    }
+    if (this.config.emoji) {
+      result = result.replace(EMOJI_PATTERN, '');
+    }
+    if (this.config.abbreviations) {
+      for (const [pattern, replacement] of ABBREVIATIONS) {
+        result = result.replace(pattern, replacement);
+      }
+    }
+    if (this.config.numbers) {
+      result = expandNumbers(result);
+    }
+    return result;
+  }
+}
+
+/**
+ * Normalize a complete reply for speech
+ * @param {string} text - Reply text
+ * @param {Partial<TextNormalizerConfig>} [config={}] - Configuration
+ * @returns {string}
+ */
+export function normalizeForSpeech(text, config = {}) {
+  return new TextNormalizer(config).normalize(text);
+}
+
+/**
+ * Create a TextNormalizer instance
+ * @param {Partial<TextNormalizerConfig>} [config={}] - Configuration
+ * @returns {TextNormalizer}
+ */
+export function createTextNormalizer(config = {}) {
+  return new TextNormalizer(config);
+}
+
+export default TextNormalizer;
@@ -0,0 +1,345 @@
+/**
+ * TTS Cache - Synthesized audio for sentences Scout has said before
+ *
+ * Fixed phrases ("Didn't catch that", "Cannot reach OpenClaw", spoken
+ * confirmations) and replies the agent repeats are synthesized once and
+ * played from the cache afterwards, without starting Piper.
+ *
+ * Entries are content-addressed: the file name is a SHA-256 of the
+ * backend, voice, speaking rate and normalized sentence text, followed by
+ * the sample rate (<hash>-22050.pcm, raw s16le mono). The cache lives in
+ * tts-cache/ next to the config file and is trimmed to its size limit by
+ * evicting the least recently used entries. Without a directory it is
+ * kept in memory only.
+ */
+
+import { readFile, writeFile, readdir, stat, rename, mkdir, unlink, utimes } from 'fs/promises';
+import { createHash } from 'crypto';
+import { dirname, join } from 'path';
+
+/**
+ * @typedef {Object} TtsCacheConfig
+ * @property {string|null} dir - Cache directory (null keeps the cache in memory only)
+ * @property {number} maxBytes - Total audio kept; least recently used entries are evicted beyond this
+ */
+
+/**
+ * @typedef {Object} TtsCacheKey
+ * @property {string} backend - TTS backend name
+ * @property {string|null} voice - Engine voice
+ * @property {number} rate - Speaking rate the sentence is synthesized at
+ * @property {string} text - Sentence text, after speech normalization
+ */
+
+/**
+ * @typedef {Object} CachedAudio
+ * @property {number} sampleRate - Sample rate of the audio
+ * @property {Buffer} audio - Raw PCM (s16le, mono)
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {number} sampleRate - Sample rate of the audio
+ * @property {number} bytes - Audio size
+ * @property {Buffer|null} audio - Audio, for a cache without a directory
+ */
+
+/**
+ * @typedef {Object} TtsCacheStats
+ * @property {number} entries - Cached sentences
+ * @property {number} sizeBytes - Total cached audio
+ * @property {number} hits - Sentences played from the cache
+ * @property {number} misses - Sentences that had to be synthesized
+ * @property {number} hitRate - hits / (hits + misses), 0 before any lookup
+ */
+
+/**
+ * Cache directory name, stored in the config directory
+ */
+export const TTS_CACHE_DIR_NAME = 'tts-cache';
+
+/**
+ * Default configuration
+ */
+export const DEFAULT_TTS_CACHE_CONFIG = Object.freeze({
+  dir: null,
+  maxBytes: 50 * 1024 * 1024
+});
+
+const ENTRY_FILE_PATTERN = /^([0-9a-f]{64})-(\d+)\.pcm$/;
+
+/**
+ * Get the cache directory for a config file
+ * @param {string} configPath - Path to config.json
+ * @returns {string}
+ */
+export function ttsCacheDirForConfig(configPath) {
+  return join(dirname(configPath), TTS_CACHE_DIR_NAME);
+}
+
+/**
+ * Hash a cache key
+ *
+ * Whitespace in the text is collapsed so the same sentence chunked with
+ * different spacing shares an entry.
+ *
+ * @param {TtsCacheKey} key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashCacheKey({ backend, voice, rate, text }) {
+  const spoken = text.replace(/\s+/g, ' ').trim();
+  return createHash('sha256')
+    .update(JSON.stringify([backend, voice ?? '', Math.round(rate * 100) / 100, spoken]), 'utf-8')
+    .digest('hex');
+}
+
+/**
+ * Size-limited LRU cache of synthesized sentences
+ */
+export class TtsCache {
+  /**
+   * Create a TtsCache instance
+   * @param {Partial<TtsCacheConfig>} [config={}] - Configuration
+   */
+  constructor(config = {}) {
+    /** @type {TtsCacheConfig} */
+    this.config = { ...DEFAULT_TTS_CACHE_CONFIG, ...config };
+
+    /** @type {Map<string, CacheEntry>} - Entries by hash, least recently used first */
+    this._entries = new Map();
+
+    /** @type {number} */
+    this._sizeBytes = 0;
+
+    /** @type {number} */
+    this._hits = 0;
+
+    /** @type {number} */
+    this._misses = 0;
+  }
+
+  /**
+   * Get the cache directory
+   * @returns {string|null}
+   */
+  get dir() {
+    return this.config.dir;
+  }
+
+  /**
+   * Get the total size of the cached audio
+   * @returns {number}
+   */
+  get sizeBytes() {
+    return this._sizeBytes;
+  }
+
+  /**
+   * Index the entries already on disk
+   *
+   * Files are ordered by modification time, which is refreshed on every
+   * hit, so recency survives restarts. A missing directory means an empty
+   * cache.
+   *
+   * @returns {Promise<number>} Number of entries found
+   */
+  async init() {
+    if (!this.config.dir) {
+      return 0;
+    }
+
+    /** @type {string[]} */
+    let names;
+    try {
+      names = await readdir(this.config.dir);
+    } catch {
+      return 0;
+    }
+
+    const found = [];
+    for (const name of names) {
+      const match = ENTRY_FILE_PATTERN.exec(name);
+      if (!match) {
+        continue;
+      }
+      try {
+        const info = await stat(join(this.config.dir, name));
+        found.push({ hash: match[1], sampleRate: Number(match[2]), bytes: info.size, mtimeMs: info.mtimeMs });
+      } catch {
+        // Removed while scanning
+      }
+    }
+
+    found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    this._entries.clear();
+    this._sizeBytes = 0;
+    for (const { hash, sampleRate, bytes } of found) {
+      this._entries.set(hash, { sampleRate, bytes, audio: null });
+      this._sizeBytes += bytes;
+    }
+
+    await this._evict();
+    return this._entries.size;
+  }
+
+  /**
+   * Look up a sentence
+   *
+   * Counts a hit or a miss. An entry whose file has gone missing is a miss.
+   *
+   * @param {TtsCacheKey} key
+   * @returns {Promise<CachedAudio|null>}
+   */
+  async get(key) {
+    const hash = hashCacheKey(key);
+    const entry = this._entries.get(hash);
+    if (!entry) {
+      this._misses++;
+      return null;
+    }
+
+    let audio = entry.audio;
+    if (!audio) {
+      const path = this._pathFor(hash, entry.sampleRate);
+      try {
+        audio = await readFile(path);
+      } catch {
+        this._remove(hash);
+        this._misses++;
+        return null;
+      }
+      const now = new Date();
+      utimes(path, now, now).catch(() => {});
+    }
+
+    // Most recently used entries live at the end of the map
+    this._entries.delete(hash);
+    this._entries.set(hash, entry);
+    this._hits++;
+    return { sampleRate: entry.sampleRate, audio };
+  }
+
+  /**
+   * Store a synthesized sentence
+   *
+   * Audio larger than the whole cache is not stored. Older entries are
+   * evicted to make room.
+   *
+   * @param {TtsCacheKey} key
+   * @param {number} sampleRate - Sample rate of the audio
+   * @param {Buffer} audio - Raw PCM (s16le, mono)
+   * @returns {Promise<boolean>} Whether the audio was stored
+   */
+  async set(key, sampleRate, audio) {
+    if (audio.length === 0 || audio.length > this.config.maxBytes) {
+      return false;
+    }
+
+    const hash = hashCacheKey(key);
+    if (this._entries.has(hash)) {
+      return true;
+    }
+
+    if (this.config.dir) {
+      const path = this._pathFor(hash, sampleRate);
+      const tempPath = `${path}.tmp`;
+      await mkdir(this.config.dir, { recursive: true });
+      await writeFile(tempPath, audio);
+      await rename(tempPath, path);
+    }
+
+    this._entries.set(hash, { sampleRate, bytes: audio.length, audio: this.config.dir ? null : audio });
+    this._sizeBytes += audio.length;
+    await this._evict();
+    return true;
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const hashes = [...this._entries.keys()];
+    for (const hash of hashes) {
+      await this._delete(hash);
+    }
+  }
+
+  /**
+   * Get statistics
+   * @returns {TtsCacheStats}
+   */
+  getStats() {
+    const lookups = this._hits + this._misses;
+    return {
+      entries: this._entries.size,
+      sizeBytes: this._sizeBytes,
+      hits: this._hits,
+      misses: this._misses,
+      hitRate: lookups > 0 ? this._hits / lookups : 0
+    };
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits its limit
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _evict() {
+    for (const hash of this._entries.keys()) {
+      if (this._sizeBytes <= this.config.maxBytes) {
+        return;
+      }
+      await this._delete(hash);
+    }
+  }
+
+  /**
+   * Remove an entry and its file
+   * @param {string} hash
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _delete(hash) {
+    const entry = this._remove(hash);
+    if (entry && this.config.dir) {
+      await unlink(this._pathFor(hash, entry.sampleRate)).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove an entry from the index
+   * @param {string} hash
+   * @returns {CacheEntry|undefined} The removed entry
+   * @private
+   */
+  _remove(hash) {
+    const entry = this._entries.get(hash);
+    if (entry) {
+      this._entries.delete(hash);
+      this._sizeBytes -= entry.bytes;
+    }
+    return entry;
+  }
+
+  /**
+   * @param {string} hash
+   * @param {number} sampleRate
+   * @returns {string}
+   * @private
+   */
+  _pathFor(hash, sampleRate) {
+    return join(/** @type {string} */ (this.config.dir), `${hash}-${sampleRate}.pcm`);
+  }
+}
+
+/**
+ * Create a TtsCache instance
+ * @param {Partial<TtsCacheConfig>} [config={}] - Configuration
+ * @returns {TtsCache}
+ */
+export function createTtsCache(config = {}) {
+  return new TtsCache(config);
+}
+
+export default TtsCache;
@@ -0,0 +1,122 @@
+/**
+ * TTS Engines - Registry of text-to-speech backends
+ *
+ * StreamingTTS talks to TTS through a small engine interface, so the voice
+ * can be swapped by config (tts_backend) without touching the pipeline.
+ * Each engine streams PCM and reports its native sample rate; playback
+ * follows whatever rate the engine reports. Built-in backends:
+ * - piper: Piper neural voices (tts.mjs, the default)
+ * - espeak-ng: espeak-ng formant synthesizer (espeak-tts.mjs), a tiny
+ *   fallback voice that needs no model download
+ * - http: local OpenAI-compatible speech server (http-tts.mjs)
+ *
+ * Additional backends can be added with registerTtsBackend().
+ */
+
+import { TTS, DEFAULT_TTS_CONFIG } from './tts.mjs';
+import { EspeakTTS, DEFAULT_ESPEAK_TTS_CONFIG } from './espeak-tts.mjs';
+import { HttpTTS, DEFAULT_HTTP_TTS_CONFIG } from './http-tts.mjs';
+
+/**
+ * TTS engine interface implemented by every backend
+ *
+ * Engines are EventEmitters and may emit 'warning' (string) messages.
+ *
+ * @typedef {Object} TTSEngine
+ * @property {number} sampleRate - Native sample rate of the PCM the engine yields
+ * @property {boolean} synthesizing - Whether synthesis is in progress
+ * @property {function(string, import('./tts.mjs').TTSSynthesisOptions=): AsyncGenerator<Buffer>} synthesize - Stream s16le mono PCM for text
+ * @property {function(): void} stop - Cancel synthesis in progress (barge-in)
+ * @property {function(string, function(...any): void): any} on - Subscribe to engine events
+ * @property {function(): Promise<void>} [init] - Warm up before the first sentence
+ * @property {function(): void} [dispose] - Release processes the engine keeps running
+ * @property {function(): Object} [getStats] - Engine statistics
+ * @property {string} [voice] - Current voice (Piper model path, espeak-ng voice or server voice)
+ * @property {function(string): void} [setVoice] - Switch voice from the next sentence (Piper model path, espeak-ng voice or server voice)
+ * @property {function(number): void} [setSpeed] - Usual speaking rate, for engines that prepare per speed (Piper worker)
+ */
+
+/**
+ * Options handed to backend factories; each backend reads what it needs
+ *
+ * @typedef {Object} TTSBackendOptions
+ * @property {number} [sampleRate=22050] - Expected output sample rate (piper, http)
+ * @property {string} [modelPath] - Piper .onnx voice model (piper)
+ * @property {import('./tts.mjs').TTSMode} [mode='worker'] - Spawn Piper per sentence or keep a worker running (piper)
+ * @property {string} [espeakVoice] - espeak-ng voice, e.g. en-us (espeak-ng)
+ * @property {string} [url] - Speech server URL (http)
+ * @property {string} [model] - Model name sent to the server (http)
+ * @property {string} [voice] - Voice name sent to the server (http)
+ */
+
+/**
+ * @callback TTSBackendFactory
+ * @param {TTSBackendOptions} options - Backend options
+ * @returns {TTSEngine}
+ */
+
+/**
+ * Default TTS backend
+ */
+export const DEFAULT_TTS_BACKEND = 'piper';
+
+/**
+ * Registered backends by name
+ * @type {Map<string, TTSBackendFactory>}
+ */
+const backends = new Map();
+
+/**
+ * Register a TTS backend
+ *
+ * @param {string} name - Backend name (the tts_backend config value)
+ * @param {TTSBackendFactory} factory - Creates the engine from options
+ */
+export function registerTtsBackend(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('TTS backend needs a name and a factory function');
+  }
+  backends.set(name, factory);
+}
+
+/**
+ * Get the names of all registered TTS backends
+ * @returns {string[]}
+ */
+export function getTtsBackendNames() {
+  return [...backends.keys()];
+}
+
+/**
+ * Create a TTS engine by backend name
+ *
+ * @param {string} name - Backend name
+ * @param {TTSBackendOptions} options - Backend options
+ * @returns {TTSEngine}
+ * @throws {Error} If no backend is registered under that name
+ */
+export function createTtsEngine(name, options) {
+  const factory = backends.get(name);
+  if (!factory) {
+    throw new Error(`Unknown TTS backend: ${name}. Must be one of: ${getTtsBackendNames().join(', ')}`);
+  }
+  return factory(options);
+}
+
+registerTtsBackend('piper', (options) => new TTS({
+  modelPath: options.modelPath ?? '',
+  sampleRate: options.sampleRate ?? DEFAULT_TTS_CONFIG.sampleRate,
+  mode: options.mode ?? DEFAULT_TTS_CONFIG.mode
+}));
+
+// espeak-ng always writes 22050 Hz; the WAV header confirms it
+registerTtsBackend('espeak-ng', (options) => new EspeakTTS({
+  voice: options.espeakVoice ?? DEFAULT_ESPEAK_TTS_CONFIG.voice
+}));
+
+registerTtsBackend('http', (options) => new HttpTTS({
+  url: options.url ?? '',
+  model: options.model ?? DEFAULT_HTTP_TTS_CONFIG.model,
+  voice: options.voice ?? DEFAULT_HTTP_TTS_CONFIG.voice,
+  sampleRate: options.sampleRate ?? DEFAULT_HTTP_TTS_CONFIG.sampleRate
+}));
@@ -21,15 +21,31 @@
 import { EventEmitter } from 'events';
 import { StreamingTTS } from './streaming-tts.mjs';
 import { AudioPlayback } from '../audio/audio-playback.mjs';
+import { applyGain } from '../audio/audio-buffer.mjs';
 
 /**
  * @typedef {Object} TtsPlaybackPipelineConfig
- * @property {string} modelPath - Path to Piper .onnx voice model
- * @property {number} sampleRate - TTS output sample rate
+ * @property {string} [backend='piper'] - TTS backend name (see tts-engines.mjs)
+ * @property {string} modelPath - Path to Piper .onnx voice model (piper backend)
+ * @property {import('./tts.mjs').TTSMode} [mode] - Piper process mode (piper backend)
+ * @property {string} [espeakVoice] - espeak-ng voice (espeak-ng backend)
+ * @property {string} [url] - Speech server URL (http backend)
+ * @property {string} [httpModel] - Model name sent to the speech server (http backend)
+ * @property {string} [voice] - Voice name sent to the speech server (http backend)
+ * @property {import('./tts-engines.mjs').TTSEngine} [engine] - Use this engine instead of creating one from backend
+ * @property {number} sampleRate - Expected TTS output sample rate; the engine's reported rate wins
  * @property {number} bufferSizeMs - Jitter buffer size
  * @property {number} lowWatermarkMs - Start playback threshold
  * @property {number} frameDurationMs - Playback frame size
  * @property {number} minChunkChars - Minimum chars per sentence chunk
+ * @property {number} maxChunkChars - Maximum chars per chunk (run-on sentences split at clause breaks)
+ * @property {Partial<import('./text-normalizer.mjs').TextNormalizerConfig>|null} [normalizer] - Text normalization options (null = speak text as is)
+ * @property {boolean} [ssml=true] - Interpret SSML-lite markup (pauses, rate, emphasis, say-as)
+ * @property {number} [speed=1] - Speaking rate multiplier
+ * @property {number} [volume=1] - Output gain (1 = unchanged)
+ * @property {string|null} [outputDevice=null] - PulseAudio sink to play to (null = default sink)
+ * @property {string} [audioBackend='pulseaudio'] - Audio backend to play with (see audio-backends.mjs)
+ * @property {import('./tts-cache.mjs').TtsCache|Partial<import('./tts-cache.mjs').TtsCacheConfig>|null} [cache] - Audio cache options, or a cache shared with another pipeline (null = synthesize every sentence)
  */
 
 /**
@@ -41,14 +57,17 @@ export const DEFAULT_TTS_PLAYBACK_CONFIG = Object.freeze({
   bufferSizeMs: 500,
   lowWatermarkMs: 100,
   frameDurationMs: 20,
-  minChunkChars: 20
+  minChunkChars: 20,
+  maxChunkChars: 200,
+  speed: 1,
+  volume: 1
 });
 
 /**
  * TtsPlaybackPipeline - Complete text-to-speaker pipeline
  *
  * Orchestrates:
- * - StreamingTTS (sentence chunking + Piper synthesis)
+ * - StreamingTTS (sentence chunking + engine synthesis)
  * - JitterBuffer (smooth audio buffering)
  * - AudioPlayback (PulseAudio pacat output)
  *
@@ -72,19 +91,33 @@ export class TtsPlaybackPipeline extends EventEmitter {
 
     /** @type {StreamingTTS} */
     this._streamingTts = new StreamingTTS({
+      backend: this.config.backend,
       modelPath: this.config.modelPath,
+      mode: this.config.mode,
+      espeakVoice: this.config.espeakVoice,
+      url: this.config.url,
+      httpModel: this.config.httpModel,
+      voice: this.config.voice,
+      engine: this.config.engine,
       sampleRate: this.config.sampleRate,
       bufferSizeMs: this.config.bufferSizeMs,
       lowWatermarkMs: this.config.lowWatermarkMs,
       frameDurationMs: this.config.frameDurationMs,
-      minChunkChars: this.config.minChunkChars
+      minChunkChars: this.config.minChunkChars,
+      maxChunkChars: this.config.maxChunkChars,
+      normalizer: this.config.normalizer,
+      ssml: this.config.ssml,
+      speed: this.config.speed,
+      cache: this.config.cache
     });
 
     /** @type {AudioPlayback} */
     this._audioPlayback = new AudioPlayback({
-      sampleRate: this.config.sampleRate,
+      sampleRate: this._streamingTts.sampleRate,
       channels: 1,
-      format: 's16le'
+      format: 's16le',
+      device: this.config.outputDevice ?? null,
+      backend: this.config.audioBackend
     });
 
     /** @type {boolean} */
@@ -99,6 +132,10 @@ export class TtsPlaybackPipeline extends EventEmitter {
     /** @type {boolean} */
     this._disposed = false;
 
+    /** @type {number} - Output gain */
+    this._volume = 1;
+    this.setVolume(this.config.volume ?? 1);
+
     this._setupEventHandlers();
   }
 
@@ -111,11 +148,15 @@ export class TtsPlaybackPipeline extends EventEmitter {
   }
 
   /**
-   * Get the sample rate
+   * Get the playback sample rate
+   *
+   * This is the TTS engine's native rate, which may differ from the
+   * configured sampleRate (e.g. espeak-ng, or an HTTP server's voice).
+   *
    * @returns {number}
    */
   get sampleRate() {
-    return this.config.sampleRate;
+    return this._streamingTts.sampleRate;
   }
 
   /**
@@ -134,6 +175,69 @@ export class TtsPlaybackPipeline extends EventEmitter {
     return this._audioPlayback;
   }
 
+  /**
+   * Get the speaking rate multiplier
+   * @returns {number}
+   */
+  get speed() {
+    return this._streamingTts.speed;
+  }
+
+  /**
+   * Set the speaking rate from the next sentence
+   * @param {number} speed - Rate multiplier (1 = normal)
+   */
+  setSpeed(speed) {
+    this._streamingTts.setSpeed(speed);
+  }
+
+  /**
+   * Get the output gain
+   * @returns {number}
+   */
+  get volume() {
+    return this._volume;
+  }
+
+  /**
+   * Set the output gain; applies to the next playback frame
+   * @param {number} volume - Gain factor (0 = silent, 1 = unchanged)
+   */
+  setVolume(volume) {
+    if (typeof volume !== 'number' || !Number.isFinite(volume) || volume < 0) {
+      throw new Error('Volume must be a non-negative number');
+    }
+    this._volume = volume;
+  }
+
+  /**
+   * Get the TTS engine's current voice
+   * @returns {string|null}
+   */
+  get voice() {
+    return this._streamingTts.voice;
+  }
+
+  /**
+   * Switch the TTS voice from the next sentence
+   * @param {string} voice - Piper model path, espeak-ng voice or server voice, depending on the backend
+   */
+  setVoice(voice) {
+    this._streamingTts.setVoice(voice);
+  }
+
+  /**
+   * Play to another sink from the next response
+   *
+   * A response already playing finishes on the old sink.
+   *
+   * @param {string|null} device - PulseAudio sink name (null = default sink)
+   */
+  setOutputDevice(device) {
+    this.config.outputDevice = device;
+    this._audioPlayback.setDevice(device);
+  }
+
   /**
    * Setup event handlers for child components
    * @private
@@ -195,6 +299,18 @@ export class TtsPlaybackPipeline extends EventEmitter {
     });
   }
 
+  /**
+   * Warm up the TTS engine before the first response
+   *
+   * Starts the Piper worker so its voice load is not paid by the first
+   * sentence.
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await this._streamingTts.init();
+  }
+
   /**
    * Speak text through the complete pipeline
    *
@@ -225,10 +341,46 @@ export class TtsPlaybackPipeline extends EventEmitter {
 
     this.emit('speaking_started', { text });
 
+    await this._run(() => this._streamingTts.speak(text));
+  }
+
+  /**
+   * Speak incrementally arriving text through the complete pipeline
+   *
+   * Same as speak(), but sentences are synthesized as soon as they are
+   * complete in the streamed text. Used for streamed agent responses.
+   *
+   * @param {AsyncIterable<string>} source - Text deltas
+   * @returns {Promise<void>} Resolves when speaking is complete or stopped
+   */
+  async speakStream(source) {
+    if (this._disposed) {
+      throw new Error('TtsPlaybackPipeline has been disposed');
+    }
+
+    if (this._speaking) {
+      throw new Error('Already speaking');
+    }
+
+    this._speaking = true;
+    this._playbackStarted = false;
+
+    this.emit('speaking_started', { text: null, streaming: true });
+
+    await this._run(() => this._streamingTts.speakStream(source));
+  }
+
+  /**
+   * Run synthesis and playback until complete or stopped
+   * @param {function(): Promise<void>} synthesize - Starts StreamingTTS synthesis
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _run(synthesize) {
     try {
       // Start synthesis - this feeds the jitter buffer
       // The 'ready' event will trigger _startPlayback()
-      await this._streamingTts.speak(text);
+      await synthesize();
 
       // If playback hasn't started yet (very short text), start it now
       if (!this._playbackStarted && this._streamingTts.jitterBuffer.bufferedSamples > 0) {
@@ -277,7 +429,8 @@ export class TtsPlaybackPipeline extends EventEmitter {
     }
 
     this._playbackStarted = true;
-    this._audioPlayback.start(this.config.sampleRate);
+    // Open the device at the engine's rate, known once audio has arrived
+    this._audioPlayback.start(this._streamingTts.sampleRate);
 
     this.emit('ready');
 
@@ -306,7 +459,7 @@ export class TtsPlaybackPipeline extends EventEmitter {
 
     // Write to audio playback
     if (frame && frame.length > 0) {
-      this._audioPlayback.write(frame);
+      this._audioPlayback.write(applyGain(frame, this._volume));
     }
   }
 
@@ -379,8 +532,9 @@ export class TtsPlaybackPipeline extends EventEmitter {
    * @typedef {Object} TtsPlaybackPipelineStats
    * @property {boolean} speaking - Whether currently speaking
    * @property {boolean} playbackStarted - Whether playback has started
-   * @property {{speaking: boolean, currentSentence: number, totalSentences: number, buffer: Object}} synthesis - Synthesis stats
+   * @property {import('./streaming-tts.mjs').StreamingTTSStats} synthesis - Synthesis stats
    * @property {{running: boolean, bytesWritten: number}} playback - Playback stats
+   * @property {number|null} cacheHitRate - Share of sentences played from the audio cache (null without a cache)
    */
 
   /**
@@ -388,11 +542,13 @@ export class TtsPlaybackPipeline extends EventEmitter {
    * @returns {TtsPlaybackPipelineStats}
    */
   getStats() {
+    const synthesis = this._streamingTts.getStats();
     return {
       speaking: this._speaking,
       playbackStarted: this._playbackStarted,
-      synthesis: this._streamingTts.getStats(),
-      playback: this._audioPlayback.getStats()
+      synthesis,
+      playback: this._audioPlayback.getStats(),
+      cacheHitRate: synthesis.cache?.hitRate ?? null
     };
   }
 
@@ -404,6 +560,7 @@ export class TtsPlaybackPipeline extends EventEmitter {
   dispose() {
     this._disposed = true;
     this.stop();
+    this._streamingTts.dispose();
     this._audioPlayback.removeAllListeners();
     this._streamingTts.removeAllListeners();
     this.removeAllListeners();
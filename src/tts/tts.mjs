@@ -11,15 +11,51 @@
  * - Piper has significant cold start latency (4-14 seconds first inference)
  * - Sentence-level chunking enables streaming playback
  * - FR-4: Audio begins within 500ms of synthesis start (after warm-up)
+ * - Worker mode (piper-worker.mjs) keeps one Piper process with the voice
+ *   loaded instead of spawning Piper per sentence
+ *
+ * TTS is also the base for other command-line engines (espeak-tts.mjs),
+ * which override _command() and _createDecoder().
  */
 
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
+import { PiperWorker } from './piper-worker.mjs';
+
+/**
+ * Piper process mode
+ * - oneshot: spawn Piper for every sentence (reloads the voice each time)
+ * - worker: keep one Piper process running with the voice loaded
+ * @typedef {'oneshot'|'worker'} TTSMode
+ */
 
 /**
  * @typedef {Object} TTSConfig
  * @property {string} modelPath - Path to Piper .onnx voice model
  * @property {number} sampleRate - Output sample rate (from model config)
+ * @property {TTSMode} [mode='worker'] - Spawn Piper per sentence or keep a worker running
+ */
+
+/**
+ * Per-sentence synthesis options (from SSML-lite markup)
+ * @typedef {Object} TTSSynthesisOptions
+ * @property {number} [rate=1] - Speaking rate multiplier (2 = twice as fast); Piper's length_scale is 1 / rate
+ */
+
+/**
+ * Piper's --length_scale for a speaking rate
+ * @param {number} rate - Speaking rate multiplier
+ * @returns {number}
+ */
+function lengthScale(rate) {
+  return Math.round(100 / rate) / 100;
+}
+
+/**
+ * @typedef {Object} TTSStats
+ * @property {TTSMode} mode - Active process mode
+ * @property {number} processStarts - Piper processes started (one per sentence in oneshot mode)
+ * @property {number} voiceLoadTimeMs - Voice load time Piper last reported (0 if unknown)
  */
 
 /**
@@ -27,7 +63,8 @@ import { EventEmitter } from 'events';
  */
 export const DEFAULT_TTS_CONFIG = Object.freeze({
   modelPath: '',
-  sampleRate: 22050
+  sampleRate: 22050,
+  mode: /** @type {TTSMode} */ ('worker')
 });
 
 /**
@@ -52,6 +89,21 @@ export class TTS extends EventEmitter {
 
     /** @type {boolean} */
     this._cancelled = false;
+
+    /** @type {PiperWorker|null} */
+    this._worker = null;
+
+    /** @type {import('./piper-worker.mjs').PiperRequest|null} - Sentence the worker is producing */
+    this._workerRequest = null;
+
+    /** @type {boolean} - Voice or speed changed; replace the worker before the next sentence */
+    this._workerStale = false;
+
+    /** @type {number} - Speaking rate the worker runs at (see setSpeed) */
+    this._speed = 1;
+
+    /** @type {number} - One-shot processes spawned (and starts of replaced workers) */
+    this._processStarts = 0;
   }
 
   /**
@@ -70,20 +122,79 @@ export class TTS extends EventEmitter {
     return this.config.sampleRate;
   }
 
+  /**
+   * Get the current voice (Piper model path)
+   * @returns {string}
+   */
+  get voice() {
+    return this.config.modelPath;
+  }
+
+  /**
+   * Name used in error messages
+   * @returns {string}
+   */
+  get engineName() {
+    return 'Piper';
+  }
+
+  /**
+   * Throw if the engine is missing required configuration
+   * @throws {Error} If model path not configured
+   * @protected
+   */
+  _checkConfig() {
+    if (!this.config.modelPath) {
+      throw new Error('TTS model path not configured');
+    }
+  }
+
+  /**
+   * Command line for one synthesis; text is written to stdin
+   * @param {TTSSynthesisOptions} [options={}] - Per-sentence options
+   * @returns {{command: string, args: string[]}}
+   * @protected
+   */
+  _command(options = {}) {
+    const args = ['--model', this.config.modelPath, '--output_raw'];
+    const rate = options.rate ?? 1;
+    if (rate !== 1) {
+      args.push('--length_scale', String(lengthScale(rate)));
+    }
+    return { command: 'piper', args };
+  }
+
+  /**
+   * Create a per-synthesis stdout decoder
+   *
+   * Piper already writes raw PCM, so no decoding is needed. Engines that
+   * write a container format return a function mapping each stdout chunk
+   * to the PCM it contains.
+   *
+   * @returns {((chunk: Buffer) => Buffer)|null}
+   * @protected
+   */
+  _createDecoder() {
+    return null;
+  }
+
   /**
    * Synthesize text to audio (streaming)
    *
    * Returns an async iterable that yields audio chunks as they become available.
    * This enables streaming playback where audio starts before the full text is synthesized.
    *
+   * The Piper worker cannot change length_scale per sentence, so sentences
+   * with a rate other than the speed set by setSpeed() are synthesized by a
+   * one-shot process.
+   *
    * @param {string} text - Text to synthesize
+   * @param {TTSSynthesisOptions} [options={}] - Per-sentence options
    * @yields {Buffer} Audio chunks (raw PCM, s16le, mono)
    * @throws {Error} If model path not configured or synthesis fails
    */
-  async *synthesize(text) {
-    if (!this.config.modelPath) {
-      throw new Error('TTS model path not configured');
-    }
+  async *synthesize(text, options = {}) {
+    this._checkConfig();
 
     if (!text || typeof text !== 'string') {
       throw new Error('Text must be a non-empty string');
@@ -93,19 +204,160 @@ export class TTS extends EventEmitter {
       throw new Error('Synthesis already in progress');
     }
 
+    this.emit('synthesis_started', { text });
+
+    if (this.config.mode === 'worker' && (options.rate ?? 1) === this._speed) {
+      const fellBack = yield* this._synthesizeWithWorker(text);
+      if (!fellBack) {
+        return;
+      }
+    }
+
+    yield* this._synthesizeWithProcess(text, options);
+  }
+
+  /**
+   * Start the Piper worker so the voice loads before the first sentence
+   *
+   * No-op in oneshot mode. Load errors surface on the first sentence.
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.config.mode === 'worker' && this.config.modelPath) {
+      this._getWorker().start();
+    }
+  }
+
+  /**
+   * Switch to another voice from the next sentence
+   *
+   * The worker keeps the old voice loaded until the current sentence is
+   * done and is restarted with the new model for the next one.
+   *
+   * @param {string} voice - Path to a Piper .onnx voice model
+   */
+  setVoice(voice) {
+    if (!voice || typeof voice !== 'string') {
+      throw new Error('Voice must be a non-empty string');
+    }
+    if (voice !== this.config.modelPath) {
+      this.config.modelPath = voice;
+      this._workerStale = true;
+    }
+  }
+
+  /**
+   * Set the usual speaking rate, so the worker runs Piper at that speed
+   *
+   * Callers still pass the rate per sentence (see synthesize()); this only
+   * decides which rate the resident worker is started with.
+   *
+   * @param {number} speed - Speaking rate multiplier (1 = normal)
+   */
+  setSpeed(speed) {
+    if (speed !== this._speed) {
+      this._speed = speed;
+      this._workerStale = true;
+    }
+  }
+
+  /**
+   * Get the Piper worker, creating it on first use
+   * @returns {PiperWorker}
+   * @private
+   */
+  _getWorker() {
+    if (this._worker && this._workerStale) {
+      this._processStarts += this._worker.startCount;
+      this._worker.stop();
+      this._worker = null;
+    }
+    this._workerStale = false;
+
+    if (!this._worker) {
+      this._worker = new PiperWorker({
+        modelPath: this.config.modelPath,
+        lengthScale: lengthScale(this._speed)
+      });
+      this._worker.on('warning', (message) => this.emit('warning', message));
+    }
+    return this._worker;
+  }
+
+  /**
+   * Synthesize one sentence through the resident Piper worker
+   *
+   * If the worker fails before it has ever finished a sentence (e.g. a
+   * Piper build without JSON input), switches to oneshot mode for good.
+   *
+   * @param {string} text - Text to synthesize
+   * @returns {AsyncGenerator<Buffer, boolean>} Yields the sentence PCM; returns true to fall back to oneshot
+   * @private
+   */
+  async *_synthesizeWithWorker(text) {
     this._synthesizing = true;
     this._cancelled = false;
-    this.emit('synthesis_started', { text });
 
     try {
-      const args = [
-        '--model', this.config.modelPath,
-        '--output_raw'
-      ];
+      const worker = this._getWorker();
+      this._workerRequest = worker.synthesize(text);
+
+      let sentence;
+      try {
+        sentence = await this._workerRequest.result;
+      } catch (err) {
+        if (this._cancelled || worker.completedCount > 0) {
+          throw err;
+        }
+        const message = err instanceof Error ? err.message : String(err);
+        this.emit('warning', `Piper worker mode failed, spawning Piper per sentence instead: ${message}`);
+        this.config.mode = 'oneshot';
+        worker.stop();
+        this._worker = null;
+        return true;
+      }
 
-      this._process = spawn('piper', args, {
+      // null once cancelled by stop()
+      if (!sentence || this._cancelled) {
+        return false;
+      }
+
+      if (sentence.sampleRate) {
+        this.config.sampleRate = sentence.sampleRate;
+      }
+      if (sentence.pcm.length > 0) {
+        yield sentence.pcm;
+      }
+
+      this.emit('synthesis_complete', { text });
+      return false;
+
+    } finally {
+      this._synthesizing = false;
+      this._workerRequest = null;
+    }
+  }
+
+  /**
+   * Synthesize text by spawning the engine process once
+   * @param {string} text - Text to synthesize
+   * @param {TTSSynthesisOptions} options - Per-sentence options
+   * @returns {AsyncGenerator<Buffer>}
+   * @private
+   */
+  async *_synthesizeWithProcess(text, options) {
+    this._synthesizing = true;
+    this._cancelled = false;
+
+    try {
+      const { command, args } = this._command(options);
+      const decode = this._createDecoder();
+
+      this._process = spawn(command, args, {
         stdio: ['pipe', 'pipe', 'pipe']
       });
+      this._processStarts++;
 
       // Set up chunk buffer for yielding
       /** @type {Buffer[]} */
@@ -115,7 +367,25 @@ export class TTS extends EventEmitter {
       let resolveChunk = /** @type {((value: boolean) => void)|null} */ (null);
 
       // Handle stdout (audio data)
-      this._process.stdout?.on('data', (/** @type {Buffer} */ chunk) => {
+      this._process.stdout?.on('data', (/** @type {Buffer} */ data) => {
+        if (error) {
+          return;
+        }
+
+        let chunk = data;
+        if (decode) {
+          try {
+            chunk = decode(data);
+          } catch (err) {
+            // Unreadable output: stop the engine and report once it exits
+            error = /** @type {Error} */ (err);
+            this._process?.kill('SIGTERM');
+            return;
+          }
+        }
+        if (chunk.length === 0) {
+          return;
+        }
         chunks.push(chunk);
         if (resolveChunk) {
           resolveChunk(true);
@@ -135,8 +405,8 @@ export class TTS extends EventEmitter {
       // Handle process exit
       this._process.on('exit', (code, _signal) => {
         processExited = true;
-        if (code !== 0 && code !== null && !this._cancelled) {
-          error = new Error(`Piper exited with code ${code}`);
+        if (!error && code !== 0 && code !== null && !this._cancelled) {
+          error = new Error(`${this.engineName} exited with code ${code}`);
         }
         if (resolveChunk) {
           resolveChunk(false);
@@ -165,7 +435,7 @@ export class TTS extends EventEmitter {
         }
 
         if (chunks.length > 0) {
-          yield chunks.shift();
+          yield /** @type {Buffer} */ (chunks.shift());
         } else if (!processExited) {
           // Wait for more data or process exit
           await new Promise((resolve) => {
@@ -212,6 +482,15 @@ export class TTS extends EventEmitter {
    * Used for barge-in - cancels any pending synthesis.
    */
   stop() {
+    if (this._synthesizing && this._workerRequest) {
+      // Stop waiting for the sentence; the worker itself keeps running
+      this._cancelled = true;
+      this._workerRequest.cancel();
+      this._synthesizing = false;
+      this.emit('synthesis_cancelled');
+      return;
+    }
+
     if (!this._synthesizing || !this._process) {
       return;
     }
@@ -222,6 +501,27 @@ export class TTS extends EventEmitter {
     this.emit('synthesis_cancelled');
   }
 
+  /**
+   * Get process statistics
+   * @returns {TTSStats}
+   */
+  getStats() {
+    return {
+      mode: this.config.mode ?? 'oneshot',
+      processStarts: this._processStarts + (this._worker?.startCount ?? 0),
+      voiceLoadTimeMs: this._worker?.lastLoadTimeMs ?? 0
+    };
+  }
+
+  /**
+   * Stop synthesis and the Piper worker
+   */
+  dispose() {
+    this.stop();
+    this._worker?.stop();
+    this._worker = null;
+  }
+
   /**
    * Calculate duration of audio buffer in milliseconds
    * @param {Buffer} buffer - Audio buffer
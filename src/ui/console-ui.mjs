@@ -10,6 +10,10 @@
  * - Display mode-aware rendering (voice_only, minimal, transcript)
  * - Error message display
  * - Conversation history in transcript mode
+ * - Media attachments listed in transcript mode
+ * - Active OpenClaw agent shown next to the status
+ * - Reconnect progress after the gateway drops
+ * - Messages queued while the gateway is down, and their delivery
  */
 
 import { EventEmitter } from 'events';
@@ -87,6 +91,12 @@ export class ConsoleUI extends EventEmitter {
     /** @type {boolean} */
     this._attached = false;
 
+    /** @type {string|null} - Active OpenClaw agent */
+    this._agentId = null;
+
+    /** @type {boolean} - A partial transcript line is on screen (no newline yet) */
+    this._partialShown = false;
+
     // Forward formatter events
     this._formatter.on('mode_changed', (data) => this.emit('mode_changed', data));
   }
@@ -130,6 +140,7 @@ export class ConsoleUI extends EventEmitter {
     // Initialize with current state
     const state = sessionManager.getState();
     this._formatter.setStatus(state.status);
+    this._agentId = sessionManager.agentId ?? null;
 
     this.emit('attached');
   }
@@ -145,6 +156,7 @@ export class ConsoleUI extends EventEmitter {
     this._removeEventHandlers();
     this._sessionManager = null;
     this._attached = false;
+    this._agentId = null;
 
     this.emit('detached');
   }
@@ -169,13 +181,35 @@ export class ConsoleUI extends EventEmitter {
     this._writeLine(this._colorize(output));
   }
 
+  /**
+   * Get the active agent shown in the status line
+   * @returns {string|null}
+   */
+  get agentId() {
+    return this._agentId;
+  }
+
   /**
    * Show a status message
    * @param {string} status - Status text
    */
   showStatus(status) {
     const coloredStatus = this._applyStatusColor(status, this._formatter.currentStatus);
-    this._writeLine(`[${coloredStatus}]`);
+    const agent = this._agentId ? ` (agent: ${this._agentId})` : '';
+    this._writeLine(`[${coloredStatus}]${agent}`);
+  }
+
+  /**
+   * Show an agent switch
+   * @param {string} agentId - New agent ID
+   */
+  showAgentChanged(agentId) {
+    if (this._formatter.displayMode === 'voice_only') {
+      return;
+    }
+
+    const message = `[Agent: ${agentId}]`;
+    this._writeLine(this._colorOutput ? `${COLORS.magenta}${message}${COLORS.reset}` : message);
   }
 
   /**
@@ -205,6 +239,25 @@ export class ConsoleUI extends EventEmitter {
     this._writeLine(colored);
   }
 
+  /**
+   * Show the transcript of an utterance still in progress
+   *
+   * Rewritten in place on one line while the user speaks; the next line
+   * written (normally the final transcript) replaces it.
+   *
+   * @param {string} text - Transcript so far
+   */
+  showPartialTranscript(text) {
+    // Only show in transcript mode
+    if (this._formatter.displayMode !== 'transcript') {
+      return;
+    }
+
+    const line = `You: ${text}...`;
+    this._output.write(`\r\x1b[K${this._colorOutput ? `${COLORS.dim}${line}${COLORS.reset}` : line}`);
+    this._partialShown = true;
+  }
+
   /**
    * Show an agent response
    * @param {string} text - Response text
@@ -221,6 +274,22 @@ export class ConsoleUI extends EventEmitter {
     this._writeLine(colored);
   }
 
+  /**
+   * Show media attachments sent by the agent
+   * @param {import('../openclaw/media.mjs').OpenClawMedia[]} media - Attachments
+   */
+  showMedia(media) {
+    // Only shown in transcript mode
+    const lines = this._formatter.formatMedia(media);
+    if (!lines) {
+      return;
+    }
+
+    for (const line of lines) {
+      this._writeLine(this._colorOutput ? `${COLORS.green}${line}${COLORS.reset}` : line);
+    }
+  }
+
   /**
    * Show TTS fallback message and response text
    *
@@ -259,6 +328,53 @@ export class ConsoleUI extends EventEmitter {
     this._writeLine(colored);
   }
 
+  /**
+   * Show reconnect progress after the gateway dropped
+   * @param {'recovering'|'recovered'|'recovery_failed'} phase - Recovery phase
+   * @param {{attempt?: number, maxAttempts?: number, attempts?: number}} data - Recovery event data
+   */
+  showRecovery(phase, data) {
+    let message;
+    let color;
+    if (phase === 'recovering') {
+      message = `[Reconnecting to OpenClaw... attempt ${data.attempt}/${data.maxAttempts}]`;
+      color = COLORS.yellow;
+    } else if (phase === 'recovered') {
+      message = '[Reconnected]';
+      color = COLORS.green;
+    } else {
+      message = `[Could not reconnect after ${data.attempts} attempts]`;
+      color = COLORS.red;
+    }
+
+    this._writeLine(this._colorOutput ? `${color}${message}${COLORS.reset}` : message);
+  }
+
+  /**
+   * Show outbound queue activity
+   * @param {'message_queued'|'queue_delivered'|'queue_cleared'} kind - Queue event
+   * @param {{text?: string, size?: number, remaining?: number, count?: number}} data - Queue event data
+   */
+  showQueue(kind, data) {
+    if (this._formatter.displayMode === 'voice_only') {
+      return;
+    }
+
+    if (kind === 'queue_delivered') {
+      // The reply itself arrives as a normal response
+      if (this._formatter.displayMode === 'transcript') {
+        const line = `You (queued): ${data.text}`;
+        this._writeLine(this._colorOutput ? `${COLORS.cyan}${line}${COLORS.reset}` : line);
+      }
+      return;
+    }
+
+    const message = kind === 'message_queued'
+      ? `[Queued - ${data.size} waiting for OpenClaw]`
+      : `[Dropped ${data.count} queued message${data.count === 1 ? '' : 's'}]`;
+    this._writeLine(this._colorOutput ? `${COLORS.yellow}${message}${COLORS.reset}` : message);
+  }
+
   /**
    * Clear the conversation history display
    */
@@ -303,6 +419,7 @@ export class ConsoleUI extends EventEmitter {
     this._handlers = {
       state_changed: this._onStateChanged.bind(this),
       transcript: this._onTranscript.bind(this),
+      partial_transcript: this._onPartialTranscript.bind(this),
       response: this._onResponse.bind(this),
       error: this._onError.bind(this),
       connection_changed: this._onConnectionChanged.bind(this),
@@ -310,7 +427,15 @@ export class ConsoleUI extends EventEmitter {
       speaking_complete: this._onSpeakingComplete.bind(this),
       barge_in: this._onBargeIn.bind(this),
       wake_word_detected: this._onWakeWordDetected.bind(this),
-      tts_fallback: this._onTtsFallback.bind(this)
+      tts_fallback: this._onTtsFallback.bind(this),
+      agent_changed: this._onAgentChanged.bind(this),
+      media_received: this._onMediaReceived.bind(this),
+      recovering: this._onRecovery.bind(this, 'recovering'),
+      recovered: this._onRecovery.bind(this, 'recovered'),
+      recovery_failed: this._onRecovery.bind(this, 'recovery_failed'),
+      message_queued: this._onQueue.bind(this, 'message_queued'),
+      queue_delivered: this._onQueue.bind(this, 'queue_delivered'),
+      queue_cleared: this._onQueue.bind(this, 'queue_cleared')
     };
 
     for (const [event, handler] of Object.entries(this._handlers)) {
@@ -354,6 +479,16 @@ export class ConsoleUI extends EventEmitter {
     this.emit('transcript_displayed', data);
   }
 
+  /**
+   * Handle partial transcript events (user still speaking)
+   * @param {{text: string, audioDurationMs?: number, sttDurationMs?: number}} data - Partial transcript data
+   * @private
+   */
+  _onPartialTranscript(data) {
+    this.showPartialTranscript(data.text);
+    this.emit('partial_transcript_displayed', data);
+  }
+
   /**
    * Handle response events
    * @param {{text: string, sessionId?: string}} data - Response data
@@ -365,6 +500,17 @@ export class ConsoleUI extends EventEmitter {
     this.emit('response_displayed', data);
   }
 
+  /**
+   * Handle media events
+   * @param {{media: import('../openclaw/media.mjs').OpenClawMedia[], sessionId: string|null}} data - Media data
+   * @private
+   */
+  _onMediaReceived(data) {
+    this._formatter.addMedia(data.media);
+    this.showMedia(data.media);
+    this.emit('media_displayed', data);
+  }
+
   /**
    * Handle error events
    * @param {{type: string, message: string}} data - Error data
@@ -386,6 +532,31 @@ export class ConsoleUI extends EventEmitter {
     this.emit('connection_displayed', data);
   }
 
+  /**
+   * Handle connection recovery events
+   * @param {'recovering'|'recovered'|'recovery_failed'} phase - Recovery phase
+   * @param {{attempt?: number, maxAttempts?: number, attempts?: number, totalTimeMs?: number}} data - Recovery event data
+   * @private
+   */
+  _onRecovery(phase, data) {
+    this.showRecovery(phase, data);
+    this.emit('recovery_displayed', { phase, ...data });
+  }
+
+  /**
+   * Handle outbound queue events
+   * @param {'message_queued'|'queue_delivered'|'queue_cleared'} kind - Queue event
+   * @param {{text?: string, size?: number, remaining?: number, count?: number}} data - Queue event data
+   * @private
+   */
+  _onQueue(kind, data) {
+    if (kind === 'queue_delivered' && data.text) {
+      this._formatter.addTranscript(data.text);
+    }
+    this.showQueue(kind, data);
+    this.emit('queue_displayed', { kind, ...data });
+  }
+
   /**
    * Handle speaking started events
    * @param {{text?: string}} data - Speaking data
@@ -446,6 +617,17 @@ export class ConsoleUI extends EventEmitter {
     this.emit('tts_fallback_displayed', data);
   }
 
+  /**
+   * Handle agent switch events
+   * @param {{from: string, to: string, sessionId: string|null}} data - Agent change data
+   * @private
+   */
+  _onAgentChanged(data) {
+    this._agentId = data.to;
+    this.showAgentChanged(data.to);
+    this.emit('agent_displayed', data);
+  }
+
   /**
    * Apply status color to text
    * @param {string} text - Text to color
@@ -487,6 +669,11 @@ export class ConsoleUI extends EventEmitter {
    * @private
    */
   _writeLine(text) {
+    if (this._partialShown) {
+      // Replace the partial transcript line
+      this._output.write('\r\x1b[K');
+      this._partialShown = false;
+    }
     this._output.write(text + '\n');
   }
 
@@ -20,11 +20,16 @@ import { EventEmitter } from 'events';
  * @typedef {'idle' | 'listening' | 'processing' | 'speaking' | 'waiting_for_wakeword'} ConversationStatus
  */
 
+/**
+ * @typedef {import('../openclaw/media.mjs').OpenClawMedia} OpenClawMedia
+ */
+
 /**
  * @typedef {Object} ConversationEntry
  * @property {'user' | 'agent'} role - Who said this
  * @property {string} text - The spoken/response text
  * @property {number} timestamp - When this occurred
+ * @property {OpenClawMedia[]} [media] - Attachments sent by the agent
  */
 
 /**
@@ -183,6 +188,40 @@ export class DisplayFormatter extends EventEmitter {
     this.emit('response_added', { text });
   }
 
+  /**
+   * Record media attachments sent by the agent
+   * @param {OpenClawMedia[]} media - Attachments
+   */
+  addMedia(media) {
+    this._addToHistory({
+      role: 'agent',
+      text: '',
+      timestamp: Date.now(),
+      media: [...media]
+    });
+
+    this.emit('media_added', { media });
+  }
+
+  /**
+   * Format media attachments (respects display mode)
+   *
+   * One line per attachment, e.g. "Agent sent image: https://.../cat.png".
+   *
+   * @param {OpenClawMedia[]} media - Attachments
+   * @returns {string[]|null} - Lines, or null if hidden
+   */
+  formatMedia(media) {
+    if (this._displayMode !== 'transcript') {
+      return null;
+    }
+
+    return media.map(item => {
+      const caption = item.caption ? ` (${item.caption})` : '';
+      return `Agent sent ${item.type}: ${item.url}${caption}`;
+    });
+  }
+
   /**
    * Set an error message
    * @param {string|null} error - Error message or null to clear
@@ -5,6 +5,8 @@
  * - Track STT latency (stt_start -> stt_done)
  * - Track TTS time-to-first-audio (tts_start -> first_audio_out)
  * - Track barge-in stop latency (barge_in_detected -> playback_stopped)
+ * - Track per-sentence TTS latency (sentence sent -> first PCM), which
+ *   shows what Piper's voice load costs each sentence
  *
  * Required Metrics:
  * - P50/P95 for STT latency on short utterances (<5s speech)
@@ -44,6 +46,7 @@ import { EventEmitter } from 'events';
  * @property {PercentileStats} stt - STT latency stats
  * @property {PercentileStats} tts - TTS time-to-first-audio stats
  * @property {PercentileStats} bargeIn - Barge-in stop latency stats
+ * @property {PercentileStats} ttsSentence - Per-sentence TTS latency stats (informational, no target)
  * @property {number} totalMeasurements - Total measurements taken
  * @property {string} timestamp - Summary generation timestamp
  */
@@ -69,6 +72,7 @@ export const DEFAULT_LATENCY_CONFIG = Object.freeze({
  * - 'stt_complete': STT measurement completed
  * - 'tts_first_audio': TTS first audio measurement completed
  * - 'barge_in_complete': Barge-in stop measurement completed
+ * - 'tts_sentence': Per-sentence TTS measurement recorded
  * - 'threshold_exceeded': A latency exceeded its target threshold
  */
 export class LatencyMetrics extends EventEmitter {
@@ -91,6 +95,9 @@ export class LatencyMetrics extends EventEmitter {
     /** @type {number[]} - Barge-in stop latencies */
     this._bargeInLatencies = [];
 
+    /** @type {number[]} - Per-sentence TTS latencies (sentence sent -> first PCM) */
+    this._ttsSentenceLatencies = [];
+
     /** @type {number|null} - Current STT start time */
     this._sttStartTime = null;
 
@@ -217,6 +224,21 @@ export class LatencyMetrics extends EventEmitter {
     this._ttsFirstAudioReceived = false;
   }
 
+  /**
+   * Record how long the TTS engine took to return audio for one sentence
+   *
+   * Measured by StreamingTTS from handing the sentence to the engine to
+   * its first PCM chunk.
+   *
+   * @param {number} durationMs - Sentence latency in ms
+   */
+  recordTtsSentence(durationMs) {
+    if (!this.enabled) return;
+
+    this._addMeasurement(this._ttsSentenceLatencies, durationMs);
+    this.emit('tts_sentence', { durationMs });
+  }
+
   /**
    * Mark the start of barge-in detection
    */
@@ -311,22 +333,25 @@ export class LatencyMetrics extends EventEmitter {
       stt: this._calculatePercentiles(this._sttLatencies),
       tts: this._calculatePercentiles(this._ttsLatencies),
       bargeIn: this._calculatePercentiles(this._bargeInLatencies),
+      ttsSentence: this._calculatePercentiles(this._ttsSentenceLatencies),
       totalMeasurements: this._sttLatencies.length +
                          this._ttsLatencies.length +
-                         this._bargeInLatencies.length,
+                         this._bargeInLatencies.length +
+                         this._ttsSentenceLatencies.length,
       timestamp: new Date().toISOString()
     };
   }
 
   /**
    * Get raw latency arrays for detailed analysis
-   * @returns {{stt: number[], tts: number[], bargeIn: number[]}}
+   * @returns {{stt: number[], tts: number[], bargeIn: number[], ttsSentence: number[]}}
    */
   getRawMetrics() {
     return {
       stt: [...this._sttLatencies],
       tts: [...this._ttsLatencies],
-      bargeIn: [...this._bargeInLatencies]
+      bargeIn: [...this._bargeInLatencies],
+      ttsSentence: [...this._ttsSentenceLatencies]
     };
   }
 
@@ -373,6 +398,12 @@ export class LatencyMetrics extends EventEmitter {
       `  P95: ${summary.tts.p95.toFixed(0)}ms`,
       `  Min/Max: ${summary.tts.min.toFixed(0)}ms / ${summary.tts.max.toFixed(0)}ms`,
       '',
+      'TTS Per-Sentence Latency',
+      `  Count: ${summary.ttsSentence.count}`,
+      `  P50: ${summary.ttsSentence.p50.toFixed(0)}ms`,
+      `  P95: ${summary.ttsSentence.p95.toFixed(0)}ms`,
+      `  Min/Max: ${summary.ttsSentence.min.toFixed(0)}ms / ${summary.ttsSentence.max.toFixed(0)}ms`,
+      '',
       `Barge-in Stop Latency (target: <${this.BARGE_IN_TARGET_MS}ms) ${targets.bargeIn ? '✓' : '✗'}`,
       `  Count: ${summary.bargeIn.count}`,
       `  P50: ${summary.bargeIn.p50.toFixed(0)}ms`,
@@ -393,6 +424,7 @@ export class LatencyMetrics extends EventEmitter {
     this._sttLatencies = [];
     this._ttsLatencies = [];
     this._bargeInLatencies = [];
+    this._ttsSentenceLatencies = [];
     this._sttStartTime = null;
     this._ttsStartTime = null;
     this._bargeInStartTime = null;
@@ -293,6 +293,15 @@ export class VADProcessor extends EventEmitter {
     return null;
   }
 
+  /**
+   * Get the audio of the utterance in progress (for partial transcripts)
+   *
+   * @returns {Int16Array|null} Speech buffered so far, or null when not in speech
+   */
+  getSpeechAudio() {
+    return this._vadState.peekSpeechAudio();
+  }
+
   /**
    * Reset processor state (clears buffers and LSTM states)
    */
@@ -279,6 +279,21 @@ export class VADState {
     // Note: Don't reset bargeInMode or lastProbability
   }
 
+  /**
+   * Get a copy of the audio buffered so far in the current utterance
+   *
+   * Does not consume the buffer; the full utterance is still returned
+   * with speech_ended.
+   *
+   * @returns {Int16Array|null} Buffered speech, or null when not in speech
+   */
+  peekSpeechAudio() {
+    if (!this._inSpeech) {
+      return null;
+    }
+    return this._speechBuffer.peek(this._speechBuffer.available());
+  }
+
   /**
    * Get buffered audio duration in milliseconds
    * @returns {number}
@@ -11,6 +11,11 @@
  * - Leverages existing VAD + STT pipeline for continuous low-power listening
  * - Compares transcripts against configured wake phrase
  * - Normalizes both for case-insensitive, punctuation-tolerant matching
+ * - Also checks partial transcripts, so the wake phrase is recognized
+ *   while the user is still speaking
+ * - Per-language wake phrases ("hallo scout" for German): the phrase for
+ *   the transcript's language is tried first, then all others, since
+ *   language detection on a short wake phrase is unreliable
  *
  * Events:
  * - 'detected': Wake word detected in transcript
@@ -22,6 +27,7 @@ import { EventEmitter } from 'events';
 /**
  * @typedef {Object} WakeWordDetectorConfig
  * @property {string} [wakePhrase='hey scout'] - Wake word phrase to detect
+ * @property {Record<string, string>} [wakePhrases={}] - Extra wake phrases by language code, e.g. { de: 'hallo scout' }
  * @property {boolean} [enabled=false] - Whether wake word detection is enabled
  * @property {number} [minMatchScore=0.8] - Minimum fuzzy match score (0-1)
  */
@@ -29,9 +35,19 @@ import { EventEmitter } from 'events';
 /**
  * @typedef {Object} WakeWordDetectedEvent
  * @property {string} transcript - The transcript that matched
- * @property {string} wakePhrase - The configured wake phrase
+ * @property {string} wakePhrase - The wake phrase that matched
+ * @property {string|null} [language] - Language of the matched phrase (null for the default phrase)
  * @property {number} matchScore - How well it matched (0-1)
  * @property {string} [remainingText] - Text after the wake phrase (if any)
+ * @property {boolean} [partial] - Detected in a partial transcript (utterance still in progress)
+ */
+
+/**
+ * @typedef {Object} WakePhrase
+ * @property {string} phrase - Phrase as configured
+ * @property {string|null} language - Language code (null for the default phrase)
+ * @property {string} normalized - Normalized phrase
+ * @property {string[]} words - Words of the normalized phrase
  */
 
 /**
@@ -62,11 +78,9 @@ export class WakeWordDetector extends EventEmitter {
     /** @type {boolean} */
     this._enabled = this.config.enabled ?? false;
 
-    /** @type {string} */
-    this._wakePhrase = this._normalizeText(this.config.wakePhrase ?? 'hey scout');
-
-    /** @type {string[]} */
-    this._wakePhraseWords = this._wakePhrase.split(/\s+/).filter(w => w.length > 0);
+    /** @type {WakePhrase[]} - Default phrase first, then one per language */
+    this._phrases = [];
+    this._updatePhrases();
 
     /** @type {number} */
     this._detectionCount = 0;
@@ -91,6 +105,14 @@ export class WakeWordDetector extends EventEmitter {
     return this.config.wakePhrase ?? 'hey scout';
   }
 
+  /**
+   * Get the wake phrases by language code
+   * @returns {Record<string, string>}
+   */
+  get wakePhrases() {
+    return { ...this.config.wakePhrases };
+  }
+
   /**
    * Enable wake word detection
    */
@@ -119,17 +141,29 @@ export class WakeWordDetector extends EventEmitter {
    */
   setWakePhrase(phrase) {
     this.config.wakePhrase = phrase;
-    this._wakePhrase = this._normalizeText(phrase);
-    this._wakePhraseWords = this._wakePhrase.split(/\s+/).filter(w => w.length > 0);
+    this._updatePhrases();
   }
 
   /**
-   * Check if a transcript contains the wake phrase
+   * Replace the per-language wake phrases
+   * @param {Record<string, string>} phrases - Wake phrases by language code
+   */
+  setWakePhrases(phrases) {
+    this.config.wakePhrases = { ...phrases };
+    this._updatePhrases();
+  }
+
+  /**
+   * Check if a transcript contains a wake phrase
+   *
+   * Exact matches of any phrase win over fuzzy ones. The phrase for the
+   * transcript's language is tried before the others.
    *
    * @param {string} transcript - Transcribed speech to check
+   * @param {string|null} [language=null] - Language code of the transcript, if known
    * @returns {WakeWordDetectedEvent|null} Detection result or null if not detected
    */
-  check(transcript) {
+  check(transcript, language = null) {
     if (!this._enabled) {
       return null;
     }
@@ -140,17 +174,25 @@ export class WakeWordDetector extends EventEmitter {
 
     const normalizedTranscript = this._normalizeText(transcript);
     const transcriptWords = normalizedTranscript.split(/\s+/).filter(w => w.length > 0);
+    const phrases = [
+      ...this._phrases.filter(p => p.language !== null && p.language === language),
+      ...this._phrases.filter(p => p.language === null || p.language !== language)
+    ];
 
     // Check for exact phrase match at the start
-    const exactMatch = this._checkExactMatch(normalizedTranscript, transcriptWords);
-    if (exactMatch) {
-      return exactMatch;
+    for (const phrase of phrases) {
+      const exactMatch = this._checkExactMatch(phrase, normalizedTranscript, transcriptWords);
+      if (exactMatch) {
+        return exactMatch;
+      }
     }
 
     // Check for fuzzy match
-    const fuzzyMatch = this._checkFuzzyMatch(transcriptWords);
-    if (fuzzyMatch) {
-      return fuzzyMatch;
+    for (const phrase of phrases) {
+      const fuzzyMatch = this._checkFuzzyMatch(phrase, transcriptWords);
+      if (fuzzyMatch) {
+        return fuzzyMatch;
+      }
     }
 
     return null;
@@ -160,10 +202,11 @@ export class WakeWordDetector extends EventEmitter {
    * Process a transcript and emit appropriate events
    *
    * @param {string} transcript - Transcribed speech
+   * @param {string|null} [language=null] - Language code of the transcript, if known
    * @returns {boolean} True if wake word was detected
    */
-  processTranscript(transcript) {
-    const result = this.check(transcript);
+  processTranscript(transcript, language = null) {
+    const result = this.check(transcript, language);
 
     if (result) {
       this._detectionCount++;
@@ -176,34 +219,82 @@ export class WakeWordDetector extends EventEmitter {
     }
   }
 
+  /**
+   * Process a partial transcript of an utterance still in progress
+   *
+   * Emits 'detected' (with partial: true) on a match. A partial without
+   * the wake phrase is not a miss; the rest of the utterance may follow.
+   *
+   * @param {string} transcript - Transcript of the utterance so far
+   * @param {string|null} [language=null] - Language code of the transcript, if known
+   * @returns {boolean} True if wake word was detected
+   */
+  processPartialTranscript(transcript, language = null) {
+    const result = this.check(transcript, language);
+
+    if (!result) {
+      return false;
+    }
+
+    this._detectionCount++;
+    this.emit('detected', { ...result, partial: true });
+    return true;
+  }
+
+  /**
+   * Rebuild the normalized phrase list from config
+   * @private
+   */
+  _updatePhrases() {
+    const defaultPhrase = this.config.wakePhrase ?? 'hey scout';
+    /** @type {Array<[string, string|null]>} */
+    const phrases = [
+      [defaultPhrase, null],
+      ...Object.entries(this.config.wakePhrases ?? {}).map(([language, phrase]) => /** @type {[string, string|null]} */ ([phrase, language]))
+    ];
+
+    this._phrases = phrases.map(([phrase, language]) => {
+      const normalized = this._normalizeText(phrase);
+      return {
+        phrase,
+        language,
+        normalized,
+        words: normalized.split(/\s+/).filter(w => w.length > 0)
+      };
+    }).filter(p => p.words.length > 0);
+  }
+
   /**
    * Check for exact phrase match at the start of transcript
    *
+   * @param {WakePhrase} phrase - Wake phrase to look for
    * @param {string} normalizedTranscript - Normalized transcript
    * @param {string[]} transcriptWords - Words from transcript
    * @returns {WakeWordDetectedEvent|null}
    * @private
    */
-  _checkExactMatch(normalizedTranscript, transcriptWords) {
+  _checkExactMatch(phrase, normalizedTranscript, transcriptWords) {
     // Check if transcript starts with wake phrase
-    if (normalizedTranscript.startsWith(this._wakePhrase)) {
-      const remainingText = normalizedTranscript.slice(this._wakePhrase.length).trim();
+    if (normalizedTranscript.startsWith(phrase.normalized)) {
+      const remainingText = normalizedTranscript.slice(phrase.normalized.length).trim();
       return {
         transcript: normalizedTranscript,
-        wakePhrase: this.wakePhrase,
+        wakePhrase: phrase.phrase,
+        language: phrase.language,
         matchScore: 1.0,
         remainingText: remainingText || undefined
       };
     }
 
     // Check if first N words match wake phrase words
-    if (transcriptWords.length >= this._wakePhraseWords.length) {
-      const firstWords = transcriptWords.slice(0, this._wakePhraseWords.length);
-      if (this._arraysEqual(firstWords, this._wakePhraseWords)) {
-        const remainingWords = transcriptWords.slice(this._wakePhraseWords.length);
+    if (transcriptWords.length >= phrase.words.length) {
+      const firstWords = transcriptWords.slice(0, phrase.words.length);
+      if (this._arraysEqual(firstWords, phrase.words)) {
+        const remainingWords = transcriptWords.slice(phrase.words.length);
         return {
           transcript: normalizedTranscript,
-          wakePhrase: this.wakePhrase,
+          wakePhrase: phrase.phrase,
+          language: phrase.language,
           matchScore: 1.0,
           remainingText: remainingWords.length > 0 ? remainingWords.join(' ') : undefined
         };
@@ -216,32 +307,34 @@ export class WakeWordDetector extends EventEmitter {
   /**
    * Check for fuzzy match of wake phrase
    *
+   * @param {WakePhrase} phrase - Wake phrase to look for
    * @param {string[]} transcriptWords - Words from transcript
    * @returns {WakeWordDetectedEvent|null}
    * @private
    */
-  _checkFuzzyMatch(transcriptWords) {
-    if (transcriptWords.length < this._wakePhraseWords.length) {
+  _checkFuzzyMatch(phrase, transcriptWords) {
+    if (transcriptWords.length < phrase.words.length) {
       return null;
     }
 
     // Check first N words with fuzzy matching
-    const firstWords = transcriptWords.slice(0, this._wakePhraseWords.length);
+    const firstWords = transcriptWords.slice(0, phrase.words.length);
     let totalScore = 0;
 
-    for (let i = 0; i < this._wakePhraseWords.length; i++) {
-      const score = this._wordSimilarity(firstWords[i], this._wakePhraseWords[i]);
+    for (let i = 0; i < phrase.words.length; i++) {
+      const score = this._wordSimilarity(firstWords[i], phrase.words[i]);
       totalScore += score;
     }
 
-    const avgScore = totalScore / this._wakePhraseWords.length;
+    const avgScore = totalScore / phrase.words.length;
     const minScore = this.config.minMatchScore ?? 0.8;
 
     if (avgScore >= minScore) {
-      const remainingWords = transcriptWords.slice(this._wakePhraseWords.length);
+      const remainingWords = transcriptWords.slice(phrase.words.length);
       return {
         transcript: transcriptWords.join(' '),
-        wakePhrase: this.wakePhrase,
+        wakePhrase: phrase.phrase,
+        language: phrase.language,
         matchScore: avgScore,
         remainingText: remainingWords.length > 0 ? remainingWords.join(' ') : undefined
       };
@@ -321,7 +414,7 @@ export class WakeWordDetector extends EventEmitter {
   _normalizeText(text) {
     return text
       .toLowerCase()
-      .replace(/[^\w\s]/g, '') // Remove punctuation
+      .replace(/[^\p{L}\p{N}\s]/gu, '') // Remove punctuation (keeps accented letters)
       .replace(/\s+/g, ' ')    // Normalize whitespace
       .trim();
   }
@@ -9,6 +9,7 @@
  * @typedef {Object} ScoutConfig
  * @property {string} gateway_url
  * @property {string} gateway_token
+ * @property {string} [openclaw_agent]
  * @property {string} whisper_path
  * @property {string} stt_model_path
  * @property {string} tts_model_path
@@ -0,0 +1,155 @@
+// @ts-nocheck - Tests use minimal fake backends
+/**
+ * Unit tests for the audio backend registry
+ *
+ * Tests cover:
+ * - Built-in backends and the commands they run
+ * - Detection from installed tools and the 'auto' setting
+ * - Tool checks per backend
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerAudioBackend,
+  getAudioBackend,
+  getAudioBackendNames,
+  checkAudioTools,
+  detectAudioBackend,
+  resolveAudioBackend,
+  spawnEnv,
+  DEFAULT_AUDIO_BACKEND,
+  AUTO_AUDIO_BACKEND
+} from '../../../src/audio/audio-backends.mjs';
+
+/** @type {import('../../../src/audio/audio-backends.mjs').AudioStreamOptions} */
+const STREAM = { sampleRate: 16000, channels: 1, format: 's16le', device: null };
+
+/**
+ * Command lookup that finds only the given commands
+ * @param {...string} installed
+ * @returns {function(string): boolean}
+ */
+function only(...installed) {
+  return (command) => installed.includes(command);
+}
+
+describe('Audio backends', () => {
+  it('should register the built-in backends in detection order', () => {
+    assert.deepStrictEqual(getAudioBackendNames().slice(0, 4), ['pulseaudio', 'pipewire', 'alsa', 'sox']);
+    assert.strictEqual(DEFAULT_AUDIO_BACKEND, 'pulseaudio');
+    assert.strictEqual(AUTO_AUDIO_BACKEND, 'auto');
+  });
+
+  it('should build parecord and pacat arguments', () => {
+    const pulse = getAudioBackend('pulseaudio');
+
+    assert.strictEqual(pulse.captureCommand, 'parecord');
+    assert.strictEqual(pulse.playbackCommand, 'pacat');
+    assert.deepStrictEqual(pulse.captureArgs(STREAM), ['--raw', '--format=s16le', '--rate=16000', '--channels=1']);
+    assert.ok(pulse.playbackArgs({ ...STREAM, device: 'sink' }).includes('--device=sink'));
+    assert.strictEqual(typeof pulse.ensureRunning, 'function');
+  });
+
+  it('should stream pw-record and pw-play through stdout and stdin', () => {
+    const pipewire = getAudioBackend('pipewire');
+
+    assert.deepStrictEqual(pipewire.captureArgs(STREAM), ['--raw', '--format=s16', '--rate=16000', '--channels=1', '-']);
+    assert.deepStrictEqual(pipewire.playbackArgs({ ...STREAM, sampleRate: 22050, device: '42' }), [
+      '--raw', '--format=s16', '--rate=22050', '--channels=1', '--target=42', '-'
+    ]);
+    assert.strictEqual(pipewire.pulseDevices, true);
+  });
+
+  it('should build arecord and aplay arguments', () => {
+    const alsa = getAudioBackend('alsa');
+
+    assert.strictEqual(alsa.captureCommand, 'arecord');
+    assert.strictEqual(alsa.playbackCommand, 'aplay');
+    assert.deepStrictEqual(alsa.playbackArgs({ ...STREAM, sampleRate: 22050, device: 'plughw:0,0' }), [
+      '-q', '-t', 'raw', '-f', 'S16_LE', '-r', '22050', '-c', '1', '-D', 'plughw:0,0'
+    ]);
+    assert.strictEqual(alsa.pulseDevices, false);
+  });
+
+  it('should record and play raw audio with sox on its default device', () => {
+    const sox = getAudioBackend('sox');
+    const raw = ['-t', 'raw', '-e', 'signed-integer', '-b', '16', '-L', '-r', '16000', '-c', '1'];
+
+    assert.deepStrictEqual(sox.captureArgs(STREAM), ['-q', '-d', ...raw, '-']);
+    assert.deepStrictEqual(sox.playbackArgs(STREAM), ['-q', ...raw, '-', '-d']);
+  });
+
+  it('should choose the sox device through AUDIODEV', () => {
+    const sox = getAudioBackend('sox');
+
+    assert.strictEqual(spawnEnv(sox, 'hw:1').env.AUDIODEV, 'hw:1');
+    assert.deepStrictEqual(spawnEnv(sox, null), {});
+    assert.deepStrictEqual(spawnEnv(getAudioBackend('alsa'), 'hw:1'), {});
+  });
+
+  it('should throw for an unknown backend', () => {
+    assert.throws(() => getAudioBackend('oss'), /Unknown audio backend: oss\. Must be one of: pulseaudio, pipewire, alsa, sox/);
+  });
+
+  it('should reject a backend without commands or named auto', () => {
+    assert.throws(() => registerAudioBackend('broken', { captureCommand: 'rec' }), /capture and playback commands/);
+    assert.throws(() => registerAudioBackend('auto', { captureCommand: 'rec', playbackCommand: 'play' }), /capture and playback commands/);
+  });
+
+  describe('checkAudioTools', () => {
+    it('should list the missing commands', () => {
+      assert.deepStrictEqual(checkAudioTools('pipewire', only('pw-play')), {
+        backend: 'pipewire',
+        available: false,
+        missing: ['pw-record']
+      });
+    });
+
+    it('should check sox once for both directions', () => {
+      assert.deepStrictEqual(checkAudioTools('sox', only()).missing, ['sox']);
+    });
+
+    it('should check PulseAudio by default', () => {
+      const result = checkAudioTools(undefined, only('parecord', 'pacat'));
+
+      assert.strictEqual(result.backend, 'pulseaudio');
+      assert.strictEqual(result.available, true);
+    });
+  });
+
+  describe('detectAudioBackend', () => {
+    it('should prefer PulseAudio when its tools are installed', () => {
+      assert.strictEqual(detectAudioBackend(only('parecord', 'pacat', 'pw-record', 'pw-play')), 'pulseaudio');
+    });
+
+    it('should fall through to the first complete backend', () => {
+      assert.strictEqual(detectAudioBackend(only('parecord', 'pw-record', 'pw-play')), 'pipewire');
+      assert.strictEqual(detectAudioBackend(only('arecord', 'aplay', 'sox')), 'alsa');
+      assert.strictEqual(detectAudioBackend(only('sox')), 'sox');
+    });
+
+    it('should return null when nothing is installed', () => {
+      assert.strictEqual(detectAudioBackend(only()), null);
+    });
+  });
+
+  describe('resolveAudioBackend', () => {
+    it('should keep a named backend without detecting', () => {
+      assert.strictEqual(resolveAudioBackend('alsa', only()), 'alsa');
+    });
+
+    it('should detect the backend for auto', () => {
+      assert.strictEqual(resolveAudioBackend('auto', only('arecord', 'aplay')), 'alsa');
+      assert.strictEqual(resolveAudioBackend(undefined, only('pw-record', 'pw-play')), 'pipewire');
+    });
+
+    it('should fall back to PulseAudio when auto finds nothing', () => {
+      assert.strictEqual(resolveAudioBackend('auto', only()), 'pulseaudio');
+    });
+
+    it('should throw for an unknown backend', () => {
+      assert.throws(() => resolveAudioBackend('oss', only()), /Unknown audio backend/);
+    });
+  });
+});
@@ -10,7 +10,8 @@ import {
   AudioBuffer,
   createAudioBufferForDuration,
   msToSamples,
-  samplesToMs
+  samplesToMs,
+  applyGain
 } from '../../../src/audio/audio-buffer.mjs';
 
 describe('AudioBuffer', () => {
@@ -311,3 +312,18 @@ describe('samplesToMs', () => {
     assert.strictEqual(samplesToMs(480, 16000), 30);
   });
 });
+
+describe('applyGain', () => {
+  it('should return the same samples at unity gain', () => {
+    const samples = new Int16Array([1, -2, 3]);
+    assert.strictEqual(applyGain(samples, 1), samples);
+  });
+
+  it('should scale and round samples', () => {
+    assert.deepStrictEqual(applyGain(new Int16Array([1000, -1000, 3]), 0.5), new Int16Array([500, -500, 2]));
+  });
+
+  it('should clip instead of wrapping around', () => {
+    assert.deepStrictEqual(applyGain(new Int16Array([20000, -20000]), 2), new Int16Array([32767, -32768]));
+  });
+});
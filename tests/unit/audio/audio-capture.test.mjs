@@ -17,6 +17,17 @@ import {
   createAudioCapture,
   DEFAULT_CAPTURE_CONFIG
 } from '../../../src/audio/audio-capture.mjs';
+import { registerAudioBackend } from '../../../src/audio/audio-backends.mjs';
+
+// Recorder that stays quiet until stopped, so tests control the audio
+registerAudioBackend('quiet', {
+  label: 'Quiet',
+  captureCommand: process.execPath,
+  playbackCommand: process.execPath,
+  captureArgs: () => ['-e', 'setInterval(() => {}, 1000)'],
+  playbackArgs: () => [],
+  pulseDevices: false
+});
 
 describe('AudioCapture', () => {
   /** @type {AudioCapture} */
@@ -74,6 +85,76 @@ describe('AudioCapture', () => {
     });
   });
 
+  describe('device', () => {
+    it('should record from the default source when no device is set', () => {
+      // @ts-ignore - inspecting the parecord arguments
+      assert.ok(!capture._buildArgs().some(arg => arg.startsWith('--device=')));
+    });
+
+    it('should pass the configured source to parecord', () => {
+      const custom = new AudioCapture({ device: 'bluez_input.00_1B_66_AA_BB_CC.0' });
+      // @ts-ignore - inspecting the parecord arguments
+      assert.ok(custom._buildArgs().includes('--device=bluez_input.00_1B_66_AA_BB_CC.0'));
+    });
+
+    it('should record with the configured audio backend', () => {
+      const alsa = new AudioCapture({ backend: 'alsa', device: 'plughw:1,0' });
+
+      // @ts-ignore - inspecting the recorder
+      assert.strictEqual(alsa._backend.captureCommand, 'arecord');
+      // @ts-ignore - inspecting the arecord arguments
+      assert.deepStrictEqual(alsa._buildArgs(), ['-q', '-t', 'raw', '-f', 'S16_LE', '-r', '16000', '-c', '1', '-D', 'plughw:1,0']);
+    });
+
+    it('should restart a running capture on the new source', () => {
+      /** @type {string[]} */
+      const calls = [];
+      capture._running = true;
+      capture.stop = () => { calls.push('stop'); };
+      capture.start = () => { calls.push(`start ${capture.config.device}`); };
+
+      capture.setDevice('alsa_input.usb-mic');
+
+      assert.deepStrictEqual(calls, ['stop', 'start alsa_input.usb-mic']);
+    });
+
+    it('should ignore the old recorder after a restart', () => {
+      const quiet = new AudioCapture({ backend: 'quiet', chunkSize: 4 });
+      /** @type {Int16Array[]} */
+      const chunks = [];
+      /** @type {Error[]} */
+      const errors = [];
+      quiet.onChunk(chunk => chunks.push(chunk));
+      quiet.on('error', err => errors.push(err));
+
+      quiet.start();
+      // The recorder that setDevice replaces
+      const oldProc = /** @type {any} */ (quiet)._process;
+      quiet.setDevice('alsa_input.usb-mic');
+      const newProc = /** @type {any} */ (quiet)._process;
+
+      try {
+        // The old recorder flushes audio and fails after its successor started
+        oldProc.stdout.emit('data', Buffer.alloc(8));
+        oldProc.emit('error', new Error('spawn failed'));
+
+        assert.strictEqual(chunks.length, 0);
+        assert.strictEqual(errors.length, 0);
+        assert.strictEqual(quiet.running, true);
+        assert.strictEqual(/** @type {any} */ (quiet)._process, newProc);
+      } finally {
+        oldProc.kill('SIGKILL');
+        newProc?.kill('SIGKILL');
+      }
+    });
+
+    it('should only remember the source when not running', () => {
+      capture.setDevice('alsa_input.usb-mic');
+      assert.strictEqual(capture.config.device, 'alsa_input.usb-mic');
+      assert.strictEqual(capture.running, false);
+    });
+  });
+
   describe('getStats', () => {
     it('should return stats object', () => {
       const stats = capture.getStats();
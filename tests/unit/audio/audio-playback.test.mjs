@@ -97,6 +97,55 @@ describe('AudioPlayback', () => {
       const result = playback.write(new Int16Array(100));
       assert.strictEqual(typeof result, 'boolean');
     });
+
+    it('should report written samples for echo cancellation', () => {
+      /** @type {Array<[Int16Array, number]>} */
+      const written = [];
+      playback.on('written', (samples, rate) => written.push([samples, rate]));
+      // @ts-ignore - standing in for a running pacat
+      playback._process = { stdin: { write: () => true } };
+      // @ts-ignore - standing in for a running pacat
+      playback._running = true;
+
+      const buffer = Buffer.alloc(7);
+      buffer.writeInt16LE(1200, 1);
+      buffer.writeInt16LE(-300, 3);
+      playback.write(buffer.subarray(1, 5));
+      playback.write(new Int16Array([5, 6]));
+
+      assert.deepStrictEqual(Array.from(written[0][0]), [1200, -300]);
+      assert.strictEqual(written[0][1], 22050);
+      assert.deepStrictEqual(Array.from(written[1][0]), [5, 6]);
+    });
+  });
+
+  describe('device', () => {
+    it('should play to the default sink when no device is set', () => {
+      // @ts-ignore - inspecting the pacat arguments
+      assert.ok(!playback._buildArgs(22050).some(arg => arg.startsWith('--device=')));
+    });
+
+    it('should pass the chosen sink to pacat', () => {
+      playback.setDevice('bluez_output.00_1B_66_AA_BB_CC.1');
+      // @ts-ignore - inspecting the pacat arguments
+      const args = playback._buildArgs(16000);
+
+      assert.ok(args.includes('--rate=16000'));
+      assert.ok(args.includes('--device=bluez_output.00_1B_66_AA_BB_CC.1'));
+    });
+
+    it('should play with the configured audio backend', () => {
+      const pipewire = new AudioPlayback({ backend: 'pipewire', device: 'alsa_output.usb' });
+
+      // @ts-ignore - inspecting the player
+      assert.strictEqual(pipewire._backend.playbackCommand, 'pw-play');
+      // @ts-ignore - inspecting the pw-play arguments
+      assert.deepStrictEqual(pipewire._buildArgs(24000), ['--raw', '--format=s16', '--rate=24000', '--channels=1', '--target=alsa_output.usb', '-']);
+    });
+
+    it('should reject an unknown audio backend', () => {
+      assert.throws(() => new AudioPlayback({ backend: 'oss' }), /Unknown audio backend: oss/);
+    });
   });
 
   describe('getStats', () => {
@@ -0,0 +1,29 @@
+/**
+ * Unit tests for the audio tool check
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCommands, isCommandAvailable } from '../../../src/audio/audio-tools.mjs';
+
+describe('audio tools', () => {
+  it('should find commands on the PATH', () => {
+    assert.strictEqual(isCommandAvailable('node'), true);
+    assert.strictEqual(isCommandAvailable('scout-no-such-command'), false);
+  });
+
+  it('should list the missing commands once each', () => {
+    const checked = /** @type {string[]} */ ([]);
+    const result = checkCommands(['rec', 'play', 'rec'], command => {
+      checked.push(command);
+      return command === 'play';
+    });
+
+    assert.deepStrictEqual(result, { available: false, missing: ['rec'] });
+    assert.deepStrictEqual(checked, ['rec', 'play']);
+  });
+
+  it('should report available when every command is installed', () => {
+    assert.deepStrictEqual(checkCommands(['pw-record', 'pw-play'], () => true), { available: true, missing: [] });
+  });
+});
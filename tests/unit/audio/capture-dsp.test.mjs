@@ -0,0 +1,253 @@
+/**
+ * Unit tests for CaptureDsp - high-pass, noise suppression and gain control
+ *
+ * Tests cover:
+ * - Each stage off by default, frames passed through as is
+ * - Removing low-frequency rumble
+ * - Attenuating steady noise while keeping a voice (fixture voice mixed with noise)
+ * - Normalizing utterance loudness without clipping
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CaptureDsp,
+  HighPassFilter,
+  NoiseSuppressor,
+  AutoGainControl,
+  createCaptureDsp,
+  DEFAULT_CAPTURE_DSP_CONFIG
+} from '../../../src/audio/capture-dsp.mjs';
+
+const RATE = 16000;
+const FRAME = 480;
+
+/** Noise suppressor latency in samples */
+const LATENCY = 512;
+
+/**
+ * Seeded white noise
+ * @param {number} length - Samples
+ * @param {number} seed - Noise seed
+ * @param {number} level - Peak level
+ * @returns {Int16Array}
+ */
+function noiseFixture(length, seed, level) {
+  const samples = new Int16Array(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    samples[i] = Math.round((state / 1073741824 - 1) * level);
+  }
+  return samples;
+}
+
+/**
+ * Voiced fixture: a few harmonics through a syllable-rate envelope
+ * @param {number} length - Samples
+ * @param {number} [level=6000] - Peak level
+ * @returns {Int16Array}
+ */
+function voiceFixture(length, level = 6000) {
+  const samples = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    const t = i / RATE;
+    const tone = Math.sin(2 * Math.PI * 200 * t) + 0.5 * Math.sin(2 * Math.PI * 600 * t) + 0.3 * Math.sin(2 * Math.PI * 1400 * t);
+    const envelope = 0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * t);
+    samples[i] = Math.round((tone / 1.8) * envelope * level);
+  }
+  return samples;
+}
+
+/**
+ * @param {ArrayLike<number>} samples
+ * @returns {number}
+ */
+function energy(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return sum;
+}
+
+/**
+ * Feed audio through a stage frame by frame
+ * @param {{ process: function(Int16Array): Int16Array }} stage
+ * @param {Int16Array} audio
+ * @returns {Int16Array}
+ */
+function run(stage, audio) {
+  const output = new Int16Array(audio.length);
+  for (let start = 0; start + FRAME <= audio.length; start += FRAME) {
+    output.set(stage.process(audio.subarray(start, start + FRAME)), start);
+  }
+  return output;
+}
+
+describe('CaptureDsp', () => {
+  it('should use default config values', () => {
+    const dsp = new CaptureDsp();
+
+    assert.deepStrictEqual(dsp.config, { ...DEFAULT_CAPTURE_DSP_CONFIG });
+    assert.deepStrictEqual(dsp.getStats(), { highPass: null, noiseSuppression: null, autoGain: null });
+  });
+
+  it('should pass frames and utterances through with every stage off', () => {
+    const dsp = new CaptureDsp();
+    const frame = voiceFixture(FRAME);
+
+    assert.strictEqual(dsp.processFrame(frame), frame);
+    assert.strictEqual(dsp.normalizeUtterance(frame), frame);
+  });
+
+  it('should run only the stages turned on', () => {
+    const dsp = new CaptureDsp({ highPassFilter: true, autoGainControl: true });
+    const frame = voiceFixture(FRAME);
+
+    assert.strictEqual(dsp.processFrame(frame).length, FRAME);
+    dsp.normalizeUtterance(frame);
+
+    const stats = dsp.getStats();
+    assert.strictEqual(stats.highPass?.framesProcessed, 1);
+    assert.strictEqual(stats.noiseSuppression, null);
+    assert.strictEqual(stats.autoGain?.utterancesNormalized, 1);
+  });
+
+  it('should report the effect of each frame stage', () => {
+    const dsp = new CaptureDsp({ highPassFilter: true, noiseSuppression: true });
+    const mic = noiseFixture(RATE * 2, 7, 1000);
+
+    run({ process: frame => dsp.processFrame(frame) }, mic);
+
+    const stats = dsp.getStats();
+    assert.ok(/** @type {number} */ (stats.noiseSuppression?.reductionDb) > 6);
+    assert.strictEqual(stats.highPass?.framesProcessed, stats.noiseSuppression?.framesProcessed);
+  });
+});
+
+describe('HighPassFilter', () => {
+  it('should remove rumble below the cutoff', () => {
+    const filter = new HighPassFilter(RATE, 80);
+    const rumble = new Int16Array(RATE).map((_, i) => Math.round(8000 * Math.sin((2 * Math.PI * 20 * i) / RATE)));
+
+    const output = run(filter, rumble);
+
+    // 20 Hz is two octaves below 80 Hz: about 24 dB down
+    const settled = RATE / 2;
+    const reduction = 10 * Math.log10(energy(rumble.subarray(settled)) / energy(output.subarray(settled)));
+    assert.ok(reduction > 20, `reduction ${reduction.toFixed(1)} dB`);
+    assert.ok(filter.getStats().reductionDb > 10);
+  });
+
+  it('should keep the voice band', () => {
+    const filter = new HighPassFilter(RATE, 80);
+    const voice = voiceFixture(RATE);
+
+    const output = run(filter, voice);
+
+    const settled = RATE / 2;
+    const reduction = 10 * Math.log10(energy(voice.subarray(settled)) / energy(output.subarray(settled)));
+    assert.ok(Math.abs(reduction) < 1, `reduction ${reduction.toFixed(1)} dB`);
+  });
+});
+
+describe('NoiseSuppressor', () => {
+  it('should keep frame length and delay by 32 ms', () => {
+    const suppressor = new NoiseSuppressor(20);
+    const first = suppressor.process(voiceFixture(FRAME));
+
+    assert.strictEqual(first.length, FRAME);
+    assert.strictEqual(energy(first), 0);
+  });
+
+  it('should attenuate steady noise', () => {
+    const suppressor = new NoiseSuppressor(20);
+    const noise = noiseFixture(RATE * 2, 7, 1000);
+
+    const output = run(suppressor, noise);
+
+    const settled = RATE;
+    const reduction = 10 * Math.log10(energy(noise.subarray(settled - LATENCY, -LATENCY)) / energy(output.subarray(settled)));
+    assert.ok(reduction > 10, `reduction ${reduction.toFixed(1)} dB`);
+    const stats = suppressor.getStats();
+    // White noise peaking at 1000 is about -35 dBFS
+    assert.ok(stats.noiseLevelDbfs > -41 && stats.noiseLevelDbfs < -33, `noise ${stats.noiseLevelDbfs} dBFS`);
+  });
+
+  it('should keep a voice over the noise', () => {
+    const suppressor = new NoiseSuppressor(20);
+    const noise = noiseFixture(RATE * 3, 7, 1000);
+    const voice = new Int16Array(noise.length);
+    voice.set(voiceFixture(RATE), RATE * 2);
+    const mic = noise.map((value, i) => value + voice[i]);
+
+    const output = run(suppressor, mic);
+
+    // Compare the voiced second with the voice alone, past the onset
+    const start = RATE * 2 + RATE / 5;
+    const end = RATE * 3 - RATE / 5;
+    const clean = voice.subarray(start, end);
+    const cleaned = output.subarray(start + LATENCY, end + LATENCY);
+    const noisy = mic.subarray(start, end);
+    const snr = (/** @type {ArrayLike<number>} */ audio) => 10 * Math.log10(energy(clean) / energy(Array.from(audio, (value, i) => value - clean[i])));
+
+    assert.ok(snr(cleaned) > snr(noisy) + 3, `SNR ${snr(noisy).toFixed(1)} -> ${snr(cleaned).toFixed(1)} dB`);
+  });
+
+  it('should forget the noise estimate on reset', () => {
+    const suppressor = new NoiseSuppressor(20);
+    run(suppressor, noiseFixture(RATE, 7, 1000));
+
+    suppressor.reset();
+
+    assert.strictEqual(suppressor.getStats().noiseLevelDbfs, -Infinity);
+  });
+});
+
+describe('AutoGainControl', () => {
+  it('should bring a quiet utterance up to the target level', () => {
+    const agc = new AutoGainControl(RATE, -20, 24);
+    const quiet = voiceFixture(RATE, 1000);
+
+    const output = agc.normalize(quiet);
+
+    assert.ok(Math.abs(agc.measure(output) - -20) < 0.5);
+    assert.ok(agc.getStats().lastGainDb > 10);
+  });
+
+  it('should measure speech, not the trailing silence', () => {
+    const agc = new AutoGainControl(RATE, -20, 24);
+    const speech = voiceFixture(RATE, 3000);
+    const padded = new Int16Array(RATE * 3);
+    padded.set(speech);
+
+    assert.ok(Math.abs(agc.measure(padded) - agc.measure(speech)) < 0.5);
+  });
+
+  it('should cap the gain and never clip', () => {
+    const agc = new AutoGainControl(RATE, -20, 24);
+
+    agc.normalize(voiceFixture(RATE, 30));
+    assert.strictEqual(agc.getStats().lastGainDb, 24);
+
+    const click = new Int16Array(RATE);
+    click[100] = 20000;
+    const output = agc.normalize(click);
+    assert.ok(Math.max(...output) <= 32767 && Math.max(...output) > 32000);
+  });
+
+  it('should leave silence alone', () => {
+    const agc = new AutoGainControl(RATE, -20, 24);
+    const silence = new Int16Array(RATE);
+
+    assert.strictEqual(agc.normalize(silence), silence);
+    assert.strictEqual(agc.getStats().utterancesNormalized, 0);
+  });
+});
+
+describe('createCaptureDsp', () => {
+  it('should create CaptureDsp instance', () => {
+    assert.ok(createCaptureDsp() instanceof CaptureDsp);
+  });
+});
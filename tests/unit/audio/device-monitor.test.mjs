@@ -0,0 +1,138 @@
+/**
+ * Unit tests for DeviceMonitor - following devices as they come and go
+ *
+ * Tests cover:
+ * - Reading the device lists and defaults
+ * - Reporting added and removed devices and default changes
+ * - Debouncing bursts of pactl subscribe events
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DeviceMonitor,
+  createDeviceMonitor,
+  DEFAULT_DEVICE_MONITOR_CONFIG
+} from '../../../src/audio/device-monitor.mjs';
+
+/**
+ * @param {string} name
+ * @returns {import('../../../src/audio/pulseaudio.mjs').AudioDevice}
+ */
+function device(name) {
+  return { index: 0, name, driver: 'module-test.c', state: 'IDLE', bluetooth: name.startsWith('bluez_') };
+}
+
+/**
+ * Fake PulseAudio server whose devices the test changes
+ */
+function fakeServer() {
+  const server = {
+    sources: ['alsa_input.builtin'],
+    sinks: ['alsa_output.builtin'],
+    source: 'alsa_input.builtin',
+    sink: 'alsa_output.builtin',
+    reads: 0,
+    listDevices: () => {
+      server.reads++;
+      return { sources: server.sources.map(device), sinks: server.sinks.map(device) };
+    },
+    getDefaultDevices: () => ({ source: server.source, sink: server.sink })
+  };
+  return server;
+}
+
+describe('DeviceMonitor', () => {
+  /** @type {DeviceMonitor|null} */
+  let monitor = null;
+
+  afterEach(() => {
+    monitor?.dispose();
+    monitor = null;
+  });
+
+  it('should use default config values', () => {
+    monitor = new DeviceMonitor();
+
+    assert.strictEqual(monitor.config.debounceMs, DEFAULT_DEVICE_MONITOR_CONFIG.debounceMs);
+    assert.strictEqual(monitor.running, false);
+    assert.deepStrictEqual(monitor.snapshot.sources, []);
+  });
+
+  it('should report a headset that connects', () => {
+    const server = fakeServer();
+    monitor = new DeviceMonitor(server);
+    monitor.refresh();
+    /** @type {any[]} */
+    const changes = [];
+    monitor.on('changed', (change) => changes.push(change));
+
+    server.sources.push('bluez_input.headset');
+    server.sinks.push('bluez_output.headset');
+    server.sink = 'bluez_output.headset';
+    monitor.refresh();
+
+    assert.strictEqual(changes.length, 1);
+    assert.deepStrictEqual(changes[0].added, ['bluez_input.headset', 'bluez_output.headset']);
+    assert.deepStrictEqual(changes[0].removed, []);
+    assert.strictEqual(changes[0].defaultsChanged, true);
+    assert.strictEqual(monitor.snapshot.defaultSink, 'bluez_output.headset');
+  });
+
+  it('should report a device that disappears', () => {
+    const server = fakeServer();
+    server.sources.push('alsa_input.usb-mic');
+    monitor = new DeviceMonitor(server);
+    monitor.refresh();
+
+    server.sources = ['alsa_input.builtin'];
+    const change = monitor.refresh();
+
+    assert.deepStrictEqual(change?.removed, ['alsa_input.usb-mic']);
+    assert.strictEqual(change?.defaultsChanged, false);
+  });
+
+  it('should stay quiet when nothing changed', () => {
+    const server = fakeServer();
+    monitor = new DeviceMonitor(server);
+    monitor.refresh();
+    let emitted = false;
+    monitor.on('changed', () => { emitted = true; });
+
+    assert.strictEqual(monitor.refresh(), null);
+    assert.strictEqual(emitted, false);
+  });
+
+  it('should refresh once after a burst of device events', async () => {
+    const server = fakeServer();
+    monitor = new DeviceMonitor({ ...server, debounceMs: 10 });
+    monitor.refresh();
+    server.reads = 0;
+
+    // @ts-ignore - feeding pactl subscribe output
+    monitor._handleOutput("Event 'new' on card #4\nEvent 'new' on sink #7\nEvent 'new' on sou");
+    // @ts-ignore - feeding pactl subscribe output
+    monitor._handleOutput("rce #9\nEvent 'change' on server\n");
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.strictEqual(server.reads, 1);
+  });
+
+  it('should ignore volume and suspend changes', async () => {
+    const server = fakeServer();
+    monitor = new DeviceMonitor({ ...server, debounceMs: 10 });
+    server.reads = 0;
+
+    // @ts-ignore - feeding pactl subscribe output
+    monitor._handleOutput("Event 'change' on sink #7\nEvent 'change' on source-output #12\n");
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.strictEqual(server.reads, 0);
+  });
+});
+
+describe('createDeviceMonitor', () => {
+  it('should create DeviceMonitor instance', () => {
+    assert.ok(createDeviceMonitor() instanceof DeviceMonitor);
+  });
+});
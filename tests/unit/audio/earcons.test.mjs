@@ -0,0 +1,243 @@
+/**
+ * Unit tests for status earcons
+ *
+ * Tests cover:
+ * - Built-in sounds are short and fade in and out
+ * - Events can be turned off or replaced with WAV files
+ * - Playback through AudioPlayback, one earcon at a time
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  EarconPlayer,
+  createEarconPlayer,
+  generateEarcon,
+  loadEarconFile,
+  EARCON_EVENTS,
+  DEFAULT_EARCON_CONFIG
+} from '../../../src/audio/earcons.mjs';
+
+/**
+ * Build a 16-bit mono WAV file
+ * @param {number} sampleRate
+ * @param {number[]} samples
+ * @returns {Buffer}
+ */
+function wavFile(sampleRate, samples) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((s, i) => data.writeInt16LE(s, i * 2));
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Replace the player's pacat output with a recorder that completes at once
+ * @param {EarconPlayer} player
+ * @returns {{rates: number[], frames: Int16Array[]}}
+ */
+function recordPlayback(player) {
+  /** @type {{rates: number[], frames: Int16Array[]}} */
+  const recorded = { rates: [], frames: [] };
+  const playback = player.audioPlayback;
+  playback.start = (/** @type {number} */ rate) => { recorded.rates.push(rate); };
+  playback.write = (/** @type {any} */ frame) => { recorded.frames.push(frame); return true; };
+  playback.end = () => { setImmediate(() => playback.emit('complete')); };
+  return recorded;
+}
+
+describe('generateEarcon', () => {
+  it('should generate every event shorter than 300ms', () => {
+    for (const event of EARCON_EVENTS) {
+      const samples = generateEarcon(event, 22050);
+      assert.ok(samples.length > 0, event);
+      assert.ok(samples.length < 22050 * 0.3, event);
+    }
+  });
+
+  it('should start and end in silence', () => {
+    const samples = generateEarcon('error', 16000);
+
+    assert.strictEqual(samples[0], 0);
+    assert.strictEqual(samples[samples.length - 1], 0);
+    assert.ok(samples.some(s => Math.abs(s) > 5000));
+  });
+
+  it('should sound different per event', () => {
+    assert.notDeepStrictEqual(generateEarcon('listening'), generateEarcon('wake_word'));
+  });
+
+  it('should reject an unknown event', () => {
+    // @ts-expect-error - testing invalid event
+    assert.throws(() => generateEarcon('beep'), /Unknown earcon event: beep/);
+  });
+});
+
+describe('EarconPlayer', () => {
+  it('should use default config values', () => {
+    const player = new EarconPlayer();
+
+    assert.deepStrictEqual(player.config, { ...DEFAULT_EARCON_CONFIG });
+    assert.ok(EARCON_EVENTS.every(event => player.isEnabled(event)));
+  });
+
+  it('should leave out events turned off', () => {
+    const player = new EarconPlayer({ sounds: { listening: false, processing: true } });
+
+    assert.strictEqual(player.isEnabled('listening'), false);
+    assert.strictEqual(player.isEnabled('processing'), true);
+  });
+
+  it('should play through AudioPlayback at its sample rate', async () => {
+    const player = new EarconPlayer({ sampleRate: 16000 });
+    const recorded = recordPlayback(player);
+    /** @type {any[]} */
+    const played = [];
+    player.on('played', (data) => played.push(data));
+
+    assert.strictEqual(await player.play('reconnected'), true);
+
+    assert.deepStrictEqual(recorded.rates, [16000]);
+    assert.deepStrictEqual(recorded.frames[0], generateEarcon('reconnected', 16000));
+    assert.deepStrictEqual(played, [{ event: 'reconnected' }]);
+    assert.strictEqual(player.playing, false);
+  });
+
+  it('should not play an event that is turned off', async () => {
+    const player = new EarconPlayer({ sounds: { processing: false } });
+    const recorded = recordPlayback(player);
+
+    assert.strictEqual(await player.play('processing'), false);
+    assert.deepStrictEqual(recorded.rates, []);
+  });
+
+  it('should drop an earcon requested while another plays', async () => {
+    const player = new EarconPlayer();
+    const recorded = recordPlayback(player);
+
+    const first = player.play('wake_word');
+    assert.strictEqual(player.playing, true);
+    assert.strictEqual(await player.play('listening'), false);
+
+    assert.strictEqual(await first, true);
+    assert.strictEqual(recorded.rates.length, 1);
+  });
+
+  it('should apply the volume', async () => {
+    const player = new EarconPlayer({ volume: 0.5 });
+    const recorded = recordPlayback(player);
+
+    await player.play('processing');
+
+    const full = generateEarcon('processing');
+    const peak = (/** @type {Int16Array} */ s) => Math.max(...Array.from(s, Math.abs));
+    assert.ok(Math.abs(peak(recorded.frames[0]) - peak(full) / 2) <= 1);
+  });
+
+  it('should stay silent at volume 0', async () => {
+    const player = new EarconPlayer();
+    const recorded = recordPlayback(player);
+    player.setVolume(0);
+
+    assert.strictEqual(await player.play('error'), false);
+    assert.deepStrictEqual(recorded.rates, []);
+  });
+
+  it('should reject an invalid volume', () => {
+    assert.throws(() => new EarconPlayer().setVolume(-1), /Volume must be a non-negative number/);
+  });
+
+  it('should play to the configured sink', () => {
+    const player = new EarconPlayer({ device: 'alsa_output.usb-speaker' });
+    assert.strictEqual(player.audioPlayback.config.device, 'alsa_output.usb-speaker');
+
+    player.setDevice(null);
+    assert.strictEqual(player.audioPlayback.config.device, null);
+  });
+
+  it('should report a playback failure and resolve false', async () => {
+    const player = new EarconPlayer();
+    const playback = player.audioPlayback;
+    playback.start = () => {};
+    playback.write = () => true;
+    playback.end = () => { setImmediate(() => playback.emit('error', new Error('spawn pacat ENOENT'))); };
+    /** @type {Error[]} */
+    const errors = [];
+    player.on('error', (err) => errors.push(err));
+
+    assert.strictEqual(await player.play('error'), false);
+    assert.match(errors[0].message, /ENOENT/);
+    assert.strictEqual(player.playing, false);
+  });
+
+  describe('sound files', () => {
+    /** @type {string} */
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'scout-earcons-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should read a WAV file', async () => {
+      const path = join(dir, 'beep.wav');
+      await writeFile(path, wavFile(8000, [0, 1000, -1000, 0]));
+
+      const earcon = await loadEarconFile(path);
+
+      assert.strictEqual(earcon.sampleRate, 8000);
+      assert.deepStrictEqual(Array.from(earcon.samples), [0, 1000, -1000, 0]);
+    });
+
+    it('should play a configured file at its own rate', async () => {
+      const path = join(dir, 'error.wav');
+      await writeFile(path, wavFile(44100, [0, 2000, 0]));
+      const player = new EarconPlayer({ sounds: { error: path } });
+      const recorded = recordPlayback(player);
+
+      await player.init();
+      await player.play('error');
+
+      assert.deepStrictEqual(recorded.rates, [44100]);
+      assert.deepStrictEqual(Array.from(recorded.frames[0]), [0, 2000, 0]);
+    });
+
+    it('should keep the built-in sound when a file cannot be loaded', async () => {
+      const player = new EarconPlayer({ sounds: { error: join(dir, 'missing.wav') } });
+      /** @type {Error[]} */
+      const errors = [];
+      player.on('error', (err) => errors.push(err));
+
+      await player.init();
+
+      assert.match(errors[0].message, /Could not load error earcon/);
+      assert.strictEqual(player.isEnabled('error'), true);
+    });
+  });
+});
+
+describe('createEarconPlayer', () => {
+  it('should create EarconPlayer instance', () => {
+    assert.ok(createEarconPlayer() instanceof EarconPlayer);
+  });
+});
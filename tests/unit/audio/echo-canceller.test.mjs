@@ -0,0 +1,195 @@
+/**
+ * Unit tests for EchoCanceller - NLMS echo cancellation
+ *
+ * Tests cover:
+ * - Pass-through while nothing is playing
+ * - Cancelling a simulated speaker echo (fixture voice mixed through an echo path)
+ * - Keeping the user's voice when they talk over the echo
+ * - Resampling the reference to the capture rate
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EchoCanceller,
+  createEchoCanceller,
+  DEFAULT_ECHO_CANCELLER_CONFIG
+} from '../../../src/audio/echo-canceller.mjs';
+
+const RATE = 16000;
+const FRAME = 480;
+
+/**
+ * Speech-like fixture: seeded noise through a syllable-rate envelope
+ * @param {number} length - Samples
+ * @param {number} seed - Noise seed
+ * @param {number} [level=8000] - Peak level
+ * @returns {Int16Array}
+ */
+function voiceFixture(length, seed, level = 8000) {
+  const samples = new Int16Array(length);
+  let state = seed;
+  let previous = 0;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const noise = state / 1073741824 - 1;
+    // Mild low-pass, like a voice's spectral tilt
+    previous = 0.6 * previous + 0.4 * noise;
+    const envelope = 0.55 + 0.45 * Math.sin((2 * Math.PI * 4 * i) / RATE);
+    samples[i] = Math.round(previous * envelope * level);
+  }
+  return samples;
+}
+
+/**
+ * Pass audio through an echo path: a delay and a few reflections
+ * @param {Int16Array} signal - Audio sent to the speaker
+ * @param {number} delay - Samples before the direct sound reaches the microphone
+ * @returns {Int16Array}
+ */
+function echoOf(signal, delay) {
+  /** @type {Array<[number, number]>} */
+  const reflections = [[0, 0.45], [37, -0.2], [120, 0.1], [260, 0.05]];
+  const echo = new Int16Array(signal.length);
+  for (let i = 0; i < signal.length; i++) {
+    let value = 0;
+    for (const [offset, gain] of reflections) {
+      const j = i - delay - offset;
+      if (j >= 0) {
+        value += signal[j] * gain;
+      }
+    }
+    echo[i] = Math.round(value);
+  }
+  return echo;
+}
+
+/**
+ * @param {Int16Array} samples
+ * @returns {number}
+ */
+function energy(samples) {
+  let sum = 0;
+  for (const s of samples) {
+    sum += s * s;
+  }
+  return sum;
+}
+
+/**
+ * Run capture and playback side by side, frame by frame
+ * @param {EchoCanceller} canceller
+ * @param {Int16Array} played - Audio written to the speaker
+ * @param {Int16Array} mic - Audio the microphone picks up
+ * @returns {Int16Array} Cancelled capture
+ */
+function simulate(canceller, played, mic) {
+  const output = new Int16Array(mic.length);
+  for (let start = 0; start + FRAME <= mic.length; start += FRAME) {
+    canceller.pushReference(played.subarray(start, start + FRAME), RATE);
+    output.set(canceller.process(mic.subarray(start, start + FRAME)), start);
+  }
+  return output;
+}
+
+describe('EchoCanceller', () => {
+  it('should use default config values', () => {
+    const canceller = new EchoCanceller();
+
+    assert.deepStrictEqual(canceller.config, { ...DEFAULT_ECHO_CANCELLER_CONFIG });
+    assert.strictEqual(canceller.taps, 2048);
+    assert.strictEqual(canceller.active, false);
+  });
+
+  it('should pass frames through while nothing plays', () => {
+    const canceller = new EchoCanceller();
+    const frame = voiceFixture(FRAME, 7);
+
+    assert.strictEqual(canceller.process(frame), frame);
+    assert.strictEqual(canceller.getStats().framesCancelled, 0);
+  });
+
+  it('should remove a speaker echo', () => {
+    const canceller = new EchoCanceller({ delayMs: 20, tailMs: 32 });
+    const played = voiceFixture(RATE * 3, 1);
+    const mic = echoOf(played, 320);
+
+    const output = simulate(canceller, played, mic);
+
+    // After a second to converge, the echo is down by more than 20 dB
+    const tail = RATE * 2;
+    const erle = 10 * Math.log10(energy(mic.subarray(tail)) / energy(output.subarray(tail)));
+    assert.ok(erle > 20, `ERLE ${erle.toFixed(1)} dB`);
+    assert.ok(canceller.getStats().erleDb > 20);
+  });
+
+  it('should keep the user talking over the echo', () => {
+    const canceller = new EchoCanceller({ delayMs: 20, tailMs: 32 });
+    const played = voiceFixture(RATE * 3, 1);
+    const echo = echoOf(played, 320);
+    const user = new Int16Array(echo.length);
+    user.set(voiceFixture(RATE, 99, 12000), RATE * 2);
+    const mic = echo.map((value, i) => value + user[i]);
+
+    const output = simulate(canceller, played, mic);
+
+    // What is left of the user's second is their voice, not the echo
+    const span = output.subarray(RATE * 2, RATE * 3);
+    const residual = span.map((value, i) => value - user[RATE * 2 + i]);
+    assert.ok(energy(residual) < energy(user) * 0.1);
+    assert.ok(canceller.getStats().doubleTalkFrames > 0);
+  });
+
+  it('should pass frames through again once the echo tail has passed', () => {
+    const canceller = new EchoCanceller({ delayMs: 20, tailMs: 32 });
+    const played = voiceFixture(RATE, 3);
+    simulate(canceller, played, echoOf(played, 320));
+
+    const silence = new Int16Array(FRAME);
+    for (let i = 0; i < 4; i++) {
+      canceller.process(silence);
+    }
+
+    assert.strictEqual(canceller.active, false);
+    const frame = voiceFixture(FRAME, 5);
+    assert.strictEqual(canceller.process(frame), frame);
+  });
+
+  it('should delay the reference when playback starts', () => {
+    const canceller = new EchoCanceller({ delayMs: 30 });
+
+    canceller.pushReference(new Int16Array(FRAME).fill(1000), RATE);
+
+    // @ts-ignore - inspecting the reference queue
+    assert.strictEqual(canceller._queued, 480 + FRAME - 1);
+  });
+
+  it('should resample the reference to the capture rate', () => {
+    const canceller = new EchoCanceller({ delayMs: 0 });
+
+    for (let i = 0; i < 10; i++) {
+      canceller.pushReference(new Int16Array(2205).fill(1000), 22050);
+    }
+
+    // 100ms of 22050 Hz audio is about 1600 samples at 16 kHz
+    // @ts-ignore - inspecting the reference queue
+    assert.ok(Math.abs(canceller._queued - 16000) <= 2);
+  });
+
+  it('should forget the echo path on reset', () => {
+    const canceller = new EchoCanceller({ delayMs: 20, tailMs: 32 });
+    const played = voiceFixture(RATE, 1);
+    simulate(canceller, played, echoOf(played, 320));
+
+    canceller.reset();
+
+    assert.strictEqual(canceller.active, false);
+    assert.strictEqual(canceller.getStats().erleDb, 0);
+  });
+});
+
+describe('createEchoCanceller', () => {
+  it('should create EchoCanceller instance', () => {
+    assert.ok(createEchoCanceller() instanceof EchoCanceller);
+  });
+});
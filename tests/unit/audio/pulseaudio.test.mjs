@@ -17,7 +17,9 @@ import {
   isParecordAvailable,
   isPacatAvailable,
   checkPulseAudioTools,
-  getDefaultDevices
+  getDefaultDevices,
+  parseDeviceList,
+  listAudioDevices
 } from '../../../src/audio/pulseaudio.mjs';
 
 describe('PulseAudio', () => {
@@ -95,6 +97,47 @@ describe('PulseAudio', () => {
       assert.ok(devices.sink === null || typeof devices.sink === 'string');
     });
   });
+
+  describe('parseDeviceList', () => {
+    it('should parse pactl short listing lines', () => {
+      const output = [
+        '0\talsa_input.pci-0000_00_1f.3.analog-stereo\tmodule-alsa-card.c\ts16le 2ch 44100Hz\tSUSPENDED',
+        '3\tbluez_input.00_1B_66_AA_BB_CC.0\tmodule-bluez5-device.c\ts16le 1ch 16000Hz\tRUNNING',
+        ''
+      ].join('\n');
+
+      assert.deepStrictEqual(parseDeviceList(output), [
+        {
+          index: 0,
+          name: 'alsa_input.pci-0000_00_1f.3.analog-stereo',
+          driver: 'module-alsa-card.c',
+          state: 'SUSPENDED',
+          bluetooth: false
+        },
+        {
+          index: 3,
+          name: 'bluez_input.00_1B_66_AA_BB_CC.0',
+          driver: 'module-bluez5-device.c',
+          state: 'RUNNING',
+          bluetooth: true
+        }
+      ]);
+    });
+
+    it('should skip lines that are not devices', () => {
+      assert.deepStrictEqual(parseDeviceList('Connection failure: Connection refused\n'), []);
+    });
+  });
+
+  describe('listAudioDevices', () => {
+    it('should return source and sink lists without monitors', () => {
+      const devices = listAudioDevices();
+
+      assert.ok(Array.isArray(devices.sources));
+      assert.ok(Array.isArray(devices.sinks));
+      assert.ok(devices.sources.every(device => !device.name.endsWith('.monitor')));
+    });
+  });
 });
 
 // Integration tests (only run if PulseAudio is available)
@@ -0,0 +1,270 @@
+/**
+ * Unit tests for StreamCapture - audio from a file, stdin or a named pipe
+ *
+ * Tests cover:
+ * - Raw PCM and WAV files cut into chunks, the last one padded
+ * - Realtime and fast pace, and the default per source
+ * - Pausing fast input until the consumer resumes it
+ * - stdin, stop and read errors
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { execFileSync } from 'child_process';
+import { PassThrough } from 'stream';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  StreamCapture,
+  createStreamCapture,
+  STDIN_SOURCE,
+  INPUT_PACES,
+  DEFAULT_STREAM_CAPTURE_CONFIG
+} from '../../../src/audio/stream-capture.mjs';
+
+/**
+ * Raw s16le PCM counting up from 1
+ * @param {number} count - Samples
+ * @returns {Buffer}
+ */
+function pcm(count) {
+  const data = Buffer.alloc(count * 2);
+  for (let i = 0; i < count; i++) {
+    data.writeInt16LE(i + 1, i * 2);
+  }
+  return data;
+}
+
+/**
+ * Build a 16-bit mono WAV file
+ * @param {number} sampleRate
+ * @param {Buffer} data - PCM samples
+ * @returns {Buffer}
+ */
+function wavFile(sampleRate, data) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Start capture and collect its chunks until the input ends
+ * @param {StreamCapture} capture
+ * @returns {Promise<{chunks: Int16Array[], stopReason: string}>}
+ */
+function readAll(capture) {
+  return new Promise((resolve, reject) => {
+    /** @type {Int16Array[]} */
+    const chunks = [];
+    capture.onChunk((chunk) => chunks.push(chunk));
+    capture.on('error', reject);
+    capture.on('stopped', (reason) => resolve({ chunks, stopReason: reason }));
+    capture.start();
+  });
+}
+
+describe('StreamCapture', () => {
+  /** @type {string} */
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'scout-input-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should use default config values', () => {
+    const capture = new StreamCapture({ source: 'speech.wav' });
+
+    assert.deepStrictEqual(capture.config, { ...DEFAULT_STREAM_CAPTURE_CONFIG, source: 'speech.wav' });
+    assert.strictEqual(capture.running, false);
+    assert.deepStrictEqual(INPUT_PACES, ['realtime', 'fast']);
+  });
+
+  it('should require a source and a known pace', () => {
+    // @ts-expect-error - Testing invalid input
+    assert.throws(() => new StreamCapture({}), /needs a source/);
+    // @ts-expect-error - Testing invalid input
+    assert.throws(() => new StreamCapture({ source: '-', pace: 'slow' }), /Input pace must be one of: realtime, fast/);
+  });
+
+  it('should read files in real time and stdin and pipes as fast as they come', () => {
+    const fifo = join(dir, 'mic.pipe');
+    execFileSync('mkfifo', [fifo]);
+
+    assert.strictEqual(new StreamCapture({ source: join(dir, 'speech.raw') }).pace, 'realtime');
+    assert.strictEqual(new StreamCapture({ source: STDIN_SOURCE }).pace, 'fast');
+    assert.strictEqual(new StreamCapture({ source: fifo }).pace, 'fast');
+    assert.strictEqual(new StreamCapture({ source: fifo, pace: 'realtime' }).pace, 'realtime');
+  });
+
+  it('should cut raw PCM into chunks and pad the last one', async () => {
+    const path = join(dir, 'speech.raw');
+    await writeFile(path, pcm(1000));
+    const capture = new StreamCapture({ source: path, pace: 'fast' });
+    let ended = false;
+    capture.on('end', () => { ended = true; });
+
+    const { chunks, stopReason } = await readAll(capture);
+
+    assert.strictEqual(chunks.length, 3);
+    assert.ok(chunks.every(chunk => chunk.length === 480));
+    assert.strictEqual(chunks[1][0], 481);
+    assert.strictEqual(chunks[2][39], 1000);
+    assert.strictEqual(chunks[2][40], 0);
+    assert.ok(ended);
+    assert.strictEqual(stopReason, 'end');
+    assert.strictEqual(capture.running, false);
+    assert.strictEqual(capture.getStats().chunksEmitted, 3);
+  });
+
+  it('should strip the header from WAV files', async () => {
+    const path = join(dir, 'speech.wav');
+    await writeFile(path, wavFile(16000, pcm(960)));
+
+    const { chunks } = await readAll(new StreamCapture({ source: path, pace: 'fast' }));
+
+    assert.strictEqual(chunks.length, 2);
+    assert.strictEqual(chunks[0][0], 1);
+    assert.strictEqual(chunks[1][479], 960);
+  });
+
+  it('should reject a WAV file at another sample rate', async () => {
+    const path = join(dir, 'speech.wav');
+    await writeFile(path, wavFile(44100, pcm(960)));
+
+    await assert.rejects(
+      readAll(new StreamCapture({ source: path, pace: 'fast' })),
+      /WAV sample rate 44100 Hz does not match the capture rate 16000 Hz/
+    );
+  });
+
+  it('should release chunks no faster than real time', async () => {
+    const path = join(dir, 'speech.raw');
+    // Five 10ms chunks
+    await writeFile(path, pcm(800));
+    const capture = new StreamCapture({ source: path, chunkSize: 160 });
+
+    const startTime = Date.now();
+    const { chunks } = await readAll(capture);
+
+    assert.strictEqual(chunks.length, 5);
+    assert.ok(Date.now() - startTime >= 35, `took ${Date.now() - startTime}ms`);
+    assert.strictEqual(capture.getStats().pace, 'realtime');
+  });
+
+  it('should hold chunks back while paused at fast pace', async () => {
+    const path = join(dir, 'speech.raw');
+    await writeFile(path, pcm(1440));
+    const capture = new StreamCapture({ source: path, pace: 'fast' });
+    /** @type {Int16Array[]} */
+    const chunks = [];
+    let ended = false;
+    capture.on('end', () => { ended = true; });
+    // One chunk per resume(), like a consumer that handles each in turn
+    capture.onChunk((chunk) => {
+      chunks.push(chunk);
+      capture.pause();
+    });
+
+    capture.start();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(chunks.length, 1);
+
+    capture.resume();
+    assert.strictEqual(chunks.length, 2);
+    capture.resume();
+    assert.strictEqual(chunks.length, 3);
+    assert.strictEqual(chunks[2][479], 1440);
+    assert.strictEqual(ended, false);
+
+    capture.resume();
+    assert.strictEqual(ended, true);
+    assert.strictEqual(capture.running, false);
+  });
+
+  it('should read stdin', async () => {
+    const stdin = new PassThrough();
+    const capture = new StreamCapture({ source: STDIN_SOURCE, stdin });
+
+    const reading = readAll(capture);
+    stdin.write(pcm(300));
+    stdin.end(pcm(180));
+    const { chunks } = await reading;
+
+    assert.strictEqual(chunks.length, 1);
+    assert.strictEqual(chunks[0][299], 300);
+    assert.strictEqual(chunks[0][479], 180);
+  });
+
+  it('should stop releasing chunks when stopped', async () => {
+    const path = join(dir, 'speech.raw');
+    await writeFile(path, pcm(1600));
+    const capture = new StreamCapture({ source: path, chunkSize: 160 });
+    /** @type {Int16Array[]} */
+    const chunks = [];
+    /** @type {string[]} */
+    const stops = [];
+    capture.onChunk((chunk) => {
+      chunks.push(chunk);
+      capture.stop();
+    });
+    capture.on('stopped', (reason) => stops.push(reason));
+
+    capture.start();
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    assert.strictEqual(chunks.length, 1);
+    assert.deepStrictEqual(stops, ['stop']);
+    assert.strictEqual(capture.running, false);
+  });
+
+  it('should report a missing file', async () => {
+    const capture = new StreamCapture({ source: join(dir, 'missing.wav') });
+
+    await assert.rejects(readAll(capture), /ENOENT/);
+    assert.strictEqual(capture.running, false);
+  });
+
+  it('should throw when started twice', () => {
+    const stdin = new PassThrough();
+    const capture = new StreamCapture({ source: STDIN_SOURCE, stdin });
+
+    capture.start();
+
+    assert.throws(() => capture.start(), /already running/);
+    capture.stop();
+  });
+
+  it('should leave stdin open when stopped', () => {
+    const stdin = new PassThrough();
+    const capture = new StreamCapture({ source: STDIN_SOURCE, stdin });
+
+    capture.start();
+    capture.stop();
+
+    assert.strictEqual(stdin.destroyed, false);
+    assert.strictEqual(stdin.listenerCount('data'), 0);
+  });
+});
+
+describe('createStreamCapture', () => {
+  it('should create StreamCapture instance', () => {
+    assert.ok(createStreamCapture({ source: STDIN_SOURCE }) instanceof StreamCapture);
+  });
+});
@@ -0,0 +1,106 @@
+// @ts-nocheck - Tests build WAV streams byte by byte
+/**
+ * Unit tests for WavStreamDecoder - incremental WAV header stripping
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WavStreamDecoder, createWavStreamDecoder } from '../../../src/audio/wav-stream.mjs';
+import { pcmToWav } from '../../../src/stt/stt.mjs';
+import { assertThrows } from '../../test-utils.mjs';
+
+const SAMPLES = Int16Array.from([100, -200, 300, -400, 500, -600]);
+
+/**
+ * Push a stream through a decoder in fixed-size pieces
+ * @param {WavStreamDecoder} decoder
+ * @param {Buffer} stream
+ * @param {number} pieceSize
+ * @returns {Buffer} All PCM returned
+ */
+function pushInPieces(decoder, stream, pieceSize) {
+  const out = [];
+  for (let i = 0; i < stream.length; i += pieceSize) {
+    out.push(decoder.push(stream.subarray(i, i + pieceSize)));
+  }
+  return Buffer.concat(out);
+}
+
+/**
+ * @param {Buffer} pcm
+ * @returns {number[]}
+ */
+function toSamples(pcm) {
+  return [...new Int16Array(pcm.buffer, pcm.byteOffset, pcm.length / 2)];
+}
+
+describe('WavStreamDecoder', () => {
+  it('should strip the header from a single chunk', () => {
+    const decoder = new WavStreamDecoder();
+
+    const pcm = decoder.push(pcmToWav(SAMPLES, 16000));
+
+    assert.deepStrictEqual(toSamples(pcm), [...SAMPLES]);
+    assert.deepStrictEqual(decoder.format, { channels: 1, sampleRate: 16000, bitsPerSample: 16 });
+  });
+
+  it('should handle a header split across chunks and odd-sized pieces', () => {
+    const decoder = new WavStreamDecoder();
+
+    const pcm = pushInPieces(decoder, pcmToWav(SAMPLES, 24000), 5);
+
+    assert.deepStrictEqual(toSamples(pcm), [...SAMPLES]);
+    assert.strictEqual(decoder.format.sampleRate, 24000);
+  });
+
+  it('should return no audio until the data chunk starts', () => {
+    const decoder = new WavStreamDecoder();
+
+    const pcm = decoder.push(pcmToWav(SAMPLES, 22050).subarray(0, 30));
+
+    assert.strictEqual(pcm.length, 0);
+    assert.strictEqual(decoder.format, null);
+  });
+
+  it('should skip chunks between fmt and data', () => {
+    const wav = pcmToWav(SAMPLES, 22050);
+    const list = Buffer.alloc(8 + 3 + 1);
+    list.write('LIST', 0);
+    list.writeUInt32LE(3, 4);
+    const stream = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+
+    const pcm = new WavStreamDecoder().push(stream);
+
+    assert.deepStrictEqual(toSamples(pcm), [...SAMPLES]);
+  });
+
+  it('should ignore the streaming placeholder data size', () => {
+    const wav = pcmToWav(SAMPLES, 22050);
+    wav.writeUInt32LE(0xFFFFFFFF, 40);
+
+    const pcm = new WavStreamDecoder().push(wav);
+
+    assert.strictEqual(pcm.length, SAMPLES.length * 2);
+  });
+
+  it('should reject non-WAV data', () => {
+    assertThrows(() => {
+      new WavStreamDecoder().push(Buffer.from('this is not a wav file'));
+    }, 'Not a WAV stream');
+  });
+
+  it('should reject stereo audio', () => {
+    const wav = pcmToWav(SAMPLES, 22050);
+    wav.writeUInt16LE(2, 22);
+
+    assertThrows(() => {
+      new WavStreamDecoder().push(wav);
+    }, /Unsupported WAV format/);
+  });
+});
+
+describe('createWavStreamDecoder', () => {
+  it('should create WavStreamDecoder instance', () => {
+    assert.ok(createWavStreamDecoder() instanceof WavStreamDecoder);
+  });
+});
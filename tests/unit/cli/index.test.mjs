@@ -6,10 +6,12 @@
  * and lifecycle management.
  */
 
-import { test, describe, beforeEach, afterEach } from 'node:test';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert';
-import { Scout } from '../../../src/index.mjs';
-import { writeFile, mkdir, unlink, rmdir, access } from 'fs/promises';
+import { Scout, runQueueCommand } from '../../../src/index.mjs';
+import { OutboundQueue, queuePathForConfig } from '../../../src/session/outbound-queue.mjs';
+import { OpenClawClient } from '../../../src/openclaw/openclaw-client.mjs';
+import { writeFile, readFile, mkdir, unlink, rmdir, access } from 'fs/promises';
 import { dirname, join } from 'path';
 import { tmpdir } from 'os';
 
@@ -329,6 +331,120 @@ describe('Scout CLI options', () => {
       assert.ok(scout);
     });
   });
+
+  describe('input', () => {
+    test('should keep the audio input and its pace', () => {
+      const options = {
+        configPath: '/tmp/test.json',
+        help: false,
+        version: false,
+        setup: false,
+        logLevel: '',
+        debug: false,
+        input: '/fixtures/hello.wav',
+        inputPace: 'fast'
+      };
+
+      const scout = new Scout(options);
+
+      // Passed to the session manager as audioInput and audioInputPace during init()
+      assert.strictEqual(scout._options.input, '/fixtures/hello.wav');
+      assert.strictEqual(scout._options.inputPace, 'fast');
+    });
+  });
+});
+
+describe('runQueueCommand', () => {
+  /** @type {string} */
+  let configPath;
+
+  beforeEach(async () => {
+    configPath = join(getTempDir(), 'config.json');
+    await mkdir(dirname(configPath), { recursive: true });
+    const queue = new OutboundQueue({ filePath: queuePathForConfig(configPath) });
+    queue.enqueue('Turn on the lights');
+    queue.enqueue('What time is it');
+    await queue.save();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await unlink(queuePathForConfig(configPath)).catch(() => {});
+    await unlink(configPath).catch(() => {});
+    await rmdir(dirname(configPath)).catch(() => {});
+  });
+
+  /**
+   * @param {string} queue - Queue action
+   */
+  function optionsFor(queue) {
+    return { configPath, help: false, version: false, setup: false, logLevel: '', debug: false, queue };
+  }
+
+  test('should list queued messages in order', async () => {
+    const code = await runQueueCommand(optionsFor('list'));
+
+    // @ts-ignore - mocked method
+    const lines = console.log.mock.calls.map(call => call.arguments[0]);
+    assert.strictEqual(code, 0);
+    assert.match(lines[0], /^1\. \[.*\] Turn on the lights$/);
+    assert.match(lines[1], /^2\. \[.*\] What time is it$/);
+  });
+
+  test('should drop queued messages', async () => {
+    const code = await runQueueCommand(optionsFor('drop'));
+
+    const queue = new OutboundQueue({ filePath: queuePathForConfig(configPath) });
+    assert.strictEqual(code, 0);
+    assert.strictEqual(await queue.init(), 0);
+  });
+
+  test('should reject unknown actions', async () => {
+    assert.strictEqual(await runQueueCommand(optionsFor('purge')), 1);
+  });
+
+  test('should flush queued messages and save the session ID', async () => {
+    await createTestConfig(configPath, { agent_session_ids: { main: 'stored-session' }, last_session_id: 'stored-session' });
+    const send = mock.method(OpenClawClient.prototype, 'send', async () => ({ text: 'Done', sessionId: 'flushed-session' }));
+
+    const code = await runQueueCommand(optionsFor('flush'));
+
+    const saved = JSON.parse(await readFile(configPath, 'utf8'));
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(send.mock.calls.map(call => call.arguments), [
+      ['Turn on the lights', { sessionId: 'stored-session', language: null, agentId: 'main' }],
+      ['What time is it', { sessionId: 'flushed-session', language: null, agentId: 'main' }]
+    ]);
+    assert.strictEqual(saved.last_session_id, 'flushed-session');
+    assert.deepStrictEqual(saved.agent_session_ids, { main: 'flushed-session' });
+  });
+
+  test('should flush each message to the agent it was queued for', async () => {
+    const queue = new OutboundQueue({ filePath: queuePathForConfig(configPath) });
+    queue.enqueue('Dim the kitchen', { agentId: 'home', language: 'de' });
+    queue.enqueue('Check my calendar', { agentId: 'work', language: null });
+    await queue.save();
+    await createTestConfig(configPath, {
+      openclaw_agent: 'work',
+      openclaw_agents: ['home'],
+      agent_session_ids: { home: 'home-session', work: 'work-session' },
+      last_session_id: 'work-session'
+    });
+    const send = mock.method(OpenClawClient.prototype, 'send', async (/** @type {string} */ _text, /** @type {any} */ options) => ({ text: 'Done', sessionId: `${options.agentId}-next` }));
+
+    const code = await runQueueCommand(optionsFor('flush'));
+
+    const saved = JSON.parse(await readFile(configPath, 'utf8'));
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(send.mock.calls.map(call => call.arguments), [
+      ['Dim the kitchen', { sessionId: 'home-session', language: 'de', agentId: 'home' }],
+      ['Check my calendar', { sessionId: 'work-session', language: null, agentId: 'work' }]
+    ]);
+    assert.strictEqual(saved.last_session_id, 'work-next');
+    assert.deepStrictEqual(saved.agent_session_ids, { home: 'home-next', work: 'work-next' });
+  });
 });
 
 describe('Scout config property', () => {
@@ -22,8 +22,14 @@ import {
   isLocalhostUrl,
   DEFAULT_CONFIG,
   DISPLAY_MODES,
-  LOG_LEVELS
+  OPENCLAW_TRANSPORTS,
+  LOG_LEVELS,
+  STT_BACKENDS,
+  TTS_BACKENDS,
+  STT_MODES,
+  TTS_MODES
 } from '../../../src/config/config.mjs';
+import { registerAudioBackend } from '../../../src/audio/audio-backends.mjs';
 
 describe('Config', () => {
   /** @type {string} */
@@ -132,6 +138,312 @@ describe('Config', () => {
       }
     });
 
+    it('should reject invalid openclaw_transport', async () => {
+      const errors = await validateConfig({ openclaw_transport: 'carrier-pigeon' });
+      assert.ok(errors.some(e => e.field === 'openclaw_transport'));
+    });
+
+    it('should accept valid openclaw_transport values', async () => {
+      for (const transport of OPENCLAW_TRANSPORTS) {
+        const errors = await validateConfig({ openclaw_transport: transport });
+        const transportErrors = errors.filter(e => e.field === 'openclaw_transport');
+        assert.strictEqual(transportErrors.length, 0, `${transport} should be valid`);
+      }
+    });
+
+    it('should reject agent IDs that look like CLI flags', async () => {
+      const errors = await validateConfig({ openclaw_agent: '--local' });
+      assert.ok(errors.some(e => e.field === 'openclaw_agent'));
+    });
+
+    it('should accept valid agent IDs', async () => {
+      const errors = await validateConfig({ openclaw_agent: 'home', openclaw_agents: ['work', 'coding_bot', 'ops-2'] });
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it('should reject invalid openclaw_agents', async () => {
+      // @ts-expect-error - testing invalid type
+      const notArray = await validateConfig({ openclaw_agents: 'work' });
+      assert.ok(notArray.some(e => e.field === 'openclaw_agents'));
+
+      const badEntry = await validateConfig({ openclaw_agents: ['work', 'bad agent'] });
+      assert.ok(badEntry.some(e => e.field === 'openclaw_agents'));
+    });
+
+    it('should reject non-string agent_session_ids values', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ agent_session_ids: { main: 42 } });
+      assert.ok(errors.some(e => e.field === 'agent_session_ids'));
+    });
+
+    it('should reject non-boolean stream_responses', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ stream_responses: 'yes' });
+      assert.ok(errors.some(e => e.field === 'stream_responses'));
+    });
+
+    it('should reject non-boolean replay_after_reconnect', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ replay_after_reconnect: 1 });
+      assert.ok(errors.some(e => e.field === 'replay_after_reconnect'));
+    });
+
+    it('should reject non-boolean queue_while_disconnected', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ queue_while_disconnected: 'yes' });
+      assert.ok(errors.some(e => e.field === 'queue_while_disconnected'));
+    });
+
+    it('should accept valid stt_backend values', async () => {
+      for (const backend of STT_BACKENDS) {
+        const errors = await validateConfig({ stt_backend: backend, stt_url: 'http://127.0.0.1:8000' });
+        assert.ok(!errors.some(e => e.field === 'stt_backend'), `${backend} should be valid`);
+      }
+    });
+
+    it('should reject invalid stt_backend', async () => {
+      const errors = await validateConfig({ stt_backend: 'cloud' });
+      assert.ok(errors.some(e => e.field === 'stt_backend'));
+    });
+
+    it('should require stt_url for the http backend', async () => {
+      const errors = await validateConfig({ stt_backend: 'http' });
+      assert.ok(errors.some(e => e.field === 'stt_url'));
+    });
+
+    it('should reject non-localhost stt_url', async () => {
+      const errors = await validateConfig({ stt_backend: 'http', stt_url: 'https://api.example.com' });
+      assert.ok(errors.some(e => e.field === 'stt_url' && e.message.includes('localhost')));
+    });
+
+    it('should accept valid tts_backend values', async () => {
+      for (const backend of TTS_BACKENDS) {
+        const errors = await validateConfig({ tts_backend: backend, tts_url: 'http://127.0.0.1:8880' });
+        assert.ok(!errors.some(e => e.field === 'tts_backend'), `${backend} should be valid`);
+      }
+    });
+
+    it('should reject invalid tts_backend', async () => {
+      const errors = await validateConfig({ tts_backend: 'festival' });
+      assert.ok(errors.some(e => e.field === 'tts_backend'));
+    });
+
+    it('should require tts_url for the http backend', async () => {
+      const errors = await validateConfig({ tts_backend: 'http' });
+      assert.ok(errors.some(e => e.field === 'tts_url'));
+    });
+
+    it('should reject non-localhost tts_url', async () => {
+      const errors = await validateConfig({ tts_backend: 'http', tts_url: 'https://api.example.com' });
+      assert.ok(errors.some(e => e.field === 'tts_url' && e.message.includes('localhost')));
+    });
+
+    it('should reject non-string tts_espeak_voice', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ tts_espeak_voice: 5 });
+      assert.ok(errors.some(e => e.field === 'tts_espeak_voice'));
+    });
+
+    it('should accept valid stt_mode values', async () => {
+      for (const mode of STT_MODES) {
+        const errors = await validateConfig({ stt_mode: mode });
+        assert.ok(!errors.some(e => e.field === 'stt_mode'), `${mode} should be valid`);
+      }
+    });
+
+    it('should reject invalid stt_mode', async () => {
+      const errors = await validateConfig({ stt_mode: 'daemon' });
+      assert.ok(errors.some(e => e.field === 'stt_mode'));
+    });
+
+    it('should accept valid tts_mode values', async () => {
+      for (const mode of TTS_MODES) {
+        const errors = await validateConfig({ tts_mode: mode });
+        assert.ok(!errors.some(e => e.field === 'tts_mode'), `${mode} should be valid`);
+      }
+    });
+
+    it('should reject invalid tts_mode', async () => {
+      const errors = await validateConfig({ tts_mode: 'server' });
+      assert.ok(errors.some(e => e.field === 'tts_mode'));
+    });
+
+    it('should reject non-boolean tts_normalize', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ tts_normalize: 'yes' });
+      assert.ok(errors.some(e => e.field === 'tts_normalize'));
+    });
+
+    it('should accept an empty tts_code_summary', async () => {
+      const errors = await validateConfig({ tts_code_summary: '' });
+      assert.ok(!errors.some(e => e.field === 'tts_code_summary'));
+    });
+
+    it('should reject non-string tts_code_summary', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ tts_code_summary: 42 });
+      assert.ok(errors.some(e => e.field === 'tts_code_summary'));
+    });
+
+    it('should reject non-boolean tts_ssml', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ tts_ssml: 1 });
+      assert.ok(errors.some(e => e.field === 'tts_ssml'));
+    });
+
+    it('should accept voice settings within range', async () => {
+      const errors = await validateConfig({
+        tts_voices: { british: '/voices/en_GB-alan-medium.onnx' },
+        tts_speed: 1.25,
+        tts_volume: 0
+      });
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it('should reject out-of-range tts_speed and tts_volume', async () => {
+      const errors = await validateConfig({ tts_speed: 3, tts_volume: -1 });
+      assert.ok(errors.some(e => e.field === 'tts_speed' && e.message.includes('between 0.5 and 2')));
+      assert.ok(errors.some(e => e.field === 'tts_volume' && e.message.includes('between 0 and 2')));
+    });
+
+    it('should reject tts_voices that are not a name-to-voice map', async () => {
+      for (const value of [['alan'], { british: '' }]) {
+        // @ts-expect-error - testing invalid type
+        const errors = await validateConfig({ tts_voices: value });
+        assert.ok(errors.some(e => e.field === 'tts_voices'), JSON.stringify(value));
+      }
+    });
+
+    it('should reject a non-boolean spoken_errors', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ spoken_errors: 'yes' });
+      assert.ok(errors.some(e => e.field === 'spoken_errors' && e.message === 'Spoken errors must be a boolean'));
+    });
+
+    it('should accept earcons turned off, on or replaced by files', async () => {
+      const errors = await validateConfig({ earcons: { listening: false, wake_word: true, error: '/sounds/error.wav' } });
+      assert.ok(!errors.some(e => e.field === 'earcons'));
+      assert.ok(!(await validateConfig({ earcons: false })).some(e => e.field === 'earcons'));
+    });
+
+    it('should reject earcons for unknown events or with invalid sounds', async () => {
+      const unknown = await validateConfig({ earcons: { beep: true } });
+      assert.ok(unknown.some(e => e.field === 'earcons' && e.message.startsWith('Earcon events must be one of: listening')));
+
+      // @ts-expect-error - testing invalid type
+      const invalid = await validateConfig({ earcons: { error: 1 } });
+      assert.ok(invalid.some(e => e.field === 'earcons' && e.message === 'Earcons must map each event to true, false or a WAV file path'));
+    });
+
+    it('should reject a non-string tts_system_voice', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ tts_system_voice: true });
+      assert.ok(errors.some(e => e.field === 'tts_system_voice' && e.message === 'TTS system voice must be a string'));
+    });
+
+    it('should reject non-string audio devices', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ input_device: 3, output_device: null });
+      assert.ok(errors.some(e => e.field === 'input_device' && e.message === 'Input device must be a string'));
+      assert.ok(errors.some(e => e.field === 'output_device' && e.message === 'Output device must be a string'));
+      assert.ok(!(await validateConfig({ input_device: 'bluez_input.headset', output_device: '' })).some(e => e.field.endsWith('_device')));
+    });
+
+    it('should validate echo cancellation settings', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ echo_cancellation: 'yes', echo_delay_ms: 2000, echo_tail_ms: 8 });
+      assert.ok(errors.some(e => e.field === 'echo_cancellation' && e.message === 'Echo cancellation must be a boolean'));
+      assert.ok(errors.some(e => e.field === 'echo_delay_ms' && e.message === 'Echo delay must be between 0 and 1000 ms'));
+      assert.ok(errors.some(e => e.field === 'echo_tail_ms' && e.message === 'Echo tail must be between 16 and 500 ms'));
+      assert.ok(!(await validateConfig({ echo_cancellation: false, echo_delay_ms: 0, echo_tail_ms: 500 })).some(e => e.field.startsWith('echo_')));
+    });
+
+    it('should validate audio_backend', async () => {
+      const errors = await validateConfig({ audio_backend: 'oss' });
+      assert.ok(errors.some(e => e.field === 'audio_backend' && e.message === 'Audio backend must be one of: auto, pulseaudio, pipewire, alsa, sox'));
+      for (const audio_backend of ['auto', 'pipewire', 'alsa']) {
+        assert.strictEqual((await validateConfig({ audio_backend })).length, 0);
+      }
+    });
+
+    it('should accept audio backends added with registerAudioBackend()', async () => {
+      assert.ok((await validateConfig({ audio_backend: 'jack' })).some(e => e.field === 'audio_backend'));
+
+      registerAudioBackend('jack', {
+        label: 'JACK',
+        captureCommand: 'jack_rec',
+        playbackCommand: 'jack_play',
+        captureArgs: () => [],
+        playbackArgs: () => [],
+        pulseDevices: false
+      });
+
+      assert.strictEqual((await validateConfig({ audio_backend: 'jack' })).length, 0);
+    });
+
+    it('should validate capture DSP toggles', async () => {
+      // @ts-expect-error - testing invalid type
+      const errors = await validateConfig({ high_pass_filter: 1, noise_suppression: 'on', auto_gain_control: null });
+      assert.ok(errors.some(e => e.field === 'high_pass_filter' && e.message === 'High-pass filter must be a boolean'));
+      assert.ok(errors.some(e => e.field === 'noise_suppression' && e.message === 'Noise suppression must be a boolean'));
+      assert.ok(errors.some(e => e.field === 'auto_gain_control' && e.message === 'Auto gain control must be a boolean'));
+      assert.strictEqual((await validateConfig({ high_pass_filter: true, noise_suppression: false, auto_gain_control: true })).length, 0);
+    });
+
+    it('should reject tts_cache_mb outside 0 to 1024', async () => {
+      for (const value of [-1, 2048, '50']) {
+        // @ts-expect-error - testing invalid type
+        const errors = await validateConfig({ tts_cache_mb: value });
+        assert.ok(errors.some(e => e.field === 'tts_cache_mb'), String(value));
+      }
+      const errors = await validateConfig({ tts_cache_mb: 0 });
+      assert.ok(!errors.some(e => e.field === 'tts_cache_mb'));
+    });
+
+    it('should accept stt_language codes, auto and empty', async () => {
+      for (const value of ['', 'auto', 'de', 'yue']) {
+        const errors = await validateConfig({ stt_language: value });
+        assert.ok(!errors.some(e => e.field === 'stt_language'), value);
+      }
+    });
+
+    it('should reject stt_language values that are not language codes', async () => {
+      for (const value of ['german', 'DE', 1]) {
+        // @ts-expect-error - testing invalid type
+        const errors = await validateConfig({ stt_language: value });
+        assert.ok(errors.some(e => e.field === 'stt_language'), String(value));
+      }
+    });
+
+    it('should reject wake_word_phrases that are not a language-to-phrase map', async () => {
+      for (const value of [['hallo scout'], { german: 'hallo scout' }, { de: '' }]) {
+        // @ts-expect-error - testing invalid type
+        const errors = await validateConfig({ wake_word_phrases: value });
+        assert.ok(errors.some(e => e.field === 'wake_word_phrases'), JSON.stringify(value));
+      }
+      const errors = await validateConfig({ wake_word_phrases: { de: 'hallo scout' } });
+      assert.ok(!errors.some(e => e.field === 'wake_word_phrases'));
+    });
+
+    it('should reject missing whisper_server_path when checking files', async () => {
+      const errors = await validateConfig({ whisper_server_path: '/nonexistent/whisper-server' }, { checkFilePaths: true });
+      assert.ok(errors.some(e => e.field === 'whisper_server_path'));
+    });
+
+    it('should accept partial_transcript_interval_ms of 0 or within range', async () => {
+      for (const value of [0, 250, 1000, 10000]) {
+        const errors = await validateConfig({ partial_transcript_interval_ms: value });
+        assert.ok(!errors.some(e => e.field === 'partial_transcript_interval_ms'), `${value} should be valid`);
+      }
+    });
+
+    it('should reject out-of-range partial_transcript_interval_ms', async () => {
+      for (const value of [100, 20000, 1.5]) {
+        const errors = await validateConfig({ partial_transcript_interval_ms: value });
+        assert.ok(errors.some(e => e.field === 'partial_transcript_interval_ms'), `${value} should be invalid`);
+      }
+    });
+
     it('should reject invalid log_level', async () => {
       const errors = await validateConfig({ log_level: 'verbose' });
       assert.ok(errors.some(e => e.field === 'log_level'));
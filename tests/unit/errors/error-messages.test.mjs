@@ -23,6 +23,7 @@ import {
   getErrorType,
   getErrorMessage,
   getErrorSuggestions,
+  getSpokenErrorMessage,
   isRecoverable
 } from '../../../src/errors/error-messages.mjs';
 
@@ -59,6 +60,7 @@ describe('ErrorCode', () => {
     assert.ok(ErrorCode.PULSEAUDIO_NOT_RUNNING);
     assert.ok(ErrorCode.AUDIO_CAPTURE_ERROR);
     assert.ok(ErrorCode.AUDIO_PLAYBACK_ERROR);
+    assert.ok(ErrorCode.AUDIO_DEVICE_MISSING);
   });
 
   it('should have all STT error codes', () => {
@@ -142,6 +144,7 @@ describe('getErrorType', () => {
     assert.strictEqual(getErrorType(ErrorCode.MIC_UNAVAILABLE), 'audio');
     assert.strictEqual(getErrorType(ErrorCode.SPEAKER_UNAVAILABLE), 'audio');
     assert.strictEqual(getErrorType(ErrorCode.PULSEAUDIO_NOT_RUNNING), 'audio');
+    assert.strictEqual(getErrorType(ErrorCode.AUDIO_DEVICE_MISSING), 'audio');
   });
 
   it('should return stt for STT errors', () => {
@@ -225,6 +228,26 @@ describe('getErrorMessage', () => {
   });
 });
 
+describe('getSpokenErrorMessage', () => {
+  it('should return a short spoken version in Scout\'s own words', () => {
+    assert.strictEqual(getSpokenErrorMessage(ErrorCode.OPENCLAW_UNREACHABLE), "I can't reach your agent right now.");
+    assert.strictEqual(createErrorInfo(ErrorCode.STT_EMPTY).spoken, "Sorry, I didn't catch that.");
+  });
+
+  it('should not speak errors that cannot be heard or mean nothing by ear', () => {
+    assert.strictEqual(getSpokenErrorMessage(ErrorCode.TTS_FAILED), null);
+    assert.strictEqual(getSpokenErrorMessage(ErrorCode.SPEAKER_UNAVAILABLE), null);
+    assert.strictEqual(getSpokenErrorMessage('INVALID'), null);
+  });
+
+  it('should define a spoken entry for every error code', () => {
+    for (const code of Object.values(ErrorCode)) {
+      const spoken = getSpokenErrorMessage(code);
+      assert.ok(spoken === null || (typeof spoken === 'string' && spoken.length < 60), code);
+    }
+  });
+});
+
 describe('getErrorSuggestions', () => {
   it('should return suggestions array', () => {
     const suggestions = getErrorSuggestions(ErrorCode.PULSEAUDIO_NOT_RUNNING);
@@ -248,6 +271,7 @@ describe('isRecoverable', () => {
     assert.strictEqual(isRecoverable(ErrorCode.STT_EMPTY), true);
     assert.strictEqual(isRecoverable(ErrorCode.CONNECTION_LOST), true);
     assert.strictEqual(isRecoverable(ErrorCode.TTS_FAILED), true);
+    assert.strictEqual(isRecoverable(ErrorCode.AUDIO_DEVICE_MISSING), true);
   });
 
   it('should return false for non-recoverable errors', () => {
@@ -301,6 +325,17 @@ describe('ErrorMessageHandler', () => {
       assert.ok(output[0].includes('Connection lost'));
     });
 
+    it('should not display errors when display is off', () => {
+      const { stream, output } = createMockOutput();
+      const handler = new ErrorMessageHandler({ output: stream, display: false });
+      handler.on('error', () => {}); // Prevent unhandled error
+
+      handler.handleError(ErrorCode.CONNECTION_LOST);
+
+      assert.strictEqual(output.length, 0);
+      assert.strictEqual(handler.getErrorHistory().length, 1);
+    });
+
     it('should record error in history', () => {
       const { stream } = createMockOutput();
       const handler = new ErrorMessageHandler({ output: stream });
@@ -354,6 +389,19 @@ describe('ErrorMessageHandler', () => {
       assert.strictEqual(result.code, ErrorCode.TTS_FAILED);
     });
 
+    it('should map timed out requests to a gateway timeout', () => {
+      const { stream } = createMockOutput();
+      const handler = new ErrorMessageHandler({ output: stream });
+      handler.on('error', () => {}); // Prevent unhandled error
+
+      const result = handler.handleErrorObject({
+        type: 'openclaw',
+        message: 'Command timed out'
+      });
+
+      assert.strictEqual(result.code, ErrorCode.GATEWAY_TIMEOUT);
+    });
+
     it('should fall back to unknown for unrecognized errors', () => {
       const { stream } = createMockOutput();
       const handler = new ErrorMessageHandler({ output: stream });
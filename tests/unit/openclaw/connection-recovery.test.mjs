@@ -356,6 +356,26 @@ describe('ConnectionRecovery', () => {
       assert.strictEqual(recovery.isRecovering, false);
     });
 
+    it('should end a recovery waiting between attempts', async () => {
+      const recovery = new ConnectionRecovery(async () => false, {
+        initialDelayMs: 1000,
+        maxAttempts: 3
+      });
+      let cancelled = false;
+      recovery.on('recovery_cancelled', () => { cancelled = true; });
+
+      const pending = recovery.startRecovery();
+      await new Promise(resolve => setImmediate(resolve));
+      recovery.cancel();
+      const result = await pending;
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.error, 'Recovery cancelled');
+      assert.strictEqual(result.attempts, 1);
+      assert.strictEqual(cancelled, true);
+      assert.strictEqual(recovery.isRecovering, false);
+    });
+
     it('should have cancel method', () => {
       const recovery = new ConnectionRecovery(async () => true);
       assert.strictEqual(typeof recovery.cancel, 'function');
@@ -0,0 +1,56 @@
+/**
+ * Tests for OpenClaw media helpers
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mediaTypeFromUrl, describeMediaForSpeech } from '../../../src/openclaw/media.mjs';
+
+describe('mediaTypeFromUrl', () => {
+  it('should classify by file extension', () => {
+    assert.strictEqual(mediaTypeFromUrl('https://example.com/cat.PNG'), 'image');
+    assert.strictEqual(mediaTypeFromUrl('/tmp/reply.mp3'), 'audio');
+    assert.strictEqual(mediaTypeFromUrl('clip.webm'), 'video');
+  });
+
+  it('should ignore query strings and fragments', () => {
+    assert.strictEqual(mediaTypeFromUrl('https://example.com/chart.jpg?size=large#top'), 'image');
+  });
+
+  it('should classify data URLs by MIME type', () => {
+    assert.strictEqual(mediaTypeFromUrl('data:audio/wav;base64,AAAA'), 'audio');
+  });
+
+  it('should default to file', () => {
+    assert.strictEqual(mediaTypeFromUrl('https://example.com/report.pdf'), 'file');
+    assert.strictEqual(mediaTypeFromUrl('https://example.com/download'), 'file');
+    assert.strictEqual(mediaTypeFromUrl(''), 'file');
+  });
+});
+
+describe('describeMediaForSpeech', () => {
+  it('should return empty string without media', () => {
+    assert.strictEqual(describeMediaForSpeech([]), '');
+  });
+
+  it('should describe a single attachment', () => {
+    assert.strictEqual(
+      describeMediaForSpeech([{ url: 'a.png', type: 'image', caption: null }]),
+      'I\'ve sent you an image.'
+    );
+    assert.strictEqual(
+      describeMediaForSpeech([{ url: 'a.mp3', type: 'audio', caption: null }]),
+      'I\'ve sent you an audio clip.'
+    );
+  });
+
+  it('should count and list mixed attachments', () => {
+    assert.strictEqual(
+      describeMediaForSpeech([
+        { url: 'a.png', type: 'image', caption: null },
+        { url: 'b.png', type: 'image', caption: null },
+        { url: 'c.pdf', type: 'file', caption: null }
+      ]),
+      'I\'ve sent you 2 images and a file.'
+    );
+  });
+});
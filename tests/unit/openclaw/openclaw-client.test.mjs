@@ -8,15 +8,83 @@
  * - Token propagation without token leakage in logs
  */
 
-import { describe, it, mock } from 'node:test';
+import { describe, it, mock, before, after } from 'node:test';
 import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, writeFile, chmod, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import { createMockConfig, assertThrows, assertThrowsAsync } from '../../test-utils.mjs';
 import {
   OpenClawClient,
   OpenClawError,
   EXIT_CODES,
-  ERROR_TYPES
+  ERROR_TYPES,
+  TRANSPORTS,
+  DEFAULT_AGENT_ID
 } from '../../../src/openclaw/openclaw-client.mjs';
+import { GATEWAY_PATHS } from '../../../src/openclaw/http-transport.mjs';
+
+/**
+ * @typedef {Object} StubRequest
+ * @property {string} method
+ * @property {string} url
+ * @property {import('node:http').IncomingHttpHeaders} headers
+ * @property {any} body
+ */
+
+/**
+ * Start a local stub gateway that answers with a configurable handler
+ * @param {function(StubRequest): { status: number, body: string, delayMs?: number, chunks?: string[], intervalMs?: number }} handler
+ * @returns {Promise<{ url: string, requests: StubRequest[], close: function(): Promise<void> }>}
+ */
+async function startStubGateway(handler) {
+  /** @type {StubRequest[]} */
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method || '',
+        url: req.url || '',
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null
+      };
+      requests.push(request);
+      const { status, body, delayMs = 0, chunks = [], intervalMs = 0 } = handler(request);
+      // Headers after delayMs, then each of chunks intervalMs apart before body
+      setTimeout(async () => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        for (const chunk of chunks) {
+          res.write(chunk);
+          await new Promise((resolve) => setTimeout(resolve, intervalMs));
+        }
+        res.end(body);
+      }, delayMs);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const address = /** @type {import('node:net').AddressInfo} */ (server.address());
+
+  return {
+    url: `http://127.0.0.1:${address.port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(() => resolve()))
+  };
+}
+
+const OK_BODY = JSON.stringify({
+  runId: 'run-1',
+  status: 'ok',
+  summary: 'completed',
+  result: {
+    payloads: [{ text: 'Hello over HTTP', mediaUrl: null }],
+    meta: { durationMs: 42, agentMeta: { sessionId: 'http-session' } }
+  }
+});
 
 describe('OpenClawClient', () => {
   describe('constructor', () => {
@@ -114,6 +182,50 @@ describe('OpenClawClient', () => {
       assert.ok(args.includes('test-session-123'));
     });
 
+    it('should not pass the spoken language to the CLI', () => {
+      const client = new OpenClawClient(createMockConfig());
+
+      // @ts-expect-error - accessing private method for testing
+      const args = client._buildArgs('Hallo', { language: 'de' });
+
+      assert.ok(!args.includes('--language'));
+      assert.ok(!args.includes('de'));
+    });
+
+    it('should build the same arguments with or without a spoken language', () => {
+      const client = new OpenClawClient(createMockConfig());
+
+      // @ts-expect-error - accessing private method for testing
+      const args = client._buildArgs('Wie spät ist es?', { sessionId: 'sess-1', language: 'de' });
+
+      assert.deepStrictEqual(args, [
+        'agent',
+        '--agent', 'main',
+        '--message', 'Wie spät ist es?',
+        '--json',
+        '--session-id', 'sess-1'
+      ]);
+    });
+
+    it('should target the configured agent', () => {
+      const client = new OpenClawClient(createMockConfig({ openclaw_agent: 'work' }));
+
+      // @ts-expect-error - accessing private method for testing
+      const args = client._buildArgs('Hello');
+
+      assert.deepStrictEqual(args.slice(0, 3), ['agent', '--agent', 'work']);
+    });
+
+    it('should target another agent when asked', () => {
+      const client = new OpenClawClient(createMockConfig({ openclaw_agent: 'work' }));
+
+      // @ts-expect-error - accessing private method for testing
+      const args = client._buildArgs('Hello', { agentId: 'home' });
+
+      assert.deepStrictEqual(args.slice(0, 3), ['agent', '--agent', 'home']);
+      assert.strictEqual(client.agentId, 'work');
+    });
+
     it('should preserve message with special characters', () => {
       const config = createMockConfig();
       const client = new OpenClawClient(config);
@@ -212,6 +324,55 @@ describe('OpenClawClient', () => {
       assert.strictEqual(response.sessionId, null);
     });
 
+    it('should join text from multiple payloads', () => {
+      const config = createMockConfig();
+      const client = new OpenClawClient(config);
+
+      const stdout = JSON.stringify({
+        status: 'ok',
+        result: {
+          payloads: [
+            { text: 'First part.', mediaUrl: null },
+            { text: '  ', mediaUrl: null },
+            { text: 'Second part.', mediaUrl: null }
+          ],
+          meta: { durationMs: 100, agentMeta: { sessionId: 's1' } }
+        }
+      });
+
+      // @ts-expect-error - accessing private method for testing
+      const response = client._parseResponse(stdout);
+
+      assert.strictEqual(response.text, 'First part.\n\nSecond part.');
+      assert.deepStrictEqual(response.media, []);
+    });
+
+    it('should collect media attachments with captions', () => {
+      const config = createMockConfig();
+      const client = new OpenClawClient(config);
+
+      const stdout = JSON.stringify({
+        status: 'ok',
+        result: {
+          payloads: [
+            { text: 'Here is the chart.', mediaUrl: null },
+            { text: 'Sales by month', mediaUrl: 'https://example.com/chart.png' },
+            { mediaUrl: 'https://example.com/report.pdf' }
+          ],
+          meta: { durationMs: 100, agentMeta: {} }
+        }
+      });
+
+      // @ts-expect-error - accessing private method for testing
+      const response = client._parseResponse(stdout);
+
+      assert.strictEqual(response.text, 'Here is the chart.\n\nSales by month');
+      assert.deepStrictEqual(response.media, [
+        { url: 'https://example.com/chart.png', type: 'image', caption: 'Sales by month' },
+        { url: 'https://example.com/report.pdf', type: 'file', caption: null }
+      ]);
+    });
+
     it('should throw on invalid JSON', () => {
       const config = createMockConfig();
       const client = new OpenClawClient(config);
@@ -259,6 +420,23 @@ describe('OpenClawClient', () => {
 
       assert.strictEqual(client.sessionId, 'persistent-session');
     });
+
+    it('should not store the session ID of another agent', () => {
+      const client = new OpenClawClient(createMockConfig());
+      const stdout = JSON.stringify({
+        status: 'ok',
+        result: {
+          payloads: [{ text: 'Test' }],
+          meta: { durationMs: 100, agentMeta: { sessionId: 'home-session' } }
+        }
+      });
+
+      // @ts-expect-error - accessing private method for testing
+      const response = client._parseResponse(stdout, 'home');
+
+      assert.strictEqual(response.sessionId, 'home-session');
+      assert.strictEqual(client.sessionId, null);
+    });
   });
 
   describe('_categorizeError', () => {
@@ -436,6 +614,75 @@ describe('OpenClawClient', () => {
     });
   });
 
+  describe('cancellation', () => {
+    it('should reject an already aborted signal without sending', async () => {
+      const client = new OpenClawClient(createMockConfig());
+      let sending = false;
+      client.on('sending', () => { sending = true; });
+      const controller = new AbortController();
+      controller.abort();
+
+      await assert.rejects(client.send('Test', { signal: controller.signal }), (/** @type {OpenClawError} */ err) => {
+        return err.type === ERROR_TYPES.CANCELLED;
+      });
+      assert.strictEqual(sending, false);
+    });
+
+    it('should emit cancelled instead of error', async () => {
+      const client = new OpenClawClient(createMockConfig());
+      let errorEmitted = false;
+      /** @type {any} */
+      let cancelled = null;
+      client.on('error', () => { errorEmitted = true; });
+      client.on('cancelled', (data) => { cancelled = data; });
+      // @ts-expect-error - mocking private method
+      client._exec = mock.fn(() => Promise.reject(new OpenClawError('Request cancelled', ERROR_TYPES.CANCELLED)));
+
+      await assert.rejects(client.send('Test', { signal: new AbortController().signal }), (/** @type {OpenClawError} */ err) => {
+        return err.type === ERROR_TYPES.CANCELLED;
+      });
+      assert.strictEqual(errorEmitted, false);
+      assert.deepStrictEqual(cancelled, { message: 'Test' });
+    });
+
+    it('should pass the signal to the CLI process', async () => {
+      const client = new OpenClawClient(createMockConfig());
+      /** @type {AbortSignal|undefined} */
+      let received;
+      // @ts-expect-error - mocking private method
+      client._exec = mock.fn((/** @type {string[]} */ _args, /** @type {NodeJS.ProcessEnv} */ _env, /** @type {AbortSignal} */ signal) => {
+        received = signal;
+        return Promise.resolve({ stdout: OK_BODY, stderr: '', exitCode: 0 });
+      });
+      const controller = new AbortController();
+
+      await client.send('Test', { signal: controller.signal });
+
+      assert.strictEqual(received, controller.signal);
+    });
+
+    it('should kill the CLI process when aborted', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'scout-openclaw-'));
+      const fakeCli = join(dir, 'openclaw');
+      await writeFile(fakeCli, '#!/bin/sh\nexec sleep 10\n');
+      await chmod(fakeCli, 0o755);
+
+      const client = new OpenClawClient(createMockConfig());
+      const controller = new AbortController();
+      const started = Date.now();
+      setTimeout(() => controller.abort(), 50);
+
+      try {
+        // @ts-expect-error - accessing private method
+        const pending = client._exec(['agent'], { ...process.env, PATH: `${dir}:${process.env.PATH}` }, controller.signal);
+        await assert.rejects(pending, (/** @type {OpenClawError} */ err) => err.type === ERROR_TYPES.CANCELLED);
+        assert.ok(Date.now() - started < 5000, 'process should be killed, not waited for');
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
   describe('healthCheck', () => {
     it('should return true on success', async () => {
       const config = createMockConfig();
@@ -503,6 +750,47 @@ describe('OpenClawClient', () => {
     });
   });
 
+  describe('setAgent', () => {
+    it('should default to the main agent', () => {
+      const client = new OpenClawClient(createMockConfig());
+      assert.strictEqual(client.agentId, DEFAULT_AGENT_ID);
+    });
+
+    it('should reject agent IDs that could be read as CLI flags', () => {
+      assert.throws(() => new OpenClawClient(createMockConfig({ openclaw_agent: '--local' })), /Invalid agent ID/);
+
+      const client = new OpenClawClient(createMockConfig());
+      assert.throws(() => client.setAgent('-x'), /Invalid agent ID/);
+      assert.throws(() => client.setAgent('work agent'), /Invalid agent ID/);
+    });
+
+    it('should switch agent, drop the session and emit agent_changed', () => {
+      const client = new OpenClawClient(createMockConfig());
+      client._lastSessionId = 'main-session';
+      /** @type {any} */
+      let changed = null;
+      client.on('agent_changed', (data) => { changed = data; });
+
+      client.setAgent('work');
+
+      assert.strictEqual(client.agentId, 'work');
+      assert.strictEqual(client.sessionId, null);
+      assert.deepStrictEqual(changed, { from: 'main', to: 'work' });
+    });
+
+    it('should do nothing when switching to the active agent', () => {
+      const client = new OpenClawClient(createMockConfig());
+      client._lastSessionId = 'main-session';
+      let emitted = false;
+      client.on('agent_changed', () => { emitted = true; });
+
+      client.setAgent('main');
+
+      assert.strictEqual(client.sessionId, 'main-session');
+      assert.strictEqual(emitted, false);
+    });
+  });
+
   describe('resetSession', () => {
     it('should clear session ID', () => {
       const config = createMockConfig();
@@ -609,4 +897,371 @@ describe('OpenClawClient', () => {
       assert.strictEqual(capturedEnv.OPENCLAW_GATEWAY_TOKEN, 'env-token');
     });
   });
+
+  describe('HTTP transport', () => {
+    /** @type {Awaited<ReturnType<typeof startStubGateway>>} */
+    let gateway;
+    /** @type {function(StubRequest): { status: number, body: string, delayMs?: number, chunks?: string[], intervalMs?: number }} */
+    let respond = () => ({ status: 200, body: OK_BODY });
+
+    before(async () => {
+      gateway = await startStubGateway((request) => respond(request));
+    });
+
+    after(async () => {
+      await gateway.close();
+    });
+
+    /**
+     * @param {Record<string, any>} [overrides]
+     */
+    function createHttpClient(overrides = {}) {
+      const config = createMockConfig({ gateway_url: gateway.url, ...overrides });
+      // @ts-ignore - openclaw_transport is not part of the mock config typedef
+      return new OpenClawClient({ ...config, openclaw_transport: 'http' });
+    }
+
+    it('should default to the CLI transport', () => {
+      const client = new OpenClawClient(createMockConfig());
+      assert.strictEqual(client.transport, TRANSPORTS.CLI);
+    });
+
+    it('should select the HTTP transport from config', () => {
+      const client = createHttpClient();
+      assert.strictEqual(client.transport, TRANSPORTS.HTTP);
+    });
+
+    it('should not spawn the CLI when using HTTP', async () => {
+      respond = () => ({ status: 200, body: OK_BODY });
+      const client = createHttpClient();
+      // @ts-expect-error - mocking private method
+      client._exec = mock.fn(() => Promise.reject(new Error('should not be called')));
+
+      await client.send('Hello');
+
+      // @ts-expect-error - mocked private method
+      assert.strictEqual(client._exec.mock.calls.length, 0);
+    });
+
+    it('should return the same response shape as the CLI', async () => {
+      respond = () => ({ status: 200, body: OK_BODY });
+      const client = createHttpClient();
+
+      const response = await client.send('Hello');
+
+      assert.deepStrictEqual(response, {
+        text: 'Hello over HTTP',
+        media: [],
+        sessionId: 'http-session',
+        durationMs: 42
+      });
+      assert.strictEqual(client.sessionId, 'http-session');
+    });
+
+    it('should post the trimmed message and session ID to the agent endpoint', async () => {
+      respond = () => ({ status: 200, body: OK_BODY });
+      const client = createHttpClient();
+      const before = gateway.requests.length;
+
+      await client.send('  Hi there  ', { sessionId: 'sess-9' });
+
+      const request = gateway.requests[before];
+      assert.strictEqual(request.method, 'POST');
+      assert.strictEqual(request.url, GATEWAY_PATHS.AGENT);
+      assert.deepStrictEqual(request.body, { agent: 'main', message: 'Hi there', sessionId: 'sess-9' });
+    });
+
+    it('should post the spoken language', async () => {
+      respond = () => ({ status: 200, body: OK_BODY });
+      const client = createHttpClient();
+      const before = gateway.requests.length;
+
+      await client.send('Hola', { language: 'es' });
+
+      assert.deepStrictEqual(gateway.requests[before].body, { agent: 'main', message: 'Hola', language: 'es' });
+    });
+
+    it('should post to the configured agent', async () => {
+      respond = () => ({ status: 200, body: OK_BODY });
+      const client = createHttpClient({ openclaw_agent: 'coding' });
+      const before = gateway.requests.length;
+
+      await client.send('Hi');
+
+      assert.strictEqual(gateway.requests[before].body.agent, 'coding');
+    });
+
+    it('should send the token as a bearer header, never in the body', async () => {
+      respond = () => ({ status: 200, body: OK_BODY });
+      const client = createHttpClient({ gateway_token: 'super-secret-token' });
+      const before = gateway.requests.length;
+
+      await client.send('Test');
+
+      const request = gateway.requests[before];
+      assert.strictEqual(request.headers.authorization, 'Bearer super-secret-token');
+      assert.ok(!JSON.stringify(request.body).includes('super-secret-token'));
+    });
+
+    it('should omit the authorization header without a token', async () => {
+      respond = () => ({ status: 200, body: OK_BODY });
+      const saved = process.env.OPENCLAW_GATEWAY_TOKEN;
+      delete process.env.OPENCLAW_GATEWAY_TOKEN;
+      try {
+        const client = createHttpClient({ gateway_token: '' });
+        const before = gateway.requests.length;
+
+        await client.send('Test');
+
+        assert.strictEqual(gateway.requests[before].headers.authorization, undefined);
+      } finally {
+        if (saved !== undefined) process.env.OPENCLAW_GATEWAY_TOKEN = saved;
+      }
+    });
+
+    it('should raise PARSE_ERROR for malformed bodies', async () => {
+      respond = () => ({ status: 200, body: 'not json' });
+      const client = createHttpClient();
+
+      await assert.rejects(client.send('Test'), (/** @type {OpenClawError} */ err) => {
+        return err.type === ERROR_TYPES.PARSE_ERROR;
+      });
+    });
+
+    it('should raise CLI_ERROR with the gateway message on HTTP errors', async () => {
+      respond = () => ({ status: 401, body: 'unauthorized' });
+      const client = createHttpClient();
+      client.on('error', () => {});
+
+      await assert.rejects(client.send('Test'), (/** @type {OpenClawError} */ err) => {
+        return err.type === ERROR_TYPES.CLI_ERROR && err.message === 'OpenClaw error: unauthorized';
+      });
+    });
+
+    it('should raise GATEWAY_NOT_RUNNING on 503', async () => {
+      respond = () => ({ status: 503, body: '' });
+      const client = createHttpClient();
+      client.on('error', () => {});
+
+      await assert.rejects(client.send('Test'), (/** @type {OpenClawError} */ err) => {
+        return err.type === ERROR_TYPES.GATEWAY_NOT_RUNNING;
+      });
+    });
+
+    it('should raise CONNECTION_REFUSED when nothing is listening', async () => {
+      const closed = await startStubGateway(() => ({ status: 200, body: OK_BODY }));
+      await closed.close();
+      // @ts-ignore - openclaw_transport is not part of the mock config typedef
+      const client = new OpenClawClient({ ...createMockConfig({ gateway_url: closed.url }), openclaw_transport: 'http' });
+
+      /** @type {OpenClawError|null} */
+      let emitted = null;
+      client.on('error', (err) => { emitted = err; });
+
+      await assert.rejects(client.send('Test'), (/** @type {OpenClawError} */ err) => {
+        return err.type === ERROR_TYPES.CONNECTION_REFUSED && err.message === 'Cannot reach OpenClaw';
+      });
+      assert.ok(emitted !== null);
+    });
+
+    it('should raise TIMEOUT when the gateway is too slow', async () => {
+      const slow = createServer(() => { /* never respond */ });
+      await new Promise((resolve) => slow.listen(0, '127.0.0.1', () => resolve(undefined)));
+      const { port } = /** @type {import('node:net').AddressInfo} */ (slow.address());
+      // @ts-ignore - openclaw_transport is not part of the mock config typedef
+      const client = new OpenClawClient({ ...createMockConfig({ gateway_url: `http://127.0.0.1:${port}` }), openclaw_transport: 'http' });
+      client.setTimeout(50);
+      client.on('error', () => {});
+
+      try {
+        await assert.rejects(client.send('Test'), (/** @type {OpenClawError} */ err) => {
+          return err.type === ERROR_TYPES.TIMEOUT;
+        });
+      } finally {
+        slow.closeAllConnections();
+        await new Promise((resolve) => slow.close(() => resolve(undefined)));
+      }
+    });
+
+    it('should raise CANCELLED without an error event when aborted', async () => {
+      const slow = createServer(() => { /* never respond */ });
+      await new Promise((resolve) => slow.listen(0, '127.0.0.1', () => resolve(undefined)));
+      const { port } = /** @type {import('node:net').AddressInfo} */ (slow.address());
+      // @ts-ignore - openclaw_transport is not part of the mock config typedef
+      const client = new OpenClawClient({ ...createMockConfig({ gateway_url: `http://127.0.0.1:${port}` }), openclaw_transport: 'http' });
+      let errorEmitted = false;
+      client.on('error', () => { errorEmitted = true; });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+
+      try {
+        await assert.rejects(client.send('Test', { signal: controller.signal }), (/** @type {OpenClawError} */ err) => {
+          return err.type === ERROR_TYPES.CANCELLED;
+        });
+        assert.strictEqual(errorEmitted, false);
+      } finally {
+        slow.closeAllConnections();
+        await new Promise((resolve) => slow.close(() => resolve(undefined)));
+      }
+    });
+
+    it('should report health from the health endpoint', async () => {
+      respond = (request) => request.url === GATEWAY_PATHS.HEALTH
+        ? { status: 200, body: '{"ok":true}' }
+        : { status: 404, body: '' };
+      const client = createHttpClient();
+
+      assert.strictEqual(await client.healthCheck(), true);
+
+      respond = () => ({ status: 500, body: '' });
+      assert.strictEqual(await client.healthCheck(), false);
+    });
+
+    describe('stream', () => {
+      const OK_RESPONSE = JSON.parse(OK_BODY);
+
+      /**
+       * @param {Object[]} events
+       * @returns {string}
+       */
+      function ndjson(events) {
+        return events.map((event) => JSON.stringify(event)).join('\n') + '\n';
+      }
+
+      /**
+       * Drain a response stream
+       * @param {AsyncGenerator<string, any, undefined>} stream
+       * @returns {Promise<{ deltas: string[], result: any }>}
+       */
+      async function drain(stream) {
+        const deltas = [];
+        while (true) {
+          const { done, value } = await stream.next();
+          if (done) {
+            return { deltas, result: value };
+          }
+          deltas.push(value);
+        }
+      }
+
+      it('should only support streaming over HTTP', () => {
+        assert.strictEqual(createHttpClient().supportsStreaming, true);
+        assert.strictEqual(new OpenClawClient(createMockConfig()).supportsStreaming, false);
+      });
+
+      it('should yield text deltas and return the final response', async () => {
+        respond = () => ({
+          status: 200,
+          body: ndjson([
+            { type: 'delta', text: 'Hello ' },
+            { type: 'delta', text: 'over HTTP' },
+            { type: 'done', response: OK_RESPONSE }
+          ])
+        });
+        const client = createHttpClient();
+        const before = gateway.requests.length;
+
+        const { deltas, result } = await drain(client.stream('Hello'));
+
+        assert.deepStrictEqual(deltas, ['Hello ', 'over HTTP']);
+        assert.deepStrictEqual(result, { text: 'Hello over HTTP', media: [], sessionId: 'http-session', durationMs: 42 });
+        assert.strictEqual(gateway.requests[before].body.stream, true);
+        assert.strictEqual(gateway.requests[before].headers.accept, 'application/x-ndjson');
+        assert.strictEqual(client.sessionId, 'http-session');
+      });
+
+      it('should yield the full text when the gateway sends no deltas', async () => {
+        respond = () => ({ status: 200, body: ndjson([{ type: 'done', response: OK_RESPONSE }]) });
+        const client = createHttpClient();
+
+        const { deltas } = await drain(client.stream('Hello'));
+
+        assert.deepStrictEqual(deltas, ['Hello over HTTP']);
+      });
+
+      it('should raise CLI_ERROR on an error event', async () => {
+        respond = () => ({
+          status: 200,
+          body: ndjson([{ type: 'delta', text: 'Partial' }, { type: 'error', message: 'model overloaded' }])
+        });
+        const client = createHttpClient();
+        client.on('error', () => {});
+
+        await assert.rejects(drain(client.stream('Hello')), (/** @type {OpenClawError} */ err) => {
+          return err.type === ERROR_TYPES.CLI_ERROR && err.message === 'OpenClaw error: model overloaded';
+        });
+      });
+
+      it('should categorize HTTP errors like send()', async () => {
+        respond = () => ({ status: 503, body: '' });
+        const client = createHttpClient();
+        client.on('error', () => {});
+
+        await assert.rejects(drain(client.stream('Hello')), (/** @type {OpenClawError} */ err) => {
+          return err.type === ERROR_TYPES.GATEWAY_NOT_RUNNING;
+        });
+      });
+
+      it('should not time out a reply that keeps streaming', async () => {
+        respond = () => ({
+          status: 200,
+          chunks: ndjson([{ type: 'delta', text: 'Slow ' }, { type: 'delta', text: 'but ' }]).split(/(?<=\n)/),
+          intervalMs: 60,
+          body: ndjson([{ type: 'delta', text: 'steady' }, { type: 'done', response: OK_RESPONSE }])
+        });
+        const client = createHttpClient();
+        client.setTimeout(100);
+
+        const { deltas } = await drain(client.stream('Hello'));
+
+        assert.deepStrictEqual(deltas, ['Slow ', 'but ', 'steady']);
+      });
+
+      it('should time out while waiting for the response headers', async () => {
+        respond = () => ({ status: 200, delayMs: 200, body: ndjson([{ type: 'done', response: OK_RESPONSE }]) });
+        const client = createHttpClient();
+        client.setTimeout(50);
+        client.on('error', () => {});
+
+        await assert.rejects(drain(client.stream('Hello')), (/** @type {OpenClawError} */ err) => {
+          return err.type === ERROR_TYPES.TIMEOUT;
+        });
+      });
+
+      it('should raise PARSE_ERROR when the stream ends without a response', async () => {
+        respond = () => ({ status: 200, body: ndjson([{ type: 'delta', text: 'Hi' }]) });
+        const client = createHttpClient();
+        client.on('error', () => {});
+
+        await assert.rejects(drain(client.stream('Hello')), (/** @type {OpenClawError} */ err) => {
+          return err.type === ERROR_TYPES.PARSE_ERROR;
+        });
+      });
+
+      it('should return null without an error when aborted', async () => {
+        respond = () => ({ status: 200, body: ndjson([{ type: 'done', response: OK_RESPONSE }]) });
+        const client = createHttpClient();
+        const errors = [];
+        client.on('error', (err) => errors.push(err));
+        const controller = new AbortController();
+        controller.abort();
+
+        const { deltas, result } = await drain(client.stream('Hello', { signal: controller.signal }));
+
+        assert.deepStrictEqual(deltas, []);
+        assert.strictEqual(result, null);
+        assert.strictEqual(errors.length, 0);
+      });
+
+      it('should fall back to send() on the CLI transport', async () => {
+        const client = new OpenClawClient(createMockConfig());
+        client.send = mock.fn(async () => ({ text: 'From CLI', media: [], sessionId: 's1', durationMs: 5 }));
+
+        const { deltas, result } = await drain(client.stream('Hello'));
+
+        assert.deepStrictEqual(deltas, ['From CLI']);
+        assert.strictEqual(result.sessionId, 's1');
+      });
+    });
+  });
 });
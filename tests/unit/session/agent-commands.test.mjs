@@ -0,0 +1,50 @@
+/**
+ * Tests for agent switch voice commands
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseAgentSwitch, spokenAgentName } from '../../../src/session/agent-commands.mjs';
+
+const AGENTS = ['main', 'home', 'work', 'coding-bot'];
+
+describe('parseAgentSwitch', () => {
+  it('should recognize "switch to <name> agent"', () => {
+    assert.deepStrictEqual(parseAgentSwitch('switch to work agent', AGENTS), { spokenName: 'work', agentId: 'work' });
+  });
+
+  it('should tolerate case, punctuation and articles', () => {
+    assert.deepStrictEqual(parseAgentSwitch('Switch to the Home agent.', AGENTS), { spokenName: 'home', agentId: 'home' });
+  });
+
+  it('should recognize alternative phrasings', () => {
+    assert.strictEqual(parseAgentSwitch('change to work agent', AGENTS)?.agentId, 'work');
+    assert.strictEqual(parseAgentSwitch('switch agent to home', AGENTS)?.agentId, 'home');
+    assert.strictEqual(parseAgentSwitch('Talk to the work agent, please', AGENTS)?.agentId, 'work');
+    assert.strictEqual(parseAgentSwitch('use the main agent', AGENTS)?.agentId, 'main');
+  });
+
+  it('should match agent IDs spoken with spaces', () => {
+    assert.strictEqual(parseAgentSwitch('switch to coding bot agent', AGENTS)?.agentId, 'coding-bot');
+  });
+
+  it('should report unknown agents with a null agentId', () => {
+    assert.deepStrictEqual(parseAgentSwitch('switch to garden agent', AGENTS), { spokenName: 'garden', agentId: null });
+  });
+
+  it('should ignore ordinary speech', () => {
+    assert.strictEqual(parseAgentSwitch('what is the weather like', AGENTS), null);
+    assert.strictEqual(parseAgentSwitch('switch to dark mode', AGENTS), null);
+    assert.strictEqual(parseAgentSwitch('my travel agent called', AGENTS), null);
+  });
+
+  it('should handle empty input', () => {
+    assert.strictEqual(parseAgentSwitch('', AGENTS), null);
+  });
+});
+
+describe('spokenAgentName', () => {
+  it('should read - and _ as spaces', () => {
+    assert.strictEqual(spokenAgentName('coding-bot'), 'coding bot');
+    assert.strictEqual(spokenAgentName('home_assistant'), 'home assistant');
+  });
+});
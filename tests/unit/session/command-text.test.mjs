@@ -0,0 +1,20 @@
+/**
+ * Tests for the text normalization shared by the voice command parsers
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeCommandText } from '../../../src/session/command-text.mjs';
+
+describe('normalizeCommandText', () => {
+  it('should lowercase and drop punctuation', () => {
+    assert.strictEqual(normalizeCommandText("What's in the Queue?"), 'whats in the queue');
+  });
+
+  it('should read - and _ as spaces', () => {
+    assert.strictEqual(normalizeCommandText('Switch to coding-bot or home_agent.'), 'switch to coding bot or home agent');
+  });
+
+  it('should collapse whitespace', () => {
+    assert.strictEqual(normalizeCommandText('  talk   faster \n please '), 'talk faster please');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the persisted outbound message queue
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { OutboundQueue, queuePathForConfig, QUEUE_FILE_NAME } from '../../../src/session/outbound-queue.mjs';
+
+describe('OutboundQueue', () => {
+  /** @type {string} */
+  let dir;
+  /** @type {string} */
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'scout-queue-'));
+    filePath = join(dir, QUEUE_FILE_NAME);
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should place the queue file next to the config', () => {
+    assert.strictEqual(queuePathForConfig('/home/u/scout/config.json'), `/home/u/scout/${QUEUE_FILE_NAME}`);
+  });
+
+  it('should start empty when no file exists', async () => {
+    const queue = new OutboundQueue({ filePath });
+    assert.strictEqual(await queue.init(), 0);
+    assert.strictEqual(queue.size, 0);
+    assert.strictEqual(queue.peek(), null);
+  });
+
+  it('should keep messages in order and persist them', async () => {
+    const queue = new OutboundQueue({ filePath });
+    await queue.init();
+    queue.enqueue('First');
+    queue.enqueue('Second');
+    await queue.save();
+
+    const restored = new OutboundQueue({ filePath });
+    assert.strictEqual(await restored.init(), 2);
+    assert.deepStrictEqual(restored.list().map(m => m.text), ['First', 'Second']);
+    assert.strictEqual(restored.shift()?.text, 'First');
+    assert.strictEqual(restored.peek()?.text, 'Second');
+  });
+
+  it('should persist the agent and language of each message', async () => {
+    const queue = new OutboundQueue({ filePath });
+    queue.enqueue('Hallo', { agentId: 'home', language: 'de' });
+    queue.enqueue('Hello');
+    await queue.save();
+
+    const restored = new OutboundQueue({ filePath });
+    await restored.init();
+    assert.deepStrictEqual(restored.list().map(({ text, agentId, language }) => ({ text, agentId, language })), [
+      { text: 'Hallo', agentId: 'home', language: 'de' },
+      { text: 'Hello', agentId: null, language: null }
+    ]);
+  });
+
+  it('should load queue files written before messages had an agent', async () => {
+    await writeFile(filePath, JSON.stringify({ messages: [{ text: 'Old', queuedAt: 5 }] }));
+    const queue = new OutboundQueue({ filePath });
+    await queue.init();
+
+    assert.deepStrictEqual(queue.peek(), { text: 'Old', queuedAt: 5, agentId: null, language: null });
+  });
+
+  it('should drop the oldest messages beyond maxSize', () => {
+    const queue = new OutboundQueue({ maxSize: 2 });
+    queue.enqueue('One');
+    queue.enqueue('Two');
+    queue.enqueue('Three');
+
+    assert.deepStrictEqual(queue.list().map(m => m.text), ['Two', 'Three']);
+  });
+
+  it('should clear all messages and report the count', async () => {
+    const queue = new OutboundQueue({ filePath });
+    queue.enqueue('One');
+    queue.enqueue('Two');
+
+    assert.strictEqual(queue.clear(), 2);
+    await queue.save();
+
+    const content = JSON.parse(await readFile(filePath, 'utf-8'));
+    assert.deepStrictEqual(content.messages, []);
+  });
+
+  it('should ignore a corrupt queue file', async () => {
+    await writeFile(filePath, 'not json');
+    const queue = new OutboundQueue({ filePath });
+
+    assert.strictEqual(await queue.init(), 0);
+  });
+
+  it('should work in memory without a file path', async () => {
+    const queue = new OutboundQueue();
+    queue.enqueue('Hello');
+    await queue.save();
+
+    assert.strictEqual(queue.filePath, null);
+    assert.strictEqual(queue.size, 1);
+  });
+});
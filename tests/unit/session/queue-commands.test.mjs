@@ -0,0 +1,36 @@
+/**
+ * Tests for outbound queue voice commands
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseQueueCommand, describeQueuedCount } from '../../../src/session/queue-commands.mjs';
+
+describe('parseQueueCommand', () => {
+  it('should recognize list commands', () => {
+    assert.strictEqual(parseQueueCommand('List queued messages.'), 'list');
+    assert.strictEqual(parseQueueCommand("What's in the queue?"), 'list');
+  });
+
+  it('should recognize drop commands', () => {
+    assert.strictEqual(parseQueueCommand('Drop queued messages'), 'drop');
+    assert.strictEqual(parseQueueCommand('clear the queue please'), 'drop');
+  });
+
+  it('should recognize flush commands', () => {
+    assert.strictEqual(parseQueueCommand('Send my queued messages now'), 'flush');
+    assert.strictEqual(parseQueueCommand('flush the queue'), 'flush');
+  });
+
+  it('should ignore other speech', () => {
+    assert.strictEqual(parseQueueCommand('How long is the queue at the bakery?'), null);
+    assert.strictEqual(parseQueueCommand('send a message to Sam'), null);
+    assert.strictEqual(parseQueueCommand(''), null);
+  });
+});
+
+describe('describeQueuedCount', () => {
+  it('should pluralize', () => {
+    assert.strictEqual(describeQueuedCount(1), '1 queued message');
+    assert.strictEqual(describeQueuedCount(3), '3 queued messages');
+  });
+});
@@ -15,7 +15,11 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { EventEmitter } from 'events';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { SessionManager, createSessionManager } from '../../../src/session/session-manager.mjs';
+import { SpeechPipeline } from '../../../src/stt/speech-pipeline.mjs';
 
 /**
  * Helper to add default error handler to prevent unhandled error crashes
@@ -55,6 +59,20 @@ class MockSpeechPipeline extends EventEmitter {
     this._playbackActive = active;
   }
 
+  setInputDevice(device) {
+    this._inputDevice = device;
+  }
+
+  addPlaybackReference(samples, sampleRate) {
+    this._references = this._references ?? [];
+    this._references.push({ samples, sampleRate });
+  }
+
+  holdInput(promise) {
+    this._holds = this._holds ?? [];
+    this._holds.push(promise);
+  }
+
   getStats() {
     return { initialized: this._initialized, running: this._running };
   }
@@ -65,8 +83,13 @@ class MockSpeechPipeline extends EventEmitter {
   }
 
   // Test helper: simulate transcript
-  simulateTranscript(text, audioDurationMs = 1000, sttDurationMs = 500) {
-    this.emit('transcript', { text, audioDurationMs, sttDurationMs });
+  simulateTranscript(text, audioDurationMs = 1000, sttDurationMs = 500, language = null) {
+    this.emit('transcript', { text, audioDurationMs, sttDurationMs, language });
+  }
+
+  // Test helper: simulate partial transcript (user still speaking)
+  simulatePartialTranscript(text) {
+    this.emit('partial_transcript', { text, audioDurationMs: 1000, sttDurationMs: 80 });
   }
 
   // Test helper: simulate empty transcript
@@ -109,6 +132,20 @@ class MockTtsPipeline extends EventEmitter {
     }
   }
 
+  async speakStream(source) {
+    this._speaking = true;
+    this._streamedDeltas = [];
+    this.emit('speaking_started', { text: null, streaming: true });
+    for await (const delta of source) {
+      if (!this._speaking) break;
+      this._streamedDeltas.push(delta);
+    }
+    if (this._speaking) {
+      this._speaking = false;
+      this.emit('speaking_complete');
+    }
+  }
+
   stop() {
     if (this._speaking) {
       this._speaking = false;
@@ -120,11 +157,60 @@ class MockTtsPipeline extends EventEmitter {
     return { speaking: this._speaking };
   }
 
+  setSpeed(speed) {
+    this._speed = speed;
+  }
+
+  setVolume(volume) {
+    this._volume = volume;
+  }
+
+  get voice() {
+    return this._voice ?? null;
+  }
+
+  setVoice(voice) {
+    this._voice = voice;
+  }
+
+  setOutputDevice(device) {
+    this._outputDevice = device;
+  }
+
   dispose() {
     this._speaking = false;
   }
 }
 
+/**
+ * Mock EarconPlayer for testing
+ */
+class MockEarconPlayer extends EventEmitter {
+  constructor() {
+    super();
+    this.played = [];
+    this._volume = 1;
+  }
+
+  async play(event) {
+    this.played.push(event);
+    this.emit('played', { event });
+    return true;
+  }
+
+  setVolume(volume) {
+    this._volume = volume;
+  }
+
+  setDevice(device) {
+    this._device = device;
+  }
+
+  stop() {}
+
+  dispose() {}
+}
+
 /**
  * Mock OpenClawClient for testing
  */
@@ -134,11 +220,30 @@ class MockOpenClawClient extends EventEmitter {
     this._nextResponse = { text: 'Hello!', sessionId: 'session-123', durationMs: 100 };
     this._shouldFail = false;
     this._failMessage = 'Cannot reach OpenClaw';
+    this._failType = undefined;
+    this._holdNextSend = false;
+    this._sentMessages = [];
+    this._sentOptions = [];
+    this._lastSendOptions = null;
   }
 
-  async send(_message, _options) {
+  async send(message, options = {}) {
+    this._sentMessages.push(message);
+    this._sentOptions.push(options);
+    this._lastSendOptions = options;
+    if (this._holdNextSend) {
+      // Simulate a slow agent: wait until the request is cancelled
+      this._holdNextSend = false;
+      await new Promise(resolve => options.signal.addEventListener('abort', resolve, { once: true }));
+    }
+    if (options.signal?.aborted) {
+      const error = new Error('Request cancelled');
+      error.type = 'CANCELLED';
+      throw error;
+    }
     if (this._shouldFail) {
       const error = new Error(this._failMessage);
+      error.type = this._failType;
       this.emit('error', error);
       throw error;
     }
@@ -151,13 +256,51 @@ class MockOpenClawClient extends EventEmitter {
     return !this._shouldFail;
   }
 
+  setAgent(agentId) {
+    this._agentId = agentId;
+  }
+
   setNextResponse(response) {
     this._nextResponse = response;
   }
 
-  setShouldFail(fail, message = 'Cannot reach OpenClaw') {
+  setShouldFail(fail, message = 'Cannot reach OpenClaw', type = undefined) {
     this._shouldFail = fail;
     this._failMessage = message;
+    this._failType = type;
+  }
+}
+
+/**
+ * Mock OpenClawClient with a streaming transport
+ */
+class MockStreamingOpenClawClient extends MockOpenClawClient {
+  constructor() {
+    super();
+    this._deltas = ['Hello ', 'there!'];
+    this._holdUntilAbort = false;
+    this._lastSignal = null;
+  }
+
+  get supportsStreaming() { return true; }
+
+  async *stream(_message, { signal } = {}) {
+    this._lastSignal = signal;
+    if (this._shouldFail) {
+      const error = new Error(this._failMessage);
+      this.emit('error', error);
+      throw error;
+    }
+    for (const delta of this._deltas) {
+      yield delta;
+    }
+    if (this._holdUntilAbort && !signal.aborted) {
+      await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+    }
+    if (signal.aborted) {
+      return null;
+    }
+    return this._nextResponse;
   }
 }
 
@@ -229,8 +372,8 @@ describe('SessionManager', () => {
   /**
    * Create a SessionManager with mocked dependencies for testing
    */
-  function createTestManager() {
-    manager = new SessionManager(TEST_CONFIG);
+  function createTestManager(config = {}) {
+    manager = new SessionManager({ ...TEST_CONFIG, ...config });
 
     // Add error handler to prevent test crashes from unhandled errors
     addErrorHandler(manager);
@@ -282,6 +425,29 @@ describe('SessionManager', () => {
       assert.throws(() => new SessionManager(config), /sttModelPath is required/);
     });
 
+    it('should not require whisper.cpp paths for the http STT backend', () => {
+      const config = { ...TEST_CONFIG, sttBackend: 'http', sttUrl: 'http://localhost:8000' };
+      delete config.whisperPath;
+      delete config.sttModelPath;
+      assert.doesNotThrow(() => new SessionManager(config));
+    });
+
+    it('should require sttUrl for the http STT backend', () => {
+      const config = { ...TEST_CONFIG, sttBackend: 'http' };
+      assert.throws(() => new SessionManager(config), /sttUrl is required/);
+    });
+
+    it('should not require ttsModelPath for the espeak-ng TTS backend', () => {
+      const config = { ...TEST_CONFIG, ttsBackend: 'espeak-ng' };
+      delete config.ttsModelPath;
+      assert.doesNotThrow(() => new SessionManager(config));
+    });
+
+    it('should require ttsUrl for the http TTS backend', () => {
+      const config = { ...TEST_CONFIG, ttsBackend: 'http' };
+      assert.throws(() => new SessionManager(config), /ttsUrl is required/);
+    });
+
     it('should require ttsModelPath', () => {
       const config = { ...TEST_CONFIG };
       delete config.ttsModelPath;
@@ -434,121 +600,1040 @@ describe('SessionManager', () => {
       const events = [];
       manager.on('state_changed', (e) => events.push(e));
 
-      // Start speaking
-      mockSpeechPipeline.simulateTranscript('Hello');
-      await new Promise(resolve => setTimeout(resolve, 50));
+      // Start speaking
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      // Manually set to speaking state to simulate mid-playback
+      if (manager.status === 'speaking') {
+        // Simulate barge-in
+        mockSpeechPipeline.simulateBargeIn();
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const bargeInEvent = events.find(e => e.reason === 'barge_in');
+        assert.ok(bargeInEvent, 'Should have barge_in transition');
+      }
+    });
+  });
+
+  describe('transcript handling', () => {
+    beforeEach(async () => {
+      createTestManager();
+      await manager.start();
+    });
+
+    it('should emit transcript event', async () => {
+      let transcriptData = null;
+      manager.on('transcript', (data) => { transcriptData = data; });
+
+      mockSpeechPipeline.simulateTranscript('Hello world', 1500, 300);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.ok(transcriptData);
+      assert.strictEqual(transcriptData.text, 'Hello world');
+      assert.strictEqual(transcriptData.audioDurationMs, 1500);
+      assert.strictEqual(transcriptData.sttDurationMs, 300);
+    });
+
+    it('should forward partial transcripts without sending them', () => {
+      let partialData = null;
+      manager.on('partial_transcript', (data) => { partialData = data; });
+
+      mockSpeechPipeline.simulatePartialTranscript('What is the');
+
+      assert.strictEqual(partialData.text, 'What is the');
+      assert.strictEqual(manager.status, 'listening');
+      assert.strictEqual(mockOpenClawClient._sentMessages.length, 0);
+    });
+
+    it('should emit response event', async () => {
+      let responseData = null;
+      manager.on('response', (data) => { responseData = data; });
+
+      mockOpenClawClient.setNextResponse({
+        text: 'Hi there!',
+        sessionId: 'session-abc',
+        durationMs: 200
+      });
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.ok(responseData);
+      assert.strictEqual(responseData.text, 'Hi there!');
+      assert.strictEqual(responseData.sessionId, 'session-abc');
+    });
+
+    it('should handle empty transcript', async () => {
+      let emptyData = null;
+      manager.on('empty_transcript', (data) => { emptyData = data; });
+      // Add additional error listener to prevent unhandled error
+      addErrorHandler(manager._state);
+
+      mockSpeechPipeline.simulateEmptyTranscript();
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.ok(emptyData);
+      assert.strictEqual(manager.state.error, "Didn't catch that");
+    });
+
+    it('should report the end of audio input once the last reply is spoken', async () => {
+      const events = [];
+      manager.on('response', () => { events.push('response'); });
+      mockTtsPipeline.on('speaking_complete', () => { events.push('spoken'); });
+      manager.on('input_ended', () => { events.push('input_ended'); });
+      mockOpenClawClient.setNextResponse({ text: 'Hi there!', sessionId: 'session-abc', durationMs: 200 });
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      mockSpeechPipeline.emit('input_ended');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.deepStrictEqual(events, ['response', 'spoken', 'input_ended']);
+    });
+
+    it('should hold audio input until the reply is spoken', async () => {
+      let spoken = false;
+      mockTtsPipeline.on('speaking_complete', () => { spoken = true; });
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      assert.strictEqual(mockSpeechPipeline._holds.length, 1);
+      await mockSpeechPipeline._holds[0];
+
+      assert.strictEqual(spoken, true);
+      assert.strictEqual(manager.status, 'listening');
+    });
+  });
+
+  describe('streamed responses', () => {
+    beforeEach(async () => {
+      createTestManager();
+      mockOpenClawClient = new MockStreamingOpenClawClient();
+      manager._openclawClient = mockOpenClawClient;
+      await manager.start();
+    });
+
+    it('should speak deltas as they arrive and emit the final response', async () => {
+      const deltas = [];
+      let responseData = null;
+      manager.on('response_delta', (data) => { deltas.push(data.text); });
+      manager.on('response', (data) => { responseData = data; });
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.deepStrictEqual(deltas, ['Hello ', 'there!']);
+      assert.deepStrictEqual(mockTtsPipeline._streamedDeltas, ['Hello ', 'there!']);
+      assert.strictEqual(responseData.text, 'Hello!');
+      assert.strictEqual(manager.state.sessionId, 'session-123');
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should return to listening when the stream fails before any text', async () => {
+      let errorData = null;
+      manager.on('error', (data) => { errorData = data; });
+      mockOpenClawClient.setShouldFail(true);
+      addErrorHandler(mockOpenClawClient);
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(errorData.type, 'openclaw');
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should abort the agent stream on barge-in', async () => {
+      let responseEmitted = false;
+      manager.on('response', () => { responseEmitted = true; });
+      mockOpenClawClient._holdUntilAbort = true;
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.strictEqual(manager.status, 'speaking');
+
+      mockSpeechPipeline.simulateBargeIn();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.strictEqual(mockOpenClawClient._lastSignal.aborted, true);
+      assert.strictEqual(responseEmitted, false);
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should use send() when streamResponses is disabled', async () => {
+      manager._config.streamResponses = false;
+      let responseData = null;
+      manager.on('response', (data) => { responseData = data; });
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(responseData.text, 'Hello!');
+      assert.strictEqual(mockOpenClawClient._lastSignal, null);
+      assert.strictEqual(mockTtsPipeline._lastText, 'Hello!');
+    });
+  });
+
+  describe('request cancellation', () => {
+    beforeEach(async () => {
+      createTestManager();
+      await manager.start();
+    });
+
+    it('should cancel the request on stop() and not speak the response', async () => {
+      const errors = [];
+      manager.on('error', (data) => { errors.push(data); });
+      mockOpenClawClient._holdNextSend = true;
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual(manager.status, 'processing');
+
+      manager.stop();
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.strictEqual(manager.status, 'idle');
+      assert.strictEqual(mockTtsPipeline._lastText, null);
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it('should let a new utterance supersede the request in flight', async () => {
+      const superseded = [];
+      const responses = [];
+      const errors = [];
+      manager.on('request_superseded', (data) => { superseded.push(data); });
+      manager.on('response', (data) => { responses.push(data.text); });
+      manager.on('error', (data) => { errors.push(data); });
+      mockOpenClawClient._holdNextSend = true;
+
+      mockSpeechPipeline.simulateTranscript('What is the weather');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual(manager.status, 'processing');
+
+      mockOpenClawClient.setNextResponse({ text: 'Timer set.', sessionId: 'session-123', durationMs: 50 });
+      mockSpeechPipeline.simulateTranscript('Actually, set a timer');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.deepStrictEqual(superseded, [{ previous: 'What is the weather', text: 'Actually, set a timer' }]);
+      assert.deepStrictEqual(mockOpenClawClient._sentMessages, ['What is the weather', 'Actually, set a timer']);
+      assert.deepStrictEqual(responses, ['Timer set.']);
+      assert.strictEqual(mockTtsPipeline._lastText, 'Timer set.');
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should still ignore transcripts while speaking', async () => {
+      manager._state.startProcessing('test');
+      manager._state.startSpeaking('response');
+
+      mockSpeechPipeline.simulateTranscript('Another thing');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(mockOpenClawClient._sentMessages, []);
+    });
+  });
+
+  describe('media responses', () => {
+    const IMAGE = { url: 'https://example.com/cat.png', type: 'image', caption: null };
+
+    beforeEach(async () => {
+      createTestManager();
+      await manager.start();
+    });
+
+    it('should emit media_received and announce the media', async () => {
+      let mediaData = null;
+      manager.on('media_received', (data) => { mediaData = data; });
+      mockOpenClawClient.setNextResponse({ text: 'Here you go.', media: [IMAGE], sessionId: 'session-123', durationMs: 100 });
+
+      mockSpeechPipeline.simulateTranscript('Show me a cat');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.deepStrictEqual(mediaData, { media: [IMAGE], sessionId: 'session-123' });
+      assert.strictEqual(mockTtsPipeline._lastText, 'Here you go. I\'ve sent you an image.');
+    });
+
+    it('should speak only the announcement for media-only responses', async () => {
+      mockOpenClawClient.setNextResponse({ text: '', media: [IMAGE], sessionId: 'session-123', durationMs: 100 });
+
+      mockSpeechPipeline.simulateTranscript('Show me a cat');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(mockTtsPipeline._lastText, 'I\'ve sent you an image.');
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should append the announcement to a streamed response', async () => {
+      mockOpenClawClient = new MockStreamingOpenClawClient();
+      manager._openclawClient = mockOpenClawClient;
+      mockOpenClawClient.setNextResponse({ text: 'Hello there!', media: [IMAGE], sessionId: 'session-123', durationMs: 100 });
+      let mediaData = null;
+      manager.on('media_received', (data) => { mediaData = data; });
+
+      mockSpeechPipeline.simulateTranscript('Show me a cat');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.deepStrictEqual(mediaData.media, [IMAGE]);
+      assert.deepStrictEqual(mockTtsPipeline._streamedDeltas, ['Hello ', 'there!', ' I\'ve sent you an image.']);
+    });
+  });
+
+  describe('connection recovery', () => {
+    const FAST_RECOVERY = { initialDelayMs: 5, maxDelayMs: 5, maxAttempts: 3 };
+
+    it('should report attempts and announce when the gateway is back', async () => {
+      createTestManager({ recovery: FAST_RECOVERY });
+      await manager.start();
+      const attempts = [];
+      let recoveredData = null;
+      manager.on('recovering', (data) => { attempts.push(data); });
+      manager.on('recovered', (data) => { recoveredData = data; });
+
+      mockConnectionMonitor.setConnected(false);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(mockTtsPipeline._lastText, 'Lost connection to OpenClaw. Reconnecting.');
+
+      mockConnectionMonitor._connected = true;
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(attempts, [
+        { attempt: 1, maxAttempts: 3 },
+        { attempt: 2, maxAttempts: 3 }
+      ]);
+      assert.strictEqual(recoveredData.attempts, 2);
+      assert.strictEqual(mockTtsPipeline._lastText, 'Reconnected to OpenClaw.');
+      assert.strictEqual(manager.getStats().connectionRecovery.recovering, false);
+    });
+
+    it('should emit recovery_failed after the last attempt', async () => {
+      createTestManager({ recovery: FAST_RECOVERY });
+      await manager.start();
+      let failedData = null;
+      manager.on('recovery_failed', (data) => { failedData = data; });
+
+      mockConnectionMonitor.setConnected(false);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.strictEqual(failedData.attempts, 3);
+      assert.strictEqual(manager.state.error, 'Cannot reach OpenClaw');
+      assert.strictEqual(mockTtsPipeline._lastText, 'I couldn\'t reconnect to OpenClaw.');
+    });
+
+    it('should replay the unsent transcript when enabled', async () => {
+      createTestManager({ recovery: FAST_RECOVERY, replayAfterReconnect: true });
+      await manager.start();
+      addErrorHandler(mockOpenClawClient);
+      const replayed = [];
+      manager.on('transcript_replayed', (data) => { replayed.push(data.text); });
+
+      mockOpenClawClient.setShouldFail(true, 'Cannot reach OpenClaw', 'CONNECTION_REFUSED');
+      mockSpeechPipeline.simulateTranscript('Turn on the lights');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      mockOpenClawClient.setShouldFail(false);
+      mockConnectionMonitor.setConnected(false);
+      mockConnectionMonitor._connected = true;
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(replayed, ['Turn on the lights']);
+      assert.deepStrictEqual(mockOpenClawClient._sentMessages, ['Turn on the lights', 'Turn on the lights']);
+      assert.strictEqual(mockTtsPipeline._lastText, 'Hello!');
+    });
+
+    it('should not replay by default or after agent errors', async () => {
+      createTestManager({ recovery: FAST_RECOVERY });
+      await manager.start();
+      addErrorHandler(mockOpenClawClient);
+
+      mockOpenClawClient.setShouldFail(true, 'Cannot reach OpenClaw', 'CONNECTION_REFUSED');
+      mockSpeechPipeline.simulateTranscript('Turn on the lights');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      mockOpenClawClient.setShouldFail(false);
+      mockConnectionMonitor.setConnected(false);
+      mockConnectionMonitor._connected = true;
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(mockOpenClawClient._sentMessages, ['Turn on the lights']);
+      assert.strictEqual(manager._unsentTranscript, null);
+
+      manager._config.replayAfterReconnect = true;
+      mockOpenClawClient.setShouldFail(true, 'OpenClaw error: agent crashed', 'CLI_ERROR');
+      mockSpeechPipeline.simulateTranscript('Turn off the lights');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.strictEqual(manager._unsentTranscript, null);
+    });
+
+    it('should cancel recovery on stop()', async () => {
+      createTestManager({ recovery: { initialDelayMs: 1000, maxAttempts: 3 } });
+      await manager.start();
+
+      mockConnectionMonitor.setConnected(false);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(manager._connectionRecovery.isRecovering, true);
+
+      manager.stop();
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.strictEqual(manager._connectionRecovery.isRecovering, false);
+    });
+  });
+
+  describe('outbound queue', () => {
+    beforeEach(async () => {
+      createTestManager({ queueWhileDisconnected: true });
+      await manager.start();
+      addErrorHandler(mockOpenClawClient);
+    });
+
+    /**
+     * Say something while the gateway is unreachable
+     * @param {string} text
+     * @param {string|null} [language]
+     */
+    async function speakWhileOffline(text, language = null) {
+      mockOpenClawClient.setShouldFail(true, 'Cannot reach OpenClaw', 'CONNECTION_REFUSED');
+      mockSpeechPipeline.simulateTranscript(text, 1000, 500, language);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    it('should queue transcripts that cannot reach OpenClaw and say so', async () => {
+      const queued = [];
+      manager.on('message_queued', (data) => { queued.push(data); });
+
+      await speakWhileOffline('Turn on the lights');
+
+      assert.deepStrictEqual(queued, [{ text: 'Turn on the lights', size: 1 }]);
+      assert.deepStrictEqual(manager.queuedMessages.map(m => m.text), ['Turn on the lights']);
+      assert.match(mockTtsPipeline._lastText, /queued that message/);
+      assert.strictEqual(manager.status, 'listening');
+      assert.strictEqual(manager.getStats().queuedMessages, 1);
+    });
+
+    it('should not queue messages the agent failed to answer', async () => {
+      mockOpenClawClient.setShouldFail(true, 'OpenClaw error: agent crashed', 'CLI_ERROR');
+      mockSpeechPipeline.simulateTranscript('Turn on the lights');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.deepStrictEqual(manager.queuedMessages, []);
+    });
+
+    it('should deliver queued messages in order when the gateway is back', async () => {
+      await speakWhileOffline('Turn on the lights');
+      await speakWhileOffline('What time is it');
+      const delivered = [];
+      manager.on('queue_delivered', (data) => { delivered.push(data); });
+
+      mockOpenClawClient.setShouldFail(false);
+      mockOpenClawClient.setNextResponse({ text: 'Done.', sessionId: 'session-9', durationMs: 10 });
+      mockOpenClawClient._sentMessages = [];
+      mockConnectionMonitor.setConnected(true);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(mockOpenClawClient._sentMessages, ['Turn on the lights', 'What time is it']);
+      assert.deepStrictEqual(delivered.map(d => d.remaining), [1, 0]);
+      assert.strictEqual(
+        mockTtsPipeline._lastText,
+        'Your queued message: Turn on the lights. Done. Your queued message: What time is it. Done.'
+      );
+      assert.deepStrictEqual(manager.queuedMessages, []);
+      assert.strictEqual(manager.sessionId, 'session-9');
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should deliver each queued message to the agent it was spoken to', async () => {
+      manager._config.openclawAgents = ['work'];
+      manager._state.setSessionId('main-session');
+      await speakWhileOffline('Mach das Licht an', 'de');
+      manager.switchAgent('work');
+      manager._state.setSessionId('work-session');
+      await speakWhileOffline('Check my calendar');
+
+      mockOpenClawClient.setShouldFail(false);
+      mockOpenClawClient.setNextResponse({ text: 'Done.', sessionId: 'session-9', durationMs: 10 });
+      mockOpenClawClient._sentMessages = [];
+      mockOpenClawClient._sentOptions = [];
+      mockConnectionMonitor.setConnected(true);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(mockOpenClawClient._sentMessages, ['Mach das Licht an', 'Check my calendar']);
+      assert.deepStrictEqual(
+        mockOpenClawClient._sentOptions.map(({ agentId, sessionId, language }) => ({ agentId, sessionId, language })),
+        [
+          { agentId: 'main', sessionId: 'main-session', language: 'de' },
+          { agentId: undefined, sessionId: 'work-session', language: null }
+        ]
+      );
+      assert.strictEqual(manager.agentId, 'work');
+      assert.strictEqual(manager.sessionId, 'session-9');
+      assert.strictEqual(manager._agentSessionIds.main, 'session-9');
+    });
+
+    it('should list and drop queued messages by voice', async () => {
+      await speakWhileOffline('Turn on the lights');
+      mockOpenClawClient.setShouldFail(false);
+      mockOpenClawClient._sentMessages = [];
+      let cleared = null;
+      manager.on('queue_cleared', (data) => { cleared = data; });
+
+      mockSpeechPipeline.simulateTranscript("What's in the queue?");
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual(mockTtsPipeline._lastText, 'You have 1 queued message: Turn on the lights.');
+
+      mockSpeechPipeline.simulateTranscript('Drop queued messages');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.strictEqual(mockTtsPipeline._lastText, 'Dropped 1 queued message.');
+      assert.deepStrictEqual(cleared, { count: 1 });
+      assert.deepStrictEqual(manager.queuedMessages, []);
+      assert.deepStrictEqual(mockOpenClawClient._sentMessages, []);
+    });
+
+    it('should keep messages queued when a requested flush still fails', async () => {
+      await speakWhileOffline('Turn on the lights');
+
+      mockSpeechPipeline.simulateTranscript('Send queued messages');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.strictEqual(mockTtsPipeline._lastText, 'OpenClaw is still unreachable. 1 queued message will wait.');
+      assert.strictEqual(manager.queuedMessages.length, 1);
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should treat queue phrases as normal speech when the queue is off', async () => {
+      manager._outboundQueue = null;
+
+      mockSpeechPipeline.simulateTranscript('List queued messages');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.deepStrictEqual(mockOpenClawClient._sentMessages, ['List queued messages']);
+    });
+  });
+
+  describe('OpenClaw error handling', () => {
+    beforeEach(async () => {
+      createTestManager();
+      await manager.start();
+    });
+
+    it('should handle OpenClaw error gracefully', async () => {
+      let errorData = null;
+      manager.on('error', (data) => { errorData = data; });
+
+      mockOpenClawClient.setShouldFail(true, 'Cannot reach OpenClaw');
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.ok(errorData);
+      assert.strictEqual(errorData.type, 'openclaw');
+      // Should return to listening, not crash
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should set error on state when OpenClaw fails', async () => {
+      // Add error handler to state to prevent unhandled error
+      addErrorHandler(manager._state);
+
+      // Track if error was set
+      let errorWasSet = false;
+      let lastError = null;
+      manager._state.on('error', (err) => {
+        errorWasSet = true;
+        lastError = err;
+      });
+
+      mockOpenClawClient.setShouldFail(true, 'Connection refused');
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // Error should have been set at some point (even if it was later cleared)
+      assert.ok(errorWasSet, 'Error should have been emitted');
+      assert.ok(lastError?.includes('Connection refused') || lastError?.includes('refused'),
+        `Error message should mention connection issue, got: ${lastError}`);
+    });
+  });
+
+  describe('spoken errors', () => {
+    /**
+     * @param {string} message
+     * @param {string} type
+     */
+    function failWith(message, type) {
+      mockOpenClawClient.setShouldFail(true, message, type);
+    }
+
+    it('should report errors with a code and suggestions', async () => {
+      createTestManager();
+      await manager.start();
+      const errors = [];
+      manager.on('error', (data) => { errors.push(data); });
+      failWith('Cannot reach OpenClaw', 'CONNECTION_REFUSED');
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const openclawError = errors.find(e => e.type === 'openclaw');
+      assert.strictEqual(openclawError.code, 'OPENCLAW_UNREACHABLE');
+      assert.strictEqual(openclawError.message, 'Cannot reach OpenClaw');
+      assert.ok(openclawError.suggestions.length > 0);
+    });
+
+    it('should say what went wrong once the turn is over', async () => {
+      createTestManager();
+      await manager.start();
+      const spoken = [];
+      manager.on('error_spoken', (data) => { spoken.push(data); });
+      failWith('Command timed out', 'TIMEOUT');
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(spoken, [{ code: 'GATEWAY_TIMEOUT', text: 'Your agent is taking too long to answer.' }]);
+      assert.strictEqual(mockTtsPipeline._lastText, 'Your agent is taking too long to answer.');
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should not repeat the same spoken error within the cooldown', async () => {
+      createTestManager();
+      await manager.start();
+      const spoken = [];
+      manager.on('error_spoken', (data) => { spoken.push(data); });
+      failWith('OpenClaw error: agent crashed', 'CLI_ERROR');
+
+      for (const text of ['Hello', 'Hello again', 'Are you there']) {
+        mockSpeechPipeline.simulateTranscript(text);
+        await new Promise(resolve => setTimeout(resolve, 30));
+      }
+
+      assert.strictEqual(spoken.length, 1);
+      assert.strictEqual(spoken[0].text, 'Your agent ran into a problem. Try again in a moment.');
+    });
+
+    it('should speak the error again after the cooldown', async () => {
+      createTestManager({ spokenErrorCooldownMs: 10 });
+      await manager.start();
+      const spoken = [];
+      manager.on('error_spoken', (data) => { spoken.push(data); });
+      failWith('OpenClaw error: agent crashed', 'CLI_ERROR');
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 30));
+      mockSpeechPipeline.simulateTranscript('Hello again');
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      assert.strictEqual(spoken.length, 2);
+    });
+
+    it('should stay quiet when spoken errors are off', async () => {
+      createTestManager({ spokenErrors: false });
+      await manager.start();
+      let errorSpoken = false;
+      manager.on('error_spoken', () => { errorSpoken = true; });
+      failWith('Cannot reach OpenClaw', 'CONNECTION_REFUSED');
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.strictEqual(errorSpoken, false);
+      assert.strictEqual(mockTtsPipeline._lastText, null);
+    });
+
+    it('should say when it did not catch what was said', async () => {
+      createTestManager();
+      await manager.start();
+
+      mockSpeechPipeline.simulateEmptyTranscript();
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.strictEqual(mockTtsPipeline._lastText, "Sorry, I didn't catch that.");
+    });
+
+    it('should not speak errors that mean nothing by ear', async () => {
+      createTestManager();
+      await manager.start();
+      let errorSpoken = false;
+      manager.on('error_spoken', () => { errorSpoken = true; });
+
+      mockTtsPipeline.emit('error', new Error('piper exited with code 1'));
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.strictEqual(errorSpoken, false);
+    });
+  });
+
+  describe('earcons and system voice', () => {
+    /** @type {MockEarconPlayer} */
+    let earcons;
+    /** @type {MockTtsPipeline} */
+    let systemTts;
+
+    /**
+     * Attach a mock earcon player and system voice to the test manager
+     * @param {Object} [config]
+     */
+    function createManagerWithEarcons(config = {}) {
+      createTestManager(config);
+      earcons = new MockEarconPlayer();
+      systemTts = new MockTtsPipeline();
+      manager._earcons = earcons;
+      manager._systemTtsPipeline = systemTts;
+      manager._setupEarconEvents();
+      manager._setupTtsPipelineEvents(systemTts);
+    }
+
+    it('should play the listening earcon when the session starts', async () => {
+      createManagerWithEarcons();
+      const played = [];
+      manager.on('earcon_played', (data) => { played.push(data.event); });
+
+      await manager.start();
+
+      assert.deepStrictEqual(earcons.played, ['listening']);
+      assert.deepStrictEqual(played, ['listening']);
+    });
+
+    it('should mark processing and the end of a reply', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(earcons.played, ['listening', 'processing', 'listening']);
+      assert.strictEqual(mockTtsPipeline._lastText, 'Hello!');
+      assert.strictEqual(systemTts._lastText, null);
+    });
+
+    it('should play the wake word earcon instead of the listening earcon', async () => {
+      createManagerWithEarcons();
+      manager._wakeWordDetector.enable();
+      await manager.start();
+
+      mockSpeechPipeline.simulateTranscript('hey scout');
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.deepStrictEqual(earcons.played, ['wake_word']);
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should not play an earcon on barge-in', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+      manager._state.startProcessing('test');
+      manager._state.startSpeaking('response');
+      earcons.played = [];
+
+      mockSpeechPipeline.simulateBargeIn();
+
+      assert.deepStrictEqual(earcons.played, []);
+    });
+
+    it('should play the error earcon before a spoken error, in the system voice', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+      mockOpenClawClient.setShouldFail(true, 'Cannot reach OpenClaw', 'CONNECTION_REFUSED');
+
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.deepStrictEqual(earcons.played, ['listening', 'processing', 'error']);
+      assert.strictEqual(systemTts._lastText, "I can't reach your agent right now.");
+      assert.strictEqual(mockTtsPipeline._lastText, null);
+    });
+
+    it('should play the reconnected earcon before the status message', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+
+      manager._connectionRecovery.emit('recovered', { attempts: 1, totalTimeMs: 500 });
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.deepStrictEqual(earcons.played, ['listening', 'reconnected']);
+      assert.strictEqual(systemTts._lastText, 'Reconnected to OpenClaw.');
+    });
+
+    it('should hold a reply until the status message being spoken ends', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+      let finishStatus = () => {};
+      systemTts.speak = async function (text) {
+        this._speaking = true;
+        this._lastText = text;
+        this.emit('speaking_started', { text });
+        await new Promise(resolve => { finishStatus = resolve; });
+        this._speaking = false;
+        this.emit('speaking_complete');
+      };
+
+      manager._connectionRecovery.emit('recovered', { attempts: 1, totalTimeMs: 500 });
+      await new Promise(resolve => setImmediate(resolve));
+      mockSpeechPipeline.simulateTranscript('Hello');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.strictEqual(systemTts._lastText, 'Reconnected to OpenClaw.');
+      assert.strictEqual(mockTtsPipeline._lastText, null);
+      assert.strictEqual(manager.status, 'speaking');
+
+      finishStatus();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.strictEqual(mockTtsPipeline._lastText, 'Hello!');
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should leave status messages out of the latency metrics', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+      const measured = [];
+      manager._latencyMetrics.startTts = () => { measured.push('start'); };
+      manager._latencyMetrics.endTts = () => { measured.push('end'); };
+
+      manager._connectionRecovery.emit('recovered', { attempts: 1, totalTimeMs: 500 });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.strictEqual(systemTts._lastText, 'Reconnected to OpenClaw.');
+      assert.deepStrictEqual(measured, []);
+    });
+
+    it('should reply to agent switches in the system voice', async () => {
+      createManagerWithEarcons();
+      manager._config.openclawAgents = ['work'];
+      await manager.start();
+
+      mockSpeechPipeline.simulateTranscript('Switch to the work agent');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.strictEqual(systemTts._lastText, 'Switched to the work agent.');
+      assert.strictEqual(mockTtsPipeline._lastText, null);
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should keep replies to speed commands in the agent voice', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+
+      mockSpeechPipeline.simulateTranscript('Talk faster');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.ok(mockTtsPipeline._lastText);
+      assert.strictEqual(systemTts._lastText, null);
+      assert.strictEqual(systemTts._speed, manager.speechSpeed);
+    });
+
+    it('should apply volume changes to the system voice and earcons', () => {
+      createManagerWithEarcons();
+
+      manager.setSpeechVolume(0.5);
+
+      assert.strictEqual(systemTts._volume, 0.5);
+      assert.strictEqual(earcons._volume, 0.5);
+    });
+
+    it('should stop the system voice on barge-in', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+      manager._state.startProcessing('test');
+      manager._state.startSpeaking('Switched to the work agent.');
+      systemTts._speaking = true;
+
+      mockSpeechPipeline.simulateBargeIn();
+
+      assert.strictEqual(systemTts._speaking, false);
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should not play earcons while paused', async () => {
+      createManagerWithEarcons();
+      await manager.start();
+      manager.pause();
+      earcons.played = [];
+
+      assert.strictEqual(await manager._playEarcon('error'), false);
+      assert.deepStrictEqual(earcons.played, []);
+    });
+  });
+
+  describe('audio devices', () => {
+    const HEADSET_MIC = 'bluez_input.00_1B_66_AA_BB_CC.0';
+    const HEADSET_SPEAKER = 'bluez_output.00_1B_66_AA_BB_CC.1';
+
+    /**
+     * Device snapshot as DeviceMonitor reports it
+     * @param {string[]} sources
+     * @param {string[]} sinks
+     * @param {Object} [defaults]
+     */
+    function snapshot(sources, sinks, { defaultSource = 'alsa_input.builtin', defaultSink = 'alsa_output.builtin' } = {}) {
+      const device = (name) => ({ index: 0, name, driver: 'test', state: 'IDLE', bluetooth: name.startsWith('bluez_') });
+      return { sources: sources.map(device), sinks: sinks.map(device), defaultSource, defaultSink };
+    }
+
+    const BUILTIN = snapshot(['alsa_input.builtin'], ['alsa_output.builtin']);
+    const WITH_HEADSET = snapshot(['alsa_input.builtin', HEADSET_MIC], ['alsa_output.builtin', HEADSET_SPEAKER]);
+
+    /**
+     * Test manager whose device monitor is driven by the test
+     * @param {Object} [config]
+     */
+    function createManagerWithDevices(config = {}) {
+      createTestManager(config);
+      manager._deviceMonitor = new EventEmitter();
+      manager._deviceMonitor.dispose = () => {};
+      manager._setupDeviceEvents();
+    }
+
+    function reportDevices(devices) {
+      manager._deviceMonitor.emit('changed', { snapshot: devices, added: [], removed: [], defaultsChanged: false });
+    }
 
-      // Manually set to speaking state to simulate mid-playback
-      if (manager.status === 'speaking') {
-        // Simulate barge-in
-        mockSpeechPipeline.simulateBargeIn();
+    it('should follow devices through pactl with PulseAudio or PipeWire', () => {
+      for (const audioBackend of [undefined, 'pipewire']) {
+        createManagerWithDevices({ audioBackend });
+        let started = 0;
+        manager._deviceMonitor.start = () => { started++; return BUILTIN; };
 
-        await new Promise(resolve => setTimeout(resolve, 50));
+        manager._startDeviceMonitor();
 
-        const bargeInEvent = events.find(e => e.reason === 'barge_in');
-        assert.ok(bargeInEvent, 'Should have barge_in transition');
+        assert.strictEqual(started, 1);
       }
     });
-  });
 
-  describe('transcript handling', () => {
-    beforeEach(async () => {
-      createTestManager();
-      await manager.start();
-    });
+    it('should keep the configured devices with ALSA', () => {
+      createManagerWithDevices({ audioBackend: 'alsa', inputDevice: 'plughw:1,0' });
+      manager._deviceMonitor.start = () => { throw new Error('pactl is not used with ALSA'); };
 
-    it('should emit transcript event', async () => {
-      let transcriptData = null;
-      manager.on('transcript', (data) => { transcriptData = data; });
+      manager._startDeviceMonitor();
 
-      mockSpeechPipeline.simulateTranscript('Hello world', 1500, 300);
+      assert.deepStrictEqual(manager.audioDevices, { input: 'plughw:1,0', output: null });
+    });
 
-      await new Promise(resolve => setTimeout(resolve, 50));
+    it('should use the configured devices while they are present', () => {
+      createManagerWithDevices({ inputDevice: HEADSET_MIC, outputDevice: HEADSET_SPEAKER });
+      const changes = [];
+      manager.on('audio_device_changed', (data) => { changes.push(data); });
 
-      assert.ok(transcriptData);
-      assert.strictEqual(transcriptData.text, 'Hello world');
-      assert.strictEqual(transcriptData.audioDurationMs, 1500);
-      assert.strictEqual(transcriptData.sttDurationMs, 300);
+      manager._applyAudioDevices(WITH_HEADSET);
+
+      assert.deepStrictEqual(manager.audioDevices, { input: HEADSET_MIC, output: HEADSET_SPEAKER });
+      assert.deepStrictEqual(changes, []);
     });
 
-    it('should emit response event', async () => {
-      let responseData = null;
-      manager.on('response', (data) => { responseData = data; });
+    it('should fall back to the defaults when the configured headset disconnects', () => {
+      createManagerWithDevices({ inputDevice: HEADSET_MIC, outputDevice: HEADSET_SPEAKER });
+      manager._applyAudioDevices(WITH_HEADSET);
+      const changes = [];
+      const errors = [];
+      manager.on('audio_device_changed', (data) => { changes.push(data); });
+      manager.on('error', (data) => { errors.push(data); });
 
-      mockOpenClawClient.setNextResponse({
-        text: 'Hi there!',
-        sessionId: 'session-abc',
-        durationMs: 200
-      });
+      reportDevices(BUILTIN);
 
-      mockSpeechPipeline.simulateTranscript('Hello');
+      assert.deepStrictEqual(manager.audioDevices, { input: null, output: null });
+      assert.strictEqual(mockSpeechPipeline._inputDevice, null);
+      assert.strictEqual(mockTtsPipeline._outputDevice, null);
+      assert.deepStrictEqual(changes, [
+        { kind: 'input', device: 'alsa_input.builtin' },
+        { kind: 'output', device: 'alsa_output.builtin' }
+      ]);
+      assert.deepStrictEqual(errors.map(e => e.code), ['AUDIO_DEVICE_MISSING', 'AUDIO_DEVICE_MISSING']);
+      assert.match(errors[0].message, /Microphone bluez_input\.00_1B_66_AA_BB_CC\.0 not found/);
+    });
 
-      await new Promise(resolve => setTimeout(resolve, 100));
+    it('should report a missing device only once', () => {
+      createManagerWithDevices({ outputDevice: HEADSET_SPEAKER });
+      const errors = [];
+      manager.on('error', (data) => { errors.push(data); });
 
-      assert.ok(responseData);
-      assert.strictEqual(responseData.text, 'Hi there!');
-      assert.strictEqual(responseData.sessionId, 'session-abc');
-    });
+      reportDevices(BUILTIN);
+      reportDevices(snapshot(['alsa_input.builtin', 'alsa_input.usb'], ['alsa_output.builtin']));
 
-    it('should handle empty transcript', async () => {
-      let emptyData = null;
-      manager.on('empty_transcript', (data) => { emptyData = data; });
-      // Add additional error listener to prevent unhandled error
-      addErrorHandler(manager._state);
+      assert.strictEqual(errors.length, 1);
+    });
 
-      mockSpeechPipeline.simulateEmptyTranscript();
+    it('should switch back when the configured headset reconnects', () => {
+      createManagerWithDevices({ inputDevice: HEADSET_MIC });
+      reportDevices(BUILTIN);
 
-      await new Promise(resolve => setTimeout(resolve, 50));
+      reportDevices(WITH_HEADSET);
 
-      assert.ok(emptyData);
-      assert.strictEqual(manager.state.error, "Didn't catch that");
+      assert.strictEqual(manager.audioDevices.input, HEADSET_MIC);
+      assert.strictEqual(mockSpeechPipeline._inputDevice, HEADSET_MIC);
     });
-  });
 
-  describe('OpenClaw error handling', () => {
-    beforeEach(async () => {
-      createTestManager();
-      await manager.start();
+    it('should restart capture on the new default source', () => {
+      createManagerWithDevices();
+      manager._applyAudioDevices(BUILTIN);
+      const changes = [];
+      manager.on('audio_device_changed', (data) => { changes.push(data); });
+
+      reportDevices(snapshot(['alsa_input.builtin', HEADSET_MIC], ['alsa_output.builtin'], { defaultSource: HEADSET_MIC }));
+
+      assert.strictEqual(mockSpeechPipeline._inputDevice, null);
+      assert.deepStrictEqual(changes, [{ kind: 'input', device: HEADSET_MIC }]);
     });
 
-    it('should handle OpenClaw error gracefully', async () => {
-      let errorData = null;
-      manager.on('error', (data) => { errorData = data; });
+    it('should not treat devices as missing when PulseAudio cannot list them', () => {
+      createManagerWithDevices({ inputDevice: HEADSET_MIC });
+      const errors = [];
+      manager.on('error', (data) => { errors.push(data); });
 
-      mockOpenClawClient.setShouldFail(true, 'Cannot reach OpenClaw');
+      manager._applyAudioDevices(snapshot([], [], { defaultSource: null, defaultSink: null }));
 
-      mockSpeechPipeline.simulateTranscript('Hello');
+      assert.strictEqual(manager.audioDevices.input, HEADSET_MIC);
+      assert.deepStrictEqual(errors, []);
+    });
 
-      await new Promise(resolve => setTimeout(resolve, 100));
+    it('should announce a missing device by voice', async () => {
+      createManagerWithDevices({ outputDevice: HEADSET_SPEAKER });
+      await manager.start();
 
-      assert.ok(errorData);
-      assert.strictEqual(errorData.type, 'openclaw');
-      // Should return to listening, not crash
-      assert.strictEqual(manager.status, 'listening');
+      reportDevices(BUILTIN);
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.strictEqual(mockTtsPipeline._lastText, "Your audio device is gone, so I'm using the default.");
     });
+  });
 
-    it('should set error on state when OpenClaw fails', async () => {
-      // Add error handler to state to prevent unhandled error
-      addErrorHandler(manager._state);
+  describe('echo cancellation', () => {
+    function createManagerWithPlayback(config = {}) {
+      createTestManager(config);
+      mockTtsPipeline.audioPlayback = new EventEmitter();
+      const earcons = new MockEarconPlayer();
+      earcons.audioPlayback = new EventEmitter();
+      manager._earcons = earcons;
+      manager._setupEchoReference();
+      return earcons;
+    }
 
-      // Track if error was set
-      let errorWasSet = false;
-      let lastError = null;
-      manager._state.on('error', (err) => {
-        errorWasSet = true;
-        lastError = err;
-      });
+    it('should feed speech and earcon playback to the echo canceller', () => {
+      const earcons = createManagerWithPlayback({ echoCancellation: true });
+      const speech = new Int16Array([1, 2, 3]);
+      const chime = new Int16Array([4, 5]);
 
-      mockOpenClawClient.setShouldFail(true, 'Connection refused');
+      mockTtsPipeline.audioPlayback.emit('written', speech, 22050);
+      earcons.audioPlayback.emit('written', chime, 22050);
 
-      mockSpeechPipeline.simulateTranscript('Hello');
+      assert.deepStrictEqual(mockSpeechPipeline._references, [
+        { samples: speech, sampleRate: 22050 },
+        { samples: chime, sampleRate: 22050 }
+      ]);
+    });
 
-      await new Promise(resolve => setTimeout(resolve, 100));
+    it('should not listen to playback when turned off', () => {
+      createManagerWithPlayback({ echoCancellation: false });
 
-      // Error should have been set at some point (even if it was later cleared)
-      assert.ok(errorWasSet, 'Error should have been emitted');
-      assert.ok(lastError?.includes('Connection refused') || lastError?.includes('refused'),
-        `Error message should mention connection issue, got: ${lastError}`);
+      mockTtsPipeline.audioPlayback.emit('written', new Int16Array(4), 22050);
+
+      assert.strictEqual(mockSpeechPipeline._references, undefined);
     });
   });
 
@@ -831,6 +1916,235 @@ describe('SessionManager', () => {
       assert.ok(stats.ttsPipeline);
       assert.ok(stats.connectionMonitor);
     });
+
+    it('should include the active agent', () => {
+      assert.strictEqual(manager.getStats().agent, 'main');
+    });
+
+    it('should include TTS latency', async () => {
+      await manager.start();
+
+      mockTtsPipeline.emit('speaking_started', { text: 'Hi.' });
+      mockTtsPipeline.emit('sentence_complete', { index: 0, sentence: 'Hi.', total: 1, firstChunkMs: 120 });
+      mockTtsPipeline.emit('ready');
+      mockTtsPipeline.emit('speaking_stopped');
+
+      const { latency } = manager.getStats();
+      assert.strictEqual(latency.tts.count, 1);
+      assert.strictEqual(latency.ttsSentence.count, 1);
+      assert.strictEqual(latency.ttsSentence.p50, 120);
+    });
+  });
+
+  describe('agent switching', () => {
+    beforeEach(async () => {
+      createTestManager();
+      manager._config.openclawAgents = ['work', 'coding-bot'];
+      await manager.start();
+    });
+
+    it('should list the default agent and the configured agents', () => {
+      assert.deepStrictEqual(manager.agents, ['main', 'work', 'coding-bot']);
+    });
+
+    it('should switch agent and keep a session per agent', () => {
+      const changes = [];
+      manager.on('agent_changed', (data) => { changes.push(data); });
+      manager._state.setSessionId('main-session');
+
+      manager.switchAgent('work');
+
+      assert.strictEqual(manager.agentId, 'work');
+      assert.strictEqual(mockOpenClawClient._agentId, 'work');
+      assert.strictEqual(manager.sessionId, null);
+
+      manager._state.setSessionId('work-session');
+      manager.switchAgent('main');
+
+      assert.strictEqual(manager.sessionId, 'main-session');
+      assert.deepStrictEqual(changes, [
+        { from: 'main', to: 'work', sessionId: null },
+        { from: 'work', to: 'main', sessionId: 'main-session' }
+      ]);
+    });
+
+    it('should reject unknown agents', () => {
+      assert.throws(() => manager.switchAgent('garden'), /Unknown agent: garden/);
+      assert.strictEqual(manager.agentId, 'main');
+    });
+
+    it('should switch agent by voice without contacting OpenClaw', async () => {
+      let responseEmitted = false;
+      manager.on('response', () => { responseEmitted = true; });
+
+      mockSpeechPipeline.simulateTranscript('Switch to the coding bot agent.');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(manager.agentId, 'coding-bot');
+      assert.strictEqual(responseEmitted, false);
+      assert.strictEqual(mockTtsPipeline._lastText, 'Switched to the coding bot agent.');
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should say so when a spoken agent is unknown', async () => {
+      let errorData = null;
+      manager.on('error', (data) => { errorData = data; });
+
+      mockSpeechPipeline.simulateTranscript('switch to garden agent');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(manager.agentId, 'main');
+      assert.strictEqual(errorData.type, 'agent_switch');
+      assert.strictEqual(mockTtsPipeline._lastText, "I don't know an agent called garden.");
+    });
+
+    it('should send switch phrases to the agent when no other agents are configured', async () => {
+      manager._config.openclawAgents = [];
+      let responseEmitted = false;
+      manager.on('response', () => { responseEmitted = true; });
+
+      mockSpeechPipeline.simulateTranscript('switch to work agent');
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(responseEmitted, true);
+      assert.strictEqual(manager.agentId, 'main');
+    });
+  });
+
+  describe('voice settings', () => {
+    beforeEach(async () => {
+      createTestManager({
+        ttsVoices: { british: '/voices/en_GB-alan-medium.onnx', american: '/voices/en_US-lessac-medium.onnx' }
+      });
+      await manager.start();
+    });
+
+    it('should default to normal speed and volume and the backend voice', () => {
+      assert.strictEqual(manager.speechSpeed, 1);
+      assert.strictEqual(manager.speechVolume, 1);
+      assert.deepStrictEqual(manager.voices, ['british', 'american']);
+      assert.strictEqual(manager.voice, null);
+    });
+
+    it('should change speed, volume and voice at runtime', () => {
+      const changes = [];
+      manager.on('voice_settings_changed', (data) => { changes.push(data); });
+
+      manager.setSpeechSpeed(1.25);
+      manager.setSpeechVolume(0.5);
+      manager.setVoice('british');
+      manager.setVoice('british');
+
+      assert.strictEqual(mockTtsPipeline._speed, 1.25);
+      assert.strictEqual(mockTtsPipeline._volume, 0.5);
+      assert.strictEqual(mockTtsPipeline._voice, '/voices/en_GB-alan-medium.onnx');
+      assert.strictEqual(manager.voice, 'british');
+      assert.deepStrictEqual(changes, [
+        { speed: 1.25, volume: 1, voice: null },
+        { speed: 1.25, volume: 0.5, voice: null },
+        { speed: 1.25, volume: 0.5, voice: 'british' }
+      ]);
+    });
+
+    it('should reject out-of-range settings and unknown voices', () => {
+      assert.throws(() => manager.setSpeechSpeed(3), /Invalid speech speed: 3/);
+      assert.throws(() => manager.setSpeechVolume(-1), /Invalid speech volume: -1/);
+      assert.throws(() => manager.setVoice('scottish'), /Unknown voice: scottish/);
+      assert.strictEqual(manager.speechSpeed, 1);
+    });
+
+    it('should change speed by voice without contacting OpenClaw', async () => {
+      let responseEmitted = false;
+      manager.on('response', () => { responseEmitted = true; });
+
+      mockSpeechPipeline.simulateTranscript('Talk faster.');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(responseEmitted, false);
+      assert.strictEqual(manager.speechSpeed, 1.25);
+      assert.strictEqual(mockTtsPipeline._lastText, 'Talking faster.');
+      assert.strictEqual(manager.status, 'listening');
+    });
+
+    it('should say so at the volume limit', async () => {
+      manager.setSpeechVolume(2);
+
+      mockSpeechPipeline.simulateTranscript('louder');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(manager.speechVolume, 2);
+      assert.strictEqual(mockTtsPipeline._lastText, 'This is as loud as I go.');
+    });
+
+    it('should switch voice by voice and confirm in the new voice', async () => {
+      mockSpeechPipeline.simulateTranscript('Switch to the British voice.');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(manager.voice, 'british');
+      assert.strictEqual(mockTtsPipeline._voice, '/voices/en_GB-alan-medium.onnx');
+      assert.strictEqual(mockTtsPipeline._lastText, 'Switched to the british voice.');
+    });
+
+    it('should say so when a spoken voice is unknown', async () => {
+      let errorData = null;
+      manager.on('error', (data) => { errorData = data; });
+
+      mockSpeechPipeline.simulateTranscript('use the scottish voice');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(errorData.type, 'voice_switch');
+      assert.strictEqual(mockTtsPipeline._lastText, "I don't know a voice called scottish.");
+    });
+  });
+
+  describe('spoken language', () => {
+    beforeEach(async () => {
+      createTestManager({
+        ttsVoices: { de: '/voices/de_DE-thorsten-medium.onnx', british: '/voices/en_GB-alan-medium.onnx' }
+      });
+      manager._backendVoice = '/voices/en_US-lessac-medium.onnx';
+      await manager.start();
+    });
+
+    it('should reply in the voice for the spoken language', async () => {
+      mockSpeechPipeline.simulateTranscript('Mach das Licht an', 1000, 500, 'de');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(mockTtsPipeline._voice, '/voices/de_DE-thorsten-medium.onnx');
+      assert.strictEqual(mockOpenClawClient._lastSendOptions.language, 'de');
+    });
+
+    it('should go back to the base voice for a language without its own voice', async () => {
+      mockSpeechPipeline.simulateTranscript('Mach das Licht an', 1000, 500, 'de');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      mockSpeechPipeline.simulateTranscript('Turn on the lights', 1000, 500, 'en');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(mockTtsPipeline._voice, '/voices/en_US-lessac-medium.onnx');
+      assert.strictEqual(mockOpenClawClient._lastSendOptions.language, 'en');
+    });
+
+    it('should prefer the selected voice over the backend voice', async () => {
+      manager.setVoice('british');
+
+      mockSpeechPipeline.simulateTranscript('Turn on the lights', 1000, 500, 'en');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(mockTtsPipeline._voice, '/voices/en_GB-alan-medium.onnx');
+    });
+
+    it('should include the language in the transcript event', async () => {
+      let transcript = null;
+      manager.on('transcript', (data) => { transcript = data; });
+
+      mockSpeechPipeline.simulateTranscript('Hola', 1000, 500, 'es');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.strictEqual(transcript.language, 'es');
+    });
   });
 
   describe('onStateChange', () => {
@@ -1172,6 +2486,49 @@ describe('SessionManager wake word support (FR-11)', () => {
       assert.ok(transcriptData);
       assert.strictEqual(transcriptData.text, 'what is the weather');
     });
+
+    it('should start listening when a partial transcript has the wake phrase', async () => {
+      let eventData = null;
+      manager.on('wake_word_detected', (data) => { eventData = data; });
+
+      await manager.start();
+      mockSpeechPipeline.simulatePartialTranscript('Hey Scout');
+
+      assert.strictEqual(manager.status, 'listening');
+      assert.strictEqual(eventData.partial, true);
+    });
+
+    it('should send only the command after a partial wake phrase', async () => {
+      let transcriptData = null;
+      manager.on('transcript', (data) => { transcriptData = data; });
+
+      await manager.start();
+      mockSpeechPipeline.simulatePartialTranscript('hey scout');
+      mockOpenClawClient.setNextResponse({ text: 'Sunny.', sessionId: 's1', durationMs: 100 });
+      mockSpeechPipeline.simulateTranscript('Hey Scout, what is the weather?');
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      assert.strictEqual(transcriptData.text, 'what is the weather');
+      assert.strictEqual(mockOpenClawClient._sentMessages.length, 1);
+    });
+
+    it('should not send anything when the utterance was only the wake phrase', async () => {
+      await manager.start();
+      mockSpeechPipeline.simulatePartialTranscript('hey scout');
+      mockSpeechPipeline.simulateTranscript('Hey Scout.');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.strictEqual(manager.status, 'listening');
+      assert.strictEqual(mockOpenClawClient._sentMessages.length, 0);
+    });
+
+    it('should ignore partial transcripts without the wake phrase', async () => {
+      await manager.start();
+      mockSpeechPipeline.simulatePartialTranscript('hello');
+
+      assert.strictEqual(manager.status, 'waiting_for_wakeword');
+      assert.strictEqual(manager._wakeWordDetector.getStats().missCount, 0);
+    });
   });
 
   describe('runtime wake word control', () => {
@@ -1478,4 +2835,80 @@ describe('SessionManager integration scenarios', () => {
     // Cleanup
     await manager.dispose();
   });
+
+  it('should answer each utterance of a fast-paced recording in full', async () => {
+    const utterances = ['Turn on the lights', 'What time is it', 'Thank you'];
+    // 480-sample frames: ten of speech (sample value = utterance number), then five of silence
+    const frames = utterances.flatMap((_, index) => [
+      ...Array.from({ length: 10 }, () => new Int16Array(480).fill(index + 1)),
+      ...Array.from({ length: 5 }, () => new Int16Array(480))
+    ]);
+    const dir = await mkdtemp(join(tmpdir(), 'scout-recording-'));
+    const audioInput = join(dir, 'conversation.raw');
+    await writeFile(audioInput, Buffer.concat(frames.map(frame => Buffer.from(frame.buffer))));
+
+    const manager = new SessionManager(TEST_CONFIG);
+    addErrorHandler(manager);
+    const pipeline = new SpeechPipeline({
+      vadModelPath: TEST_CONFIG.vadModelPath,
+      whisperPath: TEST_CONFIG.whisperPath,
+      sttModelPath: TEST_CONFIG.sttModelPath,
+      audioInput,
+      audioInputPace: 'fast',
+      echoCancellation: false
+    });
+    pipeline._initialized = true;
+    // VAD stand-in: speech while samples are non-zero
+    let speaking = 0;
+    pipeline._vad.processFrame = async (frame) => {
+      if (frame[0] !== 0 && !speaking) {
+        speaking = frame[0];
+        pipeline._vad.emit('speech_started');
+      } else if (frame[0] === 0 && speaking) {
+        const audio = Int16Array.of(speaking);
+        speaking = 0;
+        pipeline._vad.emit('speech_ended', { audio, durationMs: 300 });
+      }
+    };
+    pipeline._stt.transcribe = async (audio) => ({ text: utterances[audio[0] - 1], error: null, durationMs: 10 });
+
+    const mockTts = new MockTtsPipeline();
+    const mockOpenClaw = new MockOpenClawClient();
+    mockOpenClaw.send = async (message) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { text: `Reply to ${message}`, sessionId: 's1', durationMs: 20 };
+    };
+    // Each reply takes a while to play
+    const speak = mockTts.speak.bind(mockTts);
+    mockTts.speak = async (text) => {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await speak(text);
+    };
+
+    manager._speechPipeline = pipeline;
+    manager._ttsPipeline = mockTts;
+    manager._openclawClient = mockOpenClaw;
+    manager._connectionMonitor = new MockConnectionMonitor();
+    manager._setupSpeechPipelineEvents();
+    manager._setupTtsPipelineEvents();
+    manager._initialized = true;
+
+    const events = [];
+    manager.on('response', (e) => events.push(`response:${e.text}`));
+    mockTts.on('speaking_complete', () => events.push('spoken'));
+    manager.on('barge_in', () => events.push('barge_in'));
+    manager.on('request_superseded', () => events.push('request_superseded'));
+
+    try {
+      const ended = new Promise(resolve => manager.once('input_ended', resolve));
+      await manager.start();
+      await ended;
+
+      assert.deepStrictEqual(events, utterances.flatMap(text => [`response:Reply to ${text}`, 'spoken']));
+      assert.strictEqual(manager.status, 'listening');
+    } finally {
+      await manager.dispose();
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
 });
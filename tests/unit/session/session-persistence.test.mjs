@@ -229,6 +229,74 @@ describe('SessionPersistence', () => {
     });
   });
 
+  describe('per-agent sessions', () => {
+    it('should load the session of the configured agent', async () => {
+      const config = createConfig({ agent_session_ids: { main: 'main-session', work: 'work-session' } });
+      await saveConfig(testConfigPath, config);
+
+      const persistence = new SessionPersistence({ configPath: testConfigPath, agentId: 'work' });
+      const sessionId = await persistence.init();
+
+      assert.strictEqual(persistence.agentId, 'work');
+      assert.strictEqual(sessionId, 'work-session');
+    });
+
+    it('should attribute a legacy last_session_id to the active agent', async () => {
+      const config = createConfig({ last_session_id: 'legacy-session' });
+      await saveConfig(testConfigPath, config);
+
+      const persistence = new SessionPersistence({ configPath: testConfigPath, agentId: 'home' });
+      const sessionId = await persistence.init();
+
+      assert.strictEqual(sessionId, 'legacy-session');
+      assert.deepStrictEqual(persistence.getSessionIds(), { home: 'legacy-session' });
+    });
+
+    it('should keep each agent\'s session when switching', async () => {
+      await saveConfig(testConfigPath, createConfig());
+
+      const persistence = new SessionPersistence({ configPath: testConfigPath });
+      await persistence.init();
+      await persistence.setSessionId('main-session');
+
+      assert.strictEqual(persistence.setAgent('work'), null);
+      await persistence.setSessionId('work-session');
+
+      assert.strictEqual(persistence.setAgent('main'), 'main-session');
+
+      // Verify persisted
+      const persistence2 = new SessionPersistence({ configPath: testConfigPath, agentId: 'work' });
+      assert.strictEqual(await persistence2.init(), 'work-session');
+      assert.deepStrictEqual(persistence2.getSessionIds(), { main: 'main-session', work: 'work-session' });
+    });
+
+    it('should store another agent\'s session without switching to it', async () => {
+      const config = createConfig({ agent_session_ids: { main: 'main-session' } });
+      await saveConfig(testConfigPath, config);
+
+      const persistence = new SessionPersistence({ configPath: testConfigPath });
+      await persistence.init();
+      await persistence.setSessionId('work-session', 'work');
+
+      assert.strictEqual(persistence.agentId, 'main');
+      assert.strictEqual(persistence.sessionId, 'main-session');
+      assert.deepStrictEqual(persistence.getSessionIds(), { main: 'main-session', work: 'work-session' });
+    });
+
+    it('should reset only the active agent', async () => {
+      const config = createConfig({ agent_session_ids: { main: 'main-session', work: 'work-session' } });
+      await saveConfig(testConfigPath, config);
+
+      const persistence = new SessionPersistence({ configPath: testConfigPath, agentId: 'work' });
+      await persistence.init();
+      await persistence.reset();
+
+      const persistence2 = new SessionPersistence({ configPath: testConfigPath });
+      assert.strictEqual(await persistence2.init(), 'main-session');
+      assert.deepStrictEqual(persistence2.getSessionIds(), { main: 'main-session' });
+    });
+  });
+
   describe('loadSessionId static method', () => {
     it('should load session ID from config file', async () => {
       const config = createConfig({ last_session_id: 'static-load-test' });
@@ -0,0 +1,81 @@
+/**
+ * Tests for speed, volume and voice commands
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseSpeechCommand,
+  stepSpeed,
+  stepVolume,
+  spokenVoiceName,
+  MIN_SPEED,
+  MAX_SPEED,
+  MAX_VOLUME
+} from '../../../src/session/speech-commands.mjs';
+
+describe('parseSpeechCommand', () => {
+  it('should recognize speed commands', () => {
+    assert.deepStrictEqual(parseSpeechCommand('Talk faster.'), { setting: 'speed', change: 'up' });
+    assert.deepStrictEqual(parseSpeechCommand('speak a bit more quickly please'), { setting: 'speed', change: 'up' });
+    assert.deepStrictEqual(parseSpeechCommand('Slow down!'), { setting: 'speed', change: 'down' });
+    assert.deepStrictEqual(parseSpeechCommand('talk slower'), { setting: 'speed', change: 'down' });
+    assert.deepStrictEqual(parseSpeechCommand('Back to normal speed.'), { setting: 'speed', change: 'reset' });
+  });
+
+  it('should recognize volume commands', () => {
+    assert.deepStrictEqual(parseSpeechCommand('Louder!'), { setting: 'volume', change: 'up' });
+    assert.deepStrictEqual(parseSpeechCommand('speak up please'), { setting: 'volume', change: 'up' });
+    assert.deepStrictEqual(parseSpeechCommand('A little quieter.'), { setting: 'volume', change: 'down' });
+    assert.deepStrictEqual(parseSpeechCommand('turn the volume down'), { setting: 'volume', change: 'down' });
+    assert.deepStrictEqual(parseSpeechCommand('Normal volume'), { setting: 'volume', change: 'reset' });
+  });
+
+  it('should recognize voice switches and match configured names', () => {
+    const voices = ['british', 'en_US-amy'];
+
+    assert.deepStrictEqual(parseSpeechCommand('Switch to the British voice.', voices), { setting: 'voice', spokenName: 'british', voice: 'british' });
+    assert.deepStrictEqual(parseSpeechCommand('use the en US amy voice', voices), { setting: 'voice', spokenName: 'en us amy', voice: 'en_US-amy' });
+    assert.deepStrictEqual(parseSpeechCommand('change voice to scottish', voices), { setting: 'voice', spokenName: 'scottish', voice: null });
+  });
+
+  it('should ignore voice switches when no voices are configured', () => {
+    assert.strictEqual(parseSpeechCommand('Switch to the British voice.'), null);
+  });
+
+  it('should ignore other speech', () => {
+    assert.strictEqual(parseSpeechCommand('Which is faster, a train or a plane?'), null);
+    assert.strictEqual(parseSpeechCommand('switch to the work agent', ['british']), null);
+    assert.strictEqual(parseSpeechCommand('turn up the heating'), null);
+    assert.strictEqual(parseSpeechCommand(''), null);
+  });
+});
+
+describe('stepSpeed', () => {
+  it('should change speed by a quarter and stay in range', () => {
+    assert.strictEqual(stepSpeed(1, 'up'), 1.25);
+    assert.strictEqual(stepSpeed(1, 'down'), 0.8);
+    assert.strictEqual(stepSpeed(1.9, 'up'), MAX_SPEED);
+    assert.strictEqual(stepSpeed(MIN_SPEED, 'down'), MIN_SPEED);
+    assert.strictEqual(stepSpeed(1.5, 'reset'), 1);
+  });
+});
+
+describe('stepVolume', () => {
+  it('should change volume in steps and stay in range', () => {
+    assert.strictEqual(stepVolume(1, 'up'), 1.25);
+    assert.strictEqual(stepVolume(1, 'down'), 0.75);
+    assert.strictEqual(stepVolume(1.9, 'up'), MAX_VOLUME);
+    assert.strictEqual(stepVolume(0.5, 'reset'), 1);
+  });
+
+  it('should never mute by voice', () => {
+    assert.strictEqual(stepVolume(0.25, 'down'), 0.25);
+    assert.strictEqual(stepVolume(0.1, 'down'), 0.1);
+  });
+});
+
+describe('spokenVoiceName', () => {
+  it('should read - and _ as spaces', () => {
+    assert.strictEqual(spokenVoiceName('en_GB-alan'), 'en GB alan');
+  });
+});
@@ -18,6 +18,7 @@ import {
   createAudioTest,
   DEFAULT_AUDIO_TEST_CONFIG
 } from '../../../src/setup/audio-test.mjs';
+import { registerAudioBackend } from '../../../src/audio/audio-backends.mjs';
 
 /**
  * Create a mock output stream for testing
@@ -64,6 +65,8 @@ describe('AudioTest', () => {
     it('should have correct default values', () => {
       assert.strictEqual(DEFAULT_AUDIO_TEST_CONFIG.recordDurationMs, 3000);
       assert.strictEqual(DEFAULT_AUDIO_TEST_CONFIG.sampleRate, 16000);
+      assert.strictEqual(DEFAULT_AUDIO_TEST_CONFIG.inputDevice, null);
+      assert.strictEqual(DEFAULT_AUDIO_TEST_CONFIG.outputDevice, null);
     });
 
     it('should be frozen', () => {
@@ -83,6 +86,49 @@ describe('AudioTest', () => {
     });
   });
 
+  describe('listDevices', () => {
+    it('should return microphone and speaker lists', () => {
+      const devices = new AudioTest().listDevices();
+
+      assert.ok(Array.isArray(devices.sources));
+      assert.ok(Array.isArray(devices.sinks));
+    });
+  });
+
+  describe('audio backend', () => {
+    registerAudioBackend('missing-tools', {
+      label: 'Missing',
+      captureCommand: 'scout-test-no-such-recorder',
+      playbackCommand: 'scout-test-no-such-player',
+      captureArgs: () => [],
+      playbackArgs: () => [],
+      pulseDevices: false
+    });
+
+    it('should report the tools the backend is missing', async () => {
+      const audioTest = new AudioTest({ backend: 'missing-tools' });
+
+      const status = await audioTest.checkAudioBackend();
+
+      assert.strictEqual(status.available, false);
+      assert.strictEqual(status.error, 'Missing not available (missing scout-test-no-such-recorder, scout-test-no-such-player)');
+    });
+
+    it('should fail the microphone test without the backend tools', async () => {
+      const audioTest = new AudioTest({ backend: 'missing-tools' });
+
+      const result = await audioTest.testMicrophone();
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /^Missing not available/);
+      assert.strictEqual(audioTest.isRunning, false);
+    });
+
+    it('should not list devices for backends outside PulseAudio', () => {
+      assert.deepStrictEqual(new AudioTest({ backend: 'alsa' }).listDevices(), { sources: [], sinks: [] });
+    });
+  });
+
   describe('isRunning', () => {
     it('should return false initially', () => {
       const audioTest = new AudioTest();
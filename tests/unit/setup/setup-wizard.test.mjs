@@ -21,6 +21,7 @@ import assert from 'node:assert';
 import { mkdtemp, rm, readFile } from 'fs/promises';
 import { tmpdir } from 'os';
 import { join } from 'path';
+import { Writable } from 'stream';
 import {
   SetupWizard,
   createSetupWizard,
@@ -184,6 +185,20 @@ describe('saveWizardConfig', () => {
     );
   });
 
+  it('should save the chosen audio devices', async () => {
+    const configPath = join(tempDir, 'config.json');
+
+    await saveWizardConfig(configPath, {
+      gateway_url: 'http://localhost:18789',
+      gateway_token: '',
+      input_device: 'bluez_input.headset'
+    });
+
+    const saved = JSON.parse(await readFile(configPath, 'utf-8'));
+    assert.strictEqual(saved.input_device, 'bluez_input.headset');
+    assert.strictEqual(saved.output_device, '');
+  });
+
   it('should throw for invalid vad_threshold', async () => {
     const configPath = join(tempDir, 'config.json');
     const wizardConfig = {
@@ -228,6 +243,63 @@ describe('SetupWizard URL validation', () => {
   });
 });
 
+describe('SetupWizard audio devices', () => {
+  const device = (name) => ({ index: 0, name, driver: 'test', state: 'IDLE', bluetooth: name.startsWith('bluez_') });
+
+  /**
+   * Wizard with the given devices, answering prompts in order
+   */
+  function createWizard(devices, answers) {
+    const written = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        written.push(chunk.toString());
+        callback();
+      }
+    });
+    const wizard = new SetupWizard({ skipConnectionTest: true, output, listDevices: () => devices });
+    const prompts = [];
+    wizard._prompt = async (question) => {
+      prompts.push(question);
+      return answers.shift() ?? '';
+    };
+    return { wizard, prompts, written };
+  }
+
+  it('should not ask with a single microphone and speaker', async () => {
+    const { wizard, prompts } = createWizard({ sources: [device('alsa_input.builtin')], sinks: [device('alsa_output.builtin')] }, []);
+
+    await wizard._promptAudioDevices();
+
+    assert.deepStrictEqual(prompts, []);
+    assert.strictEqual(wizard.config.input_device, undefined);
+  });
+
+  it('should number the devices and save the choice', async () => {
+    const { wizard, prompts, written } = createWizard({
+      sources: [device('alsa_input.builtin'), device('bluez_input.headset')],
+      sinks: [device('alsa_output.builtin')]
+    }, ['2']);
+
+    await wizard._promptAudioDevices();
+
+    assert.deepStrictEqual(prompts, ['Choose 1-2 [default]: ']);
+    assert.ok(written.includes('  2. bluez_input.headset (Bluetooth)\n'));
+    assert.strictEqual(wizard.config.input_device, 'bluez_input.headset');
+    assert.strictEqual(wizard.config.output_device, undefined);
+  });
+
+  it('should keep the default on Enter or an unknown number', async () => {
+    const devices = [device('alsa_output.builtin'), device('alsa_output.usb')];
+    const { wizard } = createWizard({ sources: devices, sinks: devices }, ['', '7']);
+
+    await wizard._promptAudioDevices();
+
+    assert.strictEqual(wizard.config.input_device, undefined);
+    assert.strictEqual(wizard.config.output_device, undefined);
+  });
+});
+
 describe('SetupWizard events', () => {
   it('should extend EventEmitter', () => {
     const wizard = new SetupWizard({ skipConnectionTest: true });
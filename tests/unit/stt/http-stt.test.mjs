@@ -0,0 +1,215 @@
+// @ts-nocheck - Tests intentionally use invalid inputs and test private methods
+/**
+ * Unit tests for HttpSTT - OpenAI-compatible local transcription server
+ *
+ * Tests cover:
+ * - Configuration and verification
+ * - Request format
+ * - Response parsing and error mapping
+ *
+ * A local http server stands in for the transcription server.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import {
+  HttpSTT,
+  createHttpSTT,
+  TRANSCRIPTIONS_PATH,
+  DEFAULT_HTTP_STT_CONFIG
+} from '../../../src/stt/http-stt.mjs';
+import { createMockSpeechAudio, assertThrows } from '../../test-utils.mjs';
+
+describe('HttpSTT', () => {
+  let server;
+  let baseUrl;
+  /** @type {{url: string, body: string}[]} */
+  let requests;
+  /** @type {{status: number, body: string}} */
+  let nextResponse;
+
+  before(async () => {
+    server = createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({ url: req.url, body: Buffer.concat(chunks).toString('latin1') });
+        res.statusCode = nextResponse.status;
+        res.end(nextResponse.body);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    nextResponse = { status: 200, body: JSON.stringify({ text: ' Turn on the lights. ' }) };
+  });
+
+  describe('constructor', () => {
+    it('should require url', () => {
+      assertThrows(() => {
+        new HttpSTT({});
+      }, 'url is required');
+    });
+
+    it('should use default config values', () => {
+      const stt = new HttpSTT({ url: baseUrl });
+
+      assert.strictEqual(stt.config.model, DEFAULT_HTTP_STT_CONFIG.model);
+      assert.strictEqual(stt.config.timeoutMs, DEFAULT_HTTP_STT_CONFIG.timeoutMs);
+    });
+
+    it('should build the transcription endpoint', () => {
+      const stt = new HttpSTT({ url: 'http://localhost:8000/' });
+
+      assert.strictEqual(stt.endpoint, `http://localhost:8000${TRANSCRIPTIONS_PATH}`);
+    });
+  });
+
+  describe('verify', () => {
+    it('should accept a localhost server', () => {
+      const result = new HttpSTT({ url: baseUrl }).verify();
+
+      assert.strictEqual(result.ready, true);
+    });
+
+    it('should reject a remote server', () => {
+      const result = new HttpSTT({ url: 'http://transcribe.example.com' }).verify();
+
+      assert.strictEqual(result.ready, false);
+      assert.ok(result.errors[0].includes('localhost'));
+    });
+  });
+
+  describe('transcribe', () => {
+    it('should post a WAV file and return the text', async () => {
+      const stt = new HttpSTT({ url: baseUrl, model: 'base.en' });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.strictEqual(result.error, null);
+      assert.strictEqual(result.text, 'Turn on the lights.');
+      assert.strictEqual(requests[0].url, TRANSCRIPTIONS_PATH);
+      assert.ok(requests[0].body.includes('RIFF'));
+      assert.ok(requests[0].body.includes('name="model"\r\n\r\nbase.en'));
+      assert.strictEqual(stt.getStats().transcriptionCount, 1);
+    });
+
+    it('should send a configured language and tag the transcript with it', async () => {
+      const stt = new HttpSTT({ url: baseUrl, language: 'de' });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.ok(requests[0].body.includes('name="language"\r\n\r\nde'));
+      assert.ok(requests[0].body.includes('name="response_format"\r\n\r\njson'));
+      assert.strictEqual(result.language, 'de');
+    });
+
+    it('should ask for verbose_json and read the detected language', async () => {
+      nextResponse = { status: 200, body: JSON.stringify({ text: 'Hola', language: 'spanish' }) };
+      const stt = new HttpSTT({ url: baseUrl, language: 'auto' });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.ok(requests[0].body.includes('name="response_format"\r\n\r\nverbose_json'));
+      assert.ok(!requests[0].body.includes('name="language"'));
+      assert.strictEqual(result.language, 'es');
+    });
+
+    it('should leave transcripts untagged by default', async () => {
+      const stt = new HttpSTT({ url: baseUrl });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.strictEqual(result.language, null);
+      assert.ok(!requests[0].body.includes('name="language"'));
+    });
+
+    it('should accept plain text responses', async () => {
+      nextResponse = { status: 200, body: 'Hello there\n' };
+      const stt = new HttpSTT({ url: baseUrl });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.strictEqual(result.text, 'Hello there');
+    });
+
+    it('should count partial transcriptions apart from final ones', async () => {
+      const stt = new HttpSTT({ url: baseUrl });
+
+      await stt.transcribe(createMockSpeechAudio(500), { partial: true });
+      await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.strictEqual(stt.getStats().transcriptionCount, 1);
+      assert.strictEqual(stt.getStats().partialTranscriptionCount, 1);
+    });
+
+    it('should report an aborted request as ABORTED', async () => {
+      const stt = new HttpSTT({ url: baseUrl });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500), { signal: AbortSignal.abort() });
+
+      assert.strictEqual(result.error, 'ABORTED');
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should report garbage output as EMPTY_TRANSCRIPT', async () => {
+      nextResponse = { status: 200, body: JSON.stringify({ text: '[BLANK_AUDIO]' }) };
+      const stt = new HttpSTT({ url: baseUrl });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.strictEqual(result.error, 'EMPTY_TRANSCRIPT');
+      assert.strictEqual(stt.getStats().transcriptionCount, 0);
+    });
+
+    it('should map server errors to STT_ERROR', async () => {
+      nextResponse = { status: 500, body: 'model not loaded' };
+      const stt = new HttpSTT({ url: baseUrl });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.strictEqual(result.error, 'STT_ERROR');
+      assert.strictEqual(result.text, '');
+    });
+
+    it('should map an unreachable server to STT_ERROR', async () => {
+      const stt = new HttpSTT({ url: 'http://127.0.0.1:1' });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.strictEqual(result.error, 'STT_ERROR');
+    });
+
+    it('should return error for empty audio', async () => {
+      const stt = new HttpSTT({ url: baseUrl });
+
+      const result = await stt.transcribe(new Int16Array(0));
+
+      assert.strictEqual(result.error, 'EMPTY_AUDIO');
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should return error after dispose', async () => {
+      const stt = new HttpSTT({ url: baseUrl });
+      stt.dispose();
+
+      const result = await stt.transcribe(createMockSpeechAudio(500));
+
+      assert.strictEqual(result.error, 'STT_DISPOSED');
+    });
+  });
+});
+
+describe('createHttpSTT', () => {
+  it('should create HttpSTT instance', () => {
+    assert.ok(createHttpSTT({ url: 'http://localhost:8000' }) instanceof HttpSTT);
+  });
+});
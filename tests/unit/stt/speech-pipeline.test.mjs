@@ -17,6 +17,9 @@ import {
   createSpeechPipeline,
   DEFAULT_PIPELINE_CONFIG
 } from '../../../src/stt/speech-pipeline.mjs';
+import { HttpSTT } from '../../../src/stt/http-stt.mjs';
+import { AudioCapture } from '../../../src/audio/audio-capture.mjs';
+import { StreamCapture } from '../../../src/audio/stream-capture.mjs';
 import {
   assertThrows,
   assertThrowsAsync
@@ -51,6 +54,26 @@ describe('SpeechPipeline', () => {
       }, 'sttModelPath is required');
     });
 
+    it('should not require whisper.cpp paths for other backends', () => {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        sttBackend: 'http',
+        sttUrl: 'http://localhost:8000'
+      });
+
+      assert.ok(pipeline._stt instanceof HttpSTT);
+      assert.strictEqual(pipeline.getStats().sttBackend, 'http');
+    });
+
+    it('should reject unknown STT backends', () => {
+      assertThrows(() => {
+        new SpeechPipeline({
+          vadModelPath: '/test/vad.onnx',
+          sttBackend: 'nonexistent'
+        });
+      }, /Unknown STT backend: nonexistent/);
+    });
+
     it('should create instance with required config', () => {
       const pipeline = new SpeechPipeline({
         vadModelPath: '/test/vad.onnx',
@@ -259,6 +282,271 @@ describe('SpeechPipeline', () => {
     });
   });
 
+  describe('input device', () => {
+    it('should record from the configured source', () => {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        whisperPath: '/test/whisper',
+        sttModelPath: '/test/model.bin',
+        inputDevice: 'alsa_input.usb-mic'
+      });
+
+      assert.strictEqual(pipeline._capture.config.device, 'alsa_input.usb-mic');
+    });
+
+    it('should switch the capture source', () => {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        whisperPath: '/test/whisper',
+        sttModelPath: '/test/model.bin'
+      });
+      pipeline._capture.setDevice = mock.fn();
+
+      pipeline.setInputDevice('bluez_input.headset');
+
+      assert.deepStrictEqual(pipeline._capture.setDevice.mock.calls[0].arguments, ['bluez_input.headset']);
+      assert.strictEqual(pipeline.config.inputDevice, 'bluez_input.headset');
+    });
+
+    it('should report capture failures as audio_capture errors', () => {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        whisperPath: '/test/whisper',
+        sttModelPath: '/test/model.bin'
+      });
+      const errors = [];
+      pipeline.on('error', (data) => errors.push(data));
+
+      pipeline._capture.emit('error', new Error('parecord exited with code 1'));
+
+      assert.deepStrictEqual(errors, [{ type: 'audio_capture', message: 'parecord exited with code 1' }]);
+    });
+  });
+
+  describe('echo cancellation', () => {
+    function startedPipeline(config = {}) {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        whisperPath: '/test/whisper',
+        sttModelPath: '/test/model.bin',
+        echoCancellation: true,
+        echoDelayMs: 0,
+        ...config
+      });
+      pipeline._initialized = true;
+      pipeline._capture.start = mock.fn();
+      pipeline._capture.onChunk = (callback) => { pipeline._onChunk = callback; };
+      pipeline._vad.processFrame = mock.fn(async () => {});
+      pipeline.start();
+      return pipeline;
+    }
+
+    it('should pass microphone frames through while nothing plays', async () => {
+      const pipeline = startedPipeline();
+      const chunk = new Int16Array(480).fill(100);
+
+      await pipeline._onChunk(chunk);
+
+      assert.strictEqual(pipeline._vad.processFrame.mock.calls[0].arguments[0], chunk);
+    });
+
+    it('should filter microphone frames against playback', async () => {
+      const pipeline = startedPipeline();
+      const chunk = new Int16Array(480).fill(100);
+
+      pipeline.addPlaybackReference(new Int16Array(960).fill(2000), 16000);
+      await pipeline._onChunk(chunk);
+
+      assert.notStrictEqual(pipeline._vad.processFrame.mock.calls[0].arguments[0], chunk);
+      assert.strictEqual(pipeline.getStats().echoCanceller.framesCancelled, 1);
+    });
+
+    it('should leave frames alone when turned off', async () => {
+      const pipeline = startedPipeline({ echoCancellation: false });
+      const chunk = new Int16Array(480).fill(100);
+
+      pipeline.addPlaybackReference(new Int16Array(960).fill(2000), 16000);
+      await pipeline._onChunk(chunk);
+
+      assert.strictEqual(pipeline._vad.processFrame.mock.calls[0].arguments[0], chunk);
+      assert.strictEqual(pipeline.getStats().echoCanceller, null);
+    });
+
+    it('should pass the delay and tail to the canceller', () => {
+      const pipeline = startedPipeline({ echoDelayMs: 60, echoTailMs: 64 });
+
+      assert.strictEqual(pipeline._echoCanceller.config.delayMs, 60);
+      assert.strictEqual(pipeline._echoCanceller.taps, 1024);
+    });
+  });
+
+  describe('audio input', () => {
+    function startedPipeline(config = {}) {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        whisperPath: '/test/whisper',
+        sttModelPath: '/test/model.bin',
+        echoCancellation: false,
+        audioInput: '-',
+        ...config
+      });
+      pipeline._initialized = true;
+      pipeline._capture.start = mock.fn();
+      pipeline._capture.onChunk = (callback) => { pipeline._onChunk = callback; };
+      pipeline._vad.processFrame = mock.fn(async () => {});
+      pipeline.start();
+      return pipeline;
+    }
+
+    it('should listen to the microphone by default', () => {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        whisperPath: '/test/whisper',
+        sttModelPath: '/test/model.bin'
+      });
+
+      assert.ok(pipeline._capture instanceof AudioCapture);
+    });
+
+    it('should read the configured input instead', () => {
+      const pipeline = startedPipeline({ audioInput: '/fixtures/hello.wav', audioInputPace: 'fast' });
+
+      assert.ok(pipeline._capture instanceof StreamCapture);
+      assert.strictEqual(pipeline._capture.config.source, '/fixtures/hello.wav');
+      assert.strictEqual(pipeline._capture.pace, 'fast');
+    });
+
+    it('should finish the last utterance when the input ends', async () => {
+      const pipeline = startedPipeline();
+      const audio = new Int16Array(8000);
+      pipeline._stt.transcribe = mock.fn(async () => ({ text: 'Hello there', durationMs: 10 }));
+      pipeline._vad.forceEndSpeech = mock.fn(() => {
+        pipeline._vad.emit('speech_ended', { audio, durationMs: 500 });
+      });
+      const events = [];
+      pipeline.on('transcript', (data) => events.push(data.text));
+
+      const ended = new Promise(resolve => pipeline.once('input_ended', resolve));
+      pipeline._capture.emit('end');
+      await ended;
+      events.push('input_ended');
+
+      assert.deepStrictEqual(events, ['Hello there', 'input_ended']);
+      assert.strictEqual(pipeline._vad.forceEndSpeech.mock.callCount(), 1);
+    });
+
+    it('should hold fast input while an utterance is transcribed', async () => {
+      const pipeline = startedPipeline({ audioInputPace: 'fast' });
+      let finish;
+      pipeline._transcription = new Promise(resolve => { finish = resolve; });
+      let processed = false;
+
+      const processing = pipeline._onChunk(new Int16Array(480)).then(() => { processed = true; });
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(processed, false);
+
+      finish();
+      await processing;
+      assert.strictEqual(processed, true);
+    });
+
+    it('should pause fast input until the turn it is held for is over', async () => {
+      const pipeline = startedPipeline({ audioInputPace: 'fast' });
+      pipeline._capture.pause = mock.fn();
+      pipeline._capture.resume = mock.fn();
+      let endTurn;
+      pipeline.holdInput(new Promise(resolve => { endTurn = resolve; }));
+
+      const processing = pipeline._onChunk(new Int16Array(480));
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(pipeline._capture.pause.mock.callCount(), 1);
+      assert.strictEqual(pipeline._capture.resume.mock.callCount(), 0);
+
+      endTurn();
+      await processing;
+      assert.strictEqual(pipeline._capture.resume.mock.callCount(), 1);
+    });
+
+    it('should not hold realtime input', async () => {
+      const pipeline = startedPipeline({ audioInput: '/fixtures/hello.wav', audioInputPace: 'realtime' });
+      pipeline._capture.pause = mock.fn();
+      pipeline.holdInput(new Promise(() => {}));
+
+      await pipeline._onChunk(new Int16Array(480));
+
+      assert.strictEqual(pipeline._capture.pause.mock.callCount(), 0);
+    });
+
+    it('should run frames through VAD in order', async () => {
+      const pipeline = startedPipeline();
+      const order = [];
+      pipeline._vad.processFrame = mock.fn(async (frame) => {
+        await new Promise(resolve => setTimeout(resolve, frame[0]));
+        order.push(frame[0]);
+      });
+
+      pipeline._onChunk(new Int16Array(480).fill(20));
+      await pipeline._onChunk(new Int16Array(480).fill(1));
+
+      assert.deepStrictEqual(order, [20, 1]);
+    });
+  });
+
+  describe('capture DSP', () => {
+    function startedPipeline(config = {}) {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        whisperPath: '/test/whisper',
+        sttModelPath: '/test/model.bin',
+        echoCancellation: false,
+        ...config
+      });
+      pipeline._initialized = true;
+      pipeline._capture.start = mock.fn();
+      pipeline._capture.onChunk = (callback) => { pipeline._onChunk = callback; };
+      pipeline._vad.processFrame = mock.fn(async () => {});
+      pipeline.start();
+      return pipeline;
+    }
+
+    it('should leave frames and utterances alone by default', async () => {
+      const pipeline = startedPipeline();
+      const chunk = new Int16Array(480).fill(100);
+      pipeline._stt.transcribe = mock.fn(async () => ({ text: 'Hello', durationMs: 10 }));
+
+      await pipeline._onChunk(chunk);
+      await pipeline._transcribe(chunk, 30);
+
+      assert.strictEqual(pipeline._vad.processFrame.mock.calls[0].arguments[0], chunk);
+      assert.strictEqual(pipeline._stt.transcribe.mock.calls[0].arguments[0], chunk);
+      assert.deepStrictEqual(pipeline.getStats().dsp, { highPass: null, noiseSuppression: null, autoGain: null });
+    });
+
+    it('should filter frames before VAD', async () => {
+      const pipeline = startedPipeline({ highPassFilter: true, noiseSuppression: true });
+      const chunk = new Int16Array(480).fill(100);
+
+      await pipeline._onChunk(chunk);
+
+      assert.notStrictEqual(pipeline._vad.processFrame.mock.calls[0].arguments[0], chunk);
+      const stats = pipeline.getStats().dsp;
+      assert.strictEqual(stats.highPass.framesProcessed, 1);
+      assert.strictEqual(stats.noiseSuppression.framesProcessed, 1);
+    });
+
+    it('should normalize the utterance before STT', async () => {
+      const pipeline = startedPipeline({ autoGainControl: true });
+      const audio = new Int16Array(1600).map((_, i) => (i % 2 ? 300 : -300));
+      pipeline._stt.transcribe = mock.fn(async () => ({ text: 'Hello', durationMs: 10 }));
+
+      await pipeline._transcribe(audio, 100);
+
+      const sent = pipeline._stt.transcribe.mock.calls[0].arguments[0];
+      assert.ok(sent[0] < -300);
+      assert.strictEqual(pipeline.getStats().dsp.autoGain.utterancesNormalized, 1);
+    });
+  });
+
   describe('VAD event propagation', () => {
     it('should emit speech_started when VAD detects speech', () => {
       const pipeline = new SpeechPipeline({
@@ -420,6 +708,138 @@ describe('SpeechPipeline', () => {
     });
   });
 
+  describe('partial transcripts', () => {
+    /**
+     * Create a pipeline whose VAD reports the given buffered speech
+     * @param {number} speechMs - Buffered speech duration
+     */
+    function createPartialPipeline(speechMs, config = { partialTranscriptIntervalMs: 1000 }) {
+      const pipeline = new SpeechPipeline({
+        vadModelPath: '/test/vad.onnx',
+        whisperPath: '/test/whisper',
+        sttModelPath: '/test/model.bin',
+        ...config
+      });
+      pipeline._speechMs = speechMs;
+      pipeline._vad.getSpeechAudio = mock.fn(() => new Int16Array(16 * pipeline._speechMs));
+      pipeline._stt.transcribe = mock.fn(() =>
+        Promise.resolve({ text: 'Hey scout', error: null, durationMs: 80 })
+      );
+      return pipeline;
+    }
+
+    it('should be off by default', async () => {
+      const pipeline = createPartialPipeline(2000, {});
+
+      await pipeline._transcribePartial();
+
+      assert.strictEqual(pipeline._stt.transcribe.mock.callCount(), 0);
+    });
+
+    it('should emit partial_transcript once enough speech is buffered', async () => {
+      const pipeline = createPartialPipeline(500);
+      const partials = [];
+      pipeline.on('partial_transcript', (data) => partials.push(data));
+
+      await pipeline._transcribePartial();
+      assert.strictEqual(partials.length, 0);
+
+      pipeline._speechMs = 1000;
+      await pipeline._transcribePartial();
+
+      assert.strictEqual(partials.length, 1);
+      assert.strictEqual(partials[0].text, 'Hey scout');
+      assert.strictEqual(partials[0].audioDurationMs, 1000);
+      assert.strictEqual(pipeline.getStats().partialTranscriptCount, 1);
+    });
+
+    it('should wait for another interval of speech before the next partial', async () => {
+      const pipeline = createPartialPipeline(1000);
+
+      await pipeline._transcribePartial();
+      pipeline._speechMs = 1500;
+      await pipeline._transcribePartial();
+      pipeline._speechMs = 2000;
+      await pipeline._transcribePartial();
+
+      assert.strictEqual(pipeline._stt.transcribe.mock.callCount(), 2);
+    });
+
+    it('should restart the interval for each utterance', async () => {
+      const pipeline = createPartialPipeline(1000);
+
+      await pipeline._transcribePartial();
+      pipeline._vad.emit('speech_started');
+      await pipeline._transcribePartial();
+
+      assert.strictEqual(pipeline._stt.transcribe.mock.callCount(), 2);
+    });
+
+    it('should drop a partial that finishes after the utterance ended', async () => {
+      const pipeline = createPartialPipeline(1000);
+      /** @type {Function} */
+      let resolvePartial;
+      pipeline._stt.transcribe = mock.fn(() =>
+        Promise.resolve({ text: 'Hey scout, what time is it', error: null, durationMs: 90 })
+      );
+      // First call is the partial, held until the utterance has ended
+      pipeline._stt.transcribe.mock.mockImplementationOnce(() => new Promise(resolve => { resolvePartial = resolve; }));
+      const partials = [];
+      const finals = [];
+      pipeline.on('partial_transcript', (data) => partials.push(data));
+      pipeline.on('transcript', (data) => finals.push(data));
+
+      const pending = pipeline._transcribePartial();
+      pipeline._vad.emit('speech_ended', { audio: new Int16Array(16000), durationMs: 1000 });
+      resolvePartial({ text: 'Hey scout', error: null, durationMs: 80 });
+      await pending;
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      assert.strictEqual(partials.length, 0);
+      assert.strictEqual(finals.length, 1);
+      assert.strictEqual(finals[0].text, 'Hey scout, what time is it');
+    });
+
+    it('should abort the partial in flight when the utterance ends', async () => {
+      const pipeline = createPartialPipeline(1000);
+      pipeline._stt.transcribe = mock.fn(() =>
+        Promise.resolve({ text: 'Hey scout, what time is it', error: null, durationMs: 90 })
+      );
+      // The partial only settles once aborted
+      pipeline._stt.transcribe.mock.mockImplementationOnce((_audio, { signal }) => new Promise(resolve => {
+        signal.addEventListener('abort', () => resolve({ text: '', error: 'ABORTED', durationMs: 0 }));
+      }));
+      const finals = [];
+      pipeline.on('transcript', (data) => finals.push(data));
+
+      const pending = pipeline._transcribePartial();
+      pipeline._vad.emit('speech_ended', { audio: new Int16Array(16000), durationMs: 1000 });
+      await pending;
+      await pipeline._transcription;
+
+      const [partialCall, finalCall] = pipeline._stt.transcribe.mock.calls;
+      assert.strictEqual(partialCall.arguments[1].partial, true);
+      assert.strictEqual(partialCall.arguments[1].signal.aborted, true);
+      assert.strictEqual(finalCall.arguments[1], undefined);
+      assert.strictEqual(finals[0].text, 'Hey scout, what time is it');
+      assert.strictEqual(pipeline._partialAbort, null);
+    });
+
+    it('should not emit garbage or failed partials', async () => {
+      const pipeline = createPartialPipeline(1000);
+      pipeline._stt.transcribe = mock.fn(() =>
+        Promise.resolve({ text: '', error: 'EMPTY_TRANSCRIPT', durationMs: 80 })
+      );
+      const partials = [];
+      pipeline.on('partial_transcript', (data) => partials.push(data));
+
+      await pipeline._transcribePartial();
+
+      assert.strictEqual(partials.length, 0);
+      assert.strictEqual(pipeline._partialInFlight, false);
+    });
+  });
+
   describe('getStats', () => {
     it('should return pipeline statistics', () => {
       const pipeline = new SpeechPipeline({
@@ -543,5 +963,7 @@ describe('DEFAULT_PIPELINE_CONFIG', () => {
     assert.strictEqual(DEFAULT_PIPELINE_CONFIG.silenceDurationMs, 1200);
     assert.strictEqual(DEFAULT_PIPELINE_CONFIG.minSpeechMs, 500);
     assert.strictEqual(DEFAULT_PIPELINE_CONFIG.sttThreads, 4);
+    assert.strictEqual(DEFAULT_PIPELINE_CONFIG.echoCancellation, false);
+    assert.strictEqual(DEFAULT_PIPELINE_CONFIG.noiseSuppression, false);
   });
 });
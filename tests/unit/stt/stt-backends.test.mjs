@@ -0,0 +1,72 @@
+// @ts-nocheck - Tests use minimal fake backends
+/**
+ * Unit tests for the STT backend registry
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSttBackend,
+  registerSttBackend,
+  getSttBackendNames,
+  DEFAULT_STT_BACKEND
+} from '../../../src/stt/stt-backends.mjs';
+import { STT } from '../../../src/stt/stt.mjs';
+import { HttpSTT } from '../../../src/stt/http-stt.mjs';
+import { assertThrows } from '../../test-utils.mjs';
+
+describe('STT backends', () => {
+  it('should register the built-in backends', () => {
+    const names = getSttBackendNames();
+
+    assert.ok(names.includes('whisper-cpp'));
+    assert.ok(names.includes('http'));
+    assert.strictEqual(DEFAULT_STT_BACKEND, 'whisper-cpp');
+  });
+
+  it('should create the whisper.cpp backend', () => {
+    const stt = createSttBackend('whisper-cpp', {
+      whisperPath: '/test/whisper',
+      modelPath: '/test/model.bin',
+      mode: 'server'
+    });
+
+    assert.ok(stt instanceof STT);
+    assert.strictEqual(stt.mode, 'server');
+    assert.strictEqual(stt.config.threads, 4);
+  });
+
+  it('should create the http backend', () => {
+    const stt = createSttBackend('http', { url: 'http://localhost:8000', model: 'small.en' });
+
+    assert.ok(stt instanceof HttpSTT);
+    assert.strictEqual(stt.config.model, 'small.en');
+  });
+
+  it('should reject unknown backends', () => {
+    assertThrows(() => {
+      createSttBackend('vosk', {});
+    }, /Unknown STT backend: vosk/);
+  });
+
+  it('should create registered custom backends', () => {
+    const fake = {
+      verify: () => ({ ready: true, errors: [] }),
+      transcribe: async () => ({ text: 'hi', error: null, durationMs: 1 }),
+      getStats: () => ({}),
+      dispose: () => {}
+    };
+    registerSttBackend('test-fake', (options) => ({ ...fake, options }));
+
+    const stt = createSttBackend('test-fake', { sampleRate: 16000 });
+
+    assert.ok(getSttBackendNames().includes('test-fake'));
+    assert.strictEqual(stt.options.sampleRate, 16000);
+  });
+
+  it('should reject registrations without a factory', () => {
+    assertThrows(() => {
+      registerSttBackend('broken', null);
+    }, 'STT backend needs a name and a factory function');
+  });
+});
@@ -12,10 +12,16 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, chmod } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import {
   STT,
   createSTT,
   isGarbageTranscript,
+  parseModelLoadTime,
+  parseDetectedLanguage,
+  languageCode,
   DEFAULT_STT_CONFIG
 } from '../../../src/stt/stt.mjs';
 import {
@@ -341,6 +347,67 @@ describe('STT', () => {
     });
   });
 
+  describe('partial transcriptions', () => {
+    /**
+     * Write a stand-in whisper.cpp CLI
+     * @param {string} dir
+     * @param {string} body - Script run after the shebang
+     * @returns {Promise<string>} Executable path
+     */
+    async function fakeWhisper(dir, body) {
+      const whisperPath = join(dir, 'whisper');
+      await writeFile(whisperPath, `#!${process.execPath}\n${body}`);
+      await chmod(whisperPath, 0o755);
+      return whisperPath;
+    }
+
+    it('should count partial transcriptions apart from final ones', async () => {
+      const tempDir = await mkdtemp(join(tmpdir(), 'scout-stt-partial-'));
+      try {
+        const whisperPath = await fakeWhisper(tempDir, 'process.stdout.write(" Turn on the lights.");');
+        const stt = new STT({ whisperPath, modelPath: '/test/model.bin' });
+
+        const partial = await stt.transcribe(createMockSpeechAudio(500), { partial: true });
+        await stt.transcribe(createMockSpeechAudio(500));
+        const stats = stt.getStats();
+
+        assert.strictEqual(partial.text, 'Turn on the lights.');
+        assert.strictEqual(stats.transcriptionCount, 1);
+        assert.strictEqual(stats.partialTranscriptionCount, 1);
+      } finally {
+        await rm(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should kill whisper.cpp when aborted', async () => {
+      const tempDir = await mkdtemp(join(tmpdir(), 'scout-stt-partial-'));
+      try {
+        const whisperPath = await fakeWhisper(tempDir, 'setTimeout(() => {}, 10000);');
+        const stt = new STT({ whisperPath, modelPath: '/test/model.bin' });
+        const abort = new AbortController();
+
+        const startTime = Date.now();
+        const pending = stt.transcribe(createMockSpeechAudio(500), { partial: true, signal: abort.signal });
+        setTimeout(() => abort.abort(), 50);
+        const result = await pending;
+
+        assert.strictEqual(result.error, 'ABORTED');
+        assert.ok(Date.now() - startTime < 5000);
+        assert.strictEqual(stt.getStats().partialTranscriptionCount, 0);
+      } finally {
+        await rm(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should not start when already aborted', async () => {
+      const stt = new STT({ whisperPath: '/test/whisper', modelPath: '/test/model.bin' });
+
+      const result = await stt.transcribe(createMockSpeechAudio(500), { signal: AbortSignal.abort() });
+
+      assert.strictEqual(result.error, 'ABORTED');
+    });
+  });
+
   describe('getStats', () => {
     it('should return initial stats', () => {
       const stt = new STT({
@@ -353,6 +420,171 @@ describe('STT', () => {
       assert.strictEqual(stats.transcriptionCount, 0);
       assert.strictEqual(stats.avgInferenceTimeMs, 0);
       assert.strictEqual(stats.totalInferenceTimeMs, 0);
+      assert.strictEqual(stats.partialTranscriptionCount, 0);
+      assert.strictEqual(stats.totalPartialInferenceTimeMs, 0);
+      assert.strictEqual(stats.mode, 'oneshot');
+      assert.strictEqual(stats.modelLoadCount, 0);
+      assert.strictEqual(stats.avgModelLoadTimeMs, 0);
+      assert.strictEqual(stats.totalModelLoadTimeMs, 0);
+    });
+
+    it('should report model load time separately', () => {
+      const stt = new STT({
+        whisperPath: '/test/whisper',
+        modelPath: '/test/model.bin'
+      });
+
+      stt._recordModelLoad(100);
+      stt._recordModelLoad(200);
+      stt._recordModelLoad(0);
+
+      const stats = stt.getStats();
+
+      assert.strictEqual(stats.modelLoadCount, 2);
+      assert.strictEqual(stats.avgModelLoadTimeMs, 150);
+      assert.strictEqual(stats.totalModelLoadTimeMs, 300);
+      assert.strictEqual(stats.totalInferenceTimeMs, 0);
+    });
+  });
+
+  describe('mode', () => {
+    it('should default to oneshot without a server', () => {
+      const stt = new STT({
+        whisperPath: '/test/whisper',
+        modelPath: '/test/model.bin'
+      });
+
+      assert.strictEqual(stt.mode, 'oneshot');
+      assert.strictEqual(stt._server, null);
+    });
+
+    it('should reject unknown modes', () => {
+      assertThrows(() => {
+        new STT({ whisperPath: '/test/whisper', modelPath: '/test/model.bin', mode: 'daemon' });
+      }, /Invalid STT mode: daemon/);
+    });
+
+    it('should look for whisper-server next to whisperPath by default', () => {
+      const stt = new STT({
+        whisperPath: '/opt/whisper.cpp/main',
+        modelPath: '/test/model.bin',
+        mode: 'server'
+      });
+
+      assert.strictEqual(stt.serverPath, '/opt/whisper.cpp/whisper-server');
+      assert.ok(stt._server);
+    });
+
+    it('should verify the server executable in server mode', () => {
+      const stt = new STT({
+        whisperPath: process.execPath,
+        modelPath: '/test/model.bin',
+        mode: 'server',
+        serverPath: '/nonexistent/whisper-server'
+      });
+
+      assert.strictEqual(stt.isWhisperAvailable(), false);
+    });
+
+    it('should transcribe through a resident server', async () => {
+      const tempDir = await mkdtemp(join(tmpdir(), 'scout-stt-server-'));
+      const serverPath = join(tempDir, 'whisper-server');
+      await writeFile(serverPath, `#!${process.execPath}
+const http = require('http');
+const args = process.argv.slice(2);
+const port = Number(args[args.indexOf('--port') + 1]);
+http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => res.end(req.url === '/inference' ? ' Turn on the lights.' : 'ok'));
+}).listen(port, '127.0.0.1');
+process.on('SIGTERM', () => process.exit(0));
+`);
+      await chmod(serverPath, 0o755);
+
+      const stt = new STT({
+        whisperPath: '/test/whisper',
+        modelPath: '/test/model.bin',
+        mode: 'server',
+        serverPath
+      });
+
+      try {
+        await stt.init();
+        const first = await stt.transcribe(createMockSpeechAudio(500));
+        const second = await stt.transcribe(createMockSpeechAudio(500));
+        const stats = stt.getStats();
+
+        assert.strictEqual(first.text, 'Turn on the lights.');
+        assert.strictEqual(second.text, 'Turn on the lights.');
+        assert.strictEqual(stats.mode, 'server');
+        assert.strictEqual(stats.transcriptionCount, 2);
+        // Model loaded once, at init
+        assert.strictEqual(stats.modelLoadCount, 1);
+      } finally {
+        stt.dispose();
+        await rm(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should read the detected language from a resident server', async () => {
+      const tempDir = await mkdtemp(join(tmpdir(), 'scout-stt-server-'));
+      const serverPath = join(tempDir, 'whisper-server');
+      await writeFile(serverPath, `#!${process.execPath}
+const http = require('http');
+const args = process.argv.slice(2);
+const port = Number(args[args.indexOf('--port') + 1]);
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk.toString('latin1'); });
+  req.on('end', () => {
+    if (req.url !== '/inference') return res.end('ok');
+    const verbose = body.includes('verbose_json') && body.includes('name="language"\\r\\n\\r\\nauto');
+    res.end(verbose ? JSON.stringify({ text: ' Mach das Licht an.', language: 'german' }) : 'unexpected request');
+  });
+}).listen(port, '127.0.0.1');
+process.on('SIGTERM', () => process.exit(0));
+`);
+      await chmod(serverPath, 0o755);
+
+      const stt = new STT({
+        whisperPath: '/test/whisper',
+        modelPath: '/test/model.bin',
+        mode: 'server',
+        serverPath,
+        language: 'auto'
+      });
+
+      try {
+        const result = await stt.transcribe(createMockSpeechAudio(500));
+
+        assert.strictEqual(result.text, 'Mach das Licht an.');
+        assert.strictEqual(result.language, 'de');
+      } finally {
+        stt.dispose();
+        await rm(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('language', () => {
+    it('should leave transcripts untagged by default', () => {
+      const stt = new STT({ whisperPath: '/test/whisper', modelPath: '/test/model.bin' });
+
+      assert.strictEqual(stt.language, '');
+      assert.strictEqual(stt._resultLanguage('de'), null);
+    });
+
+    it('should tag transcripts with a configured language', () => {
+      const stt = new STT({ whisperPath: '/test/whisper', modelPath: '/test/model.bin', language: 'es' });
+
+      assert.strictEqual(stt._resultLanguage(null), 'es');
+    });
+
+    it('should tag transcripts with the detected language in auto mode', () => {
+      const stt = new STT({ whisperPath: '/test/whisper', modelPath: '/test/model.bin', language: 'auto' });
+
+      assert.strictEqual(stt._resultLanguage('de'), 'de');
+      assert.strictEqual(stt._resultLanguage(null), null);
     });
   });
 
@@ -394,6 +626,46 @@ describe('isGarbageTranscript', () => {
   });
 });
 
+describe('parseModelLoadTime', () => {
+  it('should parse the whisper.cpp load time line', () => {
+    const stderr = 'whisper_print_timings:     load time =   105.23 ms\nwhisper_print_timings:   encode time =   300.00 ms\n';
+    assert.strictEqual(parseModelLoadTime(stderr), 105.23);
+  });
+
+  it('should return 0 when no load time is reported', () => {
+    assert.strictEqual(parseModelLoadTime(''), 0);
+    assert.strictEqual(parseModelLoadTime('some other output'), 0);
+  });
+});
+
+describe('parseDetectedLanguage', () => {
+  it('should parse the whisper.cpp auto-detected language line', () => {
+    const stderr = 'whisper_full_with_state: auto-detected language: de (p = 0.982414)\n';
+    assert.strictEqual(parseDetectedLanguage(stderr), 'de');
+  });
+
+  it('should return null when no language was detected', () => {
+    assert.strictEqual(parseDetectedLanguage('whisper_print_timings: load time = 1 ms'), null);
+  });
+});
+
+describe('languageCode', () => {
+  it('should keep language codes', () => {
+    assert.strictEqual(languageCode('de'), 'de');
+    assert.strictEqual(languageCode(' ES '), 'es');
+  });
+
+  it('should map whisper language names to codes', () => {
+    assert.strictEqual(languageCode('german'), 'de');
+    assert.strictEqual(languageCode('Spanish'), 'es');
+  });
+
+  it('should return null for unknown or missing languages', () => {
+    assert.strictEqual(languageCode('klingon'), null);
+    assert.strictEqual(languageCode(undefined), null);
+  });
+});
+
 describe('createSTT', () => {
   it('should create STT instance', () => {
     const stt = createSTT({
@@ -0,0 +1,193 @@
+// @ts-nocheck - Tests intentionally use invalid inputs and test private methods
+/**
+ * Unit tests for WhisperServer - resident whisper.cpp server
+ *
+ * Tests cover:
+ * - Configuration validation
+ * - Start-up and readiness
+ * - Inference requests
+ * - Failure and restart handling
+ *
+ * A small Node script stands in for whisper-server: it parses --port,
+ * answers GET / and replies to POST /inference with a fixed transcript.
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, chmod } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  WhisperServer,
+  createWhisperServer,
+  findFreePort,
+  DEFAULT_WHISPER_SERVER_CONFIG
+} from '../../../src/stt/whisper-server.mjs';
+import { assertThrows } from '../../test-utils.mjs';
+
+const FAKE_SERVER = `#!${process.execPath}
+const http = require('http');
+const args = process.argv.slice(2);
+const port = Number(args[args.indexOf('--port') + 1]);
+const server = http.createServer((req, res) => {
+  if (req.method === 'POST' && req.url === '/inference') {
+    let size = 0;
+    req.on('data', (chunk) => { size += chunk.length; });
+    req.on('end', () => res.end(size > 0 ? ' Hello from the server.\\n' : ''));
+    return;
+  }
+  res.end('ok');
+});
+server.listen(port, '127.0.0.1');
+process.on('SIGTERM', () => process.exit(0));
+`;
+
+const FAILING_SERVER = `#!${process.execPath}
+process.stderr.write('error: failed to load model\\n');
+process.exit(1);
+`;
+
+describe('WhisperServer', () => {
+  let tempDir;
+  let serverPath;
+  let failingPath;
+  /** @type {WhisperServer|null} */
+  let server = null;
+
+  before(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'scout-whisper-server-'));
+    serverPath = join(tempDir, 'whisper-server');
+    failingPath = join(tempDir, 'whisper-server-failing');
+    await writeFile(serverPath, FAKE_SERVER);
+    await writeFile(failingPath, FAILING_SERVER);
+    await chmod(serverPath, 0o755);
+    await chmod(failingPath, 0o755);
+  });
+
+  afterEach(() => {
+    server?.stop();
+    server = null;
+  });
+
+  after(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('constructor', () => {
+    it('should require serverPath', () => {
+      assertThrows(() => {
+        new WhisperServer({ modelPath: '/test/model.bin' });
+      }, 'serverPath is required');
+    });
+
+    it('should require modelPath', () => {
+      assertThrows(() => {
+        new WhisperServer({ serverPath: '/test/whisper-server' });
+      }, 'modelPath is required');
+    });
+
+    it('should use default config values', () => {
+      server = new WhisperServer({ serverPath: '/test/whisper-server', modelPath: '/test/model.bin' });
+
+      assert.strictEqual(server.config.threads, DEFAULT_WHISPER_SERVER_CONFIG.threads);
+      assert.strictEqual(server.config.startTimeoutMs, DEFAULT_WHISPER_SERVER_CONFIG.startTimeoutMs);
+      assert.strictEqual(server.isRunning, false);
+      assert.strictEqual(server.startCount, 0);
+    });
+  });
+
+  describe('start', () => {
+    it('should start the server and record load time', async () => {
+      server = new WhisperServer({ serverPath, modelPath: '/test/model.bin' });
+
+      await server.start();
+
+      assert.strictEqual(server.isRunning, true);
+      assert.ok(server.port > 0);
+      assert.strictEqual(server.startCount, 1);
+      assert.ok(server.lastLoadTimeMs >= 0);
+    });
+
+    it('should only start once when called concurrently', async () => {
+      server = new WhisperServer({ serverPath, modelPath: '/test/model.bin' });
+
+      await Promise.all([server.start(), server.start()]);
+      await server.start();
+
+      assert.strictEqual(server.startCount, 1);
+    });
+
+    it('should reject with stderr when the server exits during start-up', async () => {
+      server = new WhisperServer({ serverPath: failingPath, modelPath: '/test/model.bin' });
+
+      await assert.rejects(server.start(), /failed to load model/);
+      assert.strictEqual(server.isRunning, false);
+    });
+
+    it('should reject when the executable is missing', async () => {
+      server = new WhisperServer({ serverPath: join(tempDir, 'missing'), modelPath: '/test/model.bin' });
+
+      await assert.rejects(server.start(), /whisper server/);
+    });
+  });
+
+  describe('transcribe', () => {
+    it('should post audio and return the transcript', async () => {
+      server = new WhisperServer({ serverPath, modelPath: '/test/model.bin' });
+
+      const text = await server.transcribe(Buffer.alloc(64), 5000);
+
+      assert.strictEqual(text.trim(), 'Hello from the server.');
+    });
+
+    it('should restart the server after it exits', async () => {
+      server = new WhisperServer({ serverPath, modelPath: '/test/model.bin' });
+      await server.start();
+
+      const exited = new Promise(resolve => server._proc.once('exit', resolve));
+      server._proc.kill('SIGTERM');
+      await exited;
+
+      assert.strictEqual(server.isRunning, false);
+
+      const text = await server.transcribe(Buffer.alloc(64), 5000);
+
+      assert.strictEqual(text.trim(), 'Hello from the server.');
+      assert.strictEqual(server.startCount, 2);
+    });
+  });
+
+  describe('stop', () => {
+    it('should stop the running server', async () => {
+      server = new WhisperServer({ serverPath, modelPath: '/test/model.bin' });
+      await server.start();
+
+      server.stop();
+
+      assert.strictEqual(server.isRunning, false);
+    });
+  });
+});
+
+describe('findFreePort', () => {
+  it('should return a usable port number', async () => {
+    const port = await findFreePort();
+
+    assert.ok(Number.isInteger(port));
+    assert.ok(port > 0);
+  });
+});
+
+describe('createWhisperServer', () => {
+  it('should create WhisperServer instance', () => {
+    const server = createWhisperServer({ serverPath: '/test/whisper-server', modelPath: '/test/model.bin' });
+
+    assert.ok(server instanceof WhisperServer);
+  });
+});
+
+describe('DEFAULT_WHISPER_SERVER_CONFIG', () => {
+  it('should be frozen', () => {
+    assert.ok(Object.isFrozen(DEFAULT_WHISPER_SERVER_CONFIG));
+  });
+});
@@ -0,0 +1,151 @@
+// @ts-nocheck - Tests intentionally use invalid inputs and test private methods
+/**
+ * Unit tests for EspeakTTS - espeak-ng fallback voice
+ *
+ * A small Node script stands in for espeak-ng: it echoes its arguments to
+ * stderr and writes a 16 kHz WAV to stdout, one sample per input character,
+ * in two writes so the header and samples arrive separately.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, chmod } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  EspeakTTS,
+  createEspeakTTS,
+  DEFAULT_ESPEAK_TTS_CONFIG
+} from '../../../src/tts/espeak-tts.mjs';
+import { TTS } from '../../../src/tts/tts.mjs';
+
+const FAKE_ESPEAK = `#!${process.execPath}
+process.stderr.write(process.argv.slice(2).join(' '));
+let text = '';
+process.stdin.on('data', (chunk) => { text += chunk; });
+process.stdin.on('end', () => {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(0xFFFFFFFF, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(0xFFFFFFFF, 40);
+  process.stdout.write(header);
+  setTimeout(() => process.stdout.write(Buffer.alloc(text.length * 2, 1)), 10);
+});
+`;
+
+const BROKEN_ESPEAK = `#!${process.execPath}
+process.stdin.resume();
+process.stdin.on('end', () => process.stdout.write('no wav here, sorry'));
+`;
+
+describe('EspeakTTS', () => {
+  let tempDir;
+  let espeakPath;
+  let brokenPath;
+
+  before(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'scout-espeak-'));
+    espeakPath = join(tempDir, 'espeak-ng');
+    brokenPath = join(tempDir, 'espeak-ng-broken');
+    await writeFile(espeakPath, FAKE_ESPEAK);
+    await writeFile(brokenPath, BROKEN_ESPEAK);
+    await chmod(espeakPath, 0o755);
+    await chmod(brokenPath, 0o755);
+  });
+
+  after(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('constructor', () => {
+    it('should use default config values', () => {
+      const tts = new EspeakTTS();
+
+      assert.strictEqual(tts.config.voice, DEFAULT_ESPEAK_TTS_CONFIG.voice);
+      assert.strictEqual(tts.sampleRate, 22050);
+      assert.strictEqual(tts.engineName, 'espeak-ng');
+    });
+
+    it('should be a TTS engine', () => {
+      assert.ok(new EspeakTTS() instanceof TTS);
+    });
+  });
+
+  describe('synthesize', () => {
+    it('should not need a model path', async () => {
+      const tts = new EspeakTTS({ espeakPath });
+
+      const audio = await tts.synthesizeToBuffer('Hello');
+
+      assert.strictEqual(audio.length, 10);
+    });
+
+    it('should strip the WAV header and adopt its sample rate', async () => {
+      const tts = new EspeakTTS({ espeakPath });
+
+      const audio = await tts.synthesizeToBuffer('Hello world');
+
+      assert.strictEqual(audio.length, 'Hello world'.length * 2);
+      assert.strictEqual(tts.sampleRate, 16000);
+    });
+
+    it('should pass voice and speed to espeak-ng', async () => {
+      const tts = new EspeakTTS({ espeakPath, voice: 'en-gb', wordsPerMinute: 150 });
+      const warnings = [];
+      tts.on('warning', (msg) => warnings.push(msg));
+
+      await tts.synthesizeToBuffer('Hi');
+
+      assert.strictEqual(warnings.join(' '), '--stdin --stdout -b 1 -v en-gb -s 150');
+    });
+
+    it('should scale the speed by the speaking rate', async () => {
+      const tts = new EspeakTTS({ espeakPath, wordsPerMinute: 150 });
+      const warnings = [];
+      tts.on('warning', (msg) => warnings.push(msg));
+
+      for await (const _chunk of tts.synthesize('Hi', { rate: 0.8 })) { /* consume iterator */ }
+
+      assert.ok(warnings.join(' ').endsWith('-s 120'));
+    });
+
+    it('should use a voice set at runtime', async () => {
+      const tts = new EspeakTTS({ espeakPath, voice: 'en-us', wordsPerMinute: 150 });
+      const warnings = [];
+      tts.on('warning', (msg) => warnings.push(msg));
+
+      tts.setVoice('en-gb');
+      await tts.synthesizeToBuffer('Hi');
+
+      assert.ok(warnings.join(' ').includes('-v en-gb'));
+    });
+
+    it('should reject output that is not WAV', async () => {
+      const tts = new EspeakTTS({ espeakPath: brokenPath });
+
+      await assert.rejects(tts.synthesizeToBuffer('Hello'), /Not a WAV stream/);
+      assert.strictEqual(tts.synthesizing, false);
+    });
+
+    it('should reject when espeak-ng is missing', async () => {
+      const tts = new EspeakTTS({ espeakPath: join(tempDir, 'missing') });
+
+      await assert.rejects(tts.synthesizeToBuffer('Hello'), /ENOENT/);
+    });
+  });
+});
+
+describe('createEspeakTTS', () => {
+  it('should create EspeakTTS instance', () => {
+    assert.ok(createEspeakTTS({ voice: 'de' }) instanceof EspeakTTS);
+  });
+});
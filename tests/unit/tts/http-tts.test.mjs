@@ -0,0 +1,232 @@
+// @ts-nocheck - Tests intentionally use invalid inputs and test private methods
+/**
+ * Unit tests for HttpTTS - OpenAI-compatible local speech server
+ *
+ * Tests cover:
+ * - Configuration
+ * - Request format
+ * - Streaming WAV decoding and sample rate reporting
+ * - Errors and cancellation
+ *
+ * A local http server stands in for the speech server.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import {
+  HttpTTS,
+  createHttpTTS,
+  SPEECH_PATH,
+  DEFAULT_HTTP_TTS_CONFIG
+} from '../../../src/tts/http-tts.mjs';
+import { pcmToWav } from '../../../src/stt/stt.mjs';
+import { assertThrows } from '../../test-utils.mjs';
+
+describe('HttpTTS', () => {
+  let server;
+  let baseUrl;
+  /** @type {{url: string, body: Object}[]} */
+  let requests;
+  /** @type {(res: import('http').ServerResponse) => void} */
+  let respond;
+
+  before(async () => {
+    server = createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({ url: req.url, body: JSON.parse(Buffer.concat(chunks).toString()) });
+        respond(res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    respond = (res) => res.end(pcmToWav(new Int16Array(240), 24000));
+  });
+
+  describe('constructor', () => {
+    it('should require url', () => {
+      assertThrows(() => {
+        new HttpTTS({});
+      }, 'url is required');
+    });
+
+    it('should reject a remote server', () => {
+      assertThrows(() => {
+        new HttpTTS({ url: 'http://speech.example.com' });
+      }, /must be localhost/);
+    });
+
+    it('should use default config values', () => {
+      const tts = new HttpTTS({ url: baseUrl });
+
+      assert.strictEqual(tts.config.model, DEFAULT_HTTP_TTS_CONFIG.model);
+      assert.strictEqual(tts.sampleRate, DEFAULT_HTTP_TTS_CONFIG.sampleRate);
+      assert.strictEqual(tts.synthesizing, false);
+    });
+
+    it('should build the speech endpoint', () => {
+      const tts = new HttpTTS({ url: 'http://localhost:8880/' });
+
+      assert.strictEqual(tts.endpoint, `http://localhost:8880${SPEECH_PATH}`);
+    });
+  });
+
+  describe('synthesize', () => {
+    /**
+     * @param {HttpTTS} tts
+     * @param {string} text
+     * @returns {Promise<Buffer>}
+     */
+    async function collect(tts, text) {
+      const chunks = [];
+      for await (const chunk of tts.synthesize(text)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    }
+
+    it('should post the text and stream back PCM', async () => {
+      const tts = new HttpTTS({ url: baseUrl, model: 'kokoro', voice: 'af_heart' });
+
+      const audio = await collect(tts, 'Hello there.');
+
+      assert.strictEqual(audio.length, 480);
+      assert.strictEqual(requests[0].url, SPEECH_PATH);
+      assert.deepStrictEqual(requests[0].body, {
+        model: 'kokoro',
+        input: 'Hello there.',
+        response_format: 'wav',
+        voice: 'af_heart'
+      });
+    });
+
+    it('should omit an empty voice', async () => {
+      const tts = new HttpTTS({ url: baseUrl });
+
+      await collect(tts, 'Hi.');
+
+      assert.strictEqual('voice' in requests[0].body, false);
+    });
+
+    it('should send the speaking rate as speed', async () => {
+      const tts = new HttpTTS({ url: baseUrl });
+
+      for await (const _chunk of tts.synthesize('Hi.', { rate: 1.25 })) { /* consume iterator */ }
+      await collect(tts, 'Hi.');
+
+      assert.strictEqual(requests[0].body.speed, 1.25);
+      assert.strictEqual('speed' in requests[1].body, false);
+    });
+
+    it('should send a voice set at runtime', async () => {
+      const tts = new HttpTTS({ url: baseUrl, voice: 'af_heart' });
+
+      tts.setVoice('bf_emma');
+      await collect(tts, 'Hi.');
+
+      assert.strictEqual(requests[0].body.voice, 'bf_emma');
+    });
+
+    it('should report the sample rate from the WAV header', async () => {
+      const tts = new HttpTTS({ url: baseUrl, sampleRate: 22050 });
+
+      await collect(tts, 'Hi.');
+
+      assert.strictEqual(tts.sampleRate, 24000);
+    });
+
+    it('should yield audio before the response is complete', async () => {
+      let finish;
+      respond = (res) => {
+        const wav = pcmToWav(new Int16Array(100), 16000);
+        res.write(wav);
+        finish = () => res.end(Buffer.alloc(200));
+      };
+      const tts = new HttpTTS({ url: baseUrl });
+
+      const iterator = tts.synthesize('Hello.');
+      const first = await iterator.next();
+      assert.strictEqual(first.value.length, 200);
+      assert.strictEqual(tts.synthesizing, true);
+
+      finish();
+      const rest = [];
+      for await (const chunk of { [Symbol.asyncIterator]: () => iterator }) {
+        rest.push(chunk);
+      }
+      assert.strictEqual(Buffer.concat(rest).length, 200);
+    });
+
+    it('should throw server errors', async () => {
+      respond = (res) => {
+        res.statusCode = 404;
+        res.end('voice not found');
+      };
+      const tts = new HttpTTS({ url: baseUrl });
+
+      await assert.rejects(collect(tts, 'Hi.'), /HTTP 404\): voice not found/);
+      assert.strictEqual(tts.synthesizing, false);
+    });
+
+    it('should throw when the server is unreachable', async () => {
+      const tts = new HttpTTS({ url: 'http://127.0.0.1:1' });
+
+      await assert.rejects(collect(tts, 'Hi.'), /TTS server request failed/);
+    });
+
+    it('should time out slow servers', async () => {
+      respond = () => {};
+      const tts = new HttpTTS({ url: baseUrl, timeoutMs: 50 });
+
+      await assert.rejects(collect(tts, 'Hi.'), /timed out/);
+    });
+
+    it('should reject empty text', async () => {
+      const tts = new HttpTTS({ url: baseUrl });
+
+      await assert.rejects(collect(tts, ''), /non-empty string/);
+    });
+  });
+
+  describe('stop', () => {
+    it('should abort the request and end the stream quietly', async () => {
+      respond = (res) => res.write(pcmToWav(new Int16Array(100), 16000));
+      const tts = new HttpTTS({ url: baseUrl });
+      let cancelled = false;
+      tts.on('synthesis_cancelled', () => { cancelled = true; });
+
+      const chunks = [];
+      for await (const chunk of tts.synthesize('A long answer.')) {
+        chunks.push(chunk);
+        tts.stop();
+      }
+
+      assert.strictEqual(chunks.length, 1);
+      assert.strictEqual(cancelled, true);
+      assert.strictEqual(tts.synthesizing, false);
+    });
+
+    it('should do nothing when not synthesizing', () => {
+      const tts = new HttpTTS({ url: baseUrl });
+
+      assert.doesNotThrow(() => tts.stop());
+    });
+  });
+});
+
+describe('createHttpTTS', () => {
+  it('should create HttpTTS instance', () => {
+    assert.ok(createHttpTTS({ url: 'http://localhost:8880' }) instanceof HttpTTS);
+  });
+});
@@ -74,6 +74,17 @@ describe('JitterBuffer', () => {
       }, /must be Int16Array or Buffer/);
     });
 
+    it('should write silence for a pause', () => {
+      const jb = new JitterBuffer({ sampleRate: 16000 });
+      jb.write(new Int16Array([7]));
+
+      const written = jb.writeSilence(200);
+
+      assert.strictEqual(written, 3200);
+      assert.strictEqual(jb.bufferedSamples, 3201);
+      assert.strictEqual(jb.writeSilence(0), 0);
+    });
+
     it('should not write after end()', () => {
       const jb = new JitterBuffer();
       jb.end();
@@ -286,6 +297,39 @@ describe('JitterBuffer', () => {
     });
   });
 
+  describe('setSampleRate', () => {
+    it('should keep sizes in milliseconds at the new rate', () => {
+      const jb = new JitterBuffer({ sampleRate: 22050, frameDurationMs: 20, lowWatermarkMs: 100 });
+
+      jb.setSampleRate(16000);
+      jb.write(new Int16Array(1600));
+
+      assert.strictEqual(jb.config.sampleRate, 16000);
+      assert.strictEqual(jb.isReady, true);
+      assert.strictEqual(jb.bufferedMs, 100);
+      assert.strictEqual(jb.read().length, 320);
+    });
+
+    it('should discard buffered audio', () => {
+      const jb = new JitterBuffer({ sampleRate: 22050 });
+      jb.write(new Int16Array(1000));
+
+      jb.setSampleRate(24000);
+
+      assert.strictEqual(jb.bufferedSamples, 0);
+      assert.strictEqual(jb.playbackActive, false);
+    });
+
+    it('should do nothing when the rate is unchanged', () => {
+      const jb = new JitterBuffer({ sampleRate: 22050 });
+      jb.write(new Int16Array(1000));
+
+      jb.setSampleRate(22050);
+
+      assert.strictEqual(jb.bufferedSamples, 1000);
+    });
+  });
+
   describe('getStats', () => {
     it('should return correct statistics', () => {
       const jb = new JitterBuffer({ sampleRate: 1000 });
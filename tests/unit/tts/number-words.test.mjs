@@ -0,0 +1,98 @@
+/**
+ * Unit tests for number-words - spelling out numbers for speech
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  numberToWords,
+  ordinalToWords,
+  yearToWords,
+  digitsToWords,
+  decimalToWords
+} from '../../../src/tts/number-words.mjs';
+
+describe('numberToWords', () => {
+  /** @type {[number, string][]} */
+  const cases = [
+    [0, 'zero'],
+    [7, 'seven'],
+    [15, 'fifteen'],
+    [42, 'forty-two'],
+    [100, 'one hundred'],
+    [305, 'three hundred five'],
+    [1234, 'one thousand two hundred thirty-four'],
+    [2000000, 'two million'],
+    [1000001, 'one million one'],
+    [-5, 'minus five']
+  ];
+
+  for (const [n, expected] of cases) {
+    it(`should spell ${n}`, () => {
+      assert.strictEqual(numberToWords(n), expected);
+    });
+  }
+
+  it('should read very long numbers digit by digit', () => {
+    assert.strictEqual(numberToWords(1234567890123456), 'one two three four five six seven eight nine zero one two three four five six');
+  });
+});
+
+describe('ordinalToWords', () => {
+  /** @type {[number, string][]} */
+  const cases = [
+    [1, 'first'],
+    [2, 'second'],
+    [3, 'third'],
+    [5, 'fifth'],
+    [12, 'twelfth'],
+    [20, 'twentieth'],
+    [21, 'twenty-first'],
+    [100, 'one hundredth']
+  ];
+
+  for (const [n, expected] of cases) {
+    it(`should spell ${n} as an ordinal`, () => {
+      assert.strictEqual(ordinalToWords(n), expected);
+    });
+  }
+});
+
+describe('yearToWords', () => {
+  /** @type {[number, string][]} */
+  const cases = [
+    [1999, 'nineteen ninety-nine'],
+    [2024, 'twenty twenty-four'],
+    [2005, 'two thousand five'],
+    [2000, 'two thousand'],
+    [1905, 'nineteen oh five'],
+    [1900, 'nineteen hundred'],
+    [476, 'four hundred seventy-six']
+  ];
+
+  for (const [year, expected] of cases) {
+    it(`should read ${year} as a year`, () => {
+      assert.strictEqual(yearToWords(year), expected);
+    });
+  }
+});
+
+describe('digitsToWords', () => {
+  it('should read digits one by one and drop other characters', () => {
+    assert.strictEqual(digitsToWords('9-1-1'), 'nine one one');
+  });
+});
+
+describe('decimalToWords', () => {
+  it('should read the fraction digit by digit', () => {
+    assert.strictEqual(decimalToWords('3.14'), 'three point one four');
+  });
+
+  it('should ignore thousands separators', () => {
+    assert.strictEqual(decimalToWords('1,250.5'), 'one thousand two hundred fifty point five');
+  });
+
+  it('should read a leading point as zero', () => {
+    assert.strictEqual(decimalToWords('.5'), 'zero point five');
+  });
+});
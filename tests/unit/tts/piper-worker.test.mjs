@@ -0,0 +1,305 @@
+// @ts-nocheck - Tests inject fake workers and read private state
+/**
+ * Unit tests for PiperWorker - resident Piper process in JSON-input mode
+ *
+ * A small Node script stands in for Piper: for every JSON line on stdin it
+ * writes a 16 kHz WAV with one sample per character to output_file and
+ * prints the path. Sentences containing "slow" take 150 ms, "crash" makes
+ * the process exit.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, chmod } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  PiperWorker,
+  createPiperWorker,
+  parseVoiceLoadTime,
+  DEFAULT_PIPER_WORKER_CONFIG
+} from '../../../src/tts/piper-worker.mjs';
+import { TTS } from '../../../src/tts/tts.mjs';
+import { assertThrows } from '../../test-utils.mjs';
+
+const FAKE_PIPER = `#!${process.execPath}
+const { writeFileSync } = require('fs');
+const { createInterface } = require('readline');
+
+if (!process.argv.includes('--json-input')) process.exit(2);
+process.stderr.write('[piper] [info] Loaded voice in 0.25 second(s)\\n');
+
+createInterface({ input: process.stdin }).on('line', (line) => {
+  const { text, output_file } = JSON.parse(line);
+  if (text.includes('crash')) process.exit(1);
+
+  const wav = Buffer.alloc(44 + text.length * 2, 1);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + text.length * 2, 4);
+  wav.write('WAVEfmt ', 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(16000, 24);
+  wav.writeUInt32LE(32000, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(text.length * 2, 40);
+
+  setTimeout(() => {
+    writeFileSync(output_file, wav);
+    process.stdout.write(output_file + '\\n');
+  }, text.includes('slow') ? 150 : 0);
+});
+`;
+
+describe('PiperWorker', () => {
+  let tempDir;
+  let piperPath;
+  /** @type {PiperWorker[]} */
+  let workers;
+
+  /**
+   * @param {Object} [config]
+   * @returns {PiperWorker}
+   */
+  function createWorker(config = {}) {
+    const worker = new PiperWorker({ modelPath: '/test/voice.onnx', piperPath, ...config });
+    workers.push(worker);
+    return worker;
+  }
+
+  before(async () => {
+    workers = [];
+    tempDir = await mkdtemp(join(tmpdir(), 'scout-piper-test-'));
+    piperPath = join(tempDir, 'piper');
+    await writeFile(piperPath, FAKE_PIPER);
+    await chmod(piperPath, 0o755);
+  });
+
+  after(async () => {
+    for (const worker of workers) {
+      worker.stop();
+    }
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('constructor', () => {
+    it('should require modelPath', () => {
+      assertThrows(() => {
+        new PiperWorker({});
+      }, 'modelPath is required');
+    });
+
+    it('should use default config values', () => {
+      const worker = new PiperWorker({ modelPath: '/test/voice.onnx' });
+
+      assert.strictEqual(worker.config.piperPath, DEFAULT_PIPER_WORKER_CONFIG.piperPath);
+      assert.strictEqual(worker.config.sentenceTimeoutMs, DEFAULT_PIPER_WORKER_CONFIG.sentenceTimeoutMs);
+      assert.strictEqual(worker.config.lengthScale, 1);
+      assert.strictEqual(worker.isRunning, false);
+    });
+  });
+
+  describe('synthesize', () => {
+    it('should synthesize sentences through one process', async () => {
+      const worker = createWorker();
+
+      const first = await worker.synthesize('Hello there.').result;
+      const second = await worker.synthesize('How are you?').result;
+
+      assert.strictEqual(first.pcm.length, 'Hello there.'.length * 2);
+      assert.strictEqual(second.pcm.length, 'How are you?'.length * 2);
+      assert.strictEqual(first.sampleRate, 16000);
+      assert.strictEqual(worker.startCount, 1);
+      assert.strictEqual(worker.completedCount, 2);
+    });
+
+    it('should keep sentences in order when queued together', async () => {
+      const worker = createWorker();
+
+      const results = await Promise.all([
+        worker.synthesize('A slow one.').result,
+        worker.synthesize('Quick.').result
+      ]);
+
+      assert.deepStrictEqual(results.map(r => r.pcm.length / 2), ['A slow one.'.length, 'Quick.'.length]);
+    });
+
+    it('should report the voice load time', async () => {
+      const worker = createWorker();
+      let loaded = null;
+      worker.on('voice_loaded', (data) => { loaded = data; });
+
+      await worker.synthesize('Hi.').result;
+
+      assert.deepStrictEqual(loaded, { loadTimeMs: 250 });
+      assert.strictEqual(worker.lastLoadTimeMs, 250);
+    });
+
+    it('should cancel a sentence without stopping the worker', async () => {
+      const worker = createWorker();
+      const request = worker.synthesize('A slow sentence.');
+
+      request.cancel();
+
+      assert.strictEqual(await request.result, null);
+      assert.strictEqual(worker.isRunning, true);
+
+      const next = await worker.synthesize('Next.').result;
+      assert.strictEqual(next.pcm.length, 'Next.'.length * 2);
+      assert.strictEqual(worker.startCount, 1);
+    });
+
+    it('should fail waiting sentences when the process exits and restart on the next', async () => {
+      const worker = createWorker();
+
+      await assert.rejects(worker.synthesize('Please crash.').result, /Piper worker exited/);
+      assert.strictEqual(worker.isRunning, false);
+
+      const next = await worker.synthesize('Back again.').result;
+      assert.strictEqual(next.pcm.length, 'Back again.'.length * 2);
+      assert.strictEqual(worker.startCount, 2);
+    });
+
+    it('should time out stuck sentences', async () => {
+      const worker = createWorker({ sentenceTimeoutMs: 50 });
+
+      await assert.rejects(worker.synthesize('Very slow.').result, /TIMEOUT/);
+    });
+
+    it('should reject when Piper is missing', async () => {
+      const worker = createWorker({ piperPath: join(tempDir, 'missing') });
+
+      await assert.rejects(worker.synthesize('Hi.').result, /Failed to start Piper worker/);
+    });
+  });
+
+  describe('stop', () => {
+    it('should stop the process and remove the sentence directory', async () => {
+      const worker = createWorker();
+      await worker.synthesize('Hi.').result;
+      const dir = worker._dir;
+
+      worker.stop();
+
+      assert.strictEqual(worker.isRunning, false);
+      assert.strictEqual(existsSync(dir), false);
+    });
+  });
+
+  describe('TTS worker mode', () => {
+    /**
+     * @param {TTS} tts
+     * @param {string} text
+     * @returns {Promise<Buffer>}
+     */
+    async function collect(tts, text) {
+      const chunks = [];
+      for await (const chunk of tts.synthesize(text)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    }
+
+    /**
+     * @param {Object} [config]
+     * @returns {TTS}
+     */
+    function createWorkerTts(config = {}) {
+      const tts = new TTS({ modelPath: '/test/voice.onnx' });
+      tts._worker = createWorker(config);
+      return tts;
+    }
+
+    it('should synthesize each sentence through the worker', async () => {
+      const tts = createWorkerTts();
+
+      const first = await collect(tts, 'Hello there.');
+      const second = await collect(tts, 'Goodbye.');
+
+      assert.strictEqual(first.length, 'Hello there.'.length * 2);
+      assert.strictEqual(second.length, 'Goodbye.'.length * 2);
+      assert.strictEqual(tts.sampleRate, 16000);
+      assert.deepStrictEqual(tts.getStats(), { mode: 'worker', processStarts: 1, voiceLoadTimeMs: 250 });
+    });
+
+    it('should stop the current sentence on barge-in and keep the worker', async () => {
+      const tts = createWorkerTts();
+      let cancelled = false;
+      tts.on('synthesis_cancelled', () => { cancelled = true; });
+
+      const audio = collect(tts, 'A slow sentence.');
+      setImmediate(() => tts.stop());
+
+      assert.strictEqual((await audio).length, 0);
+      assert.strictEqual(cancelled, true);
+      assert.strictEqual(tts.synthesizing, false);
+      assert.strictEqual(tts._worker.isRunning, true);
+    });
+
+    it('should restart the worker with a new voice or speed for the next sentence', async () => {
+      const tts = createWorkerTts();
+      await collect(tts, 'Hello.');
+      const first = tts._worker;
+
+      tts.setVoice('/test/other.onnx');
+      tts.setSpeed(1.25);
+      const next = tts._getWorker();
+      next.stop();
+
+      assert.notStrictEqual(next, first);
+      assert.strictEqual(first.isRunning, false);
+      assert.strictEqual(next.config.modelPath, '/test/other.onnx');
+      assert.strictEqual(next.config.lengthScale, 0.8);
+      assert.strictEqual(tts._getWorker(), next);
+      assert.strictEqual(tts.getStats().processStarts, 1);
+    });
+
+    it('should keep the worker when voice and speed are unchanged', () => {
+      const tts = createWorkerTts();
+      const worker = tts._worker;
+
+      tts.setVoice('/test/voice.onnx');
+      tts.setSpeed(1);
+
+      assert.strictEqual(tts._getWorker(), worker);
+    });
+
+    it('should reject an empty voice', () => {
+      const tts = createWorkerTts();
+
+      assertThrows(() => tts.setVoice(''), 'Voice must be a non-empty string');
+    });
+
+    it('should fall back to oneshot when the worker never works', async () => {
+      const tts = createWorkerTts({ piperPath: join(tempDir, 'missing') });
+      tts._command = () => ({ command: piperPath, args: [] });
+      const warnings = [];
+      tts.on('warning', (msg) => warnings.push(msg));
+
+      await assert.rejects(collect(tts, 'Hi.'), /exited with code 2/);
+
+      assert.strictEqual(tts.config.mode, 'oneshot');
+      assert.ok(warnings.some(w => w.includes('Piper worker mode failed')));
+    });
+  });
+});
+
+describe('parseVoiceLoadTime', () => {
+  it('should parse Piper\'s load time line', () => {
+    assert.strictEqual(parseVoiceLoadTime('[piper] [info] Loaded voice in 0.318 second(s)'), 318);
+  });
+
+  it('should return null without a load time', () => {
+    assert.strictEqual(parseVoiceLoadTime('[piper] [info] Initialized'), null);
+  });
+});
+
+describe('createPiperWorker', () => {
+  it('should create PiperWorker instance', () => {
+    assert.ok(createPiperWorker({ modelPath: '/test/voice.onnx' }) instanceof PiperWorker);
+  });
+});
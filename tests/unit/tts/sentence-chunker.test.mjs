@@ -15,6 +15,7 @@ import {
   chunkSentences,
   endsWithPunctuation,
   estimateSentenceCount,
+  IncrementalChunker,
   DEFAULT_CHUNKER_CONFIG
 } from '../../../src/tts/sentence-chunker.mjs';
 
@@ -107,6 +108,112 @@ describe('splitIntoSentences', () => {
     });
   });
 
+  describe('abbreviations and decimals', () => {
+    it('should not split after titles, decimals or lowercase-continued abbreviations', () => {
+      const sentences = splitIntoSentences('Dr. Smith paid $3.50 at 5 p.m. Then he left.', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['Dr. Smith paid $3.50 at 5 p.m.', 'Then he left.']);
+    });
+
+    it('should keep an abbreviation followed by a lowercase word', () => {
+      const sentences = splitIntoSentences('Call me at 5 p.m. on Monday. Apples, pears, etc. are fruit.', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['Call me at 5 p.m. on Monday.', 'Apples, pears, etc. are fruit.']);
+    });
+
+    it('should not split after initials or e.g.', () => {
+      const sentences = splitIntoSentences('J. R. R. Tolkien wrote it. Try e.g. this one.', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['J. R. R. Tolkien wrote it.', 'Try e.g. this one.']);
+    });
+
+    it('should not split before a number after No.', () => {
+      const sentences = splitIntoSentences('It is No. 5 on the list. No. Not today.', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['It is No. 5 on the list.', 'No.', 'Not today.']);
+    });
+  });
+
+  describe('quotes and ellipses', () => {
+    it('should keep closing quotes with their sentence', () => {
+      const sentences = splitIntoSentences('He said "Stop." Then he left.', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['He said "Stop."', 'Then he left.']);
+    });
+
+    it('should not split quoted speech followed by a lowercase word', () => {
+      const sentences = splitIntoSentences('"Why?" she asked. "Because," he said.', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['"Why?" she asked.', '"Because," he said.']);
+    });
+
+    it('should not split inside an open quotation', () => {
+      assert.deepStrictEqual(
+        splitIntoSentences('He said "Stop. Now." and left. Then he came back.', { minChunkChars: 0 }),
+        ['He said "Stop. Now." and left.', 'Then he came back.']
+      );
+      assert.deepStrictEqual(
+        splitIntoSentences('She wrote \u201CDone. Ship it.\u201D Then she logged off.', { minChunkChars: 0 }),
+        ['She wrote \u201CDone. Ship it.\u201D', 'Then she logged off.']
+      );
+    });
+
+    it('should split after an ellipsis only before a new sentence', () => {
+      assert.deepStrictEqual(splitIntoSentences('Well... maybe not. Okay.', { minChunkChars: 0 }), ['Well... maybe not.', 'Okay.']);
+      assert.deepStrictEqual(splitIntoSentences('Wait… What happened?', { minChunkChars: 0 }), ['Wait…', 'What happened?']);
+    });
+  });
+
+  describe('lists and line breaks', () => {
+    it('should split bullet items on line breaks', () => {
+      const sentences = splitIntoSentences('- Buy milk\n- Eggs\n- Bread', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['- Buy milk', '- Eggs', '- Bread']);
+    });
+
+    it('should not treat list numbers as sentence ends', () => {
+      const sentences = splitIntoSentences('1. First step\n2. Second step', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['1. First step', '2. Second step']);
+    });
+
+    it('should not merge short list items', () => {
+      const sentences = splitIntoSentences('Shopping list:\n- Eggs\n- Milk\n- Bread', { minChunkChars: 20 });
+      assert.deepStrictEqual(sentences, ['Shopping list:', '- Eggs', '- Milk', '- Bread']);
+    });
+
+    it('should skip blank lines', () => {
+      const sentences = splitIntoSentences('First paragraph here.\n\n\nSecond paragraph here.', { minChunkChars: 0 });
+      assert.deepStrictEqual(sentences, ['First paragraph here.', 'Second paragraph here.']);
+    });
+  });
+
+  describe('maximum chunk length', () => {
+    const runOn = 'This run-on sentence goes on and on, mentioning the weather, the news, the traffic on the way home; ' +
+      'then it keeps going with more clauses — because agents love to talk — until it finally ends here.';
+
+    it('should split run-on sentences at clause breaks', () => {
+      const sentences = splitIntoSentences(runOn, { minChunkChars: 0, maxChunkChars: 80 });
+      assert.deepStrictEqual(sentences, [
+        'This run-on sentence goes on and on, mentioning the weather, the news,',
+        'the traffic on the way home; then it keeps going with more clauses —',
+        'because agents love to talk — until it finally ends here.'
+      ]);
+    });
+
+    it('should split at a space when there is no clause break', () => {
+      const text = 'word '.repeat(30).trim();
+      const sentences = splitIntoSentences(text, { minChunkChars: 0, maxChunkChars: 50 });
+      assert.ok(sentences.length > 1);
+      for (const sentence of sentences) {
+        assert.ok(sentence.length <= 50, sentence);
+      }
+      assert.strictEqual(sentences.join(' '), text);
+    });
+
+    it('should not merge short sentences past the limit', () => {
+      const sentences = splitIntoSentences('One two three. Four five six. Seven.', { minChunkChars: 30, maxChunkChars: 20 });
+      assert.deepStrictEqual(sentences, ['One two three.', 'Four five six.', 'Seven.']);
+    });
+
+    it('should cut text without spaces at the limit', () => {
+      const sentences = splitIntoSentences('x'.repeat(25), { minChunkChars: 0, maxChunkChars: 10 });
+      assert.deepStrictEqual(sentences, ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    });
+  });
+
   describe('custom delimiters', () => {
     it('should accept custom delimiter regex', () => {
       const text = 'Hello there friend; world is amazing; test is great';
@@ -135,6 +242,98 @@ describe('chunkSentences', () => {
   });
 });
 
+describe('IncrementalChunker', () => {
+  it('should hold text until a sentence is complete', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0 });
+    assert.deepStrictEqual(chunker.push('Hello the'), []);
+    assert.deepStrictEqual(chunker.push('re.'), []);
+    assert.deepStrictEqual(chunker.push(' How are'), ['Hello there.']);
+    assert.strictEqual(chunker.pending, ' How are');
+  });
+
+  it('should hold a delimiter at the end of a delta', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0 });
+    assert.deepStrictEqual(chunker.push('It costs 3.'), []);
+    assert.strictEqual(chunker.pending, 'It costs 3.');
+  });
+
+  it('should release several sentences from one delta', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0 });
+    const sentences = chunker.push('First one. Second one! Third');
+    assert.deepStrictEqual(sentences, ['First one.', 'Second one!']);
+    assert.deepStrictEqual(chunker.flush(), ['Third']);
+  });
+
+  it('should wait until minChunkChars is reached', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 20 });
+    assert.deepStrictEqual(chunker.push('Hi. '), []);
+    assert.deepStrictEqual(chunker.push('This is a longer sentence. '), ['Hi. This is a longer sentence.']);
+  });
+
+  it('should flush remaining text at end of stream', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0 });
+    chunker.push('No punctuation at all');
+    assert.deepStrictEqual(chunker.flush(), ['No punctuation at all']);
+    assert.deepStrictEqual(chunker.flush(), []);
+  });
+
+  it('should ignore empty or non-string input', () => {
+    const chunker = new IncrementalChunker();
+    assert.deepStrictEqual(chunker.push(''), []);
+    // @ts-ignore - testing invalid input
+    assert.deepStrictEqual(chunker.push(null), []);
+  });
+
+  it('should wait for the next word after an ambiguous abbreviation', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0 });
+    assert.deepStrictEqual(chunker.push('Meet at 5 p.m. '), []);
+    assert.deepStrictEqual(chunker.push('on Monday. '), ['Meet at 5 p.m. on Monday.']);
+  });
+
+  it('should release a title-free sentence before the next word arrives', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0 });
+    assert.deepStrictEqual(chunker.push('Dr. Smith paid. '), ['Dr. Smith paid.']);
+  });
+
+  it('should release list items at line breaks', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0 });
+    assert.deepStrictEqual(chunker.push('- Buy milk\n- Eg'), ['- Buy milk']);
+    assert.deepStrictEqual(chunker.flush(), ['- Eg']);
+  });
+
+  it('should release a run-on sentence in pieces once it is too long', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0, maxChunkChars: 40 });
+    assert.deepStrictEqual(chunker.push('This sentence keeps going, and going, and '), ['This sentence keeps going, and going,']);
+    assert.strictEqual(chunker.pending, ' and ');
+  });
+
+  it('should match splitIntoSentences however the text is streamed', () => {
+    const text = 'Dr. Smith paid $3.50 at 5 p.m. on Monday. "Why?" she asked.\n- Eggs\n' +
+      'He said "Stop. Now." and left. ' +
+      'Well... then it went on and on, with more clauses, and even more; until it ended. Done etc. Bye.';
+    const config = { minChunkChars: 0, maxChunkChars: 50 };
+    const expected = splitIntoSentences(text, config);
+
+    for (const size of [1, 3, 8]) {
+      const chunker = new IncrementalChunker(config);
+      const sentences = [];
+      for (let i = 0; i < text.length; i += size) {
+        sentences.push(...chunker.push(text.slice(i, i + size)));
+      }
+      sentences.push(...chunker.flush());
+      assert.deepStrictEqual(sentences, expected, `delta size ${size}`);
+    }
+  });
+
+  it('should discard pending text on reset', () => {
+    const chunker = new IncrementalChunker({ minChunkChars: 0 });
+    chunker.push('Partial sentence');
+    chunker.reset();
+    assert.strictEqual(chunker.pending, '');
+    assert.deepStrictEqual(chunker.flush(), []);
+  });
+});
+
 describe('endsWithPunctuation', () => {
   it('should return true for period', () => {
     assert.strictEqual(endsWithPunctuation('Hello world.'), true);
@@ -199,6 +398,7 @@ describe('DEFAULT_CHUNKER_CONFIG', () => {
   it('should have expected defaults', () => {
     assert.ok(DEFAULT_CHUNKER_CONFIG.delimiters instanceof RegExp);
     assert.strictEqual(DEFAULT_CHUNKER_CONFIG.minChunkChars, 20);
+    assert.strictEqual(DEFAULT_CHUNKER_CONFIG.maxChunkChars, 200);
   });
 
   it('should be frozen', () => {
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for SSML-lite markup parsing
+ *
+ * Tests cover:
+ * - Breaks, prosody rate, emphasis and say-as
+ * - Other angle-bracket text is spoken as written
+ * - Streamed text with tags split across deltas
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SsmlParser,
+  parseSsml,
+  createSsmlParser,
+  MAX_BREAK_MS
+} from '../../../src/tts/ssml-lite.mjs';
+
+/** @type {[string, import('../../../src/tts/ssml-lite.mjs').SpeechSegment[]][]} */
+const CASES = [
+  ['Plain text.', [{ type: 'text', text: 'Plain text.', rate: 1 }]],
+  ['Let me think. <break time="500ms"/> Okay.', [
+    { type: 'text', text: 'Let me think. ', rate: 1 },
+    { type: 'break', ms: 500 },
+    { type: 'text', text: ' Okay.', rate: 1 }
+  ]],
+  ['Wait<break time="1.5s"/>now', [
+    { type: 'text', text: 'Wait', rate: 1 },
+    { type: 'break', ms: 1500 },
+    { type: 'text', text: 'now', rate: 1 }
+  ]],
+  ['<break/>', [{ type: 'break', ms: 400 }]],
+  ['<break strength="x-strong"/>', [{ type: 'break', ms: 1000 }]],
+  ['<break time="20s"/>', [{ type: 'break', ms: MAX_BREAK_MS }]],
+  ['<prosody rate="slow">Read this slowly.</prosody> Then on.', [
+    { type: 'text', text: 'Read this slowly.', rate: 0.8 },
+    { type: 'text', text: ' Then on.', rate: 1 }
+  ]],
+  ['<prosody rate="150%">Quick.</prosody>', [{ type: 'text', text: 'Quick.', rate: 1.5 }]],
+  ['<prosody rate="+20%">Quick.</prosody>', [{ type: 'text', text: 'Quick.', rate: 1.2 }]],
+  ['<prosody rate="10">Too quick.</prosody>', [{ type: 'text', text: 'Too quick.', rate: 2 }]],
+  ['<emphasis>Do not</emphasis> unplug it.', [
+    { type: 'text', text: 'Do not', rate: 0.9 },
+    { type: 'text', text: ' unplug it.', rate: 1 }
+  ]],
+  ['<prosody rate="150%"><emphasis level="strong">nested</emphasis></prosody>', [{ type: 'text', text: 'nested', rate: 1.2 }]],
+  ['Code <say-as interpret-as="characters">XJ9</say-as>.', [{ type: 'text', text: 'Code X J nine.', rate: 1 }]],
+  ['Call <say-as interpret-as="digits">911</say-as>.', [{ type: 'text', text: 'Call nine one one.', rate: 1 }]],
+  ['<say-as interpret-as="cardinal">1,200</say-as>', [{ type: 'text', text: 'one thousand two hundred', rate: 1 }]],
+  ['The <say-as interpret-as="ordinal">21st</say-as> time', [{ type: 'text', text: 'The twenty-first time', rate: 1 }]],
+  ['<say-as interpret-as="date">today</say-as>', [{ type: 'text', text: 'today', rate: 1 }]],
+  ['<speak><p>One</p><s>Two</s></speak>', [{ type: 'text', text: '\nOne\n\nTwo\n', rate: 1 }]],
+  ['Use <code> tags', [{ type: 'text', text: 'Use <code> tags', rate: 1 }]],
+  ['Some <foo bar="1">unknown</foo> <custom/>tags', [{ type: 'text', text: 'Some <foo bar="1">unknown</foo> <custom/>tags', rate: 1 }]],
+  ['<Break time="300ms"/><P>Hi</P>', [{ type: 'break', ms: 300 }, { type: 'text', text: '\nHi\n', rate: 1 }]],
+  ['<section>Hi</section>', [{ type: 'text', text: '<section>Hi</section>', rate: 1 }]],
+  ['AT&amp;T &lt;3', [{ type: 'text', text: 'AT&T <3', rate: 1 }]],
+  ['x < 5 and y > 3', [{ type: 'text', text: 'x < 5 and y > 3', rate: 1 }]]
+];
+
+/**
+ * Merge adjacent text segments with the same rate
+ * @param {import('../../../src/tts/ssml-lite.mjs').SpeechSegment[]} segments
+ * @returns {import('../../../src/tts/ssml-lite.mjs').SpeechSegment[]}
+ */
+function merge(segments) {
+  /** @type {import('../../../src/tts/ssml-lite.mjs').SpeechSegment[]} */
+  const merged = [];
+  for (const segment of segments) {
+    const previous = merged[merged.length - 1];
+    if (segment.type === 'text' && previous?.type === 'text' && previous.rate === segment.rate) {
+      previous.text += segment.text;
+    } else {
+      merged.push({ ...segment });
+    }
+  }
+  return merged;
+}
+
+describe('parseSsml', () => {
+  for (const [input, expected] of CASES) {
+    it(`should parse ${JSON.stringify(input)}`, () => {
+      assert.deepStrictEqual(parseSsml(input), expected);
+    });
+  }
+});
+
+describe('SsmlParser', () => {
+  describe('streaming', () => {
+    for (const size of [1, 2, 5]) {
+      it(`should match whole-text parsing with ${size}-character deltas`, () => {
+        for (const [input, expected] of CASES) {
+          const parser = new SsmlParser();
+          const segments = [];
+          for (let i = 0; i < input.length; i += size) {
+            segments.push(...parser.push(input.slice(i, i + size)));
+          }
+          segments.push(...parser.flush());
+          assert.deepStrictEqual(merge(segments), expected, input);
+        }
+      });
+    }
+
+    it('should hold back an unfinished tag', () => {
+      const parser = new SsmlParser();
+
+      assert.deepStrictEqual(parser.push('Hi <brea'), [{ type: 'text', text: 'Hi ', rate: 1 }]);
+      assert.strictEqual(parser.pending, '<brea');
+      assert.deepStrictEqual(parser.push('k/>'), [{ type: 'break', ms: 400 }]);
+    });
+
+    it('should keep the rate of an element that spans deltas', () => {
+      const parser = new SsmlParser();
+
+      parser.push('<prosody rate="fast">Quick ');
+      assert.strictEqual(parser.rate, 1.25);
+      assert.deepStrictEqual(parser.push('words.</prosody>'), [{ type: 'text', text: 'words.', rate: 1.25 }]);
+      assert.strictEqual(parser.rate, 1);
+    });
+
+    it('should speak a stray < at the end of the stream', () => {
+      const parser = new SsmlParser();
+
+      assert.deepStrictEqual([...parser.push('a <'), ...parser.flush()], [
+        { type: 'text', text: 'a ', rate: 1 },
+        { type: 'text', text: '<', rate: 1 }
+      ]);
+    });
+
+    it('should forget open elements on reset', () => {
+      const parser = new SsmlParser();
+      parser.push('<prosody rate="slow">Slow');
+
+      parser.reset();
+
+      assert.strictEqual(parser.rate, 1);
+      assert.strictEqual(parser.pending, '');
+    });
+  });
+});
+
+describe('createSsmlParser', () => {
+  it('should create SsmlParser instance', () => {
+    assert.ok(createSsmlParser() instanceof SsmlParser);
+  });
+});
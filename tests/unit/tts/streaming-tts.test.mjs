@@ -16,6 +16,7 @@ import {
   createStreamingTTS,
   DEFAULT_STREAMING_TTS_CONFIG
 } from '../../../src/tts/streaming-tts.mjs';
+import { TtsCache } from '../../../src/tts/tts-cache.mjs';
 
 describe('StreamingTTS', () => {
   describe('constructor', () => {
@@ -95,6 +96,509 @@ describe('StreamingTTS', () => {
     });
   });
 
+  describe('speakStream', () => {
+    /**
+     * Replace Piper with a fake that records sentences
+     * @param {StreamingTTS} stts
+     * @returns {string[]} Synthesized sentences
+     */
+    function fakeTts(stts) {
+      /** @type {string[]} */
+      const spoken = [];
+      // @ts-ignore - replacing internal TTS for testing
+      stts._tts = {
+        /** @param {string} sentence */
+        async *synthesize(sentence) {
+          spoken.push(sentence);
+          yield Buffer.alloc(20);
+        },
+        stop() {}
+      };
+      return spoken;
+    }
+
+    /**
+     * @param {string[]} deltas
+     * @returns {AsyncGenerator<string>}
+     */
+    async function* fromDeltas(deltas) {
+      for (const delta of deltas) {
+        yield delta;
+      }
+    }
+
+    it('should reject a non-iterable source', async () => {
+      const stts = new StreamingTTS();
+      await assert.rejects(
+        // @ts-ignore - testing invalid input
+        async () => stts.speakStream('text'),
+        /async iterable/
+      );
+    });
+
+    it('should throw when already speaking', async () => {
+      const stts = new StreamingTTS();
+      stts._speaking = true;
+      await assert.rejects(
+        async () => stts.speakStream(fromDeltas(['Hi.'])),
+        /Already speaking/
+      );
+    });
+
+    it('should synthesize each sentence as it completes', async () => {
+      const stts = new StreamingTTS({ minChunkChars: 0 });
+      const spoken = fakeTts(stts);
+
+      /** @type {string[]} */
+      const seenWhenSynthesized = [];
+      let received = '';
+      async function* source() {
+        for (const delta of ['The weather ', 'is sunny. ', 'Take a ', 'hat.']) {
+          received += delta;
+          yield delta;
+        }
+      }
+      stts.on('sentence_started', () => seenWhenSynthesized.push(received));
+
+      await stts.speakStream(source());
+
+      assert.deepStrictEqual(spoken, ['The weather is sunny.', 'Take a hat.']);
+      // First sentence went to TTS before the rest of the text arrived
+      assert.strictEqual(seenWhenSynthesized[0], 'The weather is sunny. ');
+    });
+
+    it('should end the jitter buffer when the stream finishes', async () => {
+      const stts = new StreamingTTS({ minChunkChars: 0 });
+      fakeTts(stts);
+      let ended = false;
+      stts.on('speak_complete', () => { ended = true; });
+
+      await stts.speakStream(fromDeltas(['Hello.']));
+      // Drain the buffer as the playback loop would
+      while (stts.jitterBuffer.bufferedSamples > 0) {
+        stts.readFrame();
+      }
+
+      assert.strictEqual(ended, true);
+      assert.strictEqual(stts.speaking, false);
+    });
+
+    it('should stop pulling text after stop()', async () => {
+      const stts = new StreamingTTS({ minChunkChars: 0 });
+      const spoken = fakeTts(stts);
+
+      async function* source() {
+        yield 'First sentence. ';
+        stts.stop();
+        yield 'Second sentence. ';
+        yield 'Third.';
+      }
+
+      await stts.speakStream(source());
+
+      assert.deepStrictEqual(spoken, ['First sentence.']);
+      assert.strictEqual(stts.speaking, false);
+    });
+  });
+
+  describe('engine sample rate', () => {
+    /**
+     * Fake engine that only learns its rate from the audio, like espeak-ng
+     * @param {number} nativeRate
+     * @returns {any}
+     */
+    function fakeEngine(nativeRate) {
+      /** @type {any} */
+      const engine = new EventEmitter();
+      engine.sampleRate = 22050;
+      engine.synthesize = async function* () {
+        engine.sampleRate = nativeRate;
+        yield Buffer.alloc(nativeRate / 10 * 2);
+      };
+      engine.stop = () => {};
+      return engine;
+    }
+
+    it('should use an injected engine', () => {
+      const engine = fakeEngine(16000);
+      const stts = new StreamingTTS({ engine });
+
+      assert.strictEqual(stts.engine, engine);
+      assert.strictEqual(stts.sampleRate, 22050);
+    });
+
+    it('should switch the jitter buffer to the rate the engine reports', async () => {
+      const stts = new StreamingTTS({ engine: fakeEngine(16000), minChunkChars: 0 });
+      /** @type {number[]} */
+      const changes = [];
+      stts.on('sample_rate_changed', (data) => changes.push(data.sampleRate));
+
+      await stts.speak('Hello there.');
+
+      assert.deepStrictEqual(changes, [16000]);
+      assert.strictEqual(stts.sampleRate, 16000);
+      assert.strictEqual(stts.jitterBuffer.bufferedMs, 100);
+    });
+
+    it('should not change rate once audio is buffered', async () => {
+      const engine = fakeEngine(16000);
+      engine.synthesize = async function* () {
+        engine.sampleRate = 16000;
+        yield Buffer.alloc(200);
+        engine.sampleRate = 24000;
+        yield Buffer.alloc(200);
+      };
+      const stts = new StreamingTTS({ engine, minChunkChars: 0 });
+
+      await stts.speak('Hello there.');
+
+      assert.strictEqual(stts.sampleRate, 16000);
+      assert.strictEqual(stts.jitterBuffer.bufferedSamples, 200);
+    });
+
+    it('should report time to first chunk per sentence', async () => {
+      const stts = new StreamingTTS({ engine: fakeEngine(16000), minChunkChars: 0 });
+      /** @type {any[]} */
+      const completed = [];
+      stts.on('sentence_complete', (data) => completed.push(data));
+
+      await stts.speak('Hello there.');
+
+      assert.strictEqual(completed.length, 1);
+      assert.strictEqual(typeof completed[0].firstChunkMs, 'number');
+    });
+
+    it('should start and dispose the engine', async () => {
+      const engine = fakeEngine(16000);
+      /** @type {string[]} */
+      const calls = [];
+      engine.init = async () => { calls.push('init'); };
+      engine.dispose = () => { calls.push('dispose'); };
+      engine.getStats = () => ({ mode: 'worker' });
+      const stts = new StreamingTTS({ engine });
+
+      await stts.init();
+      stts.dispose();
+
+      assert.deepStrictEqual(calls, ['init', 'dispose']);
+      assert.deepStrictEqual(stts.getStats().engine, { mode: 'worker' });
+    });
+  });
+
+  describe('text normalization', () => {
+    /**
+     * Fake engine that records sentences
+     * @param {string[]} spoken
+     * @returns {any}
+     */
+    function recordingEngine(spoken) {
+      /** @type {any} */
+      const engine = new EventEmitter();
+      engine.sampleRate = 22050;
+      engine.synthesize = async function* (/** @type {string} */ sentence) {
+        spoken.push(sentence);
+        yield Buffer.alloc(20);
+      };
+      engine.stop = () => {};
+      return engine;
+    }
+
+    it('should normalize text before splitting into sentences', async () => {
+      /** @type {string[]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken), minChunkChars: 0 });
+
+      await stts.speak('**Done!** It costs $3.50.\n```\nls\n```');
+
+      assert.deepStrictEqual(spoken, ['Done!', 'It costs three dollars and fifty cents.', "I've put a code snippet on screen."]);
+    });
+
+    it('should normalize streamed text', async () => {
+      /** @type {string[]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken), minChunkChars: 0 });
+      async function* source() {
+        yield* ['- See https://', 'example.com/docs', '\n- Walk 5', ' km'];
+      }
+
+      await stts.speakStream(source());
+
+      assert.deepStrictEqual(spoken, ['See example dot com.', 'Walk five kilometers']);
+    });
+
+    it('should finish without synthesis when nothing is left to say', async () => {
+      /** @type {string[]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken) });
+
+      await stts.speak('🎉');
+
+      assert.deepStrictEqual(spoken, []);
+      assert.strictEqual(stts.speaking, false);
+    });
+
+    it('should speak text as is when the normalizer is disabled', async () => {
+      /** @type {string[]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken), minChunkChars: 0, normalizer: null });
+
+      await stts.speak('It is **20°C** today.');
+
+      assert.deepStrictEqual(spoken, ['It is **20°C** today.']);
+    });
+  });
+
+  describe('SSML-lite markup', () => {
+    /**
+     * Fake engine that records sentences and their speaking rate
+     * @param {[string, number][]} spoken
+     * @returns {any}
+     */
+    function recordingEngine(spoken) {
+      /** @type {any} */
+      const engine = new EventEmitter();
+      engine.sampleRate = 22050;
+      engine.synthesize = async function* (/** @type {string} */ sentence, /** @type {any} */ options) {
+        spoken.push([sentence, options.rate]);
+        yield Buffer.alloc(20);
+      };
+      engine.stop = () => {};
+      return engine;
+    }
+
+    it('should write silence for a break before the next sentence', async () => {
+      /** @type {[string, number][]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken), minChunkChars: 0 });
+      const jb = stts.jitterBuffer;
+      /** @type {number[]} */
+      const buffered = [];
+      const write = jb.write.bind(jb);
+      jb.write = (samples) => {
+        const written = write(samples);
+        buffered.push(jb.bufferedSamples);
+        return written;
+      };
+
+      await stts.speak('Let me think. <break time="200ms"/> Okay. <break time="1s"/>');
+
+      assert.deepStrictEqual(spoken, [['Let me think.', 1], ['Okay.', 1]]);
+      assert.deepStrictEqual(buffered, [10, 10 + 4410, 10 + 4410 + 10]);
+    });
+
+    it('should pass the speaking rate to the engine', async () => {
+      /** @type {[string, number][]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken), minChunkChars: 0 });
+
+      await stts.speak('<prosody rate="slow">Read this slowly.</prosody> Then <emphasis>stop</emphasis>.');
+
+      assert.deepStrictEqual(spoken, [['Read this slowly.', 0.8], ['Then', 1], ['stop', 0.9], ['.', 1]]);
+    });
+
+    it('should never speak tags', async () => {
+      /** @type {[string, number][]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken), minChunkChars: 0 });
+
+      await stts.speak('<speak>Your code is <say-as interpret-as="characters">XJ9</say-as>. <foo>Bye.</foo></speak>');
+
+      assert.deepStrictEqual(spoken, [['Your code is X J nine.', 1], ['Bye.', 1]]);
+    });
+
+    it('should parse markup split across streamed deltas', async () => {
+      /** @type {[string, number][]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken), minChunkChars: 0 });
+      async function* source() {
+        yield* ['Hold on. <bre', 'ak time="10', '0ms"/> <prosody rate="fa', 'st">Done now.</pro', 'sody>'];
+      }
+
+      await stts.speakStream(source());
+
+      assert.deepStrictEqual(spoken, [['Hold on.', 1], ['Done now.', 1.25]]);
+      assert.strictEqual(stts.jitterBuffer.bufferedSamples, 10 + 2205 + 10);
+    });
+
+    it('should speak markup as text when disabled', async () => {
+      /** @type {[string, number][]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: recordingEngine(spoken), minChunkChars: 0, ssml: false, normalizer: null });
+
+      await stts.speak('Wait <break/> now.');
+
+      assert.deepStrictEqual(spoken, [['Wait <break/> now.', 1]]);
+    });
+  });
+
+  describe('speed and voice', () => {
+    /**
+     * Fake engine that records sentence rates, the speed and the voice it was given
+     * @param {[string, number][]} spoken
+     * @returns {any}
+     */
+    function recordingEngine(spoken) {
+      /** @type {any} */
+      const engine = new EventEmitter();
+      engine.sampleRate = 22050;
+      engine.synthesize = async function* (/** @type {string} */ sentence, /** @type {any} */ options) {
+        spoken.push([sentence, options.rate]);
+        yield Buffer.alloc(20);
+      };
+      engine.setSpeed = (/** @type {number} */ speed) => { engine.speed = speed; };
+      engine.setVoice = (/** @type {string} */ voice) => { engine.voice = voice; };
+      engine.stop = () => {};
+      return engine;
+    }
+
+    it('should apply the speed on top of markup rates', async () => {
+      /** @type {[string, number][]} */
+      const spoken = [];
+      const engine = recordingEngine(spoken);
+      const stts = new StreamingTTS({ engine, minChunkChars: 0, speed: 1.25 });
+
+      await stts.speak('Normal. <prosody rate="slow">Slow.</prosody>');
+
+      assert.strictEqual(stts.speed, 1.25);
+      assert.strictEqual(engine.speed, 1.25);
+      assert.deepStrictEqual(spoken, [['Normal.', 1.25], ['Slow.', 1]]);
+    });
+
+    it('should change speed and voice from the next sentence', async () => {
+      /** @type {[string, number][]} */
+      const spoken = [];
+      const engine = recordingEngine(spoken);
+      const stts = new StreamingTTS({ engine, minChunkChars: 0 });
+
+      async function* source() {
+        yield 'Before. ';
+        stts.setSpeed(0.8);
+        stts.setVoice('/voices/en_GB-alan-medium.onnx');
+        yield 'After.';
+      }
+
+      await stts.speakStream(source());
+
+      assert.deepStrictEqual(spoken, [['Before.', 1], ['After.', 0.8]]);
+      assert.strictEqual(engine.voice, '/voices/en_GB-alan-medium.onnx');
+    });
+
+    it('should reject an invalid speed', () => {
+      const stts = new StreamingTTS({ engine: recordingEngine([]) });
+
+      assert.throws(() => stts.setSpeed(0), /Speed must be a positive number/);
+      assert.throws(() => new StreamingTTS({ speed: -1 }), /Speed must be a positive number/);
+    });
+
+    it('should reject a voice change the engine cannot make', () => {
+      const engine = recordingEngine([]);
+      delete engine.setVoice;
+      const stts = new StreamingTTS({ engine });
+
+      assert.throws(() => stts.setVoice('alan'), /TTS engine does not support changing voices/);
+    });
+  });
+
+  describe('audio cache', () => {
+    /**
+     * Fake engine that records the sentences it synthesizes
+     * @param {string[]} spoken
+     * @returns {any}
+     */
+    function countingEngine(spoken) {
+      /** @type {any} */
+      const engine = new EventEmitter();
+      engine.sampleRate = 22050;
+      engine.voice = 'alan';
+      engine.synthesize = async function* (/** @type {string} */ sentence) {
+        spoken.push(sentence);
+        yield Buffer.alloc(40, 1);
+      };
+      engine.setSpeed = () => {};
+      engine.stop = () => {};
+      return engine;
+    }
+
+    it('should play a repeated sentence from the cache', async () => {
+      /** @type {string[]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: countingEngine(spoken), minChunkChars: 0, cache: {} });
+      /** @type {any[]} */
+      const completed = [];
+      stts.on('sentence_complete', (data) => completed.push(data));
+
+      await stts.speak("Didn't catch that.");
+      stts.jitterBuffer.emit('drained');
+      await stts.speak("Didn't catch that.");
+
+      assert.deepStrictEqual(spoken, ["Didn't catch that."]);
+      assert.deepStrictEqual(completed.map(c => c.cached), [false, true]);
+      assert.strictEqual(stts.jitterBuffer.getStats().totalSamplesWritten, 20);
+      assert.deepStrictEqual(stts.getStats().cache, { entries: 1, sizeBytes: 40, hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    it('should synthesize again at another speed', async () => {
+      /** @type {string[]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: countingEngine(spoken), minChunkChars: 0, cache: {} });
+
+      await stts.speak('Hello.');
+      stts.jitterBuffer.emit('drained');
+      stts.setSpeed(1.25);
+      await stts.speak('Hello.');
+
+      assert.deepStrictEqual(spoken, ['Hello.', 'Hello.']);
+    });
+
+    it('should not cache a sentence cut short by barge-in', async () => {
+      const engine = countingEngine([]);
+      const stts = new StreamingTTS({ engine, minChunkChars: 0, cache: {} });
+      engine.synthesize = async function* () {
+        yield Buffer.alloc(40);
+        stts.stop();
+        yield Buffer.alloc(40);
+      };
+
+      await stts.speak('Interrupted.');
+
+      assert.strictEqual(stts.cache?.getStats().entries, 0);
+    });
+
+    it('should share a cache instance without indexing it again', async () => {
+      /** @type {string[]} */
+      const spoken = [];
+      const cache = new TtsCache();
+      let indexed = 0;
+      cache.init = async () => { indexed++; return 0; };
+      const agentVoice = new StreamingTTS({ engine: countingEngine(spoken), minChunkChars: 0, cache });
+      const systemVoice = new StreamingTTS({ engine: countingEngine(spoken), minChunkChars: 0, cache });
+
+      await agentVoice.init();
+      await systemVoice.init();
+      await agentVoice.speak('Hello.');
+      await systemVoice.speak('Hello.');
+
+      assert.strictEqual(agentVoice.cache, cache);
+      assert.strictEqual(systemVoice.cache, cache);
+      assert.strictEqual(indexed, 0);
+      assert.deepStrictEqual(spoken, ['Hello.']);
+    });
+
+    it('should synthesize every sentence without a cache', async () => {
+      /** @type {string[]} */
+      const spoken = [];
+      const stts = new StreamingTTS({ engine: countingEngine(spoken), minChunkChars: 0 });
+
+      await stts.speak('Hello.');
+      stts.jitterBuffer.emit('drained');
+      await stts.speak('Hello.');
+
+      assert.strictEqual(stts.cache, null);
+      assert.strictEqual(stts.getStats().cache, null);
+      assert.strictEqual(spoken.length, 2);
+    });
+  });
+
   describe('stop', () => {
     it('should handle stop when not speaking', () => {
       const stts = new StreamingTTS({ modelPath: '/path/to/model.onnx' });
@@ -224,6 +728,7 @@ describe('DEFAULT_STREAMING_TTS_CONFIG', () => {
     assert.strictEqual(DEFAULT_STREAMING_TTS_CONFIG.lowWatermarkMs, 100);
     assert.strictEqual(DEFAULT_STREAMING_TTS_CONFIG.frameDurationMs, 20);
     assert.strictEqual(DEFAULT_STREAMING_TTS_CONFIG.minChunkChars, 20);
+    assert.strictEqual(DEFAULT_STREAMING_TTS_CONFIG.maxChunkChars, 200);
   });
 
   it('should be frozen', () => {
@@ -0,0 +1,227 @@
+/**
+ * Unit tests for TextNormalizer - speech-oriented text normalization
+ *
+ * Tests cover:
+ * - Input/output table for markdown, code, URLs, emoji, abbreviations and numbers
+ * - Configuration toggles
+ * - Streaming (push/flush) matching whole-text normalization
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TextNormalizer,
+  normalizeForSpeech,
+  createTextNormalizer,
+  DEFAULT_NORMALIZER_CONFIG
+} from '../../../src/tts/text-normalizer.mjs';
+
+/** @type {[string, string][]} - [reply text, spoken text] */
+const CASES = [
+  // Markdown
+  ['**Bold** and *italic* text.', 'Bold and italic text.'],
+  ['__Strong__ and _soft_ words.', 'Strong and soft words.'],
+  ['Run `npm test` now.', 'Run npm test now.'],
+  ['~~old~~ new', 'old new'],
+  ['# Summary\nAll good.', 'Summary. All good.'],
+  ['- Buy milk\n- Eggs', 'Buy milk. Eggs'],
+  ['1. First step\n2. Second step', 'First step. Second step'],
+  ['> Quoted line', 'Quoted line'],
+  ['---\nAfter rule', 'After rule'],
+  ['Read [the docs](https://example.com/docs) first.', 'Read the docs first.'],
+  ['![diagram](img.png) above', 'diagram above'],
+  ['| Name | Age |\n|------|-----|\n| Bob | 42 |', 'Name, Age. Bob, forty-two'],
+
+  // Code blocks
+  ['Here:\n```js\nconsole.log(1);\n```\nDone.', "Here: I've put a code snippet on screen. Done."],
+  ['A:\n```\na\n```\nB:\n```\nb\n```', "A: I've put a code snippet on screen. B:"],
+
+  // URLs and emoji
+  ['See https://github.com/openclaw/scout for more.', 'See github dot com for more.'],
+  ['Visit www.example.org today.', 'Visit example dot org today.'],
+  ['Great job 🎉!', 'Great job!'],
+  ['Thumbs up 👍🏽 from me.', 'Thumbs up from me.'],
+
+  // Abbreviations
+  ['e.g. this', 'for example this'],
+  ['i.e. that', 'that is that'],
+  ['Dr. Smith vs. Mr. Jones', 'Doctor Smith versus Mister Jones'],
+  ['Tom & Jerry', 'Tom and Jerry'],
+  ['etc.', 'et cetera.'],
+
+  // Currencies, percentages and units
+  ['It costs $3.50.', 'It costs three dollars and fifty cents.'],
+  ['It costs $1 million.', 'It costs one million dollars.'],
+  ['About €20 or £5.', 'About twenty euros or five pounds.'],
+  ['Up 20% today.', 'Up twenty percent today.'],
+  ['It is 20°C.', 'It is twenty degrees Celsius.'],
+  ['Walk 5 km.', 'Walk five kilometers.'],
+  ['It weighs 2.5 kg.', 'It weighs two point five kilograms.'],
+
+  // Dates and times
+  ['On 2024-03-15.', 'On March fifteenth, twenty twenty-four.'],
+  ['On March 3, 2024.', 'On March third, twenty twenty-four.'],
+  ['On 3 March 2024.', 'On the third of March, twenty twenty-four.'],
+  ['Since 1999.', 'Since nineteen ninety-nine.'],
+  ['Meet at 14:30.', 'Meet at fourteen thirty.'],
+  ['Meet at 5pm.', 'Meet at five PM.'],
+
+  // Numbers
+  ['The 21st time.', 'The twenty-first time.'],
+  ['Pages 10-20.', 'Pages ten to twenty.'],
+  ['Call 555-1234.', 'Call five five five, one two three four.'],
+  ['Call 1-800-FLOWERS.', 'Call one, eight zero zero, FLOWERS.'],
+  ['Order 12345-67890.', 'Order one two three four five, six seven eight nine zero.'],
+  ['Add 1/2 cup of milk.', 'Add one half cup of milk.'],
+  ['Use 2/3 of it.', 'Use two thirds of it.'],
+  ['Due 3/15.', 'Due 3/15.'],
+  ['It was -5 outside.', 'It was minus five outside.'],
+  ['I have 1,234 apples.', 'I have one thousand two hundred thirty-four apples.'],
+  ['Pi is 3.14.', 'Pi is three point one four.'],
+  ['Version 1.2.3 is out.', 'Version 1.2.3 is out.']
+];
+
+/**
+ * Normalize text delivered in fixed-size deltas
+ * @param {string} text
+ * @param {number} size - Delta length
+ * @returns {string}
+ */
+function normalizeStreamed(text, size) {
+  const normalizer = new TextNormalizer();
+  let out = '';
+  for (let i = 0; i < text.length; i += size) {
+    out += normalizer.push(text.slice(i, i + size));
+  }
+  out += normalizer.flush();
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+describe('normalizeForSpeech', () => {
+  for (const [input, expected] of CASES) {
+    it(`should speak ${JSON.stringify(input)}`, () => {
+      assert.strictEqual(normalizeForSpeech(input), expected);
+    });
+  }
+
+  it('should leave plain sentences unchanged', () => {
+    const text = 'The weather is sunny. Take a hat.';
+    assert.strictEqual(normalizeForSpeech(text), text);
+  });
+
+  it('should return an empty string for markup only', () => {
+    assert.strictEqual(normalizeForSpeech('---\n🎉'), '');
+  });
+});
+
+describe('TextNormalizer', () => {
+  describe('constructor', () => {
+    it('should use default config values', () => {
+      const normalizer = new TextNormalizer();
+
+      assert.deepStrictEqual(normalizer.config, { ...DEFAULT_NORMALIZER_CONFIG });
+      assert.strictEqual(normalizer.pending, '');
+    });
+  });
+
+  describe('config', () => {
+    it('should keep markdown when disabled', () => {
+      const normalizer = new TextNormalizer({ markdown: false });
+
+      assert.strictEqual(normalizer.normalize('**Bold** text.'), '**Bold** text.');
+    });
+
+    it('should use a custom code summary', () => {
+      const normalizer = new TextNormalizer({ codeSummary: 'See the code.' });
+
+      assert.strictEqual(normalizer.normalize('Try:\n```\nls\n```'), 'Try: See the code.');
+    });
+
+    it('should skip code silently with an empty summary', () => {
+      const normalizer = new TextNormalizer({ codeSummary: '' });
+
+      assert.strictEqual(normalizer.normalize('Try:\n```\nls\n```\nDone.'), 'Try: Done.');
+    });
+
+    it('should keep URLs when disabled', () => {
+      const normalizer = new TextNormalizer({ urls: false });
+
+      assert.strictEqual(normalizer.normalize('See https://example.com now.'), 'See https://example.com now.');
+    });
+
+    it('should keep emoji when disabled', () => {
+      const normalizer = new TextNormalizer({ emoji: false });
+
+      assert.strictEqual(normalizer.normalize('Nice 🎉'), 'Nice 🎉');
+    });
+
+    it('should keep abbreviations when disabled', () => {
+      const normalizer = new TextNormalizer({ abbreviations: false });
+
+      assert.strictEqual(normalizer.normalize('Dr. Smith'), 'Dr. Smith');
+    });
+
+    it('should keep numbers when disabled', () => {
+      const normalizer = new TextNormalizer({ numbers: false });
+
+      assert.strictEqual(normalizer.normalize('It costs $3.50.'), 'It costs $3.50.');
+    });
+  });
+
+  describe('streaming', () => {
+    for (const size of [1, 3, 7]) {
+      it(`should match whole-text normalization with ${size}-character deltas`, () => {
+        for (const [input] of CASES) {
+          assert.strictEqual(normalizeStreamed(input, size), normalizeForSpeech(input), input);
+        }
+      });
+    }
+
+    it('should release a finished sentence with its trailing space', () => {
+      const normalizer = new TextNormalizer();
+
+      assert.strictEqual(normalizer.push('The weather is sunny. '), 'The weather is sunny. ');
+      assert.strictEqual(normalizer.pending, '');
+    });
+
+    it('should hold back a number that a unit may follow', () => {
+      const normalizer = new TextNormalizer();
+
+      assert.strictEqual(normalizer.push('Walk 5 '), 'Walk ');
+      assert.strictEqual(normalizer.push('km today.') + normalizer.flush(), 'five kilometers today.');
+    });
+
+    it('should hold back an open code block', () => {
+      const normalizer = new TextNormalizer();
+
+      const before = normalizer.push('Try:\n```\nls -la\n');
+      assert.ok(!before.includes('ls'));
+      const after = normalizer.push('```\n') + normalizer.flush();
+      assert.strictEqual((before + after).replace(/\s+/g, ' ').trim(), "Try: I've put a code snippet on screen.");
+    });
+
+    it('should speak the code summary once per reply', () => {
+      const normalizer = new TextNormalizer();
+
+      const spoken = normalizer.push('A:\n```\na\n```\n') + normalizer.push('B:\n```\nb\n```\n') + normalizer.flush();
+      assert.strictEqual(spoken.split('code snippet').length, 2);
+    });
+
+    it('should start over after reset', () => {
+      const normalizer = new TextNormalizer();
+      normalizer.push('A:\n```\na\n```\nHalf');
+
+      normalizer.reset();
+
+      assert.strictEqual(normalizer.pending, '');
+      const spoken = normalizer.push('```\nb\n```\n') + normalizer.flush();
+      assert.ok(spoken.includes('code snippet'));
+    });
+  });
+});
+
+describe('createTextNormalizer', () => {
+  it('should create TextNormalizer instance', () => {
+    assert.ok(createTextNormalizer({ emoji: false }) instanceof TextNormalizer);
+  });
+});
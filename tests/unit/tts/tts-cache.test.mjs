@@ -0,0 +1,178 @@
+/**
+ * Unit tests for TtsCache - synthesized audio for repeated sentences
+ *
+ * Tests cover:
+ * - Keys by backend, voice, rate and text
+ * - Hit rate statistics
+ * - On-disk entries surviving restarts
+ * - Size limit with least recently used eviction
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir, unlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  TtsCache,
+  createTtsCache,
+  hashCacheKey,
+  ttsCacheDirForConfig,
+  DEFAULT_TTS_CACHE_CONFIG
+} from '../../../src/tts/tts-cache.mjs';
+
+/**
+ * @param {string} text
+ * @param {Partial<import('../../../src/tts/tts-cache.mjs').TtsCacheKey>} [overrides]
+ * @returns {import('../../../src/tts/tts-cache.mjs').TtsCacheKey}
+ */
+function key(text, overrides = {}) {
+  return { backend: 'piper', voice: '/voices/en_US-lessac-medium.onnx', rate: 1, text, ...overrides };
+}
+
+describe('hashCacheKey', () => {
+  it('should ignore whitespace differences in the text', () => {
+    assert.strictEqual(hashCacheKey(key("Didn't catch that.")), hashCacheKey(key("  Didn't  catch\nthat. ")));
+  });
+
+  it('should tell voices, rates and backends apart', () => {
+    const base = hashCacheKey(key('Hello.'));
+
+    assert.notStrictEqual(hashCacheKey(key('Hello.', { voice: '/voices/en_GB-alan-medium.onnx' })), base);
+    assert.notStrictEqual(hashCacheKey(key('Hello.', { rate: 1.25 })), base);
+    assert.notStrictEqual(hashCacheKey(key('Hello.', { backend: 'espeak-ng' })), base);
+  });
+});
+
+describe('ttsCacheDirForConfig', () => {
+  it('should put the cache next to the config file', () => {
+    assert.strictEqual(ttsCacheDirForConfig('/home/user/.scout/config.json'), '/home/user/.scout/tts-cache');
+  });
+});
+
+describe('TtsCache', () => {
+  describe('in memory', () => {
+    it('should use default config values', () => {
+      const cache = new TtsCache();
+
+      assert.deepStrictEqual(cache.config, { ...DEFAULT_TTS_CACHE_CONFIG });
+      assert.strictEqual(cache.dir, null);
+    });
+
+    it('should return stored audio and count hits and misses', async () => {
+      const cache = new TtsCache();
+      const audio = Buffer.alloc(100, 1);
+
+      assert.strictEqual(await cache.get(key('Hello.')), null);
+      assert.strictEqual(await cache.set(key('Hello.'), 22050, audio), true);
+      const cached = await cache.get(key('Hello.'));
+
+      assert.deepStrictEqual(cached, { sampleRate: 22050, audio });
+      assert.deepStrictEqual(cache.getStats(), { entries: 1, sizeBytes: 100, hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    it('should report a zero hit rate before any lookup', () => {
+      assert.strictEqual(new TtsCache().getStats().hitRate, 0);
+    });
+
+    it('should not store empty audio or audio larger than the cache', async () => {
+      const cache = new TtsCache({ maxBytes: 50 });
+
+      assert.strictEqual(await cache.set(key('Empty.'), 22050, Buffer.alloc(0)), false);
+      assert.strictEqual(await cache.set(key('Long.'), 22050, Buffer.alloc(100)), false);
+      assert.strictEqual(cache.getStats().entries, 0);
+    });
+
+    it('should evict the least recently used entries beyond the size limit', async () => {
+      const cache = new TtsCache({ maxBytes: 250 });
+      await cache.set(key('One.'), 22050, Buffer.alloc(100));
+      await cache.set(key('Two.'), 22050, Buffer.alloc(100));
+      await cache.get(key('One.'));
+
+      await cache.set(key('Three.'), 22050, Buffer.alloc(100));
+
+      assert.ok(await cache.get(key('One.')));
+      assert.strictEqual(await cache.get(key('Two.')), null);
+      assert.ok(await cache.get(key('Three.')));
+      assert.strictEqual(cache.sizeBytes, 200);
+    });
+
+    it('should remove everything on clear', async () => {
+      const cache = createTtsCache();
+      await cache.set(key('Hello.'), 22050, Buffer.alloc(10));
+
+      await cache.clear();
+
+      assert.strictEqual(cache.getStats().entries, 0);
+      assert.strictEqual(cache.sizeBytes, 0);
+    });
+  });
+
+  describe('on disk', () => {
+    /** @type {string} */
+    let dir;
+
+    beforeEach(async () => {
+      dir = join(await mkdtemp(join(tmpdir(), 'scout-tts-cache-')), 'tts-cache');
+    });
+
+    afterEach(async () => {
+      await rm(join(dir, '..'), { recursive: true, force: true });
+    });
+
+    it('should start empty without a cache directory', async () => {
+      const cache = new TtsCache({ dir });
+
+      assert.strictEqual(await cache.init(), 0);
+    });
+
+    it('should write content-addressed files', async () => {
+      const cache = new TtsCache({ dir });
+
+      await cache.set(key('Hello.'), 16000, Buffer.alloc(10));
+
+      assert.deepStrictEqual(await readdir(dir), [`${hashCacheKey(key('Hello.'))}-16000.pcm`]);
+    });
+
+    it('should find entries again after a restart', async () => {
+      const audio = Buffer.from([1, 2, 3, 4]);
+      await new TtsCache({ dir }).set(key('Cannot reach OpenClaw.'), 22050, audio);
+
+      const cache = new TtsCache({ dir });
+      assert.strictEqual(await cache.init(), 1);
+      const cached = await cache.get(key('Cannot reach OpenClaw.'));
+
+      assert.strictEqual(cached?.sampleRate, 22050);
+      assert.deepStrictEqual(cached?.audio, audio);
+    });
+
+    it('should trim to a smaller limit on init', async () => {
+      const writer = new TtsCache({ dir });
+      await writer.set(key('One.'), 22050, Buffer.alloc(100));
+      await writer.set(key('Two.'), 22050, Buffer.alloc(100));
+
+      const cache = new TtsCache({ dir, maxBytes: 150 });
+      assert.strictEqual(await cache.init(), 1);
+
+      assert.strictEqual((await readdir(dir)).length, 1);
+    });
+
+    it('should delete evicted files', async () => {
+      const cache = new TtsCache({ dir, maxBytes: 150 });
+      await cache.set(key('One.'), 22050, Buffer.alloc(100));
+      await cache.set(key('Two.'), 22050, Buffer.alloc(100));
+
+      assert.deepStrictEqual(await readdir(dir), [`${hashCacheKey(key('Two.'))}-22050.pcm`]);
+    });
+
+    it('should count a deleted file as a miss', async () => {
+      const cache = new TtsCache({ dir });
+      await cache.set(key('Hello.'), 22050, Buffer.alloc(10));
+      await unlink(join(dir, `${hashCacheKey(key('Hello.'))}-22050.pcm`));
+
+      assert.strictEqual(await cache.get(key('Hello.')), null);
+      assert.strictEqual(cache.getStats().entries, 0);
+      assert.strictEqual(cache.getStats().misses, 1);
+    });
+  });
+});
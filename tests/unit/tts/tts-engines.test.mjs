@@ -0,0 +1,73 @@
+// @ts-nocheck - Tests use minimal fake engines
+/**
+ * Unit tests for the TTS engine registry
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createTtsEngine,
+  registerTtsBackend,
+  getTtsBackendNames,
+  DEFAULT_TTS_BACKEND
+} from '../../../src/tts/tts-engines.mjs';
+import { TTS } from '../../../src/tts/tts.mjs';
+import { EspeakTTS } from '../../../src/tts/espeak-tts.mjs';
+import { HttpTTS } from '../../../src/tts/http-tts.mjs';
+import { assertThrows } from '../../test-utils.mjs';
+
+describe('TTS engines', () => {
+  it('should register the built-in backends', () => {
+    const names = getTtsBackendNames();
+
+    assert.ok(names.includes('piper'));
+    assert.ok(names.includes('espeak-ng'));
+    assert.ok(names.includes('http'));
+    assert.strictEqual(DEFAULT_TTS_BACKEND, 'piper');
+  });
+
+  it('should create the piper engine', () => {
+    const engine = createTtsEngine('piper', { modelPath: '/test/voice.onnx', sampleRate: 16000 });
+
+    assert.ok(engine instanceof TTS);
+    assert.strictEqual(engine.config.modelPath, '/test/voice.onnx');
+    assert.strictEqual(engine.sampleRate, 16000);
+  });
+
+  it('should create the espeak-ng engine at its native rate', () => {
+    const engine = createTtsEngine('espeak-ng', { espeakVoice: 'en-gb', sampleRate: 44100 });
+
+    assert.ok(engine instanceof EspeakTTS);
+    assert.strictEqual(engine.config.voice, 'en-gb');
+    assert.strictEqual(engine.sampleRate, 22050);
+  });
+
+  it('should create the http engine', () => {
+    const engine = createTtsEngine('http', { url: 'http://localhost:8880', model: 'kokoro', voice: 'af_heart' });
+
+    assert.ok(engine instanceof HttpTTS);
+    assert.strictEqual(engine.config.model, 'kokoro');
+    assert.strictEqual(engine.config.voice, 'af_heart');
+  });
+
+  it('should reject unknown backends', () => {
+    assertThrows(() => {
+      createTtsEngine('festival', {});
+    }, /Unknown TTS backend: festival/);
+  });
+
+  it('should create registered custom backends', () => {
+    registerTtsBackend('test-fake', (options) => ({ sampleRate: 8000, options }));
+
+    const engine = createTtsEngine('test-fake', { voice: 'robot' });
+
+    assert.ok(getTtsBackendNames().includes('test-fake'));
+    assert.strictEqual(engine.options.voice, 'robot');
+  });
+
+  it('should reject registrations without a factory', () => {
+    assertThrows(() => {
+      registerTtsBackend('broken', null);
+    }, 'TTS backend needs a name and a factory function');
+  });
+});
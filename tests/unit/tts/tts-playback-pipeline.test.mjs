@@ -80,6 +80,94 @@ describe('TtsPlaybackPipeline', () => {
     });
   });
 
+  describe('voice settings', () => {
+    it('should default to normal speed and volume', () => {
+      pipeline = new TtsPlaybackPipeline();
+
+      assert.strictEqual(pipeline.speed, 1);
+      assert.strictEqual(pipeline.volume, 1);
+    });
+
+    it('should pass speed to streaming TTS', () => {
+      pipeline = new TtsPlaybackPipeline({ speed: 1.5 });
+
+      pipeline.setSpeed(0.8);
+
+      assert.strictEqual(pipeline.speed, 0.8);
+      assert.strictEqual(pipeline.streamingTts.speed, 0.8);
+    });
+
+    it('should scale played frames by the volume', () => {
+      pipeline = new TtsPlaybackPipeline({ volume: 0.5 });
+      /** @type {Int16Array[]} */
+      const written = [];
+      // @ts-ignore - replacing pacat for testing
+      pipeline.audioPlayback.write = (/** @type {Int16Array} */ frame) => { written.push(frame); return true; };
+      pipeline.streamingTts.jitterBuffer.write(new Int16Array(10).fill(1000));
+      // @ts-ignore - driving the playback loop directly
+      pipeline._speaking = true;
+      // @ts-ignore - driving the playback loop directly
+      pipeline._playbackStarted = true;
+
+      // @ts-ignore - driving the playback loop directly
+      pipeline._playbackTick();
+
+      assert.strictEqual(written.length, 1);
+      assert.strictEqual(written[0][0], 500);
+    });
+
+    it('should reject an invalid volume', () => {
+      pipeline = new TtsPlaybackPipeline();
+
+      assert.throws(() => pipeline?.setVolume(-0.5), /Volume must be a non-negative number/);
+      assert.strictEqual(pipeline.volume, 1);
+    });
+  });
+
+  describe('output device', () => {
+    it('should play to the default sink unless one is configured', () => {
+      pipeline = new TtsPlaybackPipeline();
+      assert.strictEqual(pipeline.audioPlayback.config.device, null);
+
+      pipeline = new TtsPlaybackPipeline({ outputDevice: 'alsa_output.usb-speaker' });
+      assert.strictEqual(pipeline.audioPlayback.config.device, 'alsa_output.usb-speaker');
+    });
+
+    it('should switch the sink for the next response', () => {
+      pipeline = new TtsPlaybackPipeline();
+
+      pipeline.setOutputDevice('bluez_output.headset');
+
+      assert.strictEqual(pipeline.audioPlayback.config.device, 'bluez_output.headset');
+    });
+  });
+
+  describe('engine sample rate', () => {
+    it('should open playback at the rate the engine reports', async () => {
+      /** @type {any} */
+      const engine = new EventEmitter();
+      engine.sampleRate = 22050;
+      engine.synthesize = async function* () {
+        engine.sampleRate = 16000;
+        yield Buffer.alloc(3200);
+      };
+      engine.stop = () => {};
+      pipeline = new TtsPlaybackPipeline({ engine, sampleRate: 22050 });
+
+      /** @type {number[]} */
+      const startedAt = [];
+      // @ts-ignore - replacing pacat for testing
+      pipeline.audioPlayback.start = (/** @type {number} */ rate) => { startedAt.push(rate); };
+      // @ts-ignore - replacing pacat for testing
+      pipeline.audioPlayback.write = () => true;
+
+      await pipeline.speak('Hello there.');
+
+      assert.deepStrictEqual(startedAt, [16000]);
+      assert.strictEqual(pipeline.sampleRate, 16000);
+    });
+  });
+
   describe('streamingTts getter', () => {
     it('should return the StreamingTTS instance', () => {
       pipeline = new TtsPlaybackPipeline();
@@ -144,6 +232,44 @@ describe('TtsPlaybackPipeline', () => {
     });
   });
 
+  describe('speakStream', () => {
+    it('should throw when already speaking', async () => {
+      pipeline = new TtsPlaybackPipeline({ modelPath: '/path/to/model.onnx' });
+      pipeline._speaking = true;
+
+      await assert.rejects(
+        async () => pipeline?.speakStream((async function* () { yield 'Hi.'; })()),
+        /Already speaking/
+      );
+    });
+
+    it('should throw when disposed', async () => {
+      pipeline = new TtsPlaybackPipeline({ modelPath: '/path/to/model.onnx' });
+      pipeline.dispose();
+
+      await assert.rejects(
+        async () => pipeline?.speakStream((async function* () { yield 'Hi.'; })()),
+        /disposed/
+      );
+    });
+
+    it('should emit speaking_started and complete an empty stream', async () => {
+      pipeline = new TtsPlaybackPipeline({ modelPath: '/path/to/model.onnx' });
+
+      /** @type {any} */
+      let started = null;
+      let completed = false;
+      pipeline.on('speaking_started', (data) => { started = data; });
+      pipeline.on('speaking_complete', () => { completed = true; });
+
+      await pipeline.speakStream((async function* () { /* no text */ })());
+
+      assert.deepStrictEqual(started, { text: null, streaming: true });
+      assert.strictEqual(completed, true);
+      assert.strictEqual(pipeline.speaking, false);
+    });
+  });
+
   describe('stop', () => {
     it('should handle stop when not speaking', () => {
       pipeline = new TtsPlaybackPipeline({ modelPath: '/path/to/model.onnx' });
@@ -207,6 +333,21 @@ describe('TtsPlaybackPipeline', () => {
       assert.strictEqual(typeof stats.synthesis.speaking, 'boolean');
       assert.ok(stats.playback);
       assert.strictEqual(typeof stats.playback.running, 'boolean');
+      assert.strictEqual(stats.cacheHitRate, null);
+    });
+
+    it('should report the audio cache hit rate', async () => {
+      pipeline = new TtsPlaybackPipeline({ cache: {} });
+      const cache = /** @type {import('../../../src/tts/tts-cache.mjs').TtsCache} */ (pipeline.streamingTts.cache);
+      const key = { backend: 'piper', voice: null, rate: 1, text: 'Hello.' };
+      await cache.set(key, 22050, Buffer.alloc(10));
+
+      await cache.get(key);
+      await cache.get({ ...key, text: 'Bye.' });
+      await cache.get(key);
+
+      assert.strictEqual(pipeline.getStats().cacheHitRate, 2 / 3);
+      assert.strictEqual(pipeline.getStats().synthesis.cache?.hits, 2);
     });
   });
 
@@ -32,6 +32,12 @@ describe('TTS', () => {
       const tts = new TTS();
       assert.strictEqual(tts.synthesizing, false);
     });
+
+    it('should default to worker mode', () => {
+      const tts = new TTS();
+      assert.strictEqual(tts.config.mode, 'worker');
+      assert.deepStrictEqual(tts.getStats(), { mode: 'worker', processStarts: 0, voiceLoadTimeMs: 0 });
+    });
   });
 
   describe('event emitter', () => {
@@ -83,6 +89,22 @@ describe('TTS', () => {
     });
   });
 
+  describe('_command', () => {
+    it('should not set a length scale at the normal rate', () => {
+      const tts = new TTS({ modelPath: '/path/to/model.onnx' });
+      // @ts-ignore - testing protected method
+      assert.deepStrictEqual(tts._command().args, ['--model', '/path/to/model.onnx', '--output_raw']);
+    });
+
+    it('should map the speaking rate to length_scale', () => {
+      const tts = new TTS({ modelPath: '/path/to/model.onnx' });
+      // @ts-ignore - testing protected method
+      assert.deepStrictEqual(tts._command({ rate: 2 }).args.slice(-2), ['--length_scale', '0.5']);
+      // @ts-ignore - testing protected method
+      assert.deepStrictEqual(tts._command({ rate: 0.8 }).args.slice(-2), ['--length_scale', '1.25']);
+    });
+  });
+
   describe('calculateDurationMs', () => {
     it('should calculate duration correctly at 22050Hz', () => {
       const tts = new TTS({ sampleRate: 22050 });
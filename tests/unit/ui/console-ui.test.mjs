@@ -252,6 +252,32 @@ describe('ConsoleUI', () => {
     });
   });
 
+  describe('showPartialTranscript', () => {
+    it('should show the partial transcript in place in transcript mode', () => {
+      consoleUI.setDisplayMode('transcript');
+      mockOutput.clear();
+      consoleUI.showPartialTranscript('Hello');
+      consoleUI.showPartialTranscript('Hello world');
+
+      assert.ok(mockOutput.getOutput().includes('\r\x1b[KYou: Hello world...'));
+      assert.ok(!mockOutput.getOutput().includes('\n'));
+    });
+
+    it('should replace the partial line with the final transcript', () => {
+      consoleUI.setDisplayMode('transcript');
+      consoleUI.showPartialTranscript('Hello wor');
+      mockOutput.clear();
+      consoleUI.showTranscript('Hello world');
+
+      assert.strictEqual(mockOutput.getOutput(), '\r\x1b[KYou: Hello world\n');
+    });
+
+    it('should not show partial transcripts in minimal mode', () => {
+      consoleUI.showPartialTranscript('Hello');
+      assert.ok(!mockOutput.getOutput().includes('You:'));
+    });
+  });
+
   describe('showResponse', () => {
     it('should show response in transcript mode', () => {
       consoleUI.setDisplayMode('transcript');
@@ -350,6 +376,21 @@ describe('ConsoleUI', () => {
       assert.strictEqual(onTranscriptDisplayed.mock.calls.length, 1);
     });
 
+    it('should handle partial_transcript events in transcript mode', () => {
+      consoleUI.setDisplayMode('transcript');
+      mockOutput.clear();
+
+      const onPartialDisplayed = mock.fn();
+      consoleUI.on('partial_transcript_displayed', onPartialDisplayed);
+
+      sessionManager.emit('partial_transcript', { text: 'Hello ag' });
+
+      assert.ok(mockOutput.getOutput().includes('You: Hello ag...'));
+      assert.strictEqual(onPartialDisplayed.mock.calls.length, 1);
+      // Partials are not conversation history
+      assert.strictEqual(consoleUI._formatter.getHistory().length, 0);
+    });
+
     it('should handle response events in transcript mode', () => {
       consoleUI.setDisplayMode('transcript');
       mockOutput.clear();
@@ -585,6 +626,113 @@ describe('ConsoleUI', () => {
       });
     });
 
+    describe('agent_changed event handling', () => {
+      it('should show the new agent and use it in the status line', () => {
+        const onAgentDisplayed = mock.fn();
+        consoleUI.on('agent_displayed', onAgentDisplayed);
+
+        sessionManager.emit('agent_changed', { from: 'main', to: 'work', sessionId: null });
+        sessionManager.emit('state_changed', { from: 'speaking', to: 'listening' });
+
+        const output = mockOutput.getOutput();
+        assert.ok(output.includes('[Agent: work]'));
+        assert.ok(output.includes('[Listening...] (agent: work)'));
+        assert.strictEqual(consoleUI.agentId, 'work');
+        assert.strictEqual(onAgentDisplayed.mock.calls.length, 1);
+      });
+
+      it('should read the active agent on attach', () => {
+        const withAgent = new MockSessionManager();
+        withAgent.agentId = 'home';
+        consoleUI.attach(withAgent);
+
+        assert.strictEqual(consoleUI.agentId, 'home');
+      });
+
+      it('should not show agent switches in voice_only mode', () => {
+        consoleUI.setDisplayMode('voice_only');
+        mockOutput.clear();
+
+        sessionManager.emit('agent_changed', { from: 'main', to: 'work', sessionId: null });
+
+        assert.ok(!mockOutput.getOutput().includes('[Agent: work]'));
+      });
+    });
+
+    describe('media_received event handling', () => {
+      const MEDIA = [{ url: 'https://example.com/cat.png', type: 'image', caption: null }];
+
+      it('should list media in transcript mode', () => {
+        const onMediaDisplayed = mock.fn();
+        consoleUI.on('media_displayed', onMediaDisplayed);
+        consoleUI.setDisplayMode('transcript');
+        mockOutput.clear();
+
+        sessionManager.emit('media_received', { media: MEDIA, sessionId: 'session-1' });
+
+        assert.ok(mockOutput.getOutput().includes('Agent sent image: https://example.com/cat.png'));
+        assert.strictEqual(onMediaDisplayed.mock.calls.length, 1);
+      });
+
+      it('should not list media in minimal mode', () => {
+        consoleUI.setDisplayMode('minimal');
+        mockOutput.clear();
+
+        sessionManager.emit('media_received', { media: MEDIA, sessionId: 'session-1' });
+
+        assert.ok(!mockOutput.getOutput().includes('Agent sent image'));
+      });
+    });
+
+    describe('connection recovery event handling', () => {
+      it('should show attempt counts while reconnecting', () => {
+        const onRecoveryDisplayed = mock.fn();
+        consoleUI.on('recovery_displayed', onRecoveryDisplayed);
+
+        sessionManager.emit('recovering', { attempt: 2, maxAttempts: 10 });
+
+        assert.ok(mockOutput.getOutput().includes('[Reconnecting to OpenClaw... attempt 2/10]'));
+        assert.deepStrictEqual(onRecoveryDisplayed.mock.calls[0].arguments[0], {
+          phase: 'recovering',
+          attempt: 2,
+          maxAttempts: 10
+        });
+      });
+
+      it('should show the recovery outcome', () => {
+        sessionManager.emit('recovered', { attempts: 3, totalTimeMs: 3000 });
+        sessionManager.emit('recovery_failed', { attempts: 10, totalTimeMs: 30000 });
+
+        const output = mockOutput.getOutput();
+        assert.ok(output.includes('[Reconnected]'));
+        assert.ok(output.includes('[Could not reconnect after 10 attempts]'));
+      });
+    });
+
+    describe('outbound queue event handling', () => {
+      it('should show queued and dropped messages', () => {
+        const onQueueDisplayed = mock.fn();
+        consoleUI.on('queue_displayed', onQueueDisplayed);
+
+        sessionManager.emit('message_queued', { text: 'Turn on the lights', size: 2 });
+        sessionManager.emit('queue_cleared', { count: 2 });
+
+        const output = mockOutput.getOutput();
+        assert.ok(output.includes('[Queued - 2 waiting for OpenClaw]'));
+        assert.ok(output.includes('[Dropped 2 queued messages]'));
+        assert.strictEqual(onQueueDisplayed.mock.calls.length, 2);
+      });
+
+      it('should label delivered messages in transcript mode', () => {
+        consoleUI.setDisplayMode('transcript');
+        mockOutput.clear();
+
+        sessionManager.emit('queue_delivered', { text: 'Turn on the lights', response: 'Done.', remaining: 0 });
+
+        assert.ok(mockOutput.getOutput().includes('You (queued): Turn on the lights'));
+      });
+    });
+
     describe('tts_fallback event handling', () => {
       it('should handle tts_fallback events', () => {
         const onFallbackDisplayed = mock.fn();
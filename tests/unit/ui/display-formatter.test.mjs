@@ -215,6 +215,42 @@ describe('DisplayFormatter', () => {
     });
   });
 
+  describe('media', () => {
+    const MEDIA = [
+      { url: 'https://example.com/cat.png', type: 'image', caption: 'A cat' },
+      { url: 'https://example.com/report.pdf', type: 'file', caption: null }
+    ];
+
+    it('should add media to history and emit media_added', () => {
+      const formatter = new DisplayFormatter({ displayMode: 'transcript' });
+      const onMediaAdded = mock.fn();
+      formatter.on('media_added', onMediaAdded);
+
+      formatter.addMedia(MEDIA);
+
+      const history = formatter.getHistory();
+      assert.strictEqual(history.length, 1);
+      assert.strictEqual(history[0].role, 'agent');
+      assert.deepStrictEqual(history[0].media, MEDIA);
+      assert.strictEqual(onMediaAdded.mock.calls.length, 1);
+    });
+
+    it('should format one line per attachment in transcript mode', () => {
+      const formatter = new DisplayFormatter({ displayMode: 'transcript' });
+
+      assert.deepStrictEqual(formatter.formatMedia(MEDIA), [
+        'Agent sent image: https://example.com/cat.png (A cat)',
+        'Agent sent file: https://example.com/report.pdf'
+      ]);
+    });
+
+    it('should hide media outside transcript mode', () => {
+      const formatter = new DisplayFormatter({ displayMode: 'minimal' });
+
+      assert.strictEqual(formatter.formatMedia(MEDIA), null);
+    });
+  });
+
   describe('setError', () => {
     it('should store error message', () => {
       const formatter = new DisplayFormatter();
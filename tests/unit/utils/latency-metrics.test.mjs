@@ -146,6 +146,34 @@ describe('LatencyMetrics', () => {
     });
   });
 
+  describe('TTS sentence latency tracking', () => {
+    it('should record per-sentence latency', () => {
+      let emitted = null;
+      metrics.on('tts_sentence', (data) => { emitted = data; });
+
+      metrics.recordTtsSentence(80);
+      metrics.recordTtsSentence(120);
+
+      assert.deepStrictEqual(emitted, { durationMs: 120 });
+      assert.deepStrictEqual(metrics.getRawMetrics().ttsSentence, [80, 120]);
+      assert.strictEqual(metrics.getSummary().ttsSentence.max, 120);
+      assert.ok(metrics.formatSummary().includes('TTS Per-Sentence Latency'));
+    });
+
+    it('should not affect target checks', () => {
+      metrics.recordTtsSentence(5000);
+
+      assert.strictEqual(metrics.checkTargets().allPassing, true);
+    });
+
+    it('should not record when disabled', () => {
+      metrics.disable();
+      metrics.recordTtsSentence(80);
+
+      assert.strictEqual(metrics.getSummary().ttsSentence.count, 0);
+    });
+  });
+
   describe('barge-in latency tracking', () => {
     it('should track barge-in stop latency', async () => {
       metrics.startBargeIn();
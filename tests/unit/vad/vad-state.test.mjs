@@ -240,6 +240,22 @@ describe('VADState', () => {
       const bufferedMs = vad.getBufferedDurationMs();
       assert.strictEqual(bufferedMs, 150); // 5 frames * 30ms
     });
+
+    it('should peek buffered speech without consuming it', () => {
+      vad.update(0.6, createFrame(samplesPerFrame, 100));
+      vad.update(0.7, createFrame(samplesPerFrame, 200));
+
+      const audio = /** @type {Int16Array} */ (vad.peekSpeechAudio());
+
+      assert.strictEqual(audio.length, samplesPerFrame * 2);
+      assert.strictEqual(audio[0], 100);
+      assert.strictEqual(audio[samplesPerFrame], 200);
+      assert.strictEqual(vad.getBufferedDurationMs(), 60);
+    });
+
+    it('should return null from peekSpeechAudio when not in speech', () => {
+      assert.strictEqual(vad.peekSpeechAudio(), null);
+    });
   });
 
   describe('barge-in mode', () => {
@@ -272,6 +272,44 @@ describe('WakeWordDetector', () => {
     });
   });
 
+  describe('processPartialTranscript', () => {
+    beforeEach(() => {
+      detector = new WakeWordDetector({
+        enabled: true,
+        wakePhrase: 'hey scout'
+      });
+    });
+
+    it('should emit detected event marked as partial', () => {
+      let eventData = null;
+      detector.on('detected', (data) => { eventData = data; });
+
+      const result = detector.processPartialTranscript('Hey Scout, what');
+
+      assert.strictEqual(result, true);
+      assert.strictEqual(eventData.partial, true);
+      assert.strictEqual(eventData.remainingText, 'what');
+      assert.strictEqual(detector.getStats().detectionCount, 1);
+    });
+
+    it('should not count a partial without the wake phrase as a miss', () => {
+      let missed = false;
+      detector.on('not_detected', () => { missed = true; });
+
+      const result = detector.processPartialTranscript('hey');
+
+      assert.strictEqual(result, false);
+      assert.strictEqual(missed, false);
+      assert.strictEqual(detector.getStats().missCount, 0);
+    });
+
+    it('should not detect when disabled', () => {
+      detector.disable();
+
+      assert.strictEqual(detector.processPartialTranscript('hey scout'), false);
+    });
+  });
+
   describe('remaining text extraction', () => {
     beforeEach(() => {
       detector = new WakeWordDetector({
@@ -344,6 +382,58 @@ describe('WakeWordDetector', () => {
     });
   });
 
+  describe('per-language wake phrases', () => {
+    beforeEach(() => {
+      detector = new WakeWordDetector({
+        enabled: true,
+        wakePhrase: 'hey scout',
+        wakePhrases: { de: 'hallo scout', es: 'hola scout' }
+      });
+    });
+
+    it('should detect the phrase for the spoken language', () => {
+      const result = detector.check('Hallo Scout, mach das Licht an', 'de');
+
+      assert.ok(result);
+      assert.strictEqual(result.language, 'de');
+      assert.strictEqual(result.wakePhrase, 'hallo scout');
+      assert.strictEqual(result.remainingText, 'mach das licht an');
+    });
+
+    it('should detect any phrase when the language is unknown', () => {
+      const result = detector.check('hola scout apaga la luz');
+
+      assert.ok(result);
+      assert.strictEqual(result.language, 'es');
+    });
+
+    it('should tag the default phrase with no language', () => {
+      const result = detector.check('hey scout turn on the lights', 'de');
+
+      assert.ok(result);
+      assert.strictEqual(result.language, null);
+      assert.strictEqual(result.wakePhrase, 'hey scout');
+    });
+
+    it('should replace the phrases at runtime', () => {
+      detector.setWakePhrases({ fr: 'salut scout' });
+
+      assert.deepStrictEqual(detector.wakePhrases, { fr: 'salut scout' });
+      assert.strictEqual(detector.check('hallo scout licht an'), null);
+      assert.strictEqual(detector.check('salut scout allume', 'fr')?.language, 'fr');
+    });
+
+    it('should keep accented letters when matching', () => {
+      detector.setWakePhrases({ fr: 'écoute scout' });
+
+      const result = detector.check('Écoute, Scout! Quelle heure est-il?', 'fr');
+
+      assert.ok(result);
+      assert.strictEqual(result.matchScore, 1.0);
+      assert.strictEqual(result.remainingText, 'quelle heure estil');
+    });
+  });
+
   describe('getStats', () => {
     beforeEach(() => {
       detector = new WakeWordDetector({